@@ -22,6 +22,7 @@ export default [
                 clearInterval: 'readonly',
                 setImmediate: 'readonly',
                 URL: 'readonly',
+                AbortController: 'readonly',
                 // Jest globals
                 describe: 'readonly',
                 it: 'readonly',
@@ -6,7 +6,9 @@
  * No secrets are hardcoded — everything comes from .env or the runtime environment.
  */
 
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
 
 // Load .env in development only
 if (process.env.NODE_ENV !== 'production') {
@@ -53,11 +55,61 @@ const config = {
   },
 
   provisioning: {
-    maxStoresPerUser: parseInt(process.env.MAX_STORES_PER_USER, 10) || 5,
     timeoutMs: parseInt(process.env.PROVISIONING_TIMEOUT_MS, 10) || 600000, // 10 min
     pollIntervalMs: parseInt(process.env.PROVISIONING_POLL_INTERVAL_MS, 10) || 3000,
     maxRetries: parseInt(process.env.PROVISIONING_MAX_RETRIES, 10) || 3,
-    retryBaseDelayMs: parseInt(process.env.PROVISIONING_RETRY_BASE_DELAY_MS, 10) || 2000,
+    // Retryable failures are retried automatically (models/retryPolicy.js)
+    // after base × 2^(retry - 1), capped, ±25% jitter
+    autoRetry: process.env.PROVISIONING_AUTO_RETRY !== 'false', // default true
+    retryBaseDelayMs: parseInt(process.env.PROVISIONING_RETRY_BASE_DELAY_MS, 10) || 30000,
+    retryMaxDelayMs: parseInt(process.env.PROVISIONING_RETRY_MAX_DELAY_MS, 10) || 600000,
+    // Durable job queue (provisioning_jobs): workflows run by this process at
+    // once, jobs waiting before new work is rejected, and the lease a worker
+    // renews while running a job — past it the job is handed to another worker.
+    maxConcurrent: parseInt(process.env.PROVISIONING_MAX_CONCURRENT, 10) || 3,
+    maxQueue: parseInt(process.env.PROVISIONING_MAX_QUEUE, 10) || 10,
+    jobLeaseMs: parseInt(process.env.PROVISIONING_JOB_LEASE_MS, 10) || 60000,
+    jobPollIntervalMs: parseInt(process.env.PROVISIONING_JOB_POLL_INTERVAL_MS, 10) || 2000,
+    jobMaxAttempts: parseInt(process.env.PROVISIONING_JOB_MAX_ATTEMPTS, 10) || 3,
+  },
+
+  // Store sizes a tenant picks from. Each plan is passed to the chart as
+  // resourceQuota.* / limitRange.* --set values and caps how many active
+  // stores of that plan one user may own.
+  plans: {
+    default: process.env.DEFAULT_STORE_PLAN || 'small',
+    tiers: {
+      small: {
+        maxStoresPerUser: parseInt(process.env.MAX_STORES_PER_USER, 10) || 5,
+        // Billed per store-hour, prorated over the invoice month
+        monthlyPriceCents: parseInt(process.env.SMALL_PLAN_MONTHLY_PRICE_CENTS, 10) || 1000,
+        resourceQuota: {
+          requestsCpu: '1', requestsMemory: '1Gi', limitsCpu: '2', limitsMemory: '2Gi',
+          storage: '10Gi', pvcs: '5', pods: '10', services: '5',
+        },
+        limitRange: { maxCpu: '1', maxMemory: '1Gi' },
+      },
+      medium: {
+        maxStoresPerUser: parseInt(process.env.MAX_MEDIUM_STORES_PER_USER, 10) || 2,
+        // Billed per store-hour, prorated over the invoice month
+        monthlyPriceCents: parseInt(process.env.MEDIUM_PLAN_MONTHLY_PRICE_CENTS, 10) || 2500,
+        resourceQuota: {
+          requestsCpu: '2', requestsMemory: '2Gi', limitsCpu: '4', limitsMemory: '4Gi',
+          storage: '25Gi', pvcs: '8', pods: '15', services: '8',
+        },
+        limitRange: { maxCpu: '2', maxMemory: '2Gi' },
+      },
+      large: {
+        maxStoresPerUser: parseInt(process.env.MAX_LARGE_STORES_PER_USER, 10) || 1,
+        // Billed per store-hour, prorated over the invoice month
+        monthlyPriceCents: parseInt(process.env.LARGE_PLAN_MONTHLY_PRICE_CENTS, 10) || 6000,
+        resourceQuota: {
+          requestsCpu: '4', requestsMemory: '4Gi', limitsCpu: '8', limitsMemory: '8Gi',
+          storage: '50Gi', pvcs: '10', pods: '20', services: '10',
+        },
+        limitRange: { maxCpu: '4', maxMemory: '4Gi' },
+      },
+    },
   },
 
   store: {
@@ -68,9 +120,137 @@ const config = {
     autoHostsFile: process.env.AUTO_HOSTS_FILE !== 'false', // default true
   },
 
+  backups: {
+    // S3-compatible target (AWS S3, MinIO, ...). Path-style addressing is used.
+    endpoint: process.env.BACKUP_S3_ENDPOINT || 'http://localhost:9000',
+    region: process.env.BACKUP_S3_REGION || 'us-east-1',
+    bucket: process.env.BACKUP_S3_BUCKET || 'mtec-store-backups',
+    accessKeyId: process.env.BACKUP_S3_ACCESS_KEY_ID || 'minioadmin',
+    secretAccessKey: process.env.BACKUP_S3_SECRET_ACCESS_KEY || 'minioadmin',
+    timeoutMs: parseInt(process.env.BACKUP_TIMEOUT_MS, 10) || 900000, // 15 min
+    // Default retention — stores may override either value
+    retentionCount: parseInt(process.env.BACKUP_RETENTION_COUNT, 10) || 7,
+    retentionDays: parseInt(process.env.BACKUP_RETENTION_DAYS, 10) || 30,
+  },
+
+  domains: {
+    // Ownership proof: TXT record "<prefix>.<hostname>" = "mtec-verify=<token>"
+    verificationPrefix: process.env.DOMAIN_VERIFICATION_PREFIX || '_mtec-verify',
+    // Serve custom domains over HTTPS (ingress.tls); cert-manager issues the
+    // certificates when a ClusterIssuer is named
+    tls: process.env.CUSTOM_DOMAIN_TLS === 'true',
+    certManagerIssuer: process.env.CERT_MANAGER_CLUSTER_ISSUER || '',
+    maxPerStore: parseInt(process.env.MAX_DOMAINS_PER_STORE, 10) || 5,
+    // Pending (unverified) claims are deleted after this many days
+    pendingTtlDays: parseInt(process.env.DOMAIN_PENDING_TTL_DAYS, 10) || 7,
+  },
+
+  billing: {
+    currency: process.env.BILLING_CURRENCY || 'usd',
+    paymentProvider: process.env.BILLING_PAYMENT_PROVIDER || 'fake',
+    dueDays: parseInt(process.env.BILLING_DUE_DAYS, 10) || 14,
+    // Suspend an owner's stores once an invoice is this many days past due
+    autoSuspend: process.env.BILLING_AUTO_SUSPEND === 'true',
+    suspendGraceDays: parseInt(process.env.BILLING_SUSPEND_GRACE_DAYS, 10) || 7,
+    jobIntervalMs: parseInt(process.env.BILLING_JOB_INTERVAL_MS, 10) || 3600000, // 1 hour
+    // Metered usage on top of plan prices (0 = not billed), from usage samples
+    rates: {
+      cpuCoreHourCents: parseFloat(process.env.BILLING_CPU_CORE_HOUR_CENTS) || 0,
+      memoryGibHourCents: parseFloat(process.env.BILLING_MEMORY_GIB_HOUR_CENTS) || 0,
+      storageGibHourCents: parseFloat(process.env.BILLING_STORAGE_GIB_HOUR_CENTS) || 0,
+    },
+  },
+
+  usage: {
+    // Hourly samples of each store namespace's CPU, memory and storage
+    collectorEnabled: process.env.USAGE_COLLECTOR_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.USAGE_COLLECTOR_INTERVAL_MS, 10) || 3600000, // 1 hour
+    retentionDays: parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 400,
+  },
+
+  drift: {
+    // Periodic comparison of the stores table with the cluster's namespaces,
+    // Helm releases and pods
+    reconcilerEnabled: process.env.DRIFT_RECONCILER_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.DRIFT_RECONCILE_INTERVAL_MS, 10) || 900000, // 15 minutes
+    // Namespaces younger than this are never reported as orphaned — the
+    // store row may simply not be committed yet, or its deletion finishing
+    orphanGraceMs: parseInt(process.env.DRIFT_ORPHAN_GRACE_MS, 10) || 600000, // 10 minutes
+  },
+
+  health: {
+    // Periodic pod readiness and storefront/admin HTTP probes of ready and
+    // degraded stores
+    proberEnabled: process.env.HEALTH_PROBER_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.HEALTH_PROBE_INTERVAL_MS, 10) || 60000, // 1 minute
+    timeoutMs: parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS, 10) || 5000,
+    // Consecutive failed probes before a ready store is marked degraded, and
+    // consecutive healthy probes before a degraded store is ready again
+    failureThreshold: parseInt(process.env.HEALTH_FAILURE_THRESHOLD, 10) || 3,
+    recoveryThreshold: parseInt(process.env.HEALTH_RECOVERY_THRESHOLD, 10) || 2,
+    retentionDays: parseInt(process.env.HEALTH_PROBE_RETENTION_DAYS, 10) || 30,
+  },
+
+  webhooks: {
+    // Outbound deliveries of store lifecycle and security events
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    // Attempts after the first; backoff doubles from the base delay up to the cap
+    maxRetries: parseInt(process.env.WEBHOOK_MAX_RETRIES, 10) || 5,
+    retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 10) || 5000,
+    retryMaxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS, 10) || 300000, // 5 minutes
+    // Pod and service CIDRs outside the private ranges, which are always refused
+    blockedCidrs: (process.env.WEBHOOK_BLOCKED_CIDRS || '').split(',').map(s => s.trim()).filter(Boolean),
+  },
+
+  storeEvents: {
+    // Live event stream of a store (GET /stores/:id/events)
+    heartbeatMs: parseInt(process.env.STORE_EVENTS_HEARTBEAT_MS, 10) || 15000,
+    retentionDays: parseInt(process.env.STORE_EVENTS_RETENTION_DAYS, 10) || 7,
+  },
+
+  cluster: {
+    // Identifies this replica in job leases, leader election and heartbeats.
+    // Set INSTANCE_ID to the pod name to make logs easier to follow.
+    instanceId: process.env.INSTANCE_ID
+      || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`,
+    // Singleton work (recovery, usage collector, billing) runs only on the
+    // replica holding a Postgres advisory lock. Disable for a single replica.
+    leaderElection: process.env.LEADER_ELECTION_ENABLED !== 'false', // default true
+    leaderLockKey: parseInt(process.env.LEADER_LOCK_KEY, 10) || 727001,
+    heartbeatIntervalMs: parseInt(process.env.CLUSTER_HEARTBEAT_INTERVAL_MS, 10) || 10000,
+    // A replica silent for this long is considered gone and its work recovered
+    instanceTimeoutMs: parseInt(process.env.CLUSTER_INSTANCE_TIMEOUT_MS, 10) || 60000,
+    // Lockouts, cooldowns and rate-limit counters — 'postgres' shares them
+    // between replicas, 'memory' keeps them per process
+    sharedStateStore: process.env.SHARED_STATE_STORE || 'postgres',
+  },
+
   jwt: {
     secret: process.env.JWT_SECRET || 'dev-jwt-secret-change-in-production',
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    // Access tokens are short-lived; clients renew them with a refresh token,
+    // which keeps the session alive this many days after its last use
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+  },
+
+  secrets: {
+    // Master keys for envelope encryption of per-store secrets
+    // (services/secretsService.js): comma-separated "<version>:<base64 key>"
+    // pairs, from the env or a mounted file such as a Kubernetes Secret.
+    // New secrets are sealed with the active version — the highest unless set.
+    masterKeys: process.env.SECRETS_MASTER_KEYS || '',
+    masterKeysFile: process.env.SECRETS_MASTER_KEYS_FILE || '',
+    activeKeyVersion: parseInt(process.env.SECRETS_ACTIVE_KEY_VERSION, 10) || null,
+    // Background re-encryption of secrets sealed under another key version
+    reencryptIntervalMs: parseInt(process.env.SECRETS_REENCRYPT_INTERVAL_MS, 10) || 3600000, // 1 hour
+  },
+
+  credentials: {
+    // How often the leader looks for stores whose scheduled credential
+    // rotation (opted into per store) is due
+    rotationCheckIntervalMs: parseInt(process.env.CREDENTIAL_ROTATION_CHECK_INTERVAL_MS, 10) || 3600000, // 1 hour
+    // How long the dashboard may show revealed credentials before hiding them
+    revealTtlSeconds: parseInt(process.env.CREDENTIAL_REVEAL_TTL_SECONDS, 10) || 60,
   },
 
   logging: {
@@ -89,6 +269,15 @@ config.buildStoreUrl = function buildStoreUrl(storeId) {
   return `http://${storeId}${config.store.domainSuffix}${portSuffix}`;
 };
 
+/**
+ * Build the base URL for a tenant-owned custom domain.
+ * @param {string} hostname
+ * @returns {string} e.g. "https://shop.example.com"
+ */
+config.buildDomainUrl = function buildDomainUrl(hostname) {
+  return `${config.domains.tls ? 'https' : 'http'}://${hostname}`;
+};
+
 // Freeze to prevent runtime mutation
 Object.freeze(config.server);
 Object.freeze(config.database);
@@ -97,7 +286,26 @@ Object.freeze(config.kubernetes);
 Object.freeze(config.helm);
 Object.freeze(config.provisioning);
 Object.freeze(config.store);
+for (const plan of Object.values(config.plans.tiers)) {
+  Object.freeze(plan.resourceQuota);
+  Object.freeze(plan.limitRange);
+  Object.freeze(plan);
+}
+Object.freeze(config.plans.tiers);
+Object.freeze(config.plans);
+Object.freeze(config.backups);
+Object.freeze(config.domains);
+Object.freeze(config.billing.rates);
+Object.freeze(config.billing);
+Object.freeze(config.usage);
+Object.freeze(config.drift);
+Object.freeze(config.health);
+Object.freeze(config.webhooks);
+Object.freeze(config.storeEvents);
+Object.freeze(config.cluster);
 Object.freeze(config.jwt);
+Object.freeze(config.secrets);
+Object.freeze(config.credentials);
 Object.freeze(config.logging);
 
 module.exports = config;
@@ -0,0 +1,83 @@
+'use strict';
+
+const apiKeyService = require('../services/apiKeyService');
+const auditService = require('../services/auditService');
+const { securityEvents } = require('../utils/metrics');
+
+/**
+ * API Key Controller — thin HTTP layer for the caller's personal API keys.
+ * Every user, admins included, sees and manages only their own keys.
+ */
+
+/**
+ * GET /api/v1/api-keys
+ */
+async function listKeys(req, res, next) {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.user.id);
+    res.json({ requestId: req.requestId, apiKeys });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/api-keys
+ * Create a key. The key is only returned in this response.
+ */
+async function createKey(req, res, next) {
+  try {
+    const { apiKey, key } = await apiKeyService.createKey({ ...req.body, userId: req.user.id });
+
+    securityEvents.inc({ event_type: 'api_key_created' });
+    auditService.logSecurityEvent({
+      action: 'api_key_created',
+      email: req.user.email,
+      ip: req.ip,
+      message: `API key '${apiKey.name}' (${apiKey.keyPrefix}…) created with scopes ${apiKey.scopes.join(', ')}`,
+      metadata: { keyId: apiKey.id, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt },
+    }).catch(() => {}); // non-blocking
+
+    res.status(201).json({
+      requestId: req.requestId,
+      message: 'API key created. Store the key now — it is not shown again.',
+      apiKey,
+      key,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/v1/api-keys/:id
+ * Revoke a key; requests made with it fail from now on.
+ */
+async function revokeKey(req, res, next) {
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.user.id, req.params.id);
+
+    securityEvents.inc({ event_type: 'api_key_revoked' });
+    auditService.logSecurityEvent({
+      action: 'api_key_revoked',
+      email: req.user.email,
+      ip: req.ip,
+      message: `API key '${apiKey.name}' (${apiKey.keyPrefix}…) revoked`,
+      metadata: { keyId: apiKey.id },
+    }).catch(() => {}); // non-blocking
+
+    res.json({
+      requestId: req.requestId,
+      message: 'API key revoked.',
+      apiKey,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listKeys,
+  createKey,
+  revokeKey,
+};
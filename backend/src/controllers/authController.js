@@ -1,12 +1,15 @@
 'use strict';
 
 const userService = require('../services/userService');
+const sessionService = require('../services/sessionService');
 const storeRegistry = require('../services/storeRegistry');
 const storeSetupService = require('../services/storeSetupService');
 const auditService = require('../services/auditService');
+const secretsService = require('../services/secretsService');
 const { recordFailedAttempt, clearLockout } = require('../middleware/loginLimiter');
 const logger = require('../utils/logger').child('auth-controller');
 const { securityEvents } = require('../utils/metrics');
+const { NotFoundError, ValidationError } = require('../utils/errors');
 
 async function register(req, res, next) {
   try {
@@ -30,7 +33,7 @@ async function register(req, res, next) {
     const role = userCount === 0 ? 'admin' : 'tenant';
 
     const user = await userService.register({ email, username, password, role });
-    const token = userService.generateToken(user);
+    const { token, refreshToken } = await sessionService.startSession(user, clientInfo(req));
 
     logger.info('User registered', { userId: user.id, email: user.email, role });
 
@@ -54,6 +57,7 @@ async function register(req, res, next) {
         role: user.role,
       },
       token,
+      refreshToken,
     });
   } catch (err) {
     // Handle unique constraint violations
@@ -78,7 +82,7 @@ async function login(req, res, next) {
     const user = await userService.authenticate({ email, password });
 
     if (!user) {
-      recordFailedAttempt(email);
+      await recordFailedAttempt(email);
 
       // Audit failed login
       securityEvents.inc({ event_type: 'login_failed' });
@@ -100,8 +104,8 @@ async function login(req, res, next) {
     }
 
     // Successful login — clear any lockout state
-    clearLockout(email);
-    const token = userService.generateToken(user);
+    await clearLockout(email);
+    const { token, refreshToken } = await sessionService.startSession(user, clientInfo(req));
 
     logger.info('User logged in', { userId: user.id, email: user.email });
 
@@ -125,6 +129,7 @@ async function login(req, res, next) {
         role: user.role,
       },
       token,
+      refreshToken,
     });
   } catch (err) {
     next(err);
@@ -144,6 +149,102 @@ async function me(req, res) {
   });
 }
 
+/**
+ * POST /api/v1/auth/refresh
+ * Swap a refresh token for a new access token and refresh token.
+ */
+async function refresh(req, res, next) {
+  try {
+    const result = await sessionService.refresh(req.body.refreshToken, clientInfo(req));
+
+    if (!result) {
+      return res.status(401).json({
+        requestId: req.requestId,
+        error: {
+          code: 'INVALID_REFRESH_TOKEN',
+          message: 'Session expired or revoked. Please sign in again.',
+          retryable: false,
+        },
+      });
+    }
+
+    res.json({
+      requestId: req.requestId,
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/auth/logout
+ * End the session of the access token.
+ */
+async function logout(req, res, next) {
+  try {
+    await sessionService.revokeSession(req.user.id, req.sessionId, sessionService.REVOKE_REASONS.LOGOUT);
+
+    securityEvents.inc({ event_type: 'logout' });
+    auditService.logSecurityEvent({
+      action: 'logout',
+      email: req.user.email,
+      ip: req.ip,
+      message: `${req.user.email} signed out`,
+      metadata: { userId: req.user.id, sessionId: req.sessionId },
+    }).catch(() => {}); // non-blocking
+
+    res.json({ requestId: req.requestId, message: 'Signed out.' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/auth/sessions
+ * The user's active sessions; `current` marks the one making the request.
+ */
+async function listSessions(req, res, next) {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json({
+      requestId: req.requestId,
+      sessions: sessions.map((session) => formatSession(session, req.sessionId)),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/v1/auth/sessions/:id
+ * Sign one of the user's sessions out.
+ */
+async function revokeSession(req, res, next) {
+  try {
+    const session = await sessionService.revokeSession(req.user.id, req.params.id);
+
+    securityEvents.inc({ event_type: 'session_revoked' });
+    auditService.logSecurityEvent({
+      action: 'session_revoked',
+      email: req.user.email,
+      ip: req.ip,
+      message: `${req.user.email} revoked a session (${session.userAgent || 'unknown device'}, ${session.ip || 'unknown IP'})`,
+      metadata: { userId: req.user.id, sessionId: session.id },
+    }).catch(() => {}); // non-blocking
+
+    res.json({
+      requestId: req.requestId,
+      message: 'Session revoked.',
+      session: formatSession(session, req.sessionId),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * PATCH /api/v1/auth/password
  * Change the authenticated user's password and propagate to all owned Medusa stores.
@@ -156,6 +257,21 @@ async function changePassword(req, res, next) {
     // 1. Update control-plane password
     await userService.changePassword(userId, currentPassword, newPassword);
 
+    // Sign every session out; the caller continues in a fresh one
+    const sessionsRevoked = await sessionService.revokeAllSessions(
+      userId, sessionService.REVOKE_REASONS.PASSWORD_CHANGED
+    );
+    const { token, refreshToken } = await sessionService.startSession(req.user, clientInfo(req));
+
+    securityEvents.inc({ event_type: 'password_changed' });
+    auditService.logSecurityEvent({
+      action: 'password_changed',
+      email: req.user.email,
+      ip: req.ip,
+      message: `${req.user.email} changed their password; ${sessionsRevoked} session(s) signed out`,
+      metadata: { userId, sessionsRevoked },
+    }).catch(() => {}); // non-blocking
+
     // 2. Propagate to all owned stores that are ready (both engines)
     const { stores } = await storeRegistry.list({
       ownerId: userId,
@@ -167,7 +283,7 @@ async function changePassword(req, res, next) {
     const propagationResults = [];
     for (const store of stores) {
       try {
-        const creds = store.adminCredentials;
+        const creds = secretsService.openAdminCredentials(store);
         if (!creds || !creds.email) {
           logger.warn('Store missing admin credentials, skipping propagation', { storeId: store.id });
           propagationResults.push({ storeId: store.id, success: false, reason: 'no credentials' });
@@ -196,7 +312,7 @@ async function changePassword(req, res, next) {
         if (success) {
           // Update stored credentials with new password
           await storeRegistry.update(store.id, {
-            adminCredentials: { ...creds, password: newPassword },
+            adminCredentials: secretsService.sealAdminCredentials(store.id, { ...creds, password: newPassword }),
           });
         }
 
@@ -215,7 +331,9 @@ async function changePassword(req, res, next) {
 
     res.json({
       requestId: req.requestId,
-      message: 'Password changed successfully.',
+      message: 'Password changed successfully. Other sessions have been signed out.',
+      token,
+      refreshToken,
       propagation: {
         totalStores: stores.length,
         successful: propagationResults.filter(r => r.success).length,
@@ -238,9 +356,79 @@ async function changePassword(req, res, next) {
   }
 }
 
+/**
+ * PATCH /api/v1/auth/users/:id  (admin only)
+ * Activate or deactivate a user. Deactivation signs all their sessions out.
+ */
+async function setUserStatus(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    if (id === req.user.id && !isActive) {
+      throw new ValidationError('You cannot deactivate your own account.');
+    }
+
+    const user = await userService.setActive(id, isActive);
+    if (!user) throw new NotFoundError('User', id);
+
+    const sessionsRevoked = isActive
+      ? 0
+      : await sessionService.revokeAllSessions(id, sessionService.REVOKE_REASONS.DEACTIVATED);
+
+    const action = isActive ? 'user_activated' : 'user_deactivated';
+    securityEvents.inc({ event_type: action });
+    auditService.logSecurityEvent({
+      action,
+      email: user.email,
+      ip: req.ip,
+      message: isActive
+        ? `${req.user.email} activated ${user.email}`
+        : `${req.user.email} deactivated ${user.email}; ${sessionsRevoked} session(s) signed out`,
+      metadata: { userId: user.id, by: req.user.id, sessionsRevoked },
+    }).catch(() => {}); // non-blocking
+
+    res.json({
+      requestId: req.requestId,
+      message: isActive ? 'User activated.' : 'User deactivated.',
+      user: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        role: user.role,
+        isActive: user.isActive,
+      },
+      sessionsRevoked,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+function clientInfo(req) {
+  return { ip: req.ip, userAgent: req.get('user-agent') };
+}
+
+function formatSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId,
+  };
+}
+
 module.exports = {
   register,
   login,
   me,
+  refresh,
+  logout,
+  listSessions,
+  revokeSession,
   changePassword,
+  setUserStatus,
 };
@@ -0,0 +1,122 @@
+'use strict';
+
+const backupService = require('../services/backupService');
+
+/**
+ * Backup Controller — thin HTTP layer for per-store database backups.
+ * Store owners manage their own backups; admins can manage any store's.
+ */
+
+/**
+ * POST /api/v1/stores/:id/backups
+ * Start a database backup (async — returns 202).
+ */
+async function createBackup(req, res, next) {
+  try {
+    const backup = await backupService.createBackup(req.params.id, {
+      requestedBy: req.user.email,
+      correlationId: req.requestId,
+    });
+
+    res.status(202).json({
+      requestId: req.requestId,
+      message: 'Backup started.',
+      backup,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/stores/:id/backups
+ * List a store's backups, newest first.
+ */
+async function listBackups(req, res, next) {
+  try {
+    const { limit, offset } = req.query;
+    const result = await backupService.listBackups(req.params.id, { limit, offset });
+
+    res.json({
+      requestId: req.requestId,
+      storeId: req.params.id,
+      backups: result.backups,
+      total: result.total,
+      limit,
+      offset,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/stores/:id/backups/:backupId
+ */
+async function getBackup(req, res, next) {
+  try {
+    const backup = await backupService.getBackup(req.params.id, req.params.backupId);
+    res.json({ requestId: req.requestId, backup });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/v1/stores/:id/backups/:backupId
+ * Remove a backup and its stored artifact.
+ */
+async function deleteBackup(req, res, next) {
+  try {
+    const backup = await backupService.deleteBackup(req.params.id, req.params.backupId, {
+      requestedBy: req.user.email,
+    });
+
+    res.json({
+      requestId: req.requestId,
+      message: 'Backup deleted.',
+      backup,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/stores/:id/backups/retention
+ * Effective retention policy (override or platform default).
+ */
+async function getRetention(req, res, next) {
+  try {
+    const retention = await backupService.getRetention(req.params.id);
+    res.json({ requestId: req.requestId, retention });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PUT /api/v1/stores/:id/backups/retention
+ * Override retention for this store; backups outside the new policy are pruned.
+ */
+async function setRetention(req, res, next) {
+  try {
+    const retention = await backupService.setRetention(req.params.id, req.body, req.user.email);
+    res.json({
+      requestId: req.requestId,
+      message: 'Backup retention updated.',
+      retention,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  createBackup,
+  listBackups,
+  getBackup,
+  deleteBackup,
+  getRetention,
+  setRetention,
+};
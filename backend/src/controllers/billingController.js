@@ -0,0 +1,149 @@
+'use strict';
+
+const billingService = require('../services/billingService');
+
+/**
+ * Billing Controller — thin HTTP layer for invoices.
+ * Owners see and pay their own invoices; generating, finalizing and voiding
+ * are admin only (enforced at the router level).
+ */
+
+/**
+ * Load the invoice and enforce tenant isolation.
+ * Sends 403 and returns null when the caller may not see it.
+ */
+async function authorizeInvoice(req, res) {
+  const invoice = await billingService.getInvoice(req.params.id);
+  if (req.user.role !== 'admin' && invoice.ownerId !== req.user.id) {
+    res.status(403).json({
+      requestId: req.requestId,
+      error: { code: 'FORBIDDEN', message: 'Access denied.', retryable: false },
+    });
+    return null;
+  }
+  return invoice;
+}
+
+/**
+ * GET /api/v1/billing/invoices
+ * Tenants get their own invoices; admins can filter by owner.
+ */
+async function listInvoices(req, res, next) {
+  try {
+    const { status, period, ownerId, limit, offset } = req.query;
+    const isAdmin = req.user.role === 'admin';
+
+    const result = await billingService.listInvoices({
+      ownerId: isAdmin ? ownerId : req.user.id,
+      status,
+      period,
+      limit,
+      offset,
+    });
+
+    res.json({
+      requestId: req.requestId,
+      invoices: result.invoices,
+      total: result.total,
+      limit,
+      offset,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/billing/invoices/:id
+ * Invoice with its line items.
+ */
+async function getInvoice(req, res, next) {
+  try {
+    const invoice = await authorizeInvoice(req, res);
+    if (!invoice) return;
+
+    res.json({ requestId: req.requestId, invoice });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/billing/invoices/:id/pay
+ * Charge an open invoice through the payment provider.
+ */
+async function payInvoice(req, res, next) {
+  try {
+    if (!(await authorizeInvoice(req, res))) return;
+
+    const invoice = await billingService.payInvoice(req.params.id, { requestedBy: req.user.email });
+    res.json({ requestId: req.requestId, message: 'Invoice paid.', invoice });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/billing/invoices/generate
+ * Compute draft invoices for a month from usage samples (optionally issue them).
+ */
+async function generateInvoices(req, res, next) {
+  try {
+    const { period, ownerId, finalize } = req.body;
+    const result = await billingService.generateInvoices({ period, ownerId, requestedBy: req.user.email });
+
+    let invoices = result.invoices;
+    if (finalize) {
+      invoices = [];
+      for (const invoice of result.invoices) {
+        invoices.push(await billingService.finalizeInvoice(invoice.id, { requestedBy: req.user.email }));
+      }
+    }
+
+    res.status(201).json({
+      requestId: req.requestId,
+      message: `${result.created} invoice(s) created, ${result.updated} recomputed, ${result.skipped} already issued.`,
+      ...result,
+      invoices,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/billing/invoices/:id/finalize
+ * Issue a draft invoice and try to collect it.
+ */
+async function finalizeInvoice(req, res, next) {
+  try {
+    const invoice = await billingService.finalizeInvoice(req.params.id, { requestedBy: req.user.email });
+    res.json({ requestId: req.requestId, message: `Invoice ${invoice.number} issued.`, invoice });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/billing/invoices/:id/void
+ */
+async function voidInvoice(req, res, next) {
+  try {
+    const invoice = await billingService.voidInvoice(req.params.id, {
+      requestedBy: req.user.email,
+      reason: req.body.reason,
+    });
+    res.json({ requestId: req.requestId, message: 'Invoice voided.', invoice });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listInvoices,
+  getInvoice,
+  payInvoice,
+  generateInvoices,
+  finalizeInvoice,
+  voidInvoice,
+};
@@ -0,0 +1,175 @@
+'use strict';
+
+const config = require('../config');
+const credentialRotationService = require('../services/credentialRotationService');
+const secretsService = require('../services/secretsService');
+const userService = require('../services/userService');
+const auditService = require('../services/auditService');
+const { recordFailedAttempt } = require('../middleware/loginLimiter');
+const { NotFoundError } = require('../utils/errors');
+const { securityEvents } = require('../utils/metrics');
+
+/**
+ * Credential Controller — thin HTTP layer for a store's admin credentials.
+ * Only the store owner can reveal them. Store owners rotate their own
+ * stores' passwords; admins any store's.
+ */
+
+/**
+ * POST /api/v1/stores/:id/credentials/reveal
+ * Decrypt the store admin credentials for its owner, who re-enters their password.
+ */
+async function revealCredentials(req, res, next) {
+  try {
+    const { store } = req;
+
+    if (store.ownerId !== req.user.id) {
+      return res.status(403).json({
+        requestId: req.requestId,
+        error: { code: 'FORBIDDEN', message: 'Only the store owner can reveal its credentials.', retryable: false },
+      });
+    }
+
+    if (!(await userService.verifyPassword(req.user.id, req.body.password))) {
+      // Counts toward the same lockout as failed logins
+      await recordFailedAttempt(req.user.email);
+
+      securityEvents.inc({ event_type: 'credentials_reveal_failed' });
+      auditService.logSecurityEvent({
+        action: 'credentials_reveal_failed',
+        email: req.user.email,
+        ip: req.ip,
+        storeId: store.id,
+        message: `Wrong password when revealing the credentials of store ${store.id}`,
+      }).catch(() => {}); // non-blocking
+
+      return res.status(401).json({
+        requestId: req.requestId,
+        error: { code: 'INVALID_CREDENTIALS', message: 'Password is incorrect.', retryable: false },
+      });
+    }
+
+    const credentials = secretsService.openAdminCredentials(store);
+    if (!credentials) {
+      throw new NotFoundError('Admin credentials', store.id);
+    }
+
+    securityEvents.inc({ event_type: 'credentials_revealed' });
+    await auditService.logSecurityEvent({
+      action: 'credentials_revealed',
+      email: req.user.email,
+      ip: req.ip,
+      storeId: store.id,
+      message: `Admin credentials of store ${store.id} revealed to ${req.user.email}`,
+    });
+
+    const ttlSeconds = config.credentials.revealTtlSeconds;
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+    res.json({
+      requestId: req.requestId,
+      credentials,
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+      ttlSeconds,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/stores/:id/credentials/rotate
+ * Set a new admin password (and database password) on the store (async — returns 202).
+ */
+async function rotateCredentials(req, res, next) {
+  try {
+    const { store } = req;
+
+    // An admin rotating someone else's store gets a generated password, so
+    // they never choose a password the owner would then have to use
+    if (req.body.password && store.ownerId !== req.user.id) {
+      return res.status(403).json({
+        requestId: req.requestId,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only the store owner can choose the new password. Omit it to generate one.',
+          retryable: false,
+        },
+      });
+    }
+
+    const rotation = await credentialRotationService.rotateCredentials(req.params.id, {
+      password: req.body.password,
+      rotateDatabase: req.body.database,
+      requestedBy: req.user.email,
+      correlationId: req.requestId,
+    });
+
+    res.status(202).json({
+      requestId: req.requestId,
+      message: 'Credential rotation started.',
+      rotation,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/stores/:id/credentials/rotations
+ * List a store's rotations, newest first.
+ */
+async function listRotations(req, res, next) {
+  try {
+    const { limit, offset } = req.query;
+    const result = await credentialRotationService.listRotations(req.params.id, { limit, offset });
+
+    res.json({
+      requestId: req.requestId,
+      storeId: req.params.id,
+      rotations: result.rotations,
+      total: result.total,
+      limit,
+      offset,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/stores/:id/credentials/rotation-policy
+ */
+async function getRotationPolicy(req, res, next) {
+  try {
+    const policy = await credentialRotationService.getPolicy(req.params.id);
+    res.json({ requestId: req.requestId, policy });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PUT /api/v1/stores/:id/credentials/rotation-policy
+ * Rotate every intervalDays days, or never (null).
+ */
+async function setRotationPolicy(req, res, next) {
+  try {
+    const policy = await credentialRotationService.setPolicy(req.params.id, req.body, req.user.email);
+    res.json({
+      requestId: req.requestId,
+      message: 'Credential rotation policy updated.',
+      policy,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  revealCredentials,
+  rotateCredentials,
+  listRotations,
+  getRotationPolicy,
+  setRotationPolicy,
+};
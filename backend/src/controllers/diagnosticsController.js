@@ -0,0 +1,94 @@
+'use strict';
+
+const diagnosticsService = require('../services/diagnosticsService');
+
+/**
+ * Diagnostics Controller — thin HTTP layer over a store's pods, container
+ * logs and Kubernetes events. Store owners see their own stores; admins see
+ * every store.
+ */
+
+/**
+ * GET /api/v1/stores/:id/pods
+ * Pods of the store namespace with phase, restarts and container states.
+ */
+async function listPods(req, res, next) {
+  try {
+    const { store } = req;
+
+    const pods = await diagnosticsService.listPods(store);
+    res.json({ requestId: req.requestId, storeId: store.id, namespace: store.namespace, pods });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/stores/:id/pods/:pod/logs
+ * Recent log lines as JSON, or with `follow=true` a plain-text stream that
+ * stays open until the container stops or the client disconnects.
+ */
+async function getPodLogs(req, res, next) {
+  try {
+    const { store } = req;
+
+    const { container, tailLines, sinceSeconds, previous, follow } = req.query;
+
+    if (!follow) {
+      const result = await diagnosticsService.getPodLogs(store, req.params.pod, {
+        container, tailLines, sinceSeconds, previous,
+      });
+      return res.json({ requestId: req.requestId, ...result });
+    }
+
+    let closed = false;
+    let stream = null;
+    res.on('close', () => {
+      closed = true;
+      if (stream) stream.abort();
+    });
+
+    // The stream stays open for as long as the client follows it
+    req.setTimeout(0);
+    res.set({
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'X-Accel-Buffering': 'no',
+    });
+    stream = await diagnosticsService.followPodLogs(store, req.params.pod, res, {
+      container, tailLines, sinceSeconds,
+    });
+    if (closed || res.writableEnded) {
+      stream.abort();
+      return;
+    }
+    // Send the headers now that the stream is open. The app-wide request
+    // timeout answers 408 to any request whose headers are unsent, and a
+    // quiet container may write nothing for longer than that
+    res.status(200);
+    res.flushHeaders();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/stores/:id/k8s-events
+ * Kubernetes events of the store namespace, newest first.
+ */
+async function listK8sEvents(req, res, next) {
+  try {
+    const { store } = req;
+
+    const events = await diagnosticsService.listEvents(store, req.query);
+    res.json({ requestId: req.requestId, storeId: store.id, namespace: store.namespace, events });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listPods,
+  getPodLogs,
+  listK8sEvents,
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+const domainService = require('../services/domainService');
+
+/**
+ * Domain Controller — thin HTTP layer for tenant-owned custom domains.
+ * Store owners manage their own domains; admins can manage any store's.
+ */
+
+/**
+ * GET /api/v1/stores/:id/domains
+ */
+async function listDomains(req, res, next) {
+  try {
+    const domains = await domainService.listDomains(req.params.id);
+    res.json({ requestId: req.requestId, storeId: req.params.id, domains });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/stores/:id/domains
+ * Attach a domain; the response carries the TXT record that proves ownership.
+ */
+async function addDomain(req, res, next) {
+  try {
+    const domain = await domainService.addDomain(req.params.id, {
+      hostname: req.body.hostname,
+      requestedBy: req.user.email,
+    });
+
+    res.status(201).json({
+      requestId: req.requestId,
+      message: 'Domain added. Publish the TXT record, then verify.',
+      domain,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/stores/:id/domains/:domainId/verify
+ * Check DNS and route the domain (ingress update is async — returns 202).
+ */
+async function verifyDomain(req, res, next) {
+  try {
+    const domain = await domainService.verifyDomain(req.params.id, req.params.domainId, {
+      requestedBy: req.user.email,
+      correlationId: req.requestId,
+    });
+
+    res.status(domain.status === 'active' ? 200 : 202).json({
+      requestId: req.requestId,
+      message: domain.status === 'active'
+        ? 'Domain is already active.'
+        : 'Domain verified. The store ingress is being updated.',
+      domain,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/stores/:id/domains/:domainId/primary
+ * Serve the store from this domain (URL update is async — returns 202).
+ */
+async function setPrimaryDomain(req, res, next) {
+  try {
+    const domain = await domainService.setPrimary(req.params.id, req.params.domainId, {
+      requestedBy: req.user.email,
+      correlationId: req.requestId,
+    });
+
+    res.status(202).json({
+      requestId: req.requestId,
+      message: 'Primary domain set. Store URLs are being updated.',
+      domain,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/v1/stores/:id/domains/:domainId
+ */
+async function removeDomain(req, res, next) {
+  try {
+    const domain = await domainService.removeDomain(req.params.id, req.params.domainId, {
+      requestedBy: req.user.email,
+      correlationId: req.requestId,
+    });
+
+    res.json({
+      requestId: req.requestId,
+      message: 'Domain removed.',
+      domain,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listDomains,
+  addDomain,
+  verifyDomain,
+  setPrimaryDomain,
+  removeDomain,
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+const driftService = require('../services/driftService');
+
+/**
+ * Drift Controller — thin HTTP layer for drift findings between the stores
+ * table and the cluster. Admin-only — enforced at the router level.
+ */
+
+/**
+ * GET /api/v1/drift/findings
+ * List findings (open ones by default), most recently seen first.
+ */
+async function listFindings(req, res, next) {
+  try {
+    const { status, kind, limit, offset } = req.query;
+    const result = await driftService.listFindings({ status, kind, limit, offset });
+
+    res.json({
+      requestId: req.requestId,
+      findings: result.findings,
+      total: result.total,
+      limit,
+      offset,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/drift/findings/:id
+ */
+async function getFinding(req, res, next) {
+  try {
+    const finding = await driftService.getFinding(req.params.id);
+    res.json({ requestId: req.requestId, finding });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/drift/reconcile
+ * Run a reconcile pass now instead of waiting for the next scheduled one.
+ */
+async function reconcile(req, res, next) {
+  try {
+    const summary = await driftService.reconcileNow();
+    res.json({ requestId: req.requestId, summary });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/drift/findings/:id/adopt
+ * Register an orphaned namespace as a store.
+ */
+async function adoptFinding(req, res, next) {
+  try {
+    const { finding, store } = await driftService.adoptFinding(req.params.id, {
+      ...req.body,
+      requestedBy: req.user.email,
+    });
+    res.json({
+      requestId: req.requestId,
+      message: `Namespace adopted as store '${store.id}'.`,
+      finding,
+      store,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/drift/findings/:id/repair
+ * Re-provision the store, or re-apply its chart when only pods are unhealthy
+ * (async — returns 202).
+ */
+async function repairFinding(req, res, next) {
+  try {
+    const { finding, store } = await driftService.repairFinding(req.params.id, {
+      requestedBy: req.user.email,
+      correlationId: req.requestId,
+    });
+    res.status(202).json({
+      requestId: req.requestId,
+      message: `Repair of store '${store.id}' initiated.`,
+      finding,
+      store,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/drift/findings/:id/gc
+ * Delete an orphaned namespace, or a store whose cluster resources are gone.
+ */
+async function collectFinding(req, res, next) {
+  try {
+    const { finding, store } = await driftService.collectFinding(req.params.id, {
+      requestedBy: req.user.email,
+    });
+    res.json({
+      requestId: req.requestId,
+      message: store ? `Store '${store.id}' deletion initiated.` : `Namespace '${finding.namespace}' deleted.`,
+      finding,
+      ...(store ? { store } : {}),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listFindings,
+  getFinding,
+  reconcile,
+  adoptFinding,
+  repairFinding,
+  collectFinding,
+};
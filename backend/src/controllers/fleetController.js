@@ -0,0 +1,87 @@
+'use strict';
+
+const fleetService = require('../services/fleetService');
+
+/**
+ * Fleet Controller — thin HTTP layer for fleet-wide rollouts.
+ * Admin-only — enforced at the router level.
+ */
+
+/**
+ * POST /api/v1/fleet/rollouts
+ * Start a canary-first batch upgrade (async — returns 202).
+ */
+async function createRollout(req, res, next) {
+  try {
+    const rollout = await fleetService.startRollout({
+      ...req.body,
+      requestedBy: req.user.email,
+    });
+
+    res.status(202).json({
+      requestId: req.requestId,
+      message: `Fleet rollout started for ${rollout.totalStores} store(s).`,
+      rollout,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/fleet/rollouts
+ * List rollouts, newest first.
+ */
+async function listRollouts(req, res, next) {
+  try {
+    const { limit, offset } = req.query;
+    const result = await fleetService.listRollouts({ limit, offset });
+
+    res.json({
+      requestId: req.requestId,
+      rollouts: result.rollouts,
+      total: result.total,
+      limit,
+      offset,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/fleet/rollouts/:id
+ * Rollout progress with per-store outcomes.
+ */
+async function getRollout(req, res, next) {
+  try {
+    const rollout = await fleetService.getRollout(req.params.id);
+    res.json({ requestId: req.requestId, rollout });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/fleet/rollouts/:id/halt
+ * Stop a running rollout after its current wave.
+ */
+async function haltRollout(req, res, next) {
+  try {
+    const rollout = await fleetService.requestHalt(req.params.id, req.user.email);
+    res.status(202).json({
+      requestId: req.requestId,
+      message: 'Rollout will halt after the current wave.',
+      rollout,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  createRollout,
+  listRollouts,
+  getRollout,
+  haltRollout,
+};
@@ -1,6 +1,8 @@
 'use strict';
 
 const provisionerService = require('../services/provisionerService');
+const plans = require('../models/plans');
+const failureClassifier = require('../services/failureClassifier');
 
 /**
  * Store Controller — handles HTTP request/response for store operations.
@@ -14,11 +16,13 @@ const provisionerService = require('../services/provisionerService');
  */
 async function createStore(req, res, next) {
   try {
-    const { name, engine, theme, password } = req.body;
+    const { name, engine, theme, password, backupId, plan } = req.body;
     // Owner is ALWAYS derived from the authenticated user — never from client input
     const ownerId = req.user.id;
 
-    const store = await provisionerService.createStore({ name, engine, ownerId, theme, tenantPassword: password, correlationId: req.requestId });
+    const store = await provisionerService.createStore({
+      name, engine, ownerId, theme, tenantPassword: password, backupId, plan, correlationId: req.requestId,
+    });
 
     res.status(202).json({
       requestId: req.requestId,
@@ -62,23 +66,37 @@ async function listStores(req, res, next) {
 
 /**
  * GET /api/v1/stores/:id
- * Get a single store by ID.
+ * Get a single store by ID (loaded by authorizeStore).
  */
 async function getStore(req, res, next) {
   try {
-    const store = await provisionerService.getStore(req.params.id);
-
-    // Tenants can only view their own stores
-    if (req.user.role !== 'admin' && store.ownerId !== req.user.id) {
-      return res.status(403).json({
-        requestId: req.requestId,
-        error: { code: 'FORBIDDEN', message: 'Access denied.', retryable: false },
-      });
-    }
+    const { store } = req;
+    const [clones, timeline] = await Promise.all([
+      provisionerService.listClones(store.id),
+      provisionerService.getProvisioningTimeline(store.id),
+    ]);
 
     res.json({
       requestId: req.requestId,
-      store: formatStoreResponse(store, req.user),
+      store: {
+        ...formatStoreResponse(store, req.user),
+        clones: clones.map(clone => ({
+          id: clone.id,
+          name: clone.name,
+          status: clone.status,
+          createdAt: clone.createdAt,
+        })),
+        provisioningTimeline: timeline.map(step => ({
+          attempt: step.attempt,
+          phase: step.phase,
+          status: step.status,
+          startedAt: step.startedAt,
+          completedAt: step.completedAt,
+          durationMs: step.durationMs,
+          error: step.error,
+          result: step.result,
+        })),
+      },
     });
   } catch (err) {
     next(err);
@@ -91,15 +109,6 @@ async function getStore(req, res, next) {
  */
 async function deleteStore(req, res, next) {
   try {
-    // Verify ownership first
-    const existing = await provisionerService.getStore(req.params.id);
-    if (req.user.role !== 'admin' && existing.ownerId !== req.user.id) {
-      return res.status(403).json({
-        requestId: req.requestId,
-        error: { code: 'FORBIDDEN', message: 'Access denied.', retryable: false },
-      });
-    }
-
     const store = await provisionerService.deleteStore(req.params.id);
 
     res.status(202).json({
@@ -114,23 +123,140 @@ async function deleteStore(req, res, next) {
 
 /**
  * POST /api/v1/stores/:id/retry
- * Retry a failed store provisioning.
+ * Retry a failed store provisioning. Resumes at the failed phase unless the
+ * body sets fromScratch; `force` overrides a not-retryable failure class.
  */
 async function retryStore(req, res, next) {
   try {
-    const existing = await provisionerService.getStore(req.params.id);
-    if (req.user.role !== 'admin' && existing.ownerId !== req.user.id) {
-      return res.status(403).json({
-        requestId: req.requestId,
-        error: { code: 'FORBIDDEN', message: 'Access denied.', retryable: false },
-      });
-    }
+    const fromScratch = Boolean(req.body && req.body.fromScratch);
+    const force = Boolean(req.body && req.body.force);
+    const store = await provisionerService.retryStore(req.params.id, { fromScratch, force });
+
+    res.status(202).json({
+      requestId: req.requestId,
+      message: fromScratch
+        ? 'Store retry initiated. Provisioning will restart from the first phase.'
+        : 'Store retry initiated. Provisioning will resume at the failed phase.',
+      store: formatStoreResponse(store, req.user),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/stores/:id/suspend
+ * Scale a ready store to zero, keeping its data (async — returns 202).
+ * Admin-only — enforced at the route level.
+ */
+async function suspendStore(req, res, next) {
+  try {
+    const store = await provisionerService.suspendStore(req.params.id, {
+      reason: req.body?.reason,
+      requestedBy: req.user.email,
+    });
+
+    res.status(202).json({
+      requestId: req.requestId,
+      message: 'Store suspension initiated.',
+      store: formatStoreResponse(store, req.user),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/stores/:id/resume
+ * Bring a suspended store back online (async — returns 202).
+ * Admin-only — enforced at the route level.
+ */
+async function resumeStore(req, res, next) {
+  try {
+    const store = await provisionerService.resumeStore(req.params.id, {
+      requestedBy: req.user.email,
+    });
+
+    res.status(202).json({
+      requestId: req.requestId,
+      message: 'Store resume initiated.',
+      store: formatStoreResponse(store, req.user),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/stores/:id/upgrade
+ * Re-apply the current Helm chart to a ready store (async — returns 202).
+ * Failed upgrades are rolled back automatically; progress is in the store logs.
+ * Admin-only — enforced at the route level.
+ */
+async function upgradeStore(req, res, next) {
+  try {
+    const store = await provisionerService.upgradeStore(req.params.id, {
+      reason: req.body?.reason,
+      requestedBy: req.user.email,
+      correlationId: req.requestId,
+    });
+
+    res.status(202).json({
+      requestId: req.requestId,
+      message: 'Store upgrade initiated.',
+      store: formatStoreResponse(store, req.user),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/v1/stores/:id/plan
+ * Resize a ready store to another plan (async — returns 202).
+ * A resize that does not come up healthy is rolled back like an upgrade.
+ */
+async function changePlan(req, res, next) {
+  try {
+    const store = await provisionerService.changePlan(req.params.id, {
+      plan: req.body.plan,
+      requestedBy: req.user.email,
+      correlationId: req.requestId,
+    });
 
-    const store = await provisionerService.retryStore(req.params.id);
+    res.status(202).json({
+      requestId: req.requestId,
+      message: `Plan change to '${req.body.plan}' initiated.`,
+      store: formatStoreResponse(store, req.user),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/stores/plans
+ * Available store plans with their resource sizes and per-user limits.
+ */
+function listPlans(req, res) {
+  res.json({ requestId: req.requestId, plans: plans.listPlans() });
+}
+
+/**
+ * POST /api/v1/stores/:id/restore
+ * Overwrite a ready store's data with one of its backups (async — returns 202).
+ */
+async function restoreStore(req, res, next) {
+  try {
+    const store = await provisionerService.restoreStore(req.params.id, {
+      backupId: req.body.backupId,
+      requestedBy: req.user.email,
+      correlationId: req.requestId,
+    });
 
     res.status(202).json({
       requestId: req.requestId,
-      message: 'Store retry initiated. Provisioning will restart.',
+      message: 'Store restore initiated.',
       store: formatStoreResponse(store, req.user),
     });
   } catch (err) {
@@ -138,21 +264,55 @@ async function retryStore(req, res, next) {
   }
 }
 
+/**
+ * POST /api/v1/stores/:id/clone
+ * Provision a staging copy of a ready store (async — returns 202 with the clone).
+ */
+async function cloneStore(req, res, next) {
+  try {
+    const clone = await provisionerService.cloneStore(req.params.id, {
+      name: req.body?.name,
+      requestedBy: req.user.email,
+      correlationId: req.requestId,
+    });
+
+    res.status(202).json({
+      requestId: req.requestId,
+      message: 'Store clone initiated. Provisioning is in progress.',
+      store: formatStoreResponse(clone, req.user),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/stores/:id/promote
+ * Copy a clone's data back onto its source store (async — returns 202 with the source).
+ */
+async function promoteStore(req, res, next) {
+  try {
+    const source = await provisionerService.promoteClone(req.params.id, {
+      requestedBy: req.user.email,
+      correlationId: req.requestId,
+    });
+
+    res.status(202).json({
+      requestId: req.requestId,
+      message: 'Promotion initiated. The source store is being restored from the clone.',
+      store: formatStoreResponse(source, req.user),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * GET /api/v1/stores/:id/logs
  * Get activity logs for a store.
  */
 async function getStoreLogs(req, res, next) {
   try {
-    // Verify ownership before returning logs
-    const store = await provisionerService.getStore(req.params.id);
-    if (req.user.role !== 'admin' && store.ownerId !== req.user.id) {
-      return res.status(403).json({
-        requestId: req.requestId,
-        error: { code: 'FORBIDDEN', message: 'Access denied.', retryable: false },
-      });
-    }
-
     const { limit, offset } = req.query;
     const result = await provisionerService.getStoreLogs(req.params.id, {
       limit: parseInt(limit, 10) || 100,
@@ -173,8 +333,8 @@ async function getStoreLogs(req, res, next) {
 /**
  * Format a store record for API response.
  * Strips internal fields, structures URLs, adds computed fields.
- * Admin credentials are only visible to the store owner — platform admins
- * see masked values to protect tenant security.
+ * Admin credentials are never included — the owner reveals them on demand
+ * after re-entering their password.
  * @param {Object} store
  * @param {Object} [requestingUser] - The authenticated user making the request
  * @returns {Object}
@@ -182,40 +342,34 @@ async function getStoreLogs(req, res, next) {
 function formatStoreResponse(store, requestingUser) {
   const isOwner = requestingUser && store.ownerId === requestingUser.id;
 
-  // Mask credentials for non-owners (platform admins should not see tenant passwords)
-  let adminCredentials = null;
-  if (store.adminCredentials) {
-    if (isOwner) {
-      // Owner sees full credentials
-      adminCredentials = store.adminCredentials;
-    } else {
-      // Non-owner (platform admin) sees masked credentials
-      adminCredentials = {
-        ...store.adminCredentials,
-        password: store.adminCredentials.password ? '••••••••' : null,
-        email: store.adminCredentials.email
-          ? store.adminCredentials.email.replace(/^(.{2}).+(@.+)$/, '$1****$2')
-          : null,
-      };
-    }
-  }
-
   return {
     id: store.id,
     name: store.name,
     engine: store.engine,
     status: store.status,
     theme: store.theme || null,
+    plan: store.plan,
     urls: {
       storefront: store.storefrontUrl || null,
       admin: store.adminUrl || null,
     },
     namespace: store.namespace,
-    adminCredentials,
+    // Credentials themselves only via POST /stores/:id/credentials/reveal
+    hasAdminCredentials: Boolean(store.adminCredentials && Object.keys(store.adminCredentials).length > 0),
     isCredentialOwner: isOwner,
     failureReason: store.failureReason || null,
+    failure: store.failureCode ? failureClassifier.describe(store.failureCode, store.failureEvidence) : null,
     retryCount: store.retryCount,
+    nextRetryAt: store.status === 'failed' ? store.nextRetryAt : null,
     provisioningDurationMs: store.provisioningDurationMs || null,
+    suspendedAt: store.suspendedAt || null,
+    degradedAt: store.status === 'degraded' ? store.degradedAt : null,
+    degradedReason: store.status === 'degraded' ? store.degradedReason : null,
+    chartVersion: store.chartVersion || null,
+    lastUpgradedAt: store.lastUpgradedAt || null,
+    restoreBackupId: store.restoreBackupId || null,
+    lastRestoredAt: store.lastRestoredAt || null,
+    clonedFrom: store.clonedFrom || null,
     createdAt: store.createdAt,
     updatedAt: store.updatedAt,
   };
@@ -227,5 +381,13 @@ module.exports = {
   getStore,
   deleteStore,
   retryStore,
+  suspendStore,
+  resumeStore,
+  upgradeStore,
+  changePlan,
+  listPlans,
+  restoreStore,
+  cloneStore,
+  promoteStore,
   getStoreLogs,
 };
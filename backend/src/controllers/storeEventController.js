@@ -0,0 +1,66 @@
+'use strict';
+
+const config = require('../config');
+const storeEventService = require('../services/storeEventService');
+
+/**
+ * Store Event Controller — Server-Sent Events stream of a store's live feed.
+ * Store owners see their own stores; admins see every store.
+ */
+
+// Client reconnect delay announced at the start of each stream
+const RECONNECT_MS = 3000;
+
+/**
+ * Last event the client has, from the Last-Event-ID header (sent by
+ * EventSource on reconnect) or the lastEventId query parameter.
+ * @returns {number|null}
+ */
+function lastEventId(req) {
+  const header = req.get('Last-Event-ID');
+  if (header !== undefined && /^\d+$/.test(header.trim())) return Number(header.trim());
+  return req.query.lastEventId !== undefined ? req.query.lastEventId : null;
+}
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * GET /api/v1/stores/:id/events
+ * Streams `status`, `phase` and `audit` events. Without Last-Event-ID the
+ * stream starts at the store's latest status change.
+ */
+function streamEvents(req, res) {
+  const { store } = req;
+
+  // The stream stays open until the client leaves
+  req.setTimeout(0);
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  const stream = storeEventService.follow(store.id, {
+    afterId: lastEventId(req),
+    onEvents: (events) => res.write(events.map(formatEvent).join('')),
+    onClose: () => res.end(),
+  });
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.storeEvents.heartbeatMs);
+  heartbeat.unref();
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    stream.stop();
+  });
+}
+
+module.exports = {
+  streamEvents,
+};
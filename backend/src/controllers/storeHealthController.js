@@ -0,0 +1,26 @@
+'use strict';
+
+const storeHealthService = require('../services/storeHealthService');
+
+/**
+ * Store Health Controller — thin HTTP layer for the health prober's results.
+ * Store owners see their own stores; admins see every store.
+ */
+
+/**
+ * GET /api/v1/stores/:id/health
+ * Uptime percentage over the window and the most recent probes.
+ */
+async function getStoreHealth(req, res, next) {
+  try {
+    const { store } = req;
+    const health = await storeHealthService.getStoreHealth(store, req.query);
+    res.json({ requestId: req.requestId, storeId: store.id, ...health });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getStoreHealth,
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+const usageService = require('../services/usageService');
+
+/**
+ * Usage Controller — thin HTTP layer for resource usage reports.
+ * Store owners see their own stores; the platform-wide rollup is admin only
+ * (enforced at the router level).
+ */
+
+/**
+ * GET /api/v1/stores/:id/usage
+ * Hourly or daily usage of one store, plus totals for the range.
+ */
+async function getStoreUsage(req, res, next) {
+  try {
+    const { store } = req;
+    const usage = await usageService.getStoreUsage(store.id, req.query);
+    res.json({ requestId: req.requestId, storeId: store.id, plan: store.plan, ...usage });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/usage
+ * Usage per store and plan across the platform. `format=csv` downloads the rows.
+ */
+async function getUsageRollup(req, res, next) {
+  try {
+    const { format, ...filters } = req.query;
+    const rollup = await usageService.getUsageRollup(filters);
+
+    if (format === 'csv') {
+      const day = (date) => date.toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="usage-${day(rollup.from)}-${day(rollup.to)}.csv"`);
+      return res.send(usageService.toCsv(rollup.stores));
+    }
+
+    res.json({ requestId: req.requestId, ...rollup });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getStoreUsage,
+  getUsageRollup,
+};
@@ -0,0 +1,148 @@
+'use strict';
+
+const webhookService = require('../services/webhookService');
+
+/**
+ * Webhook Controller — thin HTTP layer for webhook endpoints and their
+ * delivery log. Tenants manage their own endpoints; admins manage any.
+ */
+
+/**
+ * Load the endpoint and enforce tenant isolation.
+ * Sends 403 and returns null when the caller may not see it.
+ */
+async function authorizeEndpoint(req, res) {
+  const endpoint = await webhookService.getEndpoint(req.params.id);
+  if (req.user.role !== 'admin' && endpoint.ownerId !== req.user.id) {
+    res.status(403).json({
+      requestId: req.requestId,
+      error: { code: 'FORBIDDEN', message: 'Access denied.', retryable: false },
+    });
+    return null;
+  }
+  return endpoint;
+}
+
+/**
+ * GET /api/v1/webhooks
+ * Tenants get their own endpoints; admins get every endpoint, or one owner's.
+ */
+async function listEndpoints(req, res, next) {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const endpoints = await webhookService.listEndpoints({
+      ownerId: isAdmin ? req.query.ownerId : req.user.id,
+    });
+    res.json({ requestId: req.requestId, endpoints });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/webhooks
+ * Register an endpoint. The signing secret is only returned in this response.
+ */
+async function createEndpoint(req, res, next) {
+  try {
+    const { endpoint, secret } = await webhookService.createEndpoint({
+      ...req.body,
+      ownerId: req.user.id,
+      isAdmin: req.user.role === 'admin',
+    });
+    res.status(201).json({
+      requestId: req.requestId,
+      message: 'Webhook registered. Store the secret now — it is not shown again.',
+      endpoint,
+      secret,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/webhooks/:id
+ */
+async function getEndpoint(req, res, next) {
+  try {
+    const endpoint = await authorizeEndpoint(req, res);
+    if (!endpoint) return;
+
+    res.json({ requestId: req.requestId, endpoint });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/v1/webhooks/:id
+ * Change the URL, events, description, or enable/disable the endpoint.
+ */
+async function updateEndpoint(req, res, next) {
+  try {
+    if (!(await authorizeEndpoint(req, res))) return;
+
+    const endpoint = await webhookService.updateEndpoint(req.params.id, req.body, {
+      isAdmin: req.user.role === 'admin',
+    });
+    res.json({ requestId: req.requestId, endpoint });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/v1/webhooks/:id
+ */
+async function deleteEndpoint(req, res, next) {
+  try {
+    if (!(await authorizeEndpoint(req, res))) return;
+
+    await webhookService.deleteEndpoint(req.params.id);
+    res.json({ requestId: req.requestId, message: 'Webhook removed.' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/webhooks/:id/deliveries
+ * Delivery log of an endpoint, newest first.
+ */
+async function listDeliveries(req, res, next) {
+  try {
+    if (!(await authorizeEndpoint(req, res))) return;
+
+    const { status, limit, offset } = req.query;
+    const result = await webhookService.listDeliveries(req.params.id, { status, limit, offset });
+    res.json({ requestId: req.requestId, ...result, limit, offset });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/webhooks/:id/deliveries/:deliveryId/replay
+ * Send a past delivery's payload again.
+ */
+async function replayDelivery(req, res, next) {
+  try {
+    if (!(await authorizeEndpoint(req, res))) return;
+
+    const delivery = await webhookService.replayDelivery(req.params.id, req.params.deliveryId);
+    res.status(202).json({ requestId: req.requestId, message: 'Delivery replay queued.', delivery });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listEndpoints,
+  createEndpoint,
+  getEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  listDeliveries,
+  replayDelivery,
+};
@@ -0,0 +1,12 @@
+-- 006_store_suspension.sql
+--
+-- Suspend/resume lifecycle: a suspended store has every Deployment and
+-- StatefulSet scaled to zero but keeps its namespace, Helm release and PVCs,
+-- so it stops consuming compute without losing tenant data.
+
+ALTER TYPE store_status ADD VALUE IF NOT EXISTS 'suspending';
+ALTER TYPE store_status ADD VALUE IF NOT EXISTS 'suspended';
+ALTER TYPE store_status ADD VALUE IF NOT EXISTS 'resuming';
+
+-- When the store was last suspended (NULL while running)
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ;
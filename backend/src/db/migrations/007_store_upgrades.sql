@@ -0,0 +1,10 @@
+-- 007_store_upgrades.sql
+--
+-- In-place store upgrades (helm upgrade with automatic rollback).
+-- Adds the 'upgrading' lifecycle state and tracks which chart version
+-- each store runs so operators can tell which tenants are behind.
+
+ALTER TYPE store_status ADD VALUE IF NOT EXISTS 'upgrading';
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS chart_version VARCHAR(32);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS last_upgraded_at TIMESTAMPTZ;
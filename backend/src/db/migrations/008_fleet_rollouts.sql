@@ -0,0 +1,49 @@
+-- 008_fleet_rollouts.sql
+--
+-- Fleet-wide batch upgrades. A rollout selects stores by filter, upgrades a
+-- canary wave first, then proceeds wave by wave and halts automatically once
+-- the failure rate crosses its threshold. Per-store outcomes are kept so the
+-- dashboard can show exactly which tenants moved and which did not.
+
+CREATE TABLE IF NOT EXISTS fleet_rollouts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status VARCHAR(16) NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'completed', 'halted')),
+  filters JSONB NOT NULL DEFAULT '{}',       -- { engine, status, ownerId }
+  canary_size INTEGER NOT NULL,
+  wave_size INTEGER NOT NULL,
+  max_failure_rate NUMERIC(4, 3) NOT NULL,   -- 0.000 – 1.000
+  current_wave INTEGER NOT NULL DEFAULT 0,
+  total_waves INTEGER NOT NULL,
+  total_stores INTEGER NOT NULL,
+  reason TEXT,
+  halt_reason TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_fleet_rollouts_status ON fleet_rollouts (status);
+CREATE INDEX IF NOT EXISTS idx_fleet_rollouts_created_at ON fleet_rollouts (created_at DESC);
+
+-- One row per store selected into a rollout; wave 0 is the canary
+CREATE TABLE IF NOT EXISTS fleet_rollout_stores (
+  rollout_id UUID NOT NULL REFERENCES fleet_rollouts(id) ON DELETE CASCADE,
+  store_id VARCHAR(32) NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  wave INTEGER NOT NULL,
+  outcome VARCHAR(16) NOT NULL DEFAULT 'pending'
+    CHECK (outcome IN ('pending', 'running', 'upgraded', 'rolled_back', 'failed', 'skipped')),
+  error TEXT,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+
+  PRIMARY KEY (rollout_id, store_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fleet_rollout_stores_wave ON fleet_rollout_stores (rollout_id, wave);
+
+CREATE TRIGGER trigger_fleet_rollouts_updated_at
+  BEFORE UPDATE ON fleet_rollouts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,33 @@
+-- 009_store_backups.sql
+--
+-- Per-store database backups. Each row is one mysqldump / pg_dump run,
+-- gzipped and uploaded to the S3-compatible backup bucket. Engine and chart
+-- version are recorded so a restore can tell what the dump was taken from.
+-- Retention defaults come from config; stores may override them.
+
+CREATE TABLE IF NOT EXISTS backups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  store_id VARCHAR(32) NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  engine VARCHAR(32) NOT NULL,
+  chart_version VARCHAR(32),
+  status VARCHAR(16) NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'completed', 'failed')),
+  trigger VARCHAR(16) NOT NULL DEFAULT 'manual',  -- manual | scheduled
+  object_key TEXT NOT NULL,
+  size_bytes BIGINT,
+  checksum_sha256 CHAR(64),                       -- of the gzipped artifact
+  error TEXT,
+  requested_by VARCHAR(255),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_backups_store_created ON backups (store_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_backups_status ON backups (status);
+
+-- Per-store retention overrides (NULL = platform default)
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS backup_retention_count INTEGER
+  CHECK (backup_retention_count IS NULL OR backup_retention_count >= 1);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS backup_retention_days INTEGER
+  CHECK (backup_retention_days IS NULL OR backup_retention_days >= 1);
@@ -0,0 +1,12 @@
+-- 010_store_restores.sql
+--
+-- Restores from backup — in place (the store passes through 'restoring') or
+-- into a freshly provisioned store. restore_backup_id remembers which backup
+-- a store's data came from so an interrupted or retried provisioning loads
+-- the same dump again instead of seeding demo data.
+
+ALTER TYPE store_status ADD VALUE IF NOT EXISTS 'restoring';
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS restore_backup_id UUID
+  REFERENCES backups(id) ON DELETE SET NULL;
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS last_restored_at TIMESTAMPTZ;
@@ -0,0 +1,11 @@
+-- 011_store_clones.sql
+--
+-- Staging clones. A clone is an ordinary store seeded from a snapshot of its
+-- source (database plus, for WooCommerce, wp-content); cloned_from links it
+-- back so its data can later be promoted onto the source.
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS cloned_from VARCHAR(32)
+  REFERENCES stores(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_stores_cloned_from ON stores (cloned_from)
+  WHERE cloned_from IS NOT NULL;
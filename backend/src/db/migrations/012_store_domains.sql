@@ -0,0 +1,33 @@
+-- 012_store_domains.sql
+--
+-- Tenant-owned custom domains. A domain starts 'pending' until a DNS TXT
+-- record proves ownership, is 'verified' while the store's ingress is being
+-- regenerated with the new host, and 'active' once routed. 'error' means the
+-- ingress update failed; verifying again retries it. At most one domain per
+-- store is primary — storefront/admin URLs and WordPress siteurl follow it.
+
+CREATE TABLE IF NOT EXISTS store_domains (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  store_id VARCHAR(32) NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  hostname VARCHAR(253) NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'verified', 'active', 'error')),
+  is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+  verification_token VARCHAR(64) NOT NULL,
+  verified_at TIMESTAMPTZ,
+  last_checked_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A hostname routes to exactly one store
+CREATE UNIQUE INDEX IF NOT EXISTS idx_store_domains_hostname ON store_domains (hostname);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_store_domains_primary ON store_domains (store_id) WHERE is_primary;
+CREATE INDEX IF NOT EXISTS idx_store_domains_store ON store_domains (store_id);
+
+CREATE TRIGGER trigger_store_domains_updated_at
+  BEFORE UPDATE ON store_domains
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,12 @@
+-- 013_store_plans.sql
+--
+-- Store plans (small / medium / large) decide the namespace's ResourceQuota
+-- and LimitRange. Plan definitions live in config; the column records which
+-- one a store was installed or last resized with. Existing stores were sized
+-- by the chart defaults, which match 'small'.
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS plan VARCHAR(16) NOT NULL DEFAULT 'small';
+
+-- Per-plan store limits count a user's active stores of one plan
+CREATE INDEX IF NOT EXISTS idx_stores_owner_plan ON stores (owner_id, plan)
+  WHERE status NOT IN ('deleted', 'failed');
@@ -0,0 +1,25 @@
+-- 014_store_usage.sql
+--
+-- Hourly resource usage per store, written by the usage collector. A sample
+-- stands for one hour of consumption: re-sampling within the same hour
+-- replaces that hour's row. Owner and plan are copied at sample time so
+-- rollups stay correct after a store is resized or deleted.
+
+CREATE TABLE IF NOT EXISTS store_usage_samples (
+  id BIGSERIAL PRIMARY KEY,
+  store_id VARCHAR(32) NOT NULL,
+  owner_id VARCHAR(128) NOT NULL,
+  plan VARCHAR(16) NOT NULL,
+  hour TIMESTAMPTZ NOT NULL,
+  cpu_millicores INTEGER NOT NULL DEFAULT 0,
+  memory_bytes BIGINT NOT NULL DEFAULT 0,
+  storage_bytes BIGINT NOT NULL DEFAULT 0,
+  pods INTEGER NOT NULL DEFAULT 0,
+  -- 'metrics' = live metrics API, 'quota' = ResourceQuota status.used (requests)
+  source VARCHAR(16) NOT NULL CHECK (source IN ('metrics', 'quota')),
+  sampled_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_store_usage_store_hour ON store_usage_samples (store_id, hour);
+CREATE INDEX IF NOT EXISTS idx_store_usage_hour ON store_usage_samples (hour);
+CREATE INDEX IF NOT EXISTS idx_store_usage_owner_hour ON store_usage_samples (owner_id, hour);
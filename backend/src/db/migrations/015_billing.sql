@@ -0,0 +1,61 @@
+-- 015_billing.sql
+--
+-- Monthly invoices per store owner. Line items are computed from usage
+-- samples: store-hours per plan (prorated plan price) plus metered CPU,
+-- memory and storage when their rates are set. An invoice is 'draft' while
+-- it can still be regenerated, 'open' once issued and awaiting payment, then
+-- 'paid' or 'void'. Amounts are integer minor units (cents).
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  number VARCHAR(32) UNIQUE,
+  owner_id VARCHAR(128) NOT NULL,
+  -- Billing month, 'YYYY-MM' (UTC)
+  period VARCHAR(7) NOT NULL,
+  period_start TIMESTAMPTZ NOT NULL,
+  period_end TIMESTAMPTZ NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'open', 'paid', 'void')),
+  currency VARCHAR(3) NOT NULL,
+  total_cents INTEGER NOT NULL DEFAULT 0,
+  issued_at TIMESTAMPTZ,
+  due_at TIMESTAMPTZ,
+  paid_at TIMESTAMPTZ,
+  voided_at TIMESTAMPTZ,
+  payment_provider VARCHAR(32),
+  payment_reference VARCHAR(255),
+  payment_attempts INTEGER NOT NULL DEFAULT 0,
+  last_payment_error TEXT,
+  -- Stores suspended because this invoice went overdue; resumed once it is paid
+  suspended_store_ids TEXT[] NOT NULL DEFAULT '{}',
+  suspended_at TIMESTAMPTZ,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One live invoice per owner and month; a voided one can be reissued
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_owner_period ON invoices (owner_id, period)
+  WHERE status <> 'void';
+CREATE INDEX IF NOT EXISTS idx_invoices_status_due ON invoices (status, due_at);
+
+CREATE TABLE IF NOT EXISTS invoice_line_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  store_id VARCHAR(32),
+  kind VARCHAR(16) NOT NULL CHECK (kind IN ('plan', 'cpu', 'memory', 'storage')),
+  plan VARCHAR(16),
+  description TEXT NOT NULL,
+  quantity NUMERIC(14, 3) NOT NULL,
+  unit VARCHAR(16) NOT NULL,
+  unit_price_cents NUMERIC(14, 6) NOT NULL,
+  amount_cents INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice ON invoice_line_items (invoice_id);
+
+CREATE TRIGGER trigger_invoices_updated_at
+  BEFORE UPDATE ON invoices
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
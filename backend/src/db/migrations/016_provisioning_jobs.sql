@@ -0,0 +1,47 @@
+-- 016_provisioning_jobs.sql
+--
+-- Durable queue for store lifecycle work. Each row is one workflow run
+-- (provision, delete, upgrade, ...) claimed by a worker with
+-- SELECT ... FOR UPDATE SKIP LOCKED and held under a lease that the worker
+-- renews with a heartbeat. A job whose lease expires — the backend crashed
+-- or was restarted — goes back to 'queued' and is resumed from its last
+-- completed phase.
+
+CREATE TABLE IF NOT EXISTS provisioning_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  store_id VARCHAR(32) NOT NULL,
+  type VARCHAR(16) NOT NULL
+    CHECK (type IN ('provision', 'retry', 'delete', 'upgrade', 'resume', 'restore')),
+  status VARCHAR(16) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  payload JSONB NOT NULL DEFAULT '{}',
+  result JSONB,
+  correlation_id VARCHAR(128),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  lease_owner VARCHAR(128),
+  lease_expires_at TIMESTAMPTZ,
+  heartbeat_at TIMESTAMPTZ,
+  completed_phases TEXT[] NOT NULL DEFAULT '{}',
+  last_completed_phase VARCHAR(32),
+  last_error TEXT,
+  queued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- At most one unfinished job per store
+CREATE UNIQUE INDEX IF NOT EXISTS idx_provisioning_jobs_active_store
+  ON provisioning_jobs (store_id) WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS idx_provisioning_jobs_queued
+  ON provisioning_jobs (queued_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_provisioning_jobs_lease
+  ON provisioning_jobs (lease_expires_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_provisioning_jobs_store ON provisioning_jobs (store_id, created_at DESC);
+
+CREATE TRIGGER trigger_provisioning_jobs_updated_at
+  BEFORE UPDATE ON provisioning_jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,34 @@
+-- 017_cluster_coordination.sql
+--
+-- State shared by every control-plane replica.
+--
+-- shared_state holds short-lived counters and markers — account lockouts,
+-- store-creation cooldowns and API rate-limit windows — so all replicas
+-- enforce the same limits. Rows expire on their own and are swept by the
+-- leader.
+--
+-- control_plane_instances is the membership list: each replica upserts its
+-- row on every heartbeat. Rollouts and backups record the instance running
+-- them, so the leader can recover work owned by a replica that stopped
+-- heartbeating without touching work of live replicas.
+
+CREATE TABLE IF NOT EXISTS shared_state (
+  key VARCHAR(255) PRIMARY KEY,
+  value JSONB,
+  count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shared_state_expires_at ON shared_state (expires_at);
+
+CREATE TABLE IF NOT EXISTS control_plane_instances (
+  id VARCHAR(128) PRIMARY KEY,
+  hostname VARCHAR(255) NOT NULL,
+  pid INTEGER NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE fleet_rollouts ADD COLUMN IF NOT EXISTS owner_instance VARCHAR(128);
+ALTER TABLE backups ADD COLUMN IF NOT EXISTS owner_instance VARCHAR(128);
@@ -0,0 +1,34 @@
+-- 018_provisioning_checkpoints.sql
+--
+-- One row per phase of each provisioning attempt (namespace_create,
+-- helm_install, pod_readiness, engine_setup, ...) with its outcome, result
+-- and timing. attempt is the store's retry_count when the phase ran. A retry
+-- reads the completed rows of earlier attempts and resumes at the phase that
+-- failed; the store detail API returns the rows as a timeline.
+
+CREATE TABLE IF NOT EXISTS provisioning_checkpoints (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  store_id VARCHAR(32) NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  attempt INTEGER NOT NULL DEFAULT 0,
+  phase VARCHAR(32) NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'completed', 'failed', 'skipped')),
+  result JSONB,
+  error TEXT,
+  job_id UUID,
+  correlation_id VARCHAR(128),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  duration_ms INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (store_id, attempt, phase)
+);
+
+CREATE INDEX IF NOT EXISTS idx_provisioning_checkpoints_store
+  ON provisioning_checkpoints (store_id, started_at);
+
+CREATE TRIGGER trigger_provisioning_checkpoints_updated_at
+  BEFORE UPDATE ON provisioning_checkpoints
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
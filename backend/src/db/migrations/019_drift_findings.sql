@@ -0,0 +1,46 @@
+-- 019_drift_findings.sql
+--
+-- Differences between the stores table and the cluster, recorded by the
+-- drift reconciler. kind is what drifted:
+--
+--   orphaned_namespace  a managed namespace with no live store row
+--   missing_namespace   a ready/suspended store whose namespace is gone
+--   missing_release     a ready/suspended store without a deployed Helm release
+--   degraded_store      a ready store whose pods are not all ready
+--
+-- subject is the store ID, or the namespace name for orphans (which have no
+-- store row, so store_id carries no foreign key). A finding stays open while
+-- the reconciler keeps seeing it; at most one is open per (kind, subject).
+-- It is closed as resolved when the drift clears on its own, or as adopted,
+-- repaired or collected by an admin action.
+
+CREATE TABLE IF NOT EXISTS drift_findings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind VARCHAR(32) NOT NULL
+    CHECK (kind IN ('orphaned_namespace', 'missing_namespace', 'missing_release', 'degraded_store')),
+  subject VARCHAR(255) NOT NULL,
+  store_id VARCHAR(32),
+  namespace VARCHAR(255),
+  helm_release VARCHAR(255),
+  details JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(16) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'resolved', 'adopted', 'repaired', 'collected')),
+  resolved_by VARCHAR(255),
+  resolution_note TEXT,
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drift_findings_open
+  ON drift_findings (kind, subject) WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_drift_findings_status
+  ON drift_findings (status, last_seen_at DESC);
+
+CREATE TRIGGER trigger_drift_findings_updated_at
+  BEFORE UPDATE ON drift_findings
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,33 @@
+-- 020_store_health.sql
+--
+-- Continuous health monitoring of running stores. The health prober checks
+-- pod readiness and the storefront/admin URLs of every ready or degraded
+-- store and records one row per probe. A ready store that fails several
+-- probes in a row becomes degraded; a degraded store that passes again goes
+-- back to ready. Uptime is the share of healthy probes over a window.
+
+ALTER TYPE store_status ADD VALUE IF NOT EXISTS 'degraded';
+
+-- When the store last became degraded and why (NULL while healthy)
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS degraded_at TIMESTAMPTZ;
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS degraded_reason TEXT;
+
+CREATE TABLE IF NOT EXISTS store_health_probes (
+  id BIGSERIAL PRIMARY KEY,
+  store_id VARCHAR(32) NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  healthy BOOLEAN NOT NULL,
+  pods_ready INTEGER,
+  pods_total INTEGER,
+  storefront_status INTEGER,
+  storefront_latency_ms INTEGER,
+  admin_status INTEGER,
+  admin_latency_ms INTEGER,
+  error TEXT,
+  checked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_store_health_probes_store
+  ON store_health_probes (store_id, checked_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_store_health_probes_checked_at
+  ON store_health_probes (checked_at);
@@ -0,0 +1,54 @@
+-- 021_webhooks.sql
+--
+-- Outbound webhooks. An endpoint is a URL an owner registers together with
+-- the events it wants; every event sent to it is a delivery. A delivery keeps
+-- the exact payload that was signed, so a replay sends the same body again
+-- (as a new delivery pointing at the original through replay_of).
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id VARCHAR(128) NOT NULL,
+  url TEXT NOT NULL,
+  description VARCHAR(255),
+  events TEXT[] NOT NULL,
+  -- HMAC-SHA256 signing key; needed in clear to sign, shown to the owner once
+  secret VARCHAR(128) NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_owner ON webhook_endpoints (owner_id);
+
+CREATE TRIGGER trigger_webhook_endpoints_updated_at
+  BEFORE UPDATE ON webhook_endpoints
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  event VARCHAR(32) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  duration_ms INTEGER,
+  replay_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint
+  ON webhook_deliveries (endpoint_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created ON webhook_deliveries (created_at);
+
+CREATE TRIGGER trigger_webhook_deliveries_updated_at
+  BEFORE UPDATE ON webhook_deliveries
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
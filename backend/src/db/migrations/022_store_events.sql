@@ -0,0 +1,32 @@
+-- 022_store_events.sql
+--
+-- Live event feed of each store: status transitions, workflow phase
+-- start/finish and audit entries, in the order they were written. The id is
+-- the SSE event id, so a reconnecting client resumes with Last-Event-ID.
+-- Inserts are announced on the 'store_events' channel, which lets the replica
+-- holding a client's stream push events written by any other replica.
+
+CREATE TABLE IF NOT EXISTS store_events (
+  id BIGSERIAL PRIMARY KEY,
+  store_id VARCHAR(32) NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  type VARCHAR(16) NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_store_events_store ON store_events (store_id, id);
+
+CREATE INDEX IF NOT EXISTS idx_store_events_created ON store_events (created_at);
+
+CREATE OR REPLACE FUNCTION notify_store_event()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM pg_notify('store_events', json_build_object('id', NEW.id, 'storeId', NEW.store_id)::text);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_store_events_notify
+  AFTER INSERT ON store_events
+  FOR EACH ROW
+  EXECUTE FUNCTION notify_store_event();
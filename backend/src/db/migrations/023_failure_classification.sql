@@ -0,0 +1,13 @@
+-- 023_failure_classification.sql
+--
+-- Structured failure classification. Alongside the free-text failure_reason
+-- a failed store records a stable failure code (see
+-- services/failureClassifier.js for the catalog of categories, retryability
+-- and remediation) and the evidence that matched it — a pod state, a
+-- Kubernetes event or a line of Helm or setup output.
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS failure_code VARCHAR(48);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS failure_evidence TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_stores_failure_code
+  ON stores (failure_code) WHERE failure_code IS NOT NULL;
@@ -0,0 +1,11 @@
+-- 024_auto_retry.sql
+--
+-- Automatic retry of transient provisioning failures. A failed store whose
+-- failure is retryable gets next_retry_at set (exponential backoff with
+-- jitter, see models/retryPolicy.js); the leader retries it once that time
+-- has passed. NULL when no automatic retry is pending.
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_stores_next_retry
+  ON stores (next_retry_at) WHERE next_retry_at IS NOT NULL;
@@ -0,0 +1,13 @@
+-- 025_credentials_encryption.sql
+--
+-- Envelope encryption of store admin credentials (services/secretsService.js).
+-- admin_credentials now holds an envelope — the credentials encrypted with a
+-- per-store data key, itself encrypted with a master key — instead of plain
+-- JSON. credentials_key_version is that master key's version; rows still on
+-- another version (or NULL, not sealed yet) are re-encrypted in the
+-- background by the leader.
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS credentials_key_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_stores_credentials_key_version
+  ON stores (credentials_key_version);
@@ -0,0 +1,34 @@
+-- 026_credential_rotation.sql
+--
+-- Rotation of a store's admin password and database password, independent
+-- of the owner's control-plane login. Each row is one rotation; at most one
+-- runs per store. Stores may opt into scheduled rotation every N days.
+
+CREATE TABLE IF NOT EXISTS credential_rotations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  store_id VARCHAR(32) NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  status VARCHAR(16) NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'completed', 'failed')),
+  trigger VARCHAR(16) NOT NULL DEFAULT 'manual',  -- manual | scheduled
+  rotate_database BOOLEAN NOT NULL DEFAULT TRUE,
+  -- What was actually changed; a failed rotation may have done the first step
+  admin_password_rotated BOOLEAN NOT NULL DEFAULT FALSE,
+  database_password_rotated BOOLEAN NOT NULL DEFAULT FALSE,
+  error TEXT,
+  requested_by VARCHAR(255),
+  owner_instance VARCHAR(128),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_credential_rotations_store_started
+  ON credential_rotations (store_id, started_at DESC);
+
+-- One running rotation per store
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credential_rotations_running
+  ON credential_rotations (store_id) WHERE status = 'running';
+
+-- Scheduled rotation (NULL = off) and when the admin password last changed
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS credential_rotation_days INTEGER
+  CHECK (credential_rotation_days IS NULL OR credential_rotation_days >= 1);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS credentials_rotated_at TIMESTAMPTZ;
@@ -0,0 +1,28 @@
+-- 028_sessions.sql
+--
+-- Server-side login sessions. Each login starts a session holding a SHA-256
+-- hash of its current refresh token; refreshing rotates the token and keeps
+-- the one before it in previous_token_hash, so a replayed old token is
+-- recognised and ends the session. Access tokens carry the session id and
+-- stop working as soon as the session is revoked.
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_token_hash CHAR(64),
+  user_agent VARCHAR(512),
+  ip VARCHAR(64),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  revoked_reason VARCHAR(32),
+
+  CONSTRAINT unique_session_refresh_token UNIQUE (refresh_token_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id, last_seen_at DESC)
+  WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions (previous_token_hash)
+  WHERE previous_token_hash IS NOT NULL;
@@ -0,0 +1,9 @@
+-- 029_suspend_promote_jobs.sql
+--
+-- Suspending a store and promoting a clone onto its source now run as
+-- provisioning jobs too, so the lease of a dead worker hands them to another
+-- one instead of leaving the store in 'suspending' or 'restoring'.
+
+ALTER TABLE provisioning_jobs DROP CONSTRAINT IF EXISTS provisioning_jobs_type_check;
+ALTER TABLE provisioning_jobs ADD CONSTRAINT provisioning_jobs_type_check
+  CHECK (type IN ('provision', 'retry', 'delete', 'upgrade', 'resume', 'restore', 'suspend', 'promote'));
@@ -0,0 +1,8 @@
+-- 030_job_secrets.sql
+--
+-- A secret a job's workflow needs but its payload must not hold — the admin
+-- password a tenant chose for a new store. Stored as a secretsService
+-- envelope, never returned with the job, and cleared once the job finishes,
+-- so whichever worker claims the job can use it.
+
+ALTER TABLE provisioning_jobs ADD COLUMN IF NOT EXISTS secret JSONB;
@@ -0,0 +1,15 @@
+-- 031_domain_claims.sql
+--
+-- A pending domain is only a claim: anyone can add a hostname, but only the
+-- store that proves ownership via DNS routes it. Hostnames are therefore
+-- unique among domains whose ownership was proven ('verified', 'active',
+-- 'error') — the first store to verify wins — while any number of stores may
+-- hold a pending claim. A store still cannot claim the same hostname twice.
+-- Stale pending claims are deleted after DOMAIN_PENDING_TTL_DAYS.
+
+DROP INDEX IF EXISTS idx_store_domains_hostname;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_store_domains_hostname
+  ON store_domains (hostname) WHERE status IN ('verified', 'active', 'error');
+CREATE UNIQUE INDEX IF NOT EXISTS idx_store_domains_store_hostname ON store_domains (store_id, hostname);
+CREATE INDEX IF NOT EXISTS idx_store_domains_pending
+  ON store_domains (created_at) WHERE status = 'pending';
@@ -0,0 +1,9 @@
+-- 032_ingress_jobs.sql
+--
+-- Routing a store's custom domains (a helm upgrade of its ingress values)
+-- runs as an 'ingress' job, so it is serialized with every other workflow on
+-- the store across all replicas.
+
+ALTER TABLE provisioning_jobs DROP CONSTRAINT IF EXISTS provisioning_jobs_type_check;
+ALTER TABLE provisioning_jobs ADD CONSTRAINT provisioning_jobs_type_check
+  CHECK (type IN ('provision', 'retry', 'delete', 'upgrade', 'resume', 'restore', 'suspend', 'promote', 'ingress'));
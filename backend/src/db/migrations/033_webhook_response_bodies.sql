@@ -0,0 +1,7 @@
+-- 033_webhook_response_bodies.sql
+--
+-- Receivers' response bodies are no longer kept: an endpoint pointed at an
+-- internal service would otherwise read that service's replies back through
+-- the delivery log.
+
+ALTER TABLE webhook_deliveries DROP COLUMN IF EXISTS response_body;
@@ -20,10 +20,29 @@ const healthRoutes = require('./routes/health');
 const authRoutes = require('./routes/auth');
 const auditRoutes = require('./routes/audit');
 const metricsRoutes = require('./routes/metrics');
+const fleetRoutes = require('./routes/fleet');
+const usageRoutes = require('./routes/usage');
+const billingRoutes = require('./routes/billing');
+const driftRoutes = require('./routes/drift');
+const webhookRoutes = require('./routes/webhooks');
+const apiKeyRoutes = require('./routes/apiKeys');
 const { runMigrations } = require('./db/migrate');
 const db = require('./db/pool');
 const provisionerService = require('./services/provisionerService');
+const fleetService = require('./services/fleetService');
+const backupService = require('./services/backupService');
+const credentialRotationService = require('./services/credentialRotationService');
 const ingressService = require('./services/ingressService');
+const usageService = require('./services/usageService');
+const billingService = require('./services/billingService');
+const driftService = require('./services/driftService');
+const storeHealthService = require('./services/storeHealthService');
+const storeEventService = require('./services/storeEventService');
+const sessionService = require('./services/sessionService');
+const domainService = require('./services/domainService');
+const secretsService = require('./services/secretsService');
+const leaderElection = require('./services/leaderElection');
+const sharedState = require('./services/sharedState');
 
 // Log env validation warnings
 envWarnings.forEach(w => logger.warn(w));
@@ -34,13 +53,17 @@ envWarnings.forEach(w => logger.warn(w));
  * Startup sequence:
  * 1. Wait for database connectivity (with retries)
  * 2. Run database migrations
- * 3. Recover any stores stuck in transitional states
+ * 3. Join leader election — the leader recovers stuck stores, halts interrupted
+ *    rollouts and runs the usage collector, billing scheduler, drift
+ *    reconciler and store health prober
  * 4. Start HTTP server
+ * 5. Start the provisioning job worker (every replica)
  * 
  * Shutdown sequence:
- * 1. Stop accepting new connections
+ * 1. End event streams and stop accepting new connections
  * 2. Drain in-flight requests (max 15s)
- * 3. Close database connections
+ * 3. Release provisioning jobs and the leader lock
+ * 4. Close database connections
  */
 
 const app = express();
@@ -88,6 +111,9 @@ const limiter = rateLimit({
   max: config.isDev ? 200 : 60, // requests per window
   standardHeaders: true,
   legacyHeaders: false,
+  // Counted in shared state so the limit holds across replicas
+  store: new sharedState.SharedRateLimitStore('ratelimit:api:'),
+  passOnStoreError: true,
   message: {
     error: {
       code: 'RATE_LIMIT_EXCEEDED',
@@ -139,6 +165,12 @@ app.use('/api/v1/stores', storeRoutes);
 app.use('/api/v1/health', healthRoutes);
 app.use('/api/v1/audit', auditRoutes);
 app.use('/api/v1/metrics', metricsRoutes);
+app.use('/api/v1/fleet', fleetRoutes);
+app.use('/api/v1/usage', usageRoutes);
+app.use('/api/v1/billing', billingRoutes);
+app.use('/api/v1/drift', driftRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
+app.use('/api/v1/api-keys', apiKeyRoutes);
 
 // Root endpoint — basic platform info
 app.get('/', (req, res) => {
@@ -148,6 +180,12 @@ app.get('/', (req, res) => {
     docs: '/api/v1/health',
     endpoints: {
       stores: '/api/v1/stores',
+      fleet: '/api/v1/fleet',
+      usage: '/api/v1/usage',
+      billing: '/api/v1/billing',
+      drift: '/api/v1/drift',
+      webhooks: '/api/v1/webhooks',
+      apiKeys: '/api/v1/api-keys',
       health: '/api/v1/health',
     },
   });
@@ -173,6 +211,60 @@ app.use(errorHandler);
 
 let server;
 
+/**
+ * Singleton work — runs only on the replica that holds the leader lock.
+ */
+async function recoverInterruptedWork() {
+  await provisionerService.recoverStuckStores();
+  await fleetService.recoverInterruptedRollouts();
+  await backupService.recoverInterruptedBackups();
+  await credentialRotationService.recoverInterruptedRotations();
+}
+
+leaderElection.register({ name: 'recovery', start: recoverInterruptedWork });
+leaderElection.register({
+  name: 'usage-collector', start: usageService.startCollector, stop: usageService.stopCollector,
+});
+leaderElection.register({
+  name: 'billing-scheduler', start: billingService.startScheduler, stop: billingService.stopScheduler,
+});
+leaderElection.register({
+  name: 'drift-reconciler', start: driftService.startReconciler, stop: driftService.stopReconciler,
+});
+leaderElection.register({
+  name: 'auto-retry', start: provisionerService.startRetryScheduler, stop: provisionerService.stopRetryScheduler,
+});
+leaderElection.register({
+  name: 'health-prober', start: storeHealthService.startProber, stop: storeHealthService.stopProber,
+});
+leaderElection.register({
+  name: 'secret-reencryption', start: secretsService.startReencryption, stop: secretsService.stopReencryption,
+});
+leaderElection.register({
+  name: 'credential-rotation',
+  start: credentialRotationService.startScheduler,
+  stop: credentialRotationService.stopScheduler,
+});
+leaderElection.register({
+  name: 'store-events-cleanup', start: storeEventService.startCleanup, stop: storeEventService.stopCleanup,
+});
+leaderElection.register({
+  name: 'shared-state-cleanup', start: sharedState.startCleanup, stop: sharedState.stopCleanup,
+});
+leaderElection.register({
+  name: 'session-cleanup', start: sessionService.startCleanup, stop: sessionService.stopCleanup,
+});
+leaderElection.register({
+  name: 'domain-claims-cleanup', start: domainService.startCleanup, stop: domainService.stopCleanup,
+});
+// Every store workflow (suspend and promote included) runs as a job, which the queue hands
+// to another worker once the dead replica's lease expires; rollouts, backups and rotations are not jobs
+leaderElection.onInstancesLost(async () => {
+  await fleetService.recoverInterruptedRollouts();
+  await backupService.recoverInterruptedBackups();
+  await credentialRotationService.recoverInterruptedRotations();
+});
+
 async function start() {
   try {
     // 1. Wait for database connectivity (retries on cold start)
@@ -183,11 +275,14 @@ async function start() {
     logger.info('Running database migrations...');
     await runMigrations();
 
-    // 3. Recover stuck stores from any previous crash
-    logger.info('Checking for stuck stores...');
-    await provisionerService.recoverStuckStores();
+    // 3. Load the master keys — a bad key fails startup, not the first request
+    secretsService.loadKeyring();
+
+    // 4. Join leader election — singleton work starts here if this replica leads
+    logger.info('Joining leader election...');
+    await leaderElection.start();
 
-    // 4. Start HTTP server
+    // 5. Start HTTP server
     server = app.listen(config.server.port, config.server.host, () => {
       logger.info(`Control plane started`, {
         port: config.server.port,
@@ -195,13 +290,16 @@ async function start() {
         env: config.env,
         ingressPort: config.store.ingressPort,
         autoPortForward: config.store.autoPortForward,
-        maxStoresPerUser: config.provisioning.maxStoresPerUser,
+        defaultPlan: config.plans.default,
       });
     });
 
-    // 5. Start ingress port-forward (if configured for Docker Desktop)
+    // 6. Start ingress port-forward (if configured for Docker Desktop)
     await ingressService.startPortForward();
 
+    // 7. Start the provisioning worker (every replica claims jobs)
+    provisionerService.startJobWorker();
+
     // Graceful shutdown handlers
     process.on('SIGINT', shutdown);
     process.on('SIGTERM', shutdown);
@@ -218,6 +316,9 @@ async function shutdown() {
   shuttingDown = true;
 
   if (server) {
+    // End event streams so clients reconnect to another replica
+    storeEventService.closeAll();
+
     // Stop accepting new connections
     server.close(() => {
       logger.info('HTTP server closed — no longer accepting connections');
@@ -238,18 +339,27 @@ async function shutdown() {
     }
   }
 
-  // Drain provisioning semaphore — reject queued operations waiting for a slot
+  // Stop claiming provisioning jobs and hand running ones back to the queue —
+  // the next worker resumes them from their last completed phase
   try {
-    const { getConcurrencyStats } = provisionerService;
-    const stats = getConcurrencyStats();
-    if (stats.active > 0 || stats.queued > 0) {
-      logger.info(`Draining provisioning semaphore: ${stats.active} active, ${stats.queued} queued`);
+    const stats = provisionerService.getConcurrencyStats();
+    if (stats.active > 0) {
+      logger.info(`Releasing ${stats.active} running provisioning job(s) back to the queue`);
     }
-  } catch {
-    // Semaphore drain is best-effort
+    await provisionerService.stopJobWorker();
+  } catch (err) {
+    // Leases expire on their own if the release fails
+    logger.warn('Failed to release provisioning jobs', { error: err.message });
+  }
+
+  // Stop singleton jobs and hand the leader lock to another replica
+  try {
+    await leaderElection.stop();
+  } catch (err) {
+    // Postgres drops the lock with the connection anyway
+    logger.warn('Failed to release leader lock', { error: err.message });
   }
 
-  // Stop ingress port-forward
   ingressService.stopPortForward();
 
   // Close database pool (drains active queries)
@@ -1,10 +1,76 @@
 'use strict';
 
 const userService = require('../services/userService');
+const apiKeyService = require('../services/apiKeyService');
+const sessionService = require('../services/sessionService');
 const logger = require('../utils/logger').child('auth');
 
+// Scopes an API key needs per router (read = GET/HEAD). API keys are refused
+// on every other router — account, keys, billing and admin endpoints included.
+const API_KEY_ROUTE_SCOPES = {
+  '/api/v1/stores': { read: 'stores:read', write: 'stores:write' },
+  '/api/v1/audit': { read: 'audit:read' },
+};
+
+/**
+ * Scope an API key needs for this request, or null if keys are not accepted.
+ * @param {Object} req
+ * @returns {string|null}
+ */
+function requiredScope(req) {
+  const scopes = API_KEY_ROUTE_SCOPES[req.baseUrl];
+  if (!scopes) return null;
+  return (['GET', 'HEAD'].includes(req.method) ? scopes.read : scopes.write) || null;
+}
+
+/**
+ * Authenticate a request made with a personal API key.
+ */
+async function authenticateApiKey(req, res, next, key) {
+  const result = await apiKeyService.authenticate(key);
+  if (!result) {
+    return res.status(401).json({
+      requestId: req.requestId,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Invalid, expired or revoked API key.',
+        retryable: false,
+      },
+    });
+  }
+
+  const { apiKey, user } = result;
+  const scope = requiredScope(req);
+  if (!scope || !apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      requestId: req.requestId,
+      error: {
+        code: 'INSUFFICIENT_SCOPE',
+        message: scope
+          ? `This API key lacks the '${scope}' scope.`
+          : 'API keys cannot be used for this endpoint. Sign in instead.',
+        retryable: false,
+      },
+    });
+  }
+
+  apiKeyService.recordUse(apiKey, {
+    email: user.email,
+    ip: req.ip,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+  }).catch((err) => {
+    logger.warn('API key use not recorded', { keyId: apiKey.id, error: err.message });
+  }); // non-blocking
+
+  req.user = user;
+  req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+  next();
+}
+
 /**
- * Verify JWT Bearer token and attach user to request.
+ * Verify the Bearer token — a JWT of a live session, or a personal API key
+ * limited to its scopes — and attach the user (and session id) to the request.
  */
 async function authenticateToken(req, res, next) {
   const authHeader = req.headers.authorization;
@@ -23,11 +89,26 @@ async function authenticateToken(req, res, next) {
     });
   }
 
+  if (apiKeyService.isApiKey(token)) {
+    try {
+      return await authenticateApiKey(req, res, next, token);
+    } catch (err) {
+      return next(err);
+    }
+  }
+
   try {
     const decoded = userService.verifyToken(token);
-    const user = await userService.findById(decoded.id);
+    // Tokens without a session (issued before sessions existed) are refused;
+    // their users have to log in again
+    const [user, sessionActive] = decoded.sid
+      ? await Promise.all([
+        userService.findById(decoded.id),
+        sessionService.isSessionActive(decoded.sid, decoded.id),
+      ])
+      : [null, false];
 
-    if (!user || !user.isActive) {
+    if (!user || !user.isActive || !sessionActive) {
       return res.status(401).json({
         requestId: req.requestId,
         error: {
@@ -39,6 +120,7 @@ async function authenticateToken(req, res, next) {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (err) {
     logger.warn('Token verification failed', { error: err.message });
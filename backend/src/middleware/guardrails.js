@@ -2,6 +2,8 @@
 
 const config = require('../config');
 const storeRegistry = require('../services/storeRegistry');
+const { getPlan } = require('../models/plans');
+const { getSharedStore } = require('../services/sharedState');
 const { StoreLimitError, AppError } = require('../utils/errors');
 const logger = require('../utils/logger').child('guardrails');
 
@@ -9,30 +11,30 @@ const logger = require('../utils/logger').child('guardrails');
  * Guardrails middleware — enforces platform safety limits.
  */
 
-// In-memory cooldown tracker: userId → last store creation timestamp
-const cooldownMap = new Map();
 const COOLDOWN_MS = process.env.STORE_CREATION_COOLDOWN_MS !== undefined
   ? parseInt(process.env.STORE_CREATION_COOLDOWN_MS, 10)
   : 300000; // 5 minutes (production-grade cooldown)
 
 /**
- * Enforce per-user store creation limit.
- * Checks the count of active (non-deleted, non-failed) stores for the owner.
- * Applied before store creation.
+ * Enforce the per-user store limit of the requested plan.
+ * Counts the owner's active (non-deleted, non-failed) stores on that plan.
+ * Applied before store creation, after body validation.
  */
 async function enforceStoreLimit(req, res, next) {
   try {
     // Always use the authenticated user's ID — never trust client input
     const ownerId = req.user?.id || 'default';
-    const activeCount = await storeRegistry.countActiveByOwner(ownerId);
+    const plan = getPlan(req.body?.plan || config.plans.default);
+    const activeCount = await storeRegistry.countActiveByOwner(ownerId, { plan: plan.name });
 
-    if (activeCount >= config.provisioning.maxStoresPerUser) {
+    if (activeCount >= plan.maxStoresPerUser) {
       logger.warn('Store limit exceeded', {
         ownerId,
+        plan: plan.name,
         activeCount,
-        limit: config.provisioning.maxStoresPerUser,
+        limit: plan.maxStoresPerUser,
       });
-      throw new StoreLimitError(config.provisioning.maxStoresPerUser);
+      throw new StoreLimitError(plan.maxStoresPerUser, plan.name);
     }
 
     next();
@@ -43,49 +45,43 @@ async function enforceStoreLimit(req, res, next) {
 
 /**
  * Enforce store creation cooldown per user.
- * Prevents rapid-fire store provisioning.
+ * Prevents rapid-fire store provisioning. The cooldown is a shared-state key,
+ * so it holds across replicas.
  */
-function enforceCreationCooldown(req, res, next) {
+async function enforceCreationCooldown(req, res, next) {
   const userId = req.user?.id;
   if (!userId) return next();
 
   // Admins bypass cooldown
   if (req.user?.role === 'admin') return next();
+  if (COOLDOWN_MS <= 0) return next();
 
-  const lastCreation = cooldownMap.get(userId);
-  const now = Date.now();
-
-  if (lastCreation && (now - lastCreation) < COOLDOWN_MS) {
-    const remainingMs = COOLDOWN_MS - (now - lastCreation);
-    const remainingSec = Math.ceil(remainingMs / 1000);
-    logger.warn('Store creation cooldown active', {
-      userId,
-      remainingSec,
-    });
-    return next(new AppError(
-      `Please wait ${remainingSec} seconds before creating another store.`,
-      {
-        statusCode: 429,
-        code: 'CREATION_COOLDOWN',
-        suggestion: `Wait ${remainingSec} seconds before retrying.`,
-        retryable: true,
-      }
-    ));
-  }
-
-  // Record this creation attempt (will be set after successful validation)
-  // We set it here proactively — provisionerService will handle the actual creation
-  cooldownMap.set(userId, now);
-
-  // Clean up old entries periodically (prevent memory leak)
-  if (cooldownMap.size > 10000) {
-    const cutoff = now - COOLDOWN_MS * 2;
-    for (const [uid, ts] of cooldownMap) {
-      if (ts < cutoff) cooldownMap.delete(uid);
+  try {
+    // Taking the key records this creation attempt — provisionerService
+    // handles the actual creation
+    const { acquired, expiresAt } = await getSharedStore().acquire(`creation-cooldown:${userId}`, COOLDOWN_MS);
+
+    if (!acquired) {
+      const remainingSec = Math.max(1, Math.ceil((expiresAt.getTime() - Date.now()) / 1000));
+      logger.warn('Store creation cooldown active', {
+        userId,
+        remainingSec,
+      });
+      return next(new AppError(
+        `Please wait ${remainingSec} seconds before creating another store.`,
+        {
+          statusCode: 429,
+          code: 'CREATION_COOLDOWN',
+          suggestion: `Wait ${remainingSec} seconds before retrying.`,
+          retryable: true,
+        }
+      ));
     }
-  }
 
-  next();
+    next();
+  } catch (err) {
+    next(err);
+  }
 }
 
 /**
@@ -3,6 +3,7 @@
 const rateLimit = require('express-rate-limit');
 const logger = require('../utils/logger').child('login-limiter');
 const { securityEvents } = require('../utils/metrics');
+const { getSharedStore, SharedRateLimitStore } = require('../services/sharedState');
 
 // Lazy-load auditService to avoid circular dependency
 let _auditService;
@@ -22,28 +23,35 @@ function getAuditService() {
 // ─── Account Lockout ─────────────────────────────────────────────────────────
 // Tracks consecutive failed login attempts per email.
 // Locks account temporarily after MAX_FAILED_ATTEMPTS.
+// Counters and locks live in the shared state store, so every replica sees
+// the same lockout.
 
 const MAX_FAILED_ATTEMPTS = parseInt(process.env.ACCOUNT_LOCKOUT_MAX_ATTEMPTS, 10) || 5;
 const LOCKOUT_DURATION_MS = parseInt(process.env.ACCOUNT_LOCKOUT_DURATION_MS, 10) || 15 * 60 * 1000; // 15 min
 
-// email → { failures: number, lockedUntil: number|null }
-const accountLockouts = new Map();
+const failuresKey = (email) => `login-failures:${email}`;
+const lockoutKey = (email) => `lockout:${email}`;
 
 /**
- * Record a failed login attempt. Locks account after MAX_FAILED_ATTEMPTS.
+ * Record a failed login attempt. Locks account after MAX_FAILED_ATTEMPTS
+ * failures within one lockout window.
  * @param {string} email
+ * @returns {Promise<void>}
  */
-function recordFailedAttempt(email) {
+async function recordFailedAttempt(email) {
   const key = email.toLowerCase().trim();
-  const entry = accountLockouts.get(key) || { failures: 0, lockedUntil: null };
-  entry.failures += 1;
+  const store = getSharedStore();
+  const { count: failures } = await store.increment(failuresKey(key), LOCKOUT_DURATION_MS);
+
+  if (failures >= MAX_FAILED_ATTEMPTS) {
+    const lockedUntil = Date.now() + LOCKOUT_DURATION_MS;
+    await store.set(lockoutKey(key), { failures, lockedUntil }, LOCKOUT_DURATION_MS);
+    await store.delete(failuresKey(key));
 
-  if (entry.failures >= MAX_FAILED_ATTEMPTS) {
-    entry.lockedUntil = Date.now() + LOCKOUT_DURATION_MS;
     logger.warn('Account temporarily locked due to repeated failed attempts', {
       email: key,
-      failures: entry.failures,
-      lockedUntilISO: new Date(entry.lockedUntil).toISOString(),
+      failures,
+      lockedUntilISO: new Date(lockedUntil).toISOString(),
     });
 
     // Audit account lockout
@@ -51,43 +59,37 @@ function recordFailedAttempt(email) {
     getAuditService().logSecurityEvent({
       action: 'account_locked',
       email: key,
-      message: `Account locked after ${entry.failures} failed attempts. Locked until ${new Date(entry.lockedUntil).toISOString()}`,
-      metadata: { failures: entry.failures, lockoutDurationMs: LOCKOUT_DURATION_MS },
+      message: `Account locked after ${failures} failed attempts. Locked until ${new Date(lockedUntil).toISOString()}`,
+      metadata: { failures, lockoutDurationMs: LOCKOUT_DURATION_MS },
     }).catch(() => {}); // non-blocking
   }
-
-  accountLockouts.set(key, entry);
-
-  // Periodic cleanup of old entries to prevent memory leak
-  if (accountLockouts.size > 50000) {
-    const now = Date.now();
-    for (const [k, v] of accountLockouts) {
-      if (!v.lockedUntil || v.lockedUntil < now) accountLockouts.delete(k);
-    }
-  }
 }
 
 /**
  * Clear lockout on successful login.
  * @param {string} email
+ * @returns {Promise<void>}
  */
-function clearLockout(email) {
-  accountLockouts.delete(email.toLowerCase().trim());
+async function clearLockout(email) {
+  const key = email.toLowerCase().trim();
+  const store = getSharedStore();
+  await store.delete(failuresKey(key));
+  await store.delete(lockoutKey(key));
 }
 
 /**
  * Middleware: check if the account is currently locked out.
- * Must be placed BEFORE the login handler.
+ * Must be placed BEFORE the login handler, or a handler that asks a signed-in
+ * user to re-enter their password (the account is then req.user's).
  */
-function checkAccountLockout(req, res, next) {
-  const email = req.body?.email?.toLowerCase()?.trim();
+async function checkAccountLockout(req, res, next) {
+  const email = (req.body?.email || req.user?.email)?.toLowerCase()?.trim();
   if (!email) return next();
 
-  const entry = accountLockouts.get(email);
-  if (entry && entry.lockedUntil) {
-    const now = Date.now();
-    if (now < entry.lockedUntil) {
-      const remainingSec = Math.ceil((entry.lockedUntil - now) / 1000);
+  try {
+    const lock = await getSharedStore().get(lockoutKey(email));
+    if (lock) {
+      const remainingSec = Math.max(1, Math.ceil((lock.expiresAt.getTime() - Date.now()) / 1000));
       logger.warn('Login blocked — account locked', { email, remainingSec });
       return res.status(423).json({
         requestId: req.requestId,
@@ -100,10 +102,10 @@ function checkAccountLockout(req, res, next) {
         },
       });
     }
-    // Lockout expired — clear it
-    accountLockouts.delete(email);
+    next();
+  } catch (err) {
+    next(err);
   }
-  next();
 }
 
 const loginLimiter = rateLimit({
@@ -112,9 +114,11 @@ const loginLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skipSuccessfulRequests: false,
+  store: new SharedRateLimitStore('ratelimit:login:'),
+  passOnStoreError: true,
   keyGenerator: (req) => {
     // Rate limit by IP + email combo to prevent locking out shared IPs
-    const email = req.body?.email?.toLowerCase()?.trim() || 'unknown';
+    const email = (req.body?.email || req.user?.email)?.toLowerCase()?.trim() || 'unknown';
     return `${req.ip}:${email}`;
   },
   handler: (req, res) => {
@@ -160,6 +164,8 @@ const registerLimiter = rateLimit({
   max: parseInt(process.env.REGISTER_RATE_LIMIT_MAX, 10) || 5,
   standardHeaders: true,
   legacyHeaders: false,
+  store: new SharedRateLimitStore('ratelimit:register:'),
+  passOnStoreError: true,
   keyGenerator: (req) => req.ip,
   handler: (req, res) => {
     logger.warn('Registration rate limit exceeded', { ip: req.ip });
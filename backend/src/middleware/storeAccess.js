@@ -0,0 +1,28 @@
+'use strict';
+
+const provisionerService = require('../services/provisionerService');
+
+/**
+ * Load the store in `req.params.id` and enforce tenant isolation: admins may
+ * reach every store, tenants only their own. Attaches the store as
+ * `req.store`; answers 403 otherwise. Unknown stores go to the error handler
+ * as 404. Mount after authenticateToken and params validation.
+ */
+async function authorizeStore(req, res, next) {
+  try {
+    const store = await provisionerService.getStore(req.params.id);
+    if (req.user.role !== 'admin' && store.ownerId !== req.user.id) {
+      return res.status(403).json({
+        requestId: req.requestId,
+        error: { code: 'FORBIDDEN', message: 'Access denied.', retryable: false },
+      });
+    }
+
+    req.store = store;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { authorizeStore };
@@ -1,6 +1,7 @@
 'use strict';
 
 const Joi = require('joi');
+const { PLAN_NAMES } = require('../models/plans');
 
 /**
  * Request validation schemas using Joi.
@@ -26,6 +27,22 @@ const loginSchema = Joi.object({
   password: Joi.string().required(),
 }).options({ stripUnknown: true });
 
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().max(128).required(),
+}).options({ stripUnknown: true });
+
+const sessionIdSchema = Joi.object({
+  id: Joi.string().guid().required(),
+});
+
+const userIdSchema = Joi.object({
+  id: Joi.string().guid().required(),
+});
+
+const userStatusSchema = Joi.object({
+  isActive: Joi.boolean().required(),
+}).options({ stripUnknown: true });
+
 // ─── Audit Schema ────────────────────────────────────────────────────────────
 
 const auditQuerySchema = Joi.object({
@@ -59,35 +76,37 @@ const PROFANITY_BLOCKLIST = new Set([
   'meth', 'heroin', 'cocaine', 'weed', 'marijuana',
 ]);
 
-const createStoreSchema = Joi.object({
-  name: Joi.string()
-    .min(3)
-    .max(63)
-    .pattern(/^[a-z0-9][a-z0-9-]*[a-z0-9]$/)
-    .custom((value, helpers) => {
-      if (RESERVED_STORE_NAMES.has(value.toLowerCase())) {
-        return helpers.error('any.invalid');
-      }
-      // No consecutive hyphens (DNS best practice)
-      if (/--/.test(value)) {
-        return helpers.error('string.pattern.base');
-      }
-      // Profanity filter — check if name contains blocked words
-      const nameLower = value.toLowerCase();
-      for (const word of PROFANITY_BLOCKLIST) {
-        if (nameLower.includes(word)) {
-          return helpers.error('any.custom', { message: 'Store name contains inappropriate language.' });
-        }
+// Store names become DNS labels and helm release names
+const storeNameSchema = Joi.string()
+  .min(3)
+  .max(63)
+  .pattern(/^[a-z0-9][a-z0-9-]*[a-z0-9]$/)
+  .custom((value, helpers) => {
+    if (RESERVED_STORE_NAMES.has(value.toLowerCase())) {
+      return helpers.error('any.invalid');
+    }
+    // No consecutive hyphens (DNS best practice)
+    if (/--/.test(value)) {
+      return helpers.error('string.pattern.base');
+    }
+    // Profanity filter — check if name contains blocked words
+    const nameLower = value.toLowerCase();
+    for (const word of PROFANITY_BLOCKLIST) {
+      if (nameLower.includes(word)) {
+        return helpers.error('any.custom', { message: 'Store name contains inappropriate language.' });
       }
-      return value;
-    })
-    .required()
-    .messages({
-      'string.pattern.base': 'Store name must be lowercase, alphanumeric with hyphens, no consecutive hyphens, and cannot start or end with a hyphen.',
-      'string.min': 'Store name must be at least 3 characters.',
-      'string.max': 'Store name must be at most 63 characters (DNS label limit).',
-      'any.invalid': 'This store name is reserved and cannot be used.',
-    }),
+    }
+    return value;
+  })
+  .messages({
+    'string.pattern.base': 'Store name must be lowercase, alphanumeric with hyphens, no consecutive hyphens, and cannot start or end with a hyphen.',
+    'string.min': 'Store name must be at least 3 characters.',
+    'string.max': 'Store name must be at most 63 characters (DNS label limit).',
+    'any.invalid': 'This store name is reserved and cannot be used.',
+  });
+
+const createStoreSchema = Joi.object({
+  name: storeNameSchema.required(),
   engine: Joi.string()
     .valid('woocommerce', 'medusa')
     .required()
@@ -110,6 +129,16 @@ const createStoreSchema = Joi.object({
     .messages({
       'string.min': 'Password must be at least 8 characters.',
     }),
+  // Optional — seed the store from one of the caller's backups instead of demo data
+  backupId: Joi.string().guid().optional()
+    .messages({
+      'string.guid': 'backupId must be a valid backup ID.',
+    }),
+  // Store size — defaults to config.plans.default
+  plan: Joi.string().valid(...PLAN_NAMES).optional()
+    .messages({
+      'any.only': `Plan must be one of: ${PLAN_NAMES.join(', ')}.`,
+    }),
   // ownerId is intentionally NOT accepted from client — always derived from JWT
 }).options({ stripUnknown: true });
 
@@ -123,8 +152,13 @@ const changePasswordSchema = Joi.object({
     }),
 }).options({ stripUnknown: true });
 
+const STORE_STATUSES = [
+  'requested', 'provisioning', 'ready', 'failed', 'deleting', 'deleted',
+  'suspending', 'suspended', 'resuming', 'upgrading', 'restoring', 'degraded',
+];
+
 const listStoresSchema = Joi.object({
-  status: Joi.string().valid('requested', 'provisioning', 'ready', 'failed', 'deleting', 'deleted'),
+  status: Joi.string().valid(...STORE_STATUSES),
   engine: Joi.string().valid('woocommerce', 'medusa'),
   // ownerId is only settable server-side; admins can pass it as a query param
   ownerId: Joi.string().max(128),
@@ -141,11 +175,292 @@ const storeIdSchema = Joi.object({
     }),
 });
 
+const retryStoreSchema = Joi.object({
+  // Tear down the release and namespace and re-run every phase instead of
+  // resuming after the phases earlier attempts completed
+  fromScratch: Joi.boolean().default(false),
+  // Retry even though the store's failure is classified as not retryable
+  force: Joi.boolean().default(false),
+}).options({ stripUnknown: true });
+
+const suspendStoreSchema = Joi.object({
+  // Free-text reason recorded in the audit trail (e.g. "unpaid invoice", "off-season")
+  reason: Joi.string().trim().max(500).optional(),
+}).options({ stripUnknown: true });
+
+const upgradeStoreSchema = Joi.object({
+  // Free-text reason recorded in the audit trail (e.g. "chart 1.4.2 image fix")
+  reason: Joi.string().trim().max(500).optional(),
+}).options({ stripUnknown: true });
+
+const cloneStoreSchema = Joi.object({
+  // Defaults to '<source name>-staging'
+  name: storeNameSchema.optional(),
+}).options({ stripUnknown: true });
+
+const changePlanSchema = Joi.object({
+  plan: Joi.string().valid(...PLAN_NAMES).required()
+    .messages({
+      'any.only': `Plan must be one of: ${PLAN_NAMES.join(', ')}.`,
+    }),
+}).options({ stripUnknown: true });
+
+const restoreStoreSchema = Joi.object({
+  backupId: Joi.string().guid().required(),
+}).options({ stripUnknown: true });
+
 const logsQuerySchema = Joi.object({
   limit: Joi.number().integer().min(1).max(500).default(100),
   offset: Joi.number().integer().min(0).default(0),
 }).options({ stripUnknown: true });
 
+const storeHealthSchema = Joi.object({
+  hours: Joi.number().integer().min(1).max(720).default(24),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+}).options({ stripUnknown: true });
+
+// Resume point for clients that cannot send the Last-Event-ID header
+const storeEventsSchema = Joi.object({
+  lastEventId: Joi.number().integer().min(0),
+}).options({ stripUnknown: true });
+
+// ─── Diagnostics Schemas ─────────────────────────────────────────────────────
+
+// Kubernetes object names (RFC 1123 subdomain / label)
+const k8sNamePattern = /^[a-z0-9]([-a-z0-9.]*[a-z0-9])?$/;
+
+const podNameSchema = storeIdSchema.keys({
+  pod: Joi.string().pattern(k8sNamePattern).max(253).required()
+    .messages({ 'string.pattern.base': 'pod must be a valid Kubernetes pod name' }),
+});
+
+const podLogsSchema = Joi.object({
+  container: Joi.string().pattern(k8sNamePattern).max(63),
+  tailLines: Joi.number().integer().min(1).max(5000).default(200),
+  sinceSeconds: Joi.number().integer().min(1).max(7 * 24 * 3600),
+  previous: Joi.boolean().default(false),
+  // A previous (terminated) container instance has nothing left to follow
+  follow: Joi.boolean().default(false).when('previous', {
+    is: true,
+    then: Joi.valid(false).messages({ 'any.only': 'follow cannot be combined with previous' }),
+  }),
+}).options({ stripUnknown: true });
+
+const k8sEventsSchema = Joi.object({
+  type: Joi.string().valid('Normal', 'Warning'),
+  limit: Joi.number().integer().min(1).max(500).default(100),
+}).options({ stripUnknown: true });
+
+// ─── Backup Schemas ──────────────────────────────────────────────────────────
+
+const backupIdSchema = storeIdSchema.keys({
+  backupId: Joi.string().guid().required(),
+});
+
+const listBackupsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+}).options({ stripUnknown: true });
+
+const backupRetentionSchema = Joi.object({
+  // null resets the value to the platform default
+  keepLast: Joi.number().integer().min(1).max(365).allow(null),
+  maxAgeDays: Joi.number().integer().min(1).max(3650).allow(null),
+}).or('keepLast', 'maxAgeDays').options({ stripUnknown: true });
+
+// ─── Credential Schemas ──────────────────────────────────────────────────────
+
+const rotateCredentialsSchema = Joi.object({
+  // Generated when omitted; only the store owner may choose one
+  password: Joi.string().min(8).max(128),
+  database: Joi.boolean().default(true),
+}).options({ stripUnknown: true });
+
+const listCredentialRotationsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+}).options({ stripUnknown: true });
+
+// The caller's own control-plane password, re-entered
+const revealCredentialsSchema = Joi.object({
+  password: Joi.string().required(),
+}).options({ stripUnknown: true });
+
+const credentialRotationPolicySchema = Joi.object({
+  // null turns scheduled rotation off
+  intervalDays: Joi.number().integer().min(1).max(365).allow(null).required(),
+}).options({ stripUnknown: true });
+
+// ─── Domain Schemas ──────────────────────────────────────────────────────────
+
+const addDomainSchema = Joi.object({
+  // Fully qualified, no wildcards or IPs; stored lowercased
+  hostname: Joi.string()
+    .trim()
+    .lowercase()
+    .max(253)
+    .domain({ minDomainSegments: 2, tlds: false })
+    .required()
+    .messages({
+      'string.domain': 'Hostname must be a fully qualified domain name (e.g. shop.example.com)',
+    }),
+}).options({ stripUnknown: true });
+
+const domainIdSchema = storeIdSchema.keys({
+  domainId: Joi.string().guid().required(),
+});
+
+// ─── Usage Schemas ───────────────────────────────────────────────────────────
+
+// Defaults to the current month so far
+const usageRangeSchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('from')) }),
+});
+
+const storeUsageSchema = usageRangeSchema.keys({
+  granularity: Joi.string().valid('hour', 'day').default('hour'),
+}).options({ stripUnknown: true });
+
+const usageRollupSchema = usageRangeSchema.keys({
+  ownerId: Joi.string().max(128),
+  format: Joi.string().valid('json', 'csv').default('json'),
+}).options({ stripUnknown: true });
+
+// ─── Billing Schemas ─────────────────────────────────────────────────────────
+
+const billingPeriodSchema = Joi.string()
+  .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+  .messages({ 'string.pattern.base': 'Period must be a month in YYYY-MM format.' });
+
+const listInvoicesSchema = Joi.object({
+  status: Joi.string().valid('draft', 'open', 'paid', 'void'),
+  period: billingPeriodSchema,
+  ownerId: Joi.string().max(128),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+}).options({ stripUnknown: true });
+
+const invoiceIdSchema = Joi.object({
+  id: Joi.string().guid().required(),
+});
+
+const generateInvoicesSchema = Joi.object({
+  period: billingPeriodSchema.required(),
+  ownerId: Joi.string().max(128),
+  // Issue the drafts right away (numbers them and charges the owner)
+  finalize: Joi.boolean().default(false),
+}).options({ stripUnknown: true });
+
+const voidInvoiceSchema = Joi.object({
+  reason: Joi.string().trim().max(500),
+}).options({ stripUnknown: true });
+
+// ─── Fleet Schemas ───────────────────────────────────────────────────────────
+
+const createRolloutSchema = Joi.object({
+  // Store selection — stores not upgradable when their wave comes up are skipped
+  engine: Joi.string().valid('woocommerce', 'medusa'),
+  status: Joi.string().valid(...STORE_STATUSES).default('ready'),
+  ownerId: Joi.string().max(128),
+  // Wave sizing — the canary wave runs alone before any other store is touched
+  canarySize: Joi.number().integer().min(1).max(20).default(1),
+  waveSize: Joi.number().integer().min(1).max(50).default(5),
+  // Halt once (failed + rolled back) / attempted exceeds this fraction
+  maxFailureRate: Joi.number().min(0).max(1).default(0.2),
+  reason: Joi.string().trim().max(500),
+}).options({ stripUnknown: true });
+
+const rolloutIdSchema = Joi.object({
+  id: Joi.string().guid().required(),
+});
+
+const listRolloutsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+}).options({ stripUnknown: true });
+
+// ─── Drift Schemas ───────────────────────────────────────────────────────────
+
+const DRIFT_KINDS = ['orphaned_namespace', 'missing_namespace', 'missing_release', 'degraded_store'];
+const DRIFT_STATUSES = ['open', 'resolved', 'adopted', 'repaired', 'collected'];
+
+const listDriftFindingsSchema = Joi.object({
+  status: Joi.string().valid(...DRIFT_STATUSES).default('open'),
+  kind: Joi.string().valid(...DRIFT_KINDS),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+}).options({ stripUnknown: true });
+
+const driftFindingIdSchema = Joi.object({
+  id: Joi.string().guid().required(),
+});
+
+const adoptFindingSchema = Joi.object({
+  // The adopted store gets an owner like any other — there is no JWT to derive it from
+  ownerId: Joi.string().max(128).required(),
+  // Not recorded on the namespace, so the admin says which engine it runs
+  engine: Joi.string().valid('woocommerce', 'medusa').required(),
+  name: storeNameSchema,
+  plan: Joi.string().valid(...PLAN_NAMES),
+}).options({ stripUnknown: true });
+
+// ─── API Key Schemas ─────────────────────────────────────────────────────────
+
+const API_KEY_SCOPES = ['stores:read', 'stores:write', 'audit:read'];
+
+const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(64).required(),
+  scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required(),
+  // null for a key that does not expire
+  expiresInDays: Joi.number().integer().min(1).max(365).allow(null).default(90),
+}).options({ stripUnknown: true });
+
+const apiKeyIdSchema = Joi.object({
+  id: Joi.string().guid().required(),
+});
+
+// ─── Webhook Schemas ─────────────────────────────────────────────────────────
+
+const WEBHOOK_EVENTS = ['store_created', 'status_change', 'provisioning_failed', 'store_deleted', 'action_required', 'security'];
+
+const webhookUrlSchema = Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048)
+  .messages({ 'string.uriCustomScheme': 'Webhook URL must be an http or https URL.' });
+
+const webhookEventsSchema = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique();
+
+const createWebhookSchema = Joi.object({
+  url: webhookUrlSchema.required(),
+  events: webhookEventsSchema.required(),
+  description: Joi.string().trim().max(255),
+}).options({ stripUnknown: true });
+
+const updateWebhookSchema = Joi.object({
+  url: webhookUrlSchema,
+  events: webhookEventsSchema,
+  description: Joi.string().trim().max(255).allow(null),
+  enabled: Joi.boolean(),
+}).min(1).options({ stripUnknown: true });
+
+const webhookIdSchema = Joi.object({
+  id: Joi.string().guid().required(),
+});
+
+const webhookDeliveryIdSchema = Joi.object({
+  id: Joi.string().guid().required(),
+  deliveryId: Joi.string().guid().required(),
+});
+
+const listWebhooksSchema = Joi.object({
+  ownerId: Joi.string().max(128),
+}).options({ stripUnknown: true });
+
+const listWebhookDeliveriesSchema = Joi.object({
+  status: Joi.string().valid('pending', 'succeeded', 'failed'),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+}).options({ stripUnknown: true });
+
 /**
  * Create a validation middleware from a Joi schema.
  * @param {Joi.Schema} schema
@@ -166,11 +481,55 @@ function validate(schema, source = 'body') {
 module.exports = {
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  sessionIdSchema,
+  userIdSchema,
+  userStatusSchema,
   changePasswordSchema,
   auditQuerySchema,
   createStoreSchema,
   listStoresSchema,
   storeIdSchema,
+  retryStoreSchema,
+  suspendStoreSchema,
+  upgradeStoreSchema,
+  changePlanSchema,
+  restoreStoreSchema,
+  cloneStoreSchema,
   logsQuerySchema,
+  storeHealthSchema,
+  storeEventsSchema,
+  podNameSchema,
+  podLogsSchema,
+  k8sEventsSchema,
+  backupIdSchema,
+  listBackupsSchema,
+  backupRetentionSchema,
+  rotateCredentialsSchema,
+  listCredentialRotationsSchema,
+  revealCredentialsSchema,
+  credentialRotationPolicySchema,
+  addDomainSchema,
+  domainIdSchema,
+  storeUsageSchema,
+  usageRollupSchema,
+  listInvoicesSchema,
+  invoiceIdSchema,
+  generateInvoicesSchema,
+  voidInvoiceSchema,
+  createRolloutSchema,
+  rolloutIdSchema,
+  listRolloutsSchema,
+  listDriftFindingsSchema,
+  driftFindingIdSchema,
+  adoptFindingSchema,
+  createApiKeySchema,
+  apiKeyIdSchema,
+  createWebhookSchema,
+  updateWebhookSchema,
+  webhookIdSchema,
+  webhookDeliveryIdSchema,
+  listWebhooksSchema,
+  listWebhookDeliveriesSchema,
   validate,
 };
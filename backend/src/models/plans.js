@@ -0,0 +1,126 @@
+'use strict';
+
+const config = require('../config');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Store Plans
+ *
+ * Named store sizes (config.plans.tiers). A plan decides the namespace's
+ * ResourceQuota and LimitRange — passed to the chart as --set values on
+ * install and resize — how many active stores of that plan a user may own,
+ * and the monthly price billing prorates per store-hour.
+ */
+
+const PLAN_NAMES = Object.keys(config.plans.tiers);
+
+// ResourceQuota spec.hard keys, by chart value name
+const QUOTA_KEYS = {
+  requestsCpu: 'requests.cpu',
+  requestsMemory: 'requests.memory',
+  limitsCpu: 'limits.cpu',
+  limitsMemory: 'limits.memory',
+  storage: 'requests.storage',
+  pvcs: 'persistentvolumeclaims',
+  pods: 'pods',
+  services: 'services',
+};
+
+const QUANTITY_SUFFIXES = {
+  m: 1e-3,
+  k: 1e3, M: 1e6, G: 1e9, T: 1e12,
+  Ki: 2 ** 10, Mi: 2 ** 20, Gi: 2 ** 30, Ti: 2 ** 40,
+};
+
+/**
+ * Look up a plan by name.
+ * @param {string} name
+ * @returns {Object} Plan definition, with its name
+ * @throws {ValidationError} If the plan does not exist
+ */
+function getPlan(name) {
+  const plan = config.plans.tiers[name];
+  if (!plan) {
+    throw new ValidationError(`Unknown plan '${name}'.`, { plans: PLAN_NAMES });
+  }
+  return { name, ...plan };
+}
+
+/**
+ * Public view of every plan (for the dashboard plan picker).
+ * @returns {Object[]}
+ */
+function listPlans() {
+  return PLAN_NAMES.map((name) => {
+    const plan = config.plans.tiers[name];
+    return {
+      name,
+      default: name === config.plans.default,
+      maxStoresPerUser: plan.maxStoresPerUser,
+      monthlyPriceCents: plan.monthlyPriceCents,
+      currency: config.billing.currency,
+      resourceQuota: { ...plan.resourceQuota },
+      limitRange: { ...plan.limitRange },
+    };
+  });
+}
+
+/**
+ * Chart --set values that size a store's namespace for a plan.
+ * @param {string} name
+ * @returns {Object}
+ */
+function planSetValues(name) {
+  const plan = getPlan(name);
+  const values = {};
+  for (const [key, value] of Object.entries(plan.resourceQuota)) {
+    values[`resourceQuota.${key}`] = value;
+  }
+  for (const [key, value] of Object.entries(plan.limitRange)) {
+    values[`limitRange.${key}`] = value;
+  }
+  return values;
+}
+
+/**
+ * Parse a Kubernetes resource quantity ("500m", "2Gi", "10") into a number.
+ * @param {string|number} quantity
+ * @returns {number} NaN if unparseable
+ */
+function parseQuantity(quantity) {
+  const match = /^([0-9.]+)([a-zA-Z]*)$/.exec(String(quantity).trim());
+  if (!match) return NaN;
+  const [, number, suffix] = match;
+  if (suffix && !QUANTITY_SUFFIXES[suffix]) return NaN;
+  return parseFloat(number) * (suffix ? QUANTITY_SUFFIXES[suffix] : 1);
+}
+
+/**
+ * Compare a namespace's ResourceQuota against a plan.
+ * Kubernetes normalizes quantities ("1000m" → "1"), so values are compared numerically.
+ *
+ * @param {string} name - Plan name
+ * @param {Object} hard - ResourceQuota spec.hard
+ * @returns {Array<{ resource: string, expected: string, actual: string|null }>} Empty when they match
+ */
+function compareQuota(name, hard = {}) {
+  const plan = getPlan(name);
+  const mismatches = [];
+  for (const [key, expected] of Object.entries(plan.resourceQuota)) {
+    const resource = QUOTA_KEYS[key];
+    const actual = hard[resource] !== undefined ? String(hard[resource]) : null;
+    if (actual === null || parseQuantity(actual) !== parseQuantity(expected)) {
+      mismatches.push({ resource, expected, actual });
+    }
+  }
+  return mismatches;
+}
+
+module.exports = {
+  PLAN_NAMES,
+  getPlan,
+  listPlans,
+  planSetValues,
+  parseQuantity,
+  compareQuota,
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+const config = require('../config');
+
+/**
+ * Automatic Retry Policy
+ *
+ * Decides what happens to a store whose provisioning failed. A failure the
+ * classifier marks retryable (see services/failureClassifier) is retried
+ * without anyone clicking retry, after an exponential backoff with jitter,
+ * until the store has used config.provisioning.maxRetries retries — manual
+ * and automatic ones count alike. Anything else stays failed and its owner
+ * is told what to do.
+ */
+
+const DECISIONS = Object.freeze({
+  RETRY: 'retry',
+  NOTIFY: 'notify',
+  NONE: 'none',
+});
+
+/**
+ * Delay before retry number `attempt` (1-based): the base delay doubled per
+ * earlier retry, capped, then spread ±25% so stores that failed together do
+ * not retry together.
+ * @param {number} attempt
+ * @param {Function} [random=Math.random]
+ * @returns {number} Milliseconds
+ */
+function backoffDelayMs(attempt, random = Math.random) {
+  const { retryBaseDelayMs, retryMaxDelayMs } = config.provisioning;
+  const delay = Math.min(retryBaseDelayMs * 2 ** Math.max(0, attempt - 1), retryMaxDelayMs);
+  return Math.round(delay * (0.75 + random() * 0.5));
+}
+
+/**
+ * Decide the follow-up to a provisioning failure.
+ * @param {Object} store - The failed store (retryCount = retries used so far)
+ * @param {Object} failure - failureClassifier classification
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()]
+ * @param {Function} [options.random]
+ * @returns {{ decision: string, attempt: number, delayMs?: number, retryAt?: Date, reason?: string }}
+ */
+function decide(store, failure, { now = Date.now(), random } = {}) {
+  const attempt = store.retryCount + 1;
+
+  if (!failure.retryable) {
+    return { decision: DECISIONS.NOTIFY, attempt, reason: 'not_retryable' };
+  }
+  if (!config.provisioning.autoRetry) {
+    return { decision: DECISIONS.NONE, attempt };
+  }
+  if (store.retryCount >= config.provisioning.maxRetries) {
+    return { decision: DECISIONS.NOTIFY, attempt, reason: 'retries_exhausted' };
+  }
+
+  const delayMs = backoffDelayMs(attempt, random);
+  return { decision: DECISIONS.RETRY, attempt, delayMs, retryAt: new Date(now + delayMs) };
+}
+
+module.exports = {
+  DECISIONS,
+  backoffDelayMs,
+  decide,
+};
@@ -10,11 +10,28 @@ const logger = require('../utils/logger').child('state-machine');
  * 
  * State diagram:
  *
+ *                            upgrading / restoring
+ *                                   ▲  │
+ *                                   │  ▼
  *   requested ──▶ provisioning ──▶ ready ──▶ deleting ──▶ deleted
- *                       │                       │
- *                       └──▶ failed ◀───────────┘
+ *                       │          │  ▲         ▲   │
+ *                       │ suspending  resuming  │   │
+ *                       │          ▼  │         │   │
+ *                       │        suspended ─────┘   │
+ *                       │                           │
+ *                       └──▶ failed ◀───────────────┘
  *                              │
  *                              └──▶ requested (retry)
+ *
+ * suspending / resuming / upgrading / restoring may also fall through to failed.
+ * ready and suspended stores go back to requested when the drift reconciler
+ * repairs missing cluster resources by re-provisioning them.
+ *
+ * ready ⇄ degraded is driven by the health prober: a ready store that fails
+ * several probes in a row is degraded, and goes back to ready once it passes.
+ * A degraded store can still be deleted, suspended, upgraded or repaired.
+ * upgrading returns to ready after a successful upgrade or rollback;
+ * restoring returns to ready once the backup has been loaded.
  */
 
 const STATES = {
@@ -24,6 +41,12 @@ const STATES = {
   FAILED: 'failed',
   DELETING: 'deleting',
   DELETED: 'deleted',
+  SUSPENDING: 'suspending',
+  SUSPENDED: 'suspended',
+  RESUMING: 'resuming',
+  UPGRADING: 'upgrading',
+  RESTORING: 'restoring',
+  DEGRADED: 'degraded',
 };
 
 /**
@@ -33,10 +56,16 @@ const STATES = {
 const TRANSITIONS = {
   [STATES.REQUESTED]:     [STATES.PROVISIONING, STATES.FAILED],
   [STATES.PROVISIONING]:  [STATES.READY, STATES.FAILED],
-  [STATES.READY]:         [STATES.DELETING],
+  [STATES.READY]:         [STATES.DELETING, STATES.SUSPENDING, STATES.UPGRADING, STATES.RESTORING, STATES.REQUESTED, STATES.DEGRADED],  // requested = drift repair
   [STATES.FAILED]:        [STATES.REQUESTED, STATES.DELETING],  // retry or cleanup
   [STATES.DELETING]:      [STATES.DELETED, STATES.FAILED],
   [STATES.DELETED]:       [],  // terminal state
+  [STATES.SUSPENDING]:    [STATES.SUSPENDED, STATES.FAILED],
+  [STATES.SUSPENDED]:     [STATES.RESUMING, STATES.DELETING, STATES.REQUESTED],  // requested = drift repair
+  [STATES.RESUMING]:      [STATES.READY, STATES.FAILED],
+  [STATES.UPGRADING]:     [STATES.READY, STATES.FAILED],  // ready also covers rolled-back upgrades
+  [STATES.RESTORING]:     [STATES.READY, STATES.FAILED],
+  [STATES.DEGRADED]:      [STATES.READY, STATES.DELETING, STATES.SUSPENDING, STATES.UPGRADING, STATES.REQUESTED],
 };
 
 /**
@@ -46,12 +75,19 @@ const TERMINAL_STATES = new Set([STATES.DELETED]);
 
 /**
  * Active states — stores that consume resources.
+ * Suspended stores run no pods but still hold their PVCs.
  */
 const ACTIVE_STATES = new Set([
   STATES.REQUESTED,
   STATES.PROVISIONING,
   STATES.READY,
   STATES.DELETING,
+  STATES.SUSPENDING,
+  STATES.SUSPENDED,
+  STATES.RESUMING,
+  STATES.UPGRADING,
+  STATES.RESTORING,
+  STATES.DEGRADED,
 ]);
 
 /**
@@ -61,6 +97,10 @@ const IN_PROGRESS_STATES = new Set([
   STATES.REQUESTED,
   STATES.PROVISIONING,
   STATES.DELETING,
+  STATES.SUSPENDING,
+  STATES.RESUMING,
+  STATES.UPGRADING,
+  STATES.RESTORING,
 ]);
 
 /**
@@ -147,8 +187,11 @@ function canDelete(status) {
   if (status === STATES.PROVISIONING) {
     return { allowed: false, reason: 'Store is currently provisioning. Wait for completion or failure before deleting.' };
   }
-  // Allow delete from ready and failed
-  if (status === STATES.READY || status === STATES.FAILED) {
+  if ([STATES.SUSPENDING, STATES.RESUMING, STATES.UPGRADING, STATES.RESTORING].includes(status)) {
+    return { allowed: false, reason: `Store is currently ${status}. Wait for completion before deleting.` };
+  }
+  // Allow delete from ready, degraded, suspended and failed
+  if ([STATES.READY, STATES.DEGRADED, STATES.SUSPENDED, STATES.FAILED].includes(status)) {
     return { allowed: true };
   }
   return { allowed: false, reason: `Cannot delete store in '${status}' state` };
@@ -166,6 +209,76 @@ function canRetry(status) {
   return { allowed: true };
 }
 
+/**
+ * Check if a store can be re-provisioned in place to repair drift
+ * (namespace or Helm release missing from the cluster).
+ * @param {string} status
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function canRepair(status) {
+  if (![STATES.READY, STATES.DEGRADED, STATES.SUSPENDED].includes(status)) {
+    return { allowed: false, reason: `Only ready, degraded or suspended stores can be repaired. Current status: '${status}'` };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Check if a store can be suspended (scaled to zero).
+ * @param {string} status
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function canSuspend(status) {
+  if (status === STATES.SUSPENDED || status === STATES.SUSPENDING) {
+    return { allowed: false, reason: 'Store is already suspended' };
+  }
+  if (status !== STATES.READY && status !== STATES.DEGRADED) {
+    return { allowed: false, reason: `Only ready or degraded stores can be suspended. Current status: '${status}'` };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Check if a store can be resumed.
+ * @param {string} status
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function canResume(status) {
+  if (status !== STATES.SUSPENDED) {
+    return { allowed: false, reason: `Only suspended stores can be resumed. Current status: '${status}'` };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Check if a store can be upgraded in place (helm upgrade).
+ * @param {string} status
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function canUpgrade(status) {
+  if (status === STATES.UPGRADING) {
+    return { allowed: false, reason: 'Store is already being upgraded' };
+  }
+  if (status !== STATES.READY && status !== STATES.DEGRADED) {
+    return { allowed: false, reason: `Only ready or degraded stores can be upgraded. Current status: '${status}'` };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Check if a store can have a backup restored over its data in place.
+ * @param {string} status
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function canRestore(status) {
+  if (status === STATES.RESTORING) {
+    return { allowed: false, reason: 'Store is already being restored' };
+  }
+  if (status !== STATES.READY) {
+    return { allowed: false, reason: `Only ready stores can be restored in place. Current status: '${status}'` };
+  }
+  return { allowed: true };
+}
+
 module.exports = {
   STATES,
   TRANSITIONS,
@@ -176,4 +289,9 @@ module.exports = {
   isInProgress,
   canDelete,
   canRetry,
+  canRepair,
+  canSuspend,
+  canResume,
+  canUpgrade,
+  canRestore,
 };
@@ -0,0 +1,36 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const apiKeyController = require('../controllers/apiKeyController');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, createApiKeySchema, apiKeyIdSchema } = require('../middleware/validators');
+
+/**
+ * API Key Routes — /api/v1/api-keys
+ *
+ * The caller's personal API keys. Keys are managed from a signed-in
+ * session only — an API key cannot list, create or revoke keys.
+ */
+
+router.use(authenticateToken);
+
+// List the caller's keys
+router.get('/', apiKeyController.listKeys);
+
+// Create a key (returns the key once)
+router.post(
+  '/',
+  validate(createApiKeySchema, 'body'),
+  apiKeyController.createKey
+);
+
+// Revoke a key
+router.delete(
+  '/:id',
+  validate(apiKeyIdSchema, 'params'),
+  apiKeyController.revokeKey
+);
+
+module.exports = router;
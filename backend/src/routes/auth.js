@@ -4,8 +4,17 @@ const express = require('express');
 const router = express.Router();
 
 const authController = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/auth');
-const { validate, registerSchema, loginSchema, changePasswordSchema } = require('../middleware/validators');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validate,
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  sessionIdSchema,
+  userIdSchema,
+  userStatusSchema,
+  changePasswordSchema,
+} = require('../middleware/validators');
 const { loginLimiter, registerLimiter, checkAccountLockout } = require('../middleware/loginLimiter');
 
 // POST /api/v1/auth/register (rate limited: 5/hour per IP)
@@ -25,6 +34,35 @@ router.post(
   authController.login
 );
 
+// POST /api/v1/auth/refresh  (rotates the refresh token)
+router.post(
+  '/refresh',
+  validate(refreshTokenSchema, 'body'),
+  authController.refresh
+);
+
+// POST /api/v1/auth/logout  (requires authentication)
+router.post(
+  '/logout',
+  authenticateToken,
+  authController.logout
+);
+
+// GET /api/v1/auth/sessions  (requires authentication)
+router.get(
+  '/sessions',
+  authenticateToken,
+  authController.listSessions
+);
+
+// DELETE /api/v1/auth/sessions/:id  (requires authentication)
+router.delete(
+  '/sessions/:id',
+  authenticateToken,
+  validate(sessionIdSchema, 'params'),
+  authController.revokeSession
+);
+
 // GET /api/v1/auth/me  (requires authentication)
 router.get(
   '/me',
@@ -40,4 +78,14 @@ router.patch(
   authController.changePassword
 );
 
+// PATCH /api/v1/auth/users/:id  (admin only — activate / deactivate)
+router.patch(
+  '/users/:id',
+  authenticateToken,
+  requireRole('admin'),
+  validate(userIdSchema, 'params'),
+  validate(userStatusSchema, 'body'),
+  authController.setUserStatus
+);
+
 module.exports = router;
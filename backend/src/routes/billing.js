@@ -0,0 +1,70 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const billingController = require('../controllers/billingController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validate,
+  listInvoicesSchema,
+  invoiceIdSchema,
+  generateInvoicesSchema,
+  voidInvoiceSchema,
+} = require('../middleware/validators');
+
+/**
+ * Billing Routes — /api/v1/billing
+ *
+ * Tenants read and pay their own invoices; issuing and voiding is admin only.
+ */
+
+router.use(authenticateToken);
+
+// List invoices (tenants: own only)
+router.get(
+  '/invoices',
+  validate(listInvoicesSchema, 'query'),
+  billingController.listInvoices
+);
+
+// Compute draft invoices for a month from usage samples
+router.post(
+  '/invoices/generate',
+  requireRole('admin'),
+  validate(generateInvoicesSchema, 'body'),
+  billingController.generateInvoices
+);
+
+// Invoice with line items
+router.get(
+  '/invoices/:id',
+  validate(invoiceIdSchema, 'params'),
+  billingController.getInvoice
+);
+
+// Charge an open invoice
+router.post(
+  '/invoices/:id/pay',
+  validate(invoiceIdSchema, 'params'),
+  billingController.payInvoice
+);
+
+// Issue a draft invoice (numbers it, sets the due date, charges the owner)
+router.post(
+  '/invoices/:id/finalize',
+  requireRole('admin'),
+  validate(invoiceIdSchema, 'params'),
+  billingController.finalizeInvoice
+);
+
+// Cancel a draft or open invoice (resumes stores it suspended)
+router.post(
+  '/invoices/:id/void',
+  requireRole('admin'),
+  validate(invoiceIdSchema, 'params'),
+  validate(voidInvoiceSchema, 'body'),
+  billingController.voidInvoice
+);
+
+module.exports = router;
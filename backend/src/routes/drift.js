@@ -0,0 +1,63 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const driftController = require('../controllers/driftController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validate,
+  listDriftFindingsSchema,
+  driftFindingIdSchema,
+  adoptFindingSchema,
+} = require('../middleware/validators');
+
+/**
+ * Drift Routes — /api/v1/drift
+ *
+ * Differences between the stores table and the cluster, found by the drift
+ * reconciler, and the actions that close them. Admin only.
+ */
+
+router.use(authenticateToken, requireRole('admin'));
+
+// Run a reconcile pass now
+router.post('/reconcile', driftController.reconcile);
+
+// List findings (open by default)
+router.get(
+  '/findings',
+  validate(listDriftFindingsSchema, 'query'),
+  driftController.listFindings
+);
+
+// A single finding
+router.get(
+  '/findings/:id',
+  validate(driftFindingIdSchema, 'params'),
+  driftController.getFinding
+);
+
+// Register an orphaned namespace as a store
+router.post(
+  '/findings/:id/adopt',
+  validate(driftFindingIdSchema, 'params'),
+  validate(adoptFindingSchema, 'body'),
+  driftController.adoptFinding
+);
+
+// Re-provision the store, or re-apply its chart
+router.post(
+  '/findings/:id/repair',
+  validate(driftFindingIdSchema, 'params'),
+  driftController.repairFinding
+);
+
+// Garbage-collect an orphaned namespace or a store with no cluster resources
+router.post(
+  '/findings/:id/gc',
+  validate(driftFindingIdSchema, 'params'),
+  driftController.collectFinding
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const fleetController = require('../controllers/fleetController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validate,
+  createRolloutSchema,
+  rolloutIdSchema,
+  listRolloutsSchema,
+} = require('../middleware/validators');
+
+/**
+ * Fleet Routes — /api/v1/fleet
+ *
+ * Operations that span many tenant stores. Admin only.
+ */
+
+router.use(authenticateToken, requireRole('admin'));
+
+// Start a fleet rollout (canary wave first, then batched waves)
+router.post(
+  '/rollouts',
+  validate(createRolloutSchema, 'body'),
+  fleetController.createRollout
+);
+
+// List rollouts
+router.get(
+  '/rollouts',
+  validate(listRolloutsSchema, 'query'),
+  fleetController.listRollouts
+);
+
+// Rollout progress and per-store outcomes
+router.get(
+  '/rollouts/:id',
+  validate(rolloutIdSchema, 'params'),
+  fleetController.getRollout
+);
+
+// Halt a running rollout after its current wave
+router.post(
+  '/rollouts/:id/halt',
+  validate(rolloutIdSchema, 'params'),
+  fleetController.haltRollout
+);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const router = express.Router();
 const db = require('../db/pool');
 const k8sService = require('../services/kubernetesService');
 const provisionerService = require('../services/provisionerService');
+const leaderElection = require('../services/leaderElection');
 
 /**
  * Health Routes — /api/v1/health
@@ -45,6 +46,7 @@ router.get('/', async (req, res) => {
     uptime: Math.floor(process.uptime()),
     checks,
     concurrency,
+    cluster: leaderElection.status(),
   });
 });
 
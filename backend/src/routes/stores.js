@@ -4,8 +4,44 @@ const express = require('express');
 const router = express.Router();
 
 const storeController = require('../controllers/storeController');
-const { authenticateToken } = require('../middleware/auth');
-const { validate, createStoreSchema, listStoresSchema, storeIdSchema, logsQuerySchema } = require('../middleware/validators');
+const backupController = require('../controllers/backupController');
+const credentialController = require('../controllers/credentialController');
+const domainController = require('../controllers/domainController');
+const usageController = require('../controllers/usageController');
+const storeHealthController = require('../controllers/storeHealthController');
+const storeEventController = require('../controllers/storeEventController');
+const diagnosticsController = require('../controllers/diagnosticsController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { loginLimiter, checkAccountLockout } = require('../middleware/loginLimiter');
+const { authorizeStore } = require('../middleware/storeAccess');
+const {
+  validate,
+  createStoreSchema,
+  listStoresSchema,
+  storeIdSchema,
+  retryStoreSchema,
+  suspendStoreSchema,
+  upgradeStoreSchema,
+  changePlanSchema,
+  restoreStoreSchema,
+  cloneStoreSchema,
+  logsQuerySchema,
+  backupIdSchema,
+  listBackupsSchema,
+  backupRetentionSchema,
+  rotateCredentialsSchema,
+  listCredentialRotationsSchema,
+  revealCredentialsSchema,
+  credentialRotationPolicySchema,
+  addDomainSchema,
+  domainIdSchema,
+  storeUsageSchema,
+  storeHealthSchema,
+  storeEventsSchema,
+  podNameSchema,
+  podLogsSchema,
+  k8sEventsSchema,
+} = require('../middleware/validators');
 const requestTimeout = require('../middleware/requestTimeout');
 
 // All store routes require authentication
@@ -37,10 +73,14 @@ router.get(
   storeController.listStores
 );
 
+// Available plans — registered before /:id so "plans" is not taken as an ID
+router.get('/plans', storeController.listPlans);
+
 // Get a single store
 router.get(
   '/:id',
   validate(storeIdSchema, 'params'),
+  authorizeStore,
   storeController.getStore
 );
 
@@ -48,6 +88,7 @@ router.get(
 router.delete(
   '/:id',
   validate(storeIdSchema, 'params'),
+  authorizeStore,
   storeController.deleteStore
 );
 
@@ -55,15 +96,287 @@ router.delete(
 router.post(
   '/:id/retry',
   validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(retryStoreSchema, 'body'),
   storeController.retryStore
 );
 
+// Suspend a ready store — scale to zero, keep data (admin only)
+router.post(
+  '/:id/suspend',
+  requireRole('admin'),
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(suspendStoreSchema, 'body'),
+  storeController.suspendStore
+);
+
+// Resume a suspended store (admin only)
+router.post(
+  '/:id/resume',
+  requireRole('admin'),
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  storeController.resumeStore
+);
+
+// Upgrade a ready store to the current chart, rolling back on failure (admin only)
+router.post(
+  '/:id/upgrade',
+  requireRole('admin'),
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(upgradeStoreSchema, 'body'),
+  storeController.upgradeStore
+);
+
+// Resize a ready store to another plan (ResourceQuota / LimitRange)
+router.patch(
+  '/:id/plan',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(changePlanSchema, 'body'),
+  storeController.changePlan
+);
+
+// Overwrite a ready store's data with one of its backups
+router.post(
+  '/:id/restore',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(restoreStoreSchema, 'body'),
+  storeController.restoreStore
+);
+
+// Provision a staging copy of a ready store
+router.post(
+  '/:id/clone',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(cloneStoreSchema, 'body'),
+  enforceCreationCooldown,
+  storeController.cloneStore
+);
+
+// Copy a clone's data back onto its source store
+router.post(
+  '/:id/promote',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  storeController.promoteStore
+);
+
 // Get store activity logs
 router.get(
   '/:id/logs',
   validate(storeIdSchema, 'params'),
+  authorizeStore,
   validate(logsQuerySchema, 'query'),
   storeController.getStoreLogs
 );
 
+// ─── Backups ─────────────────────────────────────────────────────────────────
+
+// Dump the store database to backup storage (async)
+router.post(
+  '/:id/backups',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  backupController.createBackup
+);
+
+// List store backups
+router.get(
+  '/:id/backups',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(listBackupsSchema, 'query'),
+  backupController.listBackups
+);
+
+// Retention policy — registered before /:backupId so "retention" is not taken as an ID
+router.get(
+  '/:id/backups/retention',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  backupController.getRetention
+);
+
+router.put(
+  '/:id/backups/retention',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(backupRetentionSchema, 'body'),
+  backupController.setRetention
+);
+
+// Get a single backup
+router.get(
+  '/:id/backups/:backupId',
+  validate(backupIdSchema, 'params'),
+  authorizeStore,
+  backupController.getBackup
+);
+
+// Delete a backup and its stored artifact
+router.delete(
+  '/:id/backups/:backupId',
+  validate(backupIdSchema, 'params'),
+  authorizeStore,
+  backupController.deleteBackup
+);
+
+// ─── Credentials ─────────────────────────────────────────────────────────────
+
+// Admin credentials for the store owner after re-entering their password
+// (rate limited and locked out like login)
+router.post(
+  '/:id/credentials/reveal',
+  loginLimiter,
+  checkAccountLockout,
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(revealCredentialsSchema, 'body'),
+  credentialController.revealCredentials
+);
+
+// New store admin (and database) password, independent of the owner's login (async)
+router.post(
+  '/:id/credentials/rotate',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(rotateCredentialsSchema, 'body'),
+  credentialController.rotateCredentials
+);
+
+// List credential rotations
+router.get(
+  '/:id/credentials/rotations',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(listCredentialRotationsSchema, 'query'),
+  credentialController.listRotations
+);
+
+// Scheduled rotation every N days
+router.get(
+  '/:id/credentials/rotation-policy',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  credentialController.getRotationPolicy
+);
+
+router.put(
+  '/:id/credentials/rotation-policy',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(credentialRotationPolicySchema, 'body'),
+  credentialController.setRotationPolicy
+);
+
+// ─── Custom Domains ──────────────────────────────────────────────────────────
+
+// List custom domains
+router.get(
+  '/:id/domains',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  domainController.listDomains
+);
+
+// Attach a domain (pending until its DNS TXT record is verified)
+router.post(
+  '/:id/domains',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(addDomainSchema, 'body'),
+  domainController.addDomain
+);
+
+// Check the TXT record and add the domain to the store ingress (async)
+router.post(
+  '/:id/domains/:domainId/verify',
+  validate(domainIdSchema, 'params'),
+  authorizeStore,
+  domainController.verifyDomain
+);
+
+// Serve the store (and WordPress siteurl) from this domain
+router.post(
+  '/:id/domains/:domainId/primary',
+  validate(domainIdSchema, 'params'),
+  authorizeStore,
+  domainController.setPrimaryDomain
+);
+
+// Detach a domain and remove it from the ingress
+router.delete(
+  '/:id/domains/:domainId',
+  validate(domainIdSchema, 'params'),
+  authorizeStore,
+  domainController.removeDomain
+);
+
+// ─── Usage ───────────────────────────────────────────────────────────────────
+
+// Resource usage samples and totals (defaults to the current month)
+router.get(
+  '/:id/usage',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(storeUsageSchema, 'query'),
+  usageController.getStoreUsage
+);
+
+// ─── Health ──────────────────────────────────────────────────────────────────
+
+// Uptime and recent probe results from the background health prober
+router.get(
+  '/:id/health',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(storeHealthSchema, 'query'),
+  storeHealthController.getStoreHealth
+);
+
+// ─── Events ──────────────────────────────────────────────────────────────────
+
+// Server-Sent Events: status changes, workflow phases and audit entries as
+// they are written. Resumes after the Last-Event-ID header (or lastEventId).
+router.get(
+  '/:id/events',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(storeEventsSchema, 'query'),
+  storeEventController.streamEvents
+);
+
+// ─── Diagnostics ─────────────────────────────────────────────────────────────
+
+// Pods of the store namespace with container states and restart counts
+router.get(
+  '/:id/pods',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  diagnosticsController.listPods
+);
+
+// Container logs (tailLines, sinceSeconds, previous); follow=true streams them
+router.get(
+  '/:id/pods/:pod/logs',
+  validate(podNameSchema, 'params'),
+  authorizeStore,
+  validate(podLogsSchema, 'query'),
+  diagnosticsController.getPodLogs
+);
+
+// Kubernetes events of the store namespace
+router.get(
+  '/:id/k8s-events',
+  validate(storeIdSchema, 'params'),
+  authorizeStore,
+  validate(k8sEventsSchema, 'query'),
+  diagnosticsController.listK8sEvents
+);
+
 module.exports = router;
@@ -0,0 +1,25 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const usageController = require('../controllers/usageController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validate, usageRollupSchema } = require('../middleware/validators');
+
+/**
+ * Usage Routes — /api/v1/usage
+ *
+ * Platform-wide resource consumption, for billing and capacity planning. Admin only.
+ */
+
+router.use(authenticateToken, requireRole('admin'));
+
+// Usage per store and plan (JSON, or CSV with ?format=csv)
+router.get(
+  '/',
+  validate(usageRollupSchema, 'query'),
+  usageController.getUsageRollup
+);
+
+module.exports = router;
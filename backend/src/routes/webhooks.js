@@ -0,0 +1,79 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const webhookController = require('../controllers/webhookController');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validate,
+  createWebhookSchema,
+  updateWebhookSchema,
+  webhookIdSchema,
+  webhookDeliveryIdSchema,
+  listWebhooksSchema,
+  listWebhookDeliveriesSchema,
+} = require('../middleware/validators');
+
+/**
+ * Webhook Routes — /api/v1/webhooks
+ *
+ * Endpoints that receive signed POSTs of store lifecycle (and, for admins,
+ * security) events, and their delivery log. Tenants manage their own
+ * endpoints; ownership is checked in the controller.
+ */
+
+router.use(authenticateToken);
+
+// List endpoints
+router.get(
+  '/',
+  validate(listWebhooksSchema, 'query'),
+  webhookController.listEndpoints
+);
+
+// Register an endpoint (returns the signing secret once)
+router.post(
+  '/',
+  validate(createWebhookSchema, 'body'),
+  webhookController.createEndpoint
+);
+
+// A single endpoint
+router.get(
+  '/:id',
+  validate(webhookIdSchema, 'params'),
+  webhookController.getEndpoint
+);
+
+// Change URL, events or description; enable or disable
+router.patch(
+  '/:id',
+  validate(webhookIdSchema, 'params'),
+  validate(updateWebhookSchema, 'body'),
+  webhookController.updateEndpoint
+);
+
+// Remove an endpoint and its delivery log
+router.delete(
+  '/:id',
+  validate(webhookIdSchema, 'params'),
+  webhookController.deleteEndpoint
+);
+
+// Delivery log
+router.get(
+  '/:id/deliveries',
+  validate(webhookIdSchema, 'params'),
+  validate(listWebhookDeliveriesSchema, 'query'),
+  webhookController.listDeliveries
+);
+
+// Send a past delivery again
+router.post(
+  '/:id/deliveries/:deliveryId/replay',
+  validate(webhookDeliveryIdSchema, 'params'),
+  webhookController.replayDelivery
+);
+
+module.exports = router;
@@ -0,0 +1,186 @@
+'use strict';
+
+const crypto = require('crypto');
+const db = require('../db/pool');
+const logger = require('../utils/logger').child('api-keys');
+const userService = require('./userService');
+const auditService = require('./auditService');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+/**
+ * API Key Service — personal keys for scripts and CI pipelines.
+ *
+ * A key is sent like a JWT (`Authorization: Bearer mtk_…`) and acts as the
+ * user who created it, limited to its scopes. Keys are random 256-bit
+ * values, so a SHA-256 hash is enough to store them; the key itself is
+ * returned once, when it is created. Keys stop working when they expire,
+ * are revoked, or their user is deactivated.
+ *
+ * Use is tracked per key (last_used_at / last_used_ip) and recorded in the
+ * audit trail as an `api_key_used` security event, at most once per key
+ * per USAGE_RECORD_INTERVAL.
+ */
+
+const KEY_PREFIX = 'mtk_';
+
+const API_KEY_SCOPES = Object.freeze(['stores:read', 'stores:write', 'audit:read']);
+
+const MAX_ACTIVE_KEYS_PER_USER = 25;
+
+const USAGE_RECORD_INTERVAL = '1 minute';
+
+const KEY_COLUMNS = 'id, user_id, name, key_prefix, scopes, expires_at, last_used_at, last_used_ip, revoked_at, created_at';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Whether a bearer token is an API key rather than a JWT.
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+/**
+ * Create a key. The key is returned here only.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.name
+ * @param {string[]} params.scopes - Subset of API_KEY_SCOPES
+ * @param {number|null} [params.expiresInDays] - null for a key that does not expire
+ * @returns {Promise<{ apiKey: Object, key: string }>}
+ */
+async function createKey({ userId, name, scopes, expiresInDays = null }) {
+  const active = await db.query(
+    `SELECT COUNT(*) AS total FROM api_keys
+     WHERE user_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [userId]
+  );
+  if (parseInt(active.rows[0].total, 10) >= MAX_ACTIVE_KEYS_PER_USER) {
+    throw new ConflictError(
+      `You already have ${MAX_ACTIVE_KEYS_PER_USER} active API keys.`,
+      'Revoke a key you no longer use and try again.'
+    );
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null;
+  const result = await db.query(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${KEY_COLUMNS}`,
+    [userId, name, key.slice(0, 12), hashKey(key), [...new Set(scopes)], expiresAt]
+  );
+  const apiKey = normalizeKey(result.rows[0]);
+
+  logger.info('API key created', { keyId: apiKey.id, userId, scopes: apiKey.scopes });
+  return { apiKey, key };
+}
+
+/**
+ * A user's keys, newest first, revoked and expired ones included.
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+async function listKeys(userId) {
+  const result = await db.query(
+    `SELECT ${KEY_COLUMNS} FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows.map(normalizeKey);
+}
+
+/**
+ * Revoke one of a user's keys. Revoking a revoked key changes nothing.
+ * @param {string} userId
+ * @param {string} keyId
+ * @returns {Promise<Object>} The key
+ */
+async function revokeKey(userId, keyId) {
+  const result = await db.query(
+    `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+     WHERE id = $1 AND user_id = $2
+     RETURNING ${KEY_COLUMNS}`,
+    [keyId, userId]
+  );
+  if (result.rows.length === 0) throw new NotFoundError('API key', keyId);
+
+  logger.info('API key revoked', { keyId, userId });
+  return normalizeKey(result.rows[0]);
+}
+
+/**
+ * Resolve a presented key to its (active) key record and user.
+ * @param {string} key
+ * @returns {Promise<{ apiKey: Object, user: Object }|null>} null for unknown,
+ *   revoked or expired keys and deactivated users
+ */
+async function authenticate(key) {
+  const result = await db.query(
+    `SELECT ${KEY_COLUMNS} FROM api_keys
+     WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [hashKey(key)]
+  );
+  if (result.rows.length === 0) return null;
+
+  const apiKey = normalizeKey(result.rows[0]);
+  const user = await userService.findById(apiKey.userId);
+  if (!user || !user.isActive) return null;
+
+  return { apiKey, user };
+}
+
+/**
+ * Track a request made with a key. The first use per USAGE_RECORD_INTERVAL
+ * updates last_used_at and goes into the audit trail.
+ * @param {Object} apiKey
+ * @param {Object} request
+ * @param {string} request.email - Key owner
+ * @param {string} [request.ip]
+ * @param {string} request.method
+ * @param {string} request.path
+ */
+async function recordUse(apiKey, { email, ip, method, path }) {
+  const result = await db.query(
+    `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '${USAGE_RECORD_INTERVAL}')`,
+    [apiKey.id, ip || null]
+  );
+  if (result.rowCount === 0) return;
+
+  await auditService.logSecurityEvent({
+    action: 'api_key_used',
+    email,
+    ip,
+    message: `API key '${apiKey.name}' (${apiKey.keyPrefix}…) used: ${method} ${path}`,
+    metadata: { keyId: apiKey.id, method, path },
+  });
+}
+
+function normalizeKey(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    scopes: row.scopes,
+    expiresAt: row.expires_at || null,
+    lastUsedAt: row.last_used_at || null,
+    lastUsedIp: row.last_used_ip || null,
+    revokedAt: row.revoked_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  isApiKey,
+  createKey,
+  listKeys,
+  revokeKey,
+  authenticate,
+  recordUse,
+};
@@ -2,11 +2,15 @@
 
 const db = require('../db/pool');
 const logger = require('../utils/logger').child('audit');
+const webhookService = require('./webhookService');
+const storeEventService = require('./storeEventService');
 
 /**
  * Audit Logger — append-only event log for store lifecycle events.
  * Every state transition, helm operation, error, and significant event is recorded.
- * This is the single source of truth for "what happened and when" for any store.
+ * This is the single source of truth for "what happened and when" for any store,
+ * and the source of outbound webhook events (see webhookService.dispatch).
+ * Store events are also appended to the store's live event feed.
  */
 
 /**
@@ -23,17 +27,28 @@ const logger = require('../utils/logger').child('audit');
  */
 async function log(event) {
   const { storeId, eventType, previousStatus, newStatus, message, metadata = {}, ipAddress, userEmail } = event;
+  let row;
   try {
-    await db.query(
+    const result = await db.query(
       `INSERT INTO audit_logs (store_id, event_type, previous_status, new_status, message, metadata, ip_address, user_email)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, store_id, event_type, previous_status, new_status, message, metadata, created_at`,
       [storeId || null, eventType, previousStatus || null, newStatus || null, message || null, JSON.stringify(metadata), ipAddress || null, userEmail || null]
     );
+    row = result.rows[0];
     logger.debug('Audit event recorded', { storeId, eventType, message });
   } catch (err) {
     // Audit logging should never crash the main flow
     logger.error('Failed to record audit event', { storeId, eventType, error: err.message });
+    return;
   }
+
+  if (storeId && row) {
+    await storeEventService.publish(storeId, storeEventService.EVENT_TYPES.AUDIT, normalizeAuditRow(row));
+  }
+
+  // Not awaited — slow receivers must not hold up the workflow that logged the event
+  webhookService.dispatch(event);
 }
 
 /**
@@ -68,19 +83,23 @@ async function getByStoreId(storeId, options = {}) {
 }
 
 /**
- * Log a security event (login, lockout, rate limit, registration).
- * These events have no storeId but include IP and email context.
+ * Log a security event (login, lockout, rate limit, registration, credential reveal, API keys).
+ * Most have no storeId but include IP and email context; events about a
+ * store's credentials carry its storeId, so they show in the store's log.
  * 
  * @param {Object} event
- * @param {string} event.action - login_success | login_failed | account_locked | rate_limited | registration
+ * @param {string} event.action - login_success | login_failed | account_locked | rate_limited | registration |
+ *   credentials_revealed | credentials_reveal_failed | api_key_created | api_key_revoked | api_key_used |
+ *   logout | session_revoked | refresh_token_reused | password_changed | user_activated | user_deactivated
  * @param {string} [event.email] - User email involved
  * @param {string} [event.ip] - Client IP address
+ * @param {string} [event.storeId] - Store the event concerns
  * @param {string} [event.message] - Human-readable description
  * @param {Object} [event.metadata] - Extra structured data
  */
-async function logSecurityEvent({ action, email, ip, message, metadata = {} }) {
+async function logSecurityEvent({ action, email, ip, storeId = null, message, metadata = {} }) {
   return log({
-    storeId: null,
+    storeId,
     eventType: 'security',
     message: message || `Security event: ${action}`,
     metadata: { action, ...metadata },
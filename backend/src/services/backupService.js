@@ -0,0 +1,670 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const db = require('../db/pool');
+const config = require('../config');
+const logger = require('../utils/logger').child('backup');
+const storeRegistry = require('./storeRegistry');
+const auditService = require('./auditService');
+const storeSetupService = require('./storeSetupService');
+const objectStoreService = require('./objectStoreService');
+const { STATES } = require('../models/storeMachine');
+const { NotFoundError, ConflictError, ValidationError, ProvisioningError } = require('../utils/errors');
+const { storeBackupsTotal } = require('../utils/metrics');
+
+/**
+ * Backup Service — per-store database dumps to S3-compatible storage.
+ *
+ * A backup runs mysqldump (WooCommerce / MariaDB) or pg_dump (Medusa /
+ * PostgreSQL) inside the store's database pod through kubectl exec, gzips the
+ * output to a temp file while hashing it, then uploads the artifact to the
+ * backup bucket under `<storeId>/`. The row records size, SHA-256, engine and
+ * chart version so a later restore knows exactly what it is applying.
+ *
+ * Restores run the other way: the artifact is downloaded, its checksum
+ * verified against the row, and the gunzipped dump piped into the database
+ * client over `kubectl exec -i`. Store state (restoring, provisioning) is the
+ * provisioner's job; this module only moves bytes.
+ *
+ * Retention is evaluated after every successful backup: keep the newest
+ * `keepLast` backups and drop anything older than `maxAgeDays` — but never
+ * the most recent completed backup, nor one a store is being restored from.
+ * Stores may override either default.
+ */
+
+const BACKUP_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+const BACKUP_COLUMNS = `
+  id, store_id, engine, chart_version, status, trigger, object_key, size_bytes,
+  checksum_sha256, error, requested_by, started_at, completed_at, created_at
+`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Run via `sh -c` in the database container; credentials come from the
+// container's own environment so they never appear in kubectl arguments.
+// Dumps carry no CREATE DATABASE / USE so they load into whatever database
+// the target store's chart configured.
+const DUMP_COMMANDS = {
+  woocommerce: [
+    'exec "$(command -v mariadb-dump || command -v mysqldump)"',
+    '-uroot -p"$MARIADB_ROOT_PASSWORD"',
+    '--single-transaction --routines --triggers',
+    '"$MARIADB_DATABASE"',
+  ].join(' '),
+  medusa: 'exec pg_dump -U "$POSTGRES_USER" -d "$POSTGRES_DB" --clean --if-exists --no-owner',
+};
+
+// Read the (gunzipped) dump from stdin. Dumps drop and recreate every table,
+// so loading is idempotent and safe to repeat after an interruption.
+const RESTORE_COMMANDS = {
+  woocommerce: 'exec "$(command -v mariadb || command -v mysql)" -uroot -p"$MARIADB_ROOT_PASSWORD" "$MARIADB_DATABASE"',
+  medusa: 'exec psql -U "$POSTGRES_USER" -d "$POSTGRES_DB" -v ON_ERROR_STOP=1 --single-transaction --quiet',
+};
+
+// A backup being loaded into a store in one of these states must not be deleted
+const RESTORING_STATUSES = [STATES.REQUESTED, STATES.PROVISIONING, STATES.RESTORING];
+
+/**
+ * Start a backup of a ready store. Returns immediately; the dump runs in the background.
+ *
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy] - User email
+ * @param {string} [options.trigger='manual']
+ * @param {string} [options.correlationId]
+ * @returns {Promise<Object>} The backup record (status 'running')
+ */
+async function createBackup(storeId, { requestedBy, trigger = 'manual', correlationId } = {}) {
+  const { backup, store } = await beginBackup(storeId, { requestedBy, trigger, correlationId });
+
+  runBackupAsync(backup, store, { correlationId }).catch((err) => {
+    logger.error('Unhandled backup error', { storeId, backupId: backup.id, error: err.message });
+  });
+
+  return backup;
+}
+
+/**
+ * Back up a ready store and wait for the dump to finish.
+ * Same workflow as createBackup(), for callers that need the artifact
+ * (e.g. cloning a store).
+ *
+ * @param {string} storeId
+ * @param {Object} [options] - Same as createBackup()
+ * @returns {Promise<Object>} The completed backup record
+ * @throws {ProvisioningError} If the backup failed
+ */
+async function createBackupAndWait(storeId, { requestedBy, trigger = 'manual', correlationId } = {}) {
+  const { backup, store } = await beginBackup(storeId, { requestedBy, trigger, correlationId });
+  await runBackupAsync(backup, store, { correlationId });
+
+  const finished = await getBackup(storeId, backup.id);
+  if (finished.status !== BACKUP_STATUS.COMPLETED) {
+    throw new ProvisioningError(`Backup of store '${storeId}' failed: ${finished.error || 'unknown error'}`, {
+      metadata: { backupId: backup.id },
+    });
+  }
+  return finished;
+}
+
+/**
+ * Validate and record a new backup.
+ * @returns {Promise<{ backup: Object, store: Object }>}
+ */
+async function beginBackup(storeId, { requestedBy, trigger, correlationId }) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store) {
+    throw new NotFoundError('Store', storeId);
+  }
+
+  if (store.status !== STATES.READY && store.status !== STATES.DEGRADED) {
+    throw new ConflictError(
+      `Only ready or degraded stores can be backed up. Current status: '${store.status}'`,
+      'Wait for the store to become ready and try again.'
+    );
+  }
+
+  const running = await db.query(
+    'SELECT id FROM backups WHERE store_id = $1 AND status = $2 LIMIT 1',
+    [storeId, BACKUP_STATUS.RUNNING]
+  );
+  if (running.rows.length > 0) {
+    throw new ConflictError(
+      `Backup '${running.rows[0].id}' is already running for store '${storeId}'.`,
+      'Wait for it to complete before starting another.'
+    );
+  }
+
+  const id = crypto.randomUUID();
+  const stamp = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const objectKey = `${storeId}/${stamp}-${id}.sql.gz`;
+
+  const result = await db.query(
+    `INSERT INTO backups (id, store_id, engine, chart_version, trigger, object_key, requested_by, owner_instance)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING ${BACKUP_COLUMNS}`,
+    [id, storeId, store.engine, store.chartVersion, trigger, objectKey, requestedBy || null,
+      config.cluster.instanceId]
+  );
+  const backup = normalizeBackup(result.rows[0]);
+
+  logger.info('Backup started', { storeId, backupId: id, engine: store.engine, correlationId });
+
+  await auditService.log({
+    storeId,
+    eventType: 'backup',
+    message: `Database backup started (${trigger})`,
+    metadata: { backupId: id, engine: store.engine, chartVersion: store.chartVersion, correlationId },
+    userEmail: requestedBy,
+  });
+
+  return { backup, store };
+}
+
+/**
+ * Dump, upload and record one backup. Never throws for dump/upload failures —
+ * those mark the backup failed.
+ * @param {Object} backup
+ * @param {Object} store
+ * @param {Object} [options]
+ * @param {string} [options.correlationId]
+ */
+async function runBackupAsync(backup, store, { correlationId } = {}) {
+  const filePath = path.join(os.tmpdir(), `mtec-backup-${backup.id}.sql.gz`);
+  const startTime = Date.now();
+
+  try {
+    const { podName, container } = await storeSetupService.findDatabasePod(store.namespace, store.engine);
+    const { sizeBytes, checksum } = await dumpToFile({
+      namespace: store.namespace,
+      podName,
+      container,
+      command: DUMP_COMMANDS[store.engine],
+      filePath,
+    });
+
+    await objectStoreService.putObject(backup.objectKey, filePath, {
+      size: sizeBytes,
+      sha256: checksum,
+      contentType: 'application/gzip',
+    });
+
+    await db.query(
+      `UPDATE backups SET status = $1, size_bytes = $2, checksum_sha256 = $3, completed_at = NOW()
+       WHERE id = $4`,
+      [BACKUP_STATUS.COMPLETED, sizeBytes, checksum, backup.id]
+    );
+
+    const durationMs = Date.now() - startTime;
+    storeBackupsTotal.inc({ engine: store.engine, status: BACKUP_STATUS.COMPLETED });
+    logger.info('Backup completed', { storeId: store.id, backupId: backup.id, sizeBytes, durationMs, correlationId });
+
+    await auditService.log({
+      storeId: store.id,
+      eventType: 'backup',
+      message: `Database backup completed (${formatBytes(sizeBytes)})`,
+      metadata: { backupId: backup.id, sizeBytes, checksum, objectKey: backup.objectKey, durationMs, correlationId },
+    });
+
+    await applyRetention(store.id).catch((err) => {
+      logger.warn('Backup retention failed', { storeId: store.id, error: err.message });
+    });
+  } catch (err) {
+    await db.query(
+      'UPDATE backups SET status = $1, error = $2, completed_at = NOW() WHERE id = $3',
+      [BACKUP_STATUS.FAILED, err.message.substring(0, 1000), backup.id]
+    );
+
+    storeBackupsTotal.inc({ engine: store.engine, status: BACKUP_STATUS.FAILED });
+    logger.error('Backup failed', { storeId: store.id, backupId: backup.id, error: err.message, correlationId });
+
+    await auditService.log({
+      storeId: store.id,
+      eventType: 'error',
+      message: `Database backup failed: ${err.message}`,
+      metadata: { backupId: backup.id, code: err.code, correlationId },
+    });
+  } finally {
+    await fs.promises.unlink(filePath).catch(() => {});
+  }
+}
+
+/**
+ * Stream a dump through gzip into a local file, hashing the gzipped bytes.
+ * @returns {Promise<{ sizeBytes: number, checksum: string }>}
+ */
+async function dumpToFile({ namespace, podName, container, command, filePath }) {
+  const hash = crypto.createHash('sha256');
+  let sizeBytes = 0;
+  const measure = new Transform({
+    transform(chunk, _encoding, callback) {
+      hash.update(chunk);
+      sizeBytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
+
+  const exec = storeSetupService.kubectlExecStream({
+    namespace,
+    podName,
+    container,
+    command,
+    timeoutMs: config.backups.timeoutMs,
+  });
+
+  const written = pipeline(exec.stdout, zlib.createGzip(), measure, fs.createWriteStream(filePath))
+    .catch((err) => {
+      exec.kill();
+      throw err;
+    });
+
+  await Promise.all([written, exec.done]);
+  return { sizeBytes, checksum: hash.digest('hex') };
+}
+
+/**
+ * List backups for a store, newest first.
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @param {number} [options.offset=0]
+ * @returns {Promise<{ backups: Object[], total: number }>}
+ */
+async function listBackups(storeId, { limit = 20, offset = 0 } = {}) {
+  const [dataResult, countResult] = await Promise.all([
+    db.query(
+      `SELECT ${BACKUP_COLUMNS} FROM backups
+       WHERE store_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [storeId, limit, offset]
+    ),
+    db.query('SELECT COUNT(*) AS total FROM backups WHERE store_id = $1', [storeId]),
+  ]);
+
+  return {
+    backups: dataResult.rows.map(normalizeBackup),
+    total: parseInt(countResult.rows[0].total, 10),
+  };
+}
+
+/**
+ * Get one backup of a store.
+ * @param {string} storeId
+ * @param {string} backupId
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError}
+ */
+async function getBackup(storeId, backupId) {
+  const result = await db.query(
+    `SELECT ${BACKUP_COLUMNS} FROM backups WHERE id = $1 AND store_id = $2`,
+    [backupId, storeId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Backup', backupId);
+  }
+  return normalizeBackup(result.rows[0]);
+}
+
+/**
+ * Get a backup by ID, regardless of store (used when restoring into another store).
+ * @param {string} backupId
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError}
+ */
+async function getBackupById(backupId) {
+  const result = await db.query(`SELECT ${BACKUP_COLUMNS} FROM backups WHERE id = $1`, [backupId]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Backup', backupId);
+  }
+  return normalizeBackup(result.rows[0]);
+}
+
+/**
+ * Check that a backup can be loaded into a store of the given engine.
+ * @param {Object} backup
+ * @param {string} engine
+ * @throws {ConflictError|ValidationError}
+ */
+function assertRestorable(backup, engine) {
+  if (backup.status !== BACKUP_STATUS.COMPLETED) {
+    throw new ConflictError(
+      `Backup '${backup.id}' is ${backup.status} and cannot be restored.`,
+      'Pick a completed backup.'
+    );
+  }
+  if (backup.engine !== engine) {
+    throw new ValidationError(
+      `Backup '${backup.id}' is a ${backup.engine} backup and cannot be restored into a ${engine} store.`,
+      { backupEngine: backup.engine, storeEngine: engine }
+    );
+  }
+}
+
+/**
+ * Load a backup into a store's database, replacing its contents.
+ * Verifies the artifact checksum before anything touches the database.
+ *
+ * @param {Object} params
+ * @param {Object} params.backup
+ * @param {Object} params.store - Target store (may differ from backup.storeId)
+ * @param {string} [params.correlationId]
+ * @returns {Promise<{ sizeBytes: number }>}
+ */
+async function loadBackup({ backup, store, correlationId }) {
+  const filePath = path.join(os.tmpdir(), `mtec-restore-${store.id}-${backup.id}.sql.gz`);
+
+  try {
+    const { sizeBytes, checksum } = await downloadToFile(backup.objectKey, filePath);
+    if (backup.checksum && checksum !== backup.checksum) {
+      throw new ProvisioningError(
+        `Backup '${backup.id}' failed checksum verification (expected ${backup.checksum}, got ${checksum})`,
+        { retryable: false, metadata: { backupId: backup.id } }
+      );
+    }
+
+    const { podName, container } = await storeSetupService.findDatabasePod(store.namespace, store.engine);
+    const exec = storeSetupService.kubectlExecStream({
+      namespace: store.namespace,
+      podName,
+      container,
+      command: RESTORE_COMMANDS[store.engine],
+      stdin: fs.createReadStream(filePath).pipe(zlib.createGunzip()),
+      timeoutMs: config.backups.timeoutMs,
+    });
+    exec.stdout.resume();
+    await exec.done;
+
+    logger.info('Backup loaded', {
+      storeId: store.id, backupId: backup.id, sourceStoreId: backup.storeId, sizeBytes, correlationId,
+    });
+    return { sizeBytes };
+  } finally {
+    await fs.promises.unlink(filePath).catch(() => {});
+  }
+}
+
+/**
+ * Download an artifact to a local file, hashing it on the way.
+ * @returns {Promise<{ sizeBytes: number, checksum: string }>}
+ */
+async function downloadToFile(objectKey, filePath) {
+  const hash = crypto.createHash('sha256');
+  let sizeBytes = 0;
+  const measure = new Transform({
+    transform(chunk, _encoding, callback) {
+      hash.update(chunk);
+      sizeBytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
+
+  const body = await objectStoreService.getObjectStream(objectKey);
+  await pipeline(body, measure, fs.createWriteStream(filePath));
+  return { sizeBytes, checksum: hash.digest('hex') };
+}
+
+/**
+ * Whether a store is currently being provisioned or restored from this backup.
+ * @param {string} backupId
+ * @returns {Promise<boolean>}
+ */
+async function isBackupInUse(backupId) {
+  const result = await db.query(
+    'SELECT 1 FROM stores WHERE restore_backup_id = $1 AND status = ANY($2) LIMIT 1',
+    [backupId, RESTORING_STATUSES]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Delete a backup row and its stored artifact.
+ * @param {string} storeId
+ * @param {string} backupId
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy]
+ * @returns {Promise<Object>} The deleted backup
+ */
+async function deleteBackup(storeId, backupId, { requestedBy } = {}) {
+  const backup = await getBackup(storeId, backupId);
+  if (backup.status === BACKUP_STATUS.RUNNING) {
+    throw new ConflictError(
+      `Backup '${backupId}' is still running.`,
+      'Wait for it to complete before deleting it.'
+    );
+  }
+  if (await isBackupInUse(backupId)) {
+    throw new ConflictError(
+      `Backup '${backupId}' is being restored into a store.`,
+      'Wait for the restore to finish before deleting it.'
+    );
+  }
+
+  await removeBackup(backup);
+
+  await auditService.log({
+    storeId,
+    eventType: 'backup',
+    message: 'Database backup deleted',
+    metadata: { backupId, objectKey: backup.objectKey },
+    userEmail: requestedBy,
+  });
+
+  return backup;
+}
+
+async function removeBackup(backup) {
+  if (backup.status === BACKUP_STATUS.COMPLETED) {
+    await objectStoreService.deleteObject(backup.objectKey);
+  }
+  await db.query('DELETE FROM backups WHERE id = $1', [backup.id]);
+  logger.info('Backup deleted', { storeId: backup.storeId, backupId: backup.id });
+}
+
+/**
+ * Effective retention policy for a store (per-store override or platform default).
+ * @param {Object} store
+ * @returns {{ keepLast: number, maxAgeDays: number, overrides: Object, defaults: Object }}
+ */
+function resolveRetention(store) {
+  const defaults = { keepLast: config.backups.retentionCount, maxAgeDays: config.backups.retentionDays };
+  const overrides = { keepLast: store.backupRetentionCount, maxAgeDays: store.backupRetentionDays };
+  return {
+    keepLast: overrides.keepLast ?? defaults.keepLast,
+    maxAgeDays: overrides.maxAgeDays ?? defaults.maxAgeDays,
+    overrides,
+    defaults,
+  };
+}
+
+/**
+ * @param {string} storeId
+ * @returns {Promise<Object>} Effective retention policy
+ */
+async function getRetention(storeId) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store) {
+    throw new NotFoundError('Store', storeId);
+  }
+  return resolveRetention(store);
+}
+
+/**
+ * Override a store's retention policy and apply it right away.
+ * `null` resets a value to the platform default; `undefined` leaves it unchanged.
+ *
+ * @param {string} storeId
+ * @param {Object} policy
+ * @param {number|null} [policy.keepLast]
+ * @param {number|null} [policy.maxAgeDays]
+ * @param {string} [requestedBy]
+ * @returns {Promise<Object>} Effective retention policy
+ */
+async function setRetention(storeId, { keepLast, maxAgeDays }, requestedBy) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store) {
+    throw new NotFoundError('Store', storeId);
+  }
+
+  // storeRegistry.update skips undefined fields, so map null through explicitly
+  const sets = [];
+  const params = [];
+  if (keepLast !== undefined) {
+    params.push(keepLast);
+    sets.push(`backup_retention_count = $${params.length}`);
+  }
+  if (maxAgeDays !== undefined) {
+    params.push(maxAgeDays);
+    sets.push(`backup_retention_days = $${params.length}`);
+  }
+  if (sets.length > 0) {
+    params.push(storeId);
+    await db.query(`UPDATE stores SET ${sets.join(', ')} WHERE id = $${params.length}`, params);
+  }
+
+  const updated = await storeRegistry.findById(storeId);
+  const policy = resolveRetention(updated);
+
+  await auditService.log({
+    storeId,
+    eventType: 'backup',
+    message: `Backup retention set: keep last ${policy.keepLast}, max age ${policy.maxAgeDays} day(s)`,
+    metadata: { overrides: policy.overrides },
+    userEmail: requestedBy,
+  });
+
+  await applyRetention(storeId);
+  return policy;
+}
+
+/**
+ * Pick the completed backups a retention policy expires.
+ * The newest backup is always kept, however old it is.
+ *
+ * @param {{ createdAt: Date|string }[]} backups - Completed backups, newest first
+ * @param {Object} policy
+ * @param {number} policy.keepLast
+ * @param {number} policy.maxAgeDays
+ * @param {Date} [now=new Date()]
+ * @returns {Object[]} Backups to delete
+ */
+function selectExpiredBackups(backups, { keepLast, maxAgeDays }, now = new Date()) {
+  const cutoff = now.getTime() - maxAgeDays * DAY_MS;
+  return backups.filter((backup, index) => {
+    if (index === 0) return false;
+    return index >= keepLast || new Date(backup.createdAt).getTime() < cutoff;
+  });
+}
+
+/**
+ * Delete completed backups of a store that fall outside its retention policy.
+ * @param {string} storeId
+ * @returns {Promise<number>} Number of backups removed
+ */
+async function applyRetention(storeId) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store) return 0;
+
+  const policy = resolveRetention(store);
+  const result = await db.query(
+    `SELECT ${BACKUP_COLUMNS}, EXISTS (
+       SELECT 1 FROM stores s WHERE s.restore_backup_id = backups.id AND s.status = ANY($3)
+     ) AS in_use
+     FROM backups
+     WHERE store_id = $1 AND status = $2
+     ORDER BY created_at DESC`,
+    [storeId, BACKUP_STATUS.COMPLETED, RESTORING_STATUSES]
+  );
+
+  const inUse = new Set(result.rows.filter(row => row.in_use).map(row => row.id));
+  const expired = selectExpiredBackups(result.rows.map(normalizeBackup), policy)
+    .filter(backup => !inUse.has(backup.id));
+  for (const backup of expired) {
+    await removeBackup(backup);
+  }
+
+  if (expired.length > 0) {
+    logger.info('Expired backups pruned', { storeId, count: expired.length });
+    await auditService.log({
+      storeId,
+      eventType: 'backup',
+      message: `Retention removed ${expired.length} expired backup(s)`,
+      metadata: { backupIds: expired.map(b => b.id), keepLast: policy.keepLast, maxAgeDays: policy.maxAgeDays },
+    });
+  }
+  return expired.length;
+}
+
+/**
+ * Mark backups left running by a process that is gone as failed — their dump
+ * process died with it. Run by the leader on election and whenever a replica
+ * stops heartbeating.
+ */
+async function recoverInterruptedBackups() {
+  const result = await db.query(
+    `UPDATE backups SET status = $1, error = $2, completed_at = NOW()
+     WHERE status = $3
+       AND (owner_instance IS NULL
+            OR owner_instance NOT IN (SELECT id FROM control_plane_instances))
+     RETURNING id, store_id`,
+    [BACKUP_STATUS.FAILED, 'Interrupted by backend restart', BACKUP_STATUS.RUNNING]
+  );
+
+  for (const row of result.rows) {
+    logger.warn('Marked interrupted backup as failed', { storeId: row.store_id, backupId: row.id });
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function normalizeBackup(row) {
+  return {
+    id: row.id,
+    storeId: row.store_id,
+    engine: row.engine,
+    chartVersion: row.chart_version || null,
+    status: row.status,
+    trigger: row.trigger,
+    objectKey: row.object_key,
+    sizeBytes: row.size_bytes !== null ? parseInt(row.size_bytes, 10) : null,
+    checksum: row.checksum_sha256 || null,
+    error: row.error || null,
+    requestedBy: row.requested_by || null,
+    startedAt: row.started_at,
+    completedAt: row.completed_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+module.exports = {
+  BACKUP_STATUS,
+  createBackup,
+  createBackupAndWait,
+  listBackups,
+  getBackup,
+  getBackupById,
+  assertRestorable,
+  loadBackup,
+  deleteBackup,
+  getRetention,
+  setRetention,
+  applyRetention,
+  recoverInterruptedBackups,
+  // Exported for testing
+  selectExpiredBackups,
+};
@@ -0,0 +1,638 @@
+'use strict';
+
+const db = require('../db/pool');
+const config = require('../config');
+const logger = require('../utils/logger').child('billing');
+const storeRegistry = require('./storeRegistry');
+const auditService = require('./auditService');
+const usageService = require('./usageService');
+const provisionerService = require('./provisionerService');
+const { getPaymentProvider } = require('./payments');
+const { getPlan } = require('../models/plans');
+const { STATES } = require('../models/storeMachine');
+const { NotFoundError, ConflictError, ValidationError, PaymentError } = require('../utils/errors');
+
+/**
+ * Billing Service — monthly invoices per store owner.
+ *
+ * Invoices are computed from usage samples (usageService): every store-hour
+ * is charged at its plan's monthly price prorated over the hours in the
+ * month, and metered CPU / memory / storage are added when their rates are
+ * set. A resized store therefore gets one plan line per plan it ran on.
+ *
+ * Lifecycle: draft (regenerable) → open (issued, charged through the payment
+ * provider) → paid, or void. A background job invoices the previous month
+ * once it has closed and, with BILLING_AUTO_SUSPEND, suspends the ready
+ * stores of owners whose invoices are overdue past the grace period. Paying
+ * (or voiding) the invoice resumes the stores it suspended.
+ */
+
+const INVOICE_STATUS = {
+  DRAFT: 'draft',
+  OPEN: 'open',
+  PAID: 'paid',
+  VOID: 'void',
+};
+
+const INVOICE_COLUMNS = `
+  id, number, owner_id, period, period_start, period_end, status, currency, total_cents,
+  issued_at, due_at, paid_at, voided_at, payment_provider, payment_reference, payment_attempts,
+  last_payment_error, suspended_store_ids, suspended_at, created_by, created_at, updated_at
+`;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Metered usage: rollup field → line kind, unit and rate
+const METERED = [
+  { kind: 'cpu', field: 'cpuCoreHours', unit: 'core-hour', rate: 'cpuCoreHourCents', label: 'CPU' },
+  { kind: 'memory', field: 'memoryGibHours', unit: 'GiB-hour', rate: 'memoryGibHourCents', label: 'Memory' },
+  { kind: 'storage', field: 'storageGibHours', unit: 'GiB-hour', rate: 'storageGibHourCents', label: 'Storage' },
+];
+
+let jobTimer = null;
+let cycleRunning = false;
+
+// ─── Periods ─────────────────────────────────────────────────────────────────
+
+/**
+ * Bounds of a billing month.
+ * @param {string} period - 'YYYY-MM' (UTC)
+ * @returns {{ period: string, start: Date, end: Date, hours: number }}
+ */
+function parsePeriod(period) {
+  const match = /^(\d{4})-(\d{2})$/.exec(period || '');
+  const month = match ? parseInt(match[2], 10) : 0;
+  if (!match || month < 1 || month > 12) {
+    throw new ValidationError(`Invalid billing period '${period}'. Use YYYY-MM.`, { period });
+  }
+  const start = new Date(Date.UTC(parseInt(match[1], 10), month - 1, 1));
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  return { period, start, end, hours: (end - start) / HOUR_MS };
+}
+
+/**
+ * The month before the one containing `now` — the latest closed period.
+ * @param {Date} [now]
+ * @returns {string} 'YYYY-MM'
+ */
+function previousPeriod(now = new Date()) {
+  const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+// ─── Line Items ──────────────────────────────────────────────────────────────
+
+/**
+ * Price usage rollup rows (one per store and plan) into invoice lines.
+ * Pure — plan prices and metered rates come from config.
+ *
+ * @param {Object[]} rows - usageService.getUsageRollup() stores
+ * @param {{ period: string, hours: number }} period
+ * @returns {Object[]} Lines with kind, storeId, plan, description, quantity, unit, unitPriceCents, amountCents
+ */
+function buildLineItems(rows, period) {
+  const lines = [];
+  for (const row of rows) {
+    const storeLabel = row.storeName ? `${row.storeName} (${row.storeId})` : row.storeId;
+    const plan = getPlan(row.plan);
+    const hourlyPrice = plan.monthlyPriceCents / period.hours;
+
+    lines.push({
+      kind: 'plan',
+      storeId: row.storeId,
+      plan: row.plan,
+      description: `${storeLabel} — ${row.plan} plan, ${row.hours} store-hours`,
+      quantity: row.hours,
+      unit: 'store-hour',
+      unitPriceCents: hourlyPrice,
+      amountCents: Math.round(row.hours * hourlyPrice),
+    });
+
+    for (const metered of METERED) {
+      const rate = config.billing.rates[metered.rate];
+      const quantity = row[metered.field];
+      if (!rate || !quantity) continue;
+      lines.push({
+        kind: metered.kind,
+        storeId: row.storeId,
+        plan: row.plan,
+        description: `${storeLabel} — ${metered.label}, ${quantity} ${metered.unit}s`,
+        quantity,
+        unit: metered.unit,
+        unitPriceCents: rate,
+        amountCents: Math.round(quantity * rate),
+      });
+    }
+  }
+  return lines;
+}
+
+// ─── Invoice Generation ──────────────────────────────────────────────────────
+
+/**
+ * Create (or recompute) draft invoices for a month from usage samples.
+ * Owners whose invoice for the month is already open, paid or void-and-reissued
+ * are skipped — only drafts are recomputed.
+ *
+ * @param {Object} params
+ * @param {string} params.period - 'YYYY-MM'
+ * @param {string} [params.ownerId] - Limit to one owner
+ * @param {string} [params.requestedBy]
+ * @returns {Promise<{ period: string, created: number, updated: number, skipped: number, invoices: Object[] }>}
+ */
+async function generateInvoices({ period, ownerId, requestedBy } = {}) {
+  const bounds = parsePeriod(period);
+  const rollup = await usageService.getUsageRollup({ from: bounds.start, to: bounds.end, ownerId });
+
+  const rowsByOwner = new Map();
+  for (const row of rollup.stores) {
+    if (!rowsByOwner.has(row.ownerId)) rowsByOwner.set(row.ownerId, []);
+    rowsByOwner.get(row.ownerId).push(row);
+  }
+
+  const result = { period, created: 0, updated: 0, skipped: 0, invoices: [] };
+  for (const [owner, rows] of rowsByOwner) {
+    const lines = buildLineItems(rows, bounds);
+    const invoice = await db.withTransaction(async (client) => {
+      const existing = await client.query(
+        `SELECT ${INVOICE_COLUMNS} FROM invoices
+         WHERE owner_id = $1 AND period = $2 AND status <> 'void'
+         FOR UPDATE`,
+        [owner, period]
+      );
+
+      let row = existing.rows[0];
+      if (row && row.status !== INVOICE_STATUS.DRAFT) {
+        result.skipped++;
+        return null;
+      }
+
+      const total = lines.reduce((sum, line) => sum + line.amountCents, 0);
+      if (row) {
+        await client.query('DELETE FROM invoice_line_items WHERE invoice_id = $1', [row.id]);
+        const updated = await client.query(
+          `UPDATE invoices SET total_cents = $2 WHERE id = $1 RETURNING ${INVOICE_COLUMNS}`,
+          [row.id, total]
+        );
+        row = updated.rows[0];
+        result.updated++;
+      } else {
+        const inserted = await client.query(
+          `INSERT INTO invoices (owner_id, period, period_start, period_end, currency, total_cents, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING ${INVOICE_COLUMNS}`,
+          [owner, period, bounds.start, bounds.end, config.billing.currency, total, requestedBy || 'system']
+        );
+        row = inserted.rows[0];
+        result.created++;
+      }
+
+      for (const line of lines) {
+        await client.query(
+          `INSERT INTO invoice_line_items
+             (invoice_id, store_id, kind, plan, description, quantity, unit, unit_price_cents, amount_cents)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [row.id, line.storeId, line.kind, line.plan, line.description,
+            line.quantity, line.unit, line.unitPriceCents, line.amountCents]
+        );
+      }
+      return row;
+    });
+
+    if (invoice) result.invoices.push(normalizeInvoice(invoice));
+  }
+
+  logger.info('Invoices generated', {
+    period, created: result.created, updated: result.updated, skipped: result.skipped,
+  });
+  return result;
+}
+
+/**
+ * Issue a draft invoice: number it, set its due date and try to collect it.
+ * A zero-total invoice is marked paid right away. A declined charge leaves the
+ * invoice open (the error is recorded) — finalizing itself still succeeds.
+ *
+ * @param {string} invoiceId
+ * @param {{ requestedBy?: string }} [options]
+ * @returns {Promise<Object>} Invoice
+ */
+async function finalizeInvoice(invoiceId, { requestedBy } = {}) {
+  const invoice = await getInvoiceRow(invoiceId);
+  if (invoice.status !== INVOICE_STATUS.DRAFT) {
+    throw new ConflictError(`Invoice is ${invoice.status}, not draft.`, 'Only draft invoices can be finalized.');
+  }
+
+  const now = new Date();
+  const number = `INV-${invoice.period.replace('-', '')}-${invoice.id.slice(0, 8).toUpperCase()}`;
+  const isFree = invoice.total_cents === 0;
+  const result = await db.query(
+    `UPDATE invoices
+     SET status = $2, number = $3, issued_at = $4, due_at = $5, paid_at = $6
+     WHERE id = $1 AND status = 'draft'
+     RETURNING ${INVOICE_COLUMNS}`,
+    [
+      invoiceId,
+      isFree ? INVOICE_STATUS.PAID : INVOICE_STATUS.OPEN,
+      number,
+      now,
+      new Date(now.getTime() + config.billing.dueDays * DAY_MS),
+      isFree ? now : null,
+    ]
+  );
+  if (result.rows.length === 0) {
+    throw new ConflictError('Invoice changed concurrently.', 'Refresh and try again.');
+  }
+
+  await auditService.log({
+    eventType: 'billing',
+    message: `Invoice ${number} issued for ${invoice.period}: ${formatAmount(invoice.total_cents, invoice.currency)}`,
+    metadata: { invoiceId, ownerId: invoice.owner_id, totalCents: invoice.total_cents, requestedBy: requestedBy || 'system' },
+  });
+
+  if (isFree) return normalizeInvoice(result.rows[0]);
+
+  try {
+    return await payInvoice(invoiceId, { requestedBy: requestedBy || 'system' });
+  } catch (err) {
+    if (!(err instanceof PaymentError)) throw err;
+    return normalizeInvoice(await getInvoiceRow(invoiceId));
+  }
+}
+
+// ─── Payment ─────────────────────────────────────────────────────────────────
+
+/**
+ * Charge an open invoice through the payment provider.
+ * Each attempt gets its own idempotency key, so a retried request replays
+ * the same attempt instead of charging twice.
+ *
+ * @param {string} invoiceId
+ * @param {{ requestedBy?: string }} [options]
+ * @returns {Promise<Object>} Paid invoice
+ * @throws {PaymentError} When the charge is declined or the provider is unreachable
+ */
+async function payInvoice(invoiceId, { requestedBy } = {}) {
+  const invoice = await getInvoiceRow(invoiceId);
+  if (invoice.status !== INVOICE_STATUS.OPEN) {
+    throw new ConflictError(`Invoice is ${invoice.status}, not open.`, 'Only open invoices can be paid.');
+  }
+
+  const provider = getPaymentProvider();
+  const attempt = invoice.payment_attempts + 1;
+  let outcome;
+  try {
+    outcome = await provider.charge({
+      invoiceId,
+      ownerId: invoice.owner_id,
+      amountCents: invoice.total_cents,
+      currency: invoice.currency,
+      idempotencyKey: `${invoiceId}:${attempt}`,
+    });
+  } catch (err) {
+    outcome = { status: 'failed', reference: null, error: `Payment provider unavailable: ${err.message}` };
+  }
+
+  if (outcome.status !== 'succeeded') {
+    await db.query(
+      `UPDATE invoices SET payment_attempts = $2, payment_provider = $3, last_payment_error = $4
+       WHERE id = $1 AND status = 'open'`,
+      [invoiceId, attempt, provider.name, outcome.error || 'Payment failed']
+    );
+    await auditService.log({
+      eventType: 'billing',
+      message: `Payment for invoice ${invoice.number} failed: ${outcome.error || 'unknown error'}`,
+      metadata: { invoiceId, ownerId: invoice.owner_id, attempt, requestedBy: requestedBy || null },
+    });
+    throw new PaymentError(`Payment failed: ${outcome.error || 'unknown error'}`, {
+      metadata: { invoiceId, attempt },
+    });
+  }
+
+  const result = await db.query(
+    `UPDATE invoices
+     SET status = 'paid', paid_at = NOW(), payment_attempts = $2, payment_provider = $3,
+         payment_reference = $4, last_payment_error = NULL
+     WHERE id = $1 AND status = 'open'
+     RETURNING ${INVOICE_COLUMNS}`,
+    [invoiceId, attempt, provider.name, outcome.reference]
+  );
+  if (result.rows.length === 0) {
+    // Paid or voided concurrently — the charge was idempotent on this attempt
+    return normalizeInvoice(await getInvoiceRow(invoiceId));
+  }
+
+  await auditService.log({
+    eventType: 'billing',
+    message: `Invoice ${invoice.number} paid: ${formatAmount(invoice.total_cents, invoice.currency)}`,
+    metadata: { invoiceId, ownerId: invoice.owner_id, reference: outcome.reference, requestedBy: requestedBy || null },
+  });
+
+  await releaseSuspensions(result.rows[0], { requestedBy });
+  return normalizeInvoice(result.rows[0]);
+}
+
+/**
+ * Void a draft or open invoice. Stores it suspended are resumed.
+ * @param {string} invoiceId
+ * @param {{ requestedBy?: string, reason?: string }} [options]
+ * @returns {Promise<Object>}
+ */
+async function voidInvoice(invoiceId, { requestedBy, reason } = {}) {
+  const invoice = await getInvoiceRow(invoiceId);
+  if (invoice.status !== INVOICE_STATUS.DRAFT && invoice.status !== INVOICE_STATUS.OPEN) {
+    throw new ConflictError(`Invoice is ${invoice.status}.`, 'Only draft or open invoices can be voided.');
+  }
+
+  const result = await db.query(
+    `UPDATE invoices SET status = 'void', voided_at = NOW()
+     WHERE id = $1 AND status = $2
+     RETURNING ${INVOICE_COLUMNS}`,
+    [invoiceId, invoice.status]
+  );
+  if (result.rows.length === 0) {
+    throw new ConflictError('Invoice changed concurrently.', 'Refresh and try again.');
+  }
+
+  await auditService.log({
+    eventType: 'billing',
+    message: `Invoice ${invoice.number || invoiceId} voided${reason ? `: ${reason}` : ''}`,
+    metadata: { invoiceId, ownerId: invoice.owner_id, reason: reason || null, requestedBy: requestedBy || null },
+  });
+
+  await releaseSuspensions(result.rows[0], { requestedBy });
+  return normalizeInvoice(result.rows[0]);
+}
+
+// ─── Overdue Enforcement ─────────────────────────────────────────────────────
+
+/**
+ * Suspend the ready stores of owners with invoices overdue past the grace
+ * period. Each invoice suspends once; the stores it suspended are recorded
+ * on it so settling the invoice can resume exactly those.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ invoices: number, suspended: number }>}
+ */
+async function enforceOverdue(now = new Date()) {
+  const result = { invoices: 0, suspended: 0 };
+  if (!config.billing.autoSuspend) return result;
+
+  const cutoff = new Date(now.getTime() - config.billing.suspendGraceDays * DAY_MS);
+  const overdue = await db.query(
+    `SELECT ${INVOICE_COLUMNS} FROM invoices
+     WHERE status = 'open' AND due_at < $1 AND suspended_at IS NULL
+     ORDER BY due_at`,
+    [cutoff]
+  );
+
+  for (const invoice of overdue.rows) {
+    const stores = await storeRegistry.findAll({
+      ownerId: invoice.owner_id, status: [STATES.READY, STATES.DEGRADED],
+    });
+    const suspended = [];
+    for (const store of stores) {
+      try {
+        await provisionerService.suspendStore(store.id, {
+          reason: `invoice ${invoice.number} is overdue`,
+          requestedBy: 'billing',
+        });
+        suspended.push(store.id);
+      } catch (err) {
+        logger.warn('Could not suspend store for overdue invoice', {
+          storeId: store.id, invoiceId: invoice.id, error: err.message,
+        });
+      }
+    }
+
+    await db.query(
+      'UPDATE invoices SET suspended_at = $2, suspended_store_ids = $3 WHERE id = $1',
+      [invoice.id, now, suspended]
+    );
+    await auditService.log({
+      eventType: 'billing',
+      message: `Invoice ${invoice.number} overdue — suspended ${suspended.length} store(s)`,
+      metadata: { invoiceId: invoice.id, ownerId: invoice.owner_id, storeIds: suspended },
+    });
+
+    result.invoices++;
+    result.suspended += suspended.length;
+  }
+
+  return result;
+}
+
+/**
+ * Resume the stores a settled invoice suspended — unless another of the
+ * owner's still-open invoices also suspended them.
+ * @param {Object} invoice - Raw invoice row
+ * @param {{ requestedBy?: string }} [options]
+ */
+async function releaseSuspensions(invoice, { requestedBy } = {}) {
+  if (!invoice.suspended_store_ids || invoice.suspended_store_ids.length === 0) return;
+
+  const stillHeld = await db.query(
+    `SELECT suspended_store_ids FROM invoices
+     WHERE owner_id = $1 AND status = 'open' AND suspended_at IS NOT NULL AND id <> $2`,
+    [invoice.owner_id, invoice.id]
+  );
+  const held = new Set(stillHeld.rows.flatMap(row => row.suspended_store_ids));
+
+  for (const storeId of invoice.suspended_store_ids) {
+    if (held.has(storeId)) continue;
+    const store = await storeRegistry.findById(storeId);
+    if (!store || store.status !== STATES.SUSPENDED) continue;
+    try {
+      await provisionerService.resumeStore(storeId, { requestedBy: requestedBy || 'billing' });
+    } catch (err) {
+      logger.warn('Could not resume store after invoice settled', {
+        storeId, invoiceId: invoice.id, error: err.message,
+      });
+    }
+  }
+}
+
+// ─── Scheduled Job ───────────────────────────────────────────────────────────
+
+/**
+ * One billing pass: invoice the previous month (once it has closed) and
+ * enforce overdue invoices. Safe to run repeatedly.
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} null if a pass is already running
+ */
+async function runBillingCycle(now = new Date()) {
+  if (cycleRunning) return null;
+  cycleRunning = true;
+  try {
+    const period = previousPeriod(now);
+    const generated = await generateInvoices({ period });
+
+    const drafts = await db.query(
+      "SELECT id FROM invoices WHERE period = $1 AND status = 'draft'",
+      [period]
+    );
+    for (const { id } of drafts.rows) {
+      try {
+        await finalizeInvoice(id);
+      } catch (err) {
+        logger.warn('Could not finalize invoice', { invoiceId: id, error: err.message });
+      }
+    }
+
+    const overdue = await enforceOverdue(now);
+    return { period, generated: generated.created, finalized: drafts.rows.length, overdue };
+  } finally {
+    cycleRunning = false;
+  }
+}
+
+/**
+ * Start the periodic billing job (first run immediately).
+ */
+function startScheduler() {
+  if (jobTimer) return;
+
+  const run = () => runBillingCycle().catch((err) => {
+    logger.error('Billing cycle failed', { error: err.message });
+  });
+
+  jobTimer = setInterval(run, config.billing.jobIntervalMs);
+  jobTimer.unref();
+  run();
+  logger.info('Billing scheduler started', { intervalMs: config.billing.jobIntervalMs });
+}
+
+function stopScheduler() {
+  if (jobTimer) {
+    clearInterval(jobTimer);
+    jobTimer = null;
+  }
+}
+
+// ─── Queries ─────────────────────────────────────────────────────────────────
+
+/**
+ * List invoices, newest period first.
+ * @param {Object} [filters]
+ * @param {string} [filters.ownerId]
+ * @param {string} [filters.status]
+ * @param {string} [filters.period]
+ * @param {number} [filters.limit=20]
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<{ invoices: Object[], total: number }>}
+ */
+async function listInvoices({ ownerId, status, period, limit = 20, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (ownerId) {
+    params.push(ownerId);
+    conditions.push(`owner_id = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (period) {
+    params.push(period);
+    conditions.push(`period = $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await db.query(`SELECT COUNT(*) AS total FROM invoices ${where}`, params);
+  const result = await db.query(
+    `SELECT ${INVOICE_COLUMNS} FROM invoices ${where}
+     ORDER BY period DESC, created_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return {
+    invoices: result.rows.map(normalizeInvoice),
+    total: parseInt(countResult.rows[0].total, 10),
+  };
+}
+
+/**
+ * Invoice with its line items.
+ * @param {string} invoiceId
+ * @returns {Promise<Object>}
+ */
+async function getInvoice(invoiceId) {
+  const invoice = await getInvoiceRow(invoiceId);
+  const lines = await db.query(
+    `SELECT id, store_id, kind, plan, description, quantity, unit, unit_price_cents, amount_cents
+     FROM invoice_line_items WHERE invoice_id = $1
+     ORDER BY store_id, kind`,
+    [invoiceId]
+  );
+  return {
+    ...normalizeInvoice(invoice),
+    lineItems: lines.rows.map(row => ({
+      id: row.id,
+      storeId: row.store_id,
+      kind: row.kind,
+      plan: row.plan,
+      description: row.description,
+      quantity: Number(row.quantity),
+      unit: row.unit,
+      unitPriceCents: Number(row.unit_price_cents),
+      amountCents: row.amount_cents,
+    })),
+  };
+}
+
+async function getInvoiceRow(invoiceId) {
+  const result = await db.query(`SELECT ${INVOICE_COLUMNS} FROM invoices WHERE id = $1`, [invoiceId]);
+  if (result.rows.length === 0) throw new NotFoundError('Invoice', invoiceId);
+  return result.rows[0];
+}
+
+function formatAmount(cents, currency) {
+  return `${(cents / 100).toFixed(2)} ${currency.toUpperCase()}`;
+}
+
+function normalizeInvoice(row) {
+  return {
+    id: row.id,
+    number: row.number,
+    ownerId: row.owner_id,
+    period: row.period,
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    status: row.status,
+    currency: row.currency,
+    totalCents: row.total_cents,
+    issuedAt: row.issued_at,
+    dueAt: row.due_at,
+    paidAt: row.paid_at,
+    voidedAt: row.voided_at,
+    paymentProvider: row.payment_provider,
+    paymentReference: row.payment_reference,
+    paymentAttempts: row.payment_attempts,
+    lastPaymentError: row.last_payment_error,
+    suspendedStoreIds: row.suspended_store_ids || [],
+    suspendedAt: row.suspended_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+module.exports = {
+  INVOICE_STATUS,
+  generateInvoices,
+  finalizeInvoice,
+  payInvoice,
+  voidInvoice,
+  enforceOverdue,
+  runBillingCycle,
+  startScheduler,
+  stopScheduler,
+  listInvoices,
+  getInvoice,
+  // Exported for testing
+  parsePeriod,
+  previousPeriod,
+  buildLineItems,
+};
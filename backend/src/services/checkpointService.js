@@ -0,0 +1,207 @@
+'use strict';
+
+const db = require('../db/pool');
+
+/**
+ * Checkpoint Service — per-phase record of the provisioning workflow.
+ *
+ * Each phase of a provisioning attempt (namespace_create, helm_install,
+ * pod_readiness, engine_setup, ...) is a row in provisioning_checkpoints,
+ * keyed by the store's retry count at the time. Rows hold the outcome, a
+ * trimmed copy of the phase's result and timings.
+ *
+ * A retry reads the phases earlier attempts completed (getCompletedPhases)
+ * and skips them, recording a 'skipped' row that carries the result forward
+ * so the next retry still sees it. The rows double as the store's
+ * provisioning timeline.
+ */
+
+const CHECKPOINT_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
+
+const CHECKPOINT_COLUMNS = `
+  id, store_id, attempt, phase, status, result, error, job_id, correlation_id,
+  started_at, completed_at, duration_ms
+`;
+
+// Result fields never persisted — phase results can include generated credentials
+const SENSITIVE_KEY = /password|secret|token|credential/i;
+const MAX_RESULT_STRING = 500;
+
+/**
+ * Reduce a phase result to its scalar fields, dropping anything that looks
+ * like a secret. Nested objects (e.g. a full Kubernetes namespace body) are
+ * left out — the row is a summary, not a copy.
+ * @param {*} value
+ * @returns {Object|null}
+ */
+function toCheckpointResult(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) return { value };
+
+  const summary = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (SENSITIVE_KEY.test(key)) continue;
+    if (typeof field === 'string') {
+      summary[key] = field.length > MAX_RESULT_STRING ? `${field.slice(0, MAX_RESULT_STRING)}…` : field;
+    } else if (typeof field === 'number' || typeof field === 'boolean' || field === null) {
+      summary[key] = field;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Mark a phase as running. Re-running a phase in the same attempt (a job
+ * resumed after a crash) resets its row.
+ * @param {Object} params
+ * @param {string} params.storeId
+ * @param {number} params.attempt
+ * @param {string} params.phase
+ * @param {string} [params.jobId]
+ * @param {string} [params.correlationId]
+ */
+async function startPhase({ storeId, attempt, phase, jobId, correlationId }) {
+  await db.query(
+    `INSERT INTO provisioning_checkpoints (store_id, attempt, phase, status, job_id, correlation_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (store_id, attempt, phase) DO UPDATE SET
+       status = EXCLUDED.status, result = NULL, error = NULL,
+       job_id = EXCLUDED.job_id, correlation_id = EXCLUDED.correlation_id,
+       started_at = NOW(), completed_at = NULL, duration_ms = NULL`,
+    [storeId, attempt, phase, CHECKPOINT_STATUS.RUNNING, jobId || null, correlationId || null]
+  );
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.storeId
+ * @param {number} params.attempt
+ * @param {string} params.phase
+ * @param {*} [params.result]
+ * @param {number} params.durationMs
+ */
+async function completePhase({ storeId, attempt, phase, result, durationMs }) {
+  await db.query(
+    `UPDATE provisioning_checkpoints
+     SET status = $4, result = $5, completed_at = NOW(), duration_ms = $6
+     WHERE store_id = $1 AND attempt = $2 AND phase = $3`,
+    [storeId, attempt, phase, CHECKPOINT_STATUS.COMPLETED, JSON.stringify(toCheckpointResult(result)), durationMs]
+  );
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.storeId
+ * @param {number} params.attempt
+ * @param {string} params.phase
+ * @param {string} params.error
+ * @param {number} params.durationMs
+ */
+async function failPhase({ storeId, attempt, phase, error, durationMs }) {
+  await db.query(
+    `UPDATE provisioning_checkpoints
+     SET status = $4, error = $5, completed_at = NOW(), duration_ms = $6
+     WHERE store_id = $1 AND attempt = $2 AND phase = $3`,
+    [storeId, attempt, phase, CHECKPOINT_STATUS.FAILED, error, durationMs]
+  );
+}
+
+/**
+ * Record a phase an earlier attempt completed, carrying its result forward.
+ * @param {Object} params
+ * @param {string} params.storeId
+ * @param {number} params.attempt
+ * @param {string} params.phase
+ * @param {Object|null} params.result - The earlier checkpoint's result
+ * @param {string} [params.jobId]
+ * @param {string} [params.correlationId]
+ */
+async function skipPhase({ storeId, attempt, phase, result, jobId, correlationId }) {
+  await db.query(
+    `INSERT INTO provisioning_checkpoints
+       (store_id, attempt, phase, status, result, job_id, correlation_id, completed_at, duration_ms)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), 0)
+     ON CONFLICT (store_id, attempt, phase) DO UPDATE SET
+       status = EXCLUDED.status, result = EXCLUDED.result, error = NULL,
+       job_id = EXCLUDED.job_id, correlation_id = EXCLUDED.correlation_id,
+       started_at = NOW(), completed_at = NOW(), duration_ms = 0`,
+    [storeId, attempt, phase, CHECKPOINT_STATUS.SKIPPED, JSON.stringify(result || null),
+      jobId || null, correlationId || null]
+  );
+}
+
+/**
+ * Phases some attempt of this store completed, with the latest result of each.
+ * @param {string} storeId
+ * @returns {Promise<Map<string, { attempt: number, result: Object|null }>>}
+ */
+async function getCompletedPhases(storeId) {
+  const result = await db.query(
+    `SELECT DISTINCT ON (phase) phase, attempt, result
+     FROM provisioning_checkpoints
+     WHERE store_id = $1 AND status IN ($2, $3)
+     ORDER BY phase, attempt DESC`,
+    [storeId, CHECKPOINT_STATUS.COMPLETED, CHECKPOINT_STATUS.SKIPPED]
+  );
+  return new Map(result.rows.map(row => [row.phase, { attempt: row.attempt, result: row.result }]));
+}
+
+/**
+ * Forget all checkpoints — the next attempt starts from the first phase.
+ * @param {string} storeId
+ * @returns {Promise<number>} Rows removed
+ */
+async function clearCheckpoints(storeId) {
+  const result = await db.query('DELETE FROM provisioning_checkpoints WHERE store_id = $1', [storeId]);
+  return result.rowCount;
+}
+
+/**
+ * The store's provisioning timeline, oldest first.
+ * @param {string} storeId
+ * @returns {Promise<Object[]>}
+ */
+async function getTimeline(storeId) {
+  const result = await db.query(
+    `SELECT ${CHECKPOINT_COLUMNS} FROM provisioning_checkpoints
+     WHERE store_id = $1
+     ORDER BY attempt, started_at`,
+    [storeId]
+  );
+  return result.rows.map(normalizeCheckpoint);
+}
+
+function normalizeCheckpoint(row) {
+  return {
+    id: row.id,
+    storeId: row.store_id,
+    attempt: row.attempt,
+    phase: row.phase,
+    status: row.status,
+    result: row.result,
+    error: row.error,
+    jobId: row.job_id,
+    correlationId: row.correlation_id,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    durationMs: row.duration_ms,
+  };
+}
+
+module.exports = {
+  CHECKPOINT_STATUS,
+  startPhase,
+  completePhase,
+  failPhase,
+  skipPhase,
+  getCompletedPhases,
+  clearCheckpoints,
+  getTimeline,
+  // Exported for testing
+  toCheckpointResult,
+};
@@ -0,0 +1,492 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const db = require('../db/pool');
+const config = require('../config');
+const logger = require('../utils/logger').child('credential-rotation');
+const storeRegistry = require('./storeRegistry');
+const auditService = require('./auditService');
+const helmService = require('./helmService');
+const storeSetupService = require('./storeSetupService');
+const secretsService = require('./secretsService');
+const { STATES } = require('../models/storeMachine');
+const { NotFoundError, ConflictError, ProvisioningError } = require('../utils/errors');
+
+/**
+ * Credential Rotation Service — new store passwords without touching the
+ * owner's control-plane login.
+ *
+ * A rotation
+ *  1. sets a new admin password inside the store (WP-CLI / Medusa admin API)
+ *     and saves it, sealed, as the store's admin credentials;
+ *  2. unless skipped, gives the store's database user a new password: first
+ *     in the database, then in the release values with `helm upgrade`, which
+ *     rewrites the Kubernetes Secret and rolls the app pods (their templates
+ *     carry a checksum of that Secret). If the upgrade does not take, the
+ *     database goes back to the password the release still holds.
+ *
+ * Rotations run in the background, one per store at a time, and each is a
+ * row in credential_rotations. A store may opt into rotation every N days;
+ * the leader starts the ones that are due.
+ */
+
+const ROTATION_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+const ROTATION_COLUMNS = `
+  id, store_id, status, trigger, rotate_database, admin_password_rotated, database_password_rotated,
+  error, requested_by, started_at, completed_at
+`;
+
+const ROTATABLE_STATUSES = [STATES.READY, STATES.DEGRADED];
+
+// Release value holding the database user's password, per engine
+const DATABASE_PASSWORD_VALUES = {
+  woocommerce: 'mariadb.password',
+  medusa: 'medusa.postgresql.password',
+};
+
+// Run via `sh -c` in the database container with the password on stdin, so it
+// never appears in kubectl arguments. Passwords are generated base64url and
+// need no escaping inside the SQL string.
+const SET_DATABASE_PASSWORD_COMMANDS = {
+  woocommerce: 'PW=$(cat) && exec "$(command -v mariadb || command -v mysql)" -uroot -p"$MARIADB_ROOT_PASSWORD" '
+    + `-e "ALTER USER '$MARIADB_USER'@'%' IDENTIFIED BY '$PW'"`,
+  medusa: 'PW=$(cat) && exec psql -U "$POSTGRES_USER" -d "$POSTGRES_DB" -v ON_ERROR_STOP=1 --quiet '
+    + `-c "ALTER USER \\"$POSTGRES_USER\\" WITH PASSWORD '$PW'"`,
+};
+
+// A failed scheduled rotation is not attempted again sooner than this
+const SCHEDULED_RETRY_INTERVAL = '1 day';
+
+let schedulerTimer = null;
+let scheduling = false;
+
+/**
+ * Start rotating a store's credentials. Returns immediately; the rotation
+ * runs in the background.
+ *
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {string} [options.password] - New admin password; generated when omitted
+ * @param {boolean} [options.rotateDatabase=true] - Also rotate the database password
+ * @param {string} [options.trigger='manual']
+ * @param {string} [options.requestedBy] - User email
+ * @param {string} [options.correlationId]
+ * @returns {Promise<Object>} The rotation record (status 'running')
+ */
+async function rotateCredentials(storeId, options = {}) {
+  const { rotation, store } = await beginRotation(storeId, options);
+
+  runRotation(rotation, store, options).catch((err) => {
+    logger.error('Unhandled credential rotation error', { storeId, rotationId: rotation.id, error: err.message });
+  });
+
+  return rotation;
+}
+
+/**
+ * Validate and record a new rotation.
+ * @returns {Promise<{ rotation: Object, store: Object }>}
+ */
+async function beginRotation(storeId, { rotateDatabase = true, trigger = 'manual', requestedBy, correlationId }) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store) {
+    throw new NotFoundError('Store', storeId);
+  }
+
+  if (!ROTATABLE_STATUSES.includes(store.status)) {
+    throw new ConflictError(
+      `Only ready or degraded stores can rotate credentials. Current status: '${store.status}'`,
+      'Wait for the store to become ready and try again.'
+    );
+  }
+
+  let result;
+  try {
+    result = await db.query(
+      `INSERT INTO credential_rotations (store_id, trigger, rotate_database, requested_by, owner_instance)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${ROTATION_COLUMNS}`,
+      [storeId, trigger, rotateDatabase, requestedBy || null, config.cluster.instanceId]
+    );
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new ConflictError(
+        `A credential rotation is already running for store '${storeId}'.`,
+        'Wait for it to complete before starting another.'
+      );
+    }
+    throw err;
+  }
+  const rotation = normalizeRotation(result.rows[0]);
+
+  logger.info('Credential rotation started', { storeId, rotationId: rotation.id, trigger, rotateDatabase, correlationId });
+
+  await auditService.log({
+    storeId,
+    eventType: 'credentials',
+    message: `Credential rotation started (${trigger}${rotateDatabase ? '' : ', admin password only'})`,
+    metadata: { rotationId: rotation.id, rotateDatabase, correlationId },
+    userEmail: requestedBy,
+  });
+
+  return { rotation, store };
+}
+
+/**
+ * Rotate and record the outcome. Never throws for rotation failures — those
+ * mark the rotation failed.
+ * @param {Object} rotation
+ * @param {Object} store
+ * @param {Object} [options]
+ * @param {string} [options.password]
+ * @param {string} [options.correlationId]
+ */
+async function runRotation(rotation, store, { password, correlationId } = {}) {
+  const startTime = Date.now();
+  const done = { adminPasswordRotated: false, databasePasswordRotated: false };
+
+  try {
+    await rotateAdminPassword(store, password || crypto.randomBytes(12).toString('base64url'));
+    done.adminPasswordRotated = true;
+
+    if (rotation.rotateDatabase) {
+      const release = await rotateDatabasePassword(store, { correlationId });
+      if (release.chartVersion && release.chartVersion !== store.chartVersion) {
+        await storeRegistry.update(store.id, { chartVersion: release.chartVersion });
+      }
+      done.databasePasswordRotated = true;
+    }
+
+    await finishRotation(rotation.id, ROTATION_STATUS.COMPLETED, done);
+
+    const durationMs = Date.now() - startTime;
+    logger.info('Credential rotation completed', { storeId: store.id, rotationId: rotation.id, durationMs, correlationId });
+    await auditService.log({
+      storeId: store.id,
+      eventType: 'credentials',
+      message: done.databasePasswordRotated
+        ? 'Admin and database passwords rotated'
+        : 'Admin password rotated',
+      metadata: { rotationId: rotation.id, trigger: rotation.trigger, ...done, durationMs, correlationId },
+    });
+  } catch (err) {
+    await finishRotation(rotation.id, ROTATION_STATUS.FAILED, done, err.message);
+
+    logger.error('Credential rotation failed', { storeId: store.id, rotationId: rotation.id, error: err.message, correlationId });
+    await auditService.log({
+      storeId: store.id,
+      eventType: 'error',
+      message: `Credential rotation failed: ${err.message}`,
+      metadata: { rotationId: rotation.id, trigger: rotation.trigger, ...done, code: err.code, correlationId },
+    });
+  }
+}
+
+async function finishRotation(rotationId, status, { adminPasswordRotated, databasePasswordRotated }, error = null) {
+  await db.query(
+    `UPDATE credential_rotations
+     SET status = $1, admin_password_rotated = $2, database_password_rotated = $3, error = $4, completed_at = NOW()
+     WHERE id = $5`,
+    [status, adminPasswordRotated, databasePasswordRotated, error ? error.substring(0, 1000) : null, rotationId]
+  );
+}
+
+/**
+ * Change the admin password inside the store, then save it.
+ * @param {Object} store
+ * @param {string} newPassword
+ */
+async function rotateAdminPassword(store, newPassword) {
+  const current = secretsService.openAdminCredentials(store);
+  if (!current || !current.password) {
+    throw new ProvisioningError('Store has no saved admin credentials to rotate', { retryable: false });
+  }
+
+  let updated = false;
+  if (store.engine === 'medusa') {
+    updated = await storeSetupService.updateMedusaAdminPassword({
+      namespace: store.namespace,
+      storeId: store.id,
+      adminEmail: current.email,
+      currentPassword: current.password,
+      newPassword,
+    });
+  } else if (store.engine === 'woocommerce') {
+    updated = await storeSetupService.updateWooCommerceAdminPassword({
+      namespace: store.namespace,
+      storeId: store.id,
+      adminUsername: current.username || 'admin',
+      newPassword,
+    });
+  }
+  if (!updated) {
+    throw new ProvisioningError('Store did not confirm the admin password change');
+  }
+
+  await storeRegistry.update(store.id, {
+    adminCredentials: secretsService.sealAdminCredentials(store.id, { ...current, password: newPassword }),
+    credentialsRotatedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Give the database user a new password, in the database and the release.
+ * @param {Object} store
+ * @param {Object} [options]
+ * @param {string} [options.correlationId]
+ * @returns {Promise<Object>} Helm release info of the upgrade
+ */
+async function rotateDatabasePassword(store, { correlationId } = {}) {
+  const valueKey = DATABASE_PASSWORD_VALUES[store.engine];
+  const previous = valueAt(await helmService.getValues(store.helmRelease, store.namespace), valueKey);
+  if (!previous) {
+    throw new ProvisioningError(`Release '${store.helmRelease}' has no ${valueKey} value to rotate`, { retryable: false });
+  }
+
+  const password = crypto.randomBytes(16).toString('base64url');
+  await setDatabasePassword(store, password);
+
+  try {
+    return await helmService.upgrade({
+      releaseName: store.helmRelease,
+      namespace: store.namespace,
+      setValues: { [valueKey]: password },
+    });
+  } catch (err) {
+    // An upgrade that failed only while waiting for pods has already written
+    // the new password to the Secret — switch back only if the release still
+    // holds the previous one
+    const current = await helmService.getValues(store.helmRelease, store.namespace)
+      .then(values => valueAt(values, valueKey))
+      .catch(() => null);
+    if (current === previous) {
+      await setDatabasePassword(store, previous).catch((revertErr) => {
+        logger.error('Could not restore the previous database password', {
+          storeId: store.id, error: revertErr.message, correlationId,
+        });
+      });
+    }
+    throw err;
+  }
+}
+
+async function setDatabasePassword(store, password) {
+  const { podName, container } = await storeSetupService.findDatabasePod(store.namespace, store.engine);
+  const exec = storeSetupService.kubectlExecStream({
+    namespace: store.namespace,
+    podName,
+    container,
+    command: SET_DATABASE_PASSWORD_COMMANDS[store.engine],
+    stdin: Readable.from([password]),
+    timeoutMs: 60000,
+  });
+  exec.stdout.resume();
+  await exec.done;
+}
+
+function valueAt(values, dottedKey) {
+  return dottedKey.split('.').reduce((node, key) => (node == null ? undefined : node[key]), values);
+}
+
+/**
+ * List a store's rotations, newest first.
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @param {number} [options.offset=0]
+ * @returns {Promise<{ rotations: Object[], total: number }>}
+ */
+async function listRotations(storeId, { limit = 20, offset = 0 } = {}) {
+  const [dataResult, countResult] = await Promise.all([
+    db.query(
+      `SELECT ${ROTATION_COLUMNS} FROM credential_rotations
+       WHERE store_id = $1
+       ORDER BY started_at DESC
+       LIMIT $2 OFFSET $3`,
+      [storeId, limit, offset]
+    ),
+    db.query('SELECT COUNT(*) AS total FROM credential_rotations WHERE store_id = $1', [storeId]),
+  ]);
+
+  return {
+    rotations: dataResult.rows.map(normalizeRotation),
+    total: parseInt(countResult.rows[0].total, 10),
+  };
+}
+
+// ─── Scheduled Rotation ──────────────────────────────────────────────────────
+
+/**
+ * A store's rotation schedule.
+ * @param {Object} store
+ * @returns {{ intervalDays: number|null, lastRotatedAt: Date|null, nextRotationAt: Date|null }}
+ */
+function resolvePolicy(store) {
+  const intervalDays = store.credentialRotationDays;
+  const lastRotatedAt = store.credentialsRotatedAt || null;
+  const since = lastRotatedAt || store.provisioningCompletedAt || store.createdAt;
+  return {
+    intervalDays,
+    lastRotatedAt,
+    nextRotationAt: intervalDays && since
+      ? new Date(new Date(since).getTime() + intervalDays * 24 * 60 * 60 * 1000)
+      : null,
+  };
+}
+
+/**
+ * @param {string} storeId
+ * @returns {Promise<Object>} Rotation schedule
+ */
+async function getPolicy(storeId) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store) {
+    throw new NotFoundError('Store', storeId);
+  }
+  return resolvePolicy(store);
+}
+
+/**
+ * Rotate a store's credentials every `intervalDays` days, or never (null).
+ * @param {string} storeId
+ * @param {Object} policy
+ * @param {number|null} policy.intervalDays
+ * @param {string} [requestedBy]
+ * @returns {Promise<Object>} Rotation schedule
+ */
+async function setPolicy(storeId, { intervalDays }, requestedBy) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store) {
+    throw new NotFoundError('Store', storeId);
+  }
+
+  const updated = await storeRegistry.update(storeId, { credentialRotationDays: intervalDays });
+
+  await auditService.log({
+    storeId,
+    eventType: 'credentials',
+    message: intervalDays
+      ? `Scheduled credential rotation set to every ${intervalDays} day(s)`
+      : 'Scheduled credential rotation turned off',
+    metadata: { intervalDays },
+    userEmail: requestedBy,
+  });
+
+  return resolvePolicy(updated);
+}
+
+/**
+ * Start the scheduled rotations that are due, one store after another.
+ * @returns {Promise<number>} Rotations started
+ */
+async function rotateDueStores() {
+  if (scheduling) return 0;
+  scheduling = true;
+
+  try {
+    const due = await db.query(
+      `SELECT s.id FROM stores s
+       WHERE s.credential_rotation_days IS NOT NULL
+         AND s.status = ANY($1)
+         AND COALESCE(s.credentials_rotated_at, s.provisioning_completed_at, s.created_at)
+             + make_interval(days => s.credential_rotation_days) <= NOW()
+         AND NOT EXISTS (
+           SELECT 1 FROM credential_rotations r
+           WHERE r.store_id = s.id
+             AND (r.status = $2 OR r.started_at > NOW() - INTERVAL '${SCHEDULED_RETRY_INTERVAL}')
+         )
+       ORDER BY s.id`,
+      [ROTATABLE_STATUSES, ROTATION_STATUS.RUNNING]
+    );
+
+    let started = 0;
+    for (const { id } of due.rows) {
+      try {
+        // Awaited so scheduled rotations do not all hit the cluster at once
+        const { rotation, store } = await beginRotation(id, { trigger: 'scheduled' });
+        await runRotation(rotation, store);
+        started++;
+      } catch (err) {
+        logger.warn('Scheduled credential rotation not started', { storeId: id, error: err.message });
+      }
+    }
+    return started;
+  } finally {
+    scheduling = false;
+  }
+}
+
+function startScheduler() {
+  if (schedulerTimer) return;
+
+  const run = () => rotateDueStores().catch((err) => {
+    logger.error('Scheduled credential rotation pass failed', { error: err.message });
+  });
+
+  schedulerTimer = setInterval(run, config.credentials.rotationCheckIntervalMs);
+  schedulerTimer.unref();
+  run();
+  logger.info('Credential rotation scheduler started', { intervalMs: config.credentials.rotationCheckIntervalMs });
+}
+
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+/**
+ * Mark rotations left running by a process that is gone as failed. Run by
+ * the leader on election and whenever a replica stops heartbeating. Rotating
+ * again sets the database and the release to one new password, which also
+ * repairs a rotation cut off between the two.
+ */
+async function recoverInterruptedRotations() {
+  const result = await db.query(
+    `UPDATE credential_rotations SET status = $1, error = $2, completed_at = NOW()
+     WHERE status = $3
+       AND (owner_instance IS NULL
+            OR owner_instance NOT IN (SELECT id FROM control_plane_instances))
+     RETURNING id, store_id`,
+    [ROTATION_STATUS.FAILED, 'Interrupted by backend restart — rotate again', ROTATION_STATUS.RUNNING]
+  );
+
+  for (const row of result.rows) {
+    logger.warn('Marked interrupted credential rotation as failed', { storeId: row.store_id, rotationId: row.id });
+  }
+}
+
+function normalizeRotation(row) {
+  return {
+    id: row.id,
+    storeId: row.store_id,
+    status: row.status,
+    trigger: row.trigger,
+    rotateDatabase: row.rotate_database,
+    adminPasswordRotated: row.admin_password_rotated,
+    databasePasswordRotated: row.database_password_rotated,
+    error: row.error || null,
+    requestedBy: row.requested_by || null,
+    startedAt: row.started_at,
+    completedAt: row.completed_at || null,
+  };
+}
+
+module.exports = {
+  ROTATION_STATUS,
+  rotateCredentials,
+  listRotations,
+  getPolicy,
+  setPolicy,
+  rotateDueStores,
+  startScheduler,
+  stopScheduler,
+  recoverInterruptedRotations,
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+const logger = require('../utils/logger').child('diagnostics');
+const kubernetesService = require('./kubernetesService');
+const { STATES } = require('../models/storeMachine');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+
+/**
+ * Diagnostics Service — read-only view into a store's namespace: pods with
+ * their container states, container logs (one-shot or followed) and the
+ * namespace's Kubernetes events.
+ *
+ * Every call takes a store record the caller is allowed to see and only
+ * reads that store's namespace; pod names are looked up inside it, so a
+ * tenant cannot reach another namespace by naming its pods.
+ */
+
+// Cap on a one-shot log read
+const MAX_LOG_BYTES = 1024 * 1024;
+
+/**
+ * Reject stores whose namespace is gone.
+ * @param {Object} store
+ */
+function assertInspectable(store) {
+  if (store.status === STATES.DELETED) {
+    throw new ConflictError(
+      `Store '${store.id}' is deleted — its namespace no longer exists.`,
+      'Diagnostics are only available for stores that have not been deleted.'
+    );
+  }
+}
+
+/**
+ * Pods of the store's namespace.
+ * @param {Object} store
+ * @returns {Promise<Object[]>}
+ */
+async function listPods(store) {
+  assertInspectable(store);
+  return kubernetesService.listPods(store.namespace);
+}
+
+/**
+ * Resolve a pod and container of the store's namespace. The container
+ * defaults to the pod's first one.
+ * @param {Object} store
+ * @param {string} podName
+ * @param {string} [container]
+ * @returns {Promise<{ pod: Object, container: string }>}
+ */
+async function resolveContainer(store, podName, container) {
+  assertInspectable(store);
+  const pod = await kubernetesService.getPod(store.namespace, podName);
+  if (!pod) throw new NotFoundError('Pod', podName);
+
+  const names = [...pod.containerNames, ...pod.initContainerNames];
+  const name = container || pod.containerNames[0];
+  if (!names.includes(name)) {
+    throw new ValidationError(`Pod '${podName}' has no container '${name}'`, { containers: names });
+  }
+  return { pod, container: name };
+}
+
+/**
+ * Recent log lines of a pod container.
+ * @param {Object} store
+ * @param {string} podName
+ * @param {Object} [options]
+ * @param {string} [options.container]
+ * @param {number} [options.tailLines]
+ * @param {number} [options.sinceSeconds]
+ * @param {boolean} [options.previous] - Log of the container's previous (crashed) instance
+ * @returns {Promise<{ pod: string, container: string, containers: string[], logs: string }>}
+ */
+async function getPodLogs(store, podName, { container, tailLines, sinceSeconds, previous = false } = {}) {
+  const resolved = await resolveContainer(store, podName, container);
+  const logs = await kubernetesService.readPodLogs(store.namespace, podName, {
+    container: resolved.container, tailLines, sinceSeconds, previous, limitBytes: MAX_LOG_BYTES,
+  });
+  return {
+    pod: podName,
+    container: resolved.container,
+    containers: [...resolved.pod.containerNames, ...resolved.pod.initContainerNames],
+    logs,
+  };
+}
+
+/**
+ * Follow a pod container's log into `stream` until the container stops or
+ * the caller aborts.
+ * @param {Object} store
+ * @param {string} podName
+ * @param {import('stream').Writable} stream
+ * @param {Object} [options]
+ * @param {string} [options.container]
+ * @param {number} [options.tailLines]
+ * @param {number} [options.sinceSeconds]
+ * @returns {Promise<{ container: string, abort: Function }>}
+ */
+async function followPodLogs(store, podName, stream, { container, tailLines, sinceSeconds } = {}) {
+  const resolved = await resolveContainer(store, podName, container);
+  const status = [...resolved.pod.containers, ...resolved.pod.initContainers]
+    .find(c => c.name === resolved.container);
+  if (status?.state === 'waiting' && status.restartCount === 0) {
+    throw new ConflictError(
+      `Container '${resolved.container}' has not started yet${status.reason ? ` (${status.reason})` : ''}.`,
+      'Check the pod events for why it is waiting.'
+    );
+  }
+
+  const request = await kubernetesService.followPodLogs(store.namespace, podName, stream, {
+    container: resolved.container, tailLines, sinceSeconds,
+  });
+  logger.debug('Following pod logs', { storeId: store.id, pod: podName, container: resolved.container });
+  return { container: resolved.container, abort: () => request.abort() };
+}
+
+/**
+ * Kubernetes events of the store's namespace, newest first.
+ * @param {Object} store
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {string} [options.type] - Normal | Warning
+ * @returns {Promise<Object[]>}
+ */
+async function listEvents(store, { limit, type } = {}) {
+  assertInspectable(store);
+  return kubernetesService.listEvents(store.namespace, { limit, type });
+}
+
+module.exports = {
+  listPods,
+  getPodLogs,
+  followPodLogs,
+  listEvents,
+};
@@ -0,0 +1,724 @@
+'use strict';
+
+const crypto = require('crypto');
+const dns = require('dns');
+const db = require('../db/pool');
+const config = require('../config');
+const logger = require('../utils/logger').child('domains');
+const storeRegistry = require('./storeRegistry');
+const auditService = require('./auditService');
+const helmService = require('./helmService');
+const storeSetupService = require('./storeSetupService');
+const jobQueueService = require('./jobQueueService');
+const { STATES } = require('../models/storeMachine');
+const { AppError, NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+
+/**
+ * Domain Service — tenant-owned hostnames routed to a store.
+ *
+ * Lifecycle of a domain:
+ *   pending  → added; waiting for the owner to publish the TXT record
+ *   verified → TXT record matched; the store's ingress is being regenerated
+ *   active   → the ingress routes the hostname to the store
+ *   error    → the ingress update failed; verifying again retries it
+ *
+ * Routing is part of the store's Helm release (ingress.customDomains), so
+ * adding or removing a routed domain is a `helm upgrade` that reuses every
+ * other value. It runs as an 'ingress' job, so the job queue keeps it from
+ * overlapping any other workflow on the store, on any replica.
+ *
+ * A pending domain is only a claim. Any number of stores may claim a
+ * hostname, but it routes to the first one to pass the DNS check: from then
+ * on it is refused to everyone else. Claims never verified are deleted after
+ * DOMAIN_PENDING_TTL_DAYS, so an abandoned one does not linger.
+ *
+ * At most one active domain is primary. The store's storefront/admin URLs —
+ * and for WooCommerce the WordPress siteurl/home — follow the primary domain,
+ * and fall back to the generated host when it is removed.
+ */
+
+const DOMAIN_STATUS = {
+  PENDING: 'pending',
+  VERIFIED: 'verified',
+  ACTIVE: 'active',
+  ERROR: 'error',
+};
+
+// Ownership has been proven for these — they belong in the ingress
+const ROUTED_STATUSES = [DOMAIN_STATUS.VERIFIED, DOMAIN_STATUS.ACTIVE, DOMAIN_STATUS.ERROR];
+
+const DOMAIN_COLUMNS = `
+  id, store_id, hostname, status, is_primary, verification_token, verified_at,
+  last_checked_at, last_error, created_by, created_at, updated_at
+`;
+
+const TXT_VALUE_PREFIX = 'mtec-verify=';
+
+// Helm upgrades one ingress job runs at most while domains keep changing under it
+const MAX_SYNC_PASSES = 3;
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+let cleanupTimer = null;
+
+/**
+ * The DNS record that proves ownership of a hostname.
+ * @param {string} hostname
+ * @param {string} token
+ * @returns {{ type: string, name: string, value: string }}
+ */
+function buildVerificationRecord(hostname, token) {
+  return {
+    type: 'TXT',
+    name: `${config.domains.verificationPrefix}.${hostname}`,
+    value: `${TXT_VALUE_PREFIX}${token}`,
+  };
+}
+
+/**
+ * Whether any TXT record carries the expected value.
+ * resolveTxt() returns each record as an array of ≤255-byte chunks.
+ * @param {string[][]} records
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function txtRecordsMatch(records, expected) {
+  return records.some((chunks) => chunks.join('').trim() === expected);
+}
+
+/**
+ * Hostnames under the platform's own suffix are reserved for generated store hosts.
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isReservedHostname(hostname) {
+  const suffix = config.store.domainSuffix.replace(/^\./, '');
+  return hostname === suffix || hostname.endsWith(`.${suffix}`);
+}
+
+/**
+ * Attach a custom domain to a store (status 'pending').
+ *
+ * @param {string} storeId
+ * @param {Object} params
+ * @param {string} params.hostname - Lowercased, validated hostname
+ * @param {string} [params.requestedBy] - User email
+ * @returns {Promise<Object>} The domain, with verification instructions
+ * @throws {NotFoundError|ConflictError|ValidationError}
+ */
+async function addDomain(storeId, { hostname, requestedBy }) {
+  const store = await getActiveStore(storeId);
+
+  if (isReservedHostname(hostname)) {
+    throw new ValidationError(`'${hostname}' is under the platform domain and cannot be added.`, {
+      hostname,
+      reservedSuffix: config.store.domainSuffix,
+    });
+  }
+
+  const countResult = await db.query(
+    'SELECT COUNT(*) AS total FROM store_domains WHERE store_id = $1',
+    [storeId]
+  );
+  if (parseInt(countResult.rows[0].total, 10) >= config.domains.maxPerStore) {
+    throw new ConflictError(
+      `Store '${storeId}' already has the maximum of ${config.domains.maxPerStore} custom domains.`,
+      'Remove an unused domain first.'
+    );
+  }
+
+  // Pending claims on other stores don't block this one; a proven owner does
+  const routed = await db.query(
+    'SELECT 1 FROM store_domains WHERE hostname = $1 AND status = ANY($2) LIMIT 1',
+    [hostname, ROUTED_STATUSES]
+  );
+  if (routed.rows.length > 0) {
+    throw new ConflictError(
+      `Domain '${hostname}' is already routed to a store.`,
+      'Remove it from the other store first.'
+    );
+  }
+
+  const token = crypto.randomBytes(16).toString('hex');
+  let result;
+  try {
+    result = await db.query(
+      `INSERT INTO store_domains (store_id, hostname, verification_token, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${DOMAIN_COLUMNS}`,
+      [storeId, hostname, token, requestedBy || null]
+    );
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new ConflictError(
+        `Domain '${hostname}' is already attached to this store.`,
+        'Verify the existing domain instead of adding it again.'
+      );
+    }
+    throw err;
+  }
+  const domain = normalizeDomain(result.rows[0], store);
+
+  logger.info('Custom domain added', { storeId, hostname, domainId: domain.id });
+
+  await auditService.log({
+    storeId,
+    eventType: 'domain',
+    message: `Custom domain '${hostname}' added — waiting for DNS verification`,
+    metadata: { domainId: domain.id, hostname },
+    userEmail: requestedBy,
+  });
+
+  return domain;
+}
+
+/**
+ * List a store's custom domains, primary first.
+ * @param {string} storeId
+ * @returns {Promise<Object[]>}
+ */
+async function listDomains(storeId) {
+  const store = await getActiveStore(storeId);
+  const result = await db.query(
+    `SELECT ${DOMAIN_COLUMNS} FROM store_domains
+     WHERE store_id = $1
+     ORDER BY is_primary DESC, created_at`,
+    [storeId]
+  );
+  return result.rows.map((row) => normalizeDomain(row, store));
+}
+
+/**
+ * Check a domain's TXT record and, once ownership is proven, route it.
+ * Domains whose ingress update failed ('error') skip the DNS check and are
+ * routed again. The ingress update itself runs in the background. If another
+ * store verified the hostname first, this claim is refused (409).
+ *
+ * @param {string} storeId
+ * @param {string} domainId
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy]
+ * @param {string} [options.correlationId]
+ * @returns {Promise<Object>} The domain (status 'verified' or 'active')
+ * @throws {NotFoundError|ConflictError|ValidationError}
+ */
+async function verifyDomain(storeId, domainId, { requestedBy, correlationId } = {}) {
+  const store = await getActiveStore(storeId);
+  let domain = await getDomainRow(storeId, domainId);
+
+  if (domain.status === DOMAIN_STATUS.ACTIVE) {
+    return normalizeDomain(domain, store);
+  }
+
+  assertStoreReady(store);
+  await assertNoOtherJob(storeId);
+
+  if (domain.status === DOMAIN_STATUS.PENDING) {
+    const record = buildVerificationRecord(domain.hostname, domain.verification_token);
+    const found = await lookupTxt(record.name);
+
+    if (!txtRecordsMatch(found, record.value)) {
+      const lastError = found.length === 0
+        ? `No TXT record found at ${record.name}`
+        : `TXT record at ${record.name} does not contain ${record.value}`;
+      await db.query(
+        'UPDATE store_domains SET last_checked_at = NOW(), last_error = $1 WHERE id = $2',
+        [lastError, domainId]
+      );
+      throw new ValidationError(`Could not verify ownership of '${domain.hostname}'. ${lastError}.`, {
+        verification: record,
+      });
+    }
+  }
+
+  const provedNow = domain.status === DOMAIN_STATUS.PENDING;
+  let result;
+  try {
+    result = await db.query(
+      `UPDATE store_domains
+       SET status = $1, verified_at = COALESCE(verified_at, NOW()), last_checked_at = NOW(), last_error = NULL
+       WHERE id = $2
+       RETURNING ${DOMAIN_COLUMNS}`,
+      [DOMAIN_STATUS.VERIFIED, domainId]
+    );
+  } catch (err) {
+    // idx_store_domains_hostname: another store proved ownership first
+    if (err.code !== '23505') throw err;
+    const lastError = 'Another store verified this hostname first';
+    await db.query(
+      'UPDATE store_domains SET last_checked_at = NOW(), last_error = $1 WHERE id = $2',
+      [lastError, domainId]
+    );
+    throw new ConflictError(
+      `Domain '${domain.hostname}' is already routed to another store. ${lastError}.`,
+      'Remove it from the other store, then verify again.'
+    );
+  }
+  domain = result.rows[0];
+
+  if (provedNow) {
+    await auditService.log({
+      storeId,
+      eventType: 'domain',
+      message: `Custom domain '${domain.hostname}' verified via DNS`,
+      metadata: { domainId, hostname: domain.hostname, correlationId },
+      userEmail: requestedBy,
+    });
+  }
+
+  await syncIngress(storeId, { correlationId });
+
+  return normalizeDomain(domain, store);
+}
+
+/**
+ * Make an active domain the store's primary URL.
+ * URLs (and WordPress siteurl) are updated in the background by an ingress job.
+ *
+ * @param {string} storeId
+ * @param {string} domainId
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy]
+ * @param {string} [options.correlationId]
+ * @returns {Promise<Object>} The domain
+ * @throws {NotFoundError|ConflictError}
+ */
+async function setPrimary(storeId, domainId, { requestedBy, correlationId } = {}) {
+  const store = await getActiveStore(storeId);
+  const domain = await getDomainRow(storeId, domainId);
+
+  if (domain.status !== DOMAIN_STATUS.ACTIVE) {
+    throw new ConflictError(
+      `Domain '${domain.hostname}' is ${domain.status}; only active domains can be primary.`,
+      'Verify the domain and wait for it to become active.'
+    );
+  }
+  assertStoreReady(store);
+  await assertNoOtherJob(storeId);
+
+  const row = await db.withTransaction(async (client) => {
+    await client.query(
+      'UPDATE store_domains SET is_primary = FALSE WHERE store_id = $1 AND is_primary AND id <> $2',
+      [storeId, domainId]
+    );
+    const result = await client.query(
+      `UPDATE store_domains SET is_primary = TRUE WHERE id = $1 RETURNING ${DOMAIN_COLUMNS}`,
+      [domainId]
+    );
+    return result.rows[0];
+  });
+
+  await auditService.log({
+    storeId,
+    eventType: 'domain',
+    message: `Custom domain '${domain.hostname}' set as primary`,
+    metadata: { domainId, hostname: domain.hostname, correlationId },
+    userEmail: requestedBy,
+  });
+
+  await syncIngress(storeId, { correlationId });
+
+  return normalizeDomain(row, store);
+}
+
+/**
+ * Detach a domain. Routed domains are removed from the ingress in the
+ * background; removing the primary domain reverts the store to its generated URL.
+ *
+ * @param {string} storeId
+ * @param {string} domainId
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy]
+ * @param {string} [options.correlationId]
+ * @returns {Promise<Object>} The removed domain
+ * @throws {NotFoundError|ConflictError}
+ */
+async function removeDomain(storeId, domainId, { requestedBy, correlationId } = {}) {
+  const store = await getActiveStore(storeId);
+  const domain = await getDomainRow(storeId, domainId);
+  const routed = ROUTED_STATUSES.includes(domain.status);
+
+  if (routed) {
+    assertStoreReady(store);
+    await assertNoOtherJob(storeId);
+  }
+
+  await db.query('DELETE FROM store_domains WHERE id = $1', [domainId]);
+
+  logger.info('Custom domain removed', { storeId, hostname: domain.hostname, domainId });
+
+  await auditService.log({
+    storeId,
+    eventType: 'domain',
+    message: `Custom domain '${domain.hostname}' removed`,
+    metadata: { domainId, hostname: domain.hostname, wasPrimary: domain.is_primary, correlationId },
+    userEmail: requestedBy,
+  });
+
+  if (routed) {
+    await syncIngress(storeId, { correlationId });
+  }
+
+  return normalizeDomain(domain, store);
+}
+
+/**
+ * Drop all custom domains of a deleted store so the hostnames can be reused.
+ * @param {string} storeId
+ * @returns {Promise<number>} Number of domains released
+ */
+async function releaseDomains(storeId) {
+  const result = await db.query('DELETE FROM store_domains WHERE store_id = $1', [storeId]);
+  if (result.rowCount > 0) {
+    logger.info('Released custom domains of deleted store', { storeId, count: result.rowCount });
+  }
+  return result.rowCount;
+}
+
+// ─── Cleanup ─────────────────────────────────────────────────────────────────
+
+/**
+ * Delete pending domains older than DOMAIN_PENDING_TTL_DAYS. Each expiry is
+ * audited on its store, so the tenant can see why the domain went away.
+ * @returns {Promise<number>} Domains deleted
+ */
+async function expirePendingDomains() {
+  const days = config.domains.pendingTtlDays;
+  const result = await db.query(
+    `DELETE FROM store_domains
+     WHERE status = $1 AND created_at < NOW() - ($2 * INTERVAL '1 day')
+     RETURNING id, store_id, hostname`,
+    [DOMAIN_STATUS.PENDING, days]
+  );
+
+  for (const row of result.rows) {
+    await auditService.log({
+      storeId: row.store_id,
+      eventType: 'domain',
+      message: `Custom domain '${row.hostname}' removed: not verified within ${days} days`,
+      metadata: { domainId: row.id, hostname: row.hostname },
+    }).catch(() => { });
+  }
+  return result.rowCount;
+}
+
+function startCleanup() {
+  if (cleanupTimer) return;
+
+  const run = () => expirePendingDomains()
+    .then((removed) => {
+      if (removed > 0) logger.info('Expired unverified custom domains', { removed });
+    })
+    .catch((err) => {
+      logger.error('Custom domain cleanup failed', { error: err.message });
+    });
+
+  cleanupTimer = setInterval(run, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+  run();
+}
+
+function stopCleanup() {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+}
+
+// ─── Ingress ─────────────────────────────────────────────────────────────────
+
+/**
+ * Queue an ingress job for the store (see applyIngress). A job already
+ * queued or running for the store is returned instead — an ingress job picks
+ * up the change, another workflow means it waits for the next sync, which is
+ * why callers check assertNoOtherJob first.
+ *
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {string} [options.correlationId]
+ * @returns {Promise<Object>} The job
+ */
+async function syncIngress(storeId, { correlationId } = {}) {
+  const job = await jobQueueService.enqueue({ storeId, type: jobQueueService.JOB_TYPES.INGRESS, correlationId });
+  if (job.type !== jobQueueService.JOB_TYPES.INGRESS) {
+    logger.warn('Store started another job — ingress sync not queued', {
+      storeId, jobId: job.id, jobType: job.type, correlationId,
+    });
+  }
+  return job;
+}
+
+/**
+ * The ingress job: regenerate the store's ingress with its routed domains,
+ * then bring the store URLs in line with the primary domain. If the routed
+ * hostnames changed while Helm ran (a domain verified or removed meanwhile)
+ * it upgrades again, so no domain is marked active without being routed.
+ * Never throws for Helm failures — those mark the verified domains 'error'.
+ *
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {string} [options.correlationId]
+ * @returns {Promise<{ outcome: string, hostnames?: string[], error?: string }>}
+ */
+async function applyIngress(storeId, { correlationId } = {}) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store || (store.status !== STATES.READY && store.status !== STATES.DEGRADED)) {
+    // Domains stay 'verified'; verifying again once the store is ready retries
+    logger.warn('Skipping ingress sync — store not ready', { storeId, status: store?.status, correlationId });
+    return { outcome: 'skipped' };
+  }
+
+  let hostnames = await getRoutedHostnames(storeId);
+  for (let pass = 1; ; pass++) {
+    try {
+      const release = await helmService.upgrade({
+        releaseName: store.helmRelease,
+        namespace: store.namespace,
+        setValues: buildIngressValues(hostnames),
+      });
+      if (release.chartVersion && release.chartVersion !== store.chartVersion) {
+        await storeRegistry.update(storeId, { chartVersion: release.chartVersion });
+      }
+
+      await db.query(
+        `UPDATE store_domains SET status = $1, last_error = NULL
+         WHERE store_id = $2 AND status = ANY($3) AND hostname = ANY($4)`,
+        [DOMAIN_STATUS.ACTIVE, storeId, ROUTED_STATUSES, hostnames]
+      );
+
+      logger.info('Store ingress updated with custom domains', { storeId, hostnames, correlationId });
+      await auditService.log({
+        storeId,
+        eventType: 'domain',
+        message: hostnames.length > 0
+          ? `Ingress now routes ${hostnames.join(', ')}`
+          : 'Ingress custom domains cleared',
+        metadata: { hostnames, revision: release.revision, correlationId },
+      });
+    } catch (err) {
+      await db.query(
+        `UPDATE store_domains SET status = $1, last_error = $2
+         WHERE store_id = $3 AND status = $4`,
+        [DOMAIN_STATUS.ERROR, err.message.substring(0, 1000), storeId, DOMAIN_STATUS.VERIFIED]
+      );
+
+      logger.error('Store ingress update failed', { storeId, hostnames, error: err.message, correlationId });
+      await auditService.log({
+        storeId,
+        eventType: 'warning',
+        message: `Custom domain ingress update failed: ${err.message}`,
+        metadata: { hostnames, correlationId },
+      });
+      return { outcome: 'failed', error: err.message };
+    }
+
+    const current = await getRoutedHostnames(storeId);
+    if (current.join(',') === hostnames.join(',') || pass >= MAX_SYNC_PASSES) break;
+    hostnames = current;
+  }
+
+  await applyStoreUrls(storeId, { correlationId });
+  return { outcome: 'synced', hostnames };
+}
+
+/**
+ * Point the store's URLs at its primary active domain (or the generated host).
+ * No-op when they already match. WordPress siteurl failures are recorded but
+ * do not undo the URL change — the rewrite is repeated on the next change.
+ *
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {string} [options.correlationId]
+ * @returns {Promise<void>}
+ */
+async function applyStoreUrls(storeId, { correlationId } = {}) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store || (store.status !== STATES.READY && store.status !== STATES.DEGRADED)) return;
+
+  const { storefrontUrl, adminUrl } = await resolveStoreUrls(store);
+  if (store.storefrontUrl === storefrontUrl && store.adminUrl === adminUrl) return;
+
+  if (store.engine === 'woocommerce') {
+    try {
+      await storeSetupService.rewriteWordPressSiteUrl({
+        namespace: store.namespace,
+        storeId,
+        siteUrl: storefrontUrl,
+      });
+    } catch (err) {
+      logger.warn('WordPress site URL update failed', { storeId, storefrontUrl, error: err.message, correlationId });
+      await auditService.log({
+        storeId,
+        eventType: 'warning',
+        message: `Could not update WordPress site URL to ${storefrontUrl}: ${err.message}`,
+        metadata: { correlationId },
+      });
+    }
+  }
+
+  await storeRegistry.update(storeId, { storefrontUrl, adminUrl });
+
+  logger.info('Store URLs updated', { storeId, storefrontUrl, correlationId });
+  await auditService.log({
+    storeId,
+    eventType: 'domain',
+    message: `Store URL changed to ${storefrontUrl}`,
+    metadata: { previousUrl: store.storefrontUrl, storefrontUrl, adminUrl, correlationId },
+  });
+}
+
+/**
+ * Storefront and admin URLs for a store: its primary active domain, else the generated host.
+ * @param {Object} store - Must have id and engine
+ * @returns {Promise<{ storefrontUrl: string, adminUrl: string }>}
+ */
+async function resolveStoreUrls(store) {
+  const result = await db.query(
+    'SELECT hostname FROM store_domains WHERE store_id = $1 AND is_primary AND status = $2',
+    [store.id, DOMAIN_STATUS.ACTIVE]
+  );
+  const storefrontUrl = result.rows.length > 0
+    ? config.buildDomainUrl(result.rows[0].hostname)
+    : config.buildStoreUrl(store.id);
+
+  return {
+    storefrontUrl,
+    adminUrl: store.engine === 'woocommerce' ? `${storefrontUrl}/wp-admin` : `${storefrontUrl}/admin`,
+  };
+}
+
+/**
+ * Helm --set values for the store's ingress: routed custom domains and, when
+ * enabled, TLS with cert-manager. Used on install (so retries keep domains)
+ * and on every domain sync.
+ *
+ * @param {string} storeId
+ * @returns {Promise<Object>}
+ */
+async function ingressValues(storeId) {
+  return buildIngressValues(await getRoutedHostnames(storeId));
+}
+
+/**
+ * @param {string[]} hostnames
+ * @returns {Object}
+ */
+function buildIngressValues(hostnames) {
+  const values = {
+    // --set list syntax; null drops a previously reused list back to the chart default
+    'ingress.customDomains': hostnames.length > 0 ? `{${hostnames.join(',')}}` : 'null',
+  };
+  if (config.domains.tls && hostnames.length > 0) {
+    values['ingress.tls'] = 'true';
+    if (config.domains.certManagerIssuer) {
+      values['ingress.certManager.enabled'] = 'true';
+      values['ingress.certManager.clusterIssuer'] = config.domains.certManagerIssuer;
+    }
+  }
+  return values;
+}
+
+async function getRoutedHostnames(storeId) {
+  const result = await db.query(
+    'SELECT hostname FROM store_domains WHERE store_id = $1 AND status = ANY($2) ORDER BY created_at',
+    [storeId, ROUTED_STATUSES]
+  );
+  return result.rows.map((row) => row.hostname);
+}
+
+// Domain changes wait for the store's other workflows, which may be changing its release
+async function assertNoOtherJob(storeId) {
+  const job = await jobQueueService.findActiveJob(storeId);
+  if (job && job.type !== jobQueueService.JOB_TYPES.INGRESS) {
+    throw new ConflictError(
+      `Store '${storeId}' is busy with a ${job.type} job.`,
+      'Wait for it to finish and try again.'
+    );
+  }
+}
+
+async function lookupTxt(name) {
+  try {
+    return await dns.promises.resolveTxt(name);
+  } catch (err) {
+    if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') return [];
+    throw new AppError(`DNS lookup for ${name} failed: ${err.code || err.message}`, {
+      statusCode: 502,
+      code: 'DNS_LOOKUP_FAILED',
+      suggestion: 'Try again in a few minutes.',
+      retryable: true,
+    });
+  }
+}
+
+async function getActiveStore(storeId) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store || store.status === STATES.DELETED) {
+    throw new NotFoundError('Store', storeId);
+  }
+  return store;
+}
+
+function assertStoreReady(store) {
+  if (store.status !== STATES.READY) {
+    throw new ConflictError(
+      `Custom domains can only be routed while the store is ready. Current status: '${store.status}'`,
+      'Wait for the store to become ready and try again.'
+    );
+  }
+}
+
+async function getDomainRow(storeId, domainId) {
+  const result = await db.query(
+    `SELECT ${DOMAIN_COLUMNS} FROM store_domains WHERE id = $1 AND store_id = $2`,
+    [domainId, storeId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Domain', domainId);
+  }
+  return result.rows[0];
+}
+
+function normalizeDomain(row, store) {
+  const domain = {
+    id: row.id,
+    storeId: row.store_id,
+    hostname: row.hostname,
+    status: row.status,
+    primary: row.is_primary,
+    url: config.buildDomainUrl(row.hostname),
+    verifiedAt: row.verified_at || null,
+    lastCheckedAt: row.last_checked_at || null,
+    lastError: row.last_error || null,
+    createdBy: row.created_by || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+  if (row.status === DOMAIN_STATUS.PENDING) {
+    domain.verification = buildVerificationRecord(row.hostname, row.verification_token);
+    // Point the hostname at the store's generated host
+    domain.cnameTarget = `${store.id}${config.store.domainSuffix}`;
+  }
+  return domain;
+}
+
+module.exports = {
+  DOMAIN_STATUS,
+  addDomain,
+  listDomains,
+  verifyDomain,
+  setPrimary,
+  removeDomain,
+  releaseDomains,
+  expirePendingDomains,
+  startCleanup,
+  stopCleanup,
+  syncIngress,
+  applyIngress,
+  resolveStoreUrls,
+  ingressValues,
+  // Exported for testing
+  buildVerificationRecord,
+  txtRecordsMatch,
+  isReservedHostname,
+  buildIngressValues,
+};
@@ -0,0 +1,572 @@
+'use strict';
+
+const db = require('../db/pool');
+const config = require('../config');
+const logger = require('../utils/logger').child('drift');
+const storeRegistry = require('./storeRegistry');
+const kubernetesService = require('./kubernetesService');
+const helmService = require('./helmService');
+const auditService = require('./auditService');
+const userService = require('./userService');
+const domainService = require('./domainService');
+const provisionerService = require('./provisionerService');
+const { STATES } = require('../models/storeMachine');
+const { getPlan } = require('../models/plans');
+const { storeIdToHelmRelease } = require('../utils/idGenerator');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+const { driftFindingsOpen } = require('../utils/metrics');
+
+/**
+ * Drift Service — reconciles the stores table with what actually runs in the
+ * cluster.
+ *
+ * Each pass lists the stores, the managed namespaces
+ * (kubernetesService.listManagedNamespaces) and the Helm releases
+ * (helmService.list) and reports:
+ *
+ * - orphaned_namespace — a managed namespace no live store row points at
+ * - missing_namespace  — a running or suspended store whose namespace is gone
+ * - missing_release    — a running or suspended store without a deployed release
+ * - degraded_store     — a running store whose pods are not all ready
+ *
+ * "Running" is ready or degraded (see storeHealthService).
+ *
+ * Stores in transitional or failed states are left alone: their workflows own
+ * the cluster resources. New findings are written to drift_findings and the
+ * audit log; findings the pass no longer sees are closed as resolved.
+ *
+ * Admins act on open findings: adopt an orphaned namespace as a store, repair
+ * a store (re-provision it, or re-apply the chart when only its pods are
+ * unhealthy) or garbage-collect the finding's leftovers.
+ */
+
+const FINDING_KINDS = {
+  ORPHANED_NAMESPACE: 'orphaned_namespace',
+  MISSING_NAMESPACE: 'missing_namespace',
+  MISSING_RELEASE: 'missing_release',
+  DEGRADED_STORE: 'degraded_store',
+};
+
+const FINDING_STATUS = {
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+  ADOPTED: 'adopted',
+  REPAIRED: 'repaired',
+  COLLECTED: 'collected',
+};
+
+// Admin actions each kind of finding supports
+const ACTIONS = {
+  [FINDING_KINDS.ORPHANED_NAMESPACE]: ['adopt', 'gc'],
+  [FINDING_KINDS.MISSING_NAMESPACE]: ['repair', 'gc'],
+  [FINDING_KINDS.MISSING_RELEASE]: ['repair', 'gc'],
+  [FINDING_KINDS.DEGRADED_STORE]: ['repair'],
+};
+
+// Stores whose namespace and release should exist and be left as they are
+const CHECKED_STATUSES = new Set([STATES.READY, STATES.DEGRADED, STATES.SUSPENDED]);
+
+const STORE_ID_PATTERN = /^store-[a-f0-9]{8}$/;
+
+const FINDING_COLUMNS = `
+  id, kind, subject, store_id, namespace, helm_release, details, status, resolved_by,
+  resolution_note, first_seen_at, last_seen_at, resolved_at, created_at, updated_at
+`;
+
+let reconcilerTimer = null;
+let reconciling = false;
+
+// ─── Detection ───────────────────────────────────────────────────────────────
+
+/**
+ * Compare stores with the cluster. Pure apart from the pod checks of ready
+ * stores, which go through `checkPods`.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.stores - Every store that is not deleted
+ * @param {Object[]} params.namespaces - kubernetesService.listManagedNamespaces()
+ * @param {Object[]} params.releases - helmService.list() across all namespaces
+ * @param {(namespace: string) => Promise<Object>} params.checkPods
+ * @param {Date} [params.now]
+ * @returns {Promise<{ findings: Object[], unchecked: string[] }>}
+ *   unchecked — subjects whose state could not be determined this pass
+ */
+async function detectDrift({ stores, namespaces, releases, checkPods, now = new Date() }) {
+  const findings = [];
+  const unchecked = [];
+  const storeNamespaces = new Set(stores.map(s => s.namespace));
+  const namespaceNames = new Set(namespaces.map(ns => ns.name));
+
+  for (const ns of namespaces) {
+    if (storeNamespaces.has(ns.name) || ns.phase === 'Terminating') continue;
+    const ageMs = now.getTime() - new Date(ns.createdAt).getTime();
+    if (ageMs < config.drift.orphanGraceMs) continue;
+
+    const nsReleases = releases.filter(r => r.namespace === ns.name);
+    findings.push({
+      kind: FINDING_KINDS.ORPHANED_NAMESPACE,
+      subject: ns.name,
+      storeId: ns.storeId,
+      namespace: ns.name,
+      helmRelease: nsReleases[0] ? nsReleases[0].name : null,
+      details: {
+        createdAt: ns.createdAt,
+        releases: nsReleases.map(r => ({ name: r.name, status: r.status, chart: r.chart })),
+      },
+    });
+  }
+
+  for (const store of stores) {
+    // A workflow owns the store's resources right now — keep its findings as they are
+    if (!CHECKED_STATUSES.has(store.status)) {
+      unchecked.push(store.id);
+      continue;
+    }
+    const base = { subject: store.id, storeId: store.id, namespace: store.namespace, helmRelease: store.helmRelease };
+
+    if (!namespaceNames.has(store.namespace)) {
+      findings.push({ ...base, kind: FINDING_KINDS.MISSING_NAMESPACE, details: { storeStatus: store.status } });
+      continue;
+    }
+
+    const release = releases.find(r => r.name === store.helmRelease && r.namespace === store.namespace);
+    if (!release || release.status !== 'deployed') {
+      findings.push({
+        ...base,
+        kind: FINDING_KINDS.MISSING_RELEASE,
+        details: { storeStatus: store.status, releaseStatus: release ? release.status : null },
+      });
+      continue;
+    }
+
+    // Suspended stores run no pods
+    if (store.status === STATES.SUSPENDED) continue;
+    try {
+      const pods = await checkPods(store.namespace);
+      if (!pods.ready) {
+        findings.push({
+          ...base,
+          kind: FINDING_KINDS.DEGRADED_STORE,
+          details: {
+            podsReady: pods.readyCount,
+            podsTotal: pods.total,
+            notReady: pods.pods.filter(p => !p.ready).map(p => ({ name: p.name, phase: p.phase })),
+          },
+        });
+      }
+    } catch (err) {
+      logger.warn('Pod check failed during drift reconcile', { storeId: store.id, error: err.message });
+      unchecked.push(store.id);
+    }
+  }
+
+  return { findings, unchecked };
+}
+
+// ─── Reconciler ──────────────────────────────────────────────────────────────
+
+/**
+ * Run one reconcile pass: detect drift, record new findings, refresh the ones
+ * still present and resolve the ones that cleared.
+ * @returns {Promise<{ open: number, opened: number, resolved: number }|null>} null when a pass is already running
+ */
+async function reconcile() {
+  if (reconciling) {
+    logger.debug('Drift reconcile already running — skipping');
+    return null;
+  }
+  reconciling = true;
+  try {
+    const [stores, namespaces, releases] = await Promise.all([
+      storeRegistry.findAll(),
+      kubernetesService.listManagedNamespaces(),
+      helmService.list(),
+    ]);
+    const { findings, unchecked } = await detectDrift({
+      stores, namespaces, releases, checkPods: kubernetesService.checkPodsReady,
+    });
+
+    let opened = 0;
+    for (const finding of findings) {
+      if (await recordFinding(finding)) opened++;
+    }
+
+    const resolved = await resolveCleared(findings, unchecked);
+
+    const counts = {};
+    for (const kind of Object.values(FINDING_KINDS)) counts[kind] = 0;
+    for (const finding of findings) counts[finding.kind]++;
+    for (const [kind, count] of Object.entries(counts)) driftFindingsOpen.set({ kind }, count);
+
+    logger.info('Drift reconcile completed', {
+      stores: stores.length, namespaces: namespaces.length, open: findings.length, opened, resolved,
+    });
+    return { open: findings.length, opened, resolved };
+  } finally {
+    reconciling = false;
+  }
+}
+
+/**
+ * Insert a finding, or refresh the open one for the same kind and subject.
+ * @returns {Promise<boolean>} Whether the finding is new
+ */
+async function recordFinding(finding) {
+  const result = await db.query(
+    `INSERT INTO drift_findings (kind, subject, store_id, namespace, helm_release, details)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (kind, subject) WHERE status = 'open' DO UPDATE SET
+       details = EXCLUDED.details, helm_release = EXCLUDED.helm_release, last_seen_at = NOW()
+     RETURNING id, (xmax = 0) AS inserted`,
+    [finding.kind, finding.subject, finding.storeId || null, finding.namespace || null,
+      finding.helmRelease || null, JSON.stringify(finding.details || {})]
+  );
+  const row = result.rows[0];
+  if (!row.inserted) return false;
+
+  logger.warn('Drift detected', { findingId: row.id, kind: finding.kind, subject: finding.subject });
+  await auditService.log({
+    // Orphaned namespaces have no store row to attach the event to
+    storeId: finding.kind === FINDING_KINDS.ORPHANED_NAMESPACE ? null : finding.storeId,
+    eventType: 'drift_detected',
+    message: `Drift detected: ${finding.kind.replace(/_/g, ' ')} (${finding.subject})`,
+    metadata: { findingId: row.id, kind: finding.kind, namespace: finding.namespace, ...finding.details },
+  });
+  return true;
+}
+
+/**
+ * Close open findings the current pass no longer reports.
+ * @param {Object[]} findings - Current findings
+ * @param {string[]} unchecked - Subjects the pass could not check (left open)
+ * @returns {Promise<number>} Findings resolved
+ */
+async function resolveCleared(findings, unchecked) {
+  const current = new Set(findings.map(f => `${f.kind}:${f.subject}`));
+  const skip = new Set(unchecked);
+
+  const open = await db.query(
+    `SELECT ${FINDING_COLUMNS} FROM drift_findings WHERE status = $1`,
+    [FINDING_STATUS.OPEN]
+  );
+  const cleared = open.rows.filter(row => !current.has(`${row.kind}:${row.subject}`) && !skip.has(row.subject));
+
+  for (const row of cleared) {
+    await db.query(
+      `UPDATE drift_findings
+       SET status = $2, resolution_note = $3, resolved_at = NOW()
+       WHERE id = $1 AND status = 'open'`,
+      [row.id, FINDING_STATUS.RESOLVED, 'No longer detected']
+    );
+    await auditService.log({
+      storeId: row.kind === FINDING_KINDS.ORPHANED_NAMESPACE ? null : row.store_id,
+      eventType: 'drift_resolved',
+      message: `Drift cleared: ${row.kind.replace(/_/g, ' ')} (${row.subject})`,
+      metadata: { findingId: row.id, kind: row.kind },
+    });
+  }
+  return cleared.length;
+}
+
+/**
+ * Run a pass on request (admin endpoint).
+ * @returns {Promise<{ open: number, opened: number, resolved: number }>}
+ */
+async function reconcileNow() {
+  const summary = await reconcile();
+  if (!summary) {
+    throw new ConflictError('A drift reconcile pass is already running.', 'Wait for it to finish, then list the findings.');
+  }
+  return summary;
+}
+
+function startReconciler() {
+  if (!config.drift.reconcilerEnabled || reconcilerTimer) return;
+
+  const run = () => reconcile().catch((err) => {
+    logger.error('Drift reconcile failed', { error: err.message });
+  });
+
+  reconcilerTimer = setInterval(run, config.drift.intervalMs);
+  reconcilerTimer.unref();
+  run();
+  logger.info('Drift reconciler started', { intervalMs: config.drift.intervalMs });
+}
+
+function stopReconciler() {
+  if (reconcilerTimer) {
+    clearInterval(reconcilerTimer);
+    reconcilerTimer = null;
+  }
+}
+
+// ─── Findings ────────────────────────────────────────────────────────────────
+
+/**
+ * List findings, newest first.
+ * @param {Object} [filters]
+ * @param {string} [filters.status]
+ * @param {string} [filters.kind]
+ * @param {number} [filters.limit=50]
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<{ findings: Object[], total: number }>}
+ */
+async function listFindings({ status, kind, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (kind) {
+    params.push(kind);
+    conditions.push(`kind = $${params.length}`);
+  }
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await db.query(`SELECT COUNT(*) as total FROM drift_findings ${whereClause}`, params);
+  const result = await db.query(
+    `SELECT ${FINDING_COLUMNS} FROM drift_findings ${whereClause}
+     ORDER BY last_seen_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return {
+    findings: result.rows.map(normalizeFinding),
+    total: parseInt(countResult.rows[0].total, 10),
+  };
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+async function getFinding(id) {
+  const result = await db.query(`SELECT ${FINDING_COLUMNS} FROM drift_findings WHERE id = $1`, [id]);
+  if (!result.rows[0]) throw new NotFoundError('Finding', id);
+  return normalizeFinding(result.rows[0]);
+}
+
+/**
+ * Load an open finding and check it supports the action.
+ * @returns {Promise<Object>}
+ */
+async function getActionableFinding(id, action) {
+  const finding = await getFinding(id);
+  if (finding.status !== FINDING_STATUS.OPEN) {
+    throw new ConflictError(`Finding is already ${finding.status}.`, 'Only open findings can be acted on.');
+  }
+  if (!ACTIONS[finding.kind].includes(action)) {
+    throw new ConflictError(
+      `A ${finding.kind} finding cannot be handled with '${action}'.`,
+      `Use one of: ${ACTIONS[finding.kind].join(', ')}.`
+    );
+  }
+  return finding;
+}
+
+/**
+ * Close a finding after an admin action.
+ * @returns {Promise<Object>} The updated finding
+ */
+async function closeFinding(finding, { status, requestedBy, note }) {
+  const result = await db.query(
+    `UPDATE drift_findings
+     SET status = $2, resolved_by = $3, resolution_note = $4, resolved_at = NOW()
+     WHERE id = $1
+     RETURNING ${FINDING_COLUMNS}`,
+    [finding.id, status, requestedBy || null, note]
+  );
+  await auditService.log({
+    storeId: finding.kind === FINDING_KINDS.ORPHANED_NAMESPACE && status !== FINDING_STATUS.ADOPTED
+      ? null
+      : finding.storeId,
+    eventType: 'drift_resolved',
+    message: `Drift ${status}: ${finding.kind.replace(/_/g, ' ')} (${finding.subject}) — ${note}`,
+    metadata: { findingId: finding.id, kind: finding.kind, requestedBy: requestedBy || null },
+    userEmail: requestedBy,
+  });
+  return normalizeFinding(result.rows[0]);
+}
+
+/**
+ * Register an orphaned namespace as a store owned by `ownerId`. The store is
+ * READY when the namespace holds a deployed release, FAILED otherwise (retry
+ * then installs the chart).
+ *
+ * @param {string} id - Finding ID
+ * @param {Object} params
+ * @param {string} params.ownerId
+ * @param {string} params.engine
+ * @param {string} [params.name] - Defaults to the store ID
+ * @param {string} [params.plan]
+ * @param {string} [params.requestedBy]
+ * @returns {Promise<{ finding: Object, store: Object }>}
+ */
+async function adoptFinding(id, { ownerId, engine, name, plan, requestedBy } = {}) {
+  const finding = await getActionableFinding(id, 'adopt');
+  const storeId = finding.storeId;
+
+  if (!STORE_ID_PATTERN.test(storeId || '')) {
+    throw new ValidationError(
+      `Namespace '${finding.namespace}' is labelled with store ID '${storeId}', which is not a valid store ID.`
+    );
+  }
+  if (await storeRegistry.findById(storeId)) {
+    throw new ConflictError(
+      `Store '${storeId}' already has a record (it was deleted).`,
+      'Garbage-collect the namespace instead.'
+    );
+  }
+  const owner = await userService.findById(ownerId);
+  if (!owner) throw new NotFoundError('User', ownerId);
+
+  const releases = await helmService.list(finding.namespace);
+  const release = releases[0] || null;
+
+  await storeRegistry.create({
+    id: storeId,
+    name: name || storeId,
+    engine,
+    namespace: finding.namespace,
+    helmRelease: release ? release.name : storeIdToHelmRelease(storeId),
+    ownerId,
+    plan: getPlan(plan || config.plans.default).name,
+  });
+
+  // Adoption records what already runs — it does not go through provisioning
+  let store;
+  if (release && release.status === 'deployed') {
+    const created = await storeRegistry.findById(storeId);
+    const { storefrontUrl, adminUrl } = await domainService.resolveStoreUrls(created);
+    store = await storeRegistry.update(storeId, {
+      status: STATES.READY,
+      storefrontUrl,
+      adminUrl,
+      provisioningCompletedAt: new Date().toISOString(),
+    });
+  } else {
+    store = await storeRegistry.update(storeId, {
+      status: STATES.FAILED,
+      failureReason: 'Adopted from an orphaned namespace without a deployed Helm release. Retry to install it.',
+    });
+  }
+
+  await auditService.log({
+    storeId,
+    eventType: 'store_adopted',
+    newStatus: store.status,
+    message: `Store adopted from orphaned namespace '${finding.namespace}' for owner ${owner.email}`,
+    metadata: { findingId: finding.id, engine, helmRelease: store.helmRelease, requestedBy: requestedBy || null },
+  });
+
+  const closed = await closeFinding(finding, {
+    status: FINDING_STATUS.ADOPTED,
+    requestedBy,
+    note: `Adopted as store ${storeId} (${store.status})`,
+  });
+  return { finding: closed, store };
+}
+
+/**
+ * Repair the store behind a finding: re-provision it when its namespace or
+ * release is missing, re-apply its chart (helm upgrade with rollback) when
+ * only its pods are unhealthy.
+ *
+ * @param {string} id - Finding ID
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy]
+ * @param {string} [options.correlationId]
+ * @returns {Promise<{ finding: Object, store: Object }>}
+ */
+async function repairFinding(id, { requestedBy, correlationId } = {}) {
+  const finding = await getActionableFinding(id, 'repair');
+  const reason = `drift repair: ${finding.kind.replace(/_/g, ' ')}`;
+
+  const store = finding.kind === FINDING_KINDS.DEGRADED_STORE
+    ? await provisionerService.upgradeStore(finding.storeId, { reason, requestedBy, correlationId })
+    : await provisionerService.repairStore(finding.storeId, { reason, requestedBy, correlationId });
+
+  const closed = await closeFinding(finding, {
+    status: FINDING_STATUS.REPAIRED,
+    requestedBy,
+    note: finding.kind === FINDING_KINDS.DEGRADED_STORE ? 'Chart re-applied' : 'Store re-provisioned',
+  });
+  return { finding: closed, store };
+}
+
+/**
+ * Garbage-collect a finding's leftovers: uninstall the releases in an
+ * orphaned namespace and delete it, or delete a store whose cluster
+ * resources are gone (the normal delete workflow — idempotent on missing
+ * resources).
+ *
+ * @param {string} id - Finding ID
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy]
+ * @returns {Promise<{ finding: Object, store?: Object }>}
+ */
+async function collectFinding(id, { requestedBy } = {}) {
+  const finding = await getActionableFinding(id, 'gc');
+
+  if (finding.kind !== FINDING_KINDS.ORPHANED_NAMESPACE) {
+    const store = await provisionerService.deleteStore(finding.storeId);
+    const closed = await closeFinding(finding, {
+      status: FINDING_STATUS.COLLECTED,
+      requestedBy,
+      note: 'Store deleted',
+    });
+    return { finding: closed, store };
+  }
+
+  const releases = await helmService.list(finding.namespace);
+  for (const release of releases) {
+    await helmService.uninstall({ releaseName: release.name, namespace: finding.namespace });
+  }
+  await kubernetesService.deleteNamespace(finding.namespace);
+
+  const closed = await closeFinding(finding, {
+    status: FINDING_STATUS.COLLECTED,
+    requestedBy,
+    note: `Namespace deleted${releases.length > 0 ? ` with ${releases.length} release(s)` : ''}`,
+  });
+  return { finding: closed };
+}
+
+function normalizeFinding(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    subject: row.subject,
+    storeId: row.store_id || null,
+    namespace: row.namespace || null,
+    helmRelease: row.helm_release || null,
+    details: row.details || {},
+    status: row.status,
+    actions: row.status === FINDING_STATUS.OPEN ? ACTIONS[row.kind] : [],
+    resolvedBy: row.resolved_by || null,
+    resolutionNote: row.resolution_note || null,
+    firstSeenAt: row.first_seen_at,
+    lastSeenAt: row.last_seen_at,
+    resolvedAt: row.resolved_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+module.exports = {
+  FINDING_KINDS,
+  FINDING_STATUS,
+  reconcile,
+  reconcileNow,
+  startReconciler,
+  stopReconciler,
+  listFindings,
+  getFinding,
+  adoptFinding,
+  repairFinding,
+  collectFinding,
+  // Exported for testing
+  detectDrift,
+};
@@ -0,0 +1,304 @@
+'use strict';
+
+const logger = require('../utils/logger').child('failure-classifier');
+const kubernetesService = require('./kubernetesService');
+
+/**
+ * Failure Classifier
+ *
+ * Maps a failed workflow to a stable failure code. Each code has a category,
+ * says whether retrying as-is can succeed, and carries remediation text for
+ * the store owner. The store keeps the code and the evidence that matched it
+ * (failure_code, failure_evidence) next to the free-text failure_reason;
+ * category, retryability and remediation come from the catalog below, so
+ * they stay current for stores that failed before a wording change.
+ *
+ * Evidence is read most specific first: container states of the store's
+ * pods, then recent Warning events of its namespace, then the error text
+ * (message plus Helm stderr or setup script output). A Helm "timed out
+ * waiting for the condition" is usually a symptom — the pod state says why.
+ */
+
+const CATEGORIES = Object.freeze({
+  CONNECTIVITY: 'connectivity',
+  TIMEOUT: 'timeout',
+  CAPACITY: 'capacity',
+  STORAGE: 'storage',
+  IMAGE: 'image',
+  APPLICATION: 'application',
+  CONFIGURATION: 'configuration',
+  PLATFORM: 'platform',
+  UNKNOWN: 'unknown',
+});
+
+const FAILURES = Object.freeze({
+  IMAGE_PULL_FAILED: {
+    category: CATEGORIES.IMAGE,
+    retryable: false,
+    remediation: 'A container image could not be pulled. Check that the image name and tag exist and that the cluster can reach the registry; images with pullPolicy Never must be loaded on the node first.',
+  },
+  CONTAINER_CONFIG_ERROR: {
+    category: CATEGORIES.CONFIGURATION,
+    retryable: false,
+    remediation: 'A container could not be created from its spec, usually because a referenced Secret or ConfigMap is missing. Check the pod events in the Diagnostics tab.',
+  },
+  CONTAINER_OOM_KILLED: {
+    category: CATEGORIES.CAPACITY,
+    retryable: false,
+    remediation: 'A container ran out of memory. Move the store to a larger plan, then retry.',
+  },
+  CONTAINER_CRASH_LOOP: {
+    category: CATEGORIES.APPLICATION,
+    retryable: false,
+    remediation: 'A container keeps crashing on start. Read the logs of its previous instance in the Diagnostics tab and fix the cause before retrying.',
+  },
+  QUOTA_EXCEEDED: {
+    category: CATEGORIES.CAPACITY,
+    retryable: false,
+    remediation: "The store's resource quota does not fit its workloads. Move the store to a larger plan, then retry.",
+  },
+  INSUFFICIENT_CLUSTER_CAPACITY: {
+    category: CATEGORIES.CAPACITY,
+    retryable: true,
+    remediation: 'No node has enough free CPU or memory for the store. Retry later, or ask an administrator to add cluster capacity.',
+  },
+  PVC_UNBOUND: {
+    category: CATEGORIES.STORAGE,
+    retryable: false,
+    remediation: "A persistent volume could not be provisioned. Ask an administrator to check the cluster's storage class and volume provisioner, then retry from scratch.",
+  },
+  CHART_INVALID: {
+    category: CATEGORIES.CONFIGURATION,
+    retryable: false,
+    remediation: 'The Helm chart or its values failed to render or validate. This needs a platform fix; contact an administrator.',
+  },
+  RELEASE_LOCKED: {
+    category: CATEGORIES.PLATFORM,
+    retryable: true,
+    remediation: 'Another Helm operation on the release was still running. Retry in a few minutes.',
+  },
+  SETUP_FAILED: {
+    category: CATEGORIES.APPLICATION,
+    retryable: true,
+    remediation: 'The post-install setup script failed. Retry; if it fails again, check the container logs in the Diagnostics tab.',
+  },
+  BACKUP_STORAGE_UNAVAILABLE: {
+    category: CATEGORIES.CONNECTIVITY,
+    retryable: true,
+    remediation: 'The backup storage could not be reached. Retry once it is available.',
+  },
+  WORKER_INTERRUPTED: {
+    category: CATEGORIES.PLATFORM,
+    retryable: true,
+    remediation: 'The workflow was interrupted by the platform, not by the store. Retry.',
+  },
+  CLUSTER_UNREACHABLE: {
+    category: CATEGORIES.CONNECTIVITY,
+    retryable: true,
+    remediation: 'The Kubernetes API could not be reached. Retry in a few minutes.',
+  },
+  OPERATION_TIMED_OUT: {
+    category: CATEGORIES.TIMEOUT,
+    retryable: true,
+    remediation: 'The store did not become ready in time. Retry; if it times out again, check the pods in the Diagnostics tab.',
+  },
+  UNKNOWN: {
+    category: CATEGORIES.UNKNOWN,
+    retryable: true,
+    remediation: 'The failure was not recognised. Check the audit log and the Diagnostics tab before retrying.',
+  },
+});
+
+// Container waiting / terminated reasons, by failure code — checked in order
+const CONTAINER_RULES = [
+  { code: 'IMAGE_PULL_FAILED', reasons: ['ErrImagePull', 'ImagePullBackOff', 'InvalidImageName', 'ErrImageNeverPull'] },
+  { code: 'CONTAINER_CONFIG_ERROR', reasons: ['CreateContainerConfigError', 'CreateContainerError'] },
+  { code: 'CONTAINER_OOM_KILLED', reasons: ['OOMKilled'] },
+  { code: 'CONTAINER_CRASH_LOOP', reasons: ['CrashLoopBackOff'] },
+];
+
+// Patterns matched against error text, in priority order. `events` rules are
+// also matched against Warning events and pod scheduling messages; the rest
+// are too generic for those (a readiness probe's "connection refused" says
+// nothing about the cluster).
+const TEXT_RULES = [
+  { code: 'WORKER_INTERRUPTED', pattern: /backend restarted|job abandoned|queue was full/i },
+  { code: 'RELEASE_LOCKED', pattern: /another operation \(install\/upgrade\/rollback\) is in progress|cannot re-use a name that is still in use/i },
+  { code: 'QUOTA_EXCEEDED', pattern: /exceeded quota/i, events: true },
+  {
+    code: 'PVC_UNBOUND',
+    pattern: /unbound (immediate )?persistentvolumeclaims|storageclass\S* "?[\w.-]+"? not found|failed to provision volume|waiting for a volume to be created/i,
+    events: true,
+  },
+  { code: 'INSUFFICIENT_CLUSTER_CAPACITY', pattern: /nodes are available|insufficient (cpu|memory|ephemeral-storage|pods)/i, events: true },
+  { code: 'IMAGE_PULL_FAILED', pattern: /imagepullbackoff|errimagepull|errimageneverpull|invalidimagename|failed to pull image/i, events: true },
+  {
+    code: 'CHART_INVALID',
+    pattern: /parse error|yaml: |unable to build kubernetes objects|error validating|execution error at|no matches for kind|chart "?[\w./-]+"? not found/i,
+  },
+  { code: 'SETUP_FAILED', pattern: /kubectl exec failed|no (wordpress|medusa|database) pod found/i },
+  {
+    code: 'CLUSTER_UNREACHABLE',
+    pattern: /connection refused|connection reset|econnrefused|econnreset|ehostunreach|enotfound|i\/o timeout|tls handshake|service unavailable|too many requests|cluster unreachable|circuit breaker/i,
+  },
+  { code: 'OPERATION_TIMED_OUT', pattern: /timed out|timeout|deadline exceeded/i },
+];
+
+// AppError / errno codes that decide the class without looking at the text
+const ERROR_CODES = {
+  CIRCUIT_OPEN: 'CLUSTER_UNREACHABLE',
+  CIRCUIT_HALF_OPEN: 'CLUSTER_UNREACHABLE',
+  ECONNREFUSED: 'CLUSTER_UNREACHABLE',
+  ECONNRESET: 'CLUSTER_UNREACHABLE',
+  ETIMEDOUT: 'CLUSTER_UNREACHABLE',
+  OBJECT_STORE_ERROR: 'BACKUP_STORAGE_UNAVAILABLE',
+};
+
+// Longest evidence kept with the store
+const MAX_EVIDENCE_LENGTH = 500;
+
+/**
+ * Catalog entry of a failure code. Unknown codes describe as UNKNOWN.
+ * @param {string} code
+ * @param {string} [evidence]
+ * @returns {{ code: string, category: string, retryable: boolean, remediation: string, evidence: string|null }}
+ */
+function describe(code, evidence = null) {
+  const known = Object.prototype.hasOwnProperty.call(FAILURES, code) ? code : 'UNKNOWN';
+  return {
+    code: known,
+    ...FAILURES[known],
+    evidence: evidence ? evidence.substring(0, MAX_EVIDENCE_LENGTH) : null,
+  };
+}
+
+/**
+ * The line of `text` a pattern matched, as evidence.
+ * @param {string} text
+ * @param {RegExp} pattern
+ * @returns {string|null}
+ */
+function matchLine(text, pattern) {
+  const line = text.split('\n').find(l => pattern.test(l));
+  return line ? line.trim() : null;
+}
+
+/**
+ * Match text against the text rules.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.eventsOnly=false] - Only the rules that hold for events
+ * @returns {{ code: string, evidence: string }|null}
+ */
+function matchText(text, { eventsOnly = false } = {}) {
+  if (!text) return null;
+  for (const rule of TEXT_RULES) {
+    if (eventsOnly && !rule.events) continue;
+    const line = matchLine(text, rule.pattern);
+    if (line) return { code: rule.code, evidence: line };
+  }
+  return null;
+}
+
+/**
+ * Match pod summaries (kubernetesService.summarizePod) against the container
+ * rules, then the scheduling message of pending pods against the event rules.
+ * @param {Object[]} pods
+ * @returns {{ code: string, evidence: string }|null}
+ */
+function matchPods(pods) {
+  for (const rule of CONTAINER_RULES) {
+    for (const pod of pods) {
+      const containers = [...(pod.initContainers || []), ...(pod.containers || [])];
+      for (const container of containers) {
+        const reason = [container.reason, container.lastTerminationReason].find(r => rule.reasons.includes(r));
+        if (reason) {
+          const detail = container.message ? ` — ${container.message}` : '';
+          return { code: rule.code, evidence: `Pod ${pod.name}, container ${container.name}: ${reason}${detail}` };
+        }
+      }
+    }
+  }
+
+  for (const pod of pods) {
+    if (pod.phase !== 'Pending' || !pod.schedulingMessage) continue;
+    const match = matchText(pod.schedulingMessage, { eventsOnly: true });
+    if (match) return { code: match.code, evidence: `Pod ${pod.name}: ${match.evidence}` };
+  }
+  return null;
+}
+
+/**
+ * Match Warning events (kubernetesService.listEvents) against the event rules.
+ * @param {Object[]} events
+ * @returns {{ code: string, evidence: string }|null}
+ */
+function matchEvents(events) {
+  for (const event of events) {
+    if (event.type !== 'Warning') continue;
+    const match = matchText(event.message || '', { eventsOnly: true });
+    if (match) {
+      return {
+        code: match.code,
+        evidence: `${event.object?.kind || 'Object'} ${event.object?.name || ''} ${event.reason}: ${match.evidence}`,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Classify a failure.
+ * @param {Error|string} err - The error the workflow failed with, or its message
+ * @param {Object} [evidence] - State of the store namespace (see collectEvidence)
+ * @param {Object[]} [evidence.pods]
+ * @param {Object[]} [evidence.events]
+ * @returns {{ code: string, category: string, retryable: boolean, remediation: string, evidence: string|null }}
+ */
+function classify(err, { pods = [], events = [] } = {}) {
+  const fromCluster = matchPods(pods) || matchEvents(events);
+  if (fromCluster) return describe(fromCluster.code, fromCluster.evidence);
+
+  const message = typeof err === 'string' ? err : err?.message || '';
+  const errorCode = typeof err === 'string' ? null : err?.code;
+  if (errorCode && ERROR_CODES[errorCode]) return describe(ERROR_CODES[errorCode], message);
+
+  const text = [message, err?.stderr, err?.metadata?.stderr].filter(Boolean).join('\n');
+  const fromText = matchText(text);
+  if (fromText) return describe(fromText.code, fromText.evidence);
+
+  return describe('UNKNOWN', message);
+}
+
+/**
+ * Read the pods and recent Warning events of a store namespace for
+ * classify(). Never throws — an unreachable cluster just yields no evidence.
+ * @param {string} namespace
+ * @param {Object} [options]
+ * @param {Date|string} [options.since] - Ignore events last seen before this (an earlier attempt's)
+ * @returns {Promise<{ pods: Object[], events: Object[] }>}
+ */
+async function collectEvidence(namespace, { since } = {}) {
+  try {
+    const [pods, events] = await Promise.all([
+      kubernetesService.listPods(namespace),
+      kubernetesService.listEvents(namespace, { type: 'Warning', limit: 50 }),
+    ]);
+    const cutoff = since ? new Date(since).getTime() : 0;
+    return {
+      pods,
+      events: events.filter(e => !e.lastSeen || new Date(e.lastSeen).getTime() >= cutoff),
+    };
+  } catch (err) {
+    logger.warn('Could not collect failure evidence', { namespace, error: err.message });
+    return { pods: [], events: [] };
+  }
+}
+
+module.exports = {
+  CATEGORIES,
+  FAILURES,
+  describe,
+  classify,
+  collectEvidence,
+};
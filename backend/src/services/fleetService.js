@@ -0,0 +1,457 @@
+'use strict';
+
+const db = require('../db/pool');
+const config = require('../config');
+const logger = require('../utils/logger').child('fleet');
+const storeRegistry = require('./storeRegistry');
+const auditService = require('./auditService');
+const provisionerService = require('./provisionerService');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+
+/**
+ * Fleet Service — batch upgrades across many tenant stores.
+ *
+ * A rollout selects stores by engine/status/owner and upgrades them in waves:
+ * a small canary wave first, then fixed-size waves. After every wave the
+ * cumulative failure rate is checked and the rollout halts automatically once
+ * it crosses the threshold, leaving the remaining stores untouched.
+ *
+ * Each store goes through provisionerService.upgradeStoreAndWait(), so every
+ * upgrade holds a provisioning semaphore slot — a wave larger than the
+ * semaphore simply queues behind it instead of overloading the cluster.
+ *
+ * Only one rollout runs at a time; rollouts interrupted by a backend restart
+ * are marked halted on startup (the stores themselves are recovered by
+ * provisionerService.recoverStuckStores).
+ */
+
+const ROLLOUT_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  HALTED: 'halted',
+};
+
+const ROLLOUT_COLUMNS = `
+  id, status, filters, canary_size, wave_size, max_failure_rate, current_wave,
+  total_waves, total_stores, reason, halt_reason, created_by, created_at, updated_at, completed_at
+`;
+
+// Outcomes that count against the failure-rate threshold
+const FAILED_OUTCOMES = new Set(['failed', 'rolled_back']);
+
+// Rollouts an admin has asked to stop — checked between waves
+const haltRequests = new Map();
+
+/**
+ * Split stores into waves: the first `canarySize` stores form wave 0, the rest
+ * are chunked into waves of `waveSize`.
+ * @param {Object[]} stores
+ * @param {number} canarySize
+ * @param {number} waveSize
+ * @returns {Object[][]}
+ */
+function planWaves(stores, canarySize, waveSize) {
+  const waves = [stores.slice(0, canarySize)];
+  for (let i = canarySize; i < stores.length; i += waveSize) {
+    waves.push(stores.slice(i, i + waveSize));
+  }
+  return waves.filter(wave => wave.length > 0);
+}
+
+/**
+ * Failure rate over the stores that actually attempted an upgrade.
+ * Skipped stores (wrong state, queue full) say nothing about the chart.
+ * @param {{ outcome: string }[]} results
+ * @returns {number} 0–1
+ */
+function failureRate(results) {
+  const attempted = results.filter(r => r.outcome === 'upgraded' || FAILED_OUTCOMES.has(r.outcome));
+  if (attempted.length === 0) return 0;
+  return attempted.filter(r => FAILED_OUTCOMES.has(r.outcome)).length / attempted.length;
+}
+
+/**
+ * Start a fleet rollout. Returns immediately; waves run in the background.
+ *
+ * @param {Object} params
+ * @param {string} [params.engine]
+ * @param {string} [params.status='ready']
+ * @param {string} [params.ownerId]
+ * @param {number} params.canarySize
+ * @param {number} params.waveSize
+ * @param {number} params.maxFailureRate - 0–1; halt when exceeded
+ * @param {string} [params.reason]
+ * @param {string} [params.requestedBy] - Admin email
+ * @returns {Promise<Object>} The created rollout (with stores)
+ */
+async function startRollout({
+  engine, status = 'ready', ownerId, canarySize, waveSize, maxFailureRate, reason, requestedBy,
+}) {
+  const running = await db.query(
+    'SELECT id FROM fleet_rollouts WHERE status = $1 LIMIT 1',
+    [ROLLOUT_STATUS.RUNNING]
+  );
+  if (running.rows.length > 0) {
+    throw new ConflictError(
+      `Fleet rollout '${running.rows[0].id}' is already running.`,
+      'Wait for it to finish or halt it first.'
+    );
+  }
+
+  const filters = { engine: engine || null, status, ownerId: ownerId || null };
+  const stores = await storeRegistry.findAll({ engine, status, ownerId });
+  if (stores.length === 0) {
+    throw new ValidationError('No stores match the rollout filters.', { filters });
+  }
+
+  const waves = planWaves(stores, canarySize, waveSize);
+
+  const rolloutId = await db.withTransaction(async (client) => {
+    const inserted = await client.query(
+      `INSERT INTO fleet_rollouts
+         (filters, canary_size, wave_size, max_failure_rate, total_waves, total_stores, reason, created_by,
+          owner_instance)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [JSON.stringify(filters), canarySize, waveSize, maxFailureRate, waves.length, stores.length,
+        reason || null, requestedBy || null, config.cluster.instanceId]
+    );
+    const id = inserted.rows[0].id;
+
+    for (const [wave, members] of waves.entries()) {
+      for (const store of members) {
+        await client.query(
+          'INSERT INTO fleet_rollout_stores (rollout_id, store_id, wave) VALUES ($1, $2, $3)',
+          [id, store.id, wave]
+        );
+      }
+    }
+    return id;
+  });
+
+  logger.info('Fleet rollout started', {
+    rolloutId, stores: stores.length, waves: waves.length, canarySize, waveSize, maxFailureRate,
+  });
+
+  await auditService.log({
+    eventType: 'fleet_rollout',
+    message: `Fleet rollout started: ${stores.length} store(s) in ${waves.length} wave(s)${reason ? ` — ${reason}` : ''}`,
+    metadata: { rolloutId, filters, canarySize, waveSize, maxFailureRate },
+    userEmail: requestedBy,
+  });
+
+  runRolloutAsync(rolloutId).catch(err => {
+    logger.error('Unhandled fleet rollout error', { rolloutId, error: err.message });
+  });
+
+  return getRollout(rolloutId);
+}
+
+/**
+ * Internal wave loop. Stores within a wave are upgraded concurrently (bounded
+ * by the provisioning semaphore); waves run one after another.
+ * @param {string} rolloutId
+ */
+async function runRolloutAsync(rolloutId) {
+  const rollout = await getRollout(rolloutId);
+  const results = [];
+
+  try {
+    for (let wave = 0; wave < rollout.totalWaves; wave++) {
+      if (haltRequests.has(rolloutId)) {
+        await haltRollout(rolloutId, haltRequests.get(rolloutId));
+        return;
+      }
+
+      await db.query('UPDATE fleet_rollouts SET current_wave = $2 WHERE id = $1', [rolloutId, wave]);
+      const members = rollout.stores.filter(s => s.wave === wave);
+
+      logger.info('Fleet rollout wave started', {
+        rolloutId, wave, canary: wave === 0, stores: members.length,
+      });
+
+      const waveResults = await Promise.all(
+        members.map(member => upgradeMember(rolloutId, member.storeId, rollout.createdBy))
+      );
+      results.push(...waveResults);
+
+      const rate = failureRate(results);
+      logger.info('Fleet rollout wave finished', {
+        rolloutId, wave, failureRate: rate, outcomes: waveResults.map(r => r.outcome),
+      });
+
+      if (rate > rollout.maxFailureRate) {
+        const label = wave === 0 ? 'canary wave' : `wave ${wave}`;
+        await haltRollout(
+          rolloutId,
+          `Failure rate ${Math.round(rate * 100)}% exceeded threshold ${Math.round(rollout.maxFailureRate * 100)}% after ${label}`
+        );
+        return;
+      }
+    }
+
+    await db.query(
+      'UPDATE fleet_rollouts SET status = $2, completed_at = NOW() WHERE id = $1',
+      [rolloutId, ROLLOUT_STATUS.COMPLETED]
+    );
+    await auditService.log({
+      eventType: 'fleet_rollout',
+      message: `Fleet rollout completed: ${results.filter(r => r.outcome === 'upgraded').length}/${rollout.totalStores} store(s) upgraded`,
+      metadata: { rolloutId, failureRate: failureRate(results) },
+    });
+    logger.info('Fleet rollout completed', { rolloutId });
+
+  } catch (err) {
+    logger.error('Fleet rollout aborted', { rolloutId, error: err.message });
+    await haltRollout(rolloutId, `Rollout aborted: ${err.message}`).catch(() => { });
+  } finally {
+    haltRequests.delete(rolloutId);
+  }
+}
+
+/**
+ * Upgrade one store as part of a rollout and record its outcome.
+ * @returns {Promise<{ storeId: string, outcome: string, error?: string }>}
+ */
+async function upgradeMember(rolloutId, storeId, requestedBy) {
+  await db.query(
+    `UPDATE fleet_rollout_stores SET outcome = 'running', started_at = NOW()
+     WHERE rollout_id = $1 AND store_id = $2`,
+    [rolloutId, storeId]
+  );
+
+  let outcome;
+  let error = null;
+  try {
+    const result = await provisionerService.upgradeStoreAndWait(storeId, {
+      reason: `Fleet rollout ${rolloutId}`,
+      requestedBy,
+      correlationId: `rollout-${rolloutId}`,
+    });
+    // 'deferred' / 'skipped' mean the store was never touched
+    outcome = ['upgraded', 'rolled_back', 'failed'].includes(result.outcome) ? result.outcome : 'skipped';
+    error = result.error || null;
+  } catch (err) {
+    // Store no longer upgradable (status changed since selection, etc.)
+    outcome = 'skipped';
+    error = err.message;
+  }
+
+  await db.query(
+    `UPDATE fleet_rollout_stores SET outcome = $3, error = $4, completed_at = NOW()
+     WHERE rollout_id = $1 AND store_id = $2`,
+    [rolloutId, storeId, outcome, error]
+  );
+
+  return { storeId, outcome, error };
+}
+
+/**
+ * Mark a rollout halted and skip every store that has not started.
+ * @param {string} rolloutId
+ * @param {string} reason
+ */
+async function haltRollout(rolloutId, reason) {
+  await db.withTransaction(async (client) => {
+    await client.query(
+      `UPDATE fleet_rollouts SET status = $2, halt_reason = $3, completed_at = NOW()
+       WHERE id = $1 AND status = $4`,
+      [rolloutId, ROLLOUT_STATUS.HALTED, reason, ROLLOUT_STATUS.RUNNING]
+    );
+    await client.query(
+      `UPDATE fleet_rollout_stores SET outcome = 'skipped', error = 'Rollout halted', completed_at = NOW()
+       WHERE rollout_id = $1 AND outcome = 'pending'`,
+      [rolloutId]
+    );
+  });
+
+  logger.warn('Fleet rollout halted', { rolloutId, reason });
+  await auditService.log({
+    eventType: 'fleet_rollout',
+    message: `Fleet rollout halted: ${reason}`,
+    metadata: { rolloutId },
+  });
+}
+
+/**
+ * Ask a running rollout to stop after its current wave.
+ * Upgrades already in flight are allowed to finish (or roll back).
+ * @param {string} rolloutId
+ * @param {string} [requestedBy]
+ * @returns {Promise<Object>} The rollout
+ */
+async function requestHalt(rolloutId, requestedBy) {
+  const rollout = await getRollout(rolloutId);
+  if (rollout.status !== ROLLOUT_STATUS.RUNNING) {
+    throw new ConflictError(
+      `Fleet rollout is already ${rollout.status}.`,
+      'Only running rollouts can be halted.'
+    );
+  }
+
+  haltRequests.set(rolloutId, `Halted by ${requestedBy || 'admin'}`);
+  logger.info('Fleet rollout halt requested', { rolloutId, requestedBy });
+  return rollout;
+}
+
+/**
+ * Get a rollout with its per-store outcomes and a summary.
+ * @param {string} rolloutId
+ * @returns {Promise<Object>}
+ */
+async function getRollout(rolloutId) {
+  const result = await db.query(
+    `SELECT ${ROLLOUT_COLUMNS} FROM fleet_rollouts WHERE id = $1`,
+    [rolloutId]
+  );
+  if (result.rows.length === 0) throw new NotFoundError('Rollout', rolloutId);
+
+  const storesResult = await db.query(
+    `SELECT frs.store_id, frs.wave, frs.outcome, frs.error, frs.started_at, frs.completed_at,
+            s.name AS store_name, s.engine, s.chart_version
+     FROM fleet_rollout_stores frs
+     LEFT JOIN stores s ON s.id = frs.store_id
+     WHERE frs.rollout_id = $1
+     ORDER BY frs.wave ASC, frs.store_id ASC`,
+    [rolloutId]
+  );
+
+  const rollout = normalizeRollout(result.rows[0]);
+  rollout.stores = storesResult.rows.map(row => ({
+    storeId: row.store_id,
+    storeName: row.store_name || null,
+    engine: row.engine || null,
+    chartVersion: row.chart_version || null,
+    wave: row.wave,
+    outcome: row.outcome,
+    error: row.error || null,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+  }));
+  rollout.summary = summarize(countOutcomes(rollout.stores));
+  rollout.haltRequested = haltRequests.has(rolloutId);
+  return rollout;
+}
+
+/**
+ * List rollouts, newest first, with outcome counts.
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @param {number} [options.offset=0]
+ * @returns {Promise<{ rollouts: Object[], total: number }>}
+ */
+async function listRollouts({ limit = 20, offset = 0 } = {}) {
+  const countResult = await db.query('SELECT COUNT(*) as total FROM fleet_rollouts');
+
+  const result = await db.query(
+    `SELECT ${ROLLOUT_COLUMNS} FROM fleet_rollouts
+     ORDER BY created_at DESC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+
+  const ids = result.rows.map(r => r.id);
+  const counts = ids.length === 0 ? { rows: [] } : await db.query(
+    `SELECT rollout_id, outcome, COUNT(*) AS count
+     FROM fleet_rollout_stores WHERE rollout_id = ANY($1)
+     GROUP BY rollout_id, outcome`,
+    [ids]
+  );
+
+  return {
+    rollouts: result.rows.map(row => {
+      const rollout = normalizeRollout(row);
+      const outcomeCounts = {};
+      for (const c of counts.rows.filter(c => c.rollout_id === row.id)) {
+        outcomeCounts[c.outcome] = parseInt(c.count, 10);
+      }
+      rollout.summary = summarize(outcomeCounts);
+      return rollout;
+    }),
+    total: parseInt(countResult.rows[0].total, 10),
+  };
+}
+
+/**
+ * Mark rollouts left running by a process that is gone as halted — one no
+ * longer listed in control_plane_instances. Run by the leader on election,
+ * after store recovery, and whenever a replica stops heartbeating.
+ */
+async function recoverInterruptedRollouts() {
+  const result = await db.query(
+    `UPDATE fleet_rollouts SET status = $1, halt_reason = $2, completed_at = NOW()
+     WHERE status = $3
+       AND (owner_instance IS NULL
+            OR owner_instance NOT IN (SELECT id FROM control_plane_instances))
+     RETURNING id`,
+    [ROLLOUT_STATUS.HALTED, 'Backend restarted during rollout', ROLLOUT_STATUS.RUNNING]
+  );
+
+  for (const { id } of result.rows) {
+    await db.query(
+      `UPDATE fleet_rollout_stores
+       SET outcome = 'skipped', completed_at = NOW(),
+           error = CASE WHEN outcome = 'running'
+                        THEN 'Interrupted by backend restart — see store logs'
+                        ELSE 'Rollout halted' END
+       WHERE rollout_id = $1 AND outcome IN ('pending', 'running')`,
+      [id]
+    );
+    logger.warn('Halted fleet rollout interrupted by restart', { rolloutId: id });
+  }
+}
+
+/**
+ * Count per-store outcomes.
+ * @param {{ outcome: string }[]} stores
+ * @returns {Object<string, number>}
+ */
+function countOutcomes(stores) {
+  const counts = {};
+  for (const { outcome } of stores) {
+    counts[outcome] = (counts[outcome] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Build a rollout summary (every outcome present, plus the failure rate).
+ * @param {Object<string, number>} counts
+ */
+function summarize(counts) {
+  const summary = { pending: 0, running: 0, upgraded: 0, rolled_back: 0, failed: 0, skipped: 0, ...counts };
+  const failed = summary.failed + summary.rolled_back;
+  const attempted = failed + summary.upgraded;
+  summary.failureRate = attempted === 0 ? 0 : failed / attempted;
+  return summary;
+}
+
+function normalizeRollout(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    filters: row.filters || {},
+    canarySize: row.canary_size,
+    waveSize: row.wave_size,
+    maxFailureRate: parseFloat(row.max_failure_rate),
+    currentWave: row.current_wave,
+    totalWaves: row.total_waves,
+    totalStores: row.total_stores,
+    reason: row.reason || null,
+    haltReason: row.halt_reason || null,
+    createdBy: row.created_by || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at || null,
+  };
+}
+
+module.exports = {
+  startRollout,
+  requestHalt,
+  getRollout,
+  listRollouts,
+  recoverInterruptedRollouts,
+  planWaves,
+  failureRate,
+};
@@ -7,11 +7,12 @@ const config = require('../config');
 const logger = require('../utils/logger').child('helm');
 const { HelmError } = require('../utils/errors');
 const { getCircuitBreaker } = require('../utils/circuitBreaker');
+const failureClassifier = require('./failureClassifier');
 
 const execFileAsync = promisify(execFile);
 
 /**
- * Helm Service — wraps Helm CLI for install, uninstall, status, and list operations.
+ * Helm Service — wraps Helm CLI for install, upgrade, uninstall, status, list, and rollback operations.
  * 
  * Design decisions:
  * - Uses Helm CLI (not a Go SDK) because Node.js has no native Helm library.
@@ -80,15 +81,7 @@ async function install({ releaseName, namespace, engine, setValues = {}, valuesF
   }
 
   logger.info('Installing Helm release', { releaseName, namespace, engine });
-  // Redact --set values that may contain secrets
-  const redactedArgs = args.map((a, i) => {
-    if (i > 0 && args[i - 1] === '--set' && /password|secret/i.test(a)) {
-      const eqIdx = a.indexOf('=');
-      return eqIdx >= 0 ? a.substring(0, eqIdx + 1) + '[REDACTED]' : a;
-    }
-    return a;
-  });
-  logger.debug('Helm command', { args: [HELM_BIN, ...redactedArgs].join(' ') });
+  logger.debug('Helm command', { args: [HELM_BIN, ...redactArgs(args)].join(' ') });
 
   try {
     const result = await helmBreaker.call(async () => {
@@ -113,6 +106,8 @@ async function install({ releaseName, namespace, engine, setValues = {}, valuesF
         name: releaseName,
         namespace,
         status: release?.info?.status || 'deployed',
+        revision: release?.version || null,
+        chartVersion: release?.chart?.metadata?.version || null,
         raw: release,
       };
     });
@@ -134,6 +129,89 @@ async function install({ releaseName, namespace, engine, setValues = {}, valuesF
   }
 }
 
+/**
+ * Upgrade an existing Helm release in place.
+ * Uses --reset-then-reuse-values so the release keeps the values it was
+ * installed with (credentials, theme, engine) while picking up new chart
+ * defaults and the environment values file. Unlike install(), this never
+ * creates a release — a missing release is an error.
+ *
+ * @param {Object} params
+ * @param {string} params.releaseName
+ * @param {string} params.namespace
+ * @param {Object} [params.setValues] - Extra --set overrides on top of the reused values
+ * @returns {Promise<Object>} Helm release info
+ */
+async function upgrade({ releaseName, namespace, setValues = {} }) {
+  const args = [
+    'upgrade',
+    releaseName,
+    config.helm.chartPath,
+    '--namespace', namespace,
+    '--reset-then-reuse-values',
+    '--values', path.join(config.helm.chartPath, config.helm.valuesFile),
+    '--wait',
+    '--timeout', config.helm.timeout,
+    '--output', 'json',
+  ];
+
+  for (const [key, value] of Object.entries(setValues)) {
+    args.push('--set', `${key}=${value}`);
+  }
+
+  if (config.helm.debug) {
+    args.push('--debug');
+  }
+
+  logger.info('Upgrading Helm release', { releaseName, namespace });
+  logger.debug('Helm command', { args: [HELM_BIN, ...redactArgs(args)].join(' ') });
+
+  try {
+    const result = await helmBreaker.call(async () => {
+      const { stdout, stderr } = await execFileAsync(HELM_BIN, args, {
+        timeout: 720000,
+        maxBuffer: 10 * 1024 * 1024,
+      });
+
+      if (stderr) {
+        logger.debug('Helm stderr', { stderr: stderr.substring(0, 500) });
+      }
+
+      let release;
+      try {
+        release = JSON.parse(stdout);
+      } catch {
+        release = { info: { status: 'deployed' } };
+      }
+
+      return {
+        name: releaseName,
+        namespace,
+        status: release?.info?.status || 'deployed',
+        revision: release?.version || null,
+        chartVersion: release?.chart?.metadata?.version || null,
+        raw: release,
+      };
+    });
+
+    logger.info('Helm release upgraded successfully', {
+      releaseName,
+      namespace,
+      revision: result.revision,
+      chartVersion: result.chartVersion,
+    });
+
+    return result;
+  } catch (err) {
+    const message = parseHelmError(err);
+    logger.error('Helm upgrade failed', { releaseName, namespace, error: message });
+    throw new HelmError(`Helm upgrade failed for ${releaseName}: ${message}`, {
+      retryable: isRetryableHelmError(err),
+      metadata: { releaseName, namespace, stderr: err.stderr?.substring(0, 1000) },
+    });
+  }
+}
+
 /**
  * Uninstall a Helm release.
  * Idempotent — does not error if release does not exist.
@@ -209,6 +287,33 @@ async function status(releaseName, namespace) {
   }
 }
 
+/**
+ * Get the values set on a Helm release (its latest revision, even a failed
+ * one), without chart defaults.
+ * @param {string} releaseName
+ * @param {string} namespace
+ * @returns {Promise<Object>}
+ */
+async function getValues(releaseName, namespace) {
+  const args = [
+    'get', 'values',
+    releaseName,
+    '--namespace', namespace,
+    '--output', 'json',
+  ];
+
+  try {
+    const { stdout } = await execFileAsync(HELM_BIN, args, { timeout: 30000 });
+    return JSON.parse(stdout || '{}') || {};
+  } catch (err) {
+    const message = parseHelmError(err);
+    throw new HelmError(`Helm get values failed: ${message}`, {
+      retryable: isRetryableHelmError(err),
+      metadata: { releaseName, namespace },
+    });
+  }
+}
+
 /**
  * List all Helm releases, optionally filtered by namespace.
  * @param {string} [namespace] - If provided, only releases in this namespace
@@ -262,6 +367,19 @@ async function rollback(releaseName, namespace, revision = 0) {
   }
 }
 
+/**
+ * Redact --set values that may contain secrets before logging a command line.
+ */
+function redactArgs(args) {
+  return args.map((a, i) => {
+    if (i > 0 && args[i - 1] === '--set' && /password|secret/i.test(a)) {
+      const eqIdx = a.indexOf('=');
+      return eqIdx >= 0 ? a.substring(0, eqIdx + 1) + '[REDACTED]' : a;
+    }
+    return a;
+  });
+}
+
 /**
  * Extract a clean error message from a Helm CLI error.
  */
@@ -275,26 +393,21 @@ function parseHelmError(err) {
 }
 
 /**
- * Determine if a Helm error is transient and safe to retry.
+ * Determine if a Helm error is transient and safe to retry: the cluster was
+ * unreachable or the operation timed out (see failureClassifier).
  */
 function isRetryableHelmError(err) {
-  const msg = (err.stderr || err.message || '').toLowerCase();
-  const retryablePatterns = [
-    'timeout',
-    'connection refused',
-    'connection reset',
-    'i/o timeout',
-    'tls handshake',
-    'service unavailable',
-    'too many requests',
-  ];
-  return retryablePatterns.some(p => msg.includes(p));
+  const { category } = failureClassifier.classify(err);
+  return category === failureClassifier.CATEGORIES.CONNECTIVITY
+    || category === failureClassifier.CATEGORIES.TIMEOUT;
 }
 
 module.exports = {
   install,
+  upgrade,
   uninstall,
   status,
+  getValues,
   list,
   rollback,
 };
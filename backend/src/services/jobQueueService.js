@@ -0,0 +1,589 @@
+'use strict';
+
+const db = require('../db/pool');
+const config = require('../config');
+const logger = require('../utils/logger').child('job-queue');
+const {
+  NotFoundError, QueueFullError, LeaseLostError, JobDeferredError, ProvisioningError,
+} = require('../utils/errors');
+const {
+  provisioningQueueDepth,
+  provisioningConcurrent,
+  provisioningQueueWaitMs,
+  provisioningRejections,
+} = require('../utils/metrics');
+
+/**
+ * Job Queue Service — durable queue for store lifecycle workflows.
+ *
+ * Every long-running workflow (provision, delete, upgrade, ...) is a row in
+ * provisioning_jobs. Workers claim queued rows with
+ * SELECT ... FOR UPDATE SKIP LOCKED, so any number of workers — in one
+ * process or several — never run the same job twice, and hold each claimed
+ * job under a lease renewed by a heartbeat.
+ *
+ * Workflows record the phases they complete (checkpoint). When a worker dies
+ * its lease runs out, the job goes back to 'queued' and the next claim hands
+ * the workflow its completed phases so it can skip them. A job whose lease
+ * has expired max_attempts times is given up and its onAbandon hook runs.
+ *
+ * A worker that finds its lease gone stops the workflow (see runJob) rather
+ * than racing the worker that re-claimed the job. A workflow that cannot run
+ * yet throws JobDeferredError and its job is queued again for later.
+ *
+ * This module only moves jobs; the workflows themselves are registered by
+ * provisionerService through start({ handlers }).
+ */
+
+const JOB_TYPES = {
+  PROVISION: 'provision',
+  RETRY: 'retry',
+  DELETE: 'delete',
+  UPGRADE: 'upgrade',
+  RESUME: 'resume',
+  RESTORE: 'restore',
+  SUSPEND: 'suspend',
+  PROMOTE: 'promote',
+  INGRESS: 'ingress',
+};
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+const JOB_COLUMNS = `
+  id, store_id, type, status, payload, result, correlation_id, attempts, max_attempts,
+  lease_owner, lease_expires_at, heartbeat_at, completed_phases, last_completed_phase, last_error,
+  queued_at, started_at, finished_at, created_at, updated_at
+`;
+
+// Identifies this process as a lease owner
+const WORKER_ID = config.cluster.instanceId;
+
+let handlers = {};
+let abandonHook = null;
+let pollTimer = null;
+let pumping = false;
+let queuedCount = 0;
+const running = new Map(); // jobId → job
+const totals = { claimed: 0, rejected: 0, recovered: 0 };
+
+// ─── Producing ───────────────────────────────────────────────────────────────
+
+/**
+ * Queue a workflow for a store. A store has at most one unfinished job:
+ * enqueueing while one is queued or running returns that job instead.
+ *
+ * @param {Object} params
+ * @param {string} params.storeId
+ * @param {string} params.type - One of JOB_TYPES
+ * @param {Object} [params.payload] - Workflow options (persisted — no secrets)
+ * @param {Object} [params.secret] - Sealed secret (secretsService envelope) for
+ *   the workflow; read with getJobSecret, cleared when the job finishes
+ * @param {string} [params.correlationId]
+ * @returns {Promise<Object>} The queued (or already active) job
+ * @throws {QueueFullError} When PROVISIONING_MAX_QUEUE jobs are already waiting
+ */
+async function enqueue({ storeId, type, payload = {}, secret, correlationId }) {
+  const depth = await db.query('SELECT COUNT(*)::int AS count FROM provisioning_jobs WHERE status = $1', [JOB_STATUS.QUEUED]);
+  if (depth.rows[0].count >= config.provisioning.maxQueue) {
+    totals.rejected++;
+    provisioningRejections.inc({ reason: 'queue_full' });
+    logger.warn('Queue full — rejecting job', { storeId, type, queued: depth.rows[0].count });
+    throw new QueueFullError(config.provisioning.maxQueue);
+  }
+
+  const result = await db.query(
+    `INSERT INTO provisioning_jobs (store_id, type, payload, secret, correlation_id, max_attempts)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (store_id) WHERE status IN ('queued', 'running') DO NOTHING
+     RETURNING ${JOB_COLUMNS}`,
+    [storeId, type, JSON.stringify(payload), secret ? JSON.stringify(secret) : null, correlationId || null,
+      config.provisioning.jobMaxAttempts]
+  );
+
+  let job;
+  if (result.rows.length === 0) {
+    job = await findActiveJob(storeId);
+    logger.info('Store already has an active job — not enqueueing', {
+      storeId, type, activeJobId: job && job.id, activeType: job && job.type,
+    });
+  } else {
+    job = normalizeJob(result.rows[0]);
+    queuedCount++;
+    provisioningQueueDepth.set({}, queuedCount);
+    logger.info('Job queued', { jobId: job.id, storeId, type, correlationId });
+  }
+
+  if (pollTimer) setImmediate(pump);
+  return job;
+}
+
+// ─── Consuming ───────────────────────────────────────────────────────────────
+
+/**
+ * Claim the oldest queued job and lease it to this worker.
+ * @returns {Promise<Object|null>} The claimed job, or null if none is queued
+ */
+async function claimNext() {
+  return db.withTransaction(async (client) => {
+    const next = await client.query(
+      `SELECT id FROM provisioning_jobs
+       WHERE status = $1 AND queued_at <= NOW()
+       ORDER BY queued_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED`,
+      [JOB_STATUS.QUEUED]
+    );
+    if (next.rows.length === 0) return null;
+
+    const claimed = await client.query(
+      `UPDATE provisioning_jobs SET
+         status = $2,
+         attempts = attempts + 1,
+         lease_owner = $3,
+         lease_expires_at = NOW() + ($4 * INTERVAL '1 millisecond'),
+         heartbeat_at = NOW(),
+         started_at = COALESCE(started_at, NOW())
+       WHERE id = $1
+       RETURNING ${JOB_COLUMNS}`,
+      [next.rows[0].id, JOB_STATUS.RUNNING, WORKER_ID, config.provisioning.jobLeaseMs]
+    );
+    return normalizeJob(claimed.rows[0]);
+  });
+}
+
+/**
+ * Extend this worker's lease on a running job.
+ * @param {string} jobId
+ * @returns {Promise<boolean>} false if the lease was lost (expired and re-queued)
+ */
+async function heartbeat(jobId) {
+  const result = await db.query(
+    `UPDATE provisioning_jobs SET
+       heartbeat_at = NOW(),
+       lease_expires_at = NOW() + ($3 * INTERVAL '1 millisecond')
+     WHERE id = $1 AND lease_owner = $2 AND status = 'running'`,
+    [jobId, WORKER_ID, config.provisioning.jobLeaseMs]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Record that a workflow phase finished, so a resumed job can skip it.
+ * @param {string} jobId
+ * @param {string} phase
+ */
+async function checkpoint(jobId, phase) {
+  await db.query(
+    `UPDATE provisioning_jobs SET
+       completed_phases = array_append(completed_phases, $2::text),
+       last_completed_phase = $2
+     WHERE id = $1 AND NOT ($2 = ANY(completed_phases))`,
+    [jobId, phase]
+  );
+}
+
+/**
+ * The sealed secret a job was queued with, if it has not finished yet.
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} secretsService envelope
+ */
+async function getJobSecret(jobId) {
+  const result = await db.query('SELECT secret FROM provisioning_jobs WHERE id = $1', [jobId]);
+  return result.rows.length > 0 ? result.rows[0].secret : null;
+}
+
+/**
+ * Unfinished jobs whose secret is not sealed under the given master key
+ * version, in id order (for secretsService re-encryption).
+ * @param {number} keyVersion
+ * @param {Object} [options]
+ * @param {string} [options.after] - Job id to continue after
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Array<{ id: string, storeId: string, secret: Object }>>}
+ */
+async function findSecretsToReencrypt(keyVersion, { after = null, limit = 50 } = {}) {
+  const result = await db.query(
+    `SELECT id, store_id, secret FROM provisioning_jobs
+     WHERE secret IS NOT NULL
+       AND (secret->>'kv')::int IS DISTINCT FROM $1
+       AND ($2::uuid IS NULL OR id > $2)
+     ORDER BY id
+     LIMIT $3`,
+    [keyVersion, after, limit]
+  );
+  return result.rows.map(row => ({ id: row.id, storeId: row.store_id, secret: row.secret }));
+}
+
+/**
+ * Swap a job's sealed secret, only if it is still `current`.
+ * @param {string} jobId
+ * @param {Object} current - Envelope as read
+ * @param {Object} next - Envelope to store
+ * @returns {Promise<boolean>} False if the job finished or its secret changed meanwhile
+ */
+async function replaceJobSecret(jobId, current, next) {
+  const result = await db.query(
+    'UPDATE provisioning_jobs SET secret = $2 WHERE id = $1 AND secret = $3::jsonb',
+    [jobId, JSON.stringify(next), JSON.stringify(current)]
+  );
+  return result.rowCount > 0;
+}
+
+async function finishJob(jobId, status, { result = null, error = null } = {}) {
+  await db.query(
+    `UPDATE provisioning_jobs SET
+       status = $2, result = $3, last_error = $4, finished_at = NOW(),
+       lease_owner = NULL, lease_expires_at = NULL, secret = NULL
+     WHERE id = $1 AND lease_owner = $5`,
+    [jobId, status, result ? JSON.stringify(result) : null, error, WORKER_ID]
+  );
+}
+
+/**
+ * Put a claimed job back in the queue, to be claimed again after delayMs.
+ * Not counted as an attempt: the workflow never started.
+ * @param {Object} job
+ * @param {number} delayMs
+ * @param {string} reason
+ */
+async function deferJob(job, delayMs, reason) {
+  await db.query(
+    `UPDATE provisioning_jobs SET
+       status = 'queued', queued_at = NOW() + ($3 * INTERVAL '1 millisecond'),
+       attempts = GREATEST(attempts - 1, 0), last_error = $4,
+       lease_owner = NULL, lease_expires_at = NULL
+     WHERE id = $1 AND lease_owner = $2`,
+    [job.id, WORKER_ID, delayMs, reason]
+  );
+  queuedCount++;
+  provisioningQueueDepth.set({}, queuedCount);
+  logger.info('[lifecycle] Job deferred', { jobId: job.id, storeId: job.storeId, type: job.type, delayMs, reason });
+}
+
+/**
+ * Run a claimed job's workflow while keeping its lease alive.
+ * A workflow that handles its own failure (store → FAILED) resolves, so the
+ * job completes; a rejection marks the job failed, except JobDeferredError,
+ * which queues it again.
+ *
+ * Handlers are called with (job, { signal }). The signal aborts with a
+ * LeaseLostError when a heartbeat finds the lease gone — the job was
+ * re-queued and may already run on another worker — and the workflow must
+ * stop at its next step. Such a run never finishes the job: it belongs to
+ * whoever claims it next.
+ */
+async function runJob(job) {
+  running.set(job.id, job);
+  provisioningConcurrent.set({}, running.size);
+
+  const waitMs = Math.max(0, Date.now() - new Date(job.queuedAt).getTime());
+  provisioningQueueWaitMs.observe({}, waitMs);
+  logger.info('[lifecycle] Job started', {
+    jobId: job.id, storeId: job.storeId, type: job.type, attempt: job.attempts,
+    waitMs, resumeAfter: job.lastCompletedPhase, correlationId: job.correlationId,
+  });
+
+  const lease = new AbortController();
+  const beat = setInterval(() => {
+    heartbeat(job.id)
+      .then((held) => {
+        if (held || lease.signal.aborted) return;
+        logger.warn('Lost lease on running job — stopping it', { jobId: job.id, storeId: job.storeId });
+        clearInterval(beat);
+        lease.abort(new LeaseLostError(job.id));
+      })
+      .catch(err => logger.warn('Heartbeat failed', { jobId: job.id, error: err.message }));
+  }, Math.max(1000, Math.floor(config.provisioning.jobLeaseMs / 3)));
+  beat.unref();
+
+  const leaseLost = () => {
+    if (!lease.signal.aborted) return false;
+    logger.warn('[lifecycle] Job stopped after losing its lease — not finishing it', {
+      jobId: job.id, storeId: job.storeId, type: job.type,
+    });
+    return true;
+  };
+
+  try {
+    const handler = handlers[job.type];
+    if (!handler) throw new Error(`No handler registered for job type '${job.type}'`);
+    const result = await handler(job, { signal: lease.signal });
+    if (!leaseLost()) {
+      await finishJob(job.id, JOB_STATUS.COMPLETED, { result: result || null });
+      logger.info('[lifecycle] Job completed', { jobId: job.id, storeId: job.storeId, type: job.type });
+    }
+  } catch (err) {
+    if (err instanceof JobDeferredError && !lease.signal.aborted) {
+      await deferJob(job, err.metadata.retryAfterMs, err.message)
+        .catch(updateErr => logger.error('Failed to defer job', { jobId: job.id, error: updateErr.message }));
+    } else if (!leaseLost()) {
+      logger.error('[lifecycle] Job failed', { jobId: job.id, storeId: job.storeId, type: job.type, error: err.message });
+      await finishJob(job.id, JOB_STATUS.FAILED, { error: err.message })
+        .catch(updateErr => logger.error('Failed to record job failure', { jobId: job.id, error: updateErr.message }));
+    }
+  } finally {
+    clearInterval(beat);
+    running.delete(job.id);
+    provisioningConcurrent.set({}, running.size);
+    setImmediate(pump);
+  }
+}
+
+/**
+ * Claim jobs until every slot (PROVISIONING_MAX_CONCURRENT) is busy or the
+ * queue is empty.
+ */
+async function pump() {
+  if (pumping || !pollTimer) return;
+  pumping = true;
+  try {
+    while (pollTimer && running.size < config.provisioning.maxConcurrent) {
+      const job = await claimNext();
+      if (!job) break;
+      totals.claimed++;
+      queuedCount = Math.max(0, queuedCount - 1);
+      provisioningQueueDepth.set({}, queuedCount);
+      runJob(job);
+    }
+  } catch (err) {
+    logger.error('Failed to claim job', { error: err.message });
+  } finally {
+    pumping = false;
+  }
+}
+
+// ─── Recovery ────────────────────────────────────────────────────────────────
+
+/**
+ * Re-queue running jobs whose lease has expired (their worker died), or give
+ * them up once they have used all their attempts.
+ * @returns {Promise<{ requeued: Object[], abandoned: Object[] }>}
+ */
+async function recoverExpiredLeases() {
+  const result = await db.query(
+    `UPDATE provisioning_jobs SET
+       status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+       queued_at = CASE WHEN attempts >= max_attempts THEN queued_at ELSE NOW() END,
+       finished_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END,
+       secret = CASE WHEN attempts >= max_attempts THEN NULL ELSE secret END,
+       last_error = 'Lease held by ' || lease_owner || ' expired',
+       lease_owner = NULL,
+       lease_expires_at = NULL
+     WHERE status = 'running' AND lease_expires_at < NOW()
+     RETURNING ${JOB_COLUMNS}`
+  );
+
+  const jobs = result.rows.map(normalizeJob);
+  const requeued = jobs.filter(job => job.status === JOB_STATUS.QUEUED);
+  const abandoned = jobs.filter(job => job.status === JOB_STATUS.FAILED);
+  totals.recovered += requeued.length;
+
+  for (const job of requeued) {
+    logger.warn('[lifecycle] Re-queued job with expired lease', {
+      jobId: job.id, storeId: job.storeId, type: job.type, attempts: job.attempts,
+      resumeAfter: job.lastCompletedPhase,
+    });
+  }
+  for (const job of abandoned) {
+    logger.error('[lifecycle] Giving up job after repeated lease expiry', {
+      jobId: job.id, storeId: job.storeId, type: job.type, attempts: job.attempts,
+    });
+    if (abandonHook) {
+      await Promise.resolve(abandonHook(job)).catch(err => {
+        logger.error('Abandon hook failed', { jobId: job.id, error: err.message });
+      });
+    }
+  }
+
+  return { requeued, abandoned };
+}
+
+/**
+ * Hand this worker's running jobs back to the queue (graceful shutdown), so
+ * the next worker resumes them without waiting for the lease to expire.
+ * @returns {Promise<number>} Jobs released
+ */
+async function releaseLeases() {
+  const result = await db.query(
+    `UPDATE provisioning_jobs SET
+       status = 'queued', queued_at = NOW(), lease_owner = NULL, lease_expires_at = NULL
+     WHERE lease_owner = $1 AND status = 'running'`,
+    [WORKER_ID]
+  );
+  if (result.rowCount > 0) {
+    logger.info('Released running jobs back to the queue', { count: result.rowCount });
+  }
+  return result.rowCount;
+}
+
+async function refreshDepth() {
+  const result = await db.query('SELECT COUNT(*)::int AS count FROM provisioning_jobs WHERE status = $1', [JOB_STATUS.QUEUED]);
+  queuedCount = result.rows[0].count;
+  provisioningQueueDepth.set({}, queuedCount);
+}
+
+async function tick() {
+  await recoverExpiredLeases();
+  await refreshDepth();
+  await pump();
+}
+
+// ─── Worker lifecycle ────────────────────────────────────────────────────────
+
+/**
+ * Start claiming jobs (first poll immediately).
+ * @param {Object} options
+ * @param {Object<string, Function>} options.handlers - Job type → async (job, { signal }) => result
+ * @param {Function} [options.onAbandon] - Called with a job that was given up
+ */
+function start({ handlers: jobHandlers, onAbandon } = {}) {
+  if (pollTimer) return;
+  handlers = jobHandlers || {};
+  abandonHook = onAbandon || null;
+
+  const run = () => tick().catch((err) => {
+    logger.error('Job queue poll failed', { error: err.message });
+  });
+
+  pollTimer = setInterval(run, config.provisioning.jobPollIntervalMs);
+  pollTimer.unref();
+  run();
+  logger.info('Provisioning worker started', {
+    workerId: WORKER_ID,
+    maxConcurrent: config.provisioning.maxConcurrent,
+    leaseMs: config.provisioning.jobLeaseMs,
+  });
+}
+
+/**
+ * Stop claiming new jobs. Jobs already running keep their lease until they
+ * finish or releaseLeases() is called.
+ */
+function stop() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+// ─── Queries ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} jobId
+ * @returns {Promise<Object>}
+ */
+async function getJob(jobId) {
+  const result = await db.query(`SELECT ${JOB_COLUMNS} FROM provisioning_jobs WHERE id = $1`, [jobId]);
+  if (result.rows.length === 0) throw new NotFoundError('Job', jobId);
+  return normalizeJob(result.rows[0]);
+}
+
+/**
+ * The queued or running job of a store, if any.
+ * @param {string} storeId
+ * @returns {Promise<Object|null>}
+ */
+async function findActiveJob(storeId) {
+  const result = await db.query(
+    `SELECT ${JOB_COLUMNS} FROM provisioning_jobs WHERE store_id = $1 AND status IN ('queued', 'running')`,
+    [storeId]
+  );
+  return result.rows.length > 0 ? normalizeJob(result.rows[0]) : null;
+}
+
+/**
+ * Poll a job until it finishes (for callers that need the workflow result).
+ * @param {string} jobId
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=2000]
+ * @param {number} [options.timeoutMs=PROVISIONING_TIMEOUT_MS] - Give up waiting after this long
+ * @returns {Promise<Object>} The completed or failed job
+ * @throws {ProvisioningError} When the job is still unfinished after timeoutMs.
+ *   The job itself keeps going; only the wait ends.
+ */
+async function waitForJob(jobId, { intervalMs = 2000, timeoutMs = config.provisioning.timeoutMs } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await getJob(jobId);
+    if (job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED) return job;
+    if (Date.now() >= deadline) {
+      throw new ProvisioningError(
+        `${job.type} job ${jobId} did not finish within ${Math.round(timeoutMs / 1000)}s (still ${job.status})`,
+        { metadata: { jobId, status: job.status } }
+      );
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.min(intervalMs, Math.max(0, deadline - Date.now()))));
+  }
+}
+
+/**
+ * Queue stats for health endpoints. `queued` is the last observed depth
+ * across all workers; `active` is this process only.
+ * @returns {Object}
+ */
+function stats() {
+  return {
+    workerId: WORKER_ID,
+    active: running.size,
+    queued: queuedCount,
+    maxConcurrent: config.provisioning.maxConcurrent,
+    maxQueueSize: config.provisioning.maxQueue,
+    totalClaimed: totals.claimed,
+    totalRejected: totals.rejected,
+    totalRecovered: totals.recovered,
+  };
+}
+
+function normalizeJob(row) {
+  return {
+    id: row.id,
+    storeId: row.store_id,
+    type: row.type,
+    status: row.status,
+    payload: row.payload || {},
+    result: row.result,
+    correlationId: row.correlation_id,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    leaseOwner: row.lease_owner,
+    leaseExpiresAt: row.lease_expires_at,
+    heartbeatAt: row.heartbeat_at,
+    completedPhases: row.completed_phases || [],
+    lastCompletedPhase: row.last_completed_phase,
+    lastError: row.last_error,
+    queuedAt: row.queued_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+module.exports = {
+  JOB_TYPES,
+  JOB_STATUS,
+  WORKER_ID,
+  enqueue,
+  claimNext,
+  heartbeat,
+  checkpoint,
+  getJobSecret,
+  findSecretsToReencrypt,
+  replaceJobSecret,
+  recoverExpiredLeases,
+  releaseLeases,
+  start,
+  stop,
+  getJob,
+  findActiveJob,
+  waitForJob,
+  stats,
+  // Exported for testing
+  runJob,
+  normalizeJob,
+};
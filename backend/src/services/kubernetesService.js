@@ -5,6 +5,7 @@ const config = require('../config');
 const logger = require('../utils/logger').child('kubernetes');
 const { KubernetesError } = require('../utils/errors');
 const { getCircuitBreaker } = require('../utils/circuitBreaker');
+const { compareQuota, parseQuantity } = require('../models/plans');
 
 /**
  * Kubernetes Service — wraps @kubernetes/client-node for namespace management,
@@ -16,8 +17,9 @@ const { getCircuitBreaker } = require('../utils/circuitBreaker');
  */
 
 let coreApi = null;
-let _appsApi = null; // initialized for future use (e.g. Deployments/StatefulSets)
+let appsApi = null;
 let networkingApi = null;
+let customObjectsApi = null;
 let kubeConfig = null;
 
 // Circuit breaker for K8s API operations
@@ -52,8 +54,9 @@ function initClient() {
     }
 
     coreApi = kubeConfig.makeApiClient(k8s.CoreV1Api);
-    _appsApi = kubeConfig.makeApiClient(k8s.AppsV1Api);
+    appsApi = kubeConfig.makeApiClient(k8s.AppsV1Api);
     networkingApi = kubeConfig.makeApiClient(k8s.NetworkingV1Api);
+    customObjectsApi = kubeConfig.makeApiClient(k8s.CustomObjectsApi);
 
     logger.info('Kubernetes client initialized', {
       context: kubeConfig.getCurrentContext(),
@@ -309,6 +312,114 @@ async function getIngresses(namespace) {
   }
 }
 
+// ─── Workload Scaling ────────────────────────────────────────────────────────
+
+// Annotation that remembers a workload's replica count while it is suspended
+const SUSPENDED_REPLICAS_ANNOTATION = 'mt-ecommerce/suspended-replicas';
+
+// JSON merge patch — lets a null annotation value remove the key
+const MERGE_PATCH_OPTIONS = { headers: { 'Content-Type': 'application/merge-patch+json' } };
+
+/**
+ * List the Deployments and StatefulSets in a namespace.
+ * @param {string} namespace
+ * @returns {Promise<Object[]>} Array of { kind, name, replicas, annotations }
+ */
+async function listWorkloads(namespace) {
+  ensureClient();
+  try {
+    const [deployRes, stsRes] = await Promise.all([
+      k8sBreaker.call(() => appsApi.listNamespacedDeployment(namespace)),
+      k8sBreaker.call(() => appsApi.listNamespacedStatefulSet(namespace)),
+    ]);
+    const toWorkload = kind => item => ({
+      kind,
+      name: item.metadata?.name,
+      replicas: item.spec?.replicas ?? 1,
+      annotations: item.metadata?.annotations || {},
+    });
+    return [
+      ...(deployRes.body?.items || deployRes.items || []).map(toWorkload('Deployment')),
+      ...(stsRes.body?.items || stsRes.items || []).map(toWorkload('StatefulSet')),
+    ];
+  } catch (err) {
+    if (err.statusCode === 404) return [];
+    throw new KubernetesError(`Failed to list workloads in ${namespace}: ${err.message}`);
+  }
+}
+
+/**
+ * Set a workload's replica count and (optionally) its suspended-replicas annotation.
+ * @param {string} namespace
+ * @param {{ kind: string, name: string }} workload
+ * @param {number} replicas
+ * @param {string|null} annotationValue - null removes the annotation
+ */
+async function patchWorkloadReplicas(namespace, workload, replicas, annotationValue) {
+  const body = {
+    metadata: { annotations: { [SUSPENDED_REPLICAS_ANNOTATION]: annotationValue } },
+    spec: { replicas },
+  };
+  const patchFn = workload.kind === 'StatefulSet'
+    ? () => appsApi.patchNamespacedStatefulSet(workload.name, namespace, body,
+      undefined, undefined, undefined, undefined, undefined, MERGE_PATCH_OPTIONS)
+    : () => appsApi.patchNamespacedDeployment(workload.name, namespace, body,
+      undefined, undefined, undefined, undefined, undefined, MERGE_PATCH_OPTIONS);
+
+  try {
+    await k8sBreaker.call(patchFn);
+  } catch (err) {
+    throw new KubernetesError(
+      `Failed to scale ${workload.kind} ${workload.name} in ${namespace}: ${err.message}`,
+      { retryable: true }
+    );
+  }
+}
+
+/**
+ * Scale every Deployment and StatefulSet in a namespace to zero.
+ * The previous replica count is stored in an annotation so resumeWorkloads()
+ * can restore it. PVCs are untouched. Idempotent — already-suspended
+ * workloads keep their original annotation.
+ * @param {string} namespace
+ * @returns {Promise<Object[]>} Array of { kind, name, previousReplicas }
+ */
+async function suspendWorkloads(namespace) {
+  const workloads = await listWorkloads(namespace);
+  const scaled = [];
+
+  for (const w of workloads) {
+    const remembered = w.annotations[SUSPENDED_REPLICAS_ANNOTATION];
+    const previousReplicas = remembered !== undefined ? parseInt(remembered, 10) : w.replicas;
+    await patchWorkloadReplicas(namespace, w, 0, String(previousReplicas));
+    scaled.push({ kind: w.kind, name: w.name, previousReplicas });
+  }
+
+  logger.info('Workloads scaled to zero', { namespace, count: scaled.length });
+  return scaled;
+}
+
+/**
+ * Restore every suspended Deployment and StatefulSet in a namespace to its
+ * pre-suspension replica count (defaults to 1 if the annotation is missing).
+ * @param {string} namespace
+ * @returns {Promise<Object[]>} Array of { kind, name, replicas }
+ */
+async function resumeWorkloads(namespace) {
+  const workloads = await listWorkloads(namespace);
+  const scaled = [];
+
+  for (const w of workloads) {
+    const remembered = parseInt(w.annotations[SUSPENDED_REPLICAS_ANNOTATION], 10);
+    const replicas = Number.isNaN(remembered) ? Math.max(w.replicas, 1) : remembered;
+    await patchWorkloadReplicas(namespace, w, replicas, null);
+    scaled.push({ kind: w.kind, name: w.name, replicas });
+  }
+
+  logger.info('Workloads scaled back up', { namespace, count: scaled.length });
+  return scaled;
+}
+
 // ─── Health Check ────────────────────────────────────────────────────────────
 
 /**
@@ -448,10 +559,14 @@ async function pollForReadiness(namespace, options = {}) {
 /**
  * Verify that ResourceQuota and LimitRange are enforced in a namespace.
  * Used after Helm install to confirm tenant resource boundaries are in place.
+ * When a plan is given, also checks that the quota is the one the plan defines.
  * @param {string} namespace
- * @returns {Promise<{ quotaEnforced: boolean, limitRangeEnforced: boolean, quota: Object|null, limitRange: Object|null }>}
+ * @param {Object} [options]
+ * @param {string} [options.plan] - Store plan the quota should match
+ * @returns {Promise<{ quotaEnforced: boolean, limitRangeEnforced: boolean, quota: Object|null, limitRange: Object|null,
+ *   planMatches?: boolean, planMismatches?: Object[] }>}
  */
-async function verifyResourceBoundaries(namespace) {
+async function verifyResourceBoundaries(namespace, { plan } = {}) {
   ensureClient();
   let quota = null;
   let limitRange = null;
@@ -495,12 +610,247 @@ async function verifyResourceBoundaries(namespace) {
     }
   }
 
-  return {
+  const result = {
     quotaEnforced: quota !== null,
     limitRangeEnforced: limitRange !== null,
     quota,
     limitRange,
   };
+
+  if (plan) {
+    result.planMismatches = quota ? compareQuota(plan, quota.hard) : [];
+    result.planMatches = quota !== null && result.planMismatches.length === 0;
+  }
+
+  return result;
+}
+
+// ─── Resource Usage ──────────────────────────────────────────────────────────
+
+/**
+ * Sum the live CPU and memory of a namespace's pods from the metrics API
+ * (metrics.k8s.io, served by metrics-server).
+ * @param {string} namespace
+ * @returns {Promise<{ cpuMillicores: number, memoryBytes: number }|null>} null when the metrics API is unavailable
+ */
+async function getPodMetrics(namespace) {
+  try {
+    // Not behind the circuit breaker — a missing metrics-server must not trip it
+    const res = await customObjectsApi.listNamespacedCustomObject(
+      'metrics.k8s.io', 'v1beta1', namespace, 'pods'
+    );
+    const items = res.body?.items || res.items || [];
+    let cpuMillicores = 0;
+    let memoryBytes = 0;
+    for (const pod of items) {
+      for (const container of pod.containers || []) {
+        cpuMillicores += (parseQuantity(container.usage?.cpu || 0) || 0) * 1000;
+        memoryBytes += parseQuantity(container.usage?.memory || 0) || 0;
+      }
+    }
+    return { cpuMillicores: Math.round(cpuMillicores), memoryBytes: Math.round(memoryBytes) };
+  } catch (err) {
+    logger.debug('Pod metrics unavailable', { namespace, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Current resource consumption of a store namespace.
+ * CPU and memory come from the metrics API when it is installed, otherwise from
+ * the ResourceQuota's used requests. Storage and pod count always come from the quota.
+ * @param {string} namespace
+ * @returns {Promise<{ cpuMillicores: number, memoryBytes: number, storageBytes: number,
+ *   pods: number, source: 'metrics'|'quota' }|null>} null when the namespace has neither
+ */
+async function getNamespaceUsage(namespace) {
+  ensureClient();
+  const [metrics, boundaries] = await Promise.all([
+    getPodMetrics(namespace),
+    verifyResourceBoundaries(namespace),
+  ]);
+  const used = boundaries.quota?.used;
+  if (!metrics && !used) return null;
+
+  const quantity = (key) => parseQuantity(used?.[key] || 0) || 0;
+  return {
+    cpuMillicores: metrics ? metrics.cpuMillicores : Math.round(quantity('requests.cpu') * 1000),
+    memoryBytes: metrics ? metrics.memoryBytes : Math.round(quantity('requests.memory')),
+    storageBytes: Math.round(quantity('requests.storage')),
+    pods: Math.round(quantity('pods')),
+    source: metrics ? 'metrics' : 'quota',
+  };
+}
+
+// ─── Diagnostics ─────────────────────────────────────────────────────────────
+
+/**
+ * State of one container from its pod status.
+ * @param {Object} status - V1ContainerStatus
+ * @returns {Object}
+ */
+function summarizeContainer(status) {
+  const [state, detail] = Object.entries(status.state || {})[0] || ['unknown', {}];
+  return {
+    name: status.name,
+    image: status.image,
+    ready: Boolean(status.ready),
+    restartCount: status.restartCount || 0,
+    state,
+    reason: detail?.reason || null,
+    message: detail?.message || null,
+    exitCode: detail?.exitCode ?? null,
+    startedAt: detail?.startedAt || null,
+    lastTerminationReason: status.lastState?.terminated?.reason || null,
+  };
+}
+
+/**
+ * Pod status as shown to operators: phase, readiness, restarts and the
+ * state of every container, init containers included.
+ * @param {Object} pod - V1Pod
+ * @returns {Object}
+ */
+function summarizePod(pod) {
+  const containers = (pod.status?.containerStatuses || []).map(summarizeContainer);
+  const initContainers = (pod.status?.initContainerStatuses || []).map(summarizeContainer);
+  const scheduled = (pod.status?.conditions || []).find(c => c.type === 'PodScheduled');
+  return {
+    name: pod.metadata?.name,
+    phase: pod.status?.phase,
+    ready: (pod.status?.conditions || []).some(c => c.type === 'Ready' && c.status === 'True'),
+    restarts: containers.reduce((sum, c) => sum + c.restartCount, 0),
+    reason: pod.status?.reason || null,
+    message: pod.status?.message || null,
+    nodeName: pod.spec?.nodeName || null,
+    // Why the scheduler could not place the pod (quota, capacity, unbound volumes)
+    schedulingMessage: scheduled?.status === 'False' ? scheduled.message || scheduled.reason || null : null,
+    createdAt: pod.metadata?.creationTimestamp || null,
+    containerNames: (pod.spec?.containers || []).map(c => c.name),
+    initContainerNames: (pod.spec?.initContainers || []).map(c => c.name),
+    containers,
+    initContainers,
+  };
+}
+
+/**
+ * List the pods of a namespace with their container statuses.
+ * @param {string} namespace
+ * @returns {Promise<Object[]>} Empty when the namespace does not exist
+ */
+async function listPods(namespace) {
+  ensureClient();
+  try {
+    const response = await k8sBreaker.call(() => coreApi.listNamespacedPod(namespace));
+    const pods = response.body?.items || response.items || [];
+    return pods.map(summarizePod).sort((a, b) => a.name.localeCompare(b.name));
+  } catch (err) {
+    if (err.statusCode === 404) return [];
+    throw new KubernetesError(`Failed to list pods in ${namespace}: ${err.message}`);
+  }
+}
+
+/**
+ * Get one pod of a namespace.
+ * @param {string} namespace
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+async function getPod(namespace, name) {
+  ensureClient();
+  try {
+    const response = await k8sBreaker.call(() => coreApi.readNamespacedPod(name, namespace));
+    return summarizePod(response.body || response);
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw new KubernetesError(`Failed to get pod ${name} in ${namespace}: ${err.message}`);
+  }
+}
+
+/**
+ * Read the log of a pod container.
+ * @param {string} namespace
+ * @param {string} pod
+ * @param {Object} options
+ * @param {string} options.container
+ * @param {number} [options.tailLines]
+ * @param {number} [options.sinceSeconds]
+ * @param {boolean} [options.previous] - Log of the previous, crashed instance
+ * @param {number} [options.limitBytes]
+ * @returns {Promise<string>}
+ */
+async function readPodLogs(namespace, pod, { container, tailLines, sinceSeconds, previous = false, limitBytes }) {
+  ensureClient();
+  try {
+    const response = await k8sBreaker.call(() => coreApi.readNamespacedPodLog(
+      pod, namespace, container, false, undefined, limitBytes, undefined, previous, sinceSeconds, tailLines, true
+    ));
+    return response.body ?? response ?? '';
+  } catch (err) {
+    const status = err.statusCode || err.response?.statusCode;
+    // 400: the container has not started (or has no previous instance) yet
+    if (status === 400 || status === 404) return '';
+    throw new KubernetesError(`Failed to read logs of ${pod}/${container}: ${err.message}`);
+  }
+}
+
+/**
+ * Follow the log of a pod container, writing lines to `stream` as the
+ * container prints them. Not behind the circuit breaker: the request stays
+ * open for as long as the caller keeps it.
+ * @param {string} namespace
+ * @param {string} pod
+ * @param {import('stream').Writable} stream
+ * @param {Object} options
+ * @param {string} options.container
+ * @param {number} [options.tailLines]
+ * @param {number} [options.sinceSeconds]
+ * @returns {Promise<{ abort: Function }>} Abort to stop following
+ */
+async function followPodLogs(namespace, pod, stream, { container, tailLines, sinceSeconds }) {
+  ensureClient();
+  try {
+    const log = new k8s.Log(kubeConfig);
+    return await log.log(namespace, pod, container, stream, {
+      follow: true, tailLines, sinceSeconds, timestamps: true,
+    });
+  } catch (err) {
+    throw new KubernetesError(`Failed to follow logs of ${pod}/${container}: ${err.message}`);
+  }
+}
+
+/**
+ * List the Kubernetes events of a namespace, newest first.
+ * @param {string} namespace
+ * @param {Object} [options]
+ * @param {number} [options.limit=100]
+ * @param {string} [options.type] - Normal | Warning
+ * @returns {Promise<Object[]>}
+ */
+async function listEvents(namespace, { limit = 100, type } = {}) {
+  ensureClient();
+  try {
+    const fieldSelector = type ? `type=${type}` : undefined;
+    const response = await k8sBreaker.call(() =>
+      coreApi.listNamespacedEvent(namespace, undefined, undefined, undefined, fieldSelector)
+    );
+    const events = response.body?.items || response.items || [];
+    return events
+      .map(e => ({
+        type: e.type,
+        reason: e.reason,
+        message: e.message,
+        count: e.count || 1,
+        object: { kind: e.involvedObject?.kind, name: e.involvedObject?.name },
+        firstSeen: e.firstTimestamp || e.eventTime || e.metadata?.creationTimestamp || null,
+        lastSeen: e.lastTimestamp || e.eventTime || e.metadata?.creationTimestamp || null,
+      }))
+      .sort((a, b) => new Date(b.lastSeen || 0) - new Date(a.lastSeen || 0))
+      .slice(0, limit);
+  } catch (err) {
+    if (err.statusCode === 404) return [];
+    throw new KubernetesError(`Failed to list events in ${namespace}: ${err.message}`);
+  }
 }
 
 module.exports = {
@@ -513,7 +863,16 @@ module.exports = {
   checkJobsComplete,
   verifyCleanup,
   verifyResourceBoundaries,
+  getNamespaceUsage,
   getIngresses,
+  listWorkloads,
+  suspendWorkloads,
+  resumeWorkloads,
   healthCheck,
   pollForReadiness,
+  listPods,
+  getPod,
+  readPodLogs,
+  followPodLogs,
+  listEvents,
 };
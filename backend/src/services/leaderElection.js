@@ -0,0 +1,280 @@
+'use strict';
+
+const os = require('os');
+const db = require('../db/pool');
+const config = require('../config');
+const logger = require('../utils/logger').child('leader-election');
+const { controlPlaneLeader } = require('../utils/metrics');
+
+/**
+ * Leader Election — exactly one control-plane replica runs the singleton
+ * work: recovery of interrupted operations, the usage collector, the billing
+ * scheduler and shared-state cleanup. Request handling and the provisioning
+ * job worker run on every replica.
+ *
+ * The leader holds a session-level Postgres advisory lock
+ * (pg_try_advisory_lock) on a dedicated connection. Postgres drops the lock
+ * when that connection closes, so a crashed leader needs no cleanup: another
+ * replica acquires the lock on its next check. The leader re-checks its
+ * connection on every tick and steps down as soon as it fails.
+ *
+ * Every replica heartbeats its row in control_plane_instances. The leader
+ * removes rows that stopped heartbeating and runs the onInstancesLost hooks,
+ * which recover rollouts and backups those replicas left running.
+ *
+ * Tasks registered with register({ name, start, stop }) are started when this
+ * replica becomes leader and stopped when it steps down. A short overlap with
+ * a partitioned former leader is possible, so tasks must be idempotent.
+ */
+
+const INSTANCE_ID = config.cluster.instanceId;
+
+const tasks = [];
+const lostHooks = [];
+
+let lockClient = null;
+let leader = false;
+let leaderSince = null;
+let timer = null;
+let running = false;
+let checking = false;
+
+/**
+ * Register singleton work. Starts right away if this replica already leads.
+ * @param {{ name: string, start: Function, stop?: Function }} task
+ */
+function register(task) {
+  tasks.push(task);
+  if (leader) startTask(task);
+}
+
+/**
+ * Run a hook on the leader when replicas stop heartbeating.
+ * @param {(instanceIds: string[]) => Promise<void>} hook
+ */
+function onInstancesLost(hook) {
+  lostHooks.push(hook);
+}
+
+function startTask(task) {
+  Promise.resolve()
+    .then(() => task.start())
+    .catch((err) => {
+      logger.error('Leader task failed', { task: task.name, error: err.message });
+    });
+}
+
+function stopTask(task) {
+  if (!task.stop) return;
+  try {
+    task.stop();
+  } catch (err) {
+    logger.error('Leader task failed to stop', { task: task.name, error: err.message });
+  }
+}
+
+function promote() {
+  leader = true;
+  leaderSince = new Date();
+  controlPlaneLeader.set({}, 1);
+  logger.info('Became leader', { instanceId: INSTANCE_ID, tasks: tasks.map(t => t.name) });
+  tasks.forEach(startTask);
+}
+
+function demote(reason) {
+  if (!leader) return;
+  leader = false;
+  leaderSince = null;
+  controlPlaneLeader.set({}, 0);
+  logger.warn('Stepped down as leader', { instanceId: INSTANCE_ID, reason });
+  tasks.forEach(stopTask);
+}
+
+/**
+ * Destroy the lock connection — returning it to the pool would keep the lock.
+ */
+function dropLockClient(err) {
+  if (!lockClient) return;
+  const client = lockClient;
+  lockClient = null;
+  client.release(err || true);
+}
+
+function handleLockConnectionError(err) {
+  logger.error('Leader lock connection failed', { error: err.message });
+  dropLockClient(err);
+  demote('lock connection lost');
+}
+
+/**
+ * Try to take the leader lock on a dedicated connection.
+ * @returns {Promise<boolean>}
+ */
+async function tryAcquire() {
+  const client = await db.getClient();
+  let acquired;
+  try {
+    const result = await client.query(
+      'SELECT pg_try_advisory_lock($1) AS acquired',
+      [config.cluster.leaderLockKey]
+    );
+    acquired = result.rows[0].acquired;
+  } catch (err) {
+    client.release(err);
+    throw err;
+  }
+
+  if (!acquired) {
+    client.release();
+    return false;
+  }
+  client.on('error', handleLockConnectionError);
+  lockClient = client;
+  return true;
+}
+
+async function heartbeat() {
+  await db.query(
+    `INSERT INTO control_plane_instances (id, hostname, pid)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (id) DO UPDATE SET heartbeat_at = NOW()`,
+    [INSTANCE_ID, os.hostname(), process.pid]
+  );
+}
+
+/**
+ * Remove replicas that stopped heartbeating.
+ * @returns {Promise<string[]>} Their instance IDs
+ */
+async function reapInstances() {
+  const result = await db.query(
+    `DELETE FROM control_plane_instances
+     WHERE heartbeat_at < NOW() - ($1 * INTERVAL '1 millisecond') AND id <> $2
+     RETURNING id`,
+    [config.cluster.instanceTimeoutMs, INSTANCE_ID]
+  );
+  return result.rows.map(row => row.id);
+}
+
+async function runLostHooks(instanceIds) {
+  logger.warn('Replicas stopped heartbeating — recovering their work', { instances: instanceIds });
+  for (const hook of lostHooks) {
+    try {
+      await hook(instanceIds);
+    } catch (err) {
+      logger.error('Instance recovery hook failed', { error: err.message });
+    }
+  }
+}
+
+/**
+ * One election round: heartbeat, then take the lock (follower) or verify it
+ * and reap dead replicas (leader).
+ */
+async function check() {
+  if (checking || !running) return;
+  checking = true;
+  try {
+    await heartbeat();
+
+    if (!leader) {
+      if (config.cluster.leaderElection && !(await tryAcquire())) return;
+      if (!running) {
+        dropLockClient();
+        return;
+      }
+      // Forget replicas that are already gone before recovery runs
+      await reapInstances();
+      promote();
+      return;
+    }
+
+    if (lockClient) {
+      try {
+        await lockClient.query('SELECT 1');
+      } catch (err) {
+        handleLockConnectionError(err);
+        return;
+      }
+    }
+
+    const lost = await reapInstances();
+    if (lost.length > 0) await runLostHooks(lost);
+  } catch (err) {
+    logger.error('Leader election check failed', { error: err.message });
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Join the election. Resolves after the first round, so a replica that wins
+ * has started its tasks by then.
+ */
+async function start() {
+  if (running) return;
+  running = true;
+  controlPlaneLeader.set({}, 0);
+
+  await check();
+  timer = setInterval(check, config.cluster.heartbeatIntervalMs);
+  timer.unref();
+  logger.info('Leader election started', {
+    instanceId: INSTANCE_ID,
+    enabled: config.cluster.leaderElection,
+    leader,
+  });
+}
+
+/**
+ * Stop the singleton tasks and release the lock so another replica takes
+ * over without waiting for this connection to close.
+ */
+async function stop() {
+  running = false;
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  demote('shutdown');
+
+  if (lockClient) {
+    const client = lockClient;
+    lockClient = null;
+    try {
+      await client.query('SELECT pg_advisory_unlock($1)', [config.cluster.leaderLockKey]);
+      client.release();
+    } catch (err) {
+      client.release(err);
+    }
+  }
+}
+
+function isLeader() {
+  return leader;
+}
+
+/**
+ * @returns {{ instanceId: string, electionEnabled: boolean, leader: boolean, leaderSince: string|null, tasks: string[] }}
+ */
+function status() {
+  return {
+    instanceId: INSTANCE_ID,
+    electionEnabled: config.cluster.leaderElection,
+    leader,
+    leaderSince: leaderSince ? leaderSince.toISOString() : null,
+    tasks: tasks.map(t => t.name),
+  };
+}
+
+module.exports = {
+  INSTANCE_ID,
+  register,
+  onInstancesLost,
+  start,
+  stop,
+  isLeader,
+  status,
+  // Exported for testing
+  check,
+};
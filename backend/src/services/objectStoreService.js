@@ -0,0 +1,269 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const config = require('../config');
+const logger = require('../utils/logger').child('object-store');
+const { ObjectStoreError } = require('../utils/errors');
+
+/**
+ * Object Store Service — minimal S3 client for backup artifacts.
+ *
+ * Speaks plain S3 REST with Signature Version 4 and path-style addressing,
+ * so the same code talks to AWS S3, MinIO, Ceph RGW, R2, etc. Only the
+ * handful of calls backups need are implemented: put (streamed from a file),
+ * get (returned as a stream), delete, and bucket bootstrap.
+ *
+ * Uploads are signed with the real payload SHA-256 (computed while the dump
+ * was written), so the server rejects an artifact that was altered in transit.
+ */
+
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+const REQUEST_TIMEOUT_MS = 60000;
+
+let bucketReady = null;
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * URI-encode per RFC 3986 (S3 signing rules — encodeURIComponent leaves !'()* alone).
+ * @param {string} str
+ * @returns {string}
+ */
+function encodeRfc3986(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sign a request with AWS Signature Version 4.
+ * Pure function — exported for tests against the published AWS examples.
+ *
+ * @param {Object} params
+ * @param {string} params.method
+ * @param {string} params.path - Already URI-encoded absolute path
+ * @param {Object} [params.query] - Unencoded query parameters
+ * @param {Object} params.headers - Must include `host`
+ * @param {string} params.payloadHash - Hex SHA-256 of the body
+ * @param {string} params.region
+ * @param {string} params.accessKeyId
+ * @param {string} params.secretAccessKey
+ * @param {Date} [params.date=new Date()]
+ * @param {string} [params.service='s3']
+ * @returns {Object} Headers including Authorization, x-amz-date and x-amz-content-sha256
+ */
+function signRequest({
+  method, path, query = {}, headers, payloadHash, region, accessKeyId, secretAccessKey,
+  date = new Date(), service = 's3',
+}) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const signed = { ...headers, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  const canonical = {};
+  for (const [name, value] of Object.entries(signed)) {
+    canonical[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+  }
+  const headerNames = Object.keys(canonical).sort();
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQueryString(query),
+    headerNames.map(name => `${name}:${canonical[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), service), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+function canonicalQueryString(query) {
+  return Object.keys(query)
+    .sort()
+    .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(String(query[key]))}`)
+    .join('&');
+}
+
+/**
+ * Build the path-style path for a key in the configured bucket.
+ * @param {string} [key]
+ * @returns {string}
+ */
+function objectPath(key) {
+  const bucketPath = `/${encodeRfc3986(config.backups.bucket)}`;
+  if (!key) return bucketPath;
+  return `${bucketPath}/${key.split('/').map(encodeRfc3986).join('/')}`;
+}
+
+/**
+ * Send a signed request. Resolves with the response stream — callers decide
+ * whether to consume or drain it.
+ * @returns {Promise<import('http').IncomingMessage>}
+ */
+function send({ method, key, query = {}, headers = {}, body, payloadHash = EMPTY_SHA256, timeoutMs = REQUEST_TIMEOUT_MS }) {
+  const { endpoint, region, accessKeyId, secretAccessKey } = config.backups;
+  const base = new URL(endpoint);
+  const path = objectPath(key);
+  const qs = canonicalQueryString(query);
+
+  const signedHeaders = signRequest({
+    method,
+    path,
+    query,
+    headers: { ...headers, host: base.host },
+    payloadHash,
+    region,
+    accessKeyId,
+    secretAccessKey,
+  });
+
+  const transport = base.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request({
+      protocol: base.protocol,
+      hostname: base.hostname,
+      port: base.port || undefined,
+      method,
+      path: qs ? `${path}?${qs}` : path,
+      headers: signedHeaders,
+      timeout: timeoutMs,
+    }, resolve);
+
+    req.on('timeout', () => req.destroy(new Error(`request timed out after ${timeoutMs}ms`)));
+    req.on('error', err => reject(new ObjectStoreError(`${method} ${path} failed: ${err.message}`)));
+
+    if (body && typeof body.pipe === 'function') {
+      body.on('error', err => req.destroy(err));
+      body.pipe(req);
+    } else {
+      req.end(body);
+    }
+  });
+}
+
+/**
+ * Read a (small) response body — used for S3 error documents.
+ * @param {import('http').IncomingMessage} res
+ * @returns {Promise<string>}
+ */
+async function readBody(res) {
+  let text = '';
+  for await (const chunk of res) {
+    if (text.length < 4096) text += chunk.toString();
+  }
+  return text;
+}
+
+async function failure(method, key, res) {
+  const body = await readBody(res);
+  const code = body.match(/<Code>([^<]+)<\/Code>/)?.[1];
+  return new ObjectStoreError(
+    `Object store ${method} ${key || config.backups.bucket} returned ${res.statusCode}${code ? ` (${code})` : ''}`,
+    { retryable: res.statusCode >= 500, metadata: { statusCode: res.statusCode, code } }
+  );
+}
+
+/**
+ * Create the backup bucket if it does not exist yet. Memoized on success.
+ * @returns {Promise<void>}
+ */
+async function ensureBucket() {
+  if (!bucketReady) {
+    bucketReady = (async () => {
+      const head = await send({ method: 'HEAD' });
+      head.resume();
+      if (head.statusCode === 200) return;
+      if (head.statusCode !== 404) throw await failure('HEAD', null, head);
+
+      const created = await send({ method: 'PUT' });
+      if (created.statusCode !== 200) throw await failure('PUT', null, created);
+      created.resume();
+      logger.info('Backup bucket created', { bucket: config.backups.bucket });
+    })().catch((err) => {
+      bucketReady = null;
+      throw err;
+    });
+  }
+  return bucketReady;
+}
+
+/**
+ * Upload a local file.
+ * @param {string} key
+ * @param {string} filePath
+ * @param {Object} meta
+ * @param {number} meta.size - Content-Length
+ * @param {string} meta.sha256 - Hex SHA-256 of the file (signed payload hash)
+ * @param {string} [meta.contentType='application/octet-stream']
+ * @returns {Promise<{ etag: string|null }>}
+ */
+async function putObject(key, filePath, { size, sha256, contentType = 'application/octet-stream' }) {
+  await ensureBucket();
+
+  const res = await send({
+    method: 'PUT',
+    key,
+    headers: { 'content-length': size, 'content-type': contentType },
+    body: fs.createReadStream(filePath),
+    payloadHash: sha256,
+    timeoutMs: config.backups.timeoutMs,
+  });
+  if (res.statusCode !== 200) throw await failure('PUT', key, res);
+  res.resume();
+
+  logger.debug('Object uploaded', { key, size });
+  return { etag: res.headers.etag || null };
+}
+
+/**
+ * Download an object as a stream.
+ * @param {string} key
+ * @returns {Promise<import('stream').Readable>}
+ */
+async function getObjectStream(key) {
+  const res = await send({ method: 'GET', key, timeoutMs: config.backups.timeoutMs });
+  if (res.statusCode !== 200) throw await failure('GET', key, res);
+  return res;
+}
+
+/**
+ * Delete an object. Missing objects are not an error.
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+async function deleteObject(key) {
+  const res = await send({ method: 'DELETE', key });
+  if (res.statusCode !== 204 && res.statusCode !== 200 && res.statusCode !== 404) {
+    throw await failure('DELETE', key, res);
+  }
+  res.resume();
+}
+
+module.exports = {
+  putObject,
+  getObjectStream,
+  deleteObject,
+  ensureBucket,
+  // Exported for testing
+  signRequest,
+  EMPTY_SHA256,
+};
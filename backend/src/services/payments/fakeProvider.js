@@ -0,0 +1,56 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Fake payment provider — for local development and tests.
+ *
+ * Charges succeed unless a decline has been queued with declineNext(). Charges
+ * are kept in memory and replayed by idempotency key, like a real provider.
+ */
+
+const charges = new Map();
+const queuedDeclines = [];
+
+async function charge({ invoiceId, ownerId, amountCents, currency, idempotencyKey }) {
+  if (charges.has(idempotencyKey)) {
+    return charges.get(idempotencyKey).result;
+  }
+
+  const decline = queuedDeclines.shift();
+  const result = decline
+    ? { status: 'failed', reference: null, error: decline }
+    : { status: 'succeeded', reference: `fake_ch_${crypto.randomBytes(8).toString('hex')}` };
+
+  charges.set(idempotencyKey, { invoiceId, ownerId, amountCents, currency, result });
+  return result;
+}
+
+/**
+ * Make the next charge fail with the given reason.
+ * @param {string} [reason='Card declined']
+ */
+function declineNext(reason = 'Card declined') {
+  queuedDeclines.push(reason);
+}
+
+/**
+ * Charges made so far, oldest first.
+ * @returns {Object[]}
+ */
+function listCharges() {
+  return [...charges.values()];
+}
+
+function reset() {
+  charges.clear();
+  queuedDeclines.length = 0;
+}
+
+module.exports = {
+  name: 'fake',
+  charge,
+  declineNext,
+  listCharges,
+  reset,
+};
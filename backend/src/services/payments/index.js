@@ -0,0 +1,40 @@
+'use strict';
+
+const config = require('../../config');
+const fakeProvider = require('./fakeProvider');
+
+/**
+ * Payment providers — charge an invoice against an owner's payment method.
+ *
+ * A provider is an object with:
+ *
+ *   name: string
+ *   charge({ invoiceId, ownerId, amountCents, currency, idempotencyKey })
+ *     → Promise<{ status: 'succeeded'|'failed', reference: string|null, error?: string }>
+ *
+ * A declined payment resolves with status 'failed'; a rejected promise means
+ * the provider could not be reached and the outcome is unknown. Providers must
+ * treat idempotencyKey as unique per charge attempt so retries never double-bill.
+ *
+ * Register new providers in PROVIDERS and select one with BILLING_PAYMENT_PROVIDER.
+ */
+
+const PROVIDERS = {
+  fake: fakeProvider,
+};
+
+/**
+ * Provider selected in config.
+ * @returns {Object}
+ */
+function getPaymentProvider() {
+  const provider = PROVIDERS[config.billing.paymentProvider];
+  if (!provider) {
+    throw new Error(`Unknown payment provider '${config.billing.paymentProvider}'`);
+  }
+  return provider;
+}
+
+module.exports = {
+  getPaymentProvider,
+};
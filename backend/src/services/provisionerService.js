@@ -7,17 +7,38 @@ const storeRegistry = require('./storeRegistry');
 const auditService = require('./auditService');
 const helmService = require('./helmService');
 const k8sService = require('./kubernetesService');
-const { STATES, assertTransition, canDelete, canRetry } = require('../models/storeMachine');
+const {
+  STATES,
+  assertTransition,
+  canDelete,
+  canRetry,
+  canRepair,
+  canSuspend,
+  canResume,
+  canUpgrade,
+  canRestore,
+} = require('../models/storeMachine');
 const { generateStoreId, storeIdToNamespace, storeIdToHelmRelease } = require('../utils/idGenerator');
 const { retryWithBackoff } = require('../utils/retry');
 const storeSetupService = require('./storeSetupService');
 const ingressService = require('./ingressService');
 const userService = require('./userService');
+const backupService = require('./backupService');
+const domainService = require('./domainService');
+const jobQueueService = require('./jobQueueService');
+const checkpointService = require('./checkpointService');
+const storeEventService = require('./storeEventService');
+const failureClassifier = require('./failureClassifier');
+const secretsService = require('./secretsService');
+const retryPolicy = require('../models/retryPolicy');
 const {
   NotFoundError,
   ConflictError,
   StoreLimitError,
   ProvisioningError,
+  QueueFullError,
+  LeaseLostError,
+  JobDeferredError,
 } = require('../utils/errors');
 const {
   storesTotal,
@@ -25,12 +46,8 @@ const {
   provisioningStepDuration,
   provisioningFailures,
   activeProvisioningOps,
-  provisioningQueueDepth,
-  provisioningConcurrent,
-  provisioningQueueWaitMs,
-  provisioningRejections,
 } = require('../utils/metrics');
-const { Semaphore } = require('../utils/semaphore');
+const { getPlan, planSetValues } = require('../models/plans');
 
 /**
  * Provisioner Service — the central orchestrator for store lifecycle.
@@ -41,7 +58,8 @@ const { Semaphore } = require('../utils/semaphore');
  * Design principles:
  * - Every operation is idempotent — safe to retry on partial failure.
  * - State transitions are explicit and atomic (DB → then side-effect).
- * - Async provisioning: create returns immediately, provisioning happens in background.
+ * - Async provisioning: create returns immediately; the workflow runs as a
+ *   durable job (jobQueueService) that survives a backend restart.
  * - All operations are audited.
  */
 
@@ -56,11 +74,21 @@ const PHASES = {
   HELM_UNINSTALL: 'helm_uninstall',
   NAMESPACE_DELETE: 'namespace_delete',
   CLEANUP_VERIFY: 'cleanup_verify',
+  SCALE_DOWN: 'scale_down',
+  POD_TERMINATION: 'pod_termination',
+  SCALE_UP: 'scale_up',
+  HELM_UPGRADE: 'helm_upgrade',
+  HELM_ROLLBACK: 'helm_rollback',
+  SOURCE_SNAPSHOT: 'source_snapshot',
+  DATA_RESTORE: 'data_restore',
+  FILES_COPY: 'files_copy',
+  URL_REWRITE: 'url_rewrite',
 };
 
 /**
  * Measure the duration of a provisioning step.
- * Logs structured timing data and observes the metric.
+ * Logs structured timing data, observes the metric and publishes the step's
+ * start and outcome to the store's event feed.
  * @param {string} storeId
  * @param {string} engine
  * @param {string} phase - One of PHASES constants
@@ -69,10 +97,16 @@ const PHASES = {
  * @returns {Promise<*>} Result of fn()
  */
 async function timedStep(storeId, engine, phase, correlationId, fn) {
+  // A job whose lease was lost stops here, before touching the cluster again
+  const active = activeJobs.get(storeId);
+  if (active) active.signal.throwIfAborted();
+
   const stepStart = Date.now();
   logger.info(`[lifecycle] Step started: ${phase}`, {
     storeId, engine, phase, correlationId,
   });
+  await recordCheckpoint(storeId, phase, (checkpoint) => checkpointService.startPhase(checkpoint));
+  await publishPhase(storeId, phase, 'started');
 
   try {
     const result = await fn();
@@ -82,6 +116,17 @@ async function timedStep(storeId, engine, phase, correlationId, fn) {
     logger.info(`[lifecycle] Step completed: ${phase}`, {
       storeId, engine, phase, correlationId, durationMs,
     });
+    await recordCheckpoint(storeId, phase, (checkpoint) =>
+      checkpointService.completePhase({ ...checkpoint, result, durationMs })
+    );
+    await publishPhase(storeId, phase, 'completed', { durationMs });
+
+    // Checkpoint the phase on the store's job so a resumed run can skip it
+    if (active) {
+      await jobQueueService.checkpoint(active.job.id, phase).catch(checkpointErr => {
+        logger.warn('Failed to checkpoint phase', { storeId, jobId: active.job.id, phase, error: checkpointErr.message });
+      });
+    }
 
     return result;
   } catch (err) {
@@ -93,29 +138,245 @@ async function timedStep(storeId, engine, phase, correlationId, fn) {
       storeId, engine, phase, correlationId, durationMs,
       error: err.message,
     });
+    await recordCheckpoint(storeId, phase, (checkpoint) =>
+      checkpointService.failPhase({ ...checkpoint, error: err.message, durationMs })
+    );
+    await publishPhase(storeId, phase, 'failed', { durationMs, error: err.message });
 
     throw err;
   }
 }
 
+/**
+ * Write a phase checkpoint row when the store has a provisioning run in
+ * progress. Checkpoint failures are logged — they never fail the workflow.
+ * @param {string} storeId
+ * @param {string} phase
+ * @param {(checkpoint: Object) => Promise<void>} write
+ */
+async function recordCheckpoint(storeId, phase, write) {
+  const run = provisioningRuns.get(storeId);
+  if (!run) return;
+  await write({ storeId, phase, attempt: run.attempt, jobId: run.jobId, correlationId: run.correlationId })
+    .catch(err => {
+      logger.warn('Failed to record phase checkpoint', { storeId, phase, error: err.message });
+    });
+}
+
+/**
+ * Publish a phase event (started | completed | failed | skipped) to the
+ * store's live event feed.
+ * @param {string} storeId
+ * @param {string} phase
+ * @param {string} state
+ * @param {Object} [details]
+ */
+function publishPhase(storeId, phase, state, details = {}) {
+  return storeEventService.publish(storeId, storeEventService.EVENT_TYPES.PHASE, { phase, state, ...details });
+}
+
 // In-progress provisioning operations — prevents concurrent provision of same store
 const activeOperations = new Map();
 
-// ─── Provisioning Concurrency Semaphore ──────────────────────────────────────
-// Limits parallel Helm installs / deletes to prevent resource exhaustion.
-// Environment-configurable via PROVISIONING_MAX_CONCURRENT and PROVISIONING_MAX_QUEUE.
-const provisioningSemaphore = new Semaphore({
-  maxConcurrent: parseInt(process.env.PROVISIONING_MAX_CONCURRENT, 10) || 3,
-  maxQueueSize: parseInt(process.env.PROVISIONING_MAX_QUEUE, 10) || 10,
-  acquireTimeoutMs: parseInt(process.env.PROVISIONING_QUEUE_TIMEOUT_MS, 10) || 120000,
-  name: 'provisioning',
-});
-
-/** Update semaphore metrics snapshot */
-function updateSemaphoreMetrics() {
-  const s = provisioningSemaphore.stats();
-  provisioningQueueDepth.set({}, s.queued);
-  provisioningConcurrent.set({}, s.active);
+/**
+ * Classify the error a workflow failed with (see failureClassifier). With
+ * inspectNamespace, the store's pods and the Warning events since the
+ * workflow started are read first — they say why a wait timed out.
+ * @param {string} storeId
+ * @param {Error} err
+ * @param {Object} [options]
+ * @param {boolean} [options.inspectNamespace=false]
+ * @returns {Promise<Object>} { code, category, retryable, remediation, evidence }
+ */
+async function classifyFailure(storeId, err, { inspectNamespace = false } = {}) {
+  const evidence = inspectNamespace
+    ? await failureClassifier.collectEvidence(storeIdToNamespace(storeId), { since: activeOperations.get(storeId) })
+    : undefined;
+  return failureClassifier.classify(err, evidence);
+}
+
+// Job each running workflow belongs to (storeId → { job, signal }), for phase
+// checkpoints and to stop the workflow when the job's lease is lost
+const activeJobs = new Map();
+
+// Provisioning attempt each running provision workflow is recording
+// (storeId → { attempt, jobId, correlationId }), for provisioning_checkpoints
+const provisioningRuns = new Map();
+
+// A job for a store that is busy with another workflow in this process (a
+// suspend, say) is queued again and retried after this long
+const BUSY_STORE_RETRY_MS = 15000;
+
+// helm upgrade --wait has already waited for rollout; this only catches pods
+// that go ready and then crash-loop on the new revision.
+const UPGRADE_READINESS_TIMEOUT_MS = 120000;
+
+// ─── Provisioning Job Queue ──────────────────────────────────────────────────
+// Workflows run as provisioning_jobs rows (jobQueueService), which bounds
+// parallel Helm operations to PROVISIONING_MAX_CONCURRENT per process and
+// rejects new work with 503 past PROVISIONING_MAX_QUEUE waiting jobs.
+
+/**
+ * Run a job's workflow with the job registered for checkpointing. A store
+ * already running a workflow defers the job instead of completing it unrun.
+ * @param {Object} job
+ * @param {AbortSignal} signal - Aborted when the job's lease is lost
+ * @param {Function} fn - The workflow
+ */
+async function withJob(job, signal, fn) {
+  // Checked right before fn starts, so the workflow's own guard never skips it
+  if (activeOperations.has(job.storeId)) {
+    throw new JobDeferredError(
+      `Another operation on store ${job.storeId} is still running`,
+      { retryAfterMs: BUSY_STORE_RETRY_MS }
+    );
+  }
+  activeJobs.set(job.storeId, { job, signal });
+  try {
+    return await fn();
+  } finally {
+    activeJobs.delete(job.storeId);
+  }
+}
+
+const JOB_HANDLERS = {
+  [jobQueueService.JOB_TYPES.PROVISION]: provisionJob,
+  [jobQueueService.JOB_TYPES.RETRY]: provisionJob,
+  [jobQueueService.JOB_TYPES.DELETE]: (job, { signal }) => withJob(job, signal, () => deleteStoreAsync(job.storeId)),
+  [jobQueueService.JOB_TYPES.UPGRADE]: (job, { signal }) => withJob(job, signal, () =>
+    upgradeStoreAsync(job.storeId, { correlationId: job.correlationId, plan: job.payload.plan })
+  ),
+  [jobQueueService.JOB_TYPES.RESUME]: (job, { signal }) => withJob(job, signal, () => resumeStoreAsync(job.storeId)),
+  [jobQueueService.JOB_TYPES.RESTORE]: (job, { signal }) => withJob(job, signal, () =>
+    restoreStoreAsync(job.storeId, { correlationId: job.correlationId })
+  ),
+  [jobQueueService.JOB_TYPES.SUSPEND]: (job, { signal }) => withJob(job, signal, () => suspendStoreAsync(job.storeId)),
+  [jobQueueService.JOB_TYPES.PROMOTE]: (job, { signal }) => withJob(job, signal, () =>
+    promoteCloneAsync(job.storeId, { ...job.payload, correlationId: job.correlationId })
+  ),
+  [jobQueueService.JOB_TYPES.INGRESS]: (job, { signal }) => withJob(job, signal, () =>
+    domainService.applyIngress(job.storeId, { correlationId: job.correlationId })
+  ),
+};
+
+function provisionJob(job, { signal }) {
+  return withJob(job, signal, async () => {
+    // Sealed with the job by createStore, so any worker can read it
+    const tenantPassword = secretsService.openStoreSecret(
+      job.storeId, secretsService.SECRET_NAMES.TENANT_PASSWORD, await jobQueueService.getJobSecret(job.id)
+    );
+    return provisionStoreAsync(job.storeId, {
+      tenantPassword,
+      correlationId: job.correlationId,
+      job,
+    });
+  });
+}
+
+/**
+ * Queue a workflow for a store. If the queue rejects it, the store is put
+ * back the way it was before the request and the error is rethrown (503).
+ *
+ * @param {string} storeId
+ * @param {string} type - jobQueueService.JOB_TYPES
+ * @param {Object} options
+ * @param {Object} [options.payload]
+ * @param {string} [options.correlationId]
+ * @param {Object} [options.secret] - Sealed secret for the workflow (see jobQueueService.enqueue)
+ * @param {string} options.fromStatus - Status the request moved the store to
+ * @param {Object} options.revert - Store updates that undo the request
+ * @returns {Promise<Object>} The job
+ */
+async function enqueueJob(storeId, type, { payload, secret, correlationId, fromStatus, revert }) {
+  try {
+    const job = await jobQueueService.enqueue({ storeId, type, payload, secret, correlationId });
+    // enqueue() hands back the store's active job when there is one — of any type
+    if (job.type !== type) {
+      throw new ConflictError(
+        `Another operation (${job.type} job ${job.id}) is in progress on this store.`,
+        'Wait for it to finish and try again.'
+      );
+    }
+    return job;
+  } catch (err) {
+    logger.error('[lifecycle] Could not queue job', { storeId, type, error: err.message });
+    await storeRegistry.update(storeId, revert, { expectedStatus: fromStatus }).catch(() => { });
+    await auditService.log({
+      storeId,
+      eventType: 'warning',
+      previousStatus: fromStatus,
+      newStatus: revert.status,
+      message: `${type} not started: ${err.message}`,
+      metadata: { correlationId: correlationId || null },
+    }).catch(() => { });
+    throw err;
+  }
+}
+
+/**
+ * Refuse to start a workflow while another job runs on the store. Checked
+ * before the status moves, so a store busy with e.g. an ingress job is not
+ * left in a transitional status; enqueueJob() catches the remaining race.
+ * @param {string} storeId
+ */
+async function assertNoActiveJob(storeId) {
+  const job = await jobQueueService.findActiveJob(storeId);
+  if (job) {
+    throw new ConflictError(
+      `Another operation (${job.type} job ${job.id}) is in progress on this store.`,
+      'Wait for it to finish and try again.'
+    );
+  }
+}
+
+/**
+ * A job was given up after its worker lease expired max_attempts times —
+ * fail the store so an operator can look at it. An abandoned ingress job
+ * leaves the store alone; its domains stay verified and can be re-verified.
+ * @param {Object} job
+ */
+async function abandonJob(job) {
+  const store = await storeRegistry.findById(job.storeId);
+  if (!store || store.status === STATES.FAILED || store.status === STATES.DELETED) return;
+
+  // An ingress job never took the store out of service — only its new domains wait
+  if (job.type === jobQueueService.JOB_TYPES.INGRESS) {
+    await auditService.log({
+      storeId: job.storeId,
+      eventType: 'warning',
+      message: `Custom domain ingress update abandoned after ${job.attempts} attempt(s). Verify the domain again to retry.`,
+      metadata: { jobId: job.id, jobType: job.type, attempts: job.attempts },
+    });
+    return;
+  }
+
+  const message = `${job.type} job abandoned after ${job.attempts} attempt(s): the worker running it stopped each time.`;
+  await storeRegistry.update(job.storeId, {
+    status: STATES.FAILED,
+    failureReason: message,
+    failureCode: 'WORKER_INTERRUPTED',
+    failureEvidence: null,
+  });
+  await auditService.log({
+    storeId: job.storeId,
+    eventType: 'recovery',
+    previousStatus: store.status,
+    newStatus: STATES.FAILED,
+    message,
+    metadata: { jobId: job.id, jobType: job.type, attempts: job.attempts, lastCompletedPhase: job.lastCompletedPhase },
+  });
+  storesTotal.inc({ status: 'failed' });
+}
+
+/** Start claiming provisioning jobs in this process. */
+function startJobWorker() {
+  jobQueueService.start({ handlers: JOB_HANDLERS, onAbandon: abandonJob });
+}
+
+/** Stop claiming jobs and hand running ones back to the queue. */
+async function stopJobWorker() {
+  jobQueueService.stop();
+  await jobQueueService.releaseLeases();
 }
 
 /**
@@ -126,11 +387,28 @@ function updateSemaphoreMetrics() {
  * @param {string} params.name - Store display name
  * @param {string} params.engine - Store engine (woocommerce|medusa)
  * @param {string} [params.ownerId='default'] - Owner for limit enforcement
+ * @param {string} [params.backupId] - Seed the store from this backup instead of demo data
+ * @param {string} [params.clonedFrom] - Seed the store from a snapshot of this store (see cloneStore)
+ * @param {string} [params.plan] - Store plan (defaults to config.plans.default)
  * @returns {Promise<Object>} Created store record
  */
-async function createStore({ name, engine, ownerId = 'default', theme, tenantPassword, correlationId }) {
+async function createStore({
+  name, engine, ownerId = 'default', theme, tenantPassword, backupId, clonedFrom, plan, correlationId,
+}) {
   // Default theme for WooCommerce if not specified
   const resolvedTheme = engine === 'woocommerce' ? (theme || 'storefront') : null;
+  const storePlan = getPlan(plan || config.plans.default);
+
+  // 0. A backup can only seed a store of the same owner and engine
+  let backup = null;
+  if (backupId) {
+    backup = await backupService.getBackupById(backupId);
+    const source = await storeRegistry.findById(backup.storeId);
+    if (!source || source.ownerId !== ownerId) {
+      throw new NotFoundError('Backup', backupId);
+    }
+    backupService.assertRestorable(backup, engine);
+  }
   // 1. Idempotency: check if store with this name already exists
   const existing = await storeRegistry.findByNameAndOwner(name, ownerId);
   if (existing) {
@@ -144,6 +422,7 @@ async function createStore({ name, engine, ownerId = 'default', theme, tenantPas
         status: STATES.DELETED,
         deletedAt: new Date().toISOString(),
       });
+      await domainService.releaseDomains(existing.id);
     } else {
       throw new ConflictError(
         `A store named '${name}' already exists (status: ${existing.status}).`,
@@ -152,10 +431,10 @@ async function createStore({ name, engine, ownerId = 'default', theme, tenantPas
     }
   }
 
-  // 2. Enforce per-user store limit
-  const activeCount = await storeRegistry.countActiveByOwner(ownerId);
-  if (activeCount >= config.provisioning.maxStoresPerUser) {
-    throw new StoreLimitError(config.provisioning.maxStoresPerUser);
+  // 2. Enforce the plan's per-user store limit
+  const activeCount = await storeRegistry.countActiveByOwner(ownerId, { plan: storePlan.name });
+  if (activeCount >= storePlan.maxStoresPerUser) {
+    throw new StoreLimitError(storePlan.maxStoresPerUser, storePlan.name);
   }
 
   // 3. Generate IDs
@@ -172,28 +451,36 @@ async function createStore({ name, engine, ownerId = 'default', theme, tenantPas
     helmRelease,
     ownerId,
     theme: resolvedTheme,
+    restoreBackupId: backup ? backup.id : null,
+    clonedFrom: clonedFrom || null,
+    plan: storePlan.name,
   });
 
+  const origin = clonedFrom ? ` as a clone of '${clonedFrom}'` : backup ? ` from backup of '${backup.storeId}'` : '';
   await auditService.log({
     storeId,
     eventType: 'store_created',
     newStatus: STATES.REQUESTED,
-    message: `Store '${name}' created with engine '${engine}'${resolvedTheme ? ` and theme '${resolvedTheme}'` : ''}`,
-    metadata: { engine, ownerId, theme: resolvedTheme },
+    message: `Store '${name}' created with engine '${engine}'${resolvedTheme ? ` and theme '${resolvedTheme}'` : ''} on the '${storePlan.name}' plan${origin}`,
+    metadata: {
+      engine,
+      ownerId,
+      plan: storePlan.name,
+      theme: resolvedTheme,
+      backupId: backup ? backup.id : null,
+      sourceStoreId: clonedFrom || (backup ? backup.storeId : null),
+    },
   });
 
-  // 5. Kick off async provisioning (non-blocking)
+  // 5. Queue provisioning (non-blocking)
   // Pass correlationId for end-to-end request traceability across async work
-  provisionStoreAsync(storeId, { tenantPassword, correlationId }).catch(err => {
-    logger.error('Unhandled provisioning error', { storeId, error: err.message });
-    // If the error is a semaphore rejection, mark the store as failed immediately
-    if (err.code === 'PROVISIONING_QUEUE_FULL' || err.code === 'PROVISIONING_QUEUE_TIMEOUT') {
-      provisioningRejections.inc({ reason: err.code === 'PROVISIONING_QUEUE_FULL' ? 'queue_full' : 'queue_timeout' });
-      storeRegistry.update(storeId, {
-        status: STATES.FAILED,
-        failureReason: err.message,
-      }).catch(() => {});
-    }
+  await enqueueJob(storeId, jobQueueService.JOB_TYPES.PROVISION, {
+    secret: tenantPassword
+      ? secretsService.sealStoreSecret(storeId, secretsService.SECRET_NAMES.TENANT_PASSWORD, tenantPassword)
+      : undefined,
+    correlationId,
+    fromStatus: STATES.REQUESTED,
+    revert: { status: STATES.FAILED, failureReason: 'Provisioning queue was full. Safe to retry.', failureCode: 'WORKER_INTERRUPTED' },
   });
 
   return store;
@@ -201,17 +488,23 @@ async function createStore({ name, engine, ownerId = 'default', theme, tenantPas
 
 /**
  * Internal async provisioning workflow.
- * Runs in the background after createStore returns.
+ * Runs as a provision/retry job after createStore or retryStore returns.
+ * Every phase is recorded in provisioning_checkpoints. A retry — or a job
+ * resumed after a backend restart, which finds the store already
+ * PROVISIONING — skips the phases an earlier attempt completed and resumes
+ * at the one that failed. Helm install is skipped by the duplicate release
+ * guard, reusing the saved credentials; pod readiness is always re-checked.
  * 
  * Steps:
  * 1. Transition to PROVISIONING
  * 2. Create K8s namespace
  * 3. Install Helm release
  * 4. Poll for readiness
- * 5. Extract URLs
- * 6. Transition to READY or FAILED
+ * 5. Engine setup — or, for stores created from a backup, load the dump
+ * 6. Extract URLs
+ * 7. Transition to READY (finalize) or FAILED
  */
-async function provisionStoreAsync(storeId, { tenantPassword, correlationId } = {}) {
+async function provisionStoreAsync(storeId, { tenantPassword, correlationId, job } = {}) {
   // Prevent concurrent provisioning of the same store
   if (activeOperations.has(storeId)) {
     logger.warn('Provisioning already in progress', { storeId });
@@ -219,82 +512,90 @@ async function provisionStoreAsync(storeId, { tenantPassword, correlationId } =
   }
   activeOperations.set(storeId, Date.now());
   const cid = correlationId || `async-${storeId}`;
+  let completedPhases = new Map();
+  const phaseDone = (phase) =>
+    completedPhases.has(phase) || Boolean(job && job.completedPhases.includes(phase));
+  // Record a phase an earlier attempt completed, carrying its result forward
+  const skipPhase = async (phase, result) => {
+    await recordCheckpoint(storeId, phase, (checkpoint) =>
+      checkpointService.skipPhase({ ...checkpoint, result: result || completedPhases.get(phase)?.result })
+    );
+    await publishPhase(storeId, phase, 'skipped');
+  };
 
-  // ── Acquire semaphore slot (limits global concurrency) ──
-  let release;
   try {
-    updateSemaphoreMetrics();
-    logger.info('[lifecycle] Waiting for provisioning slot', {
-      storeId, correlationId: cid,
-      semaphore: provisioningSemaphore.stats(),
-    });
-    const permit = await provisioningSemaphore.acquire();
-    release = permit.release;
-    const waitMs = permit.waitMs;
-
-    provisioningQueueWaitMs.observe({}, waitMs);
-    updateSemaphoreMetrics();
+    let store = await storeRegistry.findById(storeId);
+    if (!store) throw new NotFoundError('Store', storeId);
 
-    if (waitMs > 0) {
-      logger.info('[lifecycle] Provisioning slot acquired after queuing', {
-        storeId, correlationId: cid, waitMs,
+    provisioningRuns.set(storeId, { attempt: store.retryCount, jobId: job ? job.id : null, correlationId: cid });
+    completedPhases = await checkpointService.getCompletedPhases(storeId);
+    if (completedPhases.size > 0) {
+      logger.info('[lifecycle] Resuming from checkpoints of an earlier attempt', {
+        storeId, attempt: store.retryCount, completedPhases: [...completedPhases.keys()], correlationId: cid,
       });
     }
-  } catch (semErr) {
-    activeOperations.delete(storeId);
-    updateSemaphoreMetrics();
-    throw semErr; // propagate to caller for FAILED marking
-  }
-
-  try {
-    let store = await storeRegistry.findById(storeId);
-    if (!store) throw new NotFoundError('Store', storeId);
 
     logger.info('[lifecycle] Provisioning workflow started', {
       storeId, engine: store.engine, correlationId: cid,
     });
 
-    // Step 1: Transition to PROVISIONING (with optimistic lock)
-    assertTransition(store.status, STATES.PROVISIONING);
     activeProvisioningOps.inc();
-    store = await storeRegistry.update(storeId, {
-      status: STATES.PROVISIONING,
-      provisioningStartedAt: new Date().toISOString(),
-      failureReason: null,
-    }, { expectedStatus: store.status });
+    if (job && store.status === STATES.PROVISIONING) {
+      // Step 1 (resumed job): the previous run already moved the store to PROVISIONING
+      await auditService.log({
+        storeId,
+        eventType: 'recovery',
+        message: `Resuming provisioning (attempt ${job.attempts})${job.lastCompletedPhase ? ` after phase '${job.lastCompletedPhase}'` : ''}`,
+        metadata: { jobId: job.id, completedPhases: job.completedPhases, correlationId: cid },
+      });
+    } else {
+      // Step 1: Transition to PROVISIONING (with optimistic lock)
+      assertTransition(store.status, STATES.PROVISIONING);
+      store = await storeRegistry.update(storeId, {
+        status: STATES.PROVISIONING,
+        provisioningStartedAt: new Date().toISOString(),
+        failureReason: null,
+        failureCode: null,
+        failureEvidence: null,
+      }, { expectedStatus: store.status });
+
+      if (!store) {
+        throw new ConflictError(
+          'Store status changed concurrently. Aborting provisioning.',
+          'Retry the operation.'
+        );
+      }
 
-    if (!store) {
-      throw new ConflictError(
-        'Store status changed concurrently. Aborting provisioning.',
-        'Retry the operation.'
-      );
+      await auditService.log({
+        storeId,
+        eventType: 'status_change',
+        previousStatus: STATES.REQUESTED,
+        newStatus: STATES.PROVISIONING,
+        message: 'Provisioning started',
+      });
     }
 
-    await auditService.log({
-      storeId,
-      eventType: 'status_change',
-      previousStatus: STATES.REQUESTED,
-      newStatus: STATES.PROVISIONING,
-      message: 'Provisioning started',
-    });
-
     // Step 2: Create namespace
-    await auditService.log({
-      storeId,
-      eventType: 'info',
-      message: 'Creating Kubernetes namespace',
-      metadata: { namespace: store.namespace, correlationId: cid },
-    });
+    if (phaseDone(PHASES.NAMESPACE_CREATE)) {
+      await skipPhase(PHASES.NAMESPACE_CREATE);
+    } else {
+      await auditService.log({
+        storeId,
+        eventType: 'info',
+        message: 'Creating Kubernetes namespace',
+        metadata: { namespace: store.namespace, correlationId: cid },
+      });
 
-    await timedStep(storeId, store.engine, PHASES.NAMESPACE_CREATE, cid, () =>
-      retryWithBackoff(
-        () => k8sService.createNamespace(store.namespace, {
-          'mt-ecommerce/engine': store.engine,
-          'mt-ecommerce/store-name': store.name,
-        }),
-        { maxRetries: 2, operationName: 'createNamespace' }
-      )
-    );
+      await timedStep(storeId, store.engine, PHASES.NAMESPACE_CREATE, cid, () =>
+        retryWithBackoff(
+          () => k8sService.createNamespace(store.namespace, {
+            'mt-ecommerce/engine': store.engine,
+            'mt-ecommerce/store-name': store.name,
+          }),
+          { maxRetries: 2, operationName: 'createNamespace' }
+        )
+      );
+    }
 
     // Step 3: Generate credentials and install Helm chart
 
@@ -371,13 +672,27 @@ async function provisionStoreAsync(storeId, { tenantPassword, correlationId } =
       };
     }
 
+    // Size the namespace for the store's plan; verified custom domains stay
+    // routed when a store is re-provisioned
+    Object.assign(setValues, planSetValues(store.plan), await domainService.ingressValues(storeId));
+
     // ── Duplicate Helm release guard (race condition defense) ──
     // Check if a Helm release already exists before attempting install
     const existingRelease = await helmService.status(store.helmRelease, store.namespace);
+    let chartVersion = null;
     if (existingRelease && existingRelease?.info?.status === 'deployed') {
+      chartVersion = existingRelease?.chart?.metadata?.version || null;
       logger.warn('[lifecycle] Helm release already deployed — skipping install (race condition guard)', {
         storeId, helmRelease: store.helmRelease, correlationId: cid,
       });
+      // The release was installed with the credentials saved by the run that installed it
+      const saved = secretsService.openAdminCredentials(store);
+      if (saved && saved.password) {
+        credentials.adminPassword = saved.password;
+        credentials.adminEmail = saved.email || credentials.adminEmail;
+        credentials.adminUsername = saved.username || credentials.adminUsername;
+      }
+      await skipPhase(PHASES.HELM_INSTALL, phaseDone(PHASES.HELM_INSTALL) ? null : { chartVersion });
       await auditService.log({
         storeId,
         eventType: 'info',
@@ -400,7 +715,7 @@ async function provisionStoreAsync(storeId, { tenantPassword, correlationId } =
         metadata: { engine: store.engine, namespace: store.namespace, correlationId: cid },
       });
 
-      await timedStep(storeId, store.engine, PHASES.HELM_INSTALL, cid, () =>
+      const installed = await timedStep(storeId, store.engine, PHASES.HELM_INSTALL, cid, () =>
         retryWithBackoff(
           () => helmService.install({
             releaseName: store.helmRelease,
@@ -411,6 +726,12 @@ async function provisionStoreAsync(storeId, { tenantPassword, correlationId } =
           { maxRetries: 1, operationName: 'helmInstall' }
         )
       );
+      chartVersion = installed.chartVersion;
+
+      // Save the admin credentials now: a resumed run skips the install and needs them
+      store = await storeRegistry.update(storeId, {
+        adminCredentials: secretsService.sealAdminCredentials(storeId, toAdminCredentials(store.engine, credentials)),
+      });
     }
 
     // Step 4: Quick readiness verification (helm --wait already polled for full readiness)
@@ -450,8 +771,8 @@ async function provisionStoreAsync(storeId, { tenantPassword, correlationId } =
       throw new ProvisioningError(reason, { retryable: readiness.timedOut });
     }
 
-    // Step 4b: Verify ResourceQuota and LimitRange enforcement
-    const boundaries = await k8sService.verifyResourceBoundaries(store.namespace);
+    // Step 4b: Verify ResourceQuota and LimitRange enforcement (sized for the plan)
+    const boundaries = await k8sService.verifyResourceBoundaries(store.namespace, { plan: store.plan });
     if (boundaries.quotaEnforced && boundaries.limitRangeEnforced) {
       logger.info('[lifecycle] Resource boundaries verified', {
         storeId, correlationId: cid,
@@ -465,16 +786,66 @@ async function provisionStoreAsync(storeId, { tenantPassword, correlationId } =
         limitRangeEnforced: boundaries.limitRangeEnforced,
       });
     }
+    if (boundaries.quotaEnforced && !boundaries.planMatches) {
+      logger.warn('[lifecycle] ResourceQuota does not match the store plan', {
+        storeId, correlationId: cid, plan: store.plan, mismatches: boundaries.planMismatches,
+      });
+    }
 
     await auditService.log({
       storeId,
       eventType: 'info',
-      message: `Resource boundaries: quota=${boundaries.quotaEnforced ? 'enforced' : 'MISSING'}, limitRange=${boundaries.limitRangeEnforced ? 'enforced' : 'MISSING'}`,
+      message: `Resource boundaries: quota=${boundaries.quotaEnforced ? 'enforced' : 'MISSING'}, limitRange=${boundaries.limitRangeEnforced ? 'enforced' : 'MISSING'}, plan '${store.plan}'=${boundaries.planMatches ? 'matched' : 'MISMATCH'}`,
       metadata: { boundaries, correlationId: cid },
     });
 
-    // Step 5: Engine-specific setup via kubectl exec
-    if (store.engine === 'woocommerce') {
+    // Primary custom domain when one is active, else the generated host
+    const storeUrls = await domainService.resolveStoreUrls(store);
+
+    // Step 5: Engine-specific setup via kubectl exec — skipped when seeding
+    // from a backup or cloning, where the data already contains the store's
+    // setup. Unlike demo seeding, a failed restore fails the store: it would
+    // be empty.
+    if (store.restoreBackupId || store.clonedFrom) {
+      let backup;
+      if (store.restoreBackupId) {
+        backup = await backupService.getBackupById(store.restoreBackupId);
+      } else {
+        // Clones snapshot their source on first provisioning; retries reuse the snapshot
+        backup = await timedStep(storeId, store.engine, PHASES.SOURCE_SNAPSHOT, cid, () =>
+          backupService.createBackupAndWait(store.clonedFrom, { trigger: 'clone', correlationId: cid })
+        );
+        store = await storeRegistry.update(storeId, { restoreBackupId: backup.id });
+      }
+      backupService.assertRestorable(backup, store.engine);
+
+      const restoreResult = await applyBackup(store, backup, {
+        adminCredentials: { username: credentials.adminUsername, password: credentials.adminPassword },
+        filesFrom: store.clonedFrom ? await storeRegistry.findById(store.clonedFrom) : null,
+        correlationId: cid,
+      });
+
+      // Medusa admin users live in the restored database, so the source
+      // store's credentials are the ones that work
+      if (store.engine === 'medusa') {
+        const source = await storeRegistry.findById(backup.storeId);
+        const sourceCredentials = source && secretsService.openAdminCredentials(source);
+        if (sourceCredentials && sourceCredentials.email) {
+          credentials.adminEmail = sourceCredentials.email;
+          credentials.adminPassword = sourceCredentials.password;
+        }
+      }
+
+      await auditService.log({
+        storeId,
+        eventType: 'restore',
+        message: `Store data restored from backup of '${backup.storeId}' taken ${backup.createdAt}`,
+        metadata: { ...restoreResult, correlationId: cid },
+      });
+    } else if (phaseDone(PHASES.ENGINE_SETUP)) {
+      logger.info('[lifecycle] Engine setup completed by a previous run — skipping', { storeId, correlationId: cid });
+      await skipPhase(PHASES.ENGINE_SETUP);
+    } else if (store.engine === 'woocommerce') {
       await auditService.log({
         storeId,
         eventType: 'info',
@@ -487,7 +858,7 @@ async function provisionStoreAsync(storeId, { tenantPassword, correlationId } =
           storeSetupService.setupWooCommerce({
             namespace: store.namespace,
             storeId,
-            siteUrl: config.buildStoreUrl(storeId),
+            siteUrl: storeUrls.storefrontUrl,
             credentials,
             theme: store.theme || 'storefront',
           })
@@ -554,30 +925,24 @@ async function provisionStoreAsync(storeId, { tenantPassword, correlationId } =
     }
 
     // Step 6: Extract URLs
-    const storefrontUrl = config.buildStoreUrl(storeId);
-    const adminUrl = store.engine === 'woocommerce'
-      ? `${storefrontUrl}/wp-admin`
-      : `${storefrontUrl}/admin`;
+    const { storefrontUrl, adminUrl } = storeUrls;
 
     // Step 7: Transition to READY
     const now = new Date();
     const provisioningDurationMs = Date.now() - new Date(store.provisioningStartedAt).getTime();
 
     // Persist admin credentials so tenant can access them
-    const adminCredentialsPayload = store.engine === 'medusa'
-      ? { email: credentials.adminEmail, password: credentials.adminPassword }
-      : store.engine === 'woocommerce'
-        ? { email: credentials.adminEmail, username: credentials.adminUsername, password: credentials.adminPassword }
-        : {};
-
-    store = await storeRegistry.update(storeId, {
-      status: STATES.READY,
-      storefrontUrl,
-      adminUrl,
-      adminCredentials: adminCredentialsPayload,
-      provisioningCompletedAt: now.toISOString(),
-      provisioningDurationMs,
-    });
+    store = await timedStep(storeId, store.engine, PHASES.FINALIZE, cid, () =>
+      storeRegistry.update(storeId, {
+        status: STATES.READY,
+        storefrontUrl,
+        adminUrl,
+        adminCredentials: secretsService.sealAdminCredentials(storeId, toAdminCredentials(store.engine, credentials)),
+        chartVersion,
+        provisioningCompletedAt: now.toISOString(),
+        provisioningDurationMs,
+      })
+    );
 
     await auditService.log({
       storeId,
@@ -606,6 +971,9 @@ async function provisionStoreAsync(storeId, { tenantPassword, correlationId } =
     provisioningDuration.observe({ engine: store.engine }, provisioningDurationMs);
 
   } catch (err) {
+    // The job was re-queued and its next owner carries on — leave the store be
+    if (err instanceof LeaseLostError) throw err;
+
     // Transition to FAILED
     const failureDurationMs = activeOperations.has(storeId)
       ? Date.now() - activeOperations.get(storeId)
@@ -615,9 +983,12 @@ async function provisionStoreAsync(storeId, { tenantPassword, correlationId } =
       storeId, correlationId: cid, error: err.message, failureDurationMs,
     });
 
+    const failure = await classifyFailure(storeId, err, { inspectNamespace: true });
     await storeRegistry.update(storeId, {
       status: STATES.FAILED,
       failureReason: err.message,
+      failureCode: failure.code,
+      failureEvidence: failure.evidence,
       provisioningCompletedAt: new Date().toISOString(),
     }).catch(updateErr => {
       logger.error('Failed to update store status to failed', {
@@ -629,21 +1000,48 @@ async function provisionStoreAsync(storeId, { tenantPassword, correlationId } =
     await auditService.log({
       storeId,
       eventType: 'error',
+      previousStatus: STATES.PROVISIONING,
       newStatus: STATES.FAILED,
       message: `Provisioning failed: ${err.message}`,
-      metadata: { errorCode: err.code, retryable: err.retryable, correlationId: cid, failureDurationMs },
+      metadata: {
+        errorCode: err.code,
+        failureCode: failure.code,
+        failureCategory: failure.category,
+        retryable: failure.retryable,
+        correlationId: cid,
+        failureDurationMs,
+      },
     }).catch(() => { }); // never crash on audit failure
 
     storesTotal.inc({ status: 'failed' });
 
+    await followUpFailure(storeId, failure).catch((followUpErr) => {
+      logger.error('Failed to schedule follow-up of failed provisioning', { storeId, error: followUpErr.message });
+    });
+
   } finally {
     activeOperations.delete(storeId);
+    provisioningRuns.delete(storeId);
     activeProvisioningOps.dec();
-    if (release) release();
-    updateSemaphoreMetrics();
   }
 }
 
+/**
+ * The admin login saved on the store record (what the tenant sees).
+ * @param {string} engine
+ * @param {Object} credentials - Generated install credentials
+ * @returns {Object}
+ */
+function toAdminCredentials(engine, credentials) {
+  if (engine === 'medusa') {
+    return { email: credentials.adminEmail, password: credentials.adminPassword };
+  }
+  if (engine === 'woocommerce') {
+    return { email: credentials.adminEmail, username: credentials.adminUsername, password: credentials.adminPassword };
+  }
+  return {};
+}
+
 /**
  * Delete a store.
  * Validates state, transitions to DELETING, then runs cleanup async.
@@ -659,11 +1057,13 @@ async function deleteStore(storeId) {
   if (!deleteCheck.allowed) {
     throw new ConflictError(deleteCheck.reason, 'Wait for the current operation to complete.');
   }
+  await assertNoActiveJob(storeId);
 
   // Transition to DELETING (with optimistic lock)
   assertTransition(store.status, STATES.DELETING);
   const updatedStore = await storeRegistry.update(storeId, {
     status: STATES.DELETING,
+    nextRetryAt: null,
   }, { expectedStatus: store.status });
 
   if (!updatedStore) {
@@ -681,9 +1081,10 @@ async function deleteStore(storeId) {
     message: 'Store deletion initiated',
   });
 
-  // Kick off async deletion
-  deleteStoreAsync(storeId).catch(err => {
-    logger.error('Unhandled deletion error', { storeId, error: err.message });
+  // Queue async deletion
+  await enqueueJob(storeId, jobQueueService.JOB_TYPES.DELETE, {
+    fromStatus: STATES.DELETING,
+    revert: { status: store.status },
   });
 
   return updatedStore;
@@ -706,31 +1107,6 @@ async function deleteStoreAsync(storeId) {
   activeOperations.set(storeId, Date.now());
   const deleteStart = Date.now();
 
-  // ── Acquire semaphore slot (limits global concurrency) ──
-  let release;
-  try {
-    updateSemaphoreMetrics();
-    const permit = await provisioningSemaphore.acquire();
-    release = permit.release;
-    if (permit.waitMs > 0) {
-      provisioningQueueWaitMs.observe({}, permit.waitMs);
-      logger.info('[lifecycle] Deletion slot acquired after queuing', {
-        storeId, waitMs: permit.waitMs,
-      });
-    }
-    updateSemaphoreMetrics();
-  } catch (semErr) {
-    activeOperations.delete(storeId);
-    updateSemaphoreMetrics();
-    // For deletions, don't reject — log and fail the store
-    logger.error('[lifecycle] Deletion queued too long or rejected', { storeId, error: semErr.message });
-    await storeRegistry.update(storeId, {
-      status: STATES.FAILED,
-      failureReason: `Deletion deferred: ${semErr.message}`,
-    }).catch(() => { });
-    return;
-  }
-
   try {
     const store = await storeRegistry.findById(storeId);
     if (!store) throw new NotFoundError('Store', storeId);
@@ -798,6 +1174,7 @@ async function deleteStoreAsync(storeId) {
       status: STATES.DELETED,
       deletedAt: new Date().toISOString(),
     });
+    await domainService.releaseDomains(storeId);
 
     await auditService.log({
       storeId,
@@ -813,11 +1190,16 @@ async function deleteStoreAsync(storeId) {
     });
 
   } catch (err) {
+    // The job was re-queued and its next owner carries on — leave the store be
+    if (err instanceof LeaseLostError) throw err;
     logger.error('Store deletion failed', { storeId, error: err.message });
 
+    const failure = await classifyFailure(storeId, err);
     await storeRegistry.update(storeId, {
       status: STATES.FAILED,
       failureReason: `Deletion failed: ${err.message}`,
+      failureCode: failure.code,
+      failureEvidence: failure.evidence,
     }).catch(() => { });
 
     await auditService.log({
@@ -825,21 +1207,32 @@ async function deleteStoreAsync(storeId) {
       eventType: 'error',
       newStatus: STATES.FAILED,
       message: `Deletion failed: ${err.message}`,
+      metadata: { errorCode: err.code, failureCode: failure.code, retryable: failure.retryable },
     }).catch(() => { });
 
   } finally {
     activeOperations.delete(storeId);
-    if (release) release();
-    updateSemaphoreMetrics();
   }
 }
 
 /**
  * Retry a failed store provisioning.
+ *
+ * By default the retry resumes: phases an earlier attempt completed (see
+ * provisioning_checkpoints) are skipped and provisioning picks up at the
+ * phase that failed. With fromScratch, the Helm release and namespace are
+ * torn down and the checkpoints forgotten, so every phase runs again.
+ * Failures classified as not retryable (an image that cannot be pulled, an
+ * exceeded quota) are refused unless forced once the cause is fixed.
+ *
  * @param {string} storeId
+ * @param {Object} [options]
+ * @param {boolean} [options.fromScratch=false]
+ * @param {boolean} [options.force=false] - Retry a failure classified as not retryable
+ * @param {boolean} [options.automatic=false] - Started by the retry scheduler, not a user
  * @returns {Promise<Object>}
  */
-async function retryStore(storeId) {
+async function retryStore(storeId, { fromScratch = false, force = false, automatic = false } = {}) {
   const store = await storeRegistry.findById(storeId);
   if (!store) throw new NotFoundError('Store', storeId);
 
@@ -848,6 +1241,15 @@ async function retryStore(storeId) {
     throw new ConflictError(retryCheck.reason, 'Only failed stores can be retried.');
   }
 
+  // A failure a retry cannot fix on its own needs the cause fixed first
+  const failure = store.failureCode ? failureClassifier.describe(store.failureCode) : null;
+  if (failure && !failure.retryable && !force) {
+    throw new ConflictError(
+      `Store failed with ${failure.code} (${failure.category}), which retrying alone does not fix.`,
+      `${failure.remediation} Once the cause is fixed, retry with force.`
+    );
+  }
+
   if (store.retryCount >= config.provisioning.maxRetries) {
     throw new ConflictError(
       `Maximum retry count (${config.provisioning.maxRetries}) reached.`,
@@ -855,7 +1257,78 @@ async function retryStore(storeId) {
     );
   }
 
-  // Cleanup any leftover resources before retrying (idempotent)
+  if (fromScratch) {
+    await cleanupBeforeRetry(store);
+    await checkpointService.clearCheckpoints(storeId);
+  } else {
+    const completed = await checkpointService.getCompletedPhases(storeId);
+    await auditService.log({
+      storeId,
+      eventType: 'info',
+      message: completed.size > 0
+        ? `Retry #${store.retryCount + 1} resumes after completed phases: ${[...completed.keys()].join(', ')}`
+        : `Retry #${store.retryCount + 1} starts from the first phase — no phase completed earlier`,
+      metadata: { retryCount: store.retryCount + 1, completedPhases: [...completed.keys()] },
+    });
+  }
+
+  // Transition back to REQUESTED — the lock lets only one of two racing retries through
+  assertTransition(store.status, STATES.REQUESTED);
+  const updatedStore = await storeRegistry.update(storeId, {
+    status: STATES.REQUESTED,
+    failureReason: null,
+    failureCode: null,
+    failureEvidence: null,
+    nextRetryAt: null,
+    retryCount: store.retryCount + 1,
+    provisioningStartedAt: null,
+    provisioningCompletedAt: null,
+    provisioningDurationMs: null,
+  }, { expectedStatus: STATES.FAILED });
+
+  if (!updatedStore) {
+    throw new ConflictError(
+      'Store status changed concurrently. Aborting retry.',
+      'Refresh and try again.'
+    );
+  }
+
+  await auditService.log({
+    storeId,
+    eventType: 'status_change',
+    previousStatus: STATES.FAILED,
+    newStatus: STATES.REQUESTED,
+    message: `${automatic ? 'Automatic retry' : 'Retry'} #${store.retryCount + 1} initiated${failure && !failure.retryable ? ` (forced past ${failure.code})` : ''}`,
+    metadata: { retryCount: store.retryCount + 1, failureCode: store.failureCode, forced: Boolean(force), automatic },
+  });
+
+  // Queue provisioning again
+  await enqueueJob(storeId, jobQueueService.JOB_TYPES.RETRY, {
+    payload: { retryCount: store.retryCount + 1, fromScratch },
+    fromStatus: STATES.REQUESTED,
+    revert: {
+      status: STATES.FAILED,
+      failureReason: store.failureReason,
+      failureCode: store.failureCode,
+      failureEvidence: store.failureEvidence,
+      retryCount: store.retryCount,
+      // A full queue postpones an automatic retry instead of dropping it
+      nextRetryAt: automatic
+        ? new Date(Date.now() + retryPolicy.backoffDelayMs(store.retryCount + 1)).toISOString()
+        : null,
+    },
+  });
+
+  return storeRegistry.findById(storeId);
+}
+
+/**
+ * Remove a failed store's Helm release and namespace before a from-scratch
+ * retry, and wait (up to 15s) until the namespace is gone.
+ * @param {Object} store
+ */
+async function cleanupBeforeRetry(store) {
+  const storeId = store.id;
   logger.info('[lifecycle] Pre-retry cleanup started', { storeId, retryCount: store.retryCount + 1 });
   try {
     await helmService.uninstall({
@@ -899,50 +1372,1192 @@ async function retryStore(storeId) {
     message: `Pre-retry cleanup completed. Leftover resources removed before retry #${store.retryCount + 1}`,
     metadata: { retryCount: store.retryCount + 1 },
   });
+}
+
+/**
+ * Re-provision a ready or suspended store whose namespace or Helm release has
+ * gone missing from the cluster (drift repair). Checkpoints are cleared so
+ * every phase runs again: the namespace is created if needed and the chart
+ * re-installed. Runs async — returns the REQUESTED record.
+ *
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {string} [options.reason] - What drifted (audited)
+ * @param {string} [options.requestedBy] - Email of the admin requesting the repair
+ * @param {string} [options.correlationId]
+ * @returns {Promise<Object>} Updated store record
+ */
+async function repairStore(storeId, { reason, requestedBy, correlationId } = {}) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store) throw new NotFoundError('Store', storeId);
+
+  const repairCheck = canRepair(store.status);
+  if (!repairCheck.allowed) {
+    throw new ConflictError(repairCheck.reason, 'Retry failed stores instead; wait for other operations to finish.');
+  }
+  await assertNoActiveJob(storeId);
 
-  // Transition back to REQUESTED
   assertTransition(store.status, STATES.REQUESTED);
-  await storeRegistry.update(storeId, {
+  const updatedStore = await storeRegistry.update(storeId, {
     status: STATES.REQUESTED,
     failureReason: null,
-    retryCount: store.retryCount + 1,
+    failureCode: null,
+    failureEvidence: null,
     provisioningStartedAt: null,
     provisioningCompletedAt: null,
     provisioningDurationMs: null,
-  });
+  }, { expectedStatus: store.status });
+
+  if (!updatedStore) {
+    throw new ConflictError(
+      'Store status changed concurrently. Aborting repair.',
+      'Refresh and try again.'
+    );
+  }
+  await checkpointService.clearCheckpoints(storeId);
 
   await auditService.log({
     storeId,
     eventType: 'status_change',
-    previousStatus: STATES.FAILED,
+    previousStatus: store.status,
     newStatus: STATES.REQUESTED,
-    message: `Retry #${store.retryCount + 1} initiated`,
-    metadata: { retryCount: store.retryCount + 1 },
+    message: `Store repair initiated — re-provisioning${reason ? `: ${reason}` : ''}`,
+    metadata: { reason: reason || null, requestedBy: requestedBy || null, correlationId: correlationId || null },
   });
 
-  // Kick off provisioning again
-  provisionStoreAsync(storeId).catch(err => {
-    logger.error('Unhandled retry provisioning error', { storeId, error: err.message });
+  await enqueueJob(storeId, jobQueueService.JOB_TYPES.RETRY, {
+    payload: { repair: true },
+    correlationId,
+    fromStatus: STATES.REQUESTED,
+    revert: { status: store.status },
   });
 
-  return storeRegistry.findById(storeId);
+  return updatedStore;
 }
 
 /**
- * Get a single store by ID.
+ * Suspend a ready store.
+ * Scales every Deployment/StatefulSet in the namespace to zero while keeping
+ * the Helm release and PVCs, so the store stops consuming compute but can be
+ * resumed with its data intact. Runs async — returns the SUSPENDING record.
+ *
  * @param {string} storeId
- * @returns {Promise<Object>}
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why the store is being suspended (audited)
+ * @param {string} [options.requestedBy] - Email of the user requesting suspension
+ * @returns {Promise<Object>} Updated store record
  */
-async function getStore(storeId) {
+async function suspendStore(storeId, { reason, requestedBy } = {}) {
   const store = await storeRegistry.findById(storeId);
   if (!store) throw new NotFoundError('Store', storeId);
-  return store;
-}
 
-/**
- * List stores with optional filters.
- * @param {Object} [filters]
- * @returns {Promise<{ stores: Object[], total: number }>}
+  const suspendCheck = canSuspend(store.status);
+  if (!suspendCheck.allowed) {
+    throw new ConflictError(suspendCheck.reason, 'Only ready or degraded stores can be suspended.');
+  }
+  await assertNoActiveJob(storeId);
+
+  assertTransition(store.status, STATES.SUSPENDING);
+  const updatedStore = await storeRegistry.update(storeId, {
+    status: STATES.SUSPENDING,
+  }, { expectedStatus: store.status });
+
+  if (!updatedStore) {
+    throw new ConflictError(
+      'Store status changed concurrently. Aborting suspension.',
+      'Refresh and try again.'
+    );
+  }
+
+  await auditService.log({
+    storeId,
+    eventType: 'status_change',
+    previousStatus: store.status,
+    newStatus: STATES.SUSPENDING,
+    message: `Store suspension initiated${reason ? `: ${reason}` : ''}`,
+    metadata: { reason: reason || null, requestedBy: requestedBy || null },
+  });
+
+  await enqueueJob(storeId, jobQueueService.JOB_TYPES.SUSPEND, {
+    fromStatus: STATES.SUSPENDING,
+    revert: { status: store.status },
+  });
+
+  return updatedStore;
+}
+
+/**
+ * Internal async suspension workflow.
+ *
+ * Steps:
+ * 1. Scale Deployments/StatefulSets to zero (replica counts remembered)
+ * 2. Wait for pods to terminate
+ * 3. Transition to SUSPENDED
+ */
+async function suspendStoreAsync(storeId) {
+  if (activeOperations.has(storeId)) {
+    logger.warn('Operation already in progress for store', { storeId });
+    return;
+  }
+  activeOperations.set(storeId, Date.now());
+  const cid = `suspend-${storeId}`;
+
+  try {
+    const store = await storeRegistry.findById(storeId);
+    if (!store) throw new NotFoundError('Store', storeId);
+
+    logger.info('[lifecycle] Suspension workflow started', { storeId, engine: store.engine });
+
+    await auditService.log({
+      storeId,
+      eventType: 'info',
+      message: `Scaling workloads in '${store.namespace}' to zero (PVCs retained)`,
+    });
+
+    const scaled = await timedStep(storeId, store.engine, PHASES.SCALE_DOWN, cid, () =>
+      retryWithBackoff(
+        () => k8sService.suspendWorkloads(store.namespace),
+        { maxRetries: 2, operationName: 'suspendWorkloads' }
+      )
+    );
+
+    // Pods terminate asynchronously — wait briefly so the status is truthful
+    const podsTerminated = await timedStep(storeId, store.engine, PHASES.POD_TERMINATION, cid, async () => {
+      const deadline = Date.now() + 120000; // 2 min max wait
+      while (Date.now() < deadline) {
+        const pods = await k8sService.checkPodsReady(store.namespace);
+        if (pods.total === 0) return true;
+        logger.debug('Waiting for pods to terminate', { storeId, remaining: pods.total });
+        await new Promise(resolve => setTimeout(resolve, 3000));
+      }
+      logger.warn('Pod termination wait timed out — marking suspended anyway', { storeId });
+      return false;
+    });
+
+    const suspendedStore = await storeRegistry.update(storeId, {
+      status: STATES.SUSPENDED,
+      suspendedAt: new Date().toISOString(),
+    }, { expectedStatus: STATES.SUSPENDING });
+
+    if (!suspendedStore) {
+      throw new ConflictError('Store status changed concurrently during suspension.');
+    }
+
+    await auditService.log({
+      storeId,
+      eventType: 'status_change',
+      previousStatus: STATES.SUSPENDING,
+      newStatus: STATES.SUSPENDED,
+      message: `Store suspended — ${scaled.length} workload(s) scaled to zero${podsTerminated ? '' : ' (pod termination wait timed out)'}`,
+      metadata: { workloads: scaled, podsTerminated },
+    });
+
+    storesTotal.inc({ status: 'suspended' });
+    logger.info('[lifecycle] Suspension workflow completed', { storeId, workloads: scaled.length });
+
+  } catch (err) {
+    // The job was re-queued and its next owner carries on — leave the store be
+    if (err instanceof LeaseLostError) throw err;
+    logger.error('[lifecycle] Suspension workflow failed', { storeId, error: err.message });
+
+    const failure = await classifyFailure(storeId, err);
+    await storeRegistry.update(storeId, {
+      status: STATES.FAILED,
+      failureReason: `Suspension failed: ${err.message}`,
+      failureCode: failure.code,
+      failureEvidence: failure.evidence,
+    }).catch(() => { });
+
+    await auditService.log({
+      storeId,
+      eventType: 'error',
+      previousStatus: STATES.SUSPENDING,
+      newStatus: STATES.FAILED,
+      message: `Suspension failed: ${err.message}`,
+      metadata: { errorCode: err.code, failureCode: failure.code, retryable: failure.retryable },
+    }).catch(() => { });
+
+    storesTotal.inc({ status: 'failed' });
+
+  } finally {
+    activeOperations.delete(storeId);
+  }
+}
+
+/**
+ * Resume a suspended store.
+ * Restores the pre-suspension replica counts and re-verifies readiness.
+ * Runs async — returns the RESUMING record.
+ *
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy] - Email of the user requesting resumption
+ * @returns {Promise<Object>} Updated store record
+ */
+async function resumeStore(storeId, { requestedBy } = {}) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store) throw new NotFoundError('Store', storeId);
+
+  const resumeCheck = canResume(store.status);
+  if (!resumeCheck.allowed) {
+    throw new ConflictError(resumeCheck.reason, 'Only suspended stores can be resumed.');
+  }
+  await assertNoActiveJob(storeId);
+
+  assertTransition(store.status, STATES.RESUMING);
+  const updatedStore = await storeRegistry.update(storeId, {
+    status: STATES.RESUMING,
+  }, { expectedStatus: store.status });
+
+  if (!updatedStore) {
+    throw new ConflictError(
+      'Store status changed concurrently. Aborting resume.',
+      'Refresh and try again.'
+    );
+  }
+
+  await auditService.log({
+    storeId,
+    eventType: 'status_change',
+    previousStatus: store.status,
+    newStatus: STATES.RESUMING,
+    message: 'Store resume initiated',
+    metadata: { requestedBy: requestedBy || null },
+  });
+
+  // Workloads are still at zero — if the job can't be queued the store stays suspended
+  await enqueueJob(storeId, jobQueueService.JOB_TYPES.RESUME, {
+    fromStatus: STATES.RESUMING,
+    revert: { status: STATES.SUSPENDED },
+  });
+
+  return updatedStore;
+}
+
+/**
+ * Internal async resume workflow.
+ * Runs as a queued job because bringing pods back up costs as much cluster
+ * capacity as a fresh install.
+ *
+ * Steps:
+ * 1. Scale workloads back to their remembered replica counts
+ * 2. Poll for readiness (pods ready + jobs complete)
+ * 3. Transition to READY or FAILED
+ */
+async function resumeStoreAsync(storeId) {
+  if (activeOperations.has(storeId)) {
+    logger.warn('Operation already in progress for store', { storeId });
+    return;
+  }
+  activeOperations.set(storeId, Date.now());
+  const cid = `resume-${storeId}`;
+  const resumeStart = Date.now();
+
+  try {
+    const store = await storeRegistry.findById(storeId);
+    if (!store) throw new NotFoundError('Store', storeId);
+
+    logger.info('[lifecycle] Resume workflow started', { storeId, engine: store.engine });
+
+    const scaled = await timedStep(storeId, store.engine, PHASES.SCALE_UP, cid, () =>
+      retryWithBackoff(
+        () => k8sService.resumeWorkloads(store.namespace),
+        { maxRetries: 2, operationName: 'resumeWorkloads' }
+      )
+    );
+
+    await auditService.log({
+      storeId,
+      eventType: 'info',
+      message: `Scaled ${scaled.length} workload(s) back up — waiting for readiness`,
+      metadata: { workloads: scaled },
+    });
+
+    const readiness = await timedStep(storeId, store.engine, PHASES.POD_READINESS, cid, () =>
+      k8sService.pollForReadiness(store.namespace, {
+        onProgress: (status) => {
+          logger.debug('Resume readiness check', {
+            storeId,
+            podsReady: `${status.podsReadyCount}/${status.podsTotal}`,
+          });
+        },
+      })
+    );
+
+    if (!readiness.ready) {
+      const reason = readiness.timedOut
+        ? `Resume timed out after ${Math.round(readiness.durationMs / 1000)}s`
+        : readiness.error || 'Pods failed to become ready';
+      throw new ProvisioningError(reason, { retryable: readiness.timedOut });
+    }
+
+    const resumeDurationMs = Date.now() - resumeStart;
+
+    await storeRegistry.update(storeId, {
+      status: STATES.READY,
+      suspendedAt: null,
+    });
+
+    await auditService.log({
+      storeId,
+      eventType: 'status_change',
+      previousStatus: STATES.RESUMING,
+      newStatus: STATES.READY,
+      message: `Store resumed in ${Math.round(resumeDurationMs / 1000)}s`,
+      metadata: { resumeDurationMs },
+    });
+
+    storesTotal.inc({ status: 'ready' });
+    logger.info('[lifecycle] Resume workflow completed', { storeId, resumeDurationMs });
+
+  } catch (err) {
+    // The job was re-queued and its next owner carries on — leave the store be
+    if (err instanceof LeaseLostError) throw err;
+    logger.error('[lifecycle] Resume workflow failed', { storeId, error: err.message });
+
+    const failure = await classifyFailure(storeId, err, { inspectNamespace: true });
+    await storeRegistry.update(storeId, {
+      status: STATES.FAILED,
+      failureReason: `Resume failed: ${err.message}`,
+      failureCode: failure.code,
+      failureEvidence: failure.evidence,
+    }).catch(() => { });
+
+    await auditService.log({
+      storeId,
+      eventType: 'error',
+      previousStatus: STATES.RESUMING,
+      newStatus: STATES.FAILED,
+      message: `Resume failed: ${err.message}`,
+      metadata: { errorCode: err.code, failureCode: failure.code, retryable: failure.retryable },
+    }).catch(() => { });
+
+    storesTotal.inc({ status: 'failed' });
+
+  } finally {
+    activeOperations.delete(storeId);
+  }
+}
+
+/**
+ * Upgrade a ready store in place.
+ * Re-applies the current chart to the store's existing Helm release while
+ * keeping the values it was installed with. If the upgrade or the
+ * post-upgrade readiness check fails, the release is rolled back to its
+ * previous revision and the store returns to READY. Runs async — returns the
+ * UPGRADING record.
+ *
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why the store is being upgraded (audited)
+ * @param {string} [options.requestedBy] - Email of the user requesting the upgrade
+ * @param {string} [options.correlationId] - HTTP requestId for traceability
+ * @returns {Promise<Object>} Updated store record
+ */
+async function upgradeStore(storeId, { reason, requestedBy, correlationId } = {}) {
+  const updatedStore = await beginUpgrade(storeId, { reason, requestedBy, correlationId });
+  await enqueueUpgrade(storeId, { correlationId });
+  return updatedStore;
+}
+
+/**
+ * Upgrade a ready store and wait for the outcome.
+ * Same workflow as upgradeStore(), for callers that need to know how the
+ * upgrade ended (e.g. fleet rollouts deciding whether to continue). An
+ * upgrade that has not finished after PROVISIONING_TIMEOUT_MS is reported as
+ * failed; the job itself carries on.
+ *
+ * @param {string} storeId
+ * @param {Object} [options] - Same as upgradeStore()
+ * @returns {Promise<{ outcome: string, error?: string }>} See upgradeStoreAsync()
+ * @throws {ConflictError} When another job holds the store
+ */
+async function upgradeStoreAndWait(storeId, { reason, requestedBy, correlationId } = {}) {
+  await beginUpgrade(storeId, { reason, requestedBy, correlationId });
+
+  let job;
+  try {
+    job = await enqueueUpgrade(storeId, { correlationId });
+  } catch (err) {
+    // The store was put back to READY untouched. A conflict means enqueue()
+    // returned another job on the store — waiting on it would report its outcome
+    if (err instanceof ConflictError) throw err;
+    return { outcome: 'deferred', error: err.message };
+  }
+
+  let finished;
+  try {
+    finished = await jobQueueService.waitForJob(job.id);
+  } catch (err) {
+    // Still queued or running past PROVISIONING_TIMEOUT_MS — count it as failed
+    return { outcome: 'failed', error: err.message };
+  }
+  return finished.result || { outcome: 'failed', error: finished.lastError || 'Upgrade job did not report an outcome' };
+}
+
+/**
+ * Move a ready store to another plan.
+ * Runs the upgrade workflow with the new plan's ResourceQuota/LimitRange
+ * values (re-applying the current chart), so a resize that does not come up
+ * healthy is rolled back and the store keeps its old plan. Runs async —
+ * returns the UPGRADING record.
+ *
+ * @param {string} storeId
+ * @param {Object} params
+ * @param {string} params.plan - Target plan
+ * @param {string} [params.requestedBy] - Email of the user requesting the resize
+ * @param {string} [params.correlationId] - HTTP requestId for traceability
+ * @returns {Promise<Object>} Updated store record
+ */
+async function changePlan(storeId, { plan, requestedBy, correlationId } = {}) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store) throw new NotFoundError('Store', storeId);
+
+  const target = getPlan(plan);
+  if (store.plan === target.name) {
+    throw new ConflictError(`Store is already on the '${target.name}' plan.`, 'Choose a different plan.');
+  }
+
+  const activeCount = await storeRegistry.countActiveByOwner(store.ownerId, { plan: target.name });
+  if (activeCount >= target.maxStoresPerUser) {
+    throw new StoreLimitError(target.maxStoresPerUser, target.name);
+  }
+
+  const updatedStore = await beginUpgrade(storeId, {
+    reason: `plan change from '${store.plan}' to '${target.name}'`,
+    requestedBy,
+    correlationId,
+  });
+
+  await enqueueUpgrade(storeId, { correlationId, plan: target.name });
+  return updatedStore;
+}
+
+/**
+ * Validate and record the READY → UPGRADING transition.
+ * @returns {Promise<Object>} Updated store record
+ */
+async function beginUpgrade(storeId, { reason, requestedBy, correlationId }) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store) throw new NotFoundError('Store', storeId);
+
+  const upgradeCheck = canUpgrade(store.status);
+  if (!upgradeCheck.allowed) {
+    throw new ConflictError(upgradeCheck.reason, 'Only ready or degraded stores can be upgraded.');
+  }
+  await assertNoActiveJob(storeId);
+
+  assertTransition(store.status, STATES.UPGRADING);
+  const updatedStore = await storeRegistry.update(storeId, {
+    status: STATES.UPGRADING,
+  }, { expectedStatus: store.status });
+
+  if (!updatedStore) {
+    throw new ConflictError(
+      'Store status changed concurrently. Aborting upgrade.',
+      'Refresh and try again.'
+    );
+  }
+
+  await auditService.log({
+    storeId,
+    eventType: 'status_change',
+    previousStatus: store.status,
+    newStatus: STATES.UPGRADING,
+    message: `Store upgrade initiated${reason ? `: ${reason}` : ''}`,
+    metadata: {
+      reason: reason || null,
+      requestedBy: requestedBy || null,
+      chartVersion: store.chartVersion,
+      correlationId: correlationId || null,
+    },
+  });
+
+  return updatedStore;
+}
+
+/**
+ * Queue the upgrade workflow for a store that beginUpgrade() moved to
+ * UPGRADING. Nothing has been touched yet, so a rejected job leaves the store
+ * READY on its current revision.
+ * @returns {Promise<Object>} The job
+ */
+function enqueueUpgrade(storeId, { correlationId, plan } = {}) {
+  return enqueueJob(storeId, jobQueueService.JOB_TYPES.UPGRADE, {
+    payload: plan ? { plan } : {},
+    correlationId,
+    fromStatus: STATES.UPGRADING,
+    revert: { status: STATES.READY },
+  });
+}
+
+/**
+ * Internal async upgrade workflow.
+ *
+ * Steps:
+ * 1. Record the currently deployed Helm revision
+ * 2. helm upgrade (reusing the release's values)
+ * 3. Verify readiness
+ * 4. On failure: helm rollback to the recorded revision and re-verify
+ * 5. Transition to READY (upgraded or rolled back) or FAILED (rollback failed)
+ *
+ * With a plan, the upgrade also applies that plan's quota/limit values and
+ * verifies the namespace quota matches it before the plan is recorded — a
+ * mismatch rolls back like any other failure.
+ *
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {string} [options.correlationId]
+ * @param {string} [options.plan] - Resize to this plan
+ * @returns {Promise<{ outcome: string, error?: string }>}
+ *   outcome is one of 'upgraded', 'rolled_back', 'failed', 'deferred', 'skipped'
+ */
+async function upgradeStoreAsync(storeId, { correlationId, plan } = {}) {
+  if (activeOperations.has(storeId)) {
+    logger.warn('Operation already in progress for store', { storeId });
+    return { outcome: 'skipped' };
+  }
+  activeOperations.set(storeId, Date.now());
+  const cid = correlationId || `upgrade-${storeId}`;
+  const upgradeStart = Date.now();
+
+  // Set once the upgrade itself has failed and a rollback is under way
+  let upgradeError = null;
+
+  try {
+    const store = await storeRegistry.findById(storeId);
+    if (!store) throw new NotFoundError('Store', storeId);
+
+    logger.info('[lifecycle] Upgrade workflow started', { storeId, engine: store.engine, correlationId: cid });
+
+    const current = await helmService.status(store.helmRelease, store.namespace);
+    if (!current) {
+      throw new ProvisioningError(
+        `Helm release '${store.helmRelease}' not found — nothing to upgrade`,
+        { retryable: false }
+      );
+    }
+    // A release left pending by an interrupted upgrade has no trustworthy
+    // revision of its own — 0 tells Helm to use the previous one.
+    const previousRevision = current.info?.status === 'deployed' ? current.version : 0;
+    const previousChartVersion = current.chart?.metadata?.version || store.chartVersion;
+
+    await auditService.log({
+      storeId,
+      eventType: 'helm_upgrade',
+      message: `Upgrading Helm release '${store.helmRelease}' (current revision ${current.version}, chart ${previousChartVersion || 'unknown'})`,
+      metadata: { previousRevision, previousChartVersion, releaseStatus: current.info?.status, correlationId: cid },
+    });
+
+    let upgraded;
+    try {
+      upgraded = await timedStep(storeId, store.engine, PHASES.HELM_UPGRADE, cid, () =>
+        helmService.upgrade({
+          releaseName: store.helmRelease,
+          namespace: store.namespace,
+          setValues: plan ? planSetValues(plan) : {},
+        })
+      );
+
+      await auditService.log({
+        storeId,
+        eventType: 'info',
+        message: `Helm upgrade applied (revision ${upgraded.revision}, chart ${upgraded.chartVersion || 'unknown'}) — verifying readiness`,
+        metadata: { revision: upgraded.revision, chartVersion: upgraded.chartVersion, correlationId: cid },
+      });
+
+      const readiness = await timedStep(storeId, store.engine, PHASES.POD_READINESS, cid, () =>
+        k8sService.pollForReadiness(store.namespace, { timeoutMs: UPGRADE_READINESS_TIMEOUT_MS })
+      );
+
+      if (!readiness.ready) {
+        throw new ProvisioningError(
+          readiness.timedOut
+            ? `Pods not ready ${Math.round(readiness.durationMs / 1000)}s after upgrade`
+            : readiness.error || 'Pods failed to become ready after upgrade',
+          { retryable: false }
+        );
+      }
+
+      if (plan) {
+        const boundaries = await k8sService.verifyResourceBoundaries(store.namespace, { plan });
+        if (!boundaries.planMatches) {
+          const detail = boundaries.planMismatches
+            .map((m) => `${m.resource}=${m.actual ?? 'missing'} (want ${m.expected})`)
+            .join(', ');
+          throw new ProvisioningError(
+            `ResourceQuota does not match plan '${plan}'${detail ? `: ${detail}` : ''}`,
+            { retryable: false }
+          );
+        }
+      }
+    } catch (err) {
+      if (err instanceof LeaseLostError) throw err;
+      upgradeError = err;
+    }
+
+    if (!upgradeError) {
+      const upgradeDurationMs = Date.now() - upgradeStart;
+      await storeRegistry.update(storeId, {
+        status: STATES.READY,
+        chartVersion: upgraded.chartVersion || previousChartVersion,
+        lastUpgradedAt: new Date().toISOString(),
+        plan,
+      }, { expectedStatus: STATES.UPGRADING });
+
+      await auditService.log({
+        storeId,
+        eventType: 'status_change',
+        previousStatus: STATES.UPGRADING,
+        newStatus: STATES.READY,
+        message: plan
+          ? `Store resized from the '${store.plan}' to the '${plan}' plan (revision ${upgraded.revision}) in ${Math.round(upgradeDurationMs / 1000)}s`
+          : `Store upgraded to chart ${upgraded.chartVersion || 'unknown'} (revision ${upgraded.revision}) in ${Math.round(upgradeDurationMs / 1000)}s`,
+        metadata: {
+          previousPlan: plan ? store.plan : undefined,
+          plan,
+          previousRevision,
+          previousChartVersion,
+          revision: upgraded.revision,
+          chartVersion: upgraded.chartVersion,
+          upgradeDurationMs,
+          correlationId: cid,
+        },
+      });
+
+      logger.info('[lifecycle] Upgrade workflow completed', { storeId, correlationId: cid, upgradeDurationMs });
+      return { outcome: 'upgraded' };
+    }
+
+    // ── Automatic rollback ──
+    logger.warn('[lifecycle] Upgrade failed — rolling back', {
+      storeId, correlationId: cid, previousRevision, error: upgradeError.message,
+    });
+    await auditService.log({
+      storeId,
+      eventType: 'warning',
+      message: `Upgrade failed: ${upgradeError.message}. Rolling back to ${previousRevision ? `revision ${previousRevision}` : 'previous revision'}`,
+      metadata: { errorCode: upgradeError.code, previousRevision, correlationId: cid },
+    });
+
+    await timedStep(storeId, store.engine, PHASES.HELM_ROLLBACK, cid, () =>
+      helmService.rollback(store.helmRelease, store.namespace, previousRevision)
+    );
+
+    const rollbackReadiness = await timedStep(storeId, store.engine, PHASES.POD_READINESS, cid, () =>
+      k8sService.pollForReadiness(store.namespace, { timeoutMs: UPGRADE_READINESS_TIMEOUT_MS })
+    );
+    if (!rollbackReadiness.ready) {
+      throw new ProvisioningError('Rollback applied but pods did not become ready', { retryable: false });
+    }
+
+    await auditService.log({
+      storeId,
+      eventType: 'helm_rollback',
+      message: `Helm release '${store.helmRelease}' rolled back to ${previousRevision ? `revision ${previousRevision}` : 'previous revision'}`,
+      metadata: { previousRevision, previousChartVersion, correlationId: cid },
+    });
+
+    await storeRegistry.update(storeId, {
+      status: STATES.READY,
+      chartVersion: previousChartVersion,
+    }, { expectedStatus: STATES.UPGRADING });
+
+    await auditService.log({
+      storeId,
+      eventType: 'status_change',
+      previousStatus: STATES.UPGRADING,
+      newStatus: STATES.READY,
+      message: `Upgrade rolled back — store restored to chart ${previousChartVersion || 'unknown'}`,
+      metadata: { upgradeError: upgradeError.message, previousRevision, correlationId: cid },
+    });
+
+    logger.info('[lifecycle] Upgrade rolled back', { storeId, correlationId: cid, previousRevision });
+    return { outcome: 'rolled_back', error: upgradeError.message };
+
+  } catch (err) {
+    // The job was re-queued and its next owner carries on — leave the store be
+    if (err instanceof LeaseLostError) throw err;
+    const message = upgradeError
+      ? `Upgrade rollback failed: ${err.message} (upgrade error: ${upgradeError.message})`
+      : `Upgrade failed: ${err.message}`;
+    logger.error('[lifecycle] Upgrade workflow failed', { storeId, correlationId: cid, error: message });
+
+    const failure = await classifyFailure(storeId, err, { inspectNamespace: true });
+    await storeRegistry.update(storeId, {
+      status: STATES.FAILED,
+      failureReason: message,
+      failureCode: failure.code,
+      failureEvidence: failure.evidence,
+    }).catch(() => { });
+
+    await auditService.log({
+      storeId,
+      eventType: 'error',
+      previousStatus: STATES.UPGRADING,
+      newStatus: STATES.FAILED,
+      message,
+      metadata: { errorCode: err.code, failureCode: failure.code, retryable: failure.retryable, correlationId: cid },
+    }).catch(() => { });
+
+    storesTotal.inc({ status: 'failed' });
+    return { outcome: 'failed', error: message };
+
+  } finally {
+    activeOperations.delete(storeId);
+  }
+}
+
+/**
+ * Clone a ready store into a new staging store of the same engine and theme.
+ * The clone is provisioned like any store, then seeded from a fresh snapshot
+ * of the source (plus wp-content for WooCommerce) instead of demo data.
+ *
+ * @param {string} sourceId
+ * @param {Object} [options]
+ * @param {string} [options.name] - Defaults to `<source name>-staging`
+ * @param {string} [options.requestedBy] - Email of the user requesting the clone
+ * @param {string} [options.correlationId] - HTTP requestId for traceability
+ * @returns {Promise<Object>} The clone's store record
+ */
+async function cloneStore(sourceId, { name, requestedBy, correlationId } = {}) {
+  const source = await storeRegistry.findById(sourceId);
+  if (!source) throw new NotFoundError('Store', sourceId);
+
+  if (source.status !== STATES.READY) {
+    throw new ConflictError(
+      `Only ready stores can be cloned. Current status: '${source.status}'`,
+      'Wait for the store to become ready and try again.'
+    );
+  }
+  if (source.clonedFrom) {
+    throw new ConflictError(
+      `Store '${sourceId}' is itself a clone of '${source.clonedFrom}'.`,
+      'Clone the original store instead.'
+    );
+  }
+
+  // The clone belongs to the source's owner, whoever asked for it
+  const clone = await createStore({
+    name: name || `${source.name.slice(0, 55).replace(/-+$/, '')}-staging`,
+    engine: source.engine,
+    ownerId: source.ownerId,
+    theme: source.theme,
+    clonedFrom: source.id,
+    plan: source.plan,
+    correlationId,
+  });
+
+  await auditService.log({
+    storeId: source.id,
+    eventType: 'info',
+    message: `Staging clone '${clone.name}' (${clone.id}) requested`,
+    metadata: { cloneId: clone.id, requestedBy: requestedBy || null, correlationId: correlationId || null },
+    userEmail: requestedBy,
+  });
+
+  return clone;
+}
+
+/**
+ * Promote a clone's data back onto its source store.
+ * Snapshots the clone, then restores the source from that snapshot (database,
+ * wp-content and URLs). The source passes through RESTORING; the clone is untouched.
+ *
+ * @param {string} cloneId
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy]
+ * @param {string} [options.correlationId]
+ * @returns {Promise<Object>} The source store record (status 'restoring')
+ */
+async function promoteClone(cloneId, { requestedBy, correlationId } = {}) {
+  const clone = await storeRegistry.findById(cloneId);
+  if (!clone) throw new NotFoundError('Store', cloneId);
+
+  if (!clone.clonedFrom) {
+    throw new ConflictError(`Store '${cloneId}' is not a clone.`, 'Only staging clones can be promoted.');
+  }
+  if (clone.status !== STATES.READY) {
+    throw new ConflictError(
+      `Only ready clones can be promoted. Current status: '${clone.status}'`,
+      'Wait for the clone to become ready and try again.'
+    );
+  }
+
+  const source = await storeRegistry.findById(clone.clonedFrom);
+  if (!source || source.status === STATES.DELETED) {
+    throw new ConflictError(
+      `The source store '${clone.clonedFrom}' no longer exists.`,
+      'Nothing to promote to.'
+    );
+  }
+
+  const restoreCheck = canRestore(source.status);
+  if (!restoreCheck.allowed) {
+    throw new ConflictError(restoreCheck.reason, 'The source store must be ready to receive the clone\'s data.');
+  }
+  await assertNoActiveJob(source.id);
+
+  // No backup yet — it is taken in the background; restoreStoreAsync runs once it exists
+  assertTransition(source.status, STATES.RESTORING);
+  const updatedSource = await storeRegistry.update(source.id, {
+    status: STATES.RESTORING,
+    restoreBackupId: null,
+    failureReason: null,
+    failureCode: null,
+    failureEvidence: null,
+  }, { expectedStatus: source.status });
+
+  if (!updatedSource) {
+    throw new ConflictError(
+      'Store status changed concurrently. Aborting promotion.',
+      'Refresh and try again.'
+    );
+  }
+
+  await auditService.log({
+    storeId: source.id,
+    eventType: 'status_change',
+    previousStatus: source.status,
+    newStatus: STATES.RESTORING,
+    message: `Promoting data from staging clone '${clone.name}' (${clone.id}) — current data will be overwritten`,
+    metadata: { cloneId: clone.id, requestedBy: requestedBy || null, correlationId: correlationId || null },
+    userEmail: requestedBy,
+  });
+
+  await enqueueJob(source.id, jobQueueService.JOB_TYPES.PROMOTE, {
+    payload: { cloneId: clone.id, requestedBy: requestedBy || null },
+    correlationId,
+    fromStatus: STATES.RESTORING,
+    revert: { status: source.status },
+  });
+
+  return updatedSource;
+}
+
+/**
+ * Internal async promote workflow: snapshot the clone, then run the restore
+ * workflow from that snapshot in the same job. If the snapshot fails the
+ * source has not been touched and goes back to READY. A job resumed after
+ * the snapshot was recorded goes straight to the restore.
+ *
+ * @param {string} sourceId
+ * @param {Object} options
+ * @param {string} options.cloneId
+ * @param {string} [options.requestedBy]
+ * @param {string} [options.correlationId]
+ */
+async function promoteCloneAsync(sourceId, { cloneId, requestedBy, correlationId } = {}) {
+  const cid = correlationId || `promote-${sourceId}`;
+  const source = await storeRegistry.findById(sourceId);
+  if (!source || source.status !== STATES.RESTORING) {
+    logger.warn('[lifecycle] Promotion no longer pending — nothing to do', { storeId: sourceId, status: source && source.status });
+    return;
+  }
+
+  if (!source.restoreBackupId) {
+    try {
+      const clone = await storeRegistry.findById(cloneId);
+      if (!clone) throw new NotFoundError('Store', cloneId);
+      const backup = await timedStep(sourceId, clone.engine, PHASES.SOURCE_SNAPSHOT, cid, () =>
+        backupService.createBackupAndWait(clone.id, { trigger: 'promote', requestedBy, correlationId: cid })
+      );
+      await storeRegistry.update(sourceId, { restoreBackupId: backup.id }, { expectedStatus: STATES.RESTORING });
+    } catch (err) {
+      if (err instanceof LeaseLostError) throw err;
+      await storeRegistry.update(sourceId, { status: STATES.READY }, { expectedStatus: STATES.RESTORING })
+        .catch(() => { });
+      await auditService.log({
+        storeId: sourceId,
+        eventType: 'warning',
+        previousStatus: STATES.RESTORING,
+        newStatus: STATES.READY,
+        message: `Promotion aborted: ${err.message}. Store is unchanged.`,
+        metadata: { cloneId, correlationId: cid },
+      }).catch(() => { });
+      return;
+    }
+  }
+
+  await restoreStoreAsync(sourceId, { correlationId: cid });
+}
+
+/**
+ * Restore a ready store from one of its backups, overwriting its data in place.
+ * Transitions to RESTORING, then loads the dump asynchronously.
+ *
+ * @param {string} storeId
+ * @param {Object} params
+ * @param {string} params.backupId - A completed backup of this store
+ * @param {string} [params.requestedBy] - Email of the user requesting the restore
+ * @param {string} [params.correlationId] - HTTP requestId for traceability
+ * @returns {Promise<Object>} Updated store record
+ */
+async function restoreStore(storeId, { backupId, requestedBy, correlationId } = {}) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store) throw new NotFoundError('Store', storeId);
+
+  const backup = await backupService.getBackup(storeId, backupId);
+  backupService.assertRestorable(backup, store.engine);
+
+  const restoreCheck = canRestore(store.status);
+  if (!restoreCheck.allowed) {
+    throw new ConflictError(restoreCheck.reason, 'Only ready stores can be restored.');
+  }
+  await assertNoActiveJob(storeId);
+
+  assertTransition(store.status, STATES.RESTORING);
+  const updatedStore = await storeRegistry.update(storeId, {
+    status: STATES.RESTORING,
+    restoreBackupId: backup.id,
+    failureReason: null,
+    failureCode: null,
+    failureEvidence: null,
+  }, { expectedStatus: store.status });
+
+  if (!updatedStore) {
+    throw new ConflictError(
+      'Store status changed concurrently. Aborting restore.',
+      'Refresh and try again.'
+    );
+  }
+
+  await auditService.log({
+    storeId,
+    eventType: 'status_change',
+    previousStatus: store.status,
+    newStatus: STATES.RESTORING,
+    message: `Restore from backup taken ${backup.createdAt} initiated — current data will be overwritten`,
+    metadata: {
+      backupId: backup.id,
+      backupChartVersion: backup.chartVersion,
+      chartVersion: store.chartVersion,
+      requestedBy: requestedBy || null,
+      correlationId: correlationId || null,
+    },
+    userEmail: requestedBy,
+  });
+
+  // Nothing has been touched yet — if the job can't be queued the store keeps its data
+  await enqueueJob(storeId, jobQueueService.JOB_TYPES.RESTORE, {
+    correlationId,
+    fromStatus: STATES.RESTORING,
+    revert: { status: STATES.READY },
+  });
+
+  return updatedStore;
+}
+
+/**
+ * Internal async in-place restore workflow.
+ * The dump replaces every table, so re-running after an interruption is safe.
+ *
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {string} [options.correlationId]
+ */
+async function restoreStoreAsync(storeId, { correlationId } = {}) {
+  if (activeOperations.has(storeId)) {
+    logger.warn('Operation already in progress for store', { storeId });
+    return;
+  }
+  activeOperations.set(storeId, Date.now());
+  const cid = correlationId || `restore-${storeId}`;
+  const restoreStart = Date.now();
+
+  try {
+    const store = await storeRegistry.findById(storeId);
+    if (!store) throw new NotFoundError('Store', storeId);
+    if (!store.restoreBackupId) {
+      throw new ProvisioningError('No backup recorded for this restore', { retryable: false });
+    }
+
+    logger.info('[lifecycle] Restore workflow started', {
+      storeId, engine: store.engine, backupId: store.restoreBackupId, correlationId: cid,
+    });
+
+    // Promotions load a snapshot of one of this store's clones, files included
+    const backup = await backupService.getBackupById(store.restoreBackupId);
+    let filesFrom = null;
+    if (backup.storeId !== storeId) {
+      filesFrom = await storeRegistry.findById(backup.storeId);
+      if (!filesFrom || filesFrom.clonedFrom !== storeId) {
+        throw new ProvisioningError(
+          `Backup '${backup.id}' belongs to store '${backup.storeId}', which is not a clone of this store`,
+          { retryable: false }
+        );
+      }
+    }
+
+    const credentials = secretsService.openAdminCredentials(store) || {};
+    const restoreResult = await applyBackup(store, backup, {
+      adminCredentials: { username: credentials.username, password: credentials.password },
+      filesFrom,
+      correlationId: cid,
+    });
+
+    const durationMs = Date.now() - restoreStart;
+    // restore_backup_id stays set only on stores seeded from a backup, so a
+    // retry of those re-seeds; an in-place restore is done with it
+    await storeRegistry.update(storeId, {
+      status: STATES.READY,
+      restoreBackupId: null,
+      lastRestoredAt: new Date().toISOString(),
+    });
+
+    await auditService.log({
+      storeId,
+      eventType: 'status_change',
+      previousStatus: STATES.RESTORING,
+      newStatus: STATES.READY,
+      message: `Store restored from backup taken ${backup.createdAt} in ${Math.round(durationMs / 1000)}s`,
+      metadata: { ...restoreResult, durationMs, correlationId: cid },
+    });
+
+    logger.info('[lifecycle] Restore workflow completed', { storeId, correlationId: cid, durationMs });
+
+  } catch (err) {
+    // The job was re-queued and its next owner carries on — leave the store be
+    if (err instanceof LeaseLostError) throw err;
+    const message = `Restore failed: ${err.message}`;
+    logger.error('[lifecycle] Restore workflow failed', { storeId, correlationId: cid, error: err.message });
+
+    const failure = await classifyFailure(storeId, err, { inspectNamespace: true });
+    await storeRegistry.update(storeId, {
+      status: STATES.FAILED,
+      failureReason: message,
+      failureCode: failure.code,
+      failureEvidence: failure.evidence,
+    }).catch(() => { });
+
+    await auditService.log({
+      storeId,
+      eventType: 'error',
+      previousStatus: STATES.RESTORING,
+      newStatus: STATES.FAILED,
+      message,
+      metadata: { errorCode: err.code, failureCode: failure.code, retryable: failure.retryable, correlationId: cid },
+    }).catch(() => { });
+
+    storesTotal.inc({ status: 'failed' });
+
+  } finally {
+    activeOperations.delete(storeId);
+  }
+}
+
+/**
+ * Load a backup into a store and fix up what the dump carries over from its
+ * source: WordPress URLs point at the source store, and the WordPress admin
+ * password is whatever it was when the backup was taken.
+ *
+ * @param {Object} store - Target store
+ * @param {Object} backup - Completed backup (of this or another store)
+ * @param {Object} options
+ * @param {Object} options.adminCredentials - { username, password } the store should end up with
+ * @param {Object} [options.filesFrom] - WooCommerce store whose wp-content is copied over too
+ * @param {string} options.correlationId
+ * @returns {Promise<Object>} Summary for the audit log
+ */
+async function applyBackup(store, backup, { adminCredentials, filesFrom, correlationId }) {
+  await auditService.log({
+    storeId: store.id,
+    eventType: 'restore',
+    message: `Loading database backup from ${backup.createdAt}`,
+    metadata: { backupId: backup.id, sourceStoreId: backup.storeId, sizeBytes: backup.sizeBytes, correlationId },
+  });
+
+  const { sizeBytes } = await timedStep(store.id, store.engine, PHASES.DATA_RESTORE, correlationId, () =>
+    backupService.loadBackup({ backup, store, correlationId })
+  );
+  const summary = { backupId: backup.id, sourceStoreId: backup.storeId, sizeBytes };
+
+  if (store.engine === 'woocommerce' && filesFrom) {
+    if (filesFrom.status !== STATES.READY) {
+      throw new ProvisioningError(
+        `Cannot copy wp-content from store '${filesFrom.id}' while it is ${filesFrom.status}`,
+        { retryable: true }
+      );
+    }
+    await timedStep(store.id, store.engine, PHASES.FILES_COPY, correlationId, () =>
+      storeSetupService.copyWpContent({
+        sourceNamespace: filesFrom.namespace,
+        targetNamespace: store.namespace,
+        storeId: store.id,
+      })
+    );
+    summary.filesFrom = filesFrom.id;
+  }
+
+  if (store.engine === 'woocommerce') {
+    const { storefrontUrl: siteUrl } = await domainService.resolveStoreUrls(store);
+    const rewrite = await timedStep(store.id, store.engine, PHASES.URL_REWRITE, correlationId, () =>
+      storeSetupService.finalizeWooCommerceRestore({
+        namespace: store.namespace,
+        storeId: store.id,
+        siteUrl,
+        theme: store.theme || 'storefront',
+      })
+    );
+    summary.previousUrl = rewrite.previousUrl;
+    summary.siteUrl = siteUrl;
+
+    if (adminCredentials.username && adminCredentials.password) {
+      try {
+        await storeSetupService.updateWooCommerceAdminPassword({
+          namespace: store.namespace,
+          storeId: store.id,
+          adminUsername: adminCredentials.username,
+          newPassword: adminCredentials.password,
+        });
+      } catch (err) {
+        // Non-fatal — the data is in place; the password can be reset from the dashboard
+        await auditService.log({
+          storeId: store.id,
+          eventType: 'warning',
+          message: `Could not reset the WordPress admin password after restore: ${err.message}`,
+          metadata: { correlationId },
+        });
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * List the live staging clones of a store.
+ * @param {string} storeId
+ * @returns {Promise<Object[]>}
+ */
+async function listClones(storeId) {
+  return storeRegistry.findClones(storeId);
+}
+
+/**
+ * Get a single store by ID.
+ * @param {string} storeId
+ * @returns {Promise<Object>}
+ */
+async function getStore(storeId) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store) throw new NotFoundError('Store', storeId);
+  return store;
+}
+
+/**
+ * Per-phase provisioning timeline of a store, across all attempts.
+ * @param {string} storeId
+ * @returns {Promise<Object[]>}
+ */
+async function getProvisioningTimeline(storeId) {
+  return checkpointService.getTimeline(storeId);
+}
+
+/**
+ * List stores with optional filters.
+ * @param {Object} [filters]
+ * @returns {Promise<{ stores: Object[], total: number }>}
  */
 async function listStores(filters = {}) {
   return storeRegistry.list(filters);
@@ -960,13 +2575,54 @@ async function getStoreLogs(storeId, options = {}) {
   return auditService.getByStoreId(storeId, options);
 }
 
+// Job that picks a store's interrupted workflow back up, and the store
+// updates that undo it if the queue rejects the job
+const RECOVERY_JOBS = {
+  [STATES.REQUESTED]: {
+    type: jobQueueService.JOB_TYPES.PROVISION,
+    revert: { status: STATES.FAILED, failureReason: 'Backend restarted during provisioning. Safe to retry.', failureCode: 'WORKER_INTERRUPTED' },
+  },
+  [STATES.PROVISIONING]: {
+    type: jobQueueService.JOB_TYPES.PROVISION,
+    revert: { status: STATES.FAILED, failureReason: 'Backend restarted during provisioning. Safe to retry.', failureCode: 'WORKER_INTERRUPTED' },
+  },
+  [STATES.DELETING]: {
+    type: jobQueueService.JOB_TYPES.DELETE,
+    revert: { status: STATES.FAILED, failureReason: 'Deletion deferred: backend restarted. Delete again.', failureCode: 'WORKER_INTERRUPTED' },
+  },
+  [STATES.SUSPENDING]: {
+    type: jobQueueService.JOB_TYPES.SUSPEND,
+    revert: { status: STATES.READY },
+  },
+  [STATES.RESUMING]: {
+    type: jobQueueService.JOB_TYPES.RESUME,
+    revert: { status: STATES.SUSPENDED },
+  },
+  [STATES.UPGRADING]: {
+    type: jobQueueService.JOB_TYPES.UPGRADE,
+    revert: { status: STATES.READY },
+  },
+  [STATES.RESTORING]: {
+    type: jobQueueService.JOB_TYPES.RESTORE,
+    revert: { status: STATES.READY },
+  },
+};
+
 /**
  * Recover stores stuck in transitional states (called on backend startup).
- * This handles the case where the backend crashed mid-provisioning.
- * 
- * Recovery strategy:
- * - REQUESTED / PROVISIONING → mark as FAILED (safe to retry)
- * - DELETING → resume async deletion to completion
+ * This handles the case where the backend crashed mid-workflow.
+ *
+ * A store whose workflow has an unfinished provisioning job is left to the
+ * job queue: once the dead worker's lease expires the job is re-queued and
+ * resumed from its last completed phase. Stores without one (the crash came
+ * before the job was queued) get a new job:
+ * - REQUESTED / PROVISIONING → provision job, resuming a started install
+ * - DELETING → deletion job
+ * - SUSPENDING → suspend job (scaling down is idempotent)
+ * - RESUMING → resume job
+ * - UPGRADING → upgrade job (rolls back if the release is stuck)
+ * - RESTORING → restore job (dumps replace every table); back to READY if a
+ *   promotion never got as far as a snapshot
  * 
  * Each recovery action is audited for full traceability.
  */
@@ -989,41 +2645,50 @@ async function recoverStuckStores() {
 
   for (const store of stuck) {
     try {
-      if (store.status === STATES.REQUESTED || store.status === STATES.PROVISIONING) {
-        // Calculate how long the store was stuck
-        const stuckSince = store.provisioningStartedAt || store.createdAt;
-        const stuckDurationMs = stuckSince ? Date.now() - new Date(stuckSince).getTime() : null;
-
-        // Mark as failed — operator can retry
-        await storeRegistry.update(store.id, {
-          status: STATES.FAILED,
-          failureReason: 'Backend restarted during provisioning. Safe to retry.',
-          provisioningCompletedAt: new Date().toISOString(),
+      const activeJob = await jobQueueService.findActiveJob(store.id);
+      if (activeJob) {
+        logger.info('[lifecycle] Store has an unfinished job — the job queue will resume it', {
+          storeId: store.id, jobId: activeJob.id, jobType: activeJob.type, jobStatus: activeJob.status,
+          lastCompletedPhase: activeJob.lastCompletedPhase,
         });
         await auditService.log({
           storeId: store.id,
           eventType: 'recovery',
           previousStatus: store.status,
-          newStatus: STATES.FAILED,
-          message: `Recovered after backend restart. Was stuck in '${store.status}' for ${stuckDurationMs ? Math.round(stuckDurationMs / 1000) + 's' : 'unknown duration'}.`,
-          metadata: { stuckDurationMs, previousStatus: store.status, engine: store.engine },
+          message: `Backend restarted during '${store.status}'. The ${activeJob.type} job will resume${activeJob.lastCompletedPhase ? ` after phase '${activeJob.lastCompletedPhase}'` : ''}.`,
+          metadata: { jobId: activeJob.id, jobStatus: activeJob.status, completedPhases: activeJob.completedPhases },
         });
-        logger.info('[lifecycle] Recovered stuck provisioning store', {
-          storeId: store.id, previousStatus: store.status, engine: store.engine, stuckDurationMs,
+        resumedCount++;
+      } else if (store.status === STATES.RESTORING && !store.restoreBackupId) {
+        // A promotion whose job was never queued — nothing was loaded yet
+        await storeRegistry.update(store.id, { status: STATES.READY });
+        await auditService.log({
+          storeId: store.id,
+          eventType: 'recovery',
+          previousStatus: STATES.RESTORING,
+          newStatus: STATES.READY,
+          message: 'Promotion interrupted by backend restart before any data was loaded. Store is unchanged.',
+          metadata: { engine: store.engine },
         });
         recoveredCount++;
-      } else if (store.status === STATES.DELETING) {
-        // Resume deletion
-        logger.info('[lifecycle] Resuming stuck deletion', { storeId: store.id, engine: store.engine });
+      } else {
+        const recovery = RECOVERY_JOBS[store.status];
+        const stuckSince = store.provisioningStartedAt || store.createdAt;
+        const stuckDurationMs = stuckSince ? Date.now() - new Date(stuckSince).getTime() : null;
+
         await auditService.log({
           storeId: store.id,
           eventType: 'recovery',
-          previousStatus: STATES.DELETING,
-          message: 'Resuming deletion after backend restart',
-          metadata: { engine: store.engine },
+          previousStatus: store.status,
+          message: `Recovered after backend restart. Queuing a ${recovery.type} job to resume '${store.status}'.`,
+          metadata: { stuckDurationMs, engine: store.engine },
         });
-        deleteStoreAsync(store.id).catch(err => {
-          logger.error('Failed to resume deletion', { storeId: store.id, error: err.message });
+        await enqueueJob(store.id, recovery.type, {
+          fromStatus: store.status,
+          revert: recovery.revert,
+        });
+        logger.info('[lifecycle] Queued recovery job for stuck store', {
+          storeId: store.id, previousStatus: store.status, jobType: recovery.type, stuckDurationMs,
         });
         resumedCount++;
       }
@@ -1040,6 +2705,120 @@ async function recoverStuckStores() {
   });
 }
 
+// ─── Automatic Retry ─────────────────────────────────────────────────────────
+
+// How often the leader looks for due automatic retries
+const RETRY_SCHEDULER_INTERVAL_MS = 15000;
+
+let retrySchedulerTimer = null;
+let retryingDue = false;
+
+/**
+ * Follow up a failed provisioning (see models/retryPolicy): schedule an
+ * automatic retry, or leave the store failed and tell its owner — audited as
+ * action_required, which reaches the live event stream and their webhooks.
+ * @param {string} storeId
+ * @param {Object} failure - failureClassifier classification
+ */
+async function followUpFailure(storeId, failure) {
+  const store = await storeRegistry.findById(storeId);
+  if (!store || store.status !== STATES.FAILED) return;
+
+  const next = retryPolicy.decide(store, failure);
+  if (next.decision === retryPolicy.DECISIONS.RETRY) {
+    const updated = await storeRegistry.update(storeId, {
+      nextRetryAt: next.retryAt.toISOString(),
+    }, { expectedStatus: STATES.FAILED });
+    if (!updated) return;
+
+    await auditService.log({
+      storeId,
+      eventType: 'auto_retry',
+      message: `Automatic retry #${next.attempt} of ${config.provisioning.maxRetries} scheduled in ${Math.round(next.delayMs / 1000)}s (${failure.code})`,
+      metadata: { retryCount: next.attempt, failureCode: failure.code, delayMs: next.delayMs, nextRetryAt: next.retryAt.toISOString() },
+    });
+    logger.info('[lifecycle] Automatic retry scheduled', {
+      storeId, attempt: next.attempt, delayMs: next.delayMs, failureCode: failure.code,
+    });
+  } else if (next.decision === retryPolicy.DECISIONS.NOTIFY) {
+    const why = next.reason === 'retries_exhausted'
+      ? `automatic retries exhausted after ${store.retryCount} of ${config.provisioning.maxRetries}`
+      : `${failure.code} is not retried automatically`;
+    await auditService.log({
+      storeId,
+      eventType: 'action_required',
+      message: `Store needs attention: ${why}. ${failure.remediation}`,
+      metadata: {
+        reason: next.reason,
+        failureCode: failure.code,
+        failureCategory: failure.category,
+        retryable: failure.retryable,
+        remediation: failure.remediation,
+        retryCount: store.retryCount,
+      },
+    });
+  }
+}
+
+/**
+ * Start the automatic retries that are due. A retry that cannot start (the
+ * store moved on, or was already retried) is dropped and audited.
+ * @returns {Promise<number>} Retries started
+ */
+async function runDueRetries() {
+  if (retryingDue) return 0;
+  retryingDue = true;
+  let started = 0;
+  try {
+    const due = await storeRegistry.findDueRetries();
+    for (const store of due) {
+      try {
+        await retryStore(store.id, { automatic: true });
+        started++;
+      } catch (err) {
+        if (err instanceof QueueFullError) continue; // retryStore rescheduled it
+
+        logger.warn('[lifecycle] Automatic retry could not start', { storeId: store.id, error: err.message });
+        await storeRegistry.update(store.id, { nextRetryAt: null }).catch(() => { });
+        await auditService.log({
+          storeId: store.id,
+          eventType: 'warning',
+          message: `Automatic retry #${store.retryCount + 1} not started: ${err.message}`,
+          metadata: { retryCount: store.retryCount + 1, errorCode: err.code },
+        }).catch(() => { });
+      }
+    }
+  } finally {
+    retryingDue = false;
+  }
+  return started;
+}
+
+/**
+ * Start the automatic retry scheduler (first pass immediately). Runs on the
+ * leader only; retries are stored in next_retry_at, so a new leader picks up
+ * the ones the old one had pending. No-op when PROVISIONING_AUTO_RETRY=false.
+ */
+function startRetryScheduler() {
+  if (!config.provisioning.autoRetry || retrySchedulerTimer) return;
+
+  const run = () => runDueRetries().catch((err) => {
+    logger.error('Automatic retry pass failed', { error: err.message });
+  });
+
+  retrySchedulerTimer = setInterval(run, RETRY_SCHEDULER_INTERVAL_MS);
+  retrySchedulerTimer.unref();
+  run();
+  logger.info('Automatic retry scheduler started', { intervalMs: RETRY_SCHEDULER_INTERVAL_MS });
+}
+
+function stopRetryScheduler() {
+  if (retrySchedulerTimer) {
+    clearInterval(retrySchedulerTimer);
+    retrySchedulerTimer = null;
+  }
+}
+
 /**
  * Check if a store operation is currently in progress.
  * @param {string} storeId
@@ -1055,7 +2834,7 @@ function isOperationInProgress(storeId) {
  */
 function getConcurrencyStats() {
   return {
-    ...provisioningSemaphore.stats(),
+    ...jobQueueService.stats(),
     activeOperations: activeOperations.size,
   };
 }
@@ -1064,10 +2843,26 @@ module.exports = {
   createStore,
   deleteStore,
   retryStore,
+  repairStore,
+  suspendStore,
+  resumeStore,
+  upgradeStore,
+  upgradeStoreAndWait,
+  changePlan,
+  restoreStore,
+  cloneStore,
+  promoteClone,
+  listClones,
   getStore,
+  getProvisioningTimeline,
   listStores,
   getStoreLogs,
   recoverStuckStores,
+  runDueRetries,
+  startRetryScheduler,
+  stopRetryScheduler,
+  startJobWorker,
+  stopJobWorker,
   isOperationInProgress,
   getConcurrencyStats,
 };
@@ -0,0 +1,358 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger').child('secrets');
+const storeRegistry = require('./storeRegistry');
+const jobQueueService = require('./jobQueueService');
+const { SecretsError } = require('../utils/errors');
+
+/**
+ * Secrets Service — envelope encryption of per-store secrets.
+ *
+ * Each secret is encrypted (AES-256-GCM) with its own random data key, and
+ * the data key is encrypted with a master key. Only the envelope is stored:
+ *
+ *   { alg: 'aes-256-gcm', kv: 2, dek: <wrapped data key>, data: <ciphertext> }
+ *
+ * `kv` is the version of the master key. Master keys come from
+ * SECRETS_MASTER_KEYS or a mounted SECRETS_MASTER_KEYS_FILE, and several
+ * versions can be configured at once. To rotate, add a new version and make
+ * it active: the re-encryption job re-wraps the data key of every envelope
+ * sealed under another version (the secret itself is never re-encrypted) —
+ * store credentials and the secrets of unfinished jobs alike — after which
+ * the old version can be removed.
+ *
+ * An envelope is bound to the store and secret it belongs to through the
+ * GCM additional data, so one copied to another row does not open.
+ * Plaintext is only ever produced by openStoreSecret — callers that merely
+ * pass a store record around never see it.
+ *
+ * Without configured master keys a version-0 key derived from JWT_SECRET is
+ * used, which is meant for development only.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Stores (or jobs) read per batch by the re-encryption job
+const REENCRYPT_BATCH_SIZE = 50;
+
+const SECRET_NAMES = Object.freeze({
+  ADMIN_CREDENTIALS: 'admin_credentials',
+  TENANT_PASSWORD: 'tenant_password',
+});
+
+let keyring = null;
+let reencryptTimer = null;
+let reencrypting = false;
+
+// ─── Master Keys ─────────────────────────────────────────────────────────────
+
+/**
+ * Parse comma-separated "<version>:<base64 key>" pairs.
+ * @param {string} text
+ * @returns {Map<number, Buffer>}
+ */
+function parseMasterKeys(text) {
+  const keys = new Map();
+  for (const entry of text.split(',').map(e => e.trim()).filter(Boolean)) {
+    const match = /^(\d+):([A-Za-z0-9+/=]+)$/.exec(entry);
+    if (!match) {
+      throw new SecretsError('Master keys must be comma-separated "<version>:<base64 key>" pairs.');
+    }
+    const version = parseInt(match[1], 10);
+    const key = Buffer.from(match[2], 'base64');
+    if (key.length !== KEY_BYTES) {
+      throw new SecretsError(`Master key version ${version} is not ${KEY_BYTES} bytes.`, { metadata: { keyVersion: version } });
+    }
+    if (keys.has(version)) {
+      throw new SecretsError(`Master key version ${version} is listed twice.`, { metadata: { keyVersion: version } });
+    }
+    keys.set(version, key);
+  }
+  return keys;
+}
+
+/**
+ * (Re)load the master keys from the environment or the key file.
+ * Called on first use; call again after the mounted file changed.
+ * @returns {{ keys: Map<number, Buffer>, active: number }}
+ * @throws {SecretsError} On malformed keys or a missing active version
+ */
+function loadKeyring() {
+  const { masterKeys, masterKeysFile, activeKeyVersion: pinned } = config.secrets;
+  const text = masterKeys || (masterKeysFile ? fs.readFileSync(masterKeysFile, 'utf8') : '');
+
+  let keys = parseMasterKeys(text);
+  if (keys.size === 0) {
+    logger.warn('No master keys configured — sealing secrets with a development key derived from JWT_SECRET');
+    keys = new Map([[0, Buffer.from(crypto.hkdfSync('sha256', config.jwt.secret, '', 'mtec-store-secrets', KEY_BYTES))]]);
+  }
+
+  const active = pinned ?? Math.max(...keys.keys());
+  if (!keys.has(active)) {
+    throw new SecretsError(`Active master key version ${active} is not configured.`, { metadata: { keyVersion: active } });
+  }
+
+  keyring = { keys, active };
+  logger.info('Master keys loaded', { versions: [...keys.keys()], activeVersion: active });
+  return keyring;
+}
+
+function getKeyring() {
+  return keyring || loadKeyring();
+}
+
+function getMasterKey(version) {
+  const key = getKeyring().keys.get(version);
+  if (!key) {
+    throw new SecretsError(`Master key version ${version} is not configured.`, { metadata: { keyVersion: version } });
+  }
+  return key;
+}
+
+/**
+ * Version new secrets are sealed with.
+ * @returns {number}
+ */
+function activeKeyVersion() {
+  return getKeyring().active;
+}
+
+// ─── Envelopes ───────────────────────────────────────────────────────────────
+
+// iv | tag | ciphertext, base64
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function decrypt(key, encoded, aad) {
+  const buf = Buffer.from(encoded, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buf.subarray(0, IV_BYTES));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(buf.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(buf.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+function storeContext(storeId, name) {
+  return Buffer.from(`stores/${storeId}/${name}`);
+}
+
+/**
+ * Whether a stored value is an envelope (rows written before encryption
+ * hold the plain JSON).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isSealed(value) {
+  return Boolean(value) && value.alg === ALGORITHM && typeof value.dek === 'string' && typeof value.data === 'string';
+}
+
+function seal(value, context) {
+  const version = activeKeyVersion();
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  try {
+    return {
+      alg: ALGORITHM,
+      kv: version,
+      dek: encrypt(getMasterKey(version), dataKey, context),
+      data: encrypt(dataKey, Buffer.from(JSON.stringify(value)), context),
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+function unwrapDataKey(envelope, context) {
+  const masterKey = getMasterKey(envelope.kv);
+  try {
+    return decrypt(masterKey, envelope.dek, context);
+  } catch {
+    throw new SecretsError('Secret could not be decrypted — wrong master key or tampered envelope.', {
+      metadata: { keyVersion: envelope.kv },
+    });
+  }
+}
+
+function open(envelope, context) {
+  const dataKey = unwrapDataKey(envelope, context);
+  try {
+    return JSON.parse(decrypt(dataKey, envelope.data, context).toString('utf8'));
+  } catch {
+    throw new SecretsError('Secret could not be decrypted — tampered envelope.', { metadata: { keyVersion: envelope.kv } });
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Re-wrap an envelope's data key under the active master key; plaintext
+ * left over from before encryption is sealed.
+ */
+function rewrap(envelope, context) {
+  if (!isSealed(envelope)) return seal(envelope, context);
+
+  const version = activeKeyVersion();
+  if (envelope.kv === version) return envelope;
+
+  const dataKey = unwrapDataKey(envelope, context);
+  try {
+    return { ...envelope, kv: version, dek: encrypt(getMasterKey(version), dataKey, context) };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+// ─── Store Secrets ───────────────────────────────────────────────────────────
+
+/**
+ * Seal a store secret for storage.
+ * @param {string} storeId
+ * @param {string} name - One of SECRET_NAMES
+ * @param {*} value - Any JSON-serializable value
+ * @returns {Object} Envelope
+ */
+function sealStoreSecret(storeId, name, value) {
+  return seal(value, storeContext(storeId, name));
+}
+
+/**
+ * Decrypt a stored store secret. Plain values written before encryption are
+ * returned as they are; empty ones as null.
+ * @param {string} storeId
+ * @param {string} name - One of SECRET_NAMES
+ * @param {Object|null} stored - Envelope as read from the database
+ * @returns {*} The secret, or null
+ * @throws {SecretsError} If the envelope cannot be opened
+ */
+function openStoreSecret(storeId, name, stored) {
+  if (!stored || Object.keys(stored).length === 0) return null;
+  if (!isSealed(stored)) return stored;
+  return open(stored, storeContext(storeId, name));
+}
+
+/**
+ * Seal a store's admin credentials ({ email, username?, password }).
+ * @param {string} storeId
+ * @param {Object} credentials
+ * @returns {Object} Envelope for storeRegistry.update({ adminCredentials })
+ */
+function sealAdminCredentials(storeId, credentials) {
+  return sealStoreSecret(storeId, SECRET_NAMES.ADMIN_CREDENTIALS, credentials);
+}
+
+/**
+ * Decrypt a store's admin credentials.
+ * @param {Object} store - Store record
+ * @returns {Object|null} { email, username?, password }
+ */
+function openAdminCredentials(store) {
+  return openStoreSecret(store.id, SECRET_NAMES.ADMIN_CREDENTIALS, store.adminCredentials);
+}
+
+// ─── Re-encryption ───────────────────────────────────────────────────────────
+
+/**
+ * Re-wrap every envelope `find` returns, batch by batch, into `result`.
+ * @param {Object} result - Counters to add to
+ * @param {Object} source
+ * @param {Function} source.find - (after) => rows in id order
+ * @param {Function} source.secretOf - row => { storeId, name, envelope }
+ * @param {Function} source.replace - (row, current, next) => Promise<boolean>
+ */
+async function reencryptRows(result, { find, secretOf, replace }) {
+  let after = null;
+  for (;;) {
+    const batch = await find(after);
+    if (batch.length === 0) break;
+
+    for (const row of batch) {
+      const { storeId, name, envelope } = secretOf(row);
+      try {
+        const next = rewrap(envelope, storeContext(storeId, name));
+        if (await replace(row, envelope, next)) result.reencrypted++;
+      } catch (err) {
+        result.failed++;
+        logger.error('Secret could not be re-encrypted', { storeId, secret: name, error: err.message });
+      }
+    }
+    after = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * Bring every store's credentials, and the tenant passwords sealed on
+ * unfinished provision jobs, to the active master key version. A row written
+ * concurrently is skipped — the writer sealed it with the active version
+ * already.
+ * @returns {Promise<{ keyVersion: number, reencrypted: number, failed: number }>}
+ */
+async function reencryptAll() {
+  const keyVersion = activeKeyVersion();
+  const result = { keyVersion, reencrypted: 0, failed: 0 };
+  if (reencrypting) return result;
+  reencrypting = true;
+
+  try {
+    await reencryptRows(result, {
+      find: after => storeRegistry.findCredentialsToReencrypt(keyVersion, { after, limit: REENCRYPT_BATCH_SIZE }),
+      secretOf: row => ({ storeId: row.id, name: SECRET_NAMES.ADMIN_CREDENTIALS, envelope: row.adminCredentials }),
+      replace: (row, current, next) => storeRegistry.replaceAdminCredentials(row.id, current, next),
+    });
+    // Jobs only ever carry the tenant's chosen admin password
+    await reencryptRows(result, {
+      find: after => jobQueueService.findSecretsToReencrypt(keyVersion, { after, limit: REENCRYPT_BATCH_SIZE }),
+      secretOf: row => ({ storeId: row.storeId, name: SECRET_NAMES.TENANT_PASSWORD, envelope: row.secret }),
+      replace: (row, current, next) => jobQueueService.replaceJobSecret(row.id, current, next),
+    });
+  } finally {
+    reencrypting = false;
+  }
+
+  if (result.reencrypted > 0 || result.failed > 0) {
+    logger.info('Secrets re-encrypted', result);
+  }
+  return result;
+}
+
+function startReencryption() {
+  if (reencryptTimer) return;
+
+  const run = () => reencryptAll().catch((err) => {
+    logger.error('Re-encryption pass failed', { error: err.message });
+  });
+
+  reencryptTimer = setInterval(run, config.secrets.reencryptIntervalMs);
+  reencryptTimer.unref();
+  run();
+  logger.info('Secret re-encryption started', { intervalMs: config.secrets.reencryptIntervalMs });
+}
+
+function stopReencryption() {
+  if (reencryptTimer) {
+    clearInterval(reencryptTimer);
+    reencryptTimer = null;
+  }
+}
+
+module.exports = {
+  SECRET_NAMES,
+  loadKeyring,
+  activeKeyVersion,
+  isSealed,
+  sealStoreSecret,
+  openStoreSecret,
+  sealAdminCredentials,
+  openAdminCredentials,
+  reencryptAll,
+  startReencryption,
+  stopReencryption,
+};
@@ -0,0 +1,295 @@
+'use strict';
+
+const crypto = require('crypto');
+const db = require('../db/pool');
+const config = require('../config');
+const logger = require('../utils/logger').child('sessions');
+const userService = require('./userService');
+const auditService = require('./auditService');
+const { NotFoundError } = require('../utils/errors');
+const { securityEvents } = require('../utils/metrics');
+
+/**
+ * Session Service — server-side login sessions behind short-lived JWTs.
+ *
+ * Logging in starts a session and returns an access token (a JWT carrying the
+ * session id as `sid`, valid for JWT_EXPIRES_IN) plus an opaque refresh token.
+ * Only a SHA-256 hash of the refresh token is stored. `refresh` swaps the
+ * refresh token for a new one and issues a new access token; the session
+ * stays alive for REFRESH_TOKEN_TTL_DAYS after its last refresh.
+ *
+ * Refresh tokens are single-use. The token a refresh replaced is remembered,
+ * and presenting it again (after REUSE_GRACE) means it was copied: the
+ * session is revoked and a `refresh_token_reused` security event is written.
+ *
+ * authenticateToken checks the session of every access token, so revoking a
+ * session (logout, revoke from the session list, password change, account
+ * deactivation) locks it out immediately rather than when its JWT expires.
+ */
+
+const REVOKE_REASONS = Object.freeze({
+  LOGOUT: 'logout',
+  REVOKED: 'revoked',
+  PASSWORD_CHANGED: 'password_changed',
+  DEACTIVATED: 'deactivated',
+  TOKEN_REUSED: 'token_reused',
+});
+
+// A replaced token presented this soon after the refresh is a client racing
+// itself (two tabs refreshing at once), not a copy — refused, not revoked
+const REUSE_GRACE = '10 seconds';
+
+// Expired and revoked sessions are kept this long, then deleted
+const PRUNE_AFTER = '7 days';
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SESSION_COLUMNS = 'id, user_id, user_agent, ip, created_at, last_seen_at, expires_at, revoked_at, revoked_reason';
+
+let cleanupTimer = null;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function sessionExpiry() {
+  return new Date(Date.now() + config.jwt.refreshTtlDays * DAY_MS);
+}
+
+/**
+ * Start a session for a user who has just logged in or registered.
+ * @param {Object} user
+ * @param {Object} client
+ * @param {string} [client.ip]
+ * @param {string} [client.userAgent]
+ * @returns {Promise<{ session: Object, token: string, refreshToken: string }>}
+ */
+async function startSession(user, { ip, userAgent } = {}) {
+  const refreshToken = newRefreshToken();
+  const result = await db.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${SESSION_COLUMNS}`,
+    [user.id, hashToken(refreshToken), truncateUserAgent(userAgent), ip || null, sessionExpiry()]
+  );
+  const session = normalizeSession(result.rows[0]);
+
+  logger.debug('Session started', { sessionId: session.id, userId: user.id });
+  return { session, token: userService.generateToken(user, session.id), refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * @param {string} refreshToken
+ * @param {Object} client
+ * @param {string} [client.ip]
+ * @param {string} [client.userAgent]
+ * @returns {Promise<{ user: Object, token: string, refreshToken: string }|null>}
+ *   null for unknown, reused, revoked or expired tokens and deactivated users
+ */
+async function refresh(refreshToken, { ip, userAgent } = {}) {
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+
+  // Single statement, so two requests racing with one token cannot both win
+  const result = await db.query(
+    `UPDATE sessions
+     SET refresh_token_hash = $2, previous_token_hash = refresh_token_hash,
+         last_seen_at = NOW(), ip = COALESCE($3, ip), user_agent = COALESCE($4, user_agent), expires_at = $5
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING ${SESSION_COLUMNS}`,
+    [presentedHash, hashToken(nextToken), ip || null, truncateUserAgent(userAgent), sessionExpiry()]
+  );
+
+  if (result.rows.length === 0) {
+    await revokeReusedToken(presentedHash, ip);
+    return null;
+  }
+
+  const session = normalizeSession(result.rows[0]);
+  const user = await userService.findById(session.userId);
+  if (!user || !user.isActive) {
+    await revokeSessionById(session.id, REVOKE_REASONS.DEACTIVATED);
+    return null;
+  }
+
+  return { user, token: userService.generateToken(user, session.id), refreshToken: nextToken };
+}
+
+/**
+ * A refresh token that was already swapped out was presented again: someone
+ * else holds a copy. End the session so neither copy keeps it alive.
+ */
+async function revokeReusedToken(presentedHash, ip) {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE previous_token_hash = $1 AND revoked_at IS NULL
+       AND last_seen_at < NOW() - INTERVAL '${REUSE_GRACE}'
+     RETURNING id, user_id`,
+    [presentedHash, REVOKE_REASONS.TOKEN_REUSED]
+  );
+  if (result.rows.length === 0) return;
+
+  const { id: sessionId, user_id: userId } = result.rows[0];
+  const user = await userService.findById(userId);
+  logger.warn('Refresh token reused, session revoked', { sessionId, userId });
+
+  securityEvents.inc({ event_type: 'refresh_token_reused' });
+  auditService.logSecurityEvent({
+    action: 'refresh_token_reused',
+    email: user?.email,
+    ip,
+    message: `A replaced refresh token was used again; session ${sessionId} revoked`,
+    metadata: { userId, sessionId },
+  }).catch(() => {}); // non-blocking
+}
+
+/**
+ * Whether an access token's session is still usable.
+ * @param {string} sessionId
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId, userId) {
+  const result = await db.query(
+    `SELECT 1 FROM sessions
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * A user's active sessions, most recently used first.
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+async function listSessions(userId) {
+  const result = await db.query(
+    `SELECT ${SESSION_COLUMNS} FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows.map(normalizeSession);
+}
+
+/**
+ * Revoke one of a user's active sessions.
+ * @param {string} userId
+ * @param {string} sessionId
+ * @param {string} [reason] - REVOKE_REASONS
+ * @returns {Promise<Object>} The session
+ */
+async function revokeSession(userId, sessionId, reason = REVOKE_REASONS.REVOKED) {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING ${SESSION_COLUMNS}`,
+    [sessionId, userId, reason]
+  );
+  if (result.rows.length === 0) throw new NotFoundError('Session', sessionId);
+
+  logger.info('Session revoked', { sessionId, userId, reason });
+  return normalizeSession(result.rows[0]);
+}
+
+async function revokeSessionById(sessionId, reason) {
+  await db.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL`,
+    [sessionId, reason]
+  );
+}
+
+/**
+ * Revoke every active session of a user.
+ * @param {string} userId
+ * @param {string} reason - REVOKE_REASONS
+ * @returns {Promise<number>} Sessions revoked
+ */
+async function revokeAllSessions(userId, reason) {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason]
+  );
+
+  if (result.rowCount > 0) logger.info('All sessions revoked', { userId, reason, count: result.rowCount });
+  return result.rowCount;
+}
+
+// ─── Cleanup ─────────────────────────────────────────────────────────────────
+
+/**
+ * Delete sessions that expired or were revoked more than PRUNE_AFTER ago.
+ * @returns {Promise<number>} Sessions deleted
+ */
+async function pruneSessions() {
+  const result = await db.query(
+    `DELETE FROM sessions
+     WHERE expires_at < NOW() - INTERVAL '${PRUNE_AFTER}'
+        OR revoked_at < NOW() - INTERVAL '${PRUNE_AFTER}'`
+  );
+  return result.rowCount;
+}
+
+function startCleanup() {
+  if (cleanupTimer) return;
+
+  const run = () => pruneSessions()
+    .then((removed) => {
+      if (removed > 0) logger.debug('Old sessions removed', { removed });
+    })
+    .catch((err) => {
+      logger.error('Session cleanup failed', { error: err.message });
+    });
+
+  cleanupTimer = setInterval(run, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+  run();
+}
+
+function stopCleanup() {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function truncateUserAgent(userAgent) {
+  return userAgent ? userAgent.slice(0, 512) : null;
+}
+
+function normalizeSession(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    userAgent: row.user_agent || null,
+    ip: row.ip || null,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at || null,
+    revokedReason: row.revoked_reason || null,
+  };
+}
+
+module.exports = {
+  REVOKE_REASONS,
+  startSession,
+  refresh,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  pruneSessions,
+  startCleanup,
+  stopCleanup,
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+const config = require('../../config');
+const logger = require('../../utils/logger').child('shared-state');
+const postgresStore = require('./postgresStore');
+const memoryStore = require('./memoryStore');
+
+/**
+ * Shared state — short-lived counters and markers that every control-plane
+ * replica must agree on: account lockouts, store-creation cooldowns and
+ * API rate-limit windows.
+ *
+ * A store is an object with:
+ *
+ *   name: string
+ *   increment(key, windowMs)      → Promise<{ count, expiresAt }>  fixed window from the first hit
+ *   decrement(key)                → Promise<void>
+ *   acquire(key, ttlMs, value?)   → Promise<{ acquired, expiresAt }>  only one caller wins until expiry
+ *   get(key)                      → Promise<{ value, count, expiresAt }|null>
+ *   set(key, value, ttlMs)        → Promise<void>
+ *   delete(key)                   → Promise<void>
+ *   deleteExpired()               → Promise<number>
+ *
+ * Expired keys behave as absent. Register new stores in STORES and select
+ * one with SHARED_STATE_STORE.
+ */
+
+const STORES = {
+  postgres: postgresStore,
+  memory: memoryStore,
+};
+
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+let cleanupTimer = null;
+
+/**
+ * Store selected in config.
+ * @returns {Object}
+ */
+function getSharedStore() {
+  const store = STORES[config.cluster.sharedStateStore];
+  if (!store) {
+    throw new Error(`Unknown shared state store '${config.cluster.sharedStateStore}'`);
+  }
+  return store;
+}
+
+/**
+ * express-rate-limit store backed by the shared store, so a client's hits
+ * are counted once across all replicas. One instance per limiter.
+ */
+class SharedRateLimitStore {
+  /**
+   * @param {string} prefix - Namespaces this limiter's keys, e.g. 'ratelimit:login:'
+   */
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localKeys = false;
+    this.windowMs = 60000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const { count, expiresAt } = await getSharedStore().increment(this.prefix + key, this.windowMs);
+    return { totalHits: count, resetTime: expiresAt };
+  }
+
+  async decrement(key) {
+    await getSharedStore().decrement(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await getSharedStore().delete(this.prefix + key);
+  }
+}
+
+/**
+ * Periodically drop expired keys. Run on the leader only.
+ */
+function startCleanup() {
+  if (cleanupTimer) return;
+
+  const run = () => getSharedStore().deleteExpired()
+    .then((removed) => {
+      if (removed > 0) logger.debug('Expired shared state removed', { removed });
+    })
+    .catch((err) => {
+      logger.error('Shared state cleanup failed', { error: err.message });
+    });
+
+  cleanupTimer = setInterval(run, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+  run();
+}
+
+function stopCleanup() {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+}
+
+module.exports = {
+  getSharedStore,
+  SharedRateLimitStore,
+  startCleanup,
+  stopCleanup,
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * In-memory shared-state store — same contract as the Postgres store, but
+ * the state lives in this process only. For single-replica development and
+ * tests; with several replicas each one enforces its own limits.
+ */
+
+// key → { value, count, expiresAt: number }
+const entries = new Map();
+
+function live(key, now = Date.now()) {
+  const entry = entries.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= now) {
+    entries.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+async function increment(key, windowMs) {
+  const now = Date.now();
+  const entry = live(key, now) || { value: null, count: 0, expiresAt: now + windowMs };
+  entry.count += 1;
+  entries.set(key, entry);
+  return { count: entry.count, expiresAt: new Date(entry.expiresAt) };
+}
+
+async function decrement(key) {
+  const entry = live(key);
+  if (entry) entry.count = Math.max(entry.count - 1, 0);
+}
+
+async function acquire(key, ttlMs, value = null) {
+  const now = Date.now();
+  const held = live(key, now);
+  if (held) return { acquired: false, expiresAt: new Date(held.expiresAt) };
+
+  entries.set(key, { value, count: 0, expiresAt: now + ttlMs });
+  return { acquired: true, expiresAt: new Date(now + ttlMs) };
+}
+
+async function get(key) {
+  const entry = live(key);
+  return entry ? { value: entry.value, count: entry.count, expiresAt: new Date(entry.expiresAt) } : null;
+}
+
+async function set(key, value, ttlMs) {
+  entries.set(key, { value, count: 0, expiresAt: Date.now() + ttlMs });
+}
+
+async function del(key) {
+  entries.delete(key);
+}
+
+async function deleteExpired() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  name: 'memory',
+  increment,
+  decrement,
+  acquire,
+  get,
+  set,
+  delete: del,
+  deleteExpired,
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+const db = require('../../db/pool');
+
+/**
+ * Postgres shared-state store — rows in shared_state, visible to every
+ * replica. Each operation is a single statement, so concurrent replicas
+ * never lose an increment or both acquire the same key.
+ */
+
+function toEntry(row) {
+  return {
+    value: row.value ?? null,
+    count: row.count,
+    expiresAt: new Date(row.expires_at),
+  };
+}
+
+/**
+ * Count a hit in a fixed window that starts with the first hit.
+ * @param {string} key
+ * @param {number} windowMs
+ * @returns {Promise<{ count: number, expiresAt: Date }>}
+ */
+async function increment(key, windowMs) {
+  const result = await db.query(
+    `INSERT INTO shared_state (key, count, expires_at)
+     VALUES ($1, 1, NOW() + ($2 * INTERVAL '1 millisecond'))
+     ON CONFLICT (key) DO UPDATE SET
+       count = CASE WHEN shared_state.expires_at <= NOW() THEN 1 ELSE shared_state.count + 1 END,
+       expires_at = CASE WHEN shared_state.expires_at <= NOW() THEN EXCLUDED.expires_at
+                         ELSE shared_state.expires_at END
+     RETURNING count, expires_at`,
+    [key, windowMs]
+  );
+  const { count, expiresAt } = toEntry(result.rows[0]);
+  return { count, expiresAt };
+}
+
+/**
+ * Undo one hit in the current window.
+ * @param {string} key
+ */
+async function decrement(key) {
+  await db.query(
+    `UPDATE shared_state SET count = GREATEST(count - 1, 0)
+     WHERE key = $1 AND expires_at > NOW()`,
+    [key]
+  );
+}
+
+/**
+ * Take a key for ttlMs unless someone holds it already.
+ * @param {string} key
+ * @param {number} ttlMs
+ * @param {*} [value]
+ * @returns {Promise<{ acquired: boolean, expiresAt: Date }>}
+ */
+async function acquire(key, ttlMs, value = null) {
+  const result = await db.query(
+    `INSERT INTO shared_state (key, value, expires_at)
+     VALUES ($1, $2, NOW() + ($3 * INTERVAL '1 millisecond'))
+     ON CONFLICT (key) DO UPDATE SET
+       value = EXCLUDED.value, count = 0, expires_at = EXCLUDED.expires_at, created_at = NOW()
+     WHERE shared_state.expires_at <= NOW()
+     RETURNING expires_at`,
+    [key, JSON.stringify(value), ttlMs]
+  );
+  if (result.rows.length > 0) {
+    return { acquired: true, expiresAt: new Date(result.rows[0].expires_at) };
+  }
+
+  const held = await get(key);
+  // Expired between the two statements — report it free rather than retry
+  return { acquired: false, expiresAt: held ? held.expiresAt : new Date() };
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<{ value: *, count: number, expiresAt: Date }|null>}
+ */
+async function get(key) {
+  const result = await db.query(
+    'SELECT value, count, expires_at FROM shared_state WHERE key = $1 AND expires_at > NOW()',
+    [key]
+  );
+  return result.rows.length > 0 ? toEntry(result.rows[0]) : null;
+}
+
+/**
+ * @param {string} key
+ * @param {*} value
+ * @param {number} ttlMs
+ */
+async function set(key, value, ttlMs) {
+  await db.query(
+    `INSERT INTO shared_state (key, value, expires_at)
+     VALUES ($1, $2, NOW() + ($3 * INTERVAL '1 millisecond'))
+     ON CONFLICT (key) DO UPDATE SET
+       value = EXCLUDED.value, count = 0, expires_at = EXCLUDED.expires_at, created_at = NOW()`,
+    [key, JSON.stringify(value), ttlMs]
+  );
+}
+
+/**
+ * @param {string} key
+ */
+async function del(key) {
+  await db.query('DELETE FROM shared_state WHERE key = $1', [key]);
+}
+
+/**
+ * Remove expired rows. Reads already ignore them; this only keeps the table small.
+ * @returns {Promise<number>} Rows removed
+ */
+async function deleteExpired() {
+  const result = await db.query('DELETE FROM shared_state WHERE expires_at <= NOW()');
+  return result.rowCount;
+}
+
+module.exports = {
+  name: 'postgres',
+  increment,
+  decrement,
+  acquire,
+  get,
+  set,
+  delete: del,
+  deleteExpired,
+};
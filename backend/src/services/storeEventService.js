@@ -0,0 +1,354 @@
+'use strict';
+
+const db = require('../db/pool');
+const config = require('../config');
+const logger = require('../utils/logger').child('store-events');
+
+/**
+ * Store Event Service — the live event feed behind GET /stores/:id/events.
+ *
+ * Status transitions (storeRegistry.update), workflow phase start/finish
+ * (provisionerService.timedStep) and audit entries (auditService.log) are
+ * appended to store_events as they are written. The row id is the SSE event
+ * id, so a client that reconnects with Last-Event-ID gets exactly what it
+ * missed; a client without one starts at the store's latest status change,
+ * which replays the phases of the workflow in progress.
+ *
+ * Inserts are announced with NOTIFY on the 'store_events' channel. Each
+ * replica with open streams LISTENs on one dedicated connection and wakes
+ * the streams of the notified store, which read the new rows themselves —
+ * so a stream sees events written by any replica, in id order.
+ */
+
+const EVENT_TYPES = {
+  STATUS: 'status',
+  PHASE: 'phase',
+  AUDIT: 'audit',
+};
+
+const CHANNEL = 'store_events';
+
+// Rows read per query while a stream catches up
+const BATCH_SIZE = 500;
+
+const RECONNECT_DELAY_MS = 5000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// storeId → Set<{ onNotify, onClose }>
+const subscriptions = new Map();
+
+let listenClient = null;
+let connecting = null;
+let reconnectTimer = null;
+let cleanupTimer = null;
+
+/**
+ * Append an event to a store's feed. Failures are logged — the feed must
+ * never fail the workflow that produced the event.
+ * @param {string} storeId
+ * @param {string} type - EVENT_TYPES
+ * @param {Object} [data]
+ * @returns {Promise<number|null>} Event id
+ */
+async function publish(storeId, type, data = {}) {
+  if (!storeId) return null;
+  try {
+    const result = await db.query(
+      'INSERT INTO store_events (store_id, type, data) VALUES ($1, $2, $3) RETURNING id',
+      [storeId, type, JSON.stringify(data)]
+    );
+    return Number(result.rows[0].id);
+  } catch (err) {
+    logger.warn('Failed to publish store event', { storeId, type, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Events of a store after an id, oldest first.
+ * @param {string} storeId
+ * @param {number} afterId
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>}
+ */
+async function listEvents(storeId, afterId, limit = BATCH_SIZE) {
+  const result = await db.query(
+    `SELECT id, store_id, type, data, created_at FROM store_events
+     WHERE store_id = $1 AND id > $2
+     ORDER BY id
+     LIMIT $3`,
+    [storeId, afterId, limit]
+  );
+  return result.rows.map(normalizeEvent);
+}
+
+/**
+ * Where a stream without Last-Event-ID starts: just before the store's
+ * latest status change, or after its newest event if it has none.
+ * @param {string} storeId
+ * @returns {Promise<number>}
+ */
+async function startCursor(storeId) {
+  const result = await db.query(
+    `SELECT COALESCE(
+       (SELECT MAX(id) - 1 FROM store_events WHERE store_id = $1 AND type = $2),
+       (SELECT MAX(id) FROM store_events WHERE store_id = $1),
+       0
+     ) AS id`,
+    [storeId, EVENT_TYPES.STATUS]
+  );
+  return Number(result.rows[0].id);
+}
+
+// ─── Streams ─────────────────────────────────────────────────────────────────
+
+/**
+ * Follow a store's feed: replay from `afterId` (or the start cursor), then
+ * deliver new events as they are written. Reads are serialized, so
+ * onEvents sees every event once, in id order.
+ *
+ * @param {string} storeId
+ * @param {Object} handlers
+ * @param {number|null} [handlers.afterId] - Last event id the client has
+ * @param {(events: Object[]) => void} handlers.onEvents
+ * @param {() => void} [handlers.onClose] - The server is closing the stream
+ * @returns {{ stop: Function, ready: Promise<void> }}
+ */
+function follow(storeId, { afterId = null, onEvents, onClose = () => { } }) {
+  let cursor = afterId;
+  let reading = null;
+  let again = false;
+  let stopped = false;
+
+  const read = () => {
+    if (reading) {
+      again = true;
+      return reading;
+    }
+    reading = (async () => {
+      try {
+        if (cursor === null) cursor = await startCursor(storeId);
+        do {
+          again = false;
+          let batch;
+          do {
+            batch = await listEvents(storeId, cursor);
+            if (stopped) return;
+            if (batch.length > 0) {
+              cursor = batch[batch.length - 1].id;
+              onEvents(batch);
+            }
+          } while (batch.length === BATCH_SIZE);
+        } while (again && !stopped);
+      } catch (err) {
+        logger.warn('Failed to read store events', { storeId, error: err.message });
+      } finally {
+        reading = null;
+      }
+    })();
+    return reading;
+  };
+
+  const subscription = {
+    onNotify: (id) => {
+      if (cursor === null || id > cursor) read();
+    },
+    onClose,
+  };
+  subscribe(storeId, subscription);
+
+  return {
+    ready: read(),
+    stop: () => {
+      stopped = true;
+      unsubscribe(storeId, subscription);
+    },
+  };
+}
+
+function subscribe(storeId, subscription) {
+  if (!subscriptions.has(storeId)) subscriptions.set(storeId, new Set());
+  subscriptions.get(storeId).add(subscription);
+  listen();
+}
+
+function unsubscribe(storeId, subscription) {
+  const subs = subscriptions.get(storeId);
+  if (!subs) return;
+  subs.delete(subscription);
+  if (subs.size === 0) subscriptions.delete(storeId);
+  if (subscriptions.size === 0) stopListening();
+}
+
+/**
+ * Close every stream — on shutdown, so clients reconnect to another replica
+ * instead of holding up the drain.
+ */
+function closeAll() {
+  const all = [...subscriptions.values()].flatMap(subs => [...subs]);
+  subscriptions.clear();
+  stopListening();
+  for (const subscription of all) {
+    try {
+      subscription.onClose();
+    } catch (err) {
+      logger.warn('Failed to close store event stream', { error: err.message });
+    }
+  }
+}
+
+// ─── LISTEN Connection ───────────────────────────────────────────────────────
+
+function handleNotification(msg) {
+  let payload;
+  try {
+    payload = JSON.parse(msg.payload);
+  } catch {
+    return;
+  }
+  const subs = subscriptions.get(payload.storeId);
+  if (!subs) return;
+  for (const subscription of subs) subscription.onNotify(Number(payload.id));
+}
+
+/**
+ * Wake every stream — notifications sent while the connection was down are
+ * lost, so each stream re-reads from its cursor.
+ */
+function notifyAll() {
+  for (const subs of subscriptions.values()) {
+    for (const subscription of subs) subscription.onNotify(Infinity);
+  }
+}
+
+/**
+ * Destroy the LISTEN connection — returned to the pool it would keep
+ * receiving notifications.
+ */
+function dropListenClient(err) {
+  if (!listenClient) return;
+  const client = listenClient;
+  listenClient = null;
+  client.removeListener('notification', handleNotification);
+  client.release(err || true);
+}
+
+function scheduleReconnect() {
+  if (reconnectTimer || subscriptions.size === 0) return;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    listen();
+  }, RECONNECT_DELAY_MS);
+  reconnectTimer.unref();
+}
+
+function handleListenError(err) {
+  logger.error('Store event connection failed', { error: err.message });
+  dropListenClient(err);
+  scheduleReconnect();
+}
+
+/**
+ * Open the LISTEN connection if streams need it and it is not open.
+ * @returns {Promise<void>}
+ */
+function listen() {
+  if (listenClient || connecting || reconnectTimer) return connecting;
+
+  connecting = (async () => {
+    const client = await db.getClient();
+    try {
+      await client.query(`LISTEN ${CHANNEL}`);
+    } catch (err) {
+      client.release(err);
+      throw err;
+    }
+    client.on('notification', handleNotification);
+    client.on('error', handleListenError);
+    listenClient = client;
+
+    // The last stream may have gone while connecting
+    if (subscriptions.size === 0) {
+      dropListenClient();
+      return;
+    }
+    notifyAll();
+  })()
+    .catch((err) => {
+      logger.error('Failed to listen for store events', { error: err.message });
+      scheduleReconnect();
+    })
+    .finally(() => {
+      connecting = null;
+    });
+
+  return connecting;
+}
+
+function stopListening() {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  dropListenClient();
+}
+
+// ─── Retention ───────────────────────────────────────────────────────────────
+
+/**
+ * Delete events older than the retention period.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Rows removed
+ */
+async function pruneEvents(now = new Date()) {
+  const cutoff = new Date(now.getTime() - config.storeEvents.retentionDays * DAY_MS);
+  const result = await db.query('DELETE FROM store_events WHERE created_at < $1', [cutoff]);
+  return result.rowCount;
+}
+
+/**
+ * Prune old events hourly (first run immediately). Run on the leader only.
+ */
+function startCleanup() {
+  if (cleanupTimer) return;
+
+  const run = () => pruneEvents()
+    .then((removed) => {
+      if (removed > 0) logger.debug('Old store events removed', { removed });
+    })
+    .catch((err) => {
+      logger.error('Store event cleanup failed', { error: err.message });
+    });
+
+  cleanupTimer = setInterval(run, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+  run();
+}
+
+function stopCleanup() {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+}
+
+function normalizeEvent(row) {
+  return {
+    id: Number(row.id),
+    storeId: row.store_id,
+    type: row.type,
+    data: row.data,
+    createdAt: row.created_at,
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publish,
+  listEvents,
+  follow,
+  closeAll,
+  startCleanup,
+  stopCleanup,
+};
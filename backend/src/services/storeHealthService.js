@@ -0,0 +1,349 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const db = require('../db/pool');
+const config = require('../config');
+const logger = require('../utils/logger').child('health');
+const storeRegistry = require('./storeRegistry');
+const kubernetesService = require('./kubernetesService');
+const auditService = require('./auditService');
+const { STATES, assertTransition } = require('../models/storeMachine');
+const { storesTotal, storesDegraded } = require('../utils/metrics');
+
+/**
+ * Store Health Service — continuous health monitoring of running stores.
+ *
+ * A background prober checks every ready and degraded store once per
+ * interval: pod readiness in its namespace, and a GET of the storefront and
+ * admin URLs through the ingress. Each probe is written to
+ * store_health_probes, which is the store's uptime history.
+ *
+ * A probe fails when pods are not all ready, a URL answers 5xx, or a request
+ * errors or times out. Redirects are not followed — an admin URL redirecting
+ * to its login page is healthy. After `failureThreshold` failed probes in a
+ * row a ready store moves to degraded; after `recoveryThreshold` healthy
+ * probes in a row it moves back to ready.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Stores probed concurrently within one pass
+const PROBE_CONCURRENCY = 5;
+
+const PROBED_STATUSES = [STATES.READY, STATES.DEGRADED];
+
+const PROBE_COLUMNS = `
+  id, store_id, healthy, pods_ready, pods_total, storefront_status, storefront_latency_ms,
+  admin_status, admin_latency_ms, error, checked_at
+`;
+
+let proberTimer = null;
+let probing = false;
+
+// ─── Probes ──────────────────────────────────────────────────────────────────
+
+/**
+ * GET a URL without following redirects. Never rejects.
+ * @param {string} url
+ * @returns {Promise<{ status: number|null, latencyMs: number, error: string|null }>}
+ */
+function probeUrl(url) {
+  const started = Date.now();
+  const { timeoutMs } = config.health;
+
+  return new Promise((resolve) => {
+    const finish = (status, error) => resolve({ status, latencyMs: Date.now() - started, error });
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      return finish(null, 'invalid URL');
+    }
+    const transport = target.protocol === 'https:' ? https : http;
+
+    const req = transport.request(target, { method: 'GET', timeout: timeoutMs }, (res) => {
+      // Only the status matters; discard the body
+      res.resume();
+      finish(res.statusCode, null);
+    });
+    req.on('timeout', () => req.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    req.on('error', err => finish(null, err.code || err.message));
+    req.end();
+  });
+}
+
+/**
+ * Check one store's pods and URLs. Never throws — a check that errors counts
+ * as a failed probe.
+ * @param {Object} store
+ * @returns {Promise<Object>} Probe result (not yet recorded)
+ */
+async function probeStore(store) {
+  const [pods, storefront, admin] = await Promise.all([
+    kubernetesService.checkPodsReady(store.namespace)
+      .catch(err => ({ ready: false, total: null, readyCount: null, error: err.message })),
+    store.storefrontUrl ? probeUrl(store.storefrontUrl) : null,
+    store.adminUrl ? probeUrl(store.adminUrl) : null,
+  ]);
+
+  const problems = [];
+  if (pods.error) {
+    problems.push(`pod check failed: ${pods.error}`);
+  } else if (!pods.ready) {
+    problems.push(`${pods.readyCount}/${pods.total} pods ready`);
+  }
+  for (const [label, check] of [['storefront', storefront], ['admin', admin]]) {
+    if (!check) continue;
+    if (check.error) problems.push(`${label} ${check.error}`);
+    else if (check.status >= 500) problems.push(`${label} returned HTTP ${check.status}`);
+  }
+
+  return {
+    storeId: store.id,
+    healthy: problems.length === 0,
+    podsReady: pods.readyCount,
+    podsTotal: pods.total,
+    storefrontStatus: storefront?.status ?? null,
+    storefrontLatencyMs: storefront?.latencyMs ?? null,
+    adminStatus: admin?.status ?? null,
+    adminLatencyMs: admin?.latencyMs ?? null,
+    error: problems.length ? problems.join('; ') : null,
+  };
+}
+
+/**
+ * Insert a probe result into the store's history.
+ * @param {Object} probe - Result of probeStore()
+ * @param {Date} [now]
+ */
+async function recordProbe(probe, now = new Date()) {
+  await db.query(
+    `INSERT INTO store_health_probes
+       (store_id, healthy, pods_ready, pods_total, storefront_status, storefront_latency_ms,
+        admin_status, admin_latency_ms, error, checked_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      probe.storeId, probe.healthy, probe.podsReady, probe.podsTotal,
+      probe.storefrontStatus, probe.storefrontLatencyMs, probe.adminStatus, probe.adminLatencyMs,
+      probe.error, now,
+    ]
+  );
+}
+
+// ─── Transitions ─────────────────────────────────────────────────────────────
+
+/**
+ * Decide whether recent probes move a store between ready and degraded.
+ * @param {string} status - Current store status
+ * @param {boolean[]} recent - Probe outcomes, newest first
+ * @param {{ failureThreshold: number, recoveryThreshold: number }} [thresholds]
+ * @returns {string|null} The status to move to, or null to stay
+ */
+function nextStatus(status, recent, thresholds = config.health) {
+  const streak = (healthy, length) =>
+    recent.length >= length && recent.slice(0, length).every(outcome => outcome === healthy);
+
+  if (status === STATES.READY && streak(false, thresholds.failureThreshold)) {
+    return STATES.DEGRADED;
+  }
+  if (status === STATES.DEGRADED && streak(true, thresholds.recoveryThreshold)) {
+    return STATES.READY;
+  }
+  return null;
+}
+
+/**
+ * Apply a ready ⇄ degraded transition if the store's recent probes call for
+ * one. Optimistically locked on the current status, so a workflow that moved
+ * the store meanwhile (suspend, upgrade, delete) wins.
+ * @param {Object} store
+ * @param {Object} probe - The probe just recorded
+ * @returns {Promise<string|null>} The new status, or null when unchanged
+ */
+async function evaluateStore(store, probe) {
+  const window = Math.max(config.health.failureThreshold, config.health.recoveryThreshold);
+  const result = await db.query(
+    'SELECT healthy FROM store_health_probes WHERE store_id = $1 ORDER BY checked_at DESC LIMIT $2',
+    [store.id, window]
+  );
+  const target = nextStatus(store.status, result.rows.map(row => row.healthy));
+  if (!target) return null;
+
+  assertTransition(store.status, target);
+  const degrading = target === STATES.DEGRADED;
+  const updated = await storeRegistry.update(store.id, {
+    status: target,
+    degradedAt: degrading ? new Date() : null,
+    degradedReason: degrading ? probe.error : null,
+  }, { expectedStatus: store.status });
+  if (!updated) return null;
+
+  if (degrading) {
+    storesTotal.inc({ status: 'degraded' });
+    logger.warn('Store degraded', { storeId: store.id, reason: probe.error });
+  } else {
+    logger.info('Store recovered', { storeId: store.id });
+  }
+
+  await auditService.log({
+    storeId: store.id,
+    eventType: 'status_change',
+    previousStatus: store.status,
+    newStatus: target,
+    message: degrading
+      ? `Store degraded after ${config.health.failureThreshold} failed health probes: ${probe.error}`
+      : `Store recovered after ${config.health.recoveryThreshold} healthy probes`,
+    metadata: { reason: probe.error },
+  });
+  return target;
+}
+
+// ─── Prober ──────────────────────────────────────────────────────────────────
+
+/**
+ * Probe every ready and degraded store once, apply transitions, then prune
+ * probes past retention.
+ * @returns {Promise<{ probed: number, healthy: number, degraded: number, recovered: number }|null>} null if a pass is already running
+ */
+async function probeAll() {
+  if (probing) return null;
+  probing = true;
+  const result = { probed: 0, healthy: 0, degraded: 0, recovered: 0 };
+
+  try {
+    const stores = await storeRegistry.findAll({ status: PROBED_STATUSES });
+    let degradedCount = 0;
+
+    for (let i = 0; i < stores.length; i += PROBE_CONCURRENCY) {
+      const batch = stores.slice(i, i + PROBE_CONCURRENCY);
+      await Promise.all(batch.map(async (store) => {
+        try {
+          const probe = await probeStore(store);
+          await recordProbe(probe);
+          result.probed++;
+          if (probe.healthy) result.healthy++;
+
+          const target = await evaluateStore(store, probe);
+          if (target === STATES.DEGRADED) result.degraded++;
+          if (target === STATES.READY) result.recovered++;
+          if ((target || store.status) === STATES.DEGRADED) degradedCount++;
+        } catch (err) {
+          logger.warn('Health probe failed', { storeId: store.id, error: err.message });
+        }
+      }));
+    }
+
+    storesDegraded.set({}, degradedCount);
+    const pruned = await pruneProbes();
+    logger.info('Health probe pass complete', { ...result, pruned });
+    return result;
+  } finally {
+    probing = false;
+  }
+}
+
+/**
+ * Delete probe results older than the retention window.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Rows deleted
+ */
+async function pruneProbes(now = new Date()) {
+  const cutoff = new Date(now.getTime() - config.health.retentionDays * DAY_MS);
+  const result = await db.query('DELETE FROM store_health_probes WHERE checked_at < $1', [cutoff]);
+  return result.rowCount;
+}
+
+/**
+ * Start the periodic prober (first pass immediately). No-op when disabled.
+ */
+function startProber() {
+  if (!config.health.proberEnabled || proberTimer) return;
+
+  const run = () => probeAll().catch((err) => {
+    logger.error('Health probe pass failed', { error: err.message });
+  });
+
+  proberTimer = setInterval(run, config.health.intervalMs);
+  proberTimer.unref();
+  run();
+  logger.info('Health prober started', { intervalMs: config.health.intervalMs });
+}
+
+function stopProber() {
+  if (proberTimer) {
+    clearInterval(proberTimer);
+    proberTimer = null;
+  }
+}
+
+// ─── Reports ─────────────────────────────────────────────────────────────────
+
+function normalizeProbe(row) {
+  return {
+    id: Number(row.id),
+    healthy: row.healthy,
+    podsReady: row.pods_ready,
+    podsTotal: row.pods_total,
+    storefront: { status: row.storefront_status, latencyMs: row.storefront_latency_ms },
+    admin: { status: row.admin_status, latencyMs: row.admin_latency_ms },
+    error: row.error,
+    checkedAt: row.checked_at,
+  };
+}
+
+/**
+ * Health of one store: uptime over the window and its most recent probes.
+ * @param {Object} store
+ * @param {Object} [options]
+ * @param {number} [options.hours=24] - Uptime window
+ * @param {number} [options.limit=50] - Recent probes returned
+ * @param {Date} [now]
+ * @returns {Promise<Object>}
+ */
+async function getStoreHealth(store, { hours = 24, limit = 50 } = {}, now = new Date()) {
+  const since = new Date(now.getTime() - hours * HOUR_MS);
+
+  const [summary, probes] = await Promise.all([
+    db.query(
+      `SELECT COUNT(*) AS total, COUNT(*) FILTER (WHERE healthy) AS healthy
+       FROM store_health_probes WHERE store_id = $1 AND checked_at >= $2`,
+      [store.id, since]
+    ),
+    db.query(
+      `SELECT ${PROBE_COLUMNS} FROM store_health_probes
+       WHERE store_id = $1 AND checked_at >= $2
+       ORDER BY checked_at DESC LIMIT $3`,
+      [store.id, since, limit]
+    ),
+  ]);
+
+  const total = parseInt(summary.rows[0].total, 10) || 0;
+  const healthy = parseInt(summary.rows[0].healthy, 10) || 0;
+  const recent = probes.rows.map(normalizeProbe);
+
+  return {
+    status: store.status,
+    degradedAt: store.status === STATES.DEGRADED ? store.degradedAt : null,
+    degradedReason: store.status === STATES.DEGRADED ? store.degradedReason : null,
+    window: { hours, from: since, to: now },
+    // null when the store has not been probed in the window
+    uptimePercent: total ? Math.round((healthy / total) * 10000) / 100 : null,
+    probeCount: total,
+    healthyCount: healthy,
+    lastProbe: recent[0] || null,
+    probes: recent,
+  };
+}
+
+module.exports = {
+  PROBED_STATUSES,
+  probeStore,
+  probeAll,
+  startProber,
+  stopProber,
+  getStoreHealth,
+  // Exported for testing
+  nextStatus,
+};
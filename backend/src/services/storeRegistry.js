@@ -2,6 +2,7 @@
 
 const db = require('../db/pool');
 const logger = require('../utils/logger').child('store-registry');
+const storeEventService = require('./storeEventService');
 
 /**
  * Store Registry — data access layer for the stores table.
@@ -11,9 +12,12 @@ const logger = require('../utils/logger').child('store-registry');
 
 const STORE_COLUMNS = `
   id, name, engine, status, namespace, helm_release,
-  storefront_url, admin_url, failure_reason, retry_count,
+  storefront_url, admin_url, failure_reason, failure_code, failure_evidence, retry_count, next_retry_at,
   provisioning_started_at, provisioning_completed_at, provisioning_duration_ms,
-  owner_id, theme, admin_credentials, created_at, updated_at, deleted_at
+  owner_id, theme, admin_credentials, suspended_at, chart_version, last_upgraded_at,
+  backup_retention_count, backup_retention_days, restore_backup_id, last_restored_at, cloned_from, plan,
+  degraded_at, degraded_reason, credential_rotation_days, credentials_rotated_at,
+  created_at, updated_at, deleted_at
 `;
 
 /**
@@ -22,14 +26,17 @@ const STORE_COLUMNS = `
  * @returns {Promise<Object>} The created store row
  */
 async function create(store) {
-  const { id, name, engine, namespace, helmRelease, ownerId = 'default', theme = null } = store;
+  const {
+    id, name, engine, namespace, helmRelease, ownerId = 'default', theme = null,
+    restoreBackupId = null, clonedFrom = null, plan = 'small',
+  } = store;
   const result = await db.query(
-    `INSERT INTO stores (id, name, engine, namespace, helm_release, owner_id, theme)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `INSERT INTO stores (id, name, engine, namespace, helm_release, owner_id, theme, restore_backup_id, cloned_from, plan)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
      RETURNING ${STORE_COLUMNS}`,
-    [id, name, engine, namespace, helmRelease, ownerId, theme]
+    [id, name, engine, namespace, helmRelease, ownerId, theme, restoreBackupId, clonedFrom, plan]
   );
-  logger.info('Store record created', { storeId: id, engine, theme });
+  logger.info('Store record created', { storeId: id, engine, theme, plan, restoreBackupId, clonedFrom });
   return normalizeRow(result.rows[0]);
 }
 
@@ -115,10 +122,54 @@ async function list(filters = {}) {
   };
 }
 
+/**
+ * Find every store matching the given filters (no pagination).
+ * Used for fleet-wide operations that must see the whole selection.
+ * @param {Object} [filters]
+ * @param {string} [filters.ownerId]
+ * @param {string|string[]} [filters.status] - One status or any of several
+ * @param {string} [filters.engine]
+ * @returns {Promise<Object[]>} Oldest stores first
+ */
+async function findAll(filters = {}) {
+  const { ownerId, status, engine } = filters;
+  const conditions = [];
+  const params = [];
+  let paramIndex = 1;
+
+  if (Array.isArray(status)) {
+    conditions.push(`status = ANY($${paramIndex++}::store_status[])`);
+    params.push(status);
+  } else if (status) {
+    conditions.push(`status = $${paramIndex++}`);
+    params.push(status);
+  } else {
+    conditions.push(`status != 'deleted'`);
+  }
+
+  if (ownerId) {
+    conditions.push(`owner_id = $${paramIndex++}`);
+    params.push(ownerId);
+  }
+
+  if (engine) {
+    conditions.push(`engine = $${paramIndex++}`);
+    params.push(engine);
+  }
+
+  const result = await db.query(
+    `SELECT ${STORE_COLUMNS} FROM stores WHERE ${conditions.join(' AND ')}
+     ORDER BY created_at ASC`,
+    params
+  );
+  return result.rows.map(normalizeRow);
+}
+
 /**
  * Update store status and related fields.
  * Supports optimistic locking via `expectedStatus` — when provided, the UPDATE
  * includes a `WHERE status = $N` clause to prevent race conditions.
+ * A status change is also appended to the store's event feed.
  *
  * @param {string} id
  * @param {Object} updates - Fields to update
@@ -136,13 +187,28 @@ async function update(id, updates, options = {}) {
     storefrontUrl: 'storefront_url',
     adminUrl: 'admin_url',
     failureReason: 'failure_reason',
+    failureCode: 'failure_code',
+    failureEvidence: 'failure_evidence',
     retryCount: 'retry_count',
+    nextRetryAt: 'next_retry_at',
     provisioningStartedAt: 'provisioning_started_at',
     provisioningCompletedAt: 'provisioning_completed_at',
     provisioningDurationMs: 'provisioning_duration_ms',
     deletedAt: 'deleted_at',
     helmRelease: 'helm_release',
     adminCredentials: 'admin_credentials',
+    suspendedAt: 'suspended_at',
+    chartVersion: 'chart_version',
+    lastUpgradedAt: 'last_upgraded_at',
+    backupRetentionCount: 'backup_retention_count',
+    backupRetentionDays: 'backup_retention_days',
+    restoreBackupId: 'restore_backup_id',
+    lastRestoredAt: 'last_restored_at',
+    plan: 'plan',
+    degradedAt: 'degraded_at',
+    degradedReason: 'degraded_reason',
+    credentialRotationDays: 'credential_rotation_days',
+    credentialsRotatedAt: 'credentials_rotated_at',
   };
 
   for (const [key, column] of Object.entries(allowedFields)) {
@@ -153,6 +219,12 @@ async function update(id, updates, options = {}) {
     }
   }
 
+  // Credentials arrive sealed (secretsService) — record the master key version
+  if (updates.adminCredentials !== undefined) {
+    setClauses.push(`credentials_key_version = $${paramIndex++}`);
+    params.push(updates.adminCredentials?.kv ?? null);
+  }
+
   if (setClauses.length === 0) {
     return findById(id);
   }
@@ -184,19 +256,47 @@ async function update(id, updates, options = {}) {
   }
 
   logger.info('Store record updated', { storeId: id, fields: Object.keys(updates) });
+  if (updates.status !== undefined) {
+    await storeEventService.publish(id, storeEventService.EVENT_TYPES.STATUS, {
+      status: updates.status,
+      previousStatus: options.expectedStatus || null,
+    });
+  }
   return normalizeRow(result.rows[0]);
 }
 
+/**
+ * List the live clones of a store, newest first.
+ * @param {string} sourceId
+ * @returns {Promise<Object[]>}
+ */
+async function findClones(sourceId) {
+  const result = await db.query(
+    `SELECT ${STORE_COLUMNS} FROM stores WHERE cloned_from = $1 AND status != 'deleted'
+     ORDER BY created_at DESC`,
+    [sourceId]
+  );
+  return result.rows.map(normalizeRow);
+}
+
 /**
  * Count active (non-deleted) stores for an owner.
  * Used for per-user store limit enforcement.
  * @param {string} ownerId
+ * @param {Object} [options]
+ * @param {string} [options.plan] - Only count stores on this plan
  * @returns {Promise<number>}
  */
-async function countActiveByOwner(ownerId = 'default') {
+async function countActiveByOwner(ownerId = 'default', { plan } = {}) {
+  const params = [ownerId];
+  let planClause = '';
+  if (plan) {
+    params.push(plan);
+    planClause = ' AND plan = $2';
+  }
   const result = await db.query(
-    `SELECT COUNT(*) as count FROM stores WHERE owner_id = $1 AND status NOT IN ('deleted', 'failed')`,
-    [ownerId]
+    `SELECT COUNT(*) as count FROM stores WHERE owner_id = $1 AND status NOT IN ('deleted', 'failed')${planClause}`,
+    params
   );
   return parseInt(result.rows[0].count, 10);
 }
@@ -207,12 +307,66 @@ async function countActiveByOwner(ownerId = 'default') {
  */
 async function findStuckStores() {
   const result = await db.query(
-    `SELECT ${STORE_COLUMNS} FROM stores WHERE status IN ('requested', 'provisioning', 'deleting')
+    `SELECT ${STORE_COLUMNS} FROM stores WHERE status IN ('requested', 'provisioning', 'deleting', 'suspending', 'resuming', 'upgrading', 'restoring')
      ORDER BY created_at ASC`
   );
   return result.rows.map(normalizeRow);
 }
 
+/**
+ * Find failed stores whose automatic retry is due, oldest first.
+ * @param {number} [limit=10]
+ * @returns {Promise<Object[]>}
+ */
+async function findDueRetries(limit = 10) {
+  const result = await db.query(
+    `SELECT ${STORE_COLUMNS} FROM stores
+     WHERE status = 'failed' AND next_retry_at <= NOW()
+     ORDER BY next_retry_at ASC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows.map(normalizeRow);
+}
+
+/**
+ * Find stores whose credentials are not sealed with the given master key
+ * version (including ones never sealed), in id order for paging.
+ * @param {number} keyVersion
+ * @param {Object} [options]
+ * @param {string} [options.after] - Return stores after this id
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Array<{ id: string, adminCredentials: Object }>>}
+ */
+async function findCredentialsToReencrypt(keyVersion, { after = null, limit = 50 } = {}) {
+  const result = await db.query(
+    `SELECT id, admin_credentials FROM stores
+     WHERE admin_credentials IS NOT NULL AND admin_credentials <> '{}'::jsonb
+       AND credentials_key_version IS DISTINCT FROM $1
+       AND ($2::text IS NULL OR id > $2)
+     ORDER BY id
+     LIMIT $3`,
+    [keyVersion, after, limit]
+  );
+  return result.rows.map(row => ({ id: row.id, adminCredentials: row.admin_credentials }));
+}
+
+/**
+ * Swap a store's credentials envelope, only if it is still `current`.
+ * @param {string} id
+ * @param {Object} current - Envelope as read
+ * @param {Object} next - Envelope to store
+ * @returns {Promise<boolean>} False if the credentials changed meanwhile
+ */
+async function replaceAdminCredentials(id, current, next) {
+  const result = await db.query(
+    `UPDATE stores SET admin_credentials = $2, credentials_key_version = $3
+     WHERE id = $1 AND admin_credentials = $4::jsonb`,
+    [id, JSON.stringify(next), next.kv, JSON.stringify(current)]
+  );
+  return result.rowCount > 0;
+}
+
 /**
  * Normalize a database row to a camelCase JS object.
  * Converts snake_case columns to camelCase properties.
@@ -231,13 +385,30 @@ function normalizeRow(row) {
     storefrontUrl: row.storefront_url,
     adminUrl: row.admin_url,
     failureReason: row.failure_reason,
+    failureCode: row.failure_code || null,
+    failureEvidence: row.failure_evidence || null,
     retryCount: row.retry_count,
+    nextRetryAt: row.next_retry_at || null,
     provisioningStartedAt: row.provisioning_started_at,
     provisioningCompletedAt: row.provisioning_completed_at,
     provisioningDurationMs: row.provisioning_duration_ms,
     ownerId: row.owner_id,
     theme: row.theme || null,
+    // Sealed envelope — secretsService.openAdminCredentials decrypts it
     adminCredentials: row.admin_credentials || null,
+    suspendedAt: row.suspended_at || null,
+    chartVersion: row.chart_version || null,
+    lastUpgradedAt: row.last_upgraded_at || null,
+    backupRetentionCount: row.backup_retention_count ?? null,
+    backupRetentionDays: row.backup_retention_days ?? null,
+    restoreBackupId: row.restore_backup_id || null,
+    lastRestoredAt: row.last_restored_at || null,
+    clonedFrom: row.cloned_from || null,
+    plan: row.plan || 'small',
+    degradedAt: row.degraded_at || null,
+    degradedReason: row.degraded_reason || null,
+    credentialRotationDays: row.credential_rotation_days ?? null,
+    credentialsRotatedAt: row.credentials_rotated_at || null,
     createdAt: row.created_at,
     updatedAt: row.updated_at,
     deletedAt: row.deleted_at,
@@ -249,7 +420,12 @@ module.exports = {
   findById,
   findByNameAndOwner,
   list,
+  findAll,
   update,
+  findClones,
   countActiveByOwner,
   findStuckStores,
+  findDueRetries,
+  findCredentialsToReencrypt,
+  replaceAdminCredentials,
 };
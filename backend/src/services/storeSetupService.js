@@ -1,6 +1,6 @@
 'use strict';
 
-const { execFile } = require('child_process');
+const { execFile, spawn } = require('child_process');
 const { promisify } = require('util');
 const logger = require('../utils/logger').child('store-setup');
 
@@ -58,6 +58,108 @@ async function kubectlExec({ namespace, podName, command, timeoutMs = 60000 }) {
   }
 }
 
+/**
+ * Run a command inside a pod and stream its stdout instead of buffering it.
+ * Used for database dumps and restores, which easily exceed kubectlExec's maxBuffer.
+ *
+ * The caller consumes `stdout` (or resumes it); `done` resolves once kubectl
+ * exits cleanly and rejects with the tail of stderr otherwise. When `stdin` is
+ * given it is piped into the command (`kubectl exec -i`). The process is
+ * killed on timeout.
+ *
+ * @param {Object} params
+ * @param {string} params.namespace
+ * @param {string} params.podName
+ * @param {string} params.container
+ * @param {string} params.command - Run with `sh -c`
+ * @param {import('stream').Readable} [params.stdin]
+ * @param {number} [params.timeoutMs=600000]
+ * @returns {{ stdout: import('stream').Readable, done: Promise<void>, kill: Function }}
+ */
+function kubectlExecStream({ namespace, podName, container, command, stdin, timeoutMs = 600000 }) {
+  const args = [
+    'exec',
+    ...(stdin ? ['-i'] : []),
+    podName,
+    '-n', namespace,
+    '-c', container,
+    '--', 'sh', '-c', command,
+  ];
+
+  logger.debug('kubectl exec (stream)', { namespace, podName, container, command: command.substring(0, 200) });
+
+  const child = spawn(KUBECTL_BIN, args, { stdio: [stdin ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+  if (stdin) {
+    // The remote side may exit early (e.g. SQL error) — surface that via `done`, not EPIPE
+    child.stdin.on('error', () => {});
+    stdin.on('error', () => child.kill('SIGKILL'));
+    stdin.pipe(child.stdin);
+  }
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk.toString()).slice(-2000);
+  });
+
+  const timer = setTimeout(() => {
+    stderr += `\nTimed out after ${timeoutMs}ms`;
+    child.kill('SIGKILL');
+  }, timeoutMs);
+
+  const done = new Promise((resolve, reject) => {
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      reject(new Error(`kubectl exec failed: ${err.message}`));
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve();
+      const errMsg = stderr.trim() || `exited with ${signal || `code ${code}`}`;
+      logger.warn('kubectl exec (stream) failed', { namespace, podName, container, error: errMsg.substring(0, 500) });
+      reject(new Error(`kubectl exec failed: ${errMsg.substring(0, 500)}`));
+    });
+  });
+
+  return { stdout: child.stdout, done, kill: () => child.kill('SIGKILL') };
+}
+
+/**
+ * Database pod lookup per engine — label selector and container name as
+ * rendered by the ecommerce-store chart.
+ */
+const DATABASE_PODS = {
+  woocommerce: { selector: 'app.kubernetes.io/name=mariadb', container: 'mariadb' },
+  medusa: { selector: 'app.kubernetes.io/name=medusa,app.kubernetes.io/component=database', container: 'postgres' },
+};
+
+/**
+ * Find the running database pod for a store.
+ * @param {string} namespace
+ * @param {string} engine - 'woocommerce' | 'medusa'
+ * @returns {Promise<{ podName: string, container: string }>}
+ */
+async function findDatabasePod(namespace, engine) {
+  const target = DATABASE_PODS[engine];
+  if (!target) {
+    throw new Error(`No database pod known for engine '${engine}'`);
+  }
+
+  try {
+    const { stdout } = await execFileAsync(KUBECTL_BIN, [
+      'get', 'pods', '-n', namespace,
+      '-l', target.selector,
+      '--field-selector=status.phase=Running',
+      '-o', 'jsonpath={.items[0].metadata.name}',
+    ], { timeout: 15000 });
+
+    if (!stdout || stdout === '{}') {
+      throw new Error('No database pod found');
+    }
+    return { podName: stdout.trim(), container: target.container };
+  } catch (err) {
+    throw new Error(`Failed to find database pod in ${namespace}: ${err.message}`);
+  }
+}
+
 /**
  * Find the WordPress pod name in a namespace.
  * @param {string} namespace
@@ -118,6 +220,143 @@ async function ensureWpCli({ namespace, podName }) {
   return true;
 }
 
+/**
+ * Bring WordPress in line with a database that was just restored from a backup.
+ *
+ * The dump carries options and content but not wp-content files, so the
+ * pinned WooCommerce plugin and the store theme are installed if missing
+ * (fresh namespaces have neither). URLs stored in the database point at the
+ * store the backup came from; they are search-replaced to `siteUrl` and
+ * siteurl/home are set explicitly.
+ *
+ * @param {Object} params
+ * @param {string} params.namespace
+ * @param {string} params.storeId
+ * @param {string} params.siteUrl - New store URL (config.buildStoreUrl)
+ * @param {string} [params.theme='storefront']
+ * @param {string} [params.woocommerceVersion='9.5.2']
+ * @returns {Promise<{ previousUrl: string|null, siteUrl: string }>}
+ */
+async function finalizeWooCommerceRestore({ namespace, storeId, siteUrl, theme = 'storefront', woocommerceVersion = '9.5.2' }) {
+  const podName = await findWordPressPod(namespace);
+  await ensureWpCli({ namespace, podName });
+
+  const wp = 'wp --allow-root --path=/var/www/html';
+  // Restored options may reference plugins/themes that are not on disk yet
+  const wpBare = `${wp} --skip-plugins --skip-themes`;
+  const themeSlug = theme === 'astra' ? 'astra' : 'storefront';
+  const wcUrl = `https://downloads.wordpress.org/plugin/woocommerce.${woocommerceVersion}.zip`;
+
+  await kubectlExec({
+    namespace,
+    podName,
+    command: [
+      `{ ${wpBare} plugin is-installed woocommerce || ${wpBare} plugin install "${wcUrl}" 2>&1; }`,
+      `{ ${wpBare} theme is-installed ${themeSlug} || ${wpBare} theme install ${themeSlug} 2>&1; }`,
+    ].join(' && '),
+    timeoutMs: 300000,
+  });
+
+  const { previousUrl } = await rewriteWordPressSiteUrl({ namespace, storeId, siteUrl, podName });
+
+  logger.info('WordPress URLs rewritten after restore', { storeId, previousUrl, siteUrl });
+  return { previousUrl, siteUrl };
+}
+
+/**
+ * Point WordPress at a new base URL — search-replace the current siteurl
+ * across all tables (except GUIDs), then set siteurl/home explicitly.
+ * Used after restores and when a store's primary custom domain changes.
+ *
+ * @param {Object} params
+ * @param {string} params.namespace
+ * @param {string} params.storeId
+ * @param {string} params.siteUrl - New base URL
+ * @param {string} [params.podName] - Skip the pod lookup when the caller already has it
+ * @returns {Promise<{ previousUrl: string|null, siteUrl: string }>}
+ */
+async function rewriteWordPressSiteUrl({ namespace, storeId, siteUrl, podName }) {
+  if (!podName) {
+    podName = await findWordPressPod(namespace);
+    await ensureWpCli({ namespace, podName });
+  }
+
+  const wp = 'wp --allow-root --path=/var/www/html';
+  const wpBare = `${wp} --skip-plugins --skip-themes`;
+
+  const { stdout } = await kubectlExec({
+    namespace,
+    podName,
+    command: `${wpBare} option get siteurl 2>/dev/null`,
+    timeoutMs: 30000,
+  });
+  const previousUrl = stdout.split('\n').pop().trim() || null;
+
+  const quote = (value) => `'${value.replace(/'/g, "'\\''")}'`;
+  const commands = [];
+  if (previousUrl && previousUrl !== siteUrl) {
+    commands.push(`${wpBare} search-replace ${quote(previousUrl)} ${quote(siteUrl)} --all-tables --skip-columns=guid --report-summary 2>&1`);
+  }
+  commands.push(
+    `${wpBare} option update siteurl ${quote(siteUrl)} 2>&1`,
+    `${wpBare} option update home ${quote(siteUrl)} 2>&1`,
+    `{ ${wp} rewrite flush 2>&1 || true; }`,
+    `{ ${wp} cache flush 2>&1 || true; }`,
+  );
+
+  await kubectlExec({ namespace, podName, command: commands.join(' && '), timeoutMs: 300000 });
+
+  logger.info('WordPress site URL updated', { storeId, previousUrl, siteUrl });
+  return { previousUrl, siteUrl };
+}
+
+/**
+ * Copy wp-content (uploads, plugins, themes) from one store to another.
+ *
+ * Streams a tarball out of the source WordPress container straight into the
+ * target's — nothing touches the control plane's disk. Files in the target
+ * are overwritten; files only the target has are left alone.
+ *
+ * @param {Object} params
+ * @param {string} params.sourceNamespace
+ * @param {string} params.targetNamespace
+ * @param {string} params.storeId - Target store, for logging
+ * @param {number} [params.timeoutMs=900000]
+ * @returns {Promise<void>}
+ */
+async function copyWpContent({ sourceNamespace, targetNamespace, storeId, timeoutMs = 900000 }) {
+  const [sourcePod, targetPod] = await Promise.all([
+    findWordPressPod(sourceNamespace),
+    findWordPressPod(targetNamespace),
+  ]);
+
+  const source = kubectlExecStream({
+    namespace: sourceNamespace,
+    podName: sourcePod,
+    container: 'wordpress',
+    command: 'exec tar -czf - -C /var/www/html wp-content',
+    timeoutMs,
+  });
+  const target = kubectlExecStream({
+    namespace: targetNamespace,
+    podName: targetPod,
+    container: 'wordpress',
+    command: 'tar -xzf - -C /var/www/html && chown -R www-data:www-data /var/www/html/wp-content',
+    stdin: source.stdout,
+    timeoutMs,
+  });
+
+  try {
+    await Promise.all([source.done, target.done]);
+  } catch (err) {
+    source.kill();
+    target.kill();
+    throw err;
+  }
+
+  logger.info('wp-content copied', { storeId, sourceNamespace, targetNamespace });
+}
+
 /**
  * Run the full WooCommerce setup on a WordPress pod.
  * 
@@ -824,11 +1063,16 @@ async function updateWooCommerceAdminPassword({ namespace, storeId, adminUsernam
 module.exports = {
   setupWooCommerce,
   setupMedusa,
+  finalizeWooCommerceRestore,
+  rewriteWordPressSiteUrl,
+  copyWpContent,
   updateMedusaAdminPassword,
   updateWooCommerceAdminPassword,
   kubectlExec,
   kubectlExecMedusa,
+  kubectlExecStream,
   findWordPressPod,
+  findDatabasePod,
   findMedusaPod,
   ensureWpCli,
 };
@@ -0,0 +1,321 @@
+'use strict';
+
+const db = require('../db/pool');
+const config = require('../config');
+const logger = require('../utils/logger').child('usage');
+const storeRegistry = require('./storeRegistry');
+const kubernetesService = require('./kubernetesService');
+const { STATES } = require('../models/storeMachine');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Usage Service — per-store resource metering.
+ *
+ * A background collector samples every store namespace's CPU, memory and
+ * storage (kubernetesService.getNamespaceUsage) once per interval and writes
+ * one row per store per hour. Re-sampling within an hour replaces that hour's
+ * row, so a sample always stands for exactly one hour of consumption and
+ * totals are plain sums: core-hours, GiB-hours.
+ *
+ * Samples carry the store's owner and plan at sample time — rollups group by
+ * plan, which is what billing charges for.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const GIB = 2 ** 30;
+
+// Stores without a namespace yet
+const UNSAMPLED_STATUSES = new Set([STATES.REQUESTED, STATES.DELETED]);
+
+const ROLLUP_CSV_COLUMNS = [
+  'storeId', 'storeName', 'ownerId', 'ownerEmail', 'plan', 'hours',
+  'cpuCoreHours', 'memoryGibHours', 'storageGibHours', 'peakCpuMillicores', 'peakMemoryBytes', 'peakStorageBytes',
+];
+
+let collectorTimer = null;
+let collecting = false;
+
+/**
+ * Start of the UTC hour containing `date`.
+ * @param {Date} date
+ * @returns {Date}
+ */
+function hourBucket(date) {
+  return new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+}
+
+/**
+ * Default report window: start of the current UTC month until now.
+ * @param {{ from?: Date, to?: Date }} range
+ * @param {Date} [now]
+ * @returns {{ from: Date, to: Date }}
+ */
+function resolveRange({ from, to } = {}, now = new Date()) {
+  const end = to ? new Date(to) : now;
+  const start = from ? new Date(from) : new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), 1));
+  if (start >= end) {
+    throw new ValidationError("'from' must be before 'to'.", { from: start, to: end });
+  }
+  return { from: start, to: end };
+}
+
+// ─── Collection ──────────────────────────────────────────────────────────────
+
+/**
+ * Sample one store and upsert its row for the current hour.
+ * @param {Object} store
+ * @param {Date} [now]
+ * @returns {Promise<boolean>} false when the namespace reported nothing
+ */
+async function collectStoreSample(store, now = new Date()) {
+  const usage = await kubernetesService.getNamespaceUsage(store.namespace);
+  if (!usage) return false;
+
+  await db.query(
+    `INSERT INTO store_usage_samples
+       (store_id, owner_id, plan, hour, cpu_millicores, memory_bytes, storage_bytes, pods, source, sampled_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (store_id, hour) DO UPDATE SET
+       owner_id = EXCLUDED.owner_id,
+       plan = EXCLUDED.plan,
+       cpu_millicores = EXCLUDED.cpu_millicores,
+       memory_bytes = EXCLUDED.memory_bytes,
+       storage_bytes = EXCLUDED.storage_bytes,
+       pods = EXCLUDED.pods,
+       source = EXCLUDED.source,
+       sampled_at = EXCLUDED.sampled_at`,
+    [
+      store.id, store.ownerId, store.plan, hourBucket(now),
+      usage.cpuMillicores, usage.memoryBytes, usage.storageBytes, usage.pods, usage.source, now,
+    ]
+  );
+  return true;
+}
+
+/**
+ * Sample every store once, then prune samples past retention.
+ * Stores are sampled one at a time to keep load on the API server flat.
+ * @returns {Promise<{ sampled: number, skipped: number, failed: number }|null>} null if a run is already in progress
+ */
+async function collectAll() {
+  if (collecting) return null;
+  collecting = true;
+  const result = { sampled: 0, skipped: 0, failed: 0 };
+  const now = new Date();
+
+  try {
+    const stores = await storeRegistry.findAll();
+    for (const store of stores) {
+      if (UNSAMPLED_STATUSES.has(store.status) || !store.namespace) {
+        result.skipped++;
+        continue;
+      }
+      try {
+        if (await collectStoreSample(store, now)) {
+          result.sampled++;
+        } else {
+          result.skipped++;
+        }
+      } catch (err) {
+        result.failed++;
+        logger.warn('Usage sample failed', { storeId: store.id, error: err.message });
+      }
+    }
+
+    const pruned = await pruneSamples(now);
+    logger.info('Usage collection complete', { ...result, pruned });
+    return result;
+  } finally {
+    collecting = false;
+  }
+}
+
+/**
+ * Delete samples older than the retention window.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Rows deleted
+ */
+async function pruneSamples(now = new Date()) {
+  const cutoff = new Date(now.getTime() - config.usage.retentionDays * DAY_MS);
+  const result = await db.query('DELETE FROM store_usage_samples WHERE hour < $1', [cutoff]);
+  return result.rowCount;
+}
+
+/**
+ * Start the periodic collector (first run immediately). No-op when disabled.
+ */
+function startCollector() {
+  if (!config.usage.collectorEnabled || collectorTimer) return;
+
+  const run = () => collectAll().catch((err) => {
+    logger.error('Usage collection failed', { error: err.message });
+  });
+
+  collectorTimer = setInterval(run, config.usage.intervalMs);
+  collectorTimer.unref();
+  run();
+  logger.info('Usage collector started', { intervalMs: config.usage.intervalMs });
+}
+
+function stopCollector() {
+  if (collectorTimer) {
+    clearInterval(collectorTimer);
+    collectorTimer = null;
+  }
+}
+
+// ─── Reports ─────────────────────────────────────────────────────────────────
+
+/**
+ * Turn summed sample columns into billable units.
+ * @param {{ hours: number|string, cpu_sum: number|string, memory_sum: number|string, storage_sum: number|string }} row
+ * @returns {{ hours: number, cpuCoreHours: number, memoryGibHours: number, storageGibHours: number }}
+ */
+function toUnits(row) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return {
+    hours: parseInt(row.hours, 10) || 0,
+    cpuCoreHours: round(Number(row.cpu_sum || 0) / 1000),
+    memoryGibHours: round(Number(row.memory_sum || 0) / GIB),
+    storageGibHours: round(Number(row.storage_sum || 0) / GIB),
+  };
+}
+
+/**
+ * Usage of one store: samples bucketed by hour or day, plus totals.
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Defaults to the start of the current month
+ * @param {Date} [options.to] - Defaults to now
+ * @param {'hour'|'day'} [options.granularity='hour']
+ * @returns {Promise<{ from: Date, to: Date, granularity: string, samples: Object[], totals: Object }>}
+ */
+async function getStoreUsage(storeId, { from, to, granularity = 'hour' } = {}) {
+  const range = resolveRange({ from, to });
+
+  const result = await db.query(
+    `SELECT date_trunc($4, hour) AS period,
+            COUNT(*) AS hours,
+            SUM(cpu_millicores) AS cpu_sum,
+            SUM(memory_bytes) AS memory_sum,
+            SUM(storage_bytes) AS storage_sum,
+            MAX(cpu_millicores) AS cpu_peak,
+            MAX(memory_bytes) AS memory_peak,
+            MAX(storage_bytes) AS storage_peak
+     FROM store_usage_samples
+     WHERE store_id = $1 AND hour >= $2 AND hour < $3
+     GROUP BY period
+     ORDER BY period`,
+    [storeId, range.from, range.to, granularity]
+  );
+
+  const samples = result.rows.map(row => ({
+    period: row.period,
+    ...toUnits(row),
+    peakCpuMillicores: Number(row.cpu_peak),
+    peakMemoryBytes: Number(row.memory_peak),
+    peakStorageBytes: Number(row.storage_peak),
+  }));
+
+  const totals = toUnits({
+    hours: samples.reduce((sum, s) => sum + s.hours, 0),
+    cpu_sum: result.rows.reduce((sum, r) => sum + Number(r.cpu_sum), 0),
+    memory_sum: result.rows.reduce((sum, r) => sum + Number(r.memory_sum), 0),
+    storage_sum: result.rows.reduce((sum, r) => sum + Number(r.storage_sum), 0),
+  });
+
+  return { ...range, granularity, samples, totals };
+}
+
+/**
+ * Platform-wide usage, one row per store and plan.
+ * @param {Object} [options]
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @param {string} [options.ownerId]
+ * @returns {Promise<{ from: Date, to: Date, stores: Object[], totals: Object }>}
+ */
+async function getUsageRollup({ from, to, ownerId } = {}) {
+  const range = resolveRange({ from, to });
+  const params = [range.from, range.to];
+  let ownerClause = '';
+  if (ownerId) {
+    params.push(ownerId);
+    ownerClause = `AND u.owner_id = $${params.length}`;
+  }
+
+  const result = await db.query(
+    `SELECT u.store_id, s.name AS store_name, u.owner_id, usr.email AS owner_email, u.plan,
+            COUNT(*) AS hours,
+            SUM(u.cpu_millicores) AS cpu_sum,
+            SUM(u.memory_bytes) AS memory_sum,
+            SUM(u.storage_bytes) AS storage_sum,
+            MAX(u.cpu_millicores) AS cpu_peak,
+            MAX(u.memory_bytes) AS memory_peak,
+            MAX(u.storage_bytes) AS storage_peak
+     FROM store_usage_samples u
+     LEFT JOIN stores s ON s.id = u.store_id
+     LEFT JOIN users usr ON usr.id::text = u.owner_id
+     WHERE u.hour >= $1 AND u.hour < $2 ${ownerClause}
+     GROUP BY u.store_id, s.name, u.owner_id, usr.email, u.plan
+     ORDER BY u.owner_id, u.store_id, u.plan`,
+    params
+  );
+
+  const stores = result.rows.map(row => ({
+    storeId: row.store_id,
+    storeName: row.store_name,
+    ownerId: row.owner_id,
+    ownerEmail: row.owner_email,
+    plan: row.plan,
+    ...toUnits(row),
+    peakCpuMillicores: Number(row.cpu_peak),
+    peakMemoryBytes: Number(row.memory_peak),
+    peakStorageBytes: Number(row.storage_peak),
+  }));
+
+  const sum = (key) => Math.round(stores.reduce((total, s) => total + s[key], 0) * 1000) / 1000;
+  const totals = {
+    stores: new Set(stores.map(s => s.storeId)).size,
+    hours: sum('hours'),
+    cpuCoreHours: sum('cpuCoreHours'),
+    memoryGibHours: sum('memoryGibHours'),
+    storageGibHours: sum('storageGibHours'),
+  };
+
+  return { ...range, stores, totals };
+}
+
+/**
+ * Render rollup rows as CSV (RFC 4180 quoting).
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+function toCsv(rows) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [ROLLUP_CSV_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(ROLLUP_CSV_COLUMNS.map(column => escape(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  collectAll,
+  collectStoreSample,
+  pruneSamples,
+  startCollector,
+  stopCollector,
+  getStoreUsage,
+  getUsageRollup,
+  toCsv,
+  // Exported for testing
+  hourBucket,
+  resolveRange,
+  toUnits,
+};
@@ -53,6 +53,26 @@ async function authenticate({ email, password }) {
   return normalizeUser(user);
 }
 
+/**
+ * Check an active user's password, e.g. to re-authenticate a sensitive action.
+ * @param {number} userId
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(userId, password) {
+  const result = await db.query(
+    `SELECT password_hash, is_active FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  const user = result.rows[0];
+  if (!user || !user.is_active) {
+    return false;
+  }
+
+  return bcrypt.compare(password, user.password_hash);
+}
+
 // ─── Password Change ─────────────────────────────────────────────────────────
 
 /**
@@ -94,11 +114,37 @@ async function changePassword(userId, currentPassword, newPassword) {
   return findById(userId);
 }
 
+// ─── Account Status ──────────────────────────────────────────────────────────
+
+/**
+ * Activate or deactivate a user. Deactivated users cannot log in, and their
+ * tokens and API keys stop working.
+ * @param {string} userId
+ * @param {boolean} isActive
+ * @returns {Promise<Object|null>} Updated user, null if not found
+ */
+async function setActive(userId, isActive) {
+  const result = await db.query(
+    `UPDATE users SET is_active = $2, updated_at = NOW() WHERE id = $1
+     RETURNING ${USER_COLUMNS}`,
+    [userId, isActive]
+  );
+
+  if (result.rows.length > 0) logger.info(isActive ? 'User activated' : 'User deactivated', { userId });
+  return result.rows[0] ? normalizeUser(result.rows[0]) : null;
+}
+
 // ─── JWT ─────────────────────────────────────────────────────────────────────
 
-function generateToken(user) {
+/**
+ * Issue a short-lived access token for a session (services/sessionService.js).
+ * @param {Object} user
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function generateToken(user, sessionId) {
   return jwt.sign(
-    { id: user.id, email: user.email, role: user.role },
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
     config.jwt.secret,
     { expiresIn: config.jwt.expiresIn }
   );
@@ -149,7 +195,9 @@ function normalizeUser(row) {
 module.exports = {
   register,
   authenticate,
+  verifyPassword,
   changePassword,
+  setActive,
   generateToken,
   verifyToken,
   findById,
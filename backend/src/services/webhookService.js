@@ -0,0 +1,570 @@
+'use strict';
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const db = require('../db/pool');
+const config = require('../config');
+const logger = require('../utils/logger').child('webhooks');
+const { retryWithBackoff } = require('../utils/retry');
+const { STATES } = require('../models/storeMachine');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+/**
+ * Webhook Service — outbound notifications of store lifecycle events.
+ *
+ * Owners register endpoints with the events they want. Events come from the
+ * audit log: auditService.log() hands every recorded event to dispatch(),
+ * which maps it to webhook events and queues one delivery per matching
+ * endpoint. Tenant endpoints receive events of their own stores; admin
+ * endpoints receive events of every store, plus security events.
+ *
+ * Each delivery is a JSON POST signed with the endpoint's secret:
+ *
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, "<timestamp>.<body>")
+ *
+ * with the timestamp in X-Webhook-Timestamp. Failed attempts (network errors,
+ * timeouts, 408/429/5xx) are retried with exponential backoff; every
+ * delivery and its outcome is kept in webhook_deliveries and can be replayed.
+ * Retries are in-process — a delivery interrupted by a restart stays
+ * 'pending' until it is replayed.
+ *
+ * Endpoints must resolve to public addresses. The check runs when an endpoint
+ * is registered or changed and again on the address each delivery connects
+ * to, so re-pointing the hostname later (DNS rebinding) does not get around
+ * it. Redirects are not followed and response bodies are discarded, so an
+ * endpoint cannot be used to read from the internal network.
+ */
+
+const WEBHOOK_EVENTS = {
+  STORE_CREATED: 'store_created',
+  STATUS_CHANGE: 'status_change',
+  PROVISIONING_FAILED: 'provisioning_failed',
+  STORE_DELETED: 'store_deleted',
+  ACTION_REQUIRED: 'action_required',
+  SECURITY: 'security',
+};
+
+// Events only admin endpoints may subscribe to
+const ADMIN_EVENTS = new Set([WEBHOOK_EVENTS.SECURITY]);
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+// Responses worth another attempt; other 4xx mean the receiver rejected it
+const RETRYABLE_STATUS = new Set([408, 429]);
+
+// Addresses a webhook may never reach: loopback, private, shared (CGNAT),
+// link-local (cloud metadata), unique-local, multicast and reserved ranges,
+// plus the NAT64 and 6to4 prefixes, which embed an IPv4 address a relay reaches
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+for (const cidr of config.webhooks.blockedCidrs) {
+  const [address, prefix] = cidr.split('/');
+  BLOCKED_ADDRESSES.addSubnet(address, parseInt(prefix, 10), net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+const ENDPOINT_COLUMNS = 'id, owner_id, url, description, events, enabled, created_at, updated_at';
+
+const DELIVERY_COLUMNS = `
+  id, endpoint_id, event, payload, status, attempts, response_status, error,
+  duration_ms, replay_of, delivered_at, created_at, updated_at
+`;
+
+// ─── Endpoints ───────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} address - IPv4 or IPv6 literal
+ * @returns {boolean} Whether webhooks may be sent to the address
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Reject a webhook URL whose hostname resolves to an address inside the
+ * network. Every address counts — a hostname with one public and one private
+ * record is refused.
+ * @param {string} url
+ */
+async function assertPublicUrl(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch {
+    throw new ValidationError(`Webhook URL host ${hostname} does not resolve.`, { url });
+  }
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new ValidationError('Webhook URL must point to a public address.', { url });
+  }
+}
+
+// Not retried — the endpoint has to be changed
+function blockedAddressError(message) {
+  const err = new Error(message);
+  err.retryable = false;
+  return err;
+}
+
+/**
+ * dns.lookup for delivery requests that refuses internal addresses, so the
+ * address checked is the one connected to.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(blockedAddressError(`${hostname} resolves to ${blocked.address}, which webhooks may not reach`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Reject events the caller may not subscribe to.
+ * @param {string[]} events
+ * @param {boolean} isAdmin
+ */
+function assertSubscribable(events, isAdmin) {
+  const restricted = events.filter(event => ADMIN_EVENTS.has(event));
+  if (restricted.length && !isAdmin) {
+    throw new ValidationError(`Only admins can subscribe to ${restricted.join(', ')} events.`, { events: restricted });
+  }
+}
+
+/**
+ * Register an endpoint. The signing secret is returned here only.
+ * @param {Object} params
+ * @param {string} params.ownerId
+ * @param {boolean} params.isAdmin - Whether the owner is a platform admin
+ * @param {string} params.url
+ * @param {string[]} params.events
+ * @param {string} [params.description]
+ * @returns {Promise<{ endpoint: Object, secret: string }>}
+ */
+async function createEndpoint({ ownerId, isAdmin, url, events, description }) {
+  assertSubscribable(events, isAdmin);
+  await assertPublicUrl(url);
+  const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+  const result = await db.query(
+    `INSERT INTO webhook_endpoints (owner_id, url, description, events, secret)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${ENDPOINT_COLUMNS}`,
+    [ownerId, url, description || null, events, secret]
+  );
+  const endpoint = normalizeEndpoint(result.rows[0]);
+  logger.info('Webhook endpoint registered', { endpointId: endpoint.id, ownerId, events });
+  return { endpoint, secret };
+}
+
+/**
+ * @param {Object} [filters]
+ * @param {string} [filters.ownerId] - Omit to list every owner's endpoints
+ * @returns {Promise<Object[]>}
+ */
+async function listEndpoints({ ownerId } = {}) {
+  const result = ownerId
+    ? await db.query(
+      `SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE owner_id = $1 ORDER BY created_at DESC`,
+      [ownerId]
+    )
+    : await db.query(`SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints ORDER BY created_at DESC`);
+  return result.rows.map(normalizeEndpoint);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+async function getEndpoint(id) {
+  const result = await db.query(`SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE id = $1`, [id]);
+  if (result.rows.length === 0) throw new NotFoundError('Webhook', id);
+  return normalizeEndpoint(result.rows[0]);
+}
+
+/**
+ * Change an endpoint's URL, events, description or enabled flag.
+ * @param {string} id
+ * @param {Object} updates
+ * @param {Object} options
+ * @param {boolean} options.isAdmin - Whether the caller is a platform admin
+ * @returns {Promise<Object>}
+ */
+async function updateEndpoint(id, updates, { isAdmin }) {
+  if (updates.events) assertSubscribable(updates.events, isAdmin);
+  if (updates.url) await assertPublicUrl(updates.url);
+
+  const fields = { url: 'url', description: 'description', events: 'events', enabled: 'enabled' };
+  const setClauses = [];
+  const params = [];
+  for (const [key, column] of Object.entries(fields)) {
+    if (updates[key] !== undefined) {
+      params.push(updates[key]);
+      setClauses.push(`${column} = $${params.length}`);
+    }
+  }
+  if (setClauses.length === 0) return getEndpoint(id);
+
+  params.push(id);
+  const result = await db.query(
+    `UPDATE webhook_endpoints SET ${setClauses.join(', ')} WHERE id = $${params.length}
+     RETURNING ${ENDPOINT_COLUMNS}`,
+    params
+  );
+  if (result.rows.length === 0) throw new NotFoundError('Webhook', id);
+  return normalizeEndpoint(result.rows[0]);
+}
+
+/**
+ * Remove an endpoint and its delivery log.
+ * @param {string} id
+ */
+async function deleteEndpoint(id) {
+  const result = await db.query('DELETE FROM webhook_endpoints WHERE id = $1', [id]);
+  if (result.rowCount === 0) throw new NotFoundError('Webhook', id);
+  logger.info('Webhook endpoint removed', { endpointId: id });
+}
+
+// ─── Dispatch ────────────────────────────────────────────────────────────────
+
+/**
+ * Webhook events an audit event stands for, most general first. Any store
+ * event that moves the status is a status_change, whatever its audit type
+ * (workflow failures are audited as 'error' or 'recovery').
+ * @param {Object} event - As passed to auditService.log()
+ * @returns {string[]}
+ */
+function eventsForAudit(event) {
+  if (event.eventType === 'store_created' || event.eventType === 'store_adopted') {
+    return [WEBHOOK_EVENTS.STORE_CREATED];
+  }
+  if (event.eventType === 'security') {
+    return [WEBHOOK_EVENTS.SECURITY];
+  }
+  if (event.eventType === 'action_required') {
+    return [WEBHOOK_EVENTS.ACTION_REQUIRED];
+  }
+  if (!event.storeId || !event.newStatus || event.newStatus === event.previousStatus) {
+    return [];
+  }
+
+  const events = [WEBHOOK_EVENTS.STATUS_CHANGE];
+  if (event.newStatus === STATES.FAILED
+    && [STATES.REQUESTED, STATES.PROVISIONING].includes(event.previousStatus)) {
+    events.push(WEBHOOK_EVENTS.PROVISIONING_FAILED);
+  }
+  if (event.newStatus === STATES.DELETED) events.push(WEBHOOK_EVENTS.STORE_DELETED);
+  return events;
+}
+
+/**
+ * Queue deliveries of an audit event to every endpoint subscribed to it.
+ * Never throws — webhooks must not break the flow that recorded the event.
+ * @param {Object} event - As passed to auditService.log()
+ * @returns {Promise<number>} Deliveries queued
+ */
+async function dispatch(event) {
+  const events = eventsForAudit(event);
+  if (events.length === 0) return 0;
+
+  try {
+    // Tenants' endpoints get their own stores' events; admins' get everything
+    const result = await db.query(
+      `SELECT e.id, e.owner_id, e.url, e.events, e.secret
+       FROM webhook_endpoints e
+       JOIN users u ON u.id::text = e.owner_id AND u.is_active
+       WHERE e.enabled AND e.events && $1::text[]
+         AND (u.role = 'admin'
+              OR ($2::varchar IS NOT NULL AND e.owner_id = (SELECT owner_id FROM stores WHERE id = $2)))`,
+      [events, event.storeId || null]
+    );
+    if (result.rows.length === 0) return 0;
+
+    const eventId = crypto.randomUUID();
+    const occurredAt = new Date().toISOString();
+
+    for (const endpoint of result.rows) {
+      // The most specific event the endpoint asked for names the delivery
+      const name = [...events].reverse().find(e => endpoint.events.includes(e));
+      const payload = buildPayload({ id: eventId, event: name, occurredAt, audit: event });
+      const delivery = await createDelivery(endpoint.id, name, payload);
+      deliver(delivery, endpoint).catch((err) => {
+        logger.error('Webhook delivery crashed', { deliveryId: delivery.id, error: err.message });
+      });
+    }
+    return result.rows.length;
+  } catch (err) {
+    logger.error('Webhook dispatch failed', { eventType: event.eventType, storeId: event.storeId, error: err.message });
+    return 0;
+  }
+}
+
+/**
+ * The JSON document POSTed to endpoints.
+ */
+function buildPayload({ id, event, occurredAt, audit }) {
+  return {
+    id,
+    event,
+    occurredAt,
+    storeId: audit.storeId || null,
+    data: {
+      previousStatus: audit.previousStatus || null,
+      newStatus: audit.newStatus || null,
+      message: audit.message || null,
+      metadata: audit.metadata || {},
+    },
+  };
+}
+
+async function createDelivery(endpointId, event, payload, replayOf = null) {
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (endpoint_id, event, payload, replay_of)
+     VALUES ($1, $2, $3, $4)
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [endpointId, event, JSON.stringify(payload), replayOf]
+  );
+  return normalizeDelivery(result.rows[0]);
+}
+
+// ─── Delivery ────────────────────────────────────────────────────────────────
+
+/**
+ * Signature of a delivery body.
+ * @param {string} secret
+ * @param {string|number} timestamp - Unix seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} `sha256=<hex>`
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * POST a delivery once. Redirects are not followed and the response body is
+ * discarded.
+ * @returns {Promise<{ status: number }>} Rejects on network errors, timeouts and internal addresses
+ */
+function post(endpoint, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const target = new URL(endpoint.url);
+  const transport = target.protocol === 'https:' ? https : http;
+  const { timeoutMs } = config.webhooks;
+
+  // IP literals are connected to without a lookup
+  const literal = target.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(literal) && !isPublicAddress(literal)) {
+    return Promise.reject(blockedAddressError(`${literal} is an address webhooks may not reach`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method: 'POST',
+      timeout: timeoutMs,
+      lookup: publicLookup,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'ecommerce-control-plane-webhooks/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(endpoint.secret, timestamp, body),
+      },
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ status: res.statusCode }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Send a delivery, retrying with backoff, and record every attempt.
+ * @param {Object} delivery
+ * @param {Object} endpoint - Needs url and secret
+ * @returns {Promise<Object>} The delivery with its final status
+ */
+async function deliver(delivery, endpoint) {
+  let last = { responseStatus: null, error: null, durationMs: null };
+
+  const attempt = async (n) => {
+    const started = Date.now();
+    let error = null;
+    try {
+      const res = await post(endpoint, delivery);
+      last = { responseStatus: res.status, error: null, durationMs: Date.now() - started };
+      if (res.status < 200 || res.status >= 300) {
+        error = new Error(`Endpoint responded with HTTP ${res.status}`);
+        error.retryable = res.status >= 500 || RETRYABLE_STATUS.has(res.status);
+      }
+    } catch (err) {
+      last = { responseStatus: null, error: null, durationMs: Date.now() - started };
+      error = err;
+      error.retryable = err.retryable !== false;
+    }
+    if (error) last.error = error.message;
+
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET attempts = $2, response_status = $3, error = $4, duration_ms = $5
+       WHERE id = $1`,
+      [delivery.id, n + 1, last.responseStatus, last.error, last.durationMs]
+    );
+    if (error) throw error;
+  };
+
+  let status = DELIVERY_STATUS.SUCCEEDED;
+  try {
+    await retryWithBackoff(attempt, {
+      maxRetries: config.webhooks.maxRetries,
+      baseDelayMs: config.webhooks.retryBaseDelayMs,
+      maxDelayMs: config.webhooks.retryMaxDelayMs,
+      operationName: `Webhook delivery ${delivery.id}`,
+      shouldRetry: err => err.retryable,
+    });
+  } catch (err) {
+    status = DELIVERY_STATUS.FAILED;
+    logger.warn('Webhook delivery failed', { deliveryId: delivery.id, endpointId: endpoint.id, error: err.message });
+  }
+
+  const succeeded = status === DELIVERY_STATUS.SUCCEEDED;
+  const result = await db.query(
+    `UPDATE webhook_deliveries SET status = $2, error = $3, delivered_at = $4
+     WHERE id = $1
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [delivery.id, status, succeeded ? null : last.error, succeeded ? new Date() : null]
+  );
+  return normalizeDelivery(result.rows[0]);
+}
+
+/**
+ * Deliveries of an endpoint, newest first.
+ * @param {string} endpointId
+ * @param {Object} [options]
+ * @returns {Promise<{ deliveries: Object[], total: number }>}
+ */
+async function listDeliveries(endpointId, { status, limit = 50, offset = 0 } = {}) {
+  const conditions = ['endpoint_id = $1'];
+  const params = [endpointId];
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  const where = conditions.join(' AND ');
+
+  const [count, rows] = await Promise.all([
+    db.query(`SELECT COUNT(*) AS total FROM webhook_deliveries WHERE ${where}`, params),
+    db.query(
+      `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE ${where}
+       ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+  ]);
+  return { deliveries: rows.rows.map(normalizeDelivery), total: parseInt(count.rows[0].total, 10) };
+}
+
+/**
+ * Send a past delivery's payload again as a new delivery. The receiver sees
+ * the same event ID and can deduplicate on it.
+ * @param {string} endpointId
+ * @param {string} deliveryId
+ * @returns {Promise<Object>} The new (pending) delivery
+ */
+async function replayDelivery(endpointId, deliveryId) {
+  const result = await db.query(
+    `SELECT d.id, d.event, d.payload, e.url, e.secret
+     FROM webhook_deliveries d JOIN webhook_endpoints e ON e.id = d.endpoint_id
+     WHERE d.id = $1 AND d.endpoint_id = $2`,
+    [deliveryId, endpointId]
+  );
+  if (result.rows.length === 0) throw new NotFoundError('Delivery', deliveryId);
+  const original = result.rows[0];
+
+  const delivery = await createDelivery(endpointId, original.event, original.payload, original.id);
+  logger.info('Webhook delivery replayed', { deliveryId: delivery.id, replayOf: original.id });
+
+  deliver(delivery, { id: endpointId, url: original.url, secret: original.secret }).catch((err) => {
+    logger.error('Webhook delivery crashed', { deliveryId: delivery.id, error: err.message });
+  });
+  return delivery;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function normalizeEndpoint(row) {
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    url: row.url,
+    description: row.description || null,
+    events: row.events,
+    enabled: row.enabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function normalizeDelivery(row) {
+  return {
+    id: row.id,
+    endpointId: row.endpoint_id,
+    event: row.event,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    durationMs: row.duration_ms,
+    replayOf: row.replay_of || null,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  createEndpoint,
+  listEndpoints,
+  getEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  dispatch,
+  listDeliveries,
+  replayDelivery,
+  signPayload,
+  // Exported for testing
+  eventsForAudit,
+  deliver,
+  isPublicAddress,
+};
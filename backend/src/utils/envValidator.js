@@ -28,7 +28,20 @@ const envSchema = Joi.object({
     .messages({
       'string.min': 'JWT_SECRET must be at least 16 characters for security.',
     }),
-  JWT_EXPIRES_IN: Joi.string().default('24h'),
+  JWT_EXPIRES_IN: Joi.string().default('15m'),
+  REFRESH_TOKEN_TTL_DAYS: Joi.number().integer().min(1).max(365).default(30),
+
+  // ─── Secrets ──────────────────────────────────────────────────────────
+  SECRETS_MASTER_KEYS: Joi.string().pattern(/^\s*\d+:[A-Za-z0-9+/=]+\s*(,\s*\d+:[A-Za-z0-9+/=]+\s*)*$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'SECRETS_MASTER_KEYS must be comma-separated "<version>:<base64 key>" pairs.',
+    }),
+  SECRETS_MASTER_KEYS_FILE: Joi.string().optional(),
+  SECRETS_ACTIVE_KEY_VERSION: Joi.number().integer().min(1).optional(),
+  SECRETS_REENCRYPT_INTERVAL_MS: Joi.number().integer().min(60000).default(3600000),
+  CREDENTIAL_ROTATION_CHECK_INTERVAL_MS: Joi.number().integer().min(60000).default(3600000),
+  CREDENTIAL_REVEAL_TTL_SECONDS: Joi.number().integer().min(10).max(3600).default(60),
 
   // ─── Kubernetes ────────────────────────────────────────────────────────
   KUBECONFIG: Joi.string().optional(),
@@ -42,11 +55,21 @@ const envSchema = Joi.object({
   HELM_DEBUG: Joi.string().valid('true', 'false').default('false'),
 
   // ─── Provisioning ─────────────────────────────────────────────────────
-  MAX_STORES_PER_USER: Joi.number().integer().min(1).max(100).default(5),
+  MAX_STORES_PER_USER: Joi.number().integer().min(1).max(100).default(5), // small plan
+  MAX_MEDIUM_STORES_PER_USER: Joi.number().integer().min(1).max(100).default(2),
+  MAX_LARGE_STORES_PER_USER: Joi.number().integer().min(1).max(100).default(1),
+  DEFAULT_STORE_PLAN: Joi.string().valid('small', 'medium', 'large').default('small'),
   PROVISIONING_TIMEOUT_MS: Joi.number().integer().min(10000).default(600000),
   PROVISIONING_POLL_INTERVAL_MS: Joi.number().integer().min(1000).default(5000),
   PROVISIONING_MAX_RETRIES: Joi.number().integer().min(0).max(10).default(3),
-  PROVISIONING_RETRY_BASE_DELAY_MS: Joi.number().integer().min(100).default(2000),
+  PROVISIONING_AUTO_RETRY: Joi.string().valid('true', 'false').default('true'),
+  PROVISIONING_RETRY_BASE_DELAY_MS: Joi.number().integer().min(100).default(30000),
+  PROVISIONING_RETRY_MAX_DELAY_MS: Joi.number().integer().min(1000).default(600000),
+  PROVISIONING_MAX_CONCURRENT: Joi.number().integer().min(1).max(50).default(3),
+  PROVISIONING_MAX_QUEUE: Joi.number().integer().min(0).default(10),
+  PROVISIONING_JOB_LEASE_MS: Joi.number().integer().min(10000).default(60000),
+  PROVISIONING_JOB_POLL_INTERVAL_MS: Joi.number().integer().min(250).default(2000),
+  PROVISIONING_JOB_MAX_ATTEMPTS: Joi.number().integer().min(1).max(10).default(3),
 
   // ─── Store ─────────────────────────────────────────────────────────────
   STORE_DOMAIN_SUFFIX: Joi.string().default('.localhost'),
@@ -55,6 +78,81 @@ const envSchema = Joi.object({
   AUTO_PORT_FORWARD: Joi.string().valid('true', 'false').default('false'),
   AUTO_HOSTS_FILE: Joi.string().valid('true', 'false').default('true'),
 
+  // ─── Backups ──────────────────────────────────────────────────────────
+  BACKUP_S3_ENDPOINT: Joi.string().uri({ scheme: ['http', 'https'] }).default('http://localhost:9000'),
+  BACKUP_S3_REGION: Joi.string().default('us-east-1'),
+  BACKUP_S3_BUCKET: Joi.string().pattern(/^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/).default('mtec-store-backups')
+    .messages({
+      'string.pattern.base': 'BACKUP_S3_BUCKET must be a valid S3 bucket name.',
+    }),
+  BACKUP_S3_ACCESS_KEY_ID: Joi.string().default('minioadmin'),
+  BACKUP_S3_SECRET_ACCESS_KEY: Joi.string().default('minioadmin'),
+  BACKUP_TIMEOUT_MS: Joi.number().integer().min(10000).default(900000),
+  BACKUP_RETENTION_COUNT: Joi.number().integer().min(1).max(365).default(7),
+  BACKUP_RETENTION_DAYS: Joi.number().integer().min(1).max(3650).default(30),
+
+  // ─── Custom Domains ───────────────────────────────────────────────────
+  DOMAIN_VERIFICATION_PREFIX: Joi.string().pattern(/^_[a-z0-9-]+$/).default('_mtec-verify')
+    .messages({
+      'string.pattern.base': 'DOMAIN_VERIFICATION_PREFIX must be a DNS label starting with an underscore.',
+    }),
+  CUSTOM_DOMAIN_TLS: Joi.string().valid('true', 'false').default('false'),
+  CERT_MANAGER_CLUSTER_ISSUER: Joi.string().allow('').default(''),
+  MAX_DOMAINS_PER_STORE: Joi.number().integer().min(1).max(50).default(5),
+  DOMAIN_PENDING_TTL_DAYS: Joi.number().integer().min(1).max(365).default(7),
+
+  // ─── Billing ──────────────────────────────────────────────────────────
+  SMALL_PLAN_MONTHLY_PRICE_CENTS: Joi.number().integer().min(1).default(1000),
+  MEDIUM_PLAN_MONTHLY_PRICE_CENTS: Joi.number().integer().min(1).default(2500),
+  LARGE_PLAN_MONTHLY_PRICE_CENTS: Joi.number().integer().min(1).default(6000),
+  BILLING_CURRENCY: Joi.string().lowercase().length(3).default('usd'),
+  BILLING_PAYMENT_PROVIDER: Joi.string().valid('fake').default('fake'),
+  BILLING_DUE_DAYS: Joi.number().integer().min(1).max(90).default(14),
+  BILLING_AUTO_SUSPEND: Joi.string().valid('true', 'false').default('false'),
+  BILLING_SUSPEND_GRACE_DAYS: Joi.number().integer().min(1).max(90).default(7),
+  BILLING_JOB_INTERVAL_MS: Joi.number().integer().min(60000).default(3600000),
+  BILLING_CPU_CORE_HOUR_CENTS: Joi.number().min(0).default(0),
+  BILLING_MEMORY_GIB_HOUR_CENTS: Joi.number().min(0).default(0),
+  BILLING_STORAGE_GIB_HOUR_CENTS: Joi.number().min(0).default(0),
+
+  // ─── Usage Metering ───────────────────────────────────────────────────
+  USAGE_COLLECTOR_ENABLED: Joi.string().valid('true', 'false').default('true'),
+  USAGE_COLLECTOR_INTERVAL_MS: Joi.number().integer().min(60000).default(3600000),
+  USAGE_RETENTION_DAYS: Joi.number().integer().min(1).max(3650).default(400),
+
+  // ─── Drift Reconciler ─────────────────────────────────────────────────
+  DRIFT_RECONCILER_ENABLED: Joi.string().valid('true', 'false').default('true'),
+  DRIFT_RECONCILE_INTERVAL_MS: Joi.number().integer().min(60000).default(900000),
+  DRIFT_ORPHAN_GRACE_MS: Joi.number().integer().min(0).default(600000),
+
+  // ─── Health Prober ────────────────────────────────────────────────────
+  HEALTH_PROBER_ENABLED: Joi.string().valid('true', 'false').default('true'),
+  HEALTH_PROBE_INTERVAL_MS: Joi.number().integer().min(10000).default(60000),
+  HEALTH_PROBE_TIMEOUT_MS: Joi.number().integer().min(500).max(60000).default(5000),
+  HEALTH_FAILURE_THRESHOLD: Joi.number().integer().min(1).max(20).default(3),
+  HEALTH_RECOVERY_THRESHOLD: Joi.number().integer().min(1).max(20).default(2),
+  HEALTH_PROBE_RETENTION_DAYS: Joi.number().integer().min(1).max(365).default(30),
+
+  // ─── Webhooks ─────────────────────────────────────────────────────────
+  WEBHOOK_TIMEOUT_MS: Joi.number().integer().min(1000).max(60000).default(10000),
+  WEBHOOK_MAX_RETRIES: Joi.number().integer().min(0).max(10).default(5),
+  WEBHOOK_RETRY_BASE_DELAY_MS: Joi.number().integer().min(100).default(5000),
+  WEBHOOK_RETRY_MAX_DELAY_MS: Joi.number().integer().min(1000).default(300000),
+  WEBHOOK_BLOCKED_CIDRS: Joi.string().pattern(/^\s*[0-9a-fA-F:.]+\/\d{1,3}\s*(,\s*[0-9a-fA-F:.]+\/\d{1,3}\s*)*$/).optional()
+    .messages({ 'string.pattern.base': 'WEBHOOK_BLOCKED_CIDRS must be a comma-separated list of CIDRs.' }),
+
+  // ─── Store Events ─────────────────────────────────────────────────────
+  STORE_EVENTS_HEARTBEAT_MS: Joi.number().integer().min(1000).max(60000).default(15000),
+  STORE_EVENTS_RETENTION_DAYS: Joi.number().integer().min(1).default(7),
+
+  // ─── Cluster ──────────────────────────────────────────────────────────
+  INSTANCE_ID: Joi.string().max(128).optional(),
+  LEADER_ELECTION_ENABLED: Joi.string().valid('true', 'false').default('true'),
+  LEADER_LOCK_KEY: Joi.number().integer().min(1).default(727001),
+  CLUSTER_HEARTBEAT_INTERVAL_MS: Joi.number().integer().min(1000).default(10000),
+  CLUSTER_INSTANCE_TIMEOUT_MS: Joi.number().integer().min(5000).default(60000),
+  SHARED_STATE_STORE: Joi.string().valid('postgres', 'memory').default('postgres'),
+
   // ─── CORS ──────────────────────────────────────────────────────────────
   CORS_ORIGIN: Joi.string().optional(),
 
@@ -117,15 +215,24 @@ function validateEnv(env = process.env) {
         'The default development secret is not allowed.'
       );
     }
+    if (!value.SECRETS_MASTER_KEYS && !value.SECRETS_MASTER_KEYS_FILE) {
+      warnings.push('WARNING: SECRETS_MASTER_KEYS not set — store credentials are sealed with a key derived from JWT_SECRET.');
+    }
     if (!value.CORS_ORIGIN) {
       warnings.push('WARNING: CORS_ORIGIN not set in production — API is open to all origins.');
     }
     if (value.DATABASE_URL.includes('localhost')) {
       warnings.push('WARNING: DATABASE_URL points to localhost in production.');
     }
+    if (value.BACKUP_S3_SECRET_ACCESS_KEY === 'minioadmin') {
+      warnings.push('WARNING: BACKUP_S3_SECRET_ACCESS_KEY uses the MinIO default — store backups are not protected.');
+    }
     if (value.LOG_LEVEL === 'debug' || value.LOG_LEVEL === 'silly') {
       warnings.push('WARNING: LOG_LEVEL is set to debug/silly in production — consider using info or warn.');
     }
+    if (value.SHARED_STATE_STORE === 'memory') {
+      warnings.push('WARNING: SHARED_STATE_STORE is memory — lockouts and rate limits are not shared between replicas.');
+    }
   }
 
   return { validated: value, warnings };
@@ -69,11 +69,13 @@ class ValidationError extends AppError {
 }
 
 class StoreLimitError extends AppError {
-  constructor(limit) {
-    super(`Maximum of ${limit} active stores per user reached.`, {
+  constructor(limit, plan) {
+    super(`Maximum of ${limit} active ${plan ? `'${plan}' plan ` : ''}stores per user reached.`, {
       statusCode: 429,
       code: 'STORE_LIMIT_EXCEEDED',
-      suggestion: 'Delete an existing store before creating a new one.',
+      suggestion: plan
+        ? 'Delete an existing store or choose a different plan.'
+        : 'Delete an existing store before creating a new one.',
     });
   }
 }
@@ -124,6 +126,78 @@ class KubernetesError extends AppError {
   }
 }
 
+class ObjectStoreError extends AppError {
+  constructor(message, { retryable = true, metadata } = {}) {
+    super(message, {
+      statusCode: 500,
+      code: 'OBJECT_STORE_ERROR',
+      suggestion: 'Check the backup storage endpoint, bucket and credentials.',
+      retryable,
+      metadata,
+    });
+  }
+}
+
+class PaymentError extends AppError {
+  constructor(message, { retryable = true, metadata } = {}) {
+    super(message, {
+      statusCode: 402,
+      code: 'PAYMENT_FAILED',
+      suggestion: 'Check the payment method on file, then pay the invoice again.',
+      retryable,
+      metadata,
+    });
+  }
+}
+
+class QueueFullError extends AppError {
+  constructor(maxQueueSize) {
+    super(`Provisioning queue is full (${maxQueueSize} jobs waiting).`, {
+      statusCode: 503,
+      code: 'PROVISIONING_QUEUE_FULL',
+      suggestion: 'The platform is busy. Try again in a few minutes.',
+      retryable: true,
+      metadata: { maxQueueSize },
+    });
+  }
+}
+
+class LeaseLostError extends AppError {
+  constructor(jobId) {
+    super(`Lost the lease on job ${jobId}; another worker may be running it.`, {
+      statusCode: 503,
+      code: 'JOB_LEASE_LOST',
+      suggestion: 'Nothing to do: the job was re-queued and resumes on the worker that claims it.',
+      retryable: true,
+      metadata: { jobId },
+    });
+  }
+}
+
+class JobDeferredError extends AppError {
+  constructor(message, { retryAfterMs }) {
+    super(message, {
+      statusCode: 409,
+      code: 'JOB_DEFERRED',
+      suggestion: 'Nothing to do: the job is queued again and runs once the store is free.',
+      retryable: true,
+      metadata: { retryAfterMs },
+    });
+  }
+}
+
+class SecretsError extends AppError {
+  constructor(message, { metadata } = {}) {
+    super(message, {
+      statusCode: 500,
+      code: 'SECRETS_ERROR',
+      suggestion: 'Check that SECRETS_MASTER_KEYS still holds the key version the secret was sealed with.',
+      retryable: false,
+      metadata,
+    });
+  }
+}
+
 module.exports = {
   AppError,
   NotFoundError,
@@ -134,4 +208,10 @@ module.exports = {
   ProvisioningError,
   HelmError,
   KubernetesError,
+  ObjectStoreError,
+  PaymentError,
+  QueueFullError,
+  LeaseLostError,
+  JobDeferredError,
+  SecretsError,
 };
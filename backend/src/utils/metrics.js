@@ -201,6 +201,30 @@ const provisioningRejections = new Counter(
   ['reason']
 );
 
+const storeBackupsTotal = new Counter(
+  'store_backups_total',
+  'Total store database backups by engine and outcome',
+  ['engine', 'status']
+);
+
+const controlPlaneLeader = new Gauge(
+  'control_plane_leader',
+  'Whether this replica holds the leader lock and runs singleton jobs (1 = leader)',
+  []
+);
+
+const driftFindingsOpen = new Gauge(
+  'drift_findings_open',
+  'Drift between the stores table and the cluster seen by the last reconcile pass, by kind',
+  ['kind']
+);
+
+const storesDegraded = new Gauge(
+  'stores_degraded',
+  'Stores the health prober currently reports as degraded',
+  []
+);
+
 const processUptimeSeconds = new Gauge(
   'process_uptime_seconds',
   'Process uptime in seconds',
@@ -265,6 +289,10 @@ function serializeMetrics() {
     provisioningConcurrent,
     provisioningQueueWaitMs,
     provisioningRejections,
+    storeBackupsTotal,
+    controlPlaneLeader,
+    driftFindingsOpen,
+    storesDegraded,
     processUptimeSeconds,
   ];
 
@@ -288,6 +316,10 @@ module.exports = {
   provisioningConcurrent,
   provisioningQueueWaitMs,
   provisioningRejections,
+  storeBackupsTotal,
+  controlPlaneLeader,
+  driftFindingsOpen,
+  storesDegraded,
   processUptimeSeconds,
   // Utilities
   metricsMiddleware,
@@ -30,6 +30,7 @@ const testUsername = `testuser-${testId}`;
 const testPassword = 'integrationPass123!';
 
 let testToken;
+let testRefreshToken;
 
 describe('Auth API (/api/v1/auth)', () => {
   describe('POST /auth/register', () => {
@@ -41,7 +42,9 @@ describe('Auth API (/api/v1/auth)', () => {
       expect(res.data.user.email).toBe(testEmail);
       expect(res.data.user.role).toBe('tenant');
       expect(res.data.token).toBeDefined();
+      expect(res.data.refreshToken).toBeDefined();
       testToken = res.data.token;
+      testRefreshToken = res.data.refreshToken;
     });
 
     it('rejects duplicate email', async () => {
@@ -110,4 +113,43 @@ describe('Auth API (/api/v1/auth)', () => {
       expect(res.status).toBe(401);
     });
   });
+
+  describe('POST /auth/refresh', () => {
+    it('rotates the refresh token', async () => {
+      const res = await request('POST', '/auth/refresh', { body: { refreshToken: testRefreshToken } });
+      expect(res.status).toBe(200);
+      expect(res.data.refreshToken).not.toBe(testRefreshToken);
+
+      const me = await request('GET', '/auth/me', { token: res.data.token });
+      expect(me.status).toBe(200);
+
+      testToken = res.data.token;
+      const replaced = testRefreshToken;
+      testRefreshToken = res.data.refreshToken;
+
+      // Each refresh token is accepted once
+      const reuse = await request('POST', '/auth/refresh', { body: { refreshToken: replaced } });
+      expect(reuse.status).toBe(401);
+      expect(reuse.data.error.code).toBe('INVALID_REFRESH_TOKEN');
+    });
+  });
+
+  describe('sessions and logout', () => {
+    it('lists the current session and signs it out', async () => {
+      const login = await request('POST', '/auth/login', {
+        body: { email: testEmail, password: testPassword },
+      });
+      const { token, refreshToken } = login.data;
+
+      const sessions = await request('GET', '/auth/sessions', { token });
+      expect(sessions.status).toBe(200);
+      expect(sessions.data.sessions.filter((s) => s.current)).toHaveLength(1);
+
+      const logout = await request('POST', '/auth/logout', { token });
+      expect(logout.status).toBe(200);
+
+      expect((await request('GET', '/auth/me', { token })).status).toBe(401);
+      expect((await request('POST', '/auth/refresh', { body: { refreshToken } })).status).toBe(401);
+    });
+  });
 });
@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * Tests for services/apiKeyService.js and API key handling in
+ * middleware/auth.js — hashed storage, expiry and route scopes. The database,
+ * users and audit trail are mocked.
+ */
+
+jest.mock('../../src/db/pool', () => ({ query: jest.fn() }));
+jest.mock('../../src/services/userService', () => ({ findById: jest.fn(), verifyToken: jest.fn() }));
+jest.mock('../../src/services/auditService', () => ({ logSecurityEvent: jest.fn() }));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const crypto = require('crypto');
+const db = require('../../src/db/pool');
+const userService = require('../../src/services/userService');
+const auditService = require('../../src/services/auditService');
+const apiKeyService = require('../../src/services/apiKeyService');
+const { authenticateToken } = require('../../src/middleware/auth');
+
+const user = { id: 'user-1', email: 'ci@example.com', role: 'tenant', isActive: true };
+
+function keyRow(overrides = {}) {
+  return {
+    id: 'key-1',
+    user_id: user.id,
+    name: 'ci',
+    key_prefix: 'mtk_abcdefgh',
+    scopes: ['stores:read'],
+    created_at: new Date(),
+    ...overrides,
+  };
+}
+
+function mockRes() {
+  return { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+}
+
+function keyRequest(method, baseUrl) {
+  return {
+    method,
+    baseUrl,
+    originalUrl: `${baseUrl}/store-aaaaaaaa?x=1`,
+    ip: '10.0.0.1',
+    requestId: 'req_test',
+    headers: { authorization: 'Bearer mtk_presented-key' },
+  };
+}
+
+describe('API Key Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userService.findById.mockResolvedValue(user);
+  });
+
+  describe('createKey', () => {
+    it('stores only a hash of the key it returns', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] })
+        .mockImplementationOnce(async (sql, params) => ({ rows: [keyRow({ key_prefix: params[2], scopes: params[4] })] }));
+
+      const { apiKey, key } = await apiKeyService.createKey({
+        userId: user.id, name: 'ci', scopes: ['stores:read', 'stores:read'], expiresInDays: 30,
+      });
+
+      const params = db.query.mock.calls[1][1];
+      expect(key).toMatch(/^mtk_/);
+      expect(params).not.toContain(key);
+      expect(params[3]).toBe(crypto.createHash('sha256').update(key).digest('hex'));
+      expect(key.startsWith(apiKey.keyPrefix)).toBe(true);
+      expect(apiKey.scopes).toEqual(['stores:read']);
+      expect(params[5].getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+    });
+
+    it('caps active keys per user', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ total: '25' }] });
+
+      await expect(apiKeyService.createKey({ userId: user.id, name: 'ci', scopes: ['stores:read'] }))
+        .rejects.toMatchObject({ code: 'CONFLICT' });
+    });
+  });
+
+  describe('authenticate', () => {
+    it('refuses keys of deactivated users', async () => {
+      db.query.mockResolvedValueOnce({ rows: [keyRow()] });
+      userService.findById.mockResolvedValue({ ...user, isActive: false });
+
+      await expect(apiKeyService.authenticate('mtk_presented-key')).resolves.toBeNull();
+    });
+  });
+
+  describe('recordUse', () => {
+    it('audits only the first use within the interval', async () => {
+      db.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+      const apiKey = { id: 'key-1', name: 'ci', keyPrefix: 'mtk_abcdefgh' };
+      const request = { email: user.email, ip: '10.0.0.1', method: 'GET', path: '/api/v1/stores' };
+
+      await apiKeyService.recordUse(apiKey, request);
+      await apiKeyService.recordUse(apiKey, request);
+
+      expect(auditService.logSecurityEvent).toHaveBeenCalledTimes(1);
+      expect(auditService.logSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'api_key_used', email: user.email, metadata: { keyId: 'key-1', method: 'GET', path: '/api/v1/stores' },
+      }));
+    });
+  });
+
+  describe('authenticateToken with an API key', () => {
+    beforeEach(() => {
+      db.query.mockImplementation(async (sql) => (sql.startsWith('SELECT')
+        ? { rows: [keyRow({ scopes: ['stores:read'] })] }
+        : { rowCount: 0 }));
+    });
+
+    it('accepts a key that has the scope of the route', async () => {
+      const req = keyRequest('GET', '/api/v1/stores');
+      const next = jest.fn();
+
+      await authenticateToken(req, mockRes(), next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toBe(user);
+      expect(req.apiKey).toEqual({ id: 'key-1', name: 'ci', scopes: ['stores:read'] });
+      expect(userService.verifyToken).not.toHaveBeenCalled();
+    });
+
+    it('refuses writes with a read-only key', async () => {
+      const res = mockRes();
+      const next = jest.fn();
+
+      await authenticateToken(keyRequest('POST', '/api/v1/stores'), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error).toMatchObject({ code: 'INSUFFICIENT_SCOPE' });
+    });
+
+    it('refuses keys on routes without API key scopes', async () => {
+      const res = mockRes();
+
+      await authenticateToken(keyRequest('GET', '/api/v1/api-keys'), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.message).toContain('cannot be used');
+    });
+
+    it('refuses unknown, revoked or expired keys', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+      const res = mockRes();
+
+      await authenticateToken(keyRequest('GET', '/api/v1/stores'), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+});
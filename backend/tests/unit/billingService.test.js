@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Tests for services/billingService.js — billing periods, line item pricing,
+ * payment through the fake provider and overdue suspension. I/O is mocked.
+ */
+
+process.env.BILLING_AUTO_SUSPEND = 'true';
+
+jest.mock('../../src/db/pool', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+jest.mock('../../src/services/storeRegistry', () => ({ findAll: jest.fn(), findById: jest.fn() }));
+jest.mock('../../src/services/auditService', () => ({ log: jest.fn() }));
+jest.mock('../../src/services/usageService', () => ({ getUsageRollup: jest.fn() }));
+jest.mock('../../src/services/provisionerService', () => ({ suspendStore: jest.fn(), resumeStore: jest.fn() }));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const db = require('../../src/db/pool');
+const config = require('../../src/config');
+const storeRegistry = require('../../src/services/storeRegistry');
+const provisionerService = require('../../src/services/provisionerService');
+const fakeProvider = require('../../src/services/payments/fakeProvider');
+const {
+  parsePeriod,
+  previousPeriod,
+  buildLineItems,
+  payInvoice,
+  enforceOverdue,
+} = require('../../src/services/billingService');
+const { ValidationError, ConflictError, PaymentError } = require('../../src/utils/errors');
+
+const OPEN_INVOICE = {
+  id: '6f1c2b8e-1d4f-4a8e-9c3b-2a7d5e9f0b11',
+  number: 'INV-202603-6F1C2B8E',
+  owner_id: 'user-1',
+  period: '2026-03',
+  status: 'open',
+  currency: 'usd',
+  total_cents: 1000,
+  payment_attempts: 0,
+  suspended_store_ids: [],
+};
+
+describe('Billing Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fakeProvider.reset();
+  });
+
+  describe('parsePeriod', () => {
+    it('returns the UTC month bounds and its length in hours', () => {
+      const period = parsePeriod('2026-02');
+      expect(period.start.toISOString()).toBe('2026-02-01T00:00:00.000Z');
+      expect(period.end.toISOString()).toBe('2026-03-01T00:00:00.000Z');
+      expect(period.hours).toBe(28 * 24);
+    });
+
+    it('rejects malformed periods', () => {
+      expect(() => parsePeriod('2026-13')).toThrow(ValidationError);
+      expect(() => parsePeriod('March')).toThrow(ValidationError);
+    });
+  });
+
+  describe('previousPeriod', () => {
+    it('wraps across the year boundary', () => {
+      expect(previousPeriod(new Date('2026-01-05T00:00:00Z'))).toBe('2025-12');
+      expect(previousPeriod(new Date('2026-07-31T23:00:00Z'))).toBe('2026-06');
+    });
+  });
+
+  describe('buildLineItems', () => {
+    it('prorates the plan price over the store-hours in the month', () => {
+      const period = parsePeriod('2026-04'); // 720 hours
+      const [line] = buildLineItems([
+        { storeId: 'store-a', storeName: 'shop', plan: 'small', hours: 360, cpuCoreHours: 12 },
+      ], period);
+
+      expect(line).toMatchObject({ kind: 'plan', storeId: 'store-a', quantity: 360, unit: 'store-hour' });
+      expect(line.amountCents).toBe(Math.round(config.plans.tiers.small.monthlyPriceCents / 2));
+    });
+
+    it('bills each plan a resized store ran on separately', () => {
+      const lines = buildLineItems([
+        { storeId: 'store-a', plan: 'small', hours: 10 },
+        { storeId: 'store-a', plan: 'large', hours: 10 },
+      ], parsePeriod('2026-04'));
+      expect(lines.map(l => l.plan)).toEqual(['small', 'large']);
+      expect(lines[1].amountCents).toBeGreaterThan(lines[0].amountCents);
+    });
+
+    it('skips metered usage while its rate is zero', () => {
+      const lines = buildLineItems([
+        { storeId: 'store-a', plan: 'small', hours: 1, cpuCoreHours: 5, memoryGibHours: 5, storageGibHours: 5 },
+      ], parsePeriod('2026-04'));
+      expect(lines).toHaveLength(1);
+    });
+  });
+
+  describe('payInvoice', () => {
+    it('marks the invoice paid when the charge succeeds', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [OPEN_INVOICE] })
+        .mockResolvedValueOnce({ rows: [{ ...OPEN_INVOICE, status: 'paid', payment_attempts: 1 }] });
+
+      const invoice = await payInvoice(OPEN_INVOICE.id);
+
+      expect(invoice.status).toBe('paid');
+      expect(fakeProvider.listCharges()).toHaveLength(1);
+      expect(fakeProvider.listCharges()[0]).toMatchObject({ amountCents: 1000, currency: 'usd' });
+    });
+
+    it('records a declined charge and throws PaymentError', async () => {
+      fakeProvider.declineNext('Insufficient funds');
+      db.query
+        .mockResolvedValueOnce({ rows: [OPEN_INVOICE] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(payInvoice(OPEN_INVOICE.id)).rejects.toThrow(PaymentError);
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain('last_payment_error');
+      expect(params).toContain('Insufficient funds');
+    });
+
+    it('refuses invoices that are not open', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...OPEN_INVOICE, status: 'draft' }] });
+      await expect(payInvoice(OPEN_INVOICE.id)).rejects.toThrow(ConflictError);
+    });
+
+    it('resumes the stores an overdue invoice suspended', async () => {
+      const suspendedInvoice = { ...OPEN_INVOICE, suspended_store_ids: ['store-a'], suspended_at: new Date() };
+      db.query
+        .mockResolvedValueOnce({ rows: [suspendedInvoice] })
+        .mockResolvedValueOnce({ rows: [{ ...suspendedInvoice, status: 'paid' }] })
+        .mockResolvedValueOnce({ rows: [] }); // no other suspending invoices
+      storeRegistry.findById.mockResolvedValue({ id: 'store-a', status: 'suspended' });
+
+      await payInvoice(OPEN_INVOICE.id);
+
+      expect(provisionerService.resumeStore).toHaveBeenCalledWith('store-a', expect.any(Object));
+    });
+  });
+
+  describe('enforceOverdue', () => {
+    it('suspends the owner\'s ready stores and records them on the invoice', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...OPEN_INVOICE, due_at: new Date('2026-04-01T00:00:00Z') }] })
+        .mockResolvedValue({ rows: [] });
+      storeRegistry.findAll.mockResolvedValue([{ id: 'store-a' }, { id: 'store-b' }]);
+      provisionerService.suspendStore
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('busy'));
+
+      const result = await enforceOverdue(new Date('2026-05-01T00:00:00Z'));
+
+      expect(result).toEqual({ invoices: 1, suspended: 1 });
+      expect(storeRegistry.findAll).toHaveBeenCalledWith({ ownerId: 'user-1', status: ['ready', 'degraded'] });
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain('suspended_store_ids');
+      expect(params[2]).toEqual(['store-a']);
+    });
+  });
+});
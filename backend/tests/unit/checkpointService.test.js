@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * Tests for services/checkpointService.js — result trimming and the
+ * statements behind phase resume. The database is mocked.
+ */
+
+jest.mock('../../src/db/pool', () => ({ query: jest.fn() }));
+
+const db = require('../../src/db/pool');
+const checkpointService = require('../../src/services/checkpointService');
+
+describe('Checkpoint Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  describe('toCheckpointResult', () => {
+    it('keeps scalar fields and drops secrets and nested objects', () => {
+      const summary = checkpointService.toCheckpointResult({
+        chartVersion: '1.4.2',
+        ready: true,
+        durationMs: 1200,
+        adminPassword: 'hunter2',
+        jwtSecret: 'abc',
+        namespace: { metadata: { name: 'store-abc' } },
+      });
+
+      expect(summary).toEqual({ chartVersion: '1.4.2', ready: true, durationMs: 1200 });
+    });
+
+    it('truncates long strings and wraps non-object results', () => {
+      const summary = checkpointService.toCheckpointResult({ output: 'x'.repeat(600) });
+      expect(summary.output).toHaveLength(501);
+
+      expect(checkpointService.toCheckpointResult(undefined)).toBeNull();
+      expect(checkpointService.toCheckpointResult('done')).toEqual({ value: 'done' });
+    });
+  });
+
+  describe('getCompletedPhases', () => {
+    it('returns the latest completed or skipped attempt of each phase', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { phase: 'helm_install', attempt: 0, result: { chartVersion: '1.4.2' } },
+          { phase: 'namespace_create', attempt: 1, result: null },
+        ],
+      });
+
+      const completed = await checkpointService.getCompletedPhases('store-abc');
+
+      expect(db.query.mock.calls[0][0]).toMatch(/DISTINCT ON \(phase\)/);
+      expect(db.query.mock.calls[0][1]).toEqual(['store-abc', 'completed', 'skipped']);
+      expect([...completed.keys()]).toEqual(['helm_install', 'namespace_create']);
+      expect(completed.get('helm_install')).toEqual({ attempt: 0, result: { chartVersion: '1.4.2' } });
+    });
+  });
+
+  describe('phase writes', () => {
+    it('stores the trimmed result when a phase completes', async () => {
+      await checkpointService.completePhase({
+        storeId: 'store-abc', attempt: 1, phase: 'helm_install',
+        result: { chartVersion: '1.4.2', dbPassword: 'secret' }, durationMs: 42000,
+      });
+
+      expect(db.query.mock.calls[0][1]).toEqual([
+        'store-abc', 1, 'helm_install', 'completed', JSON.stringify({ chartVersion: '1.4.2' }), 42000,
+      ]);
+    });
+
+    it('records a skipped phase with the carried-forward result', async () => {
+      await checkpointService.skipPhase({
+        storeId: 'store-abc', attempt: 2, phase: 'helm_install', result: { chartVersion: '1.4.2' },
+      });
+
+      expect(db.query.mock.calls[0][0]).toMatch(/ON CONFLICT \(store_id, attempt, phase\) DO UPDATE/);
+      expect(db.query.mock.calls[0][1]).toEqual([
+        'store-abc', 2, 'helm_install', 'skipped', JSON.stringify({ chartVersion: '1.4.2' }), null, null,
+      ]);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Tests for services/credentialRotationService.js — rotating a store's admin
+ * and database passwords. Database, Helm, cluster access and the secrets
+ * service are mocked.
+ */
+
+jest.mock('../../src/config', () => ({
+  cluster: { instanceId: 'instance-1' },
+  credentials: { rotationCheckIntervalMs: 3600000 },
+}));
+jest.mock('../../src/db/pool', () => ({ query: jest.fn() }));
+jest.mock('../../src/services/storeRegistry', () => ({ findById: jest.fn(), update: jest.fn() }));
+jest.mock('../../src/services/auditService', () => ({ log: jest.fn() }));
+jest.mock('../../src/services/helmService', () => ({ getValues: jest.fn(), upgrade: jest.fn() }));
+jest.mock('../../src/services/storeSetupService', () => ({
+  updateWooCommerceAdminPassword: jest.fn(),
+  updateMedusaAdminPassword: jest.fn(),
+  findDatabasePod: jest.fn(),
+  kubectlExecStream: jest.fn(),
+}));
+jest.mock('../../src/services/secretsService', () => ({
+  openAdminCredentials: jest.fn(),
+  sealAdminCredentials: jest.fn((storeId, credentials) => ({ sealed: credentials })),
+}));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const db = require('../../src/db/pool');
+const storeRegistry = require('../../src/services/storeRegistry');
+const helmService = require('../../src/services/helmService');
+const storeSetupService = require('../../src/services/storeSetupService');
+const secretsService = require('../../src/services/secretsService');
+const credentialRotationService = require('../../src/services/credentialRotationService');
+
+const wooStore = {
+  id: 'store-aaaaaaaa',
+  engine: 'woocommerce',
+  status: 'ready',
+  namespace: 'store-aaaaaaaa',
+  helmRelease: 'store-aaaaaaaa',
+  chartVersion: '1.4.0',
+  adminCredentials: { sealed: true },
+};
+
+function rotationRow(overrides = {}) {
+  return {
+    id: 'rotation-1',
+    store_id: wooStore.id,
+    status: 'running',
+    trigger: 'scheduled',
+    rotate_database: true,
+    started_at: new Date(),
+    ...overrides,
+  };
+}
+
+// Answers the due-stores query, the insert and the final update
+function mockQueries(storeIds) {
+  db.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM stores s')) return { rows: storeIds.map(id => ({ id })) };
+    if (sql.includes('INSERT INTO credential_rotations')) return { rows: [rotationRow()] };
+    return { rows: [] };
+  });
+}
+
+function finalUpdate() {
+  return db.query.mock.calls.find(([sql]) => sql.includes('UPDATE credential_rotations'))[1];
+}
+
+// Passwords piped to the database container, in order
+const databasePasswords = [];
+
+describe('Credential Rotation Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    databasePasswords.length = 0;
+
+    storeRegistry.findById.mockResolvedValue(wooStore);
+    storeRegistry.update.mockImplementation(async (id, updates) => ({ ...wooStore, ...updates }));
+    secretsService.openAdminCredentials.mockReturnValue({ email: 'owner@example.com', username: 'admin', password: 'old-admin' });
+    storeSetupService.updateWooCommerceAdminPassword.mockResolvedValue(true);
+    storeSetupService.updateMedusaAdminPassword.mockResolvedValue(true);
+    storeSetupService.findDatabasePod.mockResolvedValue({ podName: 'mariadb-0', container: 'mariadb' });
+    storeSetupService.kubectlExecStream.mockImplementation(({ stdin }) => ({
+      stdout: { resume: jest.fn() },
+      done: (async () => {
+        let password = '';
+        for await (const chunk of stdin) password += chunk;
+        databasePasswords.push(password);
+      })(),
+    }));
+    helmService.getValues.mockResolvedValue({ mariadb: { password: 'old-db' } });
+    helmService.upgrade.mockResolvedValue({ chartVersion: '1.4.0' });
+  });
+
+  describe('rotateDueStores', () => {
+    it('rotates the admin password and the database password', async () => {
+      mockQueries([wooStore.id]);
+
+      await expect(credentialRotationService.rotateDueStores()).resolves.toBe(1);
+
+      const adminPassword = storeSetupService.updateWooCommerceAdminPassword.mock.calls[0][0].newPassword;
+      expect(adminPassword).not.toBe('old-admin');
+      expect(storeRegistry.update).toHaveBeenCalledWith(wooStore.id, expect.objectContaining({
+        adminCredentials: { sealed: { email: 'owner@example.com', username: 'admin', password: adminPassword } },
+        credentialsRotatedAt: expect.any(String),
+      }));
+
+      const [newDatabasePassword] = databasePasswords;
+      expect(storeSetupService.kubectlExecStream.mock.calls[0][0].command).toContain('ALTER USER');
+      expect(storeSetupService.kubectlExecStream.mock.calls[0][0].command).not.toContain(newDatabasePassword);
+      expect(helmService.upgrade).toHaveBeenCalledWith({
+        releaseName: wooStore.helmRelease,
+        namespace: wooStore.namespace,
+        setValues: { 'mariadb.password': newDatabasePassword },
+      });
+
+      expect(finalUpdate()).toEqual(['completed', true, true, null, 'rotation-1']);
+    });
+
+    it('restores the previous database password when the release keeps it', async () => {
+      mockQueries([wooStore.id]);
+      helmService.upgrade.mockRejectedValue(new Error('UPGRADE FAILED: another operation is in progress'));
+
+      await credentialRotationService.rotateDueStores();
+
+      expect(databasePasswords).toHaveLength(2);
+      expect(databasePasswords[1]).toBe('old-db');
+      expect(finalUpdate()).toEqual(['failed', true, false, expect.stringContaining('UPGRADE FAILED'), 'rotation-1']);
+    });
+
+    it('keeps the new database password once the release holds it', async () => {
+      mockQueries([wooStore.id]);
+      helmService.upgrade.mockImplementation(async ({ setValues }) => {
+        helmService.getValues.mockResolvedValue({ mariadb: { password: setValues['mariadb.password'] } });
+        throw new Error('timed out waiting for the condition');
+      });
+
+      await credentialRotationService.rotateDueStores();
+
+      expect(databasePasswords).toHaveLength(1);
+      expect(finalUpdate()[0]).toBe('failed');
+    });
+
+    it('passes the current admin password to Medusa', async () => {
+      storeRegistry.findById.mockResolvedValue({ ...wooStore, engine: 'medusa' });
+      helmService.getValues.mockResolvedValue({ medusa: { postgresql: { password: 'old-db' } } });
+      mockQueries([wooStore.id]);
+
+      await credentialRotationService.rotateDueStores();
+
+      expect(storeSetupService.updateMedusaAdminPassword).toHaveBeenCalledWith(expect.objectContaining({
+        adminEmail: 'owner@example.com',
+        currentPassword: 'old-admin',
+      }));
+      expect(Object.keys(helmService.upgrade.mock.calls[0][0].setValues)).toEqual(['medusa.postgresql.password']);
+    });
+  });
+
+  describe('rotateCredentials', () => {
+    it('refuses a second rotation while one is running', async () => {
+      db.query.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      await expect(credentialRotationService.rotateCredentials(wooStore.id))
+        .rejects.toMatchObject({ code: 'CONFLICT' });
+    });
+
+    it('only rotates ready or degraded stores', async () => {
+      storeRegistry.findById.mockResolvedValue({ ...wooStore, status: 'suspended' });
+
+      await expect(credentialRotationService.rotateCredentials(wooStore.id))
+        .rejects.toMatchObject({ code: 'CONFLICT' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
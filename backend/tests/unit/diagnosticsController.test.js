@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * Tests for controllers/diagnosticsController.js — followed pod logs served
+ * over HTTP behind the app-wide request timeout. Kubernetes is mocked.
+ */
+
+jest.mock('../../src/services/diagnosticsService', () => ({ followPodLogs: jest.fn() }));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const http = require('http');
+const express = require('express');
+const diagnosticsService = require('../../src/services/diagnosticsService');
+const requestTimeout = require('../../src/middleware/requestTimeout');
+const diagnosticsController = require('../../src/controllers/diagnosticsController');
+
+const TIMEOUT_MS = 100;
+const store = { id: 'store-aaaaaaaa', namespace: 'store-aaaaaaaa', ownerId: 'user-1' };
+
+function startApp() {
+  const app = express();
+  app.use(requestTimeout(TIMEOUT_MS));
+  app.get('/pods/:pod/logs', (req, res, next) => {
+    req.store = store;
+    req.query = { follow: true };
+    next();
+  }, diagnosticsController.getPodLogs);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+describe('Diagnostics Controller', () => {
+  let server;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    server = await startApp();
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('keeps a followed log stream open past the request timeout', async () => {
+    const abort = jest.fn();
+    diagnosticsService.followPodLogs.mockImplementation(async (s, pod, res) => {
+      // A quiet container: the first line arrives after the timeout
+      setTimeout(() => res.write('first line\n'), TIMEOUT_MS * 2);
+      setTimeout(() => res.end('second line\n'), TIMEOUT_MS * 3);
+      return { container: 'wordpress', abort };
+    });
+
+    const { port } = server.address();
+    const response = await get(port, '/pods/wordpress-0/logs');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain/);
+    expect(response.body).toBe('first line\nsecond line\n');
+  });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Tests for services/diagnosticsService.js — namespace scoping and
+ * container resolution for pod logs. kubernetesService is mocked.
+ */
+
+jest.mock('../../src/services/kubernetesService', () => ({
+  listPods: jest.fn(),
+  getPod: jest.fn(),
+  readPodLogs: jest.fn(),
+  followPodLogs: jest.fn(),
+  listEvents: jest.fn(),
+}));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const kubernetesService = require('../../src/services/kubernetesService');
+const diagnosticsService = require('../../src/services/diagnosticsService');
+
+const store = { id: 'store-aaaaaaaa', namespace: 'store-aaaaaaaa', status: 'failed' };
+
+function pod(overrides = {}) {
+  return {
+    name: 'wordpress-0',
+    containerNames: ['wordpress', 'metrics'],
+    initContainerNames: ['wait-for-db'],
+    containers: [
+      { name: 'wordpress', state: 'running', restartCount: 2 },
+      { name: 'metrics', state: 'waiting', reason: 'ContainerCreating', restartCount: 0 },
+    ],
+    initContainers: [{ name: 'wait-for-db', state: 'terminated', restartCount: 0 }],
+    ...overrides,
+  };
+}
+
+describe('Diagnostics Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    kubernetesService.getPod.mockResolvedValue(pod());
+    kubernetesService.readPodLogs.mockResolvedValue('2026-10-19T10:00:00Z ready\n');
+  });
+
+  it('only reads the store\'s own namespace', async () => {
+    kubernetesService.listPods.mockResolvedValue([]);
+    kubernetesService.listEvents.mockResolvedValue([]);
+
+    await diagnosticsService.listPods(store);
+    await diagnosticsService.listEvents(store, { limit: 20, type: 'Warning' });
+    await diagnosticsService.getPodLogs(store, 'wordpress-0');
+
+    expect(kubernetesService.listPods).toHaveBeenCalledWith('store-aaaaaaaa');
+    expect(kubernetesService.listEvents).toHaveBeenCalledWith('store-aaaaaaaa', { limit: 20, type: 'Warning' });
+    expect(kubernetesService.getPod).toHaveBeenCalledWith('store-aaaaaaaa', 'wordpress-0');
+  });
+
+  it('rejects deleted stores', async () => {
+    await expect(diagnosticsService.listPods({ ...store, status: 'deleted' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(kubernetesService.listPods).not.toHaveBeenCalled();
+  });
+
+  describe('getPodLogs', () => {
+    it('defaults to the first container and lists the others', async () => {
+      const result = await diagnosticsService.getPodLogs(store, 'wordpress-0', { tailLines: 50 });
+
+      expect(result).toEqual({
+        pod: 'wordpress-0',
+        container: 'wordpress',
+        containers: ['wordpress', 'metrics', 'wait-for-db'],
+        logs: '2026-10-19T10:00:00Z ready\n',
+      });
+      expect(kubernetesService.readPodLogs).toHaveBeenCalledWith('store-aaaaaaaa', 'wordpress-0', expect.objectContaining({
+        container: 'wordpress', tailLines: 50, previous: false,
+      }));
+    });
+
+    it('reads init containers', async () => {
+      const result = await diagnosticsService.getPodLogs(store, 'wordpress-0', { container: 'wait-for-db' });
+      expect(result.container).toBe('wait-for-db');
+    });
+
+    it('returns 404 for pods outside the namespace', async () => {
+      kubernetesService.getPod.mockResolvedValue(null);
+
+      await expect(diagnosticsService.getPodLogs(store, 'postgres-0')).rejects.toMatchObject({ statusCode: 404 });
+      expect(kubernetesService.readPodLogs).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown containers', async () => {
+      await expect(diagnosticsService.getPodLogs(store, 'wordpress-0', { container: 'nginx' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('followPodLogs', () => {
+    it('returns an abort handle for the log request', async () => {
+      const request = { abort: jest.fn() };
+      kubernetesService.followPodLogs.mockResolvedValue(request);
+      const stream = {};
+
+      const follow = await diagnosticsService.followPodLogs(store, 'wordpress-0', stream, { tailLines: 10 });
+      follow.abort();
+
+      expect(kubernetesService.followPodLogs).toHaveBeenCalledWith('store-aaaaaaaa', 'wordpress-0', stream, {
+        container: 'wordpress', tailLines: 10, sinceSeconds: undefined,
+      });
+      expect(request.abort).toHaveBeenCalled();
+    });
+
+    it('refuses containers that have not started yet', async () => {
+      await expect(diagnosticsService.followPodLogs(store, 'wordpress-0', {}, { container: 'metrics' }))
+        .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('ContainerCreating') });
+      expect(kubernetesService.followPodLogs).not.toHaveBeenCalled();
+    });
+  });
+});
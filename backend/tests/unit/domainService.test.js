@@ -0,0 +1,201 @@
+'use strict';
+
+/**
+ * Tests for services/domainService.js — the DNS ownership check, competing
+ * claims on one hostname and the Helm values that route custom domains.
+ * I/O dependencies are mocked.
+ */
+
+jest.mock('../../src/db/pool', () => ({ query: jest.fn() }));
+jest.mock('../../src/services/storeRegistry', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/auditService', () => ({ log: jest.fn().mockResolvedValue() }));
+jest.mock('../../src/services/helmService', () => ({ upgrade: jest.fn() }));
+jest.mock('../../src/services/jobQueueService', () => ({
+  JOB_TYPES: { INGRESS: 'ingress' },
+  enqueue: jest.fn(),
+  findActiveJob: jest.fn(),
+}));
+jest.mock('../../src/services/storeSetupService', () => ({}));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const dns = require('dns');
+const db = require('../../src/db/pool');
+const storeRegistry = require('../../src/services/storeRegistry');
+const auditService = require('../../src/services/auditService');
+const helmService = require('../../src/services/helmService');
+const jobQueueService = require('../../src/services/jobQueueService');
+const {
+  addDomain,
+  verifyDomain,
+  applyIngress,
+  expirePendingDomains,
+  buildVerificationRecord,
+  txtRecordsMatch,
+  isReservedHostname,
+  buildIngressValues,
+} = require('../../src/services/domainService');
+
+function domainRow(overrides = {}) {
+  return {
+    id: 'domain-1',
+    store_id: 'store-abc',
+    hostname: 'shop.example.com',
+    status: 'pending',
+    is_primary: false,
+    verification_token: 'abc123',
+    created_at: new Date(),
+    updated_at: new Date(),
+    ...overrides,
+  };
+}
+
+describe('Domain Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storeRegistry.findById.mockResolvedValue({ id: 'store-abc', status: 'ready' });
+    jobQueueService.findActiveJob.mockResolvedValue(null);
+  });
+
+  describe('addDomain', () => {
+    it('refuses a hostname another store has proven ownership of', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] })
+        .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+      await expect(addDomain('store-abc', { hostname: 'shop.example.com' }))
+        .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('already routed') });
+      expect(db.query.mock.calls[1][1]).toEqual(['shop.example.com', ['verified', 'active', 'error']]);
+    });
+  });
+
+  describe('verifyDomain', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('refuses the claim when another store verified the hostname first', async () => {
+      jest.spyOn(dns.promises, 'resolveTxt').mockResolvedValue([['mtec-verify=abc123']]);
+      const duplicate = Object.assign(new Error('duplicate key'), { code: '23505' });
+      db.query
+        .mockResolvedValueOnce({ rows: [domainRow()] })
+        .mockRejectedValueOnce(duplicate)
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      await expect(verifyDomain('store-abc', 'domain-1'))
+        .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('another store') });
+      expect(db.query.mock.calls[2][1]).toEqual(['Another store verified this hostname first', 'domain-1']);
+      expect(auditService.log).not.toHaveBeenCalled();
+    });
+
+    it('routes a verified domain through an ingress job', async () => {
+      jest.spyOn(dns.promises, 'resolveTxt').mockResolvedValue([['mtec-verify=abc123']]);
+      jobQueueService.enqueue.mockResolvedValue({ id: 'job-1', type: 'ingress' });
+      db.query
+        .mockResolvedValueOnce({ rows: [domainRow()] })
+        .mockResolvedValueOnce({ rows: [domainRow({ status: 'verified' })] });
+
+      const domain = await verifyDomain('store-abc', 'domain-1', { correlationId: 'req-1' });
+
+      expect(domain.status).toBe('verified');
+      expect(jobQueueService.enqueue).toHaveBeenCalledWith({ storeId: 'store-abc', type: 'ingress', correlationId: 'req-1' });
+    });
+
+    it('waits for another workflow on the store', async () => {
+      jobQueueService.findActiveJob.mockResolvedValue({ id: 'job-2', type: 'upgrade' });
+      db.query.mockResolvedValueOnce({ rows: [domainRow()] });
+
+      await expect(verifyDomain('store-abc', 'domain-1'))
+        .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('upgrade job') });
+      expect(jobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyIngress', () => {
+    const store = { id: 'store-abc', status: 'ready', helmRelease: 'store-abc', namespace: 'store-abc', chartVersion: '1.0.0' };
+    const hosts = (...names) => ({ rows: names.map((hostname) => ({ hostname })) });
+
+    it('upgrades again when a domain was verified during the upgrade', async () => {
+      storeRegistry.findById.mockResolvedValue(store);
+      helmService.upgrade.mockResolvedValue({ revision: 4, chartVersion: '1.0.0' });
+      db.query
+        .mockResolvedValueOnce(hosts('a.example.com'))
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce(hosts('a.example.com', 'b.example.com'))
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce(hosts('a.example.com', 'b.example.com'))
+        .mockResolvedValueOnce({ rows: [] });
+      storeRegistry.update = jest.fn();
+
+      const result = await applyIngress('store-abc');
+
+      expect(helmService.upgrade).toHaveBeenCalledTimes(2);
+      expect(helmService.upgrade.mock.calls[1][0].setValues).toEqual({
+        'ingress.customDomains': '{a.example.com,b.example.com}',
+      });
+      // Only hostnames the ingress was upgraded with become active
+      expect(db.query.mock.calls[1][1][3]).toEqual(['a.example.com']);
+      expect(result).toEqual({ outcome: 'synced', hostnames: ['a.example.com', 'b.example.com'] });
+    });
+  });
+
+  describe('expirePendingDomains', () => {
+    it('deletes stale pending claims and audits each on its store', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 'domain-1', store_id: 'store-abc', hostname: 'shop.example.com' }],
+        rowCount: 1,
+      });
+
+      await expect(expirePendingDomains()).resolves.toBe(1);
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toMatch(/DELETE FROM store_domains/);
+      expect(params).toEqual(['pending', 7]);
+      expect(auditService.log).toHaveBeenCalledWith(expect.objectContaining({
+        storeId: 'store-abc', message: expect.stringContaining('not verified within 7 days'),
+      }));
+    });
+  });
+
+  describe('buildVerificationRecord', () => {
+    it('places the token under the verification prefix', () => {
+      expect(buildVerificationRecord('shop.example.com', 'abc123')).toEqual({
+        type: 'TXT',
+        name: '_mtec-verify.shop.example.com',
+        value: 'mtec-verify=abc123',
+      });
+    });
+  });
+
+  describe('txtRecordsMatch', () => {
+    it('joins chunked TXT records before comparing', () => {
+      expect(txtRecordsMatch([['v=spf1 -all'], ['mtec-verify=', 'abc123']], 'mtec-verify=abc123')).toBe(true);
+    });
+
+    it('rejects records with a different token', () => {
+      expect(txtRecordsMatch([['mtec-verify=other']], 'mtec-verify=abc123')).toBe(false);
+      expect(txtRecordsMatch([], 'mtec-verify=abc123')).toBe(false);
+    });
+  });
+
+  describe('isReservedHostname', () => {
+    it('reserves the platform domain suffix', () => {
+      expect(isReservedHostname('store-a1b2c3d4.localhost')).toBe(true);
+      expect(isReservedHostname('localhost')).toBe(true);
+      expect(isReservedHostname('mylocalhost.com')).toBe(false);
+    });
+  });
+
+  describe('buildIngressValues', () => {
+    it('passes routed domains as a Helm list', () => {
+      expect(buildIngressValues(['a.example.com', 'b.example.com'])).toEqual({
+        'ingress.customDomains': '{a.example.com,b.example.com}',
+      });
+    });
+
+    it('clears the reused list when no domain is routed', () => {
+      expect(buildIngressValues([])).toEqual({ 'ingress.customDomains': 'null' });
+    });
+  });
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Tests for services/driftService.js — drift detection and which admin
+ * actions each finding accepts. Database, cluster services and provisioner
+ * are mocked.
+ */
+
+jest.mock('../../src/db/pool', () => ({ query: jest.fn() }));
+jest.mock('../../src/services/storeRegistry', () => ({}));
+jest.mock('../../src/services/kubernetesService', () => ({}));
+jest.mock('../../src/services/helmService', () => ({}));
+jest.mock('../../src/services/auditService', () => ({ log: jest.fn() }));
+jest.mock('../../src/services/userService', () => ({}));
+jest.mock('../../src/services/domainService', () => ({}));
+jest.mock('../../src/services/provisionerService', () => ({ upgradeStore: jest.fn(), repairStore: jest.fn() }));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const db = require('../../src/db/pool');
+const provisionerService = require('../../src/services/provisionerService');
+const driftService = require('../../src/services/driftService');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const OLD = '2026-03-01T10:00:00Z';
+
+const store = (id, overrides = {}) => ({
+  id, namespace: id, helmRelease: id, status: 'ready', ...overrides,
+});
+const namespace = (name, createdAt = OLD) => ({ name, storeId: name, createdAt, phase: 'Active' });
+const release = (name, status = 'deployed') => ({ name, namespace: name, status, chart: 'ecommerce-store-1.0.0' });
+const healthyPods = jest.fn().mockResolvedValue({ ready: true, total: 2, readyCount: 2, pods: [] });
+
+function detect(overrides) {
+  return driftService.detectDrift({ releases: [], checkPods: healthyPods, now: NOW, ...overrides });
+}
+
+describe('Drift Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('detectDrift', () => {
+    it('reports nothing when stores and cluster agree', async () => {
+      const { findings } = await detect({
+        stores: [store('store-aaaaaaaa')],
+        namespaces: [namespace('store-aaaaaaaa')],
+        releases: [release('store-aaaaaaaa')],
+      });
+      expect(findings).toEqual([]);
+    });
+
+    it('flags namespaces without a store row once they are past the grace period', async () => {
+      const { findings } = await detect({
+        stores: [],
+        namespaces: [namespace('store-bbbbbbbb'), namespace('store-cccccccc', '2026-03-01T11:58:00Z')],
+        releases: [release('store-bbbbbbbb')],
+      });
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0]).toMatchObject({
+        kind: 'orphaned_namespace', subject: 'store-bbbbbbbb', helmRelease: 'store-bbbbbbbb',
+      });
+    });
+
+    it('flags missing namespaces and releases of ready and suspended stores', async () => {
+      const { findings } = await detect({
+        stores: [store('store-aaaaaaaa'), store('store-bbbbbbbb', { status: 'suspended' })],
+        namespaces: [namespace('store-bbbbbbbb')],
+        releases: [release('store-bbbbbbbb', 'failed')],
+      });
+
+      expect(findings.map(f => [f.kind, f.subject])).toEqual([
+        ['missing_namespace', 'store-aaaaaaaa'],
+        ['missing_release', 'store-bbbbbbbb'],
+      ]);
+      expect(findings[1].details.releaseStatus).toBe('failed');
+    });
+
+    it('flags ready stores with unready pods as degraded', async () => {
+      const checkPods = jest.fn().mockResolvedValue({
+        ready: false, total: 2, readyCount: 1, pods: [{ name: 'wordpress-0', phase: 'Pending', ready: false }],
+      });
+      const { findings } = await detect({
+        stores: [store('store-aaaaaaaa')],
+        namespaces: [namespace('store-aaaaaaaa')],
+        releases: [release('store-aaaaaaaa')],
+        checkPods,
+      });
+
+      expect(findings[0]).toMatchObject({ kind: 'degraded_store', details: { podsReady: 1, podsTotal: 2 } });
+    });
+
+    it('leaves stores owned by a running workflow, or whose pods could not be checked, unchecked', async () => {
+      const { findings, unchecked } = await detect({
+        stores: [store('store-aaaaaaaa', { status: 'upgrading' }), store('store-bbbbbbbb')],
+        namespaces: [namespace('store-aaaaaaaa'), namespace('store-bbbbbbbb')],
+        releases: [release('store-aaaaaaaa'), release('store-bbbbbbbb')],
+        checkPods: jest.fn().mockRejectedValue(new Error('connection refused')),
+      });
+
+      expect(findings).toEqual([]);
+      expect(unchecked).toEqual(['store-aaaaaaaa', 'store-bbbbbbbb']);
+    });
+  });
+
+  describe('finding actions', () => {
+    const findingRow = (overrides) => ({
+      id: '2b8a3f0e-8d9c-4f7e-9a51-0c6f8b1d2e3a',
+      kind: 'degraded_store',
+      subject: 'store-aaaaaaaa',
+      store_id: 'store-aaaaaaaa',
+      namespace: 'store-aaaaaaaa',
+      details: {},
+      status: 'open',
+      ...overrides,
+    });
+
+    it('rejects actions a finding kind does not support', async () => {
+      db.query.mockResolvedValueOnce({ rows: [findingRow()] });
+
+      await expect(driftService.collectFinding('2b8a3f0e-8d9c-4f7e-9a51-0c6f8b1d2e3a'))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('rejects actions on findings that are already closed', async () => {
+      db.query.mockResolvedValueOnce({ rows: [findingRow({ status: 'resolved' })] });
+
+      await expect(driftService.repairFinding('2b8a3f0e-8d9c-4f7e-9a51-0c6f8b1d2e3a'))
+        .rejects.toThrow(/already resolved/);
+    });
+
+    it('repairs a degraded store by re-applying its chart', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [findingRow()] })
+        .mockResolvedValueOnce({ rows: [findingRow({ status: 'repaired' })] });
+      provisionerService.upgradeStore.mockResolvedValue({ id: 'store-aaaaaaaa', status: 'upgrading' });
+
+      const { finding } = await driftService.repairFinding('2b8a3f0e-8d9c-4f7e-9a51-0c6f8b1d2e3a', {
+        requestedBy: 'admin@example.com',
+      });
+
+      expect(provisionerService.upgradeStore).toHaveBeenCalledWith('store-aaaaaaaa', expect.objectContaining({
+        requestedBy: 'admin@example.com',
+      }));
+      expect(provisionerService.repairStore).not.toHaveBeenCalled();
+      expect(finding.status).toBe('repaired');
+    });
+  });
+});
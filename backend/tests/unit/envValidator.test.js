@@ -55,6 +55,19 @@ describe('Environment Validator', () => {
     expect(warnings.some(w => w.includes('CORS_ORIGIN'))).toBe(true);
   });
 
+  it('warns about missing master keys in production', () => {
+    const { warnings } = validateEnv({
+      NODE_ENV: 'production',
+      JWT_SECRET: 'a-proper-production-secret-key-here',
+    });
+    expect(warnings.some(w => w.includes('SECRETS_MASTER_KEYS'))).toBe(true);
+  });
+
+  it('rejects malformed master keys', () => {
+    expect(() => validateEnv({ SECRETS_MASTER_KEYS: 'not-a-key' })).toThrow('SECRETS_MASTER_KEYS must be');
+    expect(() => validateEnv({ SECRETS_MASTER_KEYS: '1:AAAA,2:BBBB' })).not.toThrow();
+  });
+
   it('allows unknown environment variables to pass through', () => {
     const { validated } = validateEnv({
       CUSTOM_VAR: 'hello',
@@ -10,6 +10,12 @@ const {
   ProvisioningError,
   HelmError,
   KubernetesError,
+  ObjectStoreError,
+  PaymentError,
+  QueueFullError,
+  LeaseLostError,
+  JobDeferredError,
+  SecretsError,
 } = require('../../src/utils/errors');
 
 describe('Error Classes', () => {
@@ -154,4 +160,66 @@ describe('Error Classes', () => {
       expect(err.suggestion).toContain('Kubernetes');
     });
   });
+
+  // ─── ObjectStoreError ─────────────────────────────────────────────────
+  describe('ObjectStoreError', () => {
+    it('is retryable by default', () => {
+      const err = new ObjectStoreError('PUT returned 503');
+      expect(err.code).toBe('OBJECT_STORE_ERROR');
+      expect(err.retryable).toBe(true);
+      expect(err.suggestion).toContain('backup storage');
+    });
+  });
+
+  // ─── PaymentError ─────────────────────────────────────────────────────
+  describe('PaymentError', () => {
+    it('maps to 402 Payment Required', () => {
+      const err = new PaymentError('Card declined');
+      expect(err.statusCode).toBe(402);
+      expect(err.code).toBe('PAYMENT_FAILED');
+      expect(err.retryable).toBe(true);
+    });
+  });
+
+  // ─── QueueFullError ───────────────────────────────────────────────────
+  describe('QueueFullError', () => {
+    it('maps to a retryable 503', () => {
+      const err = new QueueFullError(10);
+      expect(err.statusCode).toBe(503);
+      expect(err.code).toBe('PROVISIONING_QUEUE_FULL');
+      expect(err.retryable).toBe(true);
+      expect(err.message).toContain('10 jobs waiting');
+    });
+  });
+
+  // ─── LeaseLostError ───────────────────────────────────────────────────
+  describe('LeaseLostError', () => {
+    it('names the job', () => {
+      const err = new LeaseLostError('job-1');
+      expect(err.statusCode).toBe(503);
+      expect(err.code).toBe('JOB_LEASE_LOST');
+      expect(err.metadata).toEqual({ jobId: 'job-1' });
+    });
+  });
+
+  // ─── JobDeferredError ─────────────────────────────────────────────────
+  describe('JobDeferredError', () => {
+    it('carries the delay before the job runs again', () => {
+      const err = new JobDeferredError('Store is busy', { retryAfterMs: 10000 });
+      expect(err.code).toBe('JOB_DEFERRED');
+      expect(err.retryable).toBe(true);
+      expect(err.metadata).toEqual({ retryAfterMs: 10000 });
+    });
+  });
+
+  // ─── SecretsError ─────────────────────────────────────────────────────
+  describe('SecretsError', () => {
+    it('is a non-retryable 500', () => {
+      const err = new SecretsError('Master key version 1 is not configured.', { metadata: { keyVersion: 1 } });
+      expect(err.statusCode).toBe(500);
+      expect(err.code).toBe('SECRETS_ERROR');
+      expect(err.retryable).toBe(false);
+      expect(err.metadata).toEqual({ keyVersion: 1 });
+    });
+  });
 });
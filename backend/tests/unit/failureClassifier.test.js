@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Tests for services/failureClassifier.js — mapping pod states, Warning
+ * events and Helm / setup output to failure codes. kubernetesService is
+ * mocked.
+ */
+
+jest.mock('../../src/services/kubernetesService', () => ({
+  listPods: jest.fn(),
+  listEvents: jest.fn(),
+}));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const kubernetesService = require('../../src/services/kubernetesService');
+const failureClassifier = require('../../src/services/failureClassifier');
+
+function pod(containers, overrides = {}) {
+  return { name: 'wordpress-0', phase: 'Pending', containers, initContainers: [], ...overrides };
+}
+
+function helmError(stderr) {
+  const err = new Error('Command failed: helm upgrade --install');
+  err.stderr = stderr;
+  return err;
+}
+
+describe('Failure Classifier', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('classify', () => {
+    it('reads the pod state behind a Helm timeout', () => {
+      const pods = [pod([{
+        name: 'wordpress', state: 'waiting', reason: 'ImagePullBackOff', message: 'Back-off pulling image "wordpress:9"',
+      }])];
+
+      const failure = failureClassifier.classify(helmError('Error: timed out waiting for the condition'), { pods });
+
+      expect(failure).toEqual({
+        code: 'IMAGE_PULL_FAILED',
+        category: 'image',
+        retryable: false,
+        remediation: expect.stringContaining('image'),
+        evidence: 'Pod wordpress-0, container wordpress: ImagePullBackOff — Back-off pulling image "wordpress:9"',
+      });
+    });
+
+    it('prefers an OOM kill over the crash loop it causes', () => {
+      const pods = [pod([{
+        name: 'wordpress', state: 'waiting', reason: 'CrashLoopBackOff', lastTerminationReason: 'OOMKilled',
+      }], { phase: 'Running' })];
+
+      expect(failureClassifier.classify('Pods failed to become ready', { pods }).code).toBe('CONTAINER_OOM_KILLED');
+    });
+
+    it('classifies crash loops as not retryable', () => {
+      const pods = [pod([{ name: 'medusa', state: 'waiting', reason: 'CrashLoopBackOff' }], { phase: 'Running' })];
+
+      const failure = failureClassifier.classify('Pods failed to become ready', { pods });
+      expect(failure).toMatchObject({ code: 'CONTAINER_CRASH_LOOP', category: 'application', retryable: false });
+    });
+
+    it('reads why a pending pod was not scheduled', () => {
+      const pods = [pod([], {
+        schedulingMessage: '0/1 nodes are available: pod has unbound immediate PersistentVolumeClaims.',
+      })];
+
+      expect(failureClassifier.classify('timed out', { pods }).code).toBe('PVC_UNBOUND');
+    });
+
+    it('finds an exceeded quota in Warning events', () => {
+      const events = [
+        { type: 'Warning', reason: 'Unhealthy', message: 'Readiness probe failed: connection refused', object: { kind: 'Pod', name: 'wordpress-0' } },
+        {
+          type: 'Warning',
+          reason: 'FailedCreate',
+          message: 'pods "mariadb-0" is forbidden: exceeded quota: store-quota, requested: limits.memory=1Gi',
+          object: { kind: 'StatefulSet', name: 'mariadb' },
+        },
+      ];
+
+      const failure = failureClassifier.classify(helmError('Error: timed out waiting for the condition'), { events });
+
+      expect(failure.code).toBe('QUOTA_EXCEEDED');
+      expect(failure.retryable).toBe(false);
+      expect(failure.evidence).toContain('StatefulSet mariadb FailedCreate');
+    });
+
+    it('does not read connectivity problems into probe events', () => {
+      const events = [
+        { type: 'Warning', reason: 'Unhealthy', message: 'Readiness probe failed: connection refused', object: { kind: 'Pod', name: 'wordpress-0' } },
+      ];
+
+      expect(failureClassifier.classify(helmError('Error: timed out waiting for the condition'), { events }).code)
+        .toBe('OPERATION_TIMED_OUT');
+    });
+
+    it.each([
+      ['Error: UPGRADE FAILED: another operation (install/upgrade/rollback) is in progress', 'RELEASE_LOCKED', true],
+      ['Error: YAML parse error on ecommerce-store/templates/ingress.yaml: error converting YAML to JSON', 'CHART_INVALID', false],
+      ['Error: Kubernetes cluster unreachable: Get "https://10.0.0.1:6443/version": dial tcp: connection refused', 'CLUSTER_UNREACHABLE', true],
+    ])('classifies Helm stderr %#', (stderr, code, retryable) => {
+      const failure = failureClassifier.classify(helmError(`WARNING: kubeconfig is group-readable\n${stderr}`));
+
+      expect(failure).toMatchObject({ code, retryable });
+      expect(failure.evidence).toBe(stderr);
+    });
+
+    it('classifies setup script output', () => {
+      const failure = failureClassifier.classify(new Error('kubectl exec failed: Error establishing a database connection'));
+      expect(failure).toMatchObject({ code: 'SETUP_FAILED', category: 'application', retryable: true });
+    });
+
+    it('classifies by error code before text', () => {
+      const err = new Error('Circuit breaker open for kubernetes');
+      err.code = 'CIRCUIT_OPEN';
+      expect(failureClassifier.classify(err).code).toBe('CLUSTER_UNREACHABLE');
+    });
+
+    it('falls back to UNKNOWN, which may be retried', () => {
+      expect(failureClassifier.classify(new Error('something odd'))).toEqual({
+        code: 'UNKNOWN',
+        category: 'unknown',
+        retryable: true,
+        remediation: expect.any(String),
+        evidence: 'something odd',
+      });
+    });
+  });
+
+  describe('describe', () => {
+    it('describes unknown codes as UNKNOWN', () => {
+      expect(failureClassifier.describe('NO_SUCH_CODE').code).toBe('UNKNOWN');
+    });
+
+    it('caps evidence length', () => {
+      expect(failureClassifier.describe('SETUP_FAILED', 'x'.repeat(2000)).evidence).toHaveLength(500);
+    });
+  });
+
+  describe('collectEvidence', () => {
+    it('drops events from before the workflow started', async () => {
+      kubernetesService.listPods.mockResolvedValue([]);
+      kubernetesService.listEvents.mockResolvedValue([
+        { type: 'Warning', reason: 'FailedCreate', lastSeen: '2026-10-19T10:05:00Z' },
+        { type: 'Warning', reason: 'FailedScheduling', lastSeen: '2026-10-19T09:00:00Z' },
+      ]);
+
+      const evidence = await failureClassifier.collectEvidence('store-aaaaaaaa', { since: '2026-10-19T10:00:00Z' });
+
+      expect(kubernetesService.listEvents).toHaveBeenCalledWith('store-aaaaaaaa', { type: 'Warning', limit: 50 });
+      expect(evidence.events.map(e => e.reason)).toEqual(['FailedCreate']);
+    });
+
+    it('yields no evidence when the cluster cannot be read', async () => {
+      kubernetesService.listPods.mockRejectedValue(new Error('connection refused'));
+      kubernetesService.listEvents.mockResolvedValue([]);
+
+      await expect(failureClassifier.collectEvidence('store-aaaaaaaa')).resolves.toEqual({ pods: [], events: [] });
+    });
+  });
+});
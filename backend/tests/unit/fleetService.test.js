@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Tests for services/fleetService.js — wave planning and failure-rate math.
+ * Database, registry and provisioner are mocked; only the pure helpers run.
+ */
+
+jest.mock('../../src/db/pool', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+jest.mock('../../src/services/storeRegistry', () => ({}));
+jest.mock('../../src/services/auditService', () => ({ log: jest.fn() }));
+jest.mock('../../src/services/provisionerService', () => ({}));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const { planWaves, failureRate } = require('../../src/services/fleetService');
+
+const stores = (n) => Array.from({ length: n }, (_, i) => ({ id: `store-${String(i).padStart(8, '0')}` }));
+
+describe('Fleet Service', () => {
+  describe('planWaves', () => {
+    it('puts the canary wave first, then fixed-size waves', () => {
+      const waves = planWaves(stores(12), 2, 5);
+      expect(waves.map(w => w.length)).toEqual([2, 5, 5]);
+    });
+
+    it('keeps a short final wave', () => {
+      const waves = planWaves(stores(9), 1, 3);
+      expect(waves.map(w => w.length)).toEqual([1, 3, 3, 2]);
+    });
+
+    it('never produces empty waves when the canary covers everything', () => {
+      const waves = planWaves(stores(2), 5, 5);
+      expect(waves).toHaveLength(1);
+      expect(waves[0]).toHaveLength(2);
+    });
+
+    it('preserves selection order', () => {
+      const selection = stores(4);
+      const flattened = planWaves(selection, 1, 2).flat();
+      expect(flattened.map(s => s.id)).toEqual(selection.map(s => s.id));
+    });
+  });
+
+  describe('failureRate', () => {
+    it('returns 0 when nothing was attempted', () => {
+      expect(failureRate([])).toBe(0);
+      expect(failureRate([{ outcome: 'skipped' }])).toBe(0);
+    });
+
+    it('counts rolled back upgrades as failures', () => {
+      const rate = failureRate([
+        { outcome: 'upgraded' },
+        { outcome: 'rolled_back' },
+        { outcome: 'failed' },
+        { outcome: 'upgraded' },
+      ]);
+      expect(rate).toBe(0.5);
+    });
+
+    it('ignores skipped stores', () => {
+      const rate = failureRate([
+        { outcome: 'upgraded' },
+        { outcome: 'skipped' },
+        { outcome: 'skipped' },
+        { outcome: 'failed' },
+      ]);
+      expect(rate).toBe(0.5);
+    });
+  });
+});
@@ -23,6 +23,7 @@ jest.mock('../../src/utils/logger', () => {
 
 // Must set env BEFORE requiring guardrails
 process.env.STORE_CREATION_COOLDOWN_MS = '5000'; // 5s for fast tests
+process.env.SHARED_STATE_STORE = 'memory';
 
 const { enforceStoreLimit, enforceCreationCooldown, validateEngine } = require('../../src/middleware/guardrails');
 
@@ -68,36 +69,46 @@ describe('guardrails', () => {
       await enforceStoreLimit(req, res, next);
       expect(next).toHaveBeenCalledWith(expect.any(Error));
     });
+
+    it('should apply the limit of the requested plan', async () => {
+      mockCountActiveByOwner.mockResolvedValue(1);
+      const req = mockReq({ body: { plan: 'large' } });
+      const next = jest.fn();
+
+      await enforceStoreLimit(req, mockRes(), next);
+      expect(mockCountActiveByOwner).toHaveBeenCalledWith('user-1', { plan: 'large' });
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ code: 'STORE_LIMIT_EXCEEDED' }));
+    });
   });
 
   describe('enforceCreationCooldown', () => {
-    it('should allow first creation', () => {
+    it('should allow first creation', async () => {
       const req = mockReq({ user: { id: 'cooldown-user-1', role: 'tenant' } });
       const res = mockRes();
       const next = jest.fn();
 
-      enforceCreationCooldown(req, res, next);
+      await enforceCreationCooldown(req, res, next);
       expect(next).toHaveBeenCalledWith();
     });
 
-    it('should block rapid second creation', () => {
+    it('should block rapid second creation', async () => {
       const req = mockReq({ user: { id: 'cooldown-user-2', role: 'tenant' } });
       const res = mockRes();
       const next1 = jest.fn();
       const next2 = jest.fn();
 
-      enforceCreationCooldown(req, res, next1);
-      enforceCreationCooldown(req, res, next2);
+      await enforceCreationCooldown(req, res, next1);
+      await enforceCreationCooldown(req, res, next2);
       expect(next2).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 429 }));
     });
 
-    it('should bypass cooldown for admins', () => {
+    it('should bypass cooldown for admins', async () => {
       const req = mockReq({ user: { id: 'admin-user-1', role: 'admin' } });
       const res = mockRes();
       const next = jest.fn();
 
-      enforceCreationCooldown(req, res, next);
-      enforceCreationCooldown(req, res, next);
+      await enforceCreationCooldown(req, res, next);
+      await enforceCreationCooldown(req, res, next);
       expect(next).toHaveBeenCalledTimes(2);
     });
   });
@@ -0,0 +1,227 @@
+'use strict';
+
+/**
+ * Tests for services/jobQueueService.js — enqueue limits, claiming with
+ * SKIP LOCKED, lease recovery and job completion. The database is mocked.
+ */
+
+jest.mock('../../src/db/pool', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const db = require('../../src/db/pool');
+const jobQueue = require('../../src/services/jobQueueService');
+const { QueueFullError, LeaseLostError, JobDeferredError } = require('../../src/utils/errors');
+
+function jobRow(overrides = {}) {
+  return {
+    id: 'job-1',
+    store_id: 'store-abc',
+    type: 'provision',
+    status: 'queued',
+    payload: {},
+    result: null,
+    correlation_id: 'req-1',
+    attempts: 0,
+    max_attempts: 3,
+    lease_owner: null,
+    lease_expires_at: null,
+    heartbeat_at: null,
+    completed_phases: [],
+    last_completed_phase: null,
+    last_error: null,
+    queued_at: new Date(),
+    started_at: null,
+    finished_at: null,
+    created_at: new Date(),
+    updated_at: new Date(),
+    ...overrides,
+  };
+}
+
+describe('Job Queue Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('enqueue', () => {
+    it('inserts a queued job', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: 0 }] })
+        .mockResolvedValueOnce({ rows: [jobRow()] });
+
+      const job = await jobQueue.enqueue({ storeId: 'store-abc', type: 'provision', correlationId: 'req-1' });
+
+      expect(job).toMatchObject({ id: 'job-1', storeId: 'store-abc', type: 'provision', status: 'queued' });
+      expect(db.query.mock.calls[1][0]).toMatch(/ON CONFLICT \(store_id\) WHERE status IN/);
+    });
+
+    it('stores a sealed secret on the job without returning it', async () => {
+      const envelope = { alg: 'aes-256-gcm', kv: 1, dek: 'd', data: 'x' };
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: 0 }] })
+        .mockResolvedValueOnce({ rows: [jobRow()] });
+
+      const job = await jobQueue.enqueue({ storeId: 'store-abc', type: 'provision', secret: envelope });
+
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toMatch(/payload, secret, correlation_id/);
+      expect(sql.split('RETURNING')[1]).not.toMatch(/secret/);
+      expect(params[3]).toBe(JSON.stringify(envelope));
+      expect(job).not.toHaveProperty('secret');
+    });
+
+    it('rejects with QueueFullError once the queue is at capacity', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ count: 10 }] });
+
+      await expect(jobQueue.enqueue({ storeId: 'store-abc', type: 'delete' })).rejects.toThrow(QueueFullError);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("returns the store's active job instead of queueing a second one", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: 1 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [jobRow({ id: 'job-running', status: 'running', type: 'upgrade' })] });
+
+      const job = await jobQueue.enqueue({ storeId: 'store-abc', type: 'provision' });
+
+      expect(job).toMatchObject({ id: 'job-running', type: 'upgrade' });
+    });
+  });
+
+  describe('claimNext', () => {
+    it('locks the oldest queued job with SKIP LOCKED and leases it', async () => {
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 'job-1' }] })
+          .mockResolvedValueOnce({ rows: [jobRow({ status: 'running', attempts: 1, lease_owner: jobQueue.WORKER_ID })] }),
+      };
+      db.withTransaction.mockImplementation(fn => fn(client));
+
+      const job = await jobQueue.claimNext();
+
+      expect(client.query.mock.calls[0][0]).toMatch(/FOR UPDATE SKIP LOCKED/);
+      expect(client.query.mock.calls[0][0]).toMatch(/queued_at <= NOW\(\)/);
+      expect(client.query.mock.calls[1][1]).toEqual(['job-1', 'running', jobQueue.WORKER_ID, 60000]);
+      expect(job).toMatchObject({ status: 'running', attempts: 1, leaseOwner: jobQueue.WORKER_ID });
+    });
+
+    it('returns null when nothing is queued', async () => {
+      const client = { query: jest.fn().mockResolvedValueOnce({ rows: [] }) };
+      db.withTransaction.mockImplementation(fn => fn(client));
+
+      expect(await jobQueue.claimNext()).toBeNull();
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('recoverExpiredLeases', () => {
+    it('splits expired jobs into re-queued and abandoned', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          jobRow({ id: 'job-a', status: 'queued', attempts: 1, completed_phases: ['namespace_create'], last_completed_phase: 'namespace_create' }),
+          jobRow({ id: 'job-b', status: 'failed', attempts: 3 }),
+        ],
+      });
+
+      const { requeued, abandoned } = await jobQueue.recoverExpiredLeases();
+
+      expect(db.query.mock.calls[0][0]).toMatch(/lease_expires_at < NOW\(\)/);
+      expect(requeued.map(j => j.id)).toEqual(['job-a']);
+      expect(requeued[0].completedPhases).toEqual(['namespace_create']);
+      expect(abandoned.map(j => j.id)).toEqual(['job-b']);
+    });
+  });
+
+  describe('waitForJob', () => {
+    it('returns the job once it has finished', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [jobRow({ status: 'running' })] })
+        .mockResolvedValueOnce({ rows: [jobRow({ status: 'completed', result: { outcome: 'upgraded' } })] });
+
+      const job = await jobQueue.waitForJob('job-1', { intervalMs: 1, timeoutMs: 1000 });
+
+      expect(job).toMatchObject({ status: 'completed', result: { outcome: 'upgraded' } });
+    });
+
+    it('gives up once the timeout has passed', async () => {
+      db.query.mockResolvedValue({ rows: [jobRow({ type: 'upgrade', status: 'running' })] });
+
+      await expect(jobQueue.waitForJob('job-1', { intervalMs: 1, timeoutMs: 20 }))
+        .rejects.toThrow('upgrade job job-1 did not finish within 0s (still running)');
+    });
+  });
+
+  describe('runJob', () => {
+    afterEach(() => jobQueue.stop());
+
+    it('completes the job with the handler result', async () => {
+      const handler = jest.fn().mockResolvedValue({ outcome: 'upgraded' });
+      db.query.mockResolvedValue({ rows: [{ count: 0 }], rowCount: 1 });
+      db.withTransaction.mockResolvedValue(null);
+      jobQueue.start({ handlers: { upgrade: handler } });
+
+      const job = jobQueue.normalizeJob(jobRow({ type: 'upgrade', status: 'running', attempts: 1 }));
+      await jobQueue.runJob(job);
+
+      expect(handler).toHaveBeenCalledWith(job, { signal: expect.objectContaining({ aborted: false }) });
+      const finish = db.query.mock.calls.find(([sql]) => /finished_at = NOW\(\)/.test(sql));
+      expect(finish[1].slice(0, 3)).toEqual(['job-1', 'completed', JSON.stringify({ outcome: 'upgraded' })]);
+      expect(finish[0]).toMatch(/secret = NULL/);
+    });
+
+    it('marks the job failed when the handler throws', async () => {
+      db.query.mockResolvedValue({ rows: [{ count: 0 }], rowCount: 1 });
+      db.withTransaction.mockResolvedValue(null);
+      jobQueue.start({ handlers: { delete: jest.fn().mockRejectedValue(new Error('helm exploded')) } });
+
+      await jobQueue.runJob(jobQueue.normalizeJob(jobRow({ type: 'delete', status: 'running' })));
+
+      const finish = db.query.mock.calls.find(([sql]) => /finished_at = NOW\(\)/.test(sql));
+      expect(finish[1].slice(0, 4)).toEqual(['job-1', 'failed', null, 'helm exploded']);
+    });
+
+    it('queues a deferred job again instead of finishing it', async () => {
+      db.query.mockResolvedValue({ rows: [{ count: 0 }], rowCount: 1 });
+      db.withTransaction.mockResolvedValue(null);
+      const deferred = new JobDeferredError('Another operation on store store-abc is still running', { retryAfterMs: 15000 });
+      jobQueue.start({ handlers: { resume: jest.fn().mockRejectedValue(deferred) } });
+
+      await jobQueue.runJob(jobQueue.normalizeJob(jobRow({ type: 'resume', status: 'running', attempts: 1 })));
+
+      expect(db.query.mock.calls.some(([sql]) => /finished_at = NOW\(\)/.test(sql))).toBe(false);
+      const requeue = db.query.mock.calls.find(([sql]) => /attempts = GREATEST\(attempts - 1, 0\)/.test(sql));
+      expect(requeue[0]).toMatch(/status = 'queued'/);
+      expect(requeue[1]).toEqual(['job-1', jobQueue.WORKER_ID, 15000, deferred.message]);
+    });
+
+    it('aborts the handler and leaves the job alone when the lease is lost', async () => {
+      jest.useFakeTimers();
+      try {
+        db.query.mockResolvedValue({ rows: [{ count: 0 }], rowCount: 0 });
+        db.withTransaction.mockResolvedValue(null);
+        let reason;
+        const handler = jest.fn((job, { signal }) => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => {
+            reason = signal.reason;
+            reject(signal.reason);
+          });
+        }));
+        jobQueue.start({ handlers: { upgrade: handler } });
+
+        const run = jobQueue.runJob(jobQueue.normalizeJob(jobRow({ type: 'upgrade', status: 'running' })));
+        await jest.advanceTimersByTimeAsync(60000);
+        await run;
+
+        expect(reason).toBeInstanceOf(LeaseLostError);
+        expect(db.query.mock.calls.some(([sql]) => /finished_at = NOW\(\)/.test(sql))).toBe(false);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Tests for services/leaderElection.js — advisory-lock acquisition, task
+ * start/stop on leadership changes and recovery of dead replicas.
+ * The database is mocked.
+ */
+
+jest.mock('../../src/db/pool', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+let db;
+let leaderElection;
+
+function lockClient(acquired) {
+  return {
+    query: jest.fn().mockResolvedValue({ rows: [{ acquired }] }),
+    release: jest.fn(),
+    on: jest.fn(),
+  };
+}
+
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('Leader Election', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    db = require('../../src/db/pool');
+    leaderElection = require('../../src/services/leaderElection');
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(async () => {
+    await leaderElection.stop();
+  });
+
+  it('stays a follower and returns the connection when the lock is taken', async () => {
+    const client = lockClient(false);
+    db.getClient.mockResolvedValue(client);
+    const task = { name: 'billing', start: jest.fn(), stop: jest.fn() };
+    leaderElection.register(task);
+
+    await leaderElection.start();
+
+    expect(client.query.mock.calls[0][0]).toMatch(/pg_try_advisory_lock/);
+    expect(client.release).toHaveBeenCalledWith();
+    expect(leaderElection.isLeader()).toBe(false);
+    expect(task.start).not.toHaveBeenCalled();
+    expect(db.query.mock.calls[0][0]).toMatch(/INSERT INTO control_plane_instances/);
+  });
+
+  it('starts registered tasks once it holds the lock', async () => {
+    db.getClient.mockResolvedValue(lockClient(true));
+    const task = { name: 'recovery', start: jest.fn().mockResolvedValue(undefined) };
+    leaderElection.register(task);
+
+    await leaderElection.start();
+    await flush();
+
+    expect(leaderElection.isLeader()).toBe(true);
+    expect(task.start).toHaveBeenCalledTimes(1);
+    expect(leaderElection.status()).toMatchObject({ leader: true, tasks: ['recovery'] });
+  });
+
+  it('steps down and destroys the connection when the lock connection fails', async () => {
+    const client = lockClient(true);
+    db.getClient.mockResolvedValue(client);
+    const task = { name: 'usage-collector', start: jest.fn(), stop: jest.fn() };
+    leaderElection.register(task);
+    await leaderElection.start();
+
+    const err = new Error('Connection terminated unexpectedly');
+    client.query.mockRejectedValueOnce(err);
+    await leaderElection.check();
+
+    expect(leaderElection.isLeader()).toBe(false);
+    expect(task.stop).toHaveBeenCalledTimes(1);
+    expect(client.release).toHaveBeenCalledWith(err);
+  });
+
+  it('runs the instance-lost hooks for replicas that stopped heartbeating', async () => {
+    db.getClient.mockResolvedValue(lockClient(true));
+    const hook = jest.fn().mockResolvedValue(undefined);
+    leaderElection.onInstancesLost(hook);
+    await leaderElection.start();
+
+    db.query.mockImplementation(async (sql) => (
+      /DELETE FROM control_plane_instances/.test(sql) ? { rows: [{ id: 'replica-b' }] } : { rows: [] }
+    ));
+    await leaderElection.check();
+
+    expect(hook).toHaveBeenCalledWith(['replica-b']);
+  });
+
+  it('releases the advisory lock on stop', async () => {
+    const client = lockClient(true);
+    db.getClient.mockResolvedValue(client);
+    await leaderElection.start();
+
+    await leaderElection.stop();
+
+    expect(client.query.mock.calls.some(([sql]) => /pg_advisory_unlock/.test(sql))).toBe(true);
+    expect(client.release).toHaveBeenCalledWith();
+    expect(leaderElection.isLeader()).toBe(false);
+  });
+});
@@ -26,6 +26,7 @@ jest.mock('../../src/services/auditService', () => ({
 // Set env for fast lockout in tests
 process.env.ACCOUNT_LOCKOUT_MAX_ATTEMPTS = '3';
 process.env.ACCOUNT_LOCKOUT_DURATION_MS = '2000'; // 2s lockout for testing
+process.env.SHARED_STATE_STORE = 'memory';
 
 const { checkAccountLockout, recordFailedAttempt, clearLockout } = require('../../src/middleware/loginLimiter');
 
@@ -45,31 +46,31 @@ function mockRes() {
 }
 
 describe('Account Lockout', () => {
-  beforeEach(() => {
-    clearLockout('locktest@example.com');
-    clearLockout('test@example.com');
+  beforeEach(async () => {
+    await clearLockout('locktest@example.com');
+    await clearLockout('test@example.com');
   });
 
   describe('recordFailedAttempt', () => {
-    it('should track failed attempts', () => {
-      recordFailedAttempt('locktest@example.com');
-      recordFailedAttempt('locktest@example.com');
+    it('should track failed attempts', async () => {
+      await recordFailedAttempt('locktest@example.com');
+      await recordFailedAttempt('locktest@example.com');
       // Not locked yet (threshold is 3)
       const req = mockReq('locktest@example.com');
       const res = mockRes();
       const next = jest.fn();
-      checkAccountLockout(req, res, next);
+      await checkAccountLockout(req, res, next);
       expect(next).toHaveBeenCalled();
     });
 
-    it('should lock account after max attempts', () => {
+    it('should lock account after max attempts', async () => {
       for (let i = 0; i < 3; i++) {
-        recordFailedAttempt('locktest@example.com');
+        await recordFailedAttempt('locktest@example.com');
       }
       const req = mockReq('locktest@example.com');
       const res = mockRes();
       const next = jest.fn();
-      checkAccountLockout(req, res, next);
+      await checkAccountLockout(req, res, next);
       expect(res.status).toHaveBeenCalledWith(423);
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
         error: expect.objectContaining({ code: 'ACCOUNT_LOCKED' }),
@@ -78,40 +79,52 @@ describe('Account Lockout', () => {
   });
 
   describe('clearLockout', () => {
-    it('should clear lockout on successful login', () => {
+    it('should clear lockout on successful login', async () => {
       for (let i = 0; i < 3; i++) {
-        recordFailedAttempt('locktest@example.com');
+        await recordFailedAttempt('locktest@example.com');
       }
-      clearLockout('locktest@example.com');
+      await clearLockout('locktest@example.com');
 
       const req = mockReq('locktest@example.com');
       const res = mockRes();
       const next = jest.fn();
-      checkAccountLockout(req, res, next);
+      await checkAccountLockout(req, res, next);
       expect(next).toHaveBeenCalled();
     });
   });
 
   describe('checkAccountLockout', () => {
-    it('should pass through when no email provided', () => {
+    it('should pass through when no email provided', async () => {
       const req = { body: {}, requestId: 'req_test' };
       const res = mockRes();
       const next = jest.fn();
-      checkAccountLockout(req, res, next);
+      await checkAccountLockout(req, res, next);
       expect(next).toHaveBeenCalled();
     });
 
-    it('should pass through for unlocked accounts', () => {
+    it('should lock re-authentication of a signed-in user', async () => {
+      for (let i = 0; i < 3; i++) {
+        await recordFailedAttempt('locktest@example.com');
+      }
+      const req = { body: { password: 'guess' }, user: { email: 'locktest@example.com' }, requestId: 'req_test' };
+      const res = mockRes();
+      const next = jest.fn();
+      await checkAccountLockout(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(423);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should pass through for unlocked accounts', async () => {
       const req = mockReq('clean@example.com');
       const res = mockRes();
       const next = jest.fn();
-      checkAccountLockout(req, res, next);
+      await checkAccountLockout(req, res, next);
       expect(next).toHaveBeenCalled();
     });
 
     it('should unlock after lockout duration expires', async () => {
       for (let i = 0; i < 3; i++) {
-        recordFailedAttempt('locktest@example.com');
+        await recordFailedAttempt('locktest@example.com');
       }
       // Wait for lockout to expire (2s in test)
       await new Promise(resolve => setTimeout(resolve, 2100));
@@ -119,7 +132,7 @@ describe('Account Lockout', () => {
       const req = mockReq('locktest@example.com');
       const res = mockRes();
       const next = jest.fn();
-      checkAccountLockout(req, res, next);
+      await checkAccountLockout(req, res, next);
       expect(next).toHaveBeenCalled();
     }, 5000);
   });
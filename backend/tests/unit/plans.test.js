@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Tests for models/plans.js — plan lookup, chart values and quota comparison.
+ */
+
+const {
+  PLAN_NAMES,
+  getPlan,
+  planSetValues,
+  parseQuantity,
+  compareQuota,
+} = require('../../src/models/plans');
+
+// ResourceQuota spec.hard as Kubernetes reports it for the small plan
+const SMALL_HARD = {
+  'requests.cpu': '1',
+  'requests.memory': '1Gi',
+  'limits.cpu': '2',
+  'limits.memory': '2Gi',
+  'requests.storage': '10Gi',
+  persistentvolumeclaims: '5',
+  pods: '10',
+  services: '5',
+};
+
+describe('Store Plans', () => {
+  it('defines small, medium and large', () => {
+    expect(PLAN_NAMES).toEqual(['small', 'medium', 'large']);
+  });
+
+  describe('getPlan', () => {
+    it('returns the plan with its name', () => {
+      const plan = getPlan('medium');
+      expect(plan.name).toBe('medium');
+      expect(plan.maxStoresPerUser).toBe(2);
+    });
+
+    it('rejects unknown plans', () => {
+      expect(() => getPlan('xl')).toThrow(/Unknown plan/);
+    });
+  });
+
+  describe('planSetValues', () => {
+    it('maps the plan onto resourceQuota and limitRange chart values', () => {
+      const values = planSetValues('large');
+      expect(values['resourceQuota.limitsMemory']).toBe('8Gi');
+      expect(values['resourceQuota.pods']).toBe('20');
+      expect(values['limitRange.maxCpu']).toBe('4');
+    });
+  });
+
+  describe('parseQuantity', () => {
+    it('understands decimal, binary and milli suffixes', () => {
+      expect(parseQuantity('500m')).toBe(0.5);
+      expect(parseQuantity('2Gi')).toBe(2 * 1024 ** 3);
+      expect(parseQuantity('1k')).toBe(1000);
+      expect(parseQuantity('10')).toBe(10);
+      expect(parseQuantity('1Xi')).toBeNaN();
+    });
+  });
+
+  describe('compareQuota', () => {
+    it('matches a quota sized for the plan', () => {
+      expect(compareQuota('small', SMALL_HARD)).toEqual([]);
+    });
+
+    it('compares normalized quantities numerically', () => {
+      expect(compareQuota('small', { ...SMALL_HARD, 'requests.cpu': '1000m', 'requests.memory': '1024Mi' })).toEqual([]);
+    });
+
+    it('reports each resource that differs', () => {
+      const mismatches = compareQuota('medium', SMALL_HARD);
+      expect(mismatches).toContainEqual({ resource: 'limits.memory', expected: '4Gi', actual: '2Gi' });
+      expect(mismatches).toHaveLength(8);
+    });
+
+    it('reports missing resources', () => {
+      const hard = { ...SMALL_HARD };
+      delete hard.pods;
+      expect(compareQuota('small', hard)).toEqual([{ resource: 'pods', expected: '10', actual: null }]);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * Tests for services/provisionerService.js — starting lifecycle workflows
+ * while another job holds the store or another request races for it.
+ * Registry, job queue and cluster services are mocked.
+ */
+
+jest.mock('../../src/services/storeRegistry', () => ({ findById: jest.fn(), update: jest.fn() }));
+jest.mock('../../src/services/auditService', () => ({ log: jest.fn() }));
+jest.mock('../../src/services/helmService', () => ({}));
+jest.mock('../../src/services/kubernetesService', () => ({}));
+jest.mock('../../src/services/storeSetupService', () => ({}));
+jest.mock('../../src/services/ingressService', () => ({}));
+jest.mock('../../src/services/userService', () => ({}));
+jest.mock('../../src/services/backupService', () => ({}));
+jest.mock('../../src/services/domainService', () => ({}));
+jest.mock('../../src/services/checkpointService', () => ({ getCompletedPhases: jest.fn() }));
+jest.mock('../../src/services/storeEventService', () => ({}));
+jest.mock('../../src/services/secretsService', () => ({}));
+jest.mock('../../src/services/jobQueueService', () => ({
+  JOB_TYPES: {
+    PROVISION: 'provision',
+    RETRY: 'retry',
+    DELETE: 'delete',
+    UPGRADE: 'upgrade',
+    RESUME: 'resume',
+    RESTORE: 'restore',
+    SUSPEND: 'suspend',
+    PROMOTE: 'promote',
+    INGRESS: 'ingress',
+  },
+  enqueue: jest.fn(),
+  findActiveJob: jest.fn(),
+  waitForJob: jest.fn(),
+}));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const storeRegistry = require('../../src/services/storeRegistry');
+const auditService = require('../../src/services/auditService');
+const checkpointService = require('../../src/services/checkpointService');
+const jobQueueService = require('../../src/services/jobQueueService');
+const provisionerService = require('../../src/services/provisionerService');
+const { ConflictError } = require('../../src/utils/errors');
+
+const STORE_ID = 'store-aaaaaaaa';
+const ingressJob = { id: 'job-ingress', storeId: STORE_ID, type: 'ingress', status: 'running' };
+
+describe('Provisioner Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storeRegistry.findById.mockResolvedValue({ id: STORE_ID, status: 'ready', ownerId: 'user-1' });
+    storeRegistry.update.mockImplementation(async (id, fields) => ({ id, ...fields }));
+    auditService.log.mockResolvedValue();
+    jobQueueService.findActiveJob.mockResolvedValue(null);
+  });
+
+  describe('deleteStore', () => {
+    it('refuses while an ingress job is active, leaving the store ready', async () => {
+      jobQueueService.findActiveJob.mockResolvedValue(ingressJob);
+
+      await expect(provisionerService.deleteStore(STORE_ID)).rejects.toThrow(ConflictError);
+
+      expect(storeRegistry.update).not.toHaveBeenCalled();
+      expect(jobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('puts the store back when the queue hands back another job', async () => {
+      // The ingress job was queued between the check and the enqueue
+      jobQueueService.enqueue.mockResolvedValue(ingressJob);
+
+      await expect(provisionerService.deleteStore(STORE_ID))
+        .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('ingress job') });
+
+      expect(storeRegistry.update).toHaveBeenLastCalledWith(STORE_ID, { status: 'ready' }, { expectedStatus: 'deleting' });
+    });
+  });
+
+  describe('retryStore', () => {
+    it('lets only one of two racing retries queue a job', async () => {
+      storeRegistry.findById.mockResolvedValue({ id: STORE_ID, status: 'failed', retryCount: 1 });
+      checkpointService.getCompletedPhases.mockResolvedValue(new Map());
+      // The other retry moved the store to requested first
+      storeRegistry.update.mockResolvedValue(null);
+
+      await expect(provisionerService.retryStore(STORE_ID, { automatic: true })).rejects.toThrow(ConflictError);
+
+      expect(storeRegistry.update).toHaveBeenCalledWith(STORE_ID, expect.objectContaining({
+        status: 'requested', retryCount: 2,
+      }), { expectedStatus: 'failed' });
+      expect(jobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('upgradeStoreAndWait', () => {
+    it('does not wait on another job as if it were the upgrade', async () => {
+      jobQueueService.enqueue.mockResolvedValue(ingressJob);
+
+      await expect(provisionerService.upgradeStoreAndWait(STORE_ID)).rejects.toThrow(ConflictError);
+
+      expect(jobQueueService.waitForJob).not.toHaveBeenCalled();
+      expect(storeRegistry.update).toHaveBeenLastCalledWith(STORE_ID, { status: 'ready' }, { expectedStatus: 'upgrading' });
+    });
+  });
+});
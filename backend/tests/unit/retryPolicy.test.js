@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Tests for models/retryPolicy.js — backoff with jitter and the follow-up
+ * decision after a provisioning failure.
+ */
+
+jest.mock('../../src/config', () => ({
+  provisioning: { autoRetry: true, maxRetries: 3, retryBaseDelayMs: 30000, retryMaxDelayMs: 100000 },
+}));
+
+const config = require('../../src/config');
+const retryPolicy = require('../../src/models/retryPolicy');
+
+const retryable = { code: 'OPERATION_TIMED_OUT', retryable: true };
+const notRetryable = { code: 'IMAGE_PULL_FAILED', retryable: false };
+
+describe('Retry Policy', () => {
+  beforeEach(() => {
+    config.provisioning.autoRetry = true;
+  });
+
+  describe('backoffDelayMs', () => {
+    it('doubles per retry up to the cap', () => {
+      const noJitter = () => 0.5;
+      expect(retryPolicy.backoffDelayMs(1, noJitter)).toBe(30000);
+      expect(retryPolicy.backoffDelayMs(2, noJitter)).toBe(60000);
+      expect(retryPolicy.backoffDelayMs(3, noJitter)).toBe(100000);
+    });
+
+    it('spreads delays by ±25%', () => {
+      expect(retryPolicy.backoffDelayMs(1, () => 0)).toBe(22500);
+      expect(retryPolicy.backoffDelayMs(1, () => 1)).toBe(37500);
+    });
+  });
+
+  describe('decide', () => {
+    it('schedules a retryable failure with retries left', () => {
+      const next = retryPolicy.decide({ retryCount: 1 }, retryable, { now: 1000, random: () => 0.5 });
+
+      expect(next).toEqual({ decision: 'retry', attempt: 2, delayMs: 60000, retryAt: new Date(61000) });
+    });
+
+    it('notifies when retries are exhausted', () => {
+      expect(retryPolicy.decide({ retryCount: 3 }, retryable)).toEqual({
+        decision: 'notify', attempt: 4, reason: 'retries_exhausted',
+      });
+    });
+
+    it('never retries a non-retryable failure', () => {
+      expect(retryPolicy.decide({ retryCount: 0 }, notRetryable)).toEqual({
+        decision: 'notify', attempt: 1, reason: 'not_retryable',
+      });
+    });
+
+    it('leaves retryable failures to the user when automatic retry is off', () => {
+      config.provisioning.autoRetry = false;
+
+      expect(retryPolicy.decide({ retryCount: 0 }, retryable).decision).toBe('none');
+      expect(retryPolicy.decide({ retryCount: 0 }, notRetryable).decision).toBe('notify');
+    });
+  });
+});
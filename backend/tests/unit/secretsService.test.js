@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * Tests for services/secretsService.js — envelope encryption of store
+ * secrets, master key versions and background re-encryption.
+ * storeRegistry and jobQueueService are mocked.
+ */
+
+const KEY_1 = Buffer.alloc(32, 1).toString('base64');
+const KEY_2 = Buffer.alloc(32, 2).toString('base64');
+
+jest.mock('../../src/config', () => ({
+  jwt: { secret: 'a-secret-that-is-long-enough' },
+  secrets: { masterKeys: '', masterKeysFile: '', activeKeyVersion: null, reencryptIntervalMs: 3600000 },
+}));
+jest.mock('../../src/services/storeRegistry', () => ({
+  findCredentialsToReencrypt: jest.fn(),
+  replaceAdminCredentials: jest.fn(),
+}));
+jest.mock('../../src/services/jobQueueService', () => ({
+  findSecretsToReencrypt: jest.fn(),
+  replaceJobSecret: jest.fn(),
+}));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const config = require('../../src/config');
+const storeRegistry = require('../../src/services/storeRegistry');
+const jobQueueService = require('../../src/services/jobQueueService');
+const secretsService = require('../../src/services/secretsService');
+
+const credentials = { email: 'owner@example.com', username: 'admin', password: 'S3cret-pass!' };
+
+function useKeys(masterKeys, activeKeyVersion = null) {
+  config.secrets.masterKeys = masterKeys;
+  config.secrets.activeKeyVersion = activeKeyVersion;
+  secretsService.loadKeyring();
+}
+
+describe('Secrets Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useKeys(`1:${KEY_1}`);
+    jobQueueService.findSecretsToReencrypt.mockResolvedValue([]);
+  });
+
+  describe('admin credentials', () => {
+    it('round-trips through an envelope that holds no plaintext', () => {
+      const envelope = secretsService.sealAdminCredentials('store-aaaaaaaa', credentials);
+
+      expect(envelope).toMatchObject({ alg: 'aes-256-gcm', kv: 1 });
+      expect(JSON.stringify(envelope)).not.toContain('S3cret-pass!');
+      expect(secretsService.openAdminCredentials({ id: 'store-aaaaaaaa', adminCredentials: envelope })).toEqual(credentials);
+    });
+
+    it('does not open an envelope copied to another store', () => {
+      const envelope = secretsService.sealAdminCredentials('store-aaaaaaaa', credentials);
+
+      expect(() => secretsService.openAdminCredentials({ id: 'store-bbbbbbbb', adminCredentials: envelope }))
+        .toThrow(expect.objectContaining({ code: 'SECRETS_ERROR' }));
+    });
+
+    it('detects tampering', () => {
+      const envelope = secretsService.sealAdminCredentials('store-aaaaaaaa', credentials);
+      const data = Buffer.from(envelope.data, 'base64');
+      data[data.length - 1] ^= 1;
+
+      expect(() => secretsService.openAdminCredentials({
+        id: 'store-aaaaaaaa', adminCredentials: { ...envelope, data: data.toString('base64') },
+      })).toThrow('tampered');
+    });
+
+    it('returns credentials stored before encryption as they are', () => {
+      expect(secretsService.openAdminCredentials({ id: 'store-aaaaaaaa', adminCredentials: credentials })).toEqual(credentials);
+      expect(secretsService.openAdminCredentials({ id: 'store-aaaaaaaa', adminCredentials: {} })).toBeNull();
+      expect(secretsService.openAdminCredentials({ id: 'store-aaaaaaaa', adminCredentials: null })).toBeNull();
+    });
+  });
+
+  describe('master keys', () => {
+    it('seals with the highest version unless one is pinned', () => {
+      useKeys(`1:${KEY_1}, 2:${KEY_2}`);
+      expect(secretsService.activeKeyVersion()).toBe(2);
+
+      useKeys(`1:${KEY_1}, 2:${KEY_2}`, 1);
+      expect(secretsService.sealStoreSecret('store-aaaaaaaa', 'admin_credentials', credentials).kv).toBe(1);
+    });
+
+    it('keeps opening envelopes sealed under an older version', () => {
+      const envelope = secretsService.sealAdminCredentials('store-aaaaaaaa', credentials);
+      useKeys(`1:${KEY_1},2:${KEY_2}`);
+
+      expect(secretsService.openAdminCredentials({ id: 'store-aaaaaaaa', adminCredentials: envelope })).toEqual(credentials);
+    });
+
+    it('fails on envelopes whose version was removed', () => {
+      const envelope = secretsService.sealAdminCredentials('store-aaaaaaaa', credentials);
+      useKeys(`2:${KEY_2}`);
+
+      expect(() => secretsService.openAdminCredentials({ id: 'store-aaaaaaaa', adminCredentials: envelope }))
+        .toThrow('Master key version 1 is not configured');
+    });
+
+    it('rejects keys that are not 32 bytes', () => {
+      expect(() => useKeys(`1:${Buffer.alloc(16).toString('base64')}`)).toThrow('not 32 bytes');
+    });
+
+    it('rejects a pinned version that is not configured', () => {
+      expect(() => useKeys(`1:${KEY_1}`, 3)).toThrow('Active master key version 3');
+    });
+
+    it('falls back to a development key', () => {
+      useKeys('');
+      expect(secretsService.sealAdminCredentials('store-aaaaaaaa', credentials).kv).toBe(0);
+    });
+  });
+
+  describe('reencryptAll', () => {
+    it('re-wraps old envelopes and seals plaintext without touching the ciphertext', async () => {
+      const old = secretsService.sealAdminCredentials('store-aaaaaaaa', credentials);
+      useKeys(`1:${KEY_1},2:${KEY_2}`);
+      storeRegistry.findCredentialsToReencrypt
+        .mockResolvedValueOnce([
+          { id: 'store-aaaaaaaa', adminCredentials: old },
+          { id: 'store-bbbbbbbb', adminCredentials: credentials },
+        ])
+        .mockResolvedValueOnce([]);
+      storeRegistry.replaceAdminCredentials.mockResolvedValue(true);
+
+      const result = await secretsService.reencryptAll();
+
+      expect(result).toEqual({ keyVersion: 2, reencrypted: 2, failed: 0 });
+      expect(storeRegistry.findCredentialsToReencrypt).toHaveBeenLastCalledWith(2, { after: 'store-bbbbbbbb', limit: 50 });
+
+      const [, current, rewrapped] = storeRegistry.replaceAdminCredentials.mock.calls[0];
+      expect(current).toBe(old);
+      expect(rewrapped).toMatchObject({ kv: 2, data: old.data });
+      expect(secretsService.openAdminCredentials({ id: 'store-aaaaaaaa', adminCredentials: rewrapped })).toEqual(credentials);
+
+      const [, , sealed] = storeRegistry.replaceAdminCredentials.mock.calls[1];
+      expect(secretsService.isSealed(sealed)).toBe(true);
+    });
+
+    it('counts envelopes it cannot open and carries on', async () => {
+      useKeys(`2:${KEY_2}`);
+      storeRegistry.findCredentialsToReencrypt
+        .mockResolvedValueOnce([
+          { id: 'store-aaaaaaaa', adminCredentials: { alg: 'aes-256-gcm', kv: 1, dek: 'AAAA', data: 'AAAA' } },
+          { id: 'store-bbbbbbbb', adminCredentials: credentials },
+        ])
+        .mockResolvedValueOnce([]);
+      storeRegistry.replaceAdminCredentials.mockResolvedValue(true);
+
+      const result = await secretsService.reencryptAll();
+
+      expect(result).toEqual({ keyVersion: 2, reencrypted: 1, failed: 1 });
+    });
+
+    it('re-wraps tenant passwords sealed on unfinished jobs', async () => {
+      const { TENANT_PASSWORD } = secretsService.SECRET_NAMES;
+      const old = secretsService.sealStoreSecret('store-aaaaaaaa', TENANT_PASSWORD, 'Tenant-pass1!');
+      useKeys(`1:${KEY_1},2:${KEY_2}`);
+      storeRegistry.findCredentialsToReencrypt.mockResolvedValue([]);
+      jobQueueService.findSecretsToReencrypt
+        .mockResolvedValueOnce([{ id: 'job-1', storeId: 'store-aaaaaaaa', secret: old }])
+        .mockResolvedValueOnce([]);
+      jobQueueService.replaceJobSecret.mockResolvedValue(true);
+
+      const result = await secretsService.reencryptAll();
+
+      expect(result).toEqual({ keyVersion: 2, reencrypted: 1, failed: 0 });
+      const [jobId, current, rewrapped] = jobQueueService.replaceJobSecret.mock.calls[0];
+      expect([jobId, current]).toEqual(['job-1', old]);
+      expect(rewrapped).toMatchObject({ kv: 2, data: old.data });
+
+      // The job still opens once version 1 is removed
+      useKeys(`2:${KEY_2}`);
+      expect(secretsService.openStoreSecret('store-aaaaaaaa', TENANT_PASSWORD, rewrapped)).toBe('Tenant-pass1!');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Tests for services/sharedState — the in-memory store contract, the
+ * Postgres statements and the express-rate-limit adapter.
+ */
+
+jest.mock('../../src/db/pool', () => ({ query: jest.fn() }));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+process.env.SHARED_STATE_STORE = 'memory';
+
+const db = require('../../src/db/pool');
+const memoryStore = require('../../src/services/sharedState/memoryStore');
+const postgresStore = require('../../src/services/sharedState/postgresStore');
+const { getSharedStore, SharedRateLimitStore } = require('../../src/services/sharedState');
+
+describe('Shared State', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('memory store', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('counts hits in a window that starts with the first hit', async () => {
+      jest.useFakeTimers();
+      const first = await memoryStore.increment('hits:a', 1000);
+      const second = await memoryStore.increment('hits:a', 1000);
+      expect(second.count).toBe(2);
+      expect(second.expiresAt).toEqual(first.expiresAt);
+
+      jest.advanceTimersByTime(1001);
+      expect((await memoryStore.increment('hits:a', 1000)).count).toBe(1);
+    });
+
+    it('lets only one caller acquire a key until it expires', async () => {
+      jest.useFakeTimers();
+      expect((await memoryStore.acquire('cooldown:u1', 5000)).acquired).toBe(true);
+      expect((await memoryStore.acquire('cooldown:u1', 5000)).acquired).toBe(false);
+
+      jest.advanceTimersByTime(5001);
+      expect(await memoryStore.get('cooldown:u1')).toBeNull();
+      expect((await memoryStore.acquire('cooldown:u1', 5000)).acquired).toBe(true);
+    });
+  });
+
+  describe('postgres store', () => {
+    it('increments with a single upsert that restarts expired windows', async () => {
+      const expiresAt = new Date(Date.now() + 60000);
+      db.query.mockResolvedValueOnce({ rows: [{ count: 4, expires_at: expiresAt }] });
+
+      const result = await postgresStore.increment('ratelimit:api:1.2.3.4', 60000);
+
+      expect(db.query.mock.calls[0][0]).toMatch(/ON CONFLICT \(key\) DO UPDATE/);
+      expect(db.query.mock.calls[0][0]).toMatch(/WHEN shared_state\.expires_at <= NOW\(\) THEN 1/);
+      expect(db.query.mock.calls[0][1]).toEqual(['ratelimit:api:1.2.3.4', 60000]);
+      expect(result).toEqual({ count: 4, expiresAt });
+    });
+
+    it('reports a held key with its expiry when acquire loses', async () => {
+      const expiresAt = new Date(Date.now() + 30000);
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ value: null, count: 0, expires_at: expiresAt }] });
+
+      const result = await postgresStore.acquire('creation-cooldown:u1', 300000);
+
+      expect(db.query.mock.calls[0][0]).toMatch(/WHERE shared_state\.expires_at <= NOW\(\)/);
+      expect(result).toEqual({ acquired: false, expiresAt });
+    });
+  });
+
+  describe('SharedRateLimitStore', () => {
+    it('maps increments to express-rate-limit hit counts under its prefix', async () => {
+      const store = new SharedRateLimitStore('ratelimit:test:');
+      store.init({ windowMs: 60000 });
+
+      await store.increment('10.0.0.1');
+      const { totalHits, resetTime } = await store.increment('10.0.0.1');
+
+      expect(totalHits).toBe(2);
+      expect(resetTime).toBeInstanceOf(Date);
+      expect((await getSharedStore().get('ratelimit:test:10.0.0.1')).count).toBe(2);
+
+      await store.resetKey('10.0.0.1');
+      expect(await getSharedStore().get('ratelimit:test:10.0.0.1')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Tests for middleware/storeAccess.js
+ */
+
+jest.mock('../../src/services/provisionerService', () => ({ getStore: jest.fn() }));
+
+const provisionerService = require('../../src/services/provisionerService');
+const { NotFoundError } = require('../../src/utils/errors');
+const { authorizeStore } = require('../../src/middleware/storeAccess');
+
+const store = { id: 'store-aaaaaaaa', ownerId: 'user-1' };
+
+function mockReq(user) {
+  return { requestId: 'req_test', params: { id: store.id }, user };
+}
+
+function mockRes() {
+  return { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+}
+
+describe('authorizeStore', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provisionerService.getStore.mockResolvedValue(store);
+  });
+
+  it('attaches the store for its owner', async () => {
+    const req = mockReq({ id: 'user-1', role: 'tenant' });
+    const next = jest.fn();
+
+    await authorizeStore(req, mockRes(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.store).toBe(store);
+  });
+
+  it('lets admins reach any store', async () => {
+    const next = jest.fn();
+
+    await authorizeStore(mockReq({ id: 'admin-1', role: 'admin' }), mockRes(), next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('refuses other tenants with 403', async () => {
+    const req = mockReq({ id: 'user-2', role: 'tenant' });
+    const res = mockRes();
+    const next = jest.fn();
+
+    await authorizeStore(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].error.code).toBe('FORBIDDEN');
+    expect(req.store).toBeUndefined();
+  });
+
+  it('passes unknown stores to the error handler', async () => {
+    const err = new NotFoundError('Store', store.id);
+    provisionerService.getStore.mockRejectedValue(err);
+    const next = jest.fn();
+
+    await authorizeStore(mockReq({ id: 'user-1', role: 'tenant' }), mockRes(), next);
+
+    expect(next).toHaveBeenCalledWith(err);
+  });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Tests for services/storeEventService.js — publishing, replay and the
+ * LISTEN fan-out behind the store event stream. The database and its
+ * notification connection are mocked.
+ */
+
+const { EventEmitter } = require('events');
+
+jest.mock('../../src/db/pool', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const db = require('../../src/db/pool');
+const storeEventService = require('../../src/services/storeEventService');
+
+const STORE_ID = 'store-aaaaaaaa';
+
+// Stored events; listEvents and startCursor queries read from it
+let events;
+let listenClient;
+
+function addEvent(type, data = {}) {
+  const event = { id: String(events.length + 1), store_id: STORE_ID, type, data, created_at: new Date() };
+  events.push(event);
+  return Number(event.id);
+}
+
+function notify(id) {
+  listenClient.emit('notification', { channel: 'store_events', payload: JSON.stringify({ id, storeId: STORE_ID }) });
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Store Event Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    events = [];
+    listenClient = new EventEmitter();
+    listenClient.query = jest.fn().mockResolvedValue({});
+    listenClient.release = jest.fn();
+    db.getClient.mockResolvedValue(listenClient);
+    db.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('COALESCE')) {
+        const statusIds = events.filter(e => e.type === params[1]).map(e => Number(e.id));
+        const id = statusIds.length ? Math.max(...statusIds) - 1 : events.length;
+        return { rows: [{ id: String(id) }] };
+      }
+      const [, afterId, limit] = params;
+      return { rows: events.filter(e => Number(e.id) > afterId).slice(0, limit) };
+    });
+  });
+
+  afterEach(() => {
+    storeEventService.closeAll();
+  });
+
+  describe('publish', () => {
+    it('inserts the event and returns its id', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: '42' }] });
+
+      const id = await storeEventService.publish(STORE_ID, 'phase', { phase: 'helm_install', state: 'started' });
+
+      expect(id).toBe(42);
+      expect(db.query.mock.calls[0][1]).toEqual([
+        STORE_ID, 'phase', JSON.stringify({ phase: 'helm_install', state: 'started' }),
+      ]);
+    });
+
+    it('never throws', async () => {
+      db.query.mockRejectedValueOnce(new Error('connection terminated'));
+
+      await expect(storeEventService.publish(STORE_ID, 'status', { status: 'ready' })).resolves.toBeNull();
+    });
+  });
+
+  describe('follow', () => {
+    it('starts at the latest status change when the client has no event id', async () => {
+      addEvent('audit', { message: 'Store created' });
+      addEvent('status', { status: 'provisioning' });
+      addEvent('phase', { phase: 'namespace_create', state: 'started' });
+      const onEvents = jest.fn();
+
+      const stream = storeEventService.follow(STORE_ID, { onEvents });
+      await stream.ready;
+
+      expect(onEvents.mock.calls.flat(2).map(e => e.id)).toEqual([2, 3]);
+      stream.stop();
+    });
+
+    it('resumes after the last event id the client has', async () => {
+      addEvent('status', { status: 'provisioning' });
+      addEvent('phase', { phase: 'namespace_create', state: 'started' });
+      addEvent('phase', { phase: 'namespace_create', state: 'completed' });
+      const onEvents = jest.fn();
+
+      const stream = storeEventService.follow(STORE_ID, { afterId: 2, onEvents });
+      await stream.ready;
+
+      expect(onEvents.mock.calls.flat(2).map(e => e.id)).toEqual([3]);
+      stream.stop();
+    });
+
+    it('delivers events announced on the channel once, in order', async () => {
+      addEvent('status', { status: 'provisioning' });
+      const onEvents = jest.fn();
+      const stream = storeEventService.follow(STORE_ID, { onEvents });
+      await stream.ready;
+      await flush();
+      expect(listenClient.query).toHaveBeenCalledWith('LISTEN store_events');
+
+      const first = addEvent('phase', { phase: 'helm_install', state: 'started' });
+      const second = addEvent('phase', { phase: 'helm_install', state: 'completed' });
+      notify(first);
+      notify(second);
+      await flush();
+      await flush();
+
+      expect(onEvents.mock.calls.flat(2).map(e => e.id)).toEqual([1, 2, 3]);
+      stream.stop();
+    });
+
+    it('releases the connection when the last stream stops', async () => {
+      const stream = storeEventService.follow(STORE_ID, { onEvents: jest.fn() });
+      await stream.ready;
+      await flush();
+
+      stream.stop();
+
+      expect(listenClient.release).toHaveBeenCalledWith(true);
+    });
+  });
+
+  describe('closeAll', () => {
+    it('closes every open stream', async () => {
+      const onClose = jest.fn();
+      const stream = storeEventService.follow(STORE_ID, { onEvents: jest.fn(), onClose });
+      await stream.ready;
+
+      storeEventService.closeAll();
+
+      expect(onClose).toHaveBeenCalledTimes(1);
+    });
+  });
+});
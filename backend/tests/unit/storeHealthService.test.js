@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * Tests for services/storeHealthService.js — probe outcomes, the ready ⇄
+ * degraded thresholds and uptime. Database, registry, cluster and HTTP are
+ * mocked.
+ */
+
+jest.mock('http', () => ({ request: jest.fn() }));
+jest.mock('../../src/db/pool', () => ({ query: jest.fn() }));
+jest.mock('../../src/services/storeRegistry', () => ({ findAll: jest.fn(), update: jest.fn() }));
+jest.mock('../../src/services/kubernetesService', () => ({ checkPodsReady: jest.fn() }));
+jest.mock('../../src/services/auditService', () => ({ log: jest.fn() }));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const db = require('../../src/db/pool');
+const storeRegistry = require('../../src/services/storeRegistry');
+const kubernetesService = require('../../src/services/kubernetesService');
+const auditService = require('../../src/services/auditService');
+const storeHealthService = require('../../src/services/storeHealthService');
+
+const store = (overrides = {}) => ({
+  id: 'store-aaaaaaaa',
+  namespace: 'store-aaaaaaaa',
+  status: 'ready',
+  storefrontUrl: 'http://store-aaaaaaaa.localhost',
+  adminUrl: 'http://store-aaaaaaaa.localhost/wp-admin',
+  ...overrides,
+});
+
+// Each call answers the next queued status; an Error is emitted as a request error
+function respond(...outcomes) {
+  http.request.mockImplementation((url, options, onResponse) => {
+    const req = new EventEmitter();
+    req.destroy = (err) => req.emit('error', err);
+    req.end = () => {
+      const outcome = outcomes.length > 1 ? outcomes.shift() : outcomes[0];
+      process.nextTick(() => (outcome instanceof Error
+        ? req.emit('error', outcome)
+        : onResponse({ statusCode: outcome, resume: () => { } })));
+    };
+    return req;
+  });
+}
+
+const readyPods = { ready: true, total: 2, readyCount: 2, pods: [] };
+
+describe('Store Health Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('nextStatus', () => {
+    const thresholds = { failureThreshold: 3, recoveryThreshold: 2 };
+
+    it('degrades a ready store only after enough failed probes in a row', () => {
+      expect(storeHealthService.nextStatus('ready', [false, false, false], thresholds)).toBe('degraded');
+      expect(storeHealthService.nextStatus('ready', [false, false, true], thresholds)).toBeNull();
+      expect(storeHealthService.nextStatus('ready', [false, false], thresholds)).toBeNull();
+    });
+
+    it('recovers a degraded store after enough healthy probes in a row', () => {
+      expect(storeHealthService.nextStatus('degraded', [true, true, false], thresholds)).toBe('ready');
+      expect(storeHealthService.nextStatus('degraded', [true, false, false], thresholds)).toBeNull();
+    });
+
+    it('leaves other statuses alone', () => {
+      expect(storeHealthService.nextStatus('suspended', [false, false, false], thresholds)).toBeNull();
+    });
+  });
+
+  describe('probeStore', () => {
+    it('treats ready pods and non-5xx responses as healthy, redirects included', async () => {
+      kubernetesService.checkPodsReady.mockResolvedValue(readyPods);
+      respond(200, 302);
+
+      const probe = await storeHealthService.probeStore(store());
+
+      expect(http.request.mock.calls[0][0].href).toBe('http://store-aaaaaaaa.localhost/');
+      expect(probe).toMatchObject({
+        healthy: true, podsReady: 2, podsTotal: 2, storefrontStatus: 200, adminStatus: 302, error: null,
+      });
+    });
+
+    it('reports every failing check', async () => {
+      kubernetesService.checkPodsReady.mockResolvedValue({ ready: false, total: 2, readyCount: 1, pods: [] });
+      respond(503, Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+      const probe = await storeHealthService.probeStore(store());
+
+      expect(probe.healthy).toBe(false);
+      expect(probe.adminStatus).toBeNull();
+      expect(probe.error).toBe('1/2 pods ready; storefront returned HTTP 503; admin ECONNREFUSED');
+    });
+
+    it('counts a pod check that errors as a failed probe', async () => {
+      kubernetesService.checkPodsReady.mockRejectedValue(new Error('connection refused'));
+      respond(200);
+
+      const probe = await storeHealthService.probeStore(store({ adminUrl: null }));
+
+      expect(http.request).toHaveBeenCalledTimes(1);
+      expect(probe).toMatchObject({ healthy: false, error: 'pod check failed: connection refused' });
+    });
+  });
+
+  describe('probeAll', () => {
+    it('records the probe and degrades a store that keeps failing', async () => {
+      storeRegistry.findAll.mockResolvedValue([store()]);
+      storeRegistry.update.mockResolvedValue(store({ status: 'degraded' }));
+      kubernetesService.checkPodsReady.mockResolvedValue(readyPods);
+      respond(502);
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ healthy: false }, { healthy: false }, { healthy: false }] })
+        .mockResolvedValueOnce({ rowCount: 0 });
+
+      const result = await storeHealthService.probeAll();
+
+      expect(storeRegistry.findAll).toHaveBeenCalledWith({ status: ['ready', 'degraded'] });
+      expect(db.query.mock.calls[0][0]).toMatch(/INSERT INTO store_health_probes/);
+      expect(storeRegistry.update).toHaveBeenCalledWith('store-aaaaaaaa', expect.objectContaining({
+        status: 'degraded', degradedReason: 'storefront returned HTTP 502; admin returned HTTP 502',
+      }), { expectedStatus: 'ready' });
+      expect(auditService.log).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'status_change', previousStatus: 'ready', newStatus: 'degraded',
+      }));
+      expect(result).toEqual({ probed: 1, healthy: 0, degraded: 1, recovered: 0 });
+    });
+
+    it('clears the degraded reason when a store recovers', async () => {
+      storeRegistry.findAll.mockResolvedValue([store({ status: 'degraded' })]);
+      storeRegistry.update.mockResolvedValue(store());
+      kubernetesService.checkPodsReady.mockResolvedValue(readyPods);
+      respond(200);
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ healthy: true }, { healthy: true }, { healthy: false }] })
+        .mockResolvedValueOnce({ rowCount: 0 });
+
+      const result = await storeHealthService.probeAll();
+
+      expect(storeRegistry.update).toHaveBeenCalledWith('store-aaaaaaaa', {
+        status: 'ready', degradedAt: null, degradedReason: null,
+      }, { expectedStatus: 'degraded' });
+      expect(result.recovered).toBe(1);
+    });
+  });
+
+  describe('getStoreHealth', () => {
+    it('computes uptime over the window and returns the recent probes', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '8', healthy: '7' }] })
+        .mockResolvedValueOnce({
+          rows: [{
+            id: '42', healthy: false, pods_ready: 1, pods_total: 2, storefront_status: 503,
+            storefront_latency_ms: 120, admin_status: 200, admin_latency_ms: 80,
+            error: '1/2 pods ready', checked_at: '2026-03-01T12:00:00Z',
+          }],
+        });
+
+      const health = await storeHealthService.getStoreHealth(
+        store(), { hours: 24, limit: 10 }, new Date('2026-03-01T12:30:00Z')
+      );
+
+      expect(db.query.mock.calls[1][1]).toEqual(['store-aaaaaaaa', new Date('2026-02-28T12:30:00Z'), 10]);
+      expect(health).toMatchObject({ status: 'ready', uptimePercent: 87.5, probeCount: 8, healthyCount: 7 });
+      expect(health.lastProbe).toMatchObject({ id: 42, healthy: false, storefront: { status: 503, latencyMs: 120 } });
+    });
+
+    it('reports no uptime for a store that has not been probed', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '0', healthy: '0' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const health = await storeHealthService.getStoreHealth(store());
+
+      expect(health).toMatchObject({ uptimePercent: null, probeCount: 0, lastProbe: null, probes: [] });
+    });
+  });
+});
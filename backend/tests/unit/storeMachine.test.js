@@ -1,6 +1,9 @@
 'use strict';
 
-const { STATES, assertTransition, canDelete, canRetry, isTerminal, isActive } = require('../../src/models/storeMachine');
+const {
+  STATES, assertTransition, canDelete, canRetry, canRepair, canSuspend, canResume, canUpgrade, canRestore,
+  isTerminal, isActive, isInProgress,
+} = require('../../src/models/storeMachine');
 
 describe('Store State Machine', () => {
   describe('STATES', () => {
@@ -11,6 +14,12 @@ describe('Store State Machine', () => {
       expect(STATES.FAILED).toBe('failed');
       expect(STATES.DELETING).toBe('deleting');
       expect(STATES.DELETED).toBe('deleted');
+      expect(STATES.SUSPENDING).toBe('suspending');
+      expect(STATES.SUSPENDED).toBe('suspended');
+      expect(STATES.RESUMING).toBe('resuming');
+      expect(STATES.UPGRADING).toBe('upgrading');
+      expect(STATES.RESTORING).toBe('restoring');
+      expect(STATES.DEGRADED).toBe('degraded');
     });
   });
 
@@ -32,11 +41,60 @@ describe('Store State Machine', () => {
       expect(() => assertTransition('deleted', 'requested')).toThrow();
       expect(() => assertTransition('deleted', 'ready')).toThrow();
     });
+
+    it('allows the suspend/resume cycle', () => {
+      expect(() => assertTransition('ready', 'suspending')).not.toThrow();
+      expect(() => assertTransition('suspending', 'suspended')).not.toThrow();
+      expect(() => assertTransition('suspended', 'resuming')).not.toThrow();
+      expect(() => assertTransition('resuming', 'ready')).not.toThrow();
+      expect(() => assertTransition('suspended', 'deleting')).not.toThrow();
+      expect(() => assertTransition('suspending', 'failed')).not.toThrow();
+      expect(() => assertTransition('resuming', 'failed')).not.toThrow();
+    });
+
+    it('rejects shortcuts around the suspend/resume cycle', () => {
+      expect(() => assertTransition('ready', 'suspended')).toThrow();
+      expect(() => assertTransition('suspended', 'ready')).toThrow();
+      expect(() => assertTransition('provisioning', 'suspending')).toThrow();
+      expect(() => assertTransition('failed', 'resuming')).toThrow();
+    });
+
+    it('allows upgrades to finish ready (upgraded or rolled back) or failed', () => {
+      expect(() => assertTransition('ready', 'upgrading')).not.toThrow();
+      expect(() => assertTransition('upgrading', 'ready')).not.toThrow();
+      expect(() => assertTransition('upgrading', 'failed')).not.toThrow();
+      expect(() => assertTransition('suspended', 'upgrading')).toThrow();
+      expect(() => assertTransition('upgrading', 'deleting')).toThrow();
+    });
+
+    it('allows in-place restores from ready only', () => {
+      expect(() => assertTransition('ready', 'restoring')).not.toThrow();
+      expect(() => assertTransition('restoring', 'ready')).not.toThrow();
+      expect(() => assertTransition('restoring', 'failed')).not.toThrow();
+      expect(() => assertTransition('suspended', 'restoring')).toThrow();
+      expect(() => assertTransition('restoring', 'deleting')).toThrow();
+    });
+
+    it('lets drift repair send ready and suspended stores back to requested', () => {
+      expect(() => assertTransition('ready', 'requested')).not.toThrow();
+      expect(() => assertTransition('suspended', 'requested')).not.toThrow();
+      expect(() => assertTransition('upgrading', 'requested')).toThrow();
+    });
+
+    it('moves stores between ready and degraded on health probes', () => {
+      expect(() => assertTransition('ready', 'degraded')).not.toThrow();
+      expect(() => assertTransition('degraded', 'ready')).not.toThrow();
+      expect(() => assertTransition('degraded', 'suspending')).not.toThrow();
+      expect(() => assertTransition('degraded', 'requested')).not.toThrow();
+      expect(() => assertTransition('suspended', 'degraded')).toThrow();
+      expect(() => assertTransition('degraded', 'restoring')).toThrow();
+    });
   });
 
   describe('canDelete', () => {
-    it('allows deletion from ready and failed states', () => {
+    it('allows deletion from ready, degraded and failed states', () => {
       expect(canDelete('ready').allowed).toBe(true);
+      expect(canDelete('degraded').allowed).toBe(true);
       expect(canDelete('failed').allowed).toBe(true);
     });
 
@@ -45,6 +103,16 @@ describe('Store State Machine', () => {
       expect(canDelete('deleting').allowed).toBe(false);
     });
 
+    it('allows deletion of suspended stores but not mid-transition', () => {
+      expect(canDelete('suspended').allowed).toBe(true);
+      expect(canDelete('suspending').allowed).toBe(false);
+      expect(canDelete('resuming').allowed).toBe(false);
+    });
+
+    it('disallows deletion mid-upgrade', () => {
+      expect(canDelete('upgrading').allowed).toBe(false);
+    });
+
     it('provides a reason when disallowed', () => {
       const result = canDelete('provisioning');
       expect(result.reason).toBeDefined();
@@ -64,6 +132,71 @@ describe('Store State Machine', () => {
     });
   });
 
+  describe('canRepair', () => {
+    it('allows repair of ready, degraded and suspended stores only', () => {
+      expect(canRepair('ready').allowed).toBe(true);
+      expect(canRepair('degraded').allowed).toBe(true);
+      expect(canRepair('suspended').allowed).toBe(true);
+      expect(canRepair('failed').allowed).toBe(false);
+      expect(canRepair('upgrading').allowed).toBe(false);
+    });
+  });
+
+  describe('canSuspend', () => {
+    it('allows suspension from ready and degraded states only', () => {
+      expect(canSuspend('ready').allowed).toBe(true);
+      expect(canSuspend('degraded').allowed).toBe(true);
+      expect(canSuspend('provisioning').allowed).toBe(false);
+      expect(canSuspend('failed').allowed).toBe(false);
+    });
+
+    it('reports already-suspended stores', () => {
+      expect(canSuspend('suspended').reason).toMatch(/already suspended/);
+      expect(canSuspend('suspending').allowed).toBe(false);
+    });
+  });
+
+  describe('canResume', () => {
+    it('allows resume from suspended state only', () => {
+      expect(canResume('suspended').allowed).toBe(true);
+      expect(canResume('ready').allowed).toBe(false);
+      expect(canResume('suspending').allowed).toBe(false);
+    });
+  });
+
+  describe('canUpgrade', () => {
+    it('allows upgrade from ready and degraded states only', () => {
+      expect(canUpgrade('ready').allowed).toBe(true);
+      expect(canUpgrade('degraded').allowed).toBe(true);
+      expect(canUpgrade('suspended').allowed).toBe(false);
+      expect(canUpgrade('failed').allowed).toBe(false);
+    });
+
+    it('reports upgrades already in progress', () => {
+      expect(canUpgrade('upgrading').reason).toMatch(/already being upgraded/);
+    });
+  });
+
+  describe('canRestore', () => {
+    it('allows restore from ready state only', () => {
+      expect(canRestore('ready').allowed).toBe(true);
+      expect(canRestore('suspended').allowed).toBe(false);
+      expect(canRestore('degraded').allowed).toBe(false);
+      expect(canRestore('restoring').reason).toMatch(/already being restored/);
+      expect(canDelete('restoring').allowed).toBe(false);
+    });
+  });
+
+  describe('isInProgress', () => {
+    it('treats suspending and resuming as recoverable work', () => {
+      expect(isInProgress('suspending')).toBe(true);
+      expect(isInProgress('resuming')).toBe(true);
+      expect(isInProgress('suspended')).toBe(false);
+      expect(isInProgress('upgrading')).toBe(true);
+      expect(isInProgress('restoring')).toBe(true);
+    });
+  });
+
   describe('isTerminal', () => {
     it('returns true for deleted state', () => {
       expect(isTerminal('deleted')).toBe(true);
@@ -81,6 +214,8 @@ describe('Store State Machine', () => {
       expect(isActive('requested')).toBe(true);
       expect(isActive('provisioning')).toBe(true);
       expect(isActive('ready')).toBe(true);
+      expect(isActive('suspended')).toBe(true);
+      expect(isActive('degraded')).toBe(true);
     });
 
     it('returns false for inactive states', () => {
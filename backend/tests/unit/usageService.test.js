@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Tests for services/usageService.js — hour bucketing, report ranges, billable
+ * units and collection. I/O dependencies are mocked.
+ */
+
+jest.mock('../../src/db/pool', () => ({ query: jest.fn() }));
+jest.mock('../../src/services/storeRegistry', () => ({ findAll: jest.fn() }));
+jest.mock('../../src/services/kubernetesService', () => ({ getNamespaceUsage: jest.fn() }));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const db = require('../../src/db/pool');
+const storeRegistry = require('../../src/services/storeRegistry');
+const kubernetesService = require('../../src/services/kubernetesService');
+const {
+  hourBucket,
+  resolveRange,
+  toUnits,
+  toCsv,
+  collectAll,
+} = require('../../src/services/usageService');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('Usage Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('hourBucket', () => {
+    it('truncates to the start of the UTC hour', () => {
+      expect(hourBucket(new Date('2026-03-04T10:59:59.999Z')).toISOString()).toBe('2026-03-04T10:00:00.000Z');
+    });
+  });
+
+  describe('resolveRange', () => {
+    it('defaults to the current month so far', () => {
+      const now = new Date('2026-03-17T08:30:00Z');
+      const range = resolveRange({}, now);
+      expect(range.from.toISOString()).toBe('2026-03-01T00:00:00.000Z');
+      expect(range.to).toBe(now);
+    });
+
+    it('rejects an empty range', () => {
+      const at = new Date('2026-03-01T00:00:00Z');
+      expect(() => resolveRange({ from: at, to: at })).toThrow(ValidationError);
+    });
+  });
+
+  describe('toUnits', () => {
+    it('converts summed samples to core-hours and GiB-hours', () => {
+      expect(toUnits({
+        hours: '3',
+        cpu_sum: '1500',
+        memory_sum: String(3 * 2 ** 30),
+        storage_sum: String(2 ** 29),
+      })).toEqual({ hours: 3, cpuCoreHours: 1.5, memoryGibHours: 3, storageGibHours: 0.5 });
+    });
+  });
+
+  describe('toCsv', () => {
+    it('writes a header row and quotes fields that need it', () => {
+      const csv = toCsv([{ storeId: 'store-1', storeName: 'a,"b"', plan: 'small', hours: 2 }]);
+      const [header, row] = csv.split('\r\n');
+      expect(header.startsWith('storeId,storeName,ownerId,ownerEmail,plan,hours')).toBe(true);
+      expect(row.startsWith('store-1,"a,""b""",,,small,2')).toBe(true);
+    });
+  });
+
+  describe('collectAll', () => {
+    it('samples stores with a namespace and skips the rest', async () => {
+      storeRegistry.findAll.mockResolvedValue([
+        { id: 'store-a', status: 'ready', namespace: 'store-a', ownerId: 'u1', plan: 'small' },
+        { id: 'store-b', status: 'requested', namespace: 'store-b', ownerId: 'u1', plan: 'small' },
+        { id: 'store-c', status: 'suspended', namespace: 'store-c', ownerId: 'u2', plan: 'large' },
+      ]);
+      kubernetesService.getNamespaceUsage
+        .mockResolvedValueOnce({ cpuMillicores: 250, memoryBytes: 1024, storageBytes: 2048, pods: 2, source: 'metrics' })
+        .mockResolvedValueOnce(null);
+      db.query.mockResolvedValue({ rowCount: 0, rows: [] });
+
+      const result = await collectAll();
+
+      expect(result).toEqual({ sampled: 1, skipped: 2, failed: 0 });
+      expect(kubernetesService.getNamespaceUsage).toHaveBeenCalledTimes(2);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT (store_id, hour)');
+      expect(params.slice(0, 3)).toEqual(['store-a', 'u1', 'small']);
+    });
+
+    it('keeps going when one store fails', async () => {
+      storeRegistry.findAll.mockResolvedValue([
+        { id: 'store-a', status: 'ready', namespace: 'store-a', ownerId: 'u1', plan: 'small' },
+        { id: 'store-b', status: 'ready', namespace: 'store-b', ownerId: 'u1', plan: 'small' },
+      ]);
+      kubernetesService.getNamespaceUsage
+        .mockRejectedValueOnce(new Error('api down'))
+        .mockResolvedValueOnce({ cpuMillicores: 0, memoryBytes: 0, storageBytes: 0, pods: 0, source: 'quota' });
+      db.query.mockResolvedValue({ rowCount: 0, rows: [] });
+
+      expect(await collectAll()).toEqual({ sampled: 1, skipped: 0, failed: 1 });
+    });
+  });
+});
@@ -6,11 +6,31 @@ const Joi = require('joi');
 const {
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  userStatusSchema,
   createStoreSchema,
   listStoresSchema,
   storeIdSchema,
+  suspendStoreSchema,
+  upgradeStoreSchema,
+  changePlanSchema,
+  restoreStoreSchema,
+  cloneStoreSchema,
   logsQuerySchema,
   auditQuerySchema,
+  backupIdSchema,
+  backupRetentionSchema,
+  rotateCredentialsSchema,
+  credentialRotationPolicySchema,
+  createApiKeySchema,
+  addDomainSchema,
+  domainIdSchema,
+  storeUsageSchema,
+  usageRollupSchema,
+  generateInvoicesSchema,
+  listInvoicesSchema,
+  createRolloutSchema,
+  rolloutIdSchema,
 } = require('../../src/middleware/validators');
 
 describe('Validation Schemas', () => {
@@ -91,6 +111,22 @@ describe('Validation Schemas', () => {
     });
   });
 
+  // ─── Session Schemas ──────────────────────────────────────────────────
+  describe('refreshTokenSchema', () => {
+    it('requires a refresh token', () => {
+      expect(refreshTokenSchema.validate({}).error).toBeDefined();
+      expect(refreshTokenSchema.validate({ refreshToken: 'x'.repeat(43) }).error).toBeUndefined();
+    });
+  });
+
+  describe('userStatusSchema', () => {
+    it('requires a boolean isActive', () => {
+      expect(userStatusSchema.validate({ isActive: false }).error).toBeUndefined();
+      expect(userStatusSchema.validate({}).error).toBeDefined();
+      expect(userStatusSchema.validate({ isActive: 'maybe' }).error).toBeDefined();
+    });
+  });
+
   // ─── Create Store Schema ──────────────────────────────────────────────
   describe('createStoreSchema', () => {
     it('accepts valid store name', () => {
@@ -178,6 +214,25 @@ describe('Validation Schemas', () => {
       expect(value.ownerId).toBeUndefined();
     });
 
+    it('accepts a backupId to seed the store from', () => {
+      const { error, value } = createStoreSchema.validate({
+        name: 'restored-store',
+        engine: 'woocommerce',
+        backupId: '3f2b8c1e-5d4a-4e2b-9c7f-1a2b3c4d5e6f',
+      });
+      expect(error).toBeUndefined();
+      expect(value.backupId).toBe('3f2b8c1e-5d4a-4e2b-9c7f-1a2b3c4d5e6f');
+    });
+
+    it('rejects a malformed backupId', () => {
+      const { error } = createStoreSchema.validate({
+        name: 'restored-store',
+        engine: 'woocommerce',
+        backupId: 'latest',
+      });
+      expect(error).toBeDefined();
+    });
+
     it('accepts medusa engine', () => {
       const { error } = createStoreSchema.validate({
         name: 'medusa-store',
@@ -266,6 +321,80 @@ describe('Validation Schemas', () => {
       });
       expect(error).toBeDefined();
     });
+
+    it('accepts suspension states as filters', () => {
+      for (const status of ['suspending', 'suspended', 'resuming']) {
+        const { error } = listStoresSchema.validate({ status });
+        expect(error).toBeUndefined();
+      }
+    });
+  });
+
+  // ─── Suspend Store Schema ─────────────────────────────────────────────
+  describe('suspendStoreSchema', () => {
+    it('accepts an empty body', () => {
+      const { error } = suspendStoreSchema.validate({});
+      expect(error).toBeUndefined();
+    });
+
+    it('trims the reason', () => {
+      const { value } = suspendStoreSchema.validate({ reason: '  unpaid invoice  ' });
+      expect(value.reason).toBe('unpaid invoice');
+    });
+
+    it('rejects overly long reasons', () => {
+      const { error } = suspendStoreSchema.validate({ reason: 'x'.repeat(501) });
+      expect(error).toBeDefined();
+    });
+  });
+
+  // ─── Upgrade Store Schema ─────────────────────────────────────────────
+  describe('upgradeStoreSchema', () => {
+    it('accepts an empty body', () => {
+      const { error } = upgradeStoreSchema.validate({});
+      expect(error).toBeUndefined();
+    });
+
+    it('strips helm value overrides', () => {
+      const { value } = upgradeStoreSchema.validate({ reason: 'image fix', setValues: { 'image.tag': 'x' } });
+      expect(value.setValues).toBeUndefined();
+    });
+  });
+
+  describe('changePlanSchema', () => {
+    it('accepts a known plan', () => {
+      expect(changePlanSchema.validate({ plan: 'large' }).error).toBeUndefined();
+    });
+
+    it('rejects unknown or missing plans', () => {
+      expect(changePlanSchema.validate({ plan: 'xl' }).error.message).toContain('small, medium, large');
+      expect(changePlanSchema.validate({}).error).toBeDefined();
+    });
+  });
+
+  describe('restoreStoreSchema', () => {
+    it('requires a backupId', () => {
+      const { error } = restoreStoreSchema.validate({});
+      expect(error).toBeDefined();
+    });
+
+    it('accepts a backup UUID', () => {
+      const { error } = restoreStoreSchema.validate({ backupId: '3f2b8c1e-5d4a-4e2b-9c7f-1a2b3c4d5e6f' });
+      expect(error).toBeUndefined();
+    });
+  });
+
+  describe('cloneStoreSchema', () => {
+    it('accepts an empty body (default clone name)', () => {
+      const { error } = cloneStoreSchema.validate({});
+      expect(error).toBeUndefined();
+    });
+
+    it('applies store name rules to a custom name', () => {
+      expect(cloneStoreSchema.validate({ name: 'shop-staging' }).error).toBeUndefined();
+      expect(cloneStoreSchema.validate({ name: 'Shop_Staging' }).error).toBeDefined();
+      expect(cloneStoreSchema.validate({ name: 'admin' }).error).toBeDefined();
+    });
   });
 
   // ─── Store ID Schema ──────────────────────────────────────────────────
@@ -320,6 +449,179 @@ describe('Validation Schemas', () => {
     });
   });
 
+  // ─── Backup Schemas ───────────────────────────────────────────────────
+  describe('backupIdSchema', () => {
+    it('requires a store ID and a backup UUID', () => {
+      expect(backupIdSchema.validate({
+        id: 'store-a1b2c3d4',
+        backupId: 'b6f1c1de-4c1e-4d8f-9a55-2f3a1c9e7d10',
+      }).error).toBeUndefined();
+      expect(backupIdSchema.validate({ id: 'store-a1b2c3d4', backupId: 'latest' }).error).toBeDefined();
+    });
+  });
+
+  describe('backupRetentionSchema', () => {
+    it('accepts null to reset to the platform default', () => {
+      const { error, value } = backupRetentionSchema.validate({ keepLast: null, maxAgeDays: 14 });
+      expect(error).toBeUndefined();
+      expect(value.keepLast).toBeNull();
+    });
+
+    it('requires at least one setting', () => {
+      const { error } = backupRetentionSchema.validate({});
+      expect(error).toBeDefined();
+    });
+
+    it('rejects keeping zero backups', () => {
+      const { error } = backupRetentionSchema.validate({ keepLast: 0 });
+      expect(error).toBeDefined();
+    });
+  });
+
+  // ─── Credential Schemas ───────────────────────────────────────────────
+  describe('rotateCredentialsSchema', () => {
+    it('rotates the database password by default', () => {
+      const { error, value } = rotateCredentialsSchema.validate({});
+      expect(error).toBeUndefined();
+      expect(value.database).toBe(true);
+    });
+
+    it('rejects short passwords', () => {
+      const { error } = rotateCredentialsSchema.validate({ password: 'short' });
+      expect(error).toBeDefined();
+    });
+  });
+
+  describe('credentialRotationPolicySchema', () => {
+    it('accepts null to turn scheduled rotation off', () => {
+      const { error, value } = credentialRotationPolicySchema.validate({ intervalDays: null });
+      expect(error).toBeUndefined();
+      expect(value.intervalDays).toBeNull();
+    });
+
+    it('requires intervalDays', () => {
+      const { error } = credentialRotationPolicySchema.validate({});
+      expect(error).toBeDefined();
+    });
+  });
+
+  // ─── API Key Schemas ──────────────────────────────────────────────────
+  describe('createApiKeySchema', () => {
+    it('expires keys after 90 days by default', () => {
+      const { error, value } = createApiKeySchema.validate({ name: ' ci ', scopes: ['stores:read'] });
+      expect(error).toBeUndefined();
+      expect(value).toEqual({ name: 'ci', scopes: ['stores:read'], expiresInDays: 90 });
+    });
+
+    it('rejects unknown scopes', () => {
+      const { error } = createApiKeySchema.validate({ name: 'ci', scopes: ['billing:read'] });
+      expect(error).toBeDefined();
+    });
+  });
+
+  // ─── Domain Schemas ───────────────────────────────────────────────────
+  describe('addDomainSchema', () => {
+    it('lowercases and trims the hostname', () => {
+      const { error, value } = addDomainSchema.validate({ hostname: '  Shop.Example.COM ' });
+      expect(error).toBeUndefined();
+      expect(value.hostname).toBe('shop.example.com');
+    });
+
+    it.each(['localhost', '1.2.3.4', '*.example.com', 'shop_1.example.com', 'example.com.'])(
+      'rejects %s',
+      (hostname) => {
+        expect(addDomainSchema.validate({ hostname }).error).toBeDefined();
+      }
+    );
+  });
+
+  describe('domainIdSchema', () => {
+    it('requires a store ID and a domain UUID', () => {
+      expect(domainIdSchema.validate({
+        id: 'store-a1b2c3d4',
+        domainId: 'b6f1c1de-4c1e-4d8f-9a55-2f3a1c9e7d10',
+      }).error).toBeUndefined();
+      expect(domainIdSchema.validate({ id: 'store-a1b2c3d4', domainId: 'shop.example.com' }).error).toBeDefined();
+    });
+  });
+
+  // ─── Usage Schemas ────────────────────────────────────────────────────
+  describe('storeUsageSchema', () => {
+    it('defaults to hourly samples with an open range', () => {
+      const { error, value } = storeUsageSchema.validate({});
+      expect(error).toBeUndefined();
+      expect(value.granularity).toBe('hour');
+    });
+
+    it('rejects a range that ends before it starts', () => {
+      const { error } = storeUsageSchema.validate({ from: '2026-03-02', to: '2026-03-01' });
+      expect(error).toBeDefined();
+    });
+
+    it('rejects unknown granularities', () => {
+      expect(storeUsageSchema.validate({ granularity: 'minute' }).error).toBeDefined();
+    });
+  });
+
+  describe('usageRollupSchema', () => {
+    it('accepts CSV export with an owner filter', () => {
+      const { error, value } = usageRollupSchema.validate({ format: 'csv', ownerId: 'u1', to: '2026-03-01' });
+      expect(error).toBeUndefined();
+      expect(value.to).toBeInstanceOf(Date);
+    });
+
+    it('rejects other formats', () => {
+      expect(usageRollupSchema.validate({ format: 'xml' }).error).toBeDefined();
+    });
+  });
+
+  // ─── Billing Schemas ──────────────────────────────────────────────────
+  describe('generateInvoicesSchema', () => {
+    it('requires a YYYY-MM period and defaults to drafts', () => {
+      const { error, value } = generateInvoicesSchema.validate({ period: '2026-03' });
+      expect(error).toBeUndefined();
+      expect(value.finalize).toBe(false);
+      expect(generateInvoicesSchema.validate({}).error).toBeDefined();
+      expect(generateInvoicesSchema.validate({ period: '2026-13' }).error).toBeDefined();
+    });
+  });
+
+  describe('listInvoicesSchema', () => {
+    it('rejects unknown invoice statuses', () => {
+      expect(listInvoicesSchema.validate({ status: 'open' }).error).toBeUndefined();
+      expect(listInvoicesSchema.validate({ status: 'overdue' }).error).toBeDefined();
+    });
+  });
+
+  // ─── Fleet Rollout Schemas ────────────────────────────────────────────
+  describe('createRolloutSchema', () => {
+    it('applies canary-first defaults', () => {
+      const { error, value } = createRolloutSchema.validate({});
+      expect(error).toBeUndefined();
+      expect(value.status).toBe('ready');
+      expect(value.canarySize).toBe(1);
+      expect(value.waveSize).toBe(5);
+      expect(value.maxFailureRate).toBe(0.2);
+    });
+
+    it('rejects a failure rate above 1', () => {
+      const { error } = createRolloutSchema.validate({ maxFailureRate: 1.5 });
+      expect(error).toBeDefined();
+    });
+
+    it('rejects a zero-sized wave', () => {
+      const { error } = createRolloutSchema.validate({ waveSize: 0 });
+      expect(error).toBeDefined();
+    });
+  });
+
+  describe('rolloutIdSchema', () => {
+    it('requires a UUID', () => {
+      expect(rolloutIdSchema.validate({ id: 'b6f1c1de-4c1e-4d8f-9a55-2f3a1c9e7d10' }).error).toBeUndefined();
+      expect(rolloutIdSchema.validate({ id: 'rollout-1' }).error).toBeDefined();
+    });
+  });
+
   // ─── Profanity Filter ─────────────────────────────────────────────────
   describe('profanity filter', () => {
     it('rejects store names containing profanity', () => {
@@ -0,0 +1,294 @@
+'use strict';
+
+/**
+ * Tests for services/webhookService.js — event mapping, signing, delivery
+ * retries, replay and internal address checks. Database, DNS and HTTP are
+ * mocked; retries run without delays.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const { EventEmitter } = require('events');
+
+jest.mock('http', () => ({ request: jest.fn() }));
+jest.mock('../../src/db/pool', () => ({ query: jest.fn() }));
+jest.mock('../../src/utils/retry', () => ({
+  retryWithBackoff: async (fn, { maxRetries, shouldRetry }) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (err) {
+        if (attempt >= maxRetries || !shouldRetry(err, attempt)) throw err;
+      }
+    }
+  },
+}));
+jest.mock('../../src/utils/logger', () => {
+  const noop = () => { };
+  const childLogger = { info: noop, warn: noop, error: noop, debug: noop };
+  return { child: () => childLogger, info: noop, warn: noop, error: noop, debug: noop };
+});
+
+const http = require('http');
+const db = require('../../src/db/pool');
+const webhookService = require('../../src/services/webhookService');
+
+const ENDPOINT_ID = '5f0c7a3e-2b1d-4c8e-9f6a-1d2e3f4a5b6c';
+const DELIVERY_ID = '8a9b0c1d-2e3f-4a5b-8c7d-9e0f1a2b3c4d';
+const endpoint = { id: ENDPOINT_ID, url: 'http://hooks.example.com/ecommerce', secret: 'whsec_test', events: ['status_change'] };
+const delivery = { id: DELIVERY_ID, event: 'status_change', payload: { id: 'evt', event: 'status_change' } };
+
+// Each request answers the next queued status; an Error is emitted as a request error
+function respond(...outcomes) {
+  const requests = [];
+  http.request.mockImplementation((url, options, onResponse) => {
+    const req = new EventEmitter();
+    req.destroy = (err) => req.emit('error', err);
+    req.end = (body) => {
+      requests.push({ url: url.href, headers: options.headers, body });
+      const outcome = outcomes.length > 1 ? outcomes.shift() : outcomes[0];
+      process.nextTick(() => {
+        if (outcome instanceof Error) return req.emit('error', outcome);
+        const res = new EventEmitter();
+        res.resume = () => res;
+        res.statusCode = outcome;
+        onResponse(res);
+        res.emit('end');
+      });
+    };
+    return req;
+  });
+  return requests;
+}
+
+describe('Webhook Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [{ id: DELIVERY_ID, status: 'succeeded' }], rowCount: 1 });
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('eventsForAudit', () => {
+    it('maps store lifecycle and security audit events to webhook events', () => {
+      expect(webhookService.eventsForAudit({ eventType: 'store_created', storeId: 's' })).toEqual(['store_created']);
+      expect(webhookService.eventsForAudit({ eventType: 'security' })).toEqual(['security']);
+      expect(webhookService.eventsForAudit({ eventType: 'action_required', storeId: 's' })).toEqual(['action_required']);
+      expect(webhookService.eventsForAudit({
+        eventType: 'status_change', storeId: 's', previousStatus: 'ready', newStatus: 'suspending',
+      })).toEqual(['status_change']);
+      expect(webhookService.eventsForAudit({
+        eventType: 'status_change', storeId: 's', previousStatus: 'deleting', newStatus: 'deleted',
+      })).toEqual(['status_change', 'store_deleted']);
+    });
+
+    it('treats failures audited as errors as status changes', () => {
+      expect(webhookService.eventsForAudit({
+        eventType: 'error', storeId: 's', previousStatus: 'provisioning', newStatus: 'failed',
+      })).toEqual(['status_change', 'provisioning_failed']);
+      expect(webhookService.eventsForAudit({
+        eventType: 'error', storeId: 's', previousStatus: 'upgrading', newStatus: 'failed',
+      })).toEqual(['status_change']);
+      expect(webhookService.eventsForAudit({ eventType: 'backup', storeId: 's', message: 'done' })).toEqual([]);
+    });
+  });
+
+  describe('createEndpoint', () => {
+    it('returns a generated secret', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: ENDPOINT_ID, owner_id: 'user-1', events: ['status_change'] }] });
+
+      const { endpoint: created, secret } = await webhookService.createEndpoint({
+        ownerId: 'user-1', isAdmin: false, url: endpoint.url, events: ['status_change'],
+      });
+
+      expect(created.id).toBe(ENDPOINT_ID);
+      expect(secret).toMatch(/^whsec_[a-f0-9]{48}$/);
+      expect(db.query.mock.calls[0][1][4]).toBe(secret);
+    });
+
+    it('only lets admins subscribe to security events', async () => {
+      await expect(webhookService.createEndpoint({
+        ownerId: 'user-1', isAdmin: false, url: endpoint.url, events: ['security'],
+      })).rejects.toMatchObject({ statusCode: 400 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['loopback', 'http://localhost:5432/', [{ address: '127.0.0.1', family: 4 }]],
+      ['cloud metadata', 'http://169.254.169.254/latest/meta-data', null],
+      ['cluster service', 'http://postgres.default.svc:5432/', [{ address: '10.96.0.12', family: 4 }]],
+      ['IPv6 unique-local', 'http://[fd00::1]/', null],
+      ['6to4', 'http://[2002:7f00:1::]/', null],
+      ['mixed public and private', 'https://hooks.example.com/', [
+        { address: '93.184.216.34', family: 4 }, { address: '192.168.1.5', family: 4 },
+      ]],
+    ])('refuses URLs reaching a %s address', async (_kind, url, addresses) => {
+      if (addresses) dns.promises.lookup.mockResolvedValue(addresses);
+
+      await expect(webhookService.createEndpoint({
+        ownerId: 'user-1', isAdmin: false, url, events: ['status_change'],
+      })).rejects.toMatchObject({ statusCode: 400, message: 'Webhook URL must point to a public address.' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateEndpoint', () => {
+    it('checks a changed URL before saving it', async () => {
+      dns.promises.lookup.mockResolvedValue([{ address: '::ffff:127.0.0.1', family: 6 }]);
+
+      await expect(webhookService.updateEndpoint(ENDPOINT_ID, { url: 'http://rebound.example.com/' }, { isAdmin: true }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isPublicAddress', () => {
+    it('allows public addresses only', () => {
+      expect(webhookService.isPublicAddress('93.184.216.34')).toBe(true);
+      expect(webhookService.isPublicAddress('2606:4700::1111')).toBe(true);
+      expect(webhookService.isPublicAddress('100.64.0.1')).toBe(false);
+      expect(webhookService.isPublicAddress('172.20.0.1')).toBe(false);
+      expect(webhookService.isPublicAddress('::1')).toBe(false);
+      expect(webhookService.isPublicAddress('fe80::1')).toBe(false);
+    });
+  });
+
+  describe('deliver', () => {
+    it('signs the body with the endpoint secret and timestamp', async () => {
+      const requests = respond(200);
+
+      const result = await webhookService.deliver(delivery, endpoint);
+
+      const { headers, body } = requests[0];
+      const expected = crypto.createHmac('sha256', 'whsec_test')
+        .update(`${headers['X-Webhook-Timestamp']}.${body}`).digest('hex');
+      expect(headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+      expect(headers['X-Webhook-Id']).toBe(DELIVERY_ID);
+      expect(JSON.parse(body)).toEqual(delivery.payload);
+      expect(result.status).toBe('succeeded');
+    });
+
+    it('retries server errors and records every attempt', async () => {
+      const requests = respond(503, new Error('socket hang up'), 200);
+
+      await webhookService.deliver(delivery, endpoint);
+
+      expect(requests).toHaveLength(3);
+      const attempts = db.query.mock.calls.filter(([sql]) => sql.includes('attempts = $2'));
+      expect(attempts.map(([, params]) => [params[1], params[2], params[3]])).toEqual([
+        [1, 503, 'Endpoint responded with HTTP 503'],
+        [2, null, 'socket hang up'],
+        [3, 200, null],
+      ]);
+      expect(db.query.mock.calls.at(-1)[1].slice(0, 3)).toEqual([DELIVERY_ID, 'succeeded', null]);
+    });
+
+    it('gives up at once when the receiver rejects the payload', async () => {
+      const requests = respond(400);
+
+      await webhookService.deliver(delivery, endpoint);
+
+      expect(requests).toHaveLength(1);
+      expect(db.query.mock.calls.at(-1)[1].slice(0, 3)).toEqual([
+        DELIVERY_ID, 'failed', 'Endpoint responded with HTTP 400',
+      ]);
+    });
+
+    it('refuses to connect to an internal address', async () => {
+      const requests = respond(200);
+
+      await webhookService.deliver(delivery, { ...endpoint, url: 'http://127.0.0.1:8080/hook' });
+
+      expect(requests).toHaveLength(0);
+      expect(db.query.mock.calls.filter(([sql]) => sql.includes('attempts = $2'))).toHaveLength(1);
+      expect(db.query.mock.calls.at(-1)[1].slice(0, 3)).toEqual([
+        DELIVERY_ID, 'failed', '127.0.0.1 is an address webhooks may not reach',
+      ]);
+    });
+
+    it('checks the address each request connects to', async () => {
+      respond(200);
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: '10.0.0.7', family: 4 }]);
+      });
+
+      await webhookService.deliver(delivery, endpoint);
+
+      const { lookup } = http.request.mock.calls[0][1];
+      const callback = jest.fn();
+      lookup('hooks.example.com', {}, callback);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'hooks.example.com resolves to 10.0.0.7, which webhooks may not reach',
+      }));
+    });
+
+    it('does not keep the response body', async () => {
+      respond(200);
+
+      await webhookService.deliver(delivery, endpoint);
+
+      const [sql] = db.query.mock.calls.find(([text]) => text.includes('attempts = $2'));
+      expect(sql).not.toContain('response_body');
+    });
+  });
+
+  describe('dispatch', () => {
+    it('names each delivery after the most specific event its endpoint subscribed to', async () => {
+      respond(200);
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { ...endpoint, id: 'endpoint-a', events: ['status_change'] },
+          { ...endpoint, id: 'endpoint-b', events: ['status_change', 'provisioning_failed'] },
+        ],
+      });
+
+      const queued = await webhookService.dispatch({
+        eventType: 'error', storeId: 'store-aaaaaaaa', previousStatus: 'provisioning', newStatus: 'failed',
+        message: 'Provisioning failed: helm timeout',
+      });
+
+      expect(queued).toBe(2);
+      expect(db.query.mock.calls[0][1]).toEqual([['status_change', 'provisioning_failed'], 'store-aaaaaaaa']);
+      const inserts = db.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO webhook_deliveries'));
+      expect(inserts.map(([, params]) => [params[0], params[1]])).toEqual([
+        ['endpoint-a', 'status_change'],
+        ['endpoint-b', 'provisioning_failed'],
+      ]);
+      // One event ID across endpoints, so receivers can deduplicate
+      const [first, second] = inserts.map(([, params]) => JSON.parse(params[2]));
+      expect(first.id).toBe(second.id);
+      expect(second.data).toMatchObject({ previousStatus: 'provisioning', newStatus: 'failed' });
+    });
+
+    it('never throws when the lookup fails', async () => {
+      db.query.mockRejectedValueOnce(new Error('connection terminated'));
+
+      await expect(webhookService.dispatch({ eventType: 'security', metadata: { action: 'login_failed' } }))
+        .resolves.toBe(0);
+    });
+  });
+
+  describe('replayDelivery', () => {
+    it('queues a new delivery with the original payload', async () => {
+      respond(200);
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: DELIVERY_ID, event: 'status_change', payload: delivery.payload, url: endpoint.url, secret: 'whsec_test' }],
+      });
+
+      await webhookService.replayDelivery(ENDPOINT_ID, DELIVERY_ID);
+
+      expect(db.query.mock.calls[1][1]).toEqual([
+        ENDPOINT_ID, 'status_change', JSON.stringify(delivery.payload), DELIVERY_ID,
+      ]);
+    });
+
+    it('rejects deliveries of another endpoint', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(webhookService.replayDelivery(ENDPOINT_ID, DELIVERY_ID)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -23,6 +23,9 @@ export default [
                 setInterval: 'readonly',
                 clearInterval: 'readonly',
                 URL: 'readonly',
+                AbortController: 'readonly',
+                TextDecoderStream: 'readonly',
+                URLSearchParams: 'readonly',
             },
         },
         plugins: {
@@ -9,6 +9,9 @@ import StoreList from './pages/StoreList';
 import CreateStore from './pages/CreateStore';
 import StoreDetail from './pages/StoreDetail';
 import AuditLog from './pages/AuditLog';
+import ApiKeys from './pages/ApiKeys';
+import Sessions from './pages/Sessions';
+import FleetRollouts from './pages/FleetRollouts';
 import NotFound from './pages/NotFound';
 
 function ProtectedRoute({ children }) {
@@ -63,6 +66,9 @@ export default function App() {
         <Route path="/stores/new" element={<CreateStore />} />
         <Route path="/stores/:id" element={<StoreDetail />} />
         <Route path="/audit" element={<AuditLog />} />
+        <Route path="/api-keys" element={<ApiKeys />} />
+        <Route path="/sessions" element={<Sessions />} />
+        <Route path="/fleet" element={<FleetRollouts />} />
       </Route>
 
       {/* Redirects & fallback */}
@@ -0,0 +1,295 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { storesApi } from '../services/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { DatabaseBackup, Trash2, Settings2, History, CopyPlus } from 'lucide-react';
+import { toast } from 'sonner';
+import { formatBytes, formatDate } from '../lib/utils';
+
+const BACKUP_VARIANTS = {
+  running: 'warning',
+  completed: 'success',
+  failed: 'destructive',
+};
+
+/**
+ * Backups card for the store detail page — list, start, restore and delete
+ * database backups, start a new store from one, and edit the store's
+ * retention policy.
+ */
+export default function StoreBackups({ storeId, storeStatus, engine }) {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [editingRetention, setEditingRetention] = useState(false);
+  const [retentionForm, setRetentionForm] = useState({ keepLast: '', maxAgeDays: '' });
+  const [restoreTarget, setRestoreTarget] = useState(null);
+
+  const { data: backupsData } = useQuery({
+    queryKey: ['store-backups', storeId],
+    queryFn: () => storesApi.listBackups(storeId, { limit: 20 }),
+    select: (res) => res.data,
+    refetchInterval: (query) => {
+      const backups = query.state.data?.data?.backups || [];
+      return backups.some((b) => b.status === 'running') ? 5000 : 30000;
+    },
+  });
+
+  const { data: retention } = useQuery({
+    queryKey: ['store-backup-retention', storeId],
+    queryFn: () => storesApi.getBackupRetention(storeId),
+    select: (res) => res.data.retention,
+  });
+
+  const backupMutation = useMutation({
+    mutationFn: () => storesApi.createBackup(storeId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['store-backups', storeId] });
+      toast.success('Backup started');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Backup failed');
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (backupId) => storesApi.deleteBackup(storeId, backupId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['store-backups', storeId] });
+      toast.success('Backup deleted');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Delete failed');
+    },
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: (backupId) => storesApi.restore(storeId, { backupId }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['store', storeId] });
+      queryClient.invalidateQueries({ queryKey: ['store-logs', storeId] });
+      setRestoreTarget(null);
+      toast.success('Restore started');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Restore failed');
+    },
+  });
+
+  const retentionMutation = useMutation({
+    mutationFn: () =>
+      storesApi.setBackupRetention(storeId, {
+        keepLast: retentionForm.keepLast === '' ? null : Number(retentionForm.keepLast),
+        maxAgeDays: retentionForm.maxAgeDays === '' ? null : Number(retentionForm.maxAgeDays),
+      }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['store-backup-retention', storeId] });
+      queryClient.invalidateQueries({ queryKey: ['store-backups', storeId] });
+      setEditingRetention(false);
+      toast.success('Retention updated');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Failed to update retention');
+    },
+  });
+
+  const backups = backupsData?.backups || [];
+  const hasRunning = backups.some((b) => b.status === 'running');
+
+  const openRetention = () => {
+    setRetentionForm({
+      keepLast: retention?.overrides?.keepLast ?? '',
+      maxAgeDays: retention?.overrides?.maxAgeDays ?? '',
+    });
+    setEditingRetention(true);
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle className="text-lg flex items-center gap-2">
+            <DatabaseBackup className="h-5 w-5" />
+            Backups
+          </CardTitle>
+          {retention && (
+            <CardDescription>
+              Keeping the last {retention.keepLast} backups, up to {retention.maxAgeDays} days
+            </CardDescription>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" onClick={openRetention} disabled={!retention}>
+            <Settings2 className="h-4 w-4 mr-2" />
+            Retention
+          </Button>
+          <Button
+            size="sm"
+            onClick={() => backupMutation.mutate()}
+            disabled={!['ready', 'degraded'].includes(storeStatus) || hasRunning || backupMutation.isPending}
+          >
+            <DatabaseBackup className="h-4 w-4 mr-2" />
+            {hasRunning ? 'Backing up…' : 'Back up now'}
+          </Button>
+        </div>
+      </CardHeader>
+
+      {editingRetention && (
+        <CardContent>
+          <form
+            className="grid gap-4 sm:grid-cols-3 items-end"
+            onSubmit={(e) => {
+              e.preventDefault();
+              retentionMutation.mutate();
+            }}
+          >
+            <div className="space-y-2">
+              <Label htmlFor="keepLast">Keep last</Label>
+              <Input
+                id="keepLast"
+                type="number"
+                min={1}
+                max={365}
+                placeholder={`Default (${retention.defaults.keepLast})`}
+                value={retentionForm.keepLast}
+                onChange={(e) => setRetentionForm({ ...retentionForm, keepLast: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="maxAgeDays">Max age (days)</Label>
+              <Input
+                id="maxAgeDays"
+                type="number"
+                min={1}
+                max={3650}
+                placeholder={`Default (${retention.defaults.maxAgeDays})`}
+                value={retentionForm.maxAgeDays}
+                onChange={(e) => setRetentionForm({ ...retentionForm, maxAgeDays: e.target.value })}
+              />
+            </div>
+            <div className="flex gap-2">
+              <Button type="submit" size="sm" disabled={retentionMutation.isPending}>
+                Save
+              </Button>
+              <Button type="button" variant="outline" size="sm" onClick={() => setEditingRetention(false)}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        </CardContent>
+      )}
+
+      <CardContent className="p-0">
+        {backups.length === 0 ? (
+          <p className="p-6 text-center text-muted-foreground">No backups yet.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Created</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Size</TableHead>
+                <TableHead className="hidden md:table-cell">Chart</TableHead>
+                <TableHead className="hidden md:table-cell">Checksum</TableHead>
+                <TableHead className="text-right" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {backups.map((backup) => (
+                <TableRow key={backup.id}>
+                  <TableCell className="text-xs text-muted-foreground whitespace-nowrap">
+                    {formatDate(backup.createdAt)}
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant={BACKUP_VARIANTS[backup.status] || 'outline'} className="text-xs">
+                      {backup.status}
+                    </Badge>
+                    {backup.error && (
+                      <p className="text-xs text-destructive max-w-xs truncate" title={backup.error}>
+                        {backup.error}
+                      </p>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-sm">{formatBytes(backup.sizeBytes)}</TableCell>
+                  <TableCell className="hidden md:table-cell text-xs text-muted-foreground">
+                    {backup.chartVersion ? `v${backup.chartVersion}` : '—'}
+                  </TableCell>
+                  <TableCell className="hidden md:table-cell font-mono text-xs text-muted-foreground">
+                    {backup.checksum ? backup.checksum.slice(0, 12) : '—'}
+                  </TableCell>
+                  <TableCell className="text-right whitespace-nowrap">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      title="Restore this backup"
+                      onClick={() => setRestoreTarget(backup)}
+                      disabled={backup.status !== 'completed' || storeStatus !== 'ready' || restoreMutation.isPending}
+                    >
+                      <History className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      title="New store from this backup"
+                      onClick={() => navigate(`/stores/new?backupId=${backup.id}&engine=${engine}&from=${storeId}`)}
+                      disabled={backup.status !== 'completed'}
+                    >
+                      <CopyPlus className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      title="Delete backup"
+                      onClick={() => deleteMutation.mutate(backup.id)}
+                      disabled={backup.status === 'running' || deleteMutation.isPending}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <Dialog open={Boolean(restoreTarget)} onOpenChange={(open) => !open && setRestoreTarget(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Restore Backup</DialogTitle>
+            <DialogDescription>
+              This will overwrite the store&apos;s database with the backup from{' '}
+              {restoreTarget && formatDate(restoreTarget.createdAt)}. Orders, products and settings
+              changed since then will be lost. The store is unavailable while the restore runs.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setRestoreTarget(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={() => restoreMutation.mutate(restoreTarget.id)}
+              disabled={restoreMutation.isPending}
+            >
+              {restoreMutation.isPending ? 'Restoring...' : 'Restore'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -0,0 +1,186 @@
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { storesApi } from '../services/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Copy, GitMerge } from 'lucide-react';
+import { toast } from 'sonner';
+import { formatDate } from '../lib/utils';
+
+/**
+ * Staging card for the store detail page — shows which store a clone came
+ * from (with "promote back to source") or lists a store's clones (with
+ * "clone to staging").
+ */
+export default function StoreClones({ store }) {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [cloneOpen, setCloneOpen] = useState(false);
+  const [promoteOpen, setPromoteOpen] = useState(false);
+  const [cloneName, setCloneName] = useState('');
+
+  const isClone = Boolean(store.clonedFrom);
+  const clones = store.clones || [];
+
+  const cloneMutation = useMutation({
+    mutationFn: () => storesApi.clone(store.id, cloneName ? { name: cloneName } : {}),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['stores'] });
+      queryClient.invalidateQueries({ queryKey: ['store', store.id] });
+      setCloneOpen(false);
+      toast.success(`Clone "${res.data.store.name}" is being provisioned`);
+      navigate(`/stores/${res.data.store.id}`);
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Clone failed');
+    },
+  });
+
+  const promoteMutation = useMutation({
+    mutationFn: () => storesApi.promote(store.id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['stores'] });
+      queryClient.invalidateQueries({ queryKey: ['store', store.clonedFrom] });
+      setPromoteOpen(false);
+      toast.success('Promotion started');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Promotion failed');
+    },
+  });
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle className="text-lg flex items-center gap-2">
+            <Copy className="h-5 w-5" />
+            Staging
+          </CardTitle>
+          <CardDescription>
+            {isClone ? (
+              <>
+                Clone of{' '}
+                <Link to={`/stores/${store.clonedFrom}`} className="font-medium text-primary hover:underline">
+                  {store.clonedFrom}
+                </Link>
+              </>
+            ) : (
+              'Try theme or plugin changes on a copy before they reach the live store'
+            )}
+          </CardDescription>
+        </div>
+        {isClone ? (
+          <Button size="sm" onClick={() => setPromoteOpen(true)} disabled={store.status !== 'ready'}>
+            <GitMerge className="h-4 w-4 mr-2" />
+            Promote to source
+          </Button>
+        ) : (
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => {
+              setCloneName('');
+              setCloneOpen(true);
+            }}
+            disabled={store.status !== 'ready'}
+          >
+            <Copy className="h-4 w-4 mr-2" />
+            Clone to staging
+          </Button>
+        )}
+      </CardHeader>
+
+      {!isClone && clones.length > 0 && (
+        <CardContent className="space-y-2">
+          {clones.map((clone) => (
+            <div key={clone.id} className="flex items-center justify-between text-sm">
+              <Link to={`/stores/${clone.id}`} className="font-medium text-primary hover:underline">
+                {clone.name}
+              </Link>
+              <div className="flex items-center gap-3">
+                <span className="text-xs text-muted-foreground">{formatDate(clone.createdAt)}</span>
+                <Badge variant="outline" className="text-xs">{clone.status}</Badge>
+              </div>
+            </div>
+          ))}
+        </CardContent>
+      )}
+
+      <Dialog open={cloneOpen} onOpenChange={setCloneOpen}>
+        <DialogContent>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              cloneMutation.mutate();
+            }}
+          >
+            <DialogHeader>
+              <DialogTitle>Clone to Staging</DialogTitle>
+              <DialogDescription>
+                A new store is provisioned with a snapshot of this store&apos;s database
+                {store.engine === 'woocommerce' ? ' and wp-content files' : ''}. The live store is not changed.
+              </DialogDescription>
+            </DialogHeader>
+            <div className="space-y-2 py-4">
+              <Label htmlFor="cloneName">Clone name</Label>
+              <Input
+                id="cloneName"
+                placeholder={`${store.name}-staging`}
+                value={cloneName}
+                onChange={(e) => setCloneName(e.target.value.toLowerCase().replace(/[^a-z0-9-]/g, ''))}
+                minLength={3}
+                maxLength={63}
+              />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setCloneOpen(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={cloneMutation.isPending}>
+                {cloneMutation.isPending ? 'Cloning...' : 'Clone'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={promoteOpen} onOpenChange={setPromoteOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Promote to Source</DialogTitle>
+            <DialogDescription>
+              This will overwrite the data of {store.clonedFrom} with this clone&apos;s current database
+              {store.engine === 'woocommerce' ? ' and wp-content files' : ''}. Orders placed on the live
+              store since the clone was made will be lost. The live store is unavailable while the data is copied.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setPromoteOpen(false)}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={() => promoteMutation.mutate()}
+              disabled={promoteMutation.isPending}
+            >
+              {promoteMutation.isPending ? 'Promoting...' : 'Promote'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -0,0 +1,131 @@
+import { useEffect, useRef, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { storesApi } from '../services/api';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { RefreshCw } from 'lucide-react';
+import { toast } from 'sonner';
+import { formatDate } from '../lib/utils';
+
+const ROTATION_VARIANTS = {
+  running: 'warning',
+  completed: 'success',
+  failed: 'destructive',
+};
+
+/**
+ * Credential rotation controls for the admin credentials card — rotate the
+ * store's admin and database passwords now, and set the rotation schedule.
+ */
+export default function StoreCredentialRotation({ storeId, storeStatus, onRotated }) {
+  const queryClient = useQueryClient();
+  const [intervalDays, setIntervalDays] = useState(null);
+  const previousStatus = useRef(null);
+
+  const { data: lastRotation } = useQuery({
+    queryKey: ['store-credential-rotations', storeId],
+    queryFn: () => storesApi.listCredentialRotations(storeId, { limit: 1 }),
+    select: (res) => res.data.rotations[0] || null,
+    refetchInterval: (query) =>
+      query.state.data?.data?.rotations?.[0]?.status === 'running' ? 5000 : false,
+  });
+
+  const { data: policy } = useQuery({
+    queryKey: ['store-credential-policy', storeId],
+    queryFn: () => storesApi.getCredentialRotationPolicy(storeId),
+    select: (res) => res.data.policy,
+  });
+
+  // Report the outcome once a rotation finishes
+  useEffect(() => {
+    const status = lastRotation?.status;
+    if (previousStatus.current === 'running' && status && status !== 'running') {
+      queryClient.invalidateQueries({ queryKey: ['store-credential-policy', storeId] });
+      onRotated?.();
+      if (status === 'completed') toast.success('Credentials rotated');
+      else toast.error(lastRotation.error || 'Credential rotation failed');
+    }
+    previousStatus.current = status;
+  }, [lastRotation, queryClient, storeId, onRotated]);
+
+  const rotateMutation = useMutation({
+    mutationFn: () => storesApi.rotateCredentials(storeId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['store-credential-rotations', storeId] });
+      toast.success('Credential rotation started');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Rotation failed');
+    },
+  });
+
+  const policyMutation = useMutation({
+    mutationFn: () =>
+      storesApi.setCredentialRotationPolicy(storeId, {
+        intervalDays: intervalDays === '' ? null : Number(intervalDays),
+      }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['store-credential-policy', storeId] });
+      setIntervalDays(null);
+      toast.success('Rotation schedule updated');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Failed to update rotation schedule');
+    },
+  });
+
+  const rotating = lastRotation?.status === 'running';
+
+  return (
+    <div className="space-y-3 pt-3 border-t">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm text-muted-foreground space-y-0.5">
+          <p>
+            Last rotated: {policy?.lastRotatedAt ? formatDate(policy.lastRotatedAt) : 'never'}
+            {lastRotation && lastRotation.status !== 'completed' && (
+              <Badge variant={ROTATION_VARIANTS[lastRotation.status]} className="ml-2 text-xs">
+                {lastRotation.status}
+              </Badge>
+            )}
+          </p>
+          {policy?.nextRotationAt && <p>Next rotation: {formatDate(policy.nextRotationAt)}</p>}
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => rotateMutation.mutate()}
+          disabled={!['ready', 'degraded'].includes(storeStatus) || rotating || rotateMutation.isPending}
+        >
+          <RefreshCw className={`h-4 w-4 mr-2 ${rotating ? 'animate-spin' : ''}`} />
+          {rotating ? 'Rotating…' : 'Rotate now'}
+        </Button>
+      </div>
+
+      <form
+        className="flex items-end gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          policyMutation.mutate();
+        }}
+      >
+        <div className="space-y-2 flex-1">
+          <Label htmlFor="rotationDays">Rotate every (days)</Label>
+          <Input
+            id="rotationDays"
+            type="number"
+            min={1}
+            max={365}
+            placeholder="Off"
+            value={intervalDays ?? policy?.intervalDays ?? ''}
+            onChange={(e) => setIntervalDays(e.target.value)}
+          />
+        </div>
+        <Button type="submit" size="sm" disabled={intervalDays === null || policyMutation.isPending}>
+          Save
+        </Button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { storesApi } from '../services/api';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import StoreCredentialRotation from './StoreCredentialRotation';
+import { Eye, EyeOff, KeyRound } from 'lucide-react';
+import { toast } from 'sonner';
+
+const MASKED = '••••••••';
+
+/**
+ * Admin credentials card for the store detail page. The store payload only
+ * says whether credentials exist; the owner reveals them by re-entering
+ * their password, and they are hidden again when the reveal expires.
+ */
+export default function StoreCredentials({ store }) {
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [password, setPassword] = useState('');
+  const [revealed, setRevealed] = useState(null);
+
+  // Hide once the server-side validity of the reveal has passed
+  useEffect(() => {
+    if (!revealed) return undefined;
+    const timer = setTimeout(() => setRevealed(null), Math.max(0, new Date(revealed.expiresAt) - Date.now()));
+    return () => clearTimeout(timer);
+  }, [revealed]);
+
+  const revealMutation = useMutation({
+    mutationFn: () => storesApi.revealCredentials(store.id, { password }),
+    onSuccess: (res) => {
+      setRevealed({ credentials: res.data.credentials, expiresAt: res.data.expiresAt });
+      setConfirmOpen(false);
+      setPassword('');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Could not reveal credentials');
+    },
+  });
+
+  const hideCredentials = useCallback(() => setRevealed(null), []);
+  const credentials = revealed?.credentials;
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <CardTitle className="text-lg flex items-center gap-2">
+          <KeyRound className="h-5 w-5" />
+          Admin Credentials
+        </CardTitle>
+        {store.isCredentialOwner && (
+          credentials ? (
+            <Button variant="outline" size="sm" onClick={hideCredentials}>
+              <EyeOff className="h-4 w-4 mr-2" />
+              Hide
+            </Button>
+          ) : (
+            <Button variant="outline" size="sm" onClick={() => setConfirmOpen(true)}>
+              <Eye className="h-4 w-4 mr-2" />
+              Reveal
+            </Button>
+          )
+        )}
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {credentials?.email && (
+          <CredentialRow label="Email">{credentials.email}</CredentialRow>
+        )}
+        {credentials?.username && (
+          <CredentialRow label="Username">{credentials.username}</CredentialRow>
+        )}
+        <CredentialRow label="Password">{credentials?.password || MASKED}</CredentialRow>
+
+        {store.isCredentialOwner ? (
+          <div className="flex items-center gap-2 mt-3 p-2.5 bg-emerald-50 dark:bg-emerald-950/30 border border-emerald-200 dark:border-emerald-800 rounded-md">
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 text-emerald-600 dark:text-emerald-400 flex-shrink-0" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect width="18" height="11" x="3" y="11" rx="2" ry="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/></svg>
+            <p className="text-xs text-emerald-700 dark:text-emerald-300">
+              These credentials are private to you as the store owner. Revealing them asks for your password and is recorded in the audit log.
+            </p>
+          </div>
+        ) : (
+          <div className="flex items-center gap-2 mt-3 p-2.5 bg-amber-50 dark:bg-amber-950/30 border border-amber-200 dark:border-amber-800 rounded-md">
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 text-amber-600 dark:text-amber-400 flex-shrink-0" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10"/></svg>
+            <p className="text-xs text-amber-700 dark:text-amber-300">
+              Credentials are masked for security. Please contact the store tenant for full admin access.
+            </p>
+          </div>
+        )}
+
+        {/* Revealed credentials are stale after a rotation */}
+        <StoreCredentialRotation storeId={store.id} storeStatus={store.status} onRotated={hideCredentials} />
+      </CardContent>
+
+      <Dialog
+        open={confirmOpen}
+        onOpenChange={(open) => {
+          setConfirmOpen(open);
+          if (!open) setPassword('');
+        }}
+      >
+        <DialogContent>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              revealMutation.mutate();
+            }}
+          >
+            <DialogHeader>
+              <DialogTitle>Reveal admin credentials</DialogTitle>
+              <DialogDescription>
+                Enter your account password to show the credentials for {store.name}.
+              </DialogDescription>
+            </DialogHeader>
+            <div className="space-y-2 py-4">
+              <Label htmlFor="revealPassword">Password</Label>
+              <Input
+                id="revealPassword"
+                type="password"
+                autoComplete="current-password"
+                autoFocus
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setConfirmOpen(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={!password || revealMutation.isPending}>
+                {revealMutation.isPending ? 'Checking…' : 'Reveal'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
+
+function CredentialRow({ label, children }) {
+  return (
+    <div className="flex items-center justify-between">
+      <span className="text-sm text-muted-foreground">{label}</span>
+      <code className="text-sm bg-muted px-2 py-0.5 rounded">{children}</code>
+    </div>
+  );
+}
@@ -0,0 +1,279 @@
+import { useEffect, useRef, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { storesApi, followPodLogs } from '../services/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Boxes, FileText, Radio, RefreshCw, Siren } from 'lucide-react';
+import { formatDate } from '../lib/utils';
+
+const PHASE_VARIANTS = {
+  Running: 'success',
+  Succeeded: 'secondary',
+  Pending: 'warning',
+  Failed: 'destructive',
+  Unknown: 'secondary',
+};
+
+const TAIL_OPTIONS = [100, 200, 1000, 5000];
+
+// Followed output kept in the viewer
+const MAX_LOG_CHARS = 500_000;
+
+const selectClass = 'h-9 rounded-md border border-input bg-background px-2 text-sm';
+
+function ContainerState({ container }) {
+  const variant = container.state === 'running'
+    ? (container.ready ? 'success' : 'warning')
+    : container.state === 'terminated' && container.exitCode === 0 ? 'secondary' : 'destructive';
+  return (
+    <div className="flex items-center gap-2 text-xs">
+      <Badge variant={variant} className="text-xs">{container.name}</Badge>
+      <span className="text-muted-foreground">
+        {container.reason || container.state}
+        {container.restartCount > 0 && ` · ${container.restartCount} restarts`}
+        {container.lastTerminationReason && ` · last: ${container.lastTerminationReason}`}
+      </span>
+    </div>
+  );
+}
+
+function PodLogs({ storeId, pods }) {
+  const [podName, setPodName] = useState(pods[0]?.name || '');
+  const [container, setContainer] = useState('');
+  const [tailLines, setTailLines] = useState(200);
+  const [previous, setPrevious] = useState(false);
+  const [following, setFollowing] = useState(false);
+  const [followed, setFollowed] = useState('');
+  const [followError, setFollowError] = useState(null);
+  const viewer = useRef(null);
+
+  const pod = pods.find((p) => p.name === podName) || pods[0];
+  const selectedPod = pod?.name;
+  const containers = pod ? [...pod.containerNames, ...pod.initContainerNames] : [];
+  const containerName = containers.includes(container) ? container : containers[0];
+
+  const { data: logs, refetch, isFetching, error } = useQuery({
+    queryKey: ['pod-logs', storeId, selectedPod, containerName, tailLines, previous],
+    queryFn: () => storesApi.getPodLogs(storeId, selectedPod, { container: containerName, tailLines, previous }),
+    select: (res) => res.data.logs,
+    enabled: Boolean(selectedPod) && !following,
+  });
+
+  useEffect(() => {
+    if (!following || !selectedPod) return undefined;
+    setFollowed('');
+    setFollowError(null);
+    return followPodLogs(storeId, selectedPod, { container: containerName, tailLines }, {
+      onText: (text) => setFollowed((current) => (current + text).slice(-MAX_LOG_CHARS)),
+      onEnd: (err) => {
+        if (err) setFollowError(err.message);
+        setFollowing(false);
+      },
+    });
+  }, [following, storeId, selectedPod, containerName, tailLines]);
+
+  const text = following ? followed : logs;
+
+  // Keep the newest lines in view
+  useEffect(() => {
+    if (viewer.current) viewer.current.scrollTop = viewer.current.scrollHeight;
+  }, [text]);
+
+  if (!pod) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <FileText className="h-5 w-5" />
+          Container Logs
+        </CardTitle>
+        <div className="flex flex-wrap items-center gap-2 pt-2">
+          <select className={selectClass} value={pod.name} onChange={(e) => setPodName(e.target.value)}>
+            {pods.map((p) => <option key={p.name} value={p.name}>{p.name}</option>)}
+          </select>
+          <select className={selectClass} value={containerName} onChange={(e) => setContainer(e.target.value)}>
+            {containers.map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <select className={selectClass} value={tailLines} onChange={(e) => setTailLines(Number(e.target.value))}>
+            {TAIL_OPTIONS.map((n) => <option key={n} value={n}>Last {n} lines</option>)}
+          </select>
+          <label className="flex items-center gap-1 text-sm text-muted-foreground">
+            <input
+              type="checkbox"
+              checked={previous}
+              disabled={following}
+              onChange={(e) => setPrevious(e.target.checked)}
+            />
+            Previous instance
+          </label>
+          <div className="ml-auto flex gap-2">
+            {!following && (
+              <Button variant="outline" size="sm" onClick={() => refetch()} disabled={isFetching}>
+                <RefreshCw className="h-4 w-4 mr-2" />
+                Refresh
+              </Button>
+            )}
+            <Button
+              variant={following ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => setFollowing(!following)}
+              disabled={previous}
+            >
+              <Radio className="h-4 w-4 mr-2" />
+              {following ? 'Stop following' : 'Follow'}
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {(error || followError) && (
+          <p className="text-sm text-destructive mb-2">
+            {followError || error.response?.data?.error?.message || 'Failed to load logs'}
+          </p>
+        )}
+        <pre
+          ref={viewer}
+          className="text-xs bg-muted p-3 rounded-md h-96 overflow-auto whitespace-pre-wrap break-all"
+        >
+          {text || (isFetching ? 'Loading…' : 'No log output.')}
+        </pre>
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * Diagnostics tab of the store detail page — pods and container states,
+ * container logs (one-shot or followed) and Kubernetes events of the store
+ * namespace.
+ */
+export default function StoreDiagnostics({ storeId }) {
+  const [warningsOnly, setWarningsOnly] = useState(false);
+
+  const { data: pods = [], isLoading: podsLoading } = useQuery({
+    queryKey: ['store-pods', storeId],
+    queryFn: () => storesApi.listPods(storeId),
+    select: (res) => res.data.pods,
+    refetchInterval: 10_000,
+  });
+
+  const { data: events = [] } = useQuery({
+    queryKey: ['store-k8s-events', storeId, warningsOnly],
+    queryFn: () => storesApi.listK8sEvents(storeId, { limit: 100, type: warningsOnly ? 'Warning' : undefined }),
+    select: (res) => res.data.events,
+    refetchInterval: 15_000,
+  });
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-lg flex items-center gap-2">
+            <Boxes className="h-5 w-5" />
+            Pods
+          </CardTitle>
+          <CardDescription>Pods in the store namespace and the state of each container.</CardDescription>
+        </CardHeader>
+        <CardContent className="p-0">
+          {!pods.length ? (
+            <p className="p-6 text-center text-muted-foreground">
+              {podsLoading ? 'Loading…' : 'No pods in the store namespace.'}
+            </p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Pod</TableHead>
+                  <TableHead>Phase</TableHead>
+                  <TableHead className="text-right">Restarts</TableHead>
+                  <TableHead>Containers</TableHead>
+                  <TableHead className="hidden md:table-cell text-right">Created</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {pods.map((pod) => (
+                  <TableRow key={pod.name}>
+                    <TableCell className="text-sm font-mono">{pod.name}</TableCell>
+                    <TableCell>
+                      <Badge variant={PHASE_VARIANTS[pod.phase] || 'secondary'} className="text-xs">
+                        {pod.phase}{pod.phase === 'Running' && !pod.ready && ' (not ready)'}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className={`text-right text-sm ${pod.restarts > 0 ? 'text-destructive' : ''}`}>
+                      {pod.restarts}
+                    </TableCell>
+                    <TableCell className="space-y-1">
+                      {[...pod.initContainers, ...pod.containers].map((container) => (
+                        <ContainerState key={container.name} container={container} />
+                      ))}
+                    </TableCell>
+                    <TableCell className="hidden md:table-cell text-right text-xs text-muted-foreground whitespace-nowrap">
+                      {formatDate(pod.createdAt)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <PodLogs storeId={storeId} pods={pods} />
+
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle className="text-lg flex items-center gap-2">
+            <Siren className="h-5 w-5" />
+            Kubernetes Events
+          </CardTitle>
+          <label className="flex items-center gap-1 text-sm text-muted-foreground">
+            <input type="checkbox" checked={warningsOnly} onChange={(e) => setWarningsOnly(e.target.checked)} />
+            Warnings only
+          </label>
+        </CardHeader>
+        <CardContent className="p-0">
+          {!events.length ? (
+            <p className="p-6 text-center text-muted-foreground">No recent events.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Type</TableHead>
+                  <TableHead>Reason</TableHead>
+                  <TableHead className="hidden md:table-cell">Object</TableHead>
+                  <TableHead>Message</TableHead>
+                  <TableHead className="text-right">Last seen</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {events.map((event, index) => (
+                  <TableRow key={`${event.object.kind}-${event.object.name}-${event.reason}-${index}`}>
+                    <TableCell>
+                      <Badge variant={event.type === 'Warning' ? 'warning' : 'secondary'} className="text-xs">
+                        {event.type}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {event.reason}
+                      {event.count > 1 && <span className="text-xs text-muted-foreground"> ×{event.count}</span>}
+                    </TableCell>
+                    <TableCell className="hidden md:table-cell text-xs text-muted-foreground font-mono">
+                      {event.object.kind}/{event.object.name}
+                    </TableCell>
+                    <TableCell className="text-sm max-w-md">{event.message}</TableCell>
+                    <TableCell className="text-right text-xs text-muted-foreground whitespace-nowrap">
+                      {formatDate(event.lastSeen)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,228 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { storesApi } from '../services/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Input } from './ui/input';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Globe, Plus, ShieldCheck, Star, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+
+const DOMAIN_VARIANTS = {
+  pending: 'outline',
+  verified: 'warning',
+  active: 'success',
+  error: 'destructive',
+};
+
+/**
+ * Custom domains card for the store detail page — add a domain, show the
+ * DNS records that prove ownership, verify, make primary and remove.
+ */
+export default function StoreDomains({ storeId, storeStatus }) {
+  const queryClient = useQueryClient();
+  const [hostname, setHostname] = useState('');
+  const [removeTarget, setRemoveTarget] = useState(null);
+
+  const { data: domains = [] } = useQuery({
+    queryKey: ['store-domains', storeId],
+    queryFn: () => storesApi.listDomains(storeId),
+    select: (res) => res.data.domains,
+    refetchInterval: (query) => {
+      const list = query.state.data?.data?.domains || [];
+      return list.some((d) => d.status === 'verified') ? 5000 : false;
+    },
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['store-domains', storeId] });
+    queryClient.invalidateQueries({ queryKey: ['store', storeId] });
+  };
+
+  const onError = (fallback) => (err) => {
+    toast.error(err.response?.data?.error?.message || fallback);
+  };
+
+  const addMutation = useMutation({
+    mutationFn: () => storesApi.addDomain(storeId, { hostname }),
+    onSuccess: () => {
+      refresh();
+      setHostname('');
+      toast.success('Domain added — publish the TXT record, then verify');
+    },
+    onError: onError('Failed to add domain'),
+  });
+
+  const verifyMutation = useMutation({
+    mutationFn: (domainId) => storesApi.verifyDomain(storeId, domainId),
+    onSuccess: (res) => {
+      refresh();
+      toast.success(res.data.message);
+    },
+    onError: onError('Verification failed'),
+  });
+
+  const primaryMutation = useMutation({
+    mutationFn: (domainId) => storesApi.setPrimaryDomain(storeId, domainId),
+    onSuccess: () => {
+      refresh();
+      toast.success('Primary domain set — store URLs are being updated');
+    },
+    onError: onError('Failed to set primary domain'),
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: (domainId) => storesApi.removeDomain(storeId, domainId),
+    onSuccess: () => {
+      refresh();
+      setRemoveTarget(null);
+      toast.success('Domain removed');
+    },
+    onError: onError('Failed to remove domain'),
+  });
+
+  const isReady = storeStatus === 'ready';
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Globe className="h-5 w-5" />
+          Custom Domains
+        </CardTitle>
+        <CardDescription>Serve the store from a domain you own</CardDescription>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        <form
+          className="flex gap-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            addMutation.mutate();
+          }}
+        >
+          <Input
+            placeholder="shop.example.com"
+            value={hostname}
+            onChange={(e) => setHostname(e.target.value.trim().toLowerCase())}
+            maxLength={253}
+          />
+          <Button type="submit" size="sm" disabled={!hostname || addMutation.isPending}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add
+          </Button>
+        </form>
+
+        {domains.length === 0 ? (
+          <p className="text-sm text-center text-muted-foreground">No custom domains.</p>
+        ) : (
+          <div className="space-y-3">
+            {domains.map((domain) => (
+              <div key={domain.id} className="rounded-md border p-3 space-y-2">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex items-center gap-2 min-w-0">
+                    {domain.status === 'active' ? (
+                      <a
+                        href={domain.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="font-medium text-primary hover:underline truncate"
+                      >
+                        {domain.hostname}
+                      </a>
+                    ) : (
+                      <span className="font-medium truncate">{domain.hostname}</span>
+                    )}
+                    <Badge variant={DOMAIN_VARIANTS[domain.status] || 'outline'} className="text-xs">
+                      {domain.status}
+                    </Badge>
+                    {domain.primary && <Badge className="text-xs">primary</Badge>}
+                  </div>
+                  <div className="flex items-center whitespace-nowrap">
+                    {domain.status !== 'active' && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        title={domain.status === 'error' ? 'Retry' : 'Verify DNS'}
+                        onClick={() => verifyMutation.mutate(domain.id)}
+                        disabled={!isReady || domain.status === 'verified' || verifyMutation.isPending}
+                      >
+                        <ShieldCheck className="h-4 w-4" />
+                      </Button>
+                    )}
+                    {domain.status === 'active' && !domain.primary && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        title="Make primary"
+                        onClick={() => primaryMutation.mutate(domain.id)}
+                        disabled={!isReady || primaryMutation.isPending}
+                      >
+                        <Star className="h-4 w-4" />
+                      </Button>
+                    )}
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      title="Remove domain"
+                      onClick={() => setRemoveTarget(domain)}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+
+                {domain.verification && (
+                  <div className="text-xs text-muted-foreground space-y-1">
+                    <p>Add these DNS records, then verify:</p>
+                    <pre className="bg-muted p-2 rounded-md overflow-x-auto">
+                      {`${domain.verification.type}   ${domain.verification.name}   "${domain.verification.value}"\nCNAME ${domain.hostname}   ${domain.cnameTarget}`}
+                    </pre>
+                  </div>
+                )}
+
+                {domain.lastError && (
+                  <p className="text-xs text-destructive truncate" title={domain.lastError}>
+                    {domain.lastError}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+
+      <Dialog open={Boolean(removeTarget)} onOpenChange={(open) => !open && setRemoveTarget(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Remove Domain</DialogTitle>
+            <DialogDescription>
+              {removeTarget?.hostname} will stop routing to this store.
+              {removeTarget?.primary && ' The store goes back to its generated URL.'}
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setRemoveTarget(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={() => removeMutation.mutate(removeTarget.id)}
+              disabled={removeMutation.isPending}
+            >
+              {removeMutation.isPending ? 'Removing...' : 'Remove'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -0,0 +1,94 @@
+import { useQuery } from '@tanstack/react-query';
+import { storesApi } from '../services/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Badge } from './ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { HeartPulse } from 'lucide-react';
+import { formatDate, formatDuration } from '../lib/utils';
+
+const PROBED_STATUSES = ['ready', 'degraded'];
+
+function HttpStatus({ check }) {
+  if (!check?.status) return <span className="text-muted-foreground">—</span>;
+  return (
+    <span className={check.status >= 500 ? 'text-destructive' : undefined}>
+      {check.status}
+      <span className="text-muted-foreground"> · {formatDuration(check.latencyMs)}</span>
+    </span>
+  );
+}
+
+/**
+ * Health card for the store detail page — uptime over the last 24 hours and
+ * the most recent results of the background health prober.
+ */
+export default function StoreHealth({ storeId, storeStatus }) {
+  const { data: health } = useQuery({
+    queryKey: ['store-health', storeId],
+    queryFn: () => storesApi.getHealth(storeId, { hours: 24, limit: 10 }),
+    select: (res) => res.data,
+    refetchInterval: 30000,
+  });
+
+  if (!health || (!health.probeCount && !PROBED_STATUSES.includes(storeStatus))) return null;
+
+  return (
+    <Card className={storeStatus === 'degraded' ? 'border-amber-500/50' : undefined}>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <HeartPulse className="h-5 w-5" />
+          Health
+          {health.uptimePercent !== null && (
+            <Badge variant={health.uptimePercent >= 99 ? 'success' : 'warning'} className="text-xs ml-auto">
+              {health.uptimePercent}% uptime (24h)
+            </Badge>
+          )}
+        </CardTitle>
+        <CardDescription>
+          {storeStatus === 'degraded'
+            ? `Degraded since ${formatDate(health.degradedAt)}: ${health.degradedReason || 'health probes failing'}`
+            : 'Pod readiness and storefront/admin checks through the ingress, about once a minute.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="p-0">
+        {health.probes.length === 0 ? (
+          <p className="text-sm text-muted-foreground px-6 pb-6">No probes in the last 24 hours yet.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Checked</TableHead>
+                <TableHead>Result</TableHead>
+                <TableHead>Pods</TableHead>
+                <TableHead className="hidden md:table-cell">Storefront</TableHead>
+                <TableHead className="hidden md:table-cell">Admin</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {health.probes.map((probe) => (
+                <TableRow key={probe.id}>
+                  <TableCell className="text-xs text-muted-foreground whitespace-nowrap">
+                    {formatDate(probe.checkedAt)}
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant={probe.healthy ? 'success' : 'destructive'} className="text-xs">
+                      {probe.healthy ? 'healthy' : 'failed'}
+                    </Badge>
+                    {probe.error && (
+                      <p className="text-xs text-destructive max-w-xs truncate" title={probe.error}>{probe.error}</p>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-sm">
+                    {probe.podsTotal !== null ? `${probe.podsReady}/${probe.podsTotal}` : '—'}
+                  </TableCell>
+                  <TableCell className="hidden md:table-cell text-sm"><HttpStatus check={probe.storefront} /></TableCell>
+                  <TableCell className="hidden md:table-cell text-sm"><HttpStatus check={probe.admin} /></TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
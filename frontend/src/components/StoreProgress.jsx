@@ -0,0 +1,98 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Badge } from './ui/badge';
+import { Activity, CheckCircle2, Circle, Loader2, XCircle } from 'lucide-react';
+import { cn, formatDuration } from '../lib/utils';
+
+export const PHASE_LABELS = {
+  namespace_create: 'Namespace',
+  helm_install: 'Helm install',
+  pod_readiness: 'Pod readiness',
+  engine_setup: 'Engine setup',
+  finalize: 'Finalize',
+  helm_uninstall: 'Helm uninstall',
+  namespace_delete: 'Namespace delete',
+  cleanup_verify: 'Cleanup check',
+  scale_down: 'Scale down',
+  pod_termination: 'Pod termination',
+  scale_up: 'Scale up',
+  helm_upgrade: 'Helm upgrade',
+  helm_rollback: 'Helm rollback',
+  source_snapshot: 'Source snapshot',
+  data_restore: 'Data restore',
+  files_copy: 'Files copy',
+  url_rewrite: 'URL rewrite',
+};
+
+// Phases each workflow is expected to run; phases reported by the stream
+// that are not listed here (clone seeding, rollback) are shown as they come
+const WORKFLOW_PHASES = {
+  provisioning: ['namespace_create', 'helm_install', 'pod_readiness', 'engine_setup', 'finalize'],
+  deleting: ['helm_uninstall', 'namespace_delete', 'cleanup_verify'],
+  suspending: ['scale_down', 'pod_termination'],
+  resuming: ['scale_up', 'pod_readiness'],
+  upgrading: ['helm_upgrade', 'pod_readiness'],
+  restoring: ['data_restore', 'files_copy', 'url_rewrite'],
+};
+
+const DONE_STATES = ['completed', 'skipped'];
+
+function PhaseIcon({ state }) {
+  if (state === 'started') return <Loader2 className="h-4 w-4 animate-spin text-amber-600" />;
+  if (state === 'failed') return <XCircle className="h-4 w-4 text-destructive" />;
+  if (DONE_STATES.includes(state)) return <CheckCircle2 className="h-4 w-4 text-emerald-600" />;
+  return <Circle className="h-4 w-4 text-muted-foreground" />;
+}
+
+/**
+ * Live progress of the store's current workflow, built from the phase
+ * events of the store event stream.
+ */
+export default function StoreProgress({ status, phaseEvents, live }) {
+  const expected = WORKFLOW_PHASES[status];
+  if (!expected) return null;
+
+  // Latest state of each phase, in the order the workflow reached them
+  const latest = new Map();
+  for (const event of phaseEvents) latest.set(event.phase, event);
+  const phases = [...latest.keys(), ...expected.filter((phase) => !latest.has(phase))];
+
+  const done = phases.filter((phase) => DONE_STATES.includes(latest.get(phase)?.state)).length;
+  const percent = Math.round((done / phases.length) * 100);
+  const current = phases.find((phase) => latest.get(phase)?.state === 'started');
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Activity className="h-5 w-5" />
+          Progress
+          <Badge variant={live ? 'success' : 'secondary'} className="text-xs ml-auto">
+            {live ? 'live' : 'reconnecting'}
+          </Badge>
+        </CardTitle>
+        <CardDescription>
+          {current ? `${PHASE_LABELS[current] || current}…` : `${done} of ${phases.length} steps done`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="h-2 w-full rounded-full bg-secondary overflow-hidden">
+          <div className="h-full bg-primary transition-all duration-500" style={{ width: `${percent}%` }} />
+        </div>
+        <ol className="grid gap-2 sm:grid-cols-2 lg:grid-cols-3">
+          {phases.map((phase) => {
+            const event = latest.get(phase);
+            return (
+              <li key={phase} className="flex items-center gap-2 text-sm">
+                <PhaseIcon state={event?.state} />
+                <span className={cn(!event && 'text-muted-foreground')}>{PHASE_LABELS[phase] || phase}</span>
+                {event?.durationMs > 0 && (
+                  <span className="text-xs text-muted-foreground">{formatDuration(event.durationMs)}</span>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      </CardContent>
+    </Card>
+  );
+}
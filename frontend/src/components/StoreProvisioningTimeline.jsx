@@ -0,0 +1,71 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Badge } from './ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { ListChecks } from 'lucide-react';
+import { formatDate, formatDuration } from '../lib/utils';
+import { PHASE_LABELS } from './StoreProgress';
+
+const STATUS_VARIANTS = {
+  running: 'warning',
+  completed: 'success',
+  failed: 'destructive',
+  skipped: 'secondary',
+};
+
+/**
+ * Per-phase provisioning timeline for the store detail page — one row per
+ * phase of each attempt, so a retry shows which phases it skipped and which
+ * it re-ran.
+ */
+export default function StoreProvisioningTimeline({ timeline }) {
+  if (!timeline?.length) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <ListChecks className="h-5 w-5" />
+          Provisioning Timeline
+        </CardTitle>
+        <CardDescription>
+          A retry resumes at the failed phase; phases completed by an earlier attempt are skipped.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="p-0">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Attempt</TableHead>
+              <TableHead>Phase</TableHead>
+              <TableHead>Status</TableHead>
+              <TableHead className="hidden md:table-cell">Started</TableHead>
+              <TableHead className="text-right">Duration</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {timeline.map((step) => (
+              <TableRow key={`${step.attempt}-${step.phase}`}>
+                <TableCell className="text-sm">#{step.attempt + 1}</TableCell>
+                <TableCell className="text-sm">
+                  {PHASE_LABELS[step.phase] || step.phase}
+                  {step.error && (
+                    <p className="text-xs text-destructive max-w-xs truncate" title={step.error}>{step.error}</p>
+                  )}
+                </TableCell>
+                <TableCell>
+                  <Badge variant={STATUS_VARIANTS[step.status] || 'secondary'} className="text-xs">{step.status}</Badge>
+                </TableCell>
+                <TableCell className="hidden md:table-cell text-xs text-muted-foreground whitespace-nowrap">
+                  {formatDate(step.startedAt)}
+                </TableCell>
+                <TableCell className="text-right text-xs text-muted-foreground">
+                  {step.status === 'skipped' ? '—' : formatDuration(step.durationMs)}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+}
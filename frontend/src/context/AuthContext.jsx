@@ -1,5 +1,5 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import { authApi } from '../services/api';
+import { authApi, clearSession } from '../services/api';
 
 const AuthContext = createContext(null);
 
@@ -23,8 +23,7 @@ export function AuthProvider({ children }) {
         localStorage.setItem('user', JSON.stringify(res.data.user));
       })
       .catch(() => {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+        clearSession();
         setUser(null);
       })
       .finally(() => setLoading(false));
@@ -32,8 +31,9 @@ export function AuthProvider({ children }) {
 
   const login = useCallback(async (email, password) => {
     const res = await authApi.login({ email, password });
-    const { user: u, token } = res.data;
+    const { user: u, token, refreshToken } = res.data;
     localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
     localStorage.setItem('user', JSON.stringify(u));
     setUser(u);
     return u;
@@ -41,16 +41,18 @@ export function AuthProvider({ children }) {
 
   const register = useCallback(async (email, username, password) => {
     const res = await authApi.register({ email, username, password });
-    const { user: u, token } = res.data;
+    const { user: u, token, refreshToken } = res.data;
     localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
     localStorage.setItem('user', JSON.stringify(u));
     setUser(u);
     return u;
   }, []);
 
-  const logout = useCallback(() => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  // End the session on the server too; sign out locally even if that fails
+  const logout = useCallback(async () => {
+    await authApi.logout().catch(() => {});
+    clearSession();
     setUser(null);
   }, []);
 
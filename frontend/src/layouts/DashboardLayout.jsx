@@ -14,6 +14,8 @@ import {
   Shield,
   KeyRound,
   AlertTriangle,
+  Layers,
+  MonitorSmartphone,
 } from 'lucide-react';
 import { Button } from '../components/ui/button';
 import { Separator } from '../components/ui/separator';
@@ -32,6 +34,9 @@ const navItems = [
   { to: '/stores', label: 'Stores', icon: Store, end: true },
   { to: '/stores/new', label: 'New Store', icon: Plus, end: true },
   { to: '/audit', label: 'Audit Log', icon: ScrollText, end: true },
+  { to: '/api-keys', label: 'API Keys', icon: KeyRound, end: true },
+  { to: '/sessions', label: 'Sessions', icon: MonitorSmartphone, end: true },
+  { to: '/fleet', label: 'Fleet Rollouts', icon: Layers, end: true, adminOnly: true },
 ];
 
 function SidebarContent({ onNavigate }) {
@@ -42,8 +47,8 @@ function SidebarContent({ onNavigate }) {
   const [pwForm, setPwForm] = useState({ currentPassword: '', newPassword: '', confirm: '' });
   const [pwStatus, setPwStatus] = useState({ loading: false, error: null, success: false });
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
@@ -59,10 +64,13 @@ function SidebarContent({ onNavigate }) {
     }
     setPwStatus({ loading: true, error: null, success: false });
     try {
-      await authApi.changePassword({
+      const res = await authApi.changePassword({
         currentPassword: pwForm.currentPassword,
         newPassword: pwForm.newPassword,
       });
+      // Every session was signed out; continue in the new one
+      localStorage.setItem('token', res.data.token);
+      localStorage.setItem('refreshToken', res.data.refreshToken);
       setPwStatus({ loading: false, error: null, success: true });
       setPwForm({ currentPassword: '', newPassword: '', confirm: '' });
       setTimeout(() => { setShowPwForm(false); setPwStatus({ loading: false, error: null, success: false }); }, 2000);
@@ -84,7 +92,7 @@ function SidebarContent({ onNavigate }) {
 
       {/* Navigation */}
       <nav className="flex-1 space-y-1 px-3 py-4">
-        {navItems.map(({ to, label, icon: Icon, end }) => (
+        {navItems.filter(({ adminOnly }) => !adminOnly || isAdmin).map(({ to, label, icon: Icon, end }) => (
           <NavLink
             key={to}
             to={to}
@@ -157,7 +165,7 @@ function SidebarContent({ onNavigate }) {
               required
             />
             {pwStatus.error && <p className="text-xs text-red-500">{pwStatus.error}</p>}
-            {pwStatus.success && <p className="text-xs text-emerald-500">Password changed!</p>}
+            {pwStatus.success && <p className="text-xs text-emerald-500">Password changed! Other sessions were signed out.</p>}
             <Button type="submit" size="sm" className="w-full" disabled={pwStatus.loading}>
               {pwStatus.loading ? 'Saving…' : 'Save'}
             </Button>
@@ -0,0 +1,288 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiKeysApi } from '../services/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Skeleton } from '../components/ui/skeleton';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '../components/ui/dialog';
+import { KeySquare, Plus, Copy, Ban } from 'lucide-react';
+import { toast } from 'sonner';
+import { formatDate } from '../lib/utils';
+
+const SCOPES = [
+  { value: 'stores:read', label: 'Read stores' },
+  { value: 'stores:write', label: 'Create, change and delete stores' },
+  { value: 'audit:read', label: 'Read the audit log' },
+];
+
+const EMPTY_FORM = { name: '', scopes: ['stores:read'], expiresInDays: '90' };
+
+function keyState(apiKey) {
+  if (apiKey.revokedAt) return { label: 'revoked', variant: 'secondary' };
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return { label: 'expired', variant: 'secondary' };
+  return { label: 'active', variant: 'success' };
+}
+
+/**
+ * Personal API keys — create scoped keys for scripts and CI, see when they
+ * were last used, and revoke them.
+ */
+export default function ApiKeys() {
+  const queryClient = useQueryClient();
+  const [createOpen, setCreateOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [revokeTarget, setRevokeTarget] = useState(null);
+
+  const { data: apiKeys = [], isLoading } = useQuery({
+    queryKey: ['api-keys'],
+    queryFn: () => apiKeysApi.list(),
+    select: (res) => res.data.apiKeys,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: () =>
+      apiKeysApi.create({
+        name: form.name,
+        scopes: form.scopes,
+        expiresInDays: form.expiresInDays === '' ? null : Number(form.expiresInDays),
+      }),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['api-keys'] });
+      setCreateOpen(false);
+      setForm(EMPTY_FORM);
+      setCreatedKey(res.data.key);
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Failed to create API key');
+    },
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: (id) => apiKeysApi.revoke(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['api-keys'] });
+      setRevokeTarget(null);
+      toast.success('API key revoked');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Failed to revoke API key');
+    },
+  });
+
+  const toggleScope = (scope) => {
+    setForm({
+      ...form,
+      scopes: form.scopes.includes(scope) ? form.scopes.filter((s) => s !== scope) : [...form.scopes, scope],
+    });
+  };
+
+  const copyKey = async () => {
+    await window.navigator.clipboard.writeText(createdKey);
+    toast.success('Copied to clipboard');
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold tracking-tight flex items-center gap-2">
+            <KeySquare className="h-8 w-8" />
+            API Keys
+          </h1>
+          <p className="text-muted-foreground">
+            Keys for scripts and CI. Send one as <code>Authorization: Bearer mtk_…</code>; it acts as you, limited to its scopes.
+          </p>
+        </div>
+        <Button size="sm" onClick={() => setCreateOpen(true)}>
+          <Plus className="h-4 w-4 mr-2" />
+          New key
+        </Button>
+      </div>
+
+      {createdKey && (
+        <Card className="border-emerald-300 dark:border-emerald-800">
+          <CardHeader>
+            <CardTitle className="text-lg">Your new API key</CardTitle>
+            <CardDescription>Store it now — it is not shown again.</CardDescription>
+          </CardHeader>
+          <CardContent className="flex items-center gap-2">
+            <code className="flex-1 text-sm bg-muted px-2 py-1.5 rounded break-all">{createdKey}</code>
+            <Button variant="outline" size="sm" onClick={copyKey}>
+              <Copy className="h-4 w-4 mr-2" />
+              Copy
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => setCreatedKey(null)}>
+              Done
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardContent className="p-0">
+          {isLoading ? (
+            <div className="p-6 space-y-3">
+              {Array.from({ length: 3 }).map((_, i) => (
+                <Skeleton key={i} className="h-10 w-full" />
+              ))}
+            </div>
+          ) : apiKeys.length === 0 ? (
+            <p className="p-12 text-center text-muted-foreground">No API keys yet.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Scopes</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="hidden md:table-cell">Expires</TableHead>
+                  <TableHead className="hidden md:table-cell">Last used</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {apiKeys.map((apiKey) => {
+                  const state = keyState(apiKey);
+                  return (
+                    <TableRow key={apiKey.id}>
+                      <TableCell>
+                        <p className="text-sm font-medium">{apiKey.name}</p>
+                        <p className="text-xs text-muted-foreground font-mono">{apiKey.keyPrefix}…</p>
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex flex-wrap gap-1">
+                          {apiKey.scopes.map((scope) => (
+                            <Badge key={scope} variant="outline" className="text-xs font-mono">{scope}</Badge>
+                          ))}
+                        </div>
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant={state.variant}>{state.label}</Badge>
+                      </TableCell>
+                      <TableCell className="hidden md:table-cell text-xs text-muted-foreground">
+                        {apiKey.expiresAt ? formatDate(apiKey.expiresAt) : 'Never'}
+                      </TableCell>
+                      <TableCell className="hidden md:table-cell text-xs text-muted-foreground">
+                        {apiKey.lastUsedAt ? `${formatDate(apiKey.lastUsedAt)} from ${apiKey.lastUsedIp}` : 'Never'}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {state.label === 'active' && (
+                          <Button variant="ghost" size="sm" onClick={() => setRevokeTarget(apiKey)}>
+                            <Ban className="h-4 w-4 mr-1" />
+                            Revoke
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Create */}
+      <Dialog open={createOpen} onOpenChange={setCreateOpen}>
+        <DialogContent>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              createMutation.mutate();
+            }}
+          >
+            <DialogHeader>
+              <DialogTitle>New API key</DialogTitle>
+              <DialogDescription>Give the key only the scopes your script needs.</DialogDescription>
+            </DialogHeader>
+            <div className="space-y-4 py-4">
+              <div className="space-y-2">
+                <Label htmlFor="keyName">Name</Label>
+                <Input
+                  id="keyName"
+                  maxLength={64}
+                  placeholder="e.g. GitHub Actions"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Scopes</Label>
+                {SCOPES.map((scope) => (
+                  <label key={scope.value} className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={form.scopes.includes(scope.value)}
+                      onChange={() => toggleScope(scope.value)}
+                    />
+                    <code>{scope.value}</code>
+                    <span className="text-muted-foreground">{scope.label}</span>
+                  </label>
+                ))}
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="keyExpiry">Expires after (days)</Label>
+                <Input
+                  id="keyExpiry"
+                  type="number"
+                  min={1}
+                  max={365}
+                  placeholder="Never"
+                  value={form.expiresInDays}
+                  onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+                />
+              </div>
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setCreateOpen(false)}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                disabled={!form.name.trim() || form.scopes.length === 0 || createMutation.isPending}
+              >
+                Create key
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* Revoke */}
+      <Dialog open={Boolean(revokeTarget)} onOpenChange={(open) => !open && setRevokeTarget(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Revoke API key</DialogTitle>
+            <DialogDescription>
+              Requests made with &quot;{revokeTarget?.name}&quot; will fail from now on. This cannot be undone.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setRevokeTarget(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={() => revokeMutation.mutate(revokeTarget.id)}
+              disabled={revokeMutation.isPending}
+            >
+              Revoke
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
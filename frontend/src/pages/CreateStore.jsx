@@ -1,24 +1,38 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { storesApi } from '../services/api';
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '../components/ui/card';
 import { Input } from '../components/ui/input';
 import { Label } from '../components/ui/label';
 import { Button } from '../components/ui/button';
 import { toast } from 'sonner';
-import { Rocket, ArrowLeft } from 'lucide-react';
+import { Rocket, ArrowLeft, DatabaseBackup } from 'lucide-react';
 
 export default function CreateStore() {
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  // "New store from backup" links pass the backup and its engine
+  const [searchParams] = useSearchParams();
+  const backupId = searchParams.get('backupId');
+  const backupEngine = searchParams.get('engine');
+  const sourceStoreId = searchParams.get('from');
   const [form, setForm] = useState({
     name: '',
-    engine: 'woocommerce',
-    theme: 'storefront',
+    engine: backupEngine === 'medusa' ? 'medusa' : 'woocommerce',
+    theme: backupEngine === 'medusa' ? '' : 'storefront',
     password: '',
+    plan: '',
   });
 
+  const { data: plans = [] } = useQuery({
+    queryKey: ['plans'],
+    queryFn: () => storesApi.listPlans(),
+    select: (res) => res.data.plans,
+  });
+  // Until the user picks one, the server default is selected
+  const selectedPlan = form.plan || plans.find((p) => p.default)?.name || '';
+
   const createMutation = useMutation({
     mutationFn: (data) => {
       // Only send theme for WooCommerce
@@ -29,6 +43,12 @@ export default function CreateStore() {
       if (data.password) {
         payload.password = data.password;
       }
+      if (backupId) {
+        payload.backupId = backupId;
+      }
+      if (selectedPlan) {
+        payload.plan = selectedPlan;
+      }
       return storesApi.create(payload);
     },
     onSuccess: (res) => {
@@ -70,6 +90,16 @@ export default function CreateStore() {
             </CardDescription>
           </CardHeader>
           <CardContent className="space-y-4">
+            {backupId && (
+              <div className="flex items-start gap-3 rounded-lg border p-3 text-sm">
+                <DatabaseBackup className="h-4 w-4 mt-0.5 shrink-0" />
+                <p className="text-muted-foreground">
+                  This store will be created from a backup{sourceStoreId ? ` of ${sourceStoreId}` : ''} instead of demo
+                  data. Its products, orders and settings are copied into the new store.
+                </p>
+              </div>
+            )}
+
             <div className="space-y-2">
               <Label htmlFor="name">Store Name</Label>
               <Input
@@ -97,6 +127,7 @@ export default function CreateStore() {
                       : 'border-border hover:border-primary/50'
                     }`}
                   onClick={() => setForm({ ...form, engine: 'woocommerce', theme: 'storefront' })}
+                  disabled={Boolean(backupId)}
                 >
                   <span className="text-2xl">🛒</span>
                   <span className="text-sm font-medium">WooCommerce</span>
@@ -109,6 +140,7 @@ export default function CreateStore() {
                       : 'border-border hover:border-primary/50'
                     }`}
                   onClick={() => setForm({ ...form, engine: 'medusa', theme: '' })}
+                  disabled={Boolean(backupId)}
                 >
                   <span className="text-2xl">⚡</span>
                   <span className="text-sm font-medium">MedusaJS</span>
@@ -148,7 +180,37 @@ export default function CreateStore() {
                 </div>
               </div>
             )}
-            {(form.engine === 'medusa' || form.engine === 'woocommerce') && (
+            {plans.length > 0 && (
+              <div className="space-y-2">
+                <Label>Plan</Label>
+                <div className="grid grid-cols-3 gap-3">
+                  {plans.map((plan) => (
+                    <button
+                      key={plan.name}
+                      type="button"
+                      className={`flex flex-col items-center gap-1 rounded-lg border-2 p-3 transition-colors ${selectedPlan === plan.name
+                          ? 'border-primary bg-primary/5'
+                          : 'border-border hover:border-primary/50'
+                        }`}
+                      onClick={() => setForm({ ...form, plan: plan.name })}
+                    >
+                      <span className="text-sm font-medium capitalize">{plan.name}</span>
+                      <span className="text-xs font-medium">
+                        {(plan.monthlyPriceCents / 100).toFixed(2)} {plan.currency?.toUpperCase()}/mo
+                      </span>
+                      <span className="text-xs text-muted-foreground text-center">
+                        {plan.resourceQuota.limitsCpu} CPU · {plan.resourceQuota.limitsMemory} RAM · {plan.resourceQuota.storage} disk
+                      </span>
+                    </button>
+                  ))}
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  Sets the namespace's resource quota. You can resize the store later.
+                </p>
+              </div>
+            )}
+            {/* Medusa admin accounts come from the backup, so a new password would not apply */}
+            {(form.engine === 'woocommerce' || (form.engine === 'medusa' && !backupId)) && (
               <div className="space-y-2">
                 <Label htmlFor="password">Admin Password (optional)</Label>
                 <Input
@@ -195,6 +195,12 @@ function StatusBadge({ status }) {
     failed: 'destructive',
     deleting: 'warning',
     deleted: 'secondary',
+    suspending: 'warning',
+    suspended: 'secondary',
+    resuming: 'warning',
+    upgrading: 'warning',
+    restoring: 'warning',
+    degraded: 'warning',
   };
 
   return <Badge variant={variants[status] || 'outline'}>{status}</Badge>;
@@ -0,0 +1,335 @@
+import { useState } from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { fleetApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Skeleton } from '../components/ui/skeleton';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
+import { Layers, RefreshCw, Rocket, OctagonX } from 'lucide-react';
+import { toast } from 'sonner';
+import { formatDate } from '../lib/utils';
+
+const ROLLOUT_VARIANTS = {
+  running: 'warning',
+  completed: 'success',
+  halted: 'destructive',
+};
+
+const OUTCOME_VARIANTS = {
+  pending: 'outline',
+  running: 'warning',
+  upgraded: 'success',
+  rolled_back: 'destructive',
+  failed: 'destructive',
+  skipped: 'secondary',
+};
+
+const INITIAL_FORM = {
+  engine: '',
+  canarySize: 1,
+  waveSize: 5,
+  maxFailurePercent: 20,
+  reason: '',
+};
+
+export default function FleetRollouts() {
+  const { isAdmin } = useAuth();
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(INITIAL_FORM);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data, isLoading, refetch, isFetching } = useQuery({
+    queryKey: ['rollouts'],
+    queryFn: () => fleetApi.listRollouts({ limit: 20 }),
+    select: (res) => res.data,
+    enabled: isAdmin,
+    refetchInterval: (query) => {
+      const rollouts = query.state.data?.data?.rollouts || [];
+      return rollouts.some((r) => r.status === 'running') ? 5000 : 30000;
+    },
+  });
+
+  const rollouts = data?.rollouts || [];
+  const activeId = selectedId || rollouts[0]?.id;
+
+  const { data: detail } = useQuery({
+    queryKey: ['rollout', activeId],
+    queryFn: () => fleetApi.getRollout(activeId),
+    select: (res) => res.data.rollout,
+    enabled: isAdmin && !!activeId,
+    refetchInterval: (query) =>
+      query.state.data?.data?.rollout?.status === 'running' ? 5000 : false,
+  });
+
+  const startMutation = useMutation({
+    mutationFn: () =>
+      fleetApi.createRollout({
+        engine: form.engine || undefined,
+        canarySize: Number(form.canarySize),
+        waveSize: Number(form.waveSize),
+        maxFailureRate: Number(form.maxFailurePercent) / 100,
+        reason: form.reason || undefined,
+      }),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['rollouts'] });
+      setSelectedId(res.data.rollout.id);
+      setForm(INITIAL_FORM);
+      toast.success(res.data.message);
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Failed to start rollout');
+    },
+  });
+
+  const haltMutation = useMutation({
+    mutationFn: (id) => fleetApi.haltRollout(id),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['rollout', res.data.rollout.id] });
+      toast.success(res.data.message);
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Failed to halt rollout');
+    },
+  });
+
+  if (!isAdmin) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  const hasRunning = rollouts.some((r) => r.status === 'running');
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold tracking-tight flex items-center gap-2">
+            <Layers className="h-8 w-8" />
+            Fleet Rollouts
+          </h1>
+          <p className="text-muted-foreground">
+            Upgrade stores to the current chart in canary-first waves
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={() => refetch()} disabled={isFetching}>
+          <RefreshCw className={`h-4 w-4 mr-2 ${isFetching ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      {/* New rollout */}
+      <Card>
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            startMutation.mutate();
+          }}
+        >
+          <CardHeader>
+            <CardTitle className="text-lg">New Rollout</CardTitle>
+            <CardDescription>
+              Ready stores matching the filter are upgraded with automatic rollback. The rollout halts
+              when the failure rate exceeds the threshold.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="grid gap-4 sm:grid-cols-2 lg:grid-cols-5">
+            <div className="space-y-2">
+              <Label htmlFor="engine">Engine</Label>
+              <select
+                id="engine"
+                value={form.engine}
+                onChange={(e) => setForm({ ...form, engine: e.target.value })}
+                className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+              >
+                <option value="">All engines</option>
+                <option value="woocommerce">WooCommerce</option>
+                <option value="medusa">MedusaJS</option>
+              </select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="canarySize">Canary size</Label>
+              <Input
+                id="canarySize"
+                type="number"
+                min={1}
+                max={20}
+                value={form.canarySize}
+                onChange={(e) => setForm({ ...form, canarySize: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="waveSize">Wave size</Label>
+              <Input
+                id="waveSize"
+                type="number"
+                min={1}
+                max={50}
+                value={form.waveSize}
+                onChange={(e) => setForm({ ...form, waveSize: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="maxFailurePercent">Max failure %</Label>
+              <Input
+                id="maxFailurePercent"
+                type="number"
+                min={0}
+                max={100}
+                value={form.maxFailurePercent}
+                onChange={(e) => setForm({ ...form, maxFailurePercent: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="reason">Reason</Label>
+              <Input
+                id="reason"
+                placeholder="chart 1.4.2 image fix"
+                maxLength={500}
+                value={form.reason}
+                onChange={(e) => setForm({ ...form, reason: e.target.value })}
+              />
+            </div>
+            <div className="sm:col-span-2 lg:col-span-5">
+              <Button type="submit" size="sm" disabled={startMutation.isPending || hasRunning}>
+                <Rocket className="h-4 w-4 mr-2" />
+                {hasRunning ? 'A rollout is already running' : 'Start Rollout'}
+              </Button>
+            </div>
+          </CardContent>
+        </form>
+      </Card>
+
+      {/* Rollout history */}
+      <Card>
+        <CardContent className="p-0">
+          {isLoading ? (
+            <div className="p-6 space-y-3">
+              {Array.from({ length: 3 }).map((_, i) => (
+                <Skeleton key={i} className="h-10 w-full" />
+              ))}
+            </div>
+          ) : rollouts.length === 0 ? (
+            <div className="p-12 text-center">
+              <p className="text-muted-foreground">No rollouts yet.</p>
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Started</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Progress</TableHead>
+                  <TableHead className="hidden md:table-cell">Failure rate</TableHead>
+                  <TableHead className="hidden md:table-cell">Reason</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {rollouts.map((rollout) => (
+                  <TableRow
+                    key={rollout.id}
+                    className={`cursor-pointer ${rollout.id === activeId ? 'bg-muted/50' : ''}`}
+                    onClick={() => setSelectedId(rollout.id)}
+                  >
+                    <TableCell className="text-xs text-muted-foreground whitespace-nowrap">
+                      {formatDate(rollout.createdAt)}
+                    </TableCell>
+                    <TableCell>
+                      <Badge variant={ROLLOUT_VARIANTS[rollout.status] || 'outline'}>
+                        {rollout.status}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {rollout.summary.upgraded}/{rollout.totalStores} upgraded
+                      <span className="text-xs text-muted-foreground">
+                        {' '}· wave {Math.min(rollout.currentWave + 1, rollout.totalWaves)}/{rollout.totalWaves}
+                      </span>
+                    </TableCell>
+                    <TableCell className="hidden md:table-cell text-sm">
+                      {Math.round(rollout.summary.failureRate * 100)}%
+                      <span className="text-xs text-muted-foreground">
+                        {' '}(max {Math.round(rollout.maxFailureRate * 100)}%)
+                      </span>
+                    </TableCell>
+                    <TableCell className="hidden md:table-cell text-sm max-w-xs truncate">
+                      {rollout.reason || '—'}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Per-store outcomes */}
+      {detail && (
+        <Card>
+          <CardHeader className="flex flex-row items-start justify-between space-y-0">
+            <div>
+              <CardTitle className="text-lg">Rollout {detail.id.slice(0, 8)}</CardTitle>
+              <CardDescription>
+                {detail.haltReason
+                  ? detail.haltReason
+                  : detail.haltRequested
+                    ? 'Halting after the current wave…'
+                    : `Canary ${detail.canarySize}, then waves of ${detail.waveSize}`}
+              </CardDescription>
+            </div>
+            {detail.status === 'running' && !detail.haltRequested && (
+              <Button
+                variant="destructive"
+                size="sm"
+                onClick={() => haltMutation.mutate(detail.id)}
+                disabled={haltMutation.isPending}
+              >
+                <OctagonX className="h-4 w-4 mr-2" />
+                Halt
+              </Button>
+            )}
+          </CardHeader>
+          <CardContent className="p-0">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Wave</TableHead>
+                  <TableHead>Store</TableHead>
+                  <TableHead>Outcome</TableHead>
+                  <TableHead className="hidden md:table-cell">Chart</TableHead>
+                  <TableHead>Details</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {detail.stores.map((s) => (
+                  <TableRow key={s.storeId}>
+                    <TableCell className="text-sm">{s.wave === 0 ? 'canary' : s.wave}</TableCell>
+                    <TableCell>
+                      <Link to={`/stores/${s.storeId}`} className="text-sm font-medium hover:underline">
+                        {s.storeName || s.storeId}
+                      </Link>
+                      <p className="text-xs text-muted-foreground">{s.engine}</p>
+                    </TableCell>
+                    <TableCell>
+                      <Badge variant={OUTCOME_VARIANTS[s.outcome] || 'outline'} className="text-xs">
+                        {s.outcome.replace('_', ' ')}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="hidden md:table-cell text-xs text-muted-foreground">
+                      {s.chartVersion ? `v${s.chartVersion}` : '—'}
+                    </TableCell>
+                    <TableCell className="text-xs text-muted-foreground max-w-xs truncate">
+                      {s.error || '—'}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
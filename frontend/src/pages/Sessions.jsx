@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { authApi } from '../services/api';
+import { Card, CardContent } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { Skeleton } from '../components/ui/skeleton';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '../components/ui/dialog';
+import { MonitorSmartphone, LogOut } from 'lucide-react';
+import { toast } from 'sonner';
+import { formatDate } from '../lib/utils';
+
+const BROWSERS = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const PLATFORMS = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+// "Chrome on macOS" from a user agent string — enough to tell devices apart
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+  const platform = PLATFORMS.find(([token]) => userAgent.includes(token))?.[1];
+  if (!browser && !platform) return userAgent.slice(0, 60);
+  return [browser || 'Unknown browser', platform].filter(Boolean).join(' on ');
+}
+
+/**
+ * Signed-in sessions of the current user — where they are signed in, when
+ * each session was last used, and a way to sign one out.
+ */
+export default function Sessions() {
+  const queryClient = useQueryClient();
+  const [revokeTarget, setRevokeTarget] = useState(null);
+
+  const { data: sessions = [], isLoading } = useQuery({
+    queryKey: ['sessions'],
+    queryFn: () => authApi.listSessions(),
+    select: (res) => res.data.sessions,
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: (id) => authApi.revokeSession(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      setRevokeTarget(null);
+      toast.success('Session signed out');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Failed to sign the session out');
+    },
+  });
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold tracking-tight flex items-center gap-2">
+          <MonitorSmartphone className="h-8 w-8" />
+          Sessions
+        </h1>
+        <p className="text-muted-foreground">
+          Devices signed in to your account. Changing your password signs out all of them.
+        </p>
+      </div>
+
+      <Card>
+        <CardContent className="p-0">
+          {isLoading ? (
+            <div className="p-6 space-y-3">
+              {Array.from({ length: 3 }).map((_, i) => (
+                <Skeleton key={i} className="h-10 w-full" />
+              ))}
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Device</TableHead>
+                  <TableHead>IP address</TableHead>
+                  <TableHead className="hidden md:table-cell">Signed in</TableHead>
+                  <TableHead>Last active</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {sessions.map((session) => (
+                  <TableRow key={session.id}>
+                    <TableCell>
+                      <span className="text-sm font-medium" title={session.userAgent || undefined}>
+                        {describeDevice(session.userAgent)}
+                      </span>
+                      {session.current && (
+                        <Badge variant="success" className="ml-2 text-xs">this device</Badge>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-xs font-mono text-muted-foreground">{session.ip || '—'}</TableCell>
+                    <TableCell className="hidden md:table-cell text-xs text-muted-foreground">
+                      {formatDate(session.createdAt)}
+                    </TableCell>
+                    <TableCell className="text-xs text-muted-foreground">{formatDate(session.lastSeenAt)}</TableCell>
+                    <TableCell className="text-right">
+                      {!session.current && (
+                        <Button variant="ghost" size="sm" onClick={() => setRevokeTarget(session)}>
+                          <LogOut className="h-4 w-4 mr-1" />
+                          Sign out
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={Boolean(revokeTarget)} onOpenChange={(open) => !open && setRevokeTarget(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Sign out session</DialogTitle>
+            <DialogDescription>
+              {describeDevice(revokeTarget?.userAgent)} ({revokeTarget?.ip || 'unknown IP'}) will be signed out
+              and has to sign in again.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setRevokeTarget(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={() => revokeMutation.mutate(revokeTarget.id)}
+              disabled={revokeMutation.isPending}
+            >
+              Sign out
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -1,7 +1,8 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { storesApi } from '../services/api';
+import { storesApi, streamStoreEvents } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import { Badge } from '../components/ui/badge';
@@ -17,6 +18,14 @@ import {
   DialogTrigger,
 } from '../components/ui/dialog';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
+import StoreBackups from '../components/StoreBackups';
+import StoreClones from '../components/StoreClones';
+import StoreCredentials from '../components/StoreCredentials';
+import StoreDiagnostics from '../components/StoreDiagnostics';
+import StoreDomains from '../components/StoreDomains';
+import StoreHealth from '../components/StoreHealth';
+import StoreProvisioningTimeline from '../components/StoreProvisioningTimeline';
+import StoreProgress from '../components/StoreProgress';
 import {
   ArrowLeft,
   ExternalLink,
@@ -26,11 +35,23 @@ import {
   Globe,
   Box,
   AlertCircle,
-  KeyRound,
+  PauseCircle,
+  PlayCircle,
+  ArrowUpCircle,
+  Gauge,
+  LayoutDashboard,
+  Stethoscope,
 } from 'lucide-react';
 import { toast } from 'sonner';
 import { formatDate, formatDuration } from '../lib/utils';
 
+const TABS = [
+  { value: 'overview', label: 'Overview', icon: LayoutDashboard },
+  { value: 'diagnostics', label: 'Diagnostics', icon: Stethoscope },
+];
+
+const TRANSITIONAL_STATUSES = ['requested', 'provisioning', 'deleting', 'suspending', 'resuming', 'upgrading', 'restoring'];
+
 const STATUS_VARIANTS = {
   requested: 'info',
   provisioning: 'warning',
@@ -38,23 +59,51 @@ const STATUS_VARIANTS = {
   failed: 'destructive',
   deleting: 'warning',
   deleted: 'secondary',
+  suspending: 'warning',
+  suspended: 'secondary',
+  resuming: 'warning',
+  upgrading: 'warning',
+  restoring: 'warning',
+  degraded: 'warning',
 };
 
 export default function StoreDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  const { isAdmin } = useAuth();
   const [deleteOpen, setDeleteOpen] = useState(false);
+  const [resizePlan, setResizePlan] = useState(null);
+  const [live, setLive] = useState(false);
+  const [phaseEvents, setPhaseEvents] = useState([]);
+  const [tab, setTab] = useState('overview');
+
+  // Status changes and new audit entries refresh the queries below; polling
+  // only runs while the stream is down
+  useEffect(() => streamStoreEvents(id, {
+    onEvent: (event) => {
+      if (event.type === 'status') {
+        setPhaseEvents([]);
+        queryClient.invalidateQueries({ queryKey: ['store', id] });
+        queryClient.invalidateQueries({ queryKey: ['stores'] });
+      } else if (event.type === 'phase') {
+        setPhaseEvents((events) => [...events, event.data]);
+      } else if (event.type === 'audit') {
+        queryClient.invalidateQueries({ queryKey: ['store-logs', id] });
+      }
+    },
+    onConnectionChange: setLive,
+  }), [id, queryClient]);
 
   const { data: storeData, isLoading } = useQuery({
     queryKey: ['store', id],
     queryFn: () => storesApi.get(id),
     select: (res) => res.data.store,
     refetchInterval: (query) => {
-      const status = query.state?.data?.status;
-      return status === 'provisioning' || status === 'requested' || status === 'deleting'
-        ? 5000
-        : 30000;
+      if (live) return false;
+      // state.data is the raw response — select is not applied to it
+      const status = query.state?.data?.data?.store?.status;
+      return TRANSITIONAL_STATUSES.includes(status) ? 5000 : 30000;
     },
   });
 
@@ -62,7 +111,7 @@ export default function StoreDetail() {
     queryKey: ['store-logs', id],
     queryFn: () => storesApi.getLogs(id, { limit: 50 }),
     select: (res) => res.data,
-    refetchInterval: 15_000,
+    refetchInterval: live ? false : 15_000,
   });
 
   const deleteMutation = useMutation({
@@ -79,16 +128,71 @@ export default function StoreDetail() {
   });
 
   const retryMutation = useMutation({
-    mutationFn: () => storesApi.retry(id),
-    onSuccess: () => {
+    mutationFn: (data) => storesApi.retry(id, data),
+    onSuccess: (res) => {
       queryClient.invalidateQueries({ queryKey: ['store', id] });
-      toast.success('Store retry initiated');
+      toast.success(res.data?.message || 'Store retry initiated');
     },
     onError: (err) => {
       toast.error(err.response?.data?.error?.message || 'Retry failed');
     },
   });
 
+  const suspendMutation = useMutation({
+    mutationFn: () => storesApi.suspend(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['stores'] });
+      queryClient.invalidateQueries({ queryKey: ['store', id] });
+      toast.success('Store suspension initiated');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Suspend failed');
+    },
+  });
+
+  const resumeMutation = useMutation({
+    mutationFn: () => storesApi.resume(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['stores'] });
+      queryClient.invalidateQueries({ queryKey: ['store', id] });
+      toast.success('Store resume initiated');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Resume failed');
+    },
+  });
+
+  const upgradeMutation = useMutation({
+    mutationFn: () => storesApi.upgrade(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['stores'] });
+      queryClient.invalidateQueries({ queryKey: ['store', id] });
+      toast.success('Store upgrade initiated');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Upgrade failed');
+    },
+  });
+
+  const { data: plans = [] } = useQuery({
+    queryKey: ['plans'],
+    queryFn: () => storesApi.listPlans(),
+    select: (res) => res.data.plans,
+  });
+
+  const resizeMutation = useMutation({
+    mutationFn: (plan) => storesApi.changePlan(id, { plan }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['stores'] });
+      queryClient.invalidateQueries({ queryKey: ['store', id] });
+      setResizePlan(null);
+      toast.success('Store resize initiated');
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error?.message || 'Resize failed');
+    },
+  });
+
   if (isLoading) {
     return (
       <div className="space-y-6">
@@ -112,6 +216,9 @@ export default function StoreDetail() {
     );
   }
 
+  // Degraded stores are still running and accept the same actions as ready ones
+  const isRunning = store.status === 'ready' || store.status === 'degraded';
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -131,7 +238,7 @@ export default function StoreDetail() {
           </div>
         </div>
         <div className="flex gap-2">
-          {store.status === 'failed' && (
+          {store.status === 'failed' && store.failure?.retryable !== false && (
             <Button
               variant="outline"
               size="sm"
@@ -142,7 +249,93 @@ export default function StoreDetail() {
               Retry
             </Button>
           )}
-          {(store.status === 'ready' || store.status === 'failed') && (
+          {isAdmin && isRunning && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => suspendMutation.mutate()}
+              disabled={suspendMutation.isPending}
+            >
+              <PauseCircle className="h-4 w-4 mr-2" />
+              Suspend
+            </Button>
+          )}
+          {isAdmin && isRunning && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => upgradeMutation.mutate()}
+              disabled={upgradeMutation.isPending}
+            >
+              <ArrowUpCircle className="h-4 w-4 mr-2" />
+              Upgrade
+            </Button>
+          )}
+          {isRunning && plans.length > 1 && (
+            <Dialog
+              open={resizePlan !== null}
+              onOpenChange={(open) => setResizePlan(open ? store.plan : null)}
+            >
+              <DialogTrigger asChild>
+                <Button variant="outline" size="sm">
+                  <Gauge className="h-4 w-4 mr-2" />
+                  Resize
+                </Button>
+              </DialogTrigger>
+              <DialogContent>
+                <DialogHeader>
+                  <DialogTitle>Change Plan</DialogTitle>
+                  <DialogDescription>
+                    The store&apos;s resource quota is updated in place. If the store does not
+                    become ready on the new plan, it is rolled back to the current one.
+                  </DialogDescription>
+                </DialogHeader>
+                <div className="grid grid-cols-3 gap-3">
+                  {plans.map((plan) => (
+                    <button
+                      key={plan.name}
+                      type="button"
+                      className={`flex flex-col items-center gap-1 rounded-lg border-2 p-3 transition-colors ${resizePlan === plan.name
+                          ? 'border-primary bg-primary/5'
+                          : 'border-border hover:border-primary/50'
+                        }`}
+                      onClick={() => setResizePlan(plan.name)}
+                    >
+                      <span className="text-sm font-medium capitalize">
+                        {plan.name}{plan.name === store.plan && ' (current)'}
+                      </span>
+                      <span className="text-xs text-muted-foreground text-center">
+                        {plan.resourceQuota.limitsCpu} CPU · {plan.resourceQuota.limitsMemory} RAM · {plan.resourceQuota.storage} disk
+                      </span>
+                    </button>
+                  ))}
+                </div>
+                <DialogFooter>
+                  <Button variant="outline" onClick={() => setResizePlan(null)}>
+                    Cancel
+                  </Button>
+                  <Button
+                    onClick={() => resizeMutation.mutate(resizePlan)}
+                    disabled={resizePlan === store.plan || resizeMutation.isPending}
+                  >
+                    {resizeMutation.isPending ? 'Resizing...' : 'Change Plan'}
+                  </Button>
+                </DialogFooter>
+              </DialogContent>
+            </Dialog>
+          )}
+          {isAdmin && store.status === 'suspended' && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => resumeMutation.mutate()}
+              disabled={resumeMutation.isPending}
+            >
+              <PlayCircle className="h-4 w-4 mr-2" />
+              Resume
+            </Button>
+          )}
+          {(isRunning || store.status === 'suspended' || store.status === 'failed') && (
             <Dialog open={deleteOpen} onOpenChange={setDeleteOpen}>
               <DialogTrigger asChild>
                 <Button variant="destructive" size="sm">
@@ -177,197 +370,252 @@ export default function StoreDetail() {
         </div>
       </div>
 
-      {/* Store details grid */}
-      <div className="grid gap-4 md:grid-cols-2">
-        {/* General info */}
-        <Card>
-          <CardHeader>
-            <CardTitle className="text-lg flex items-center gap-2">
-              <Box className="h-5 w-5" />
-              General
-            </CardTitle>
-          </CardHeader>
-          <CardContent className="space-y-3">
-            <InfoRow label="Engine">
-              <Badge variant="outline">
-                {store.engine === 'woocommerce' ? '🛒 WooCommerce' : '⚡ MedusaJS'}
-              </Badge>
-            </InfoRow>
-            {store.theme && (
-              <InfoRow label="Theme">
-                <Badge variant="secondary">
-                  {store.theme === 'astra' ? '✨ Astra' : '🏪 Storefront'}
-                </Badge>
-              </InfoRow>
-            )}
-            <InfoRow label="Stack">
-              <span className="text-xs text-muted-foreground">
-                {store.engine === 'woocommerce' ? 'WordPress + MariaDB' : 'Node.js + PostgreSQL'}
-              </span>
-            </InfoRow>
-            <InfoRow label="Namespace">{store.namespace}</InfoRow>
-            <InfoRow label="Retry Count">{store.retryCount}</InfoRow>
-            <InfoRow label="Duration">
-              {formatDuration(store.provisioningDurationMs)}
-            </InfoRow>
-          </CardContent>
-        </Card>
-
-        {/* URLs & Timing */}
-        <Card>
-          <CardHeader>
-            <CardTitle className="text-lg flex items-center gap-2">
-              <Globe className="h-5 w-5" />
-              Access & Timing
-            </CardTitle>
-          </CardHeader>
-          <CardContent className="space-y-3">
-            <InfoRow label="Storefront">
-              {store.urls?.storefront ? (
-                <a
-                  href={store.urls.storefront}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="text-primary flex items-center gap-1 hover:underline text-sm"
-                >
-                  {store.urls.storefront}
-                  <ExternalLink className="h-3 w-3" />
-                </a>
-              ) : (
-                <span className="text-muted-foreground text-sm">—</span>
-              )}
-            </InfoRow>
-            <InfoRow label="Admin">
-              {store.urls?.admin ? (
-                <a
-                  href={store.urls.admin}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="text-primary flex items-center gap-1 hover:underline text-sm"
-                >
-                  {store.urls.admin}
-                  <ExternalLink className="h-3 w-3" />
-                </a>
-              ) : (
-                <span className="text-muted-foreground text-sm">—</span>
-              )}
-            </InfoRow>
-            <Separator />
-            <InfoRow label="Created">{formatDate(store.createdAt)}</InfoRow>
-            <InfoRow label="Updated">{formatDate(store.updatedAt)}</InfoRow>
-          </CardContent>
-        </Card>
+      {/* Live phase progress of the running workflow */}
+      <StoreProgress status={store.status} phaseEvents={phaseEvents} live={live} />
+
+      {/* Tabs */}
+      <div className="flex gap-1 border-b">
+        {TABS.map(({ value, label, icon: Icon }) => (
+          <button
+            key={value}
+            type="button"
+            className={`flex items-center gap-2 px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${tab === value
+                ? 'border-primary text-foreground'
+                : 'border-transparent text-muted-foreground hover:text-foreground'
+              }`}
+            onClick={() => setTab(value)}
+          >
+            <Icon className="h-4 w-4" />
+            {label}
+          </button>
+        ))}
       </div>
 
-      {/* Admin Credentials */}
-      {store.adminCredentials && (store.adminCredentials.email || store.adminCredentials.username) && (
-        <Card>
-          <CardHeader>
-            <CardTitle className="text-lg flex items-center gap-2">
-              <KeyRound className="h-5 w-5" />
-              Admin Credentials
-            </CardTitle>
-          </CardHeader>
-          <CardContent className="space-y-3">
-            {store.adminCredentials.email && (
-              <InfoRow label="Email">
-                <code className="text-sm bg-muted px-2 py-0.5 rounded">{store.adminCredentials.email}</code>
-              </InfoRow>
-            )}
-            {store.adminCredentials.username && (
-              <InfoRow label="Username">
-                <code className="text-sm bg-muted px-2 py-0.5 rounded">{store.adminCredentials.username}</code>
-              </InfoRow>
-            )}
-            {store.adminCredentials.password && (
-              <InfoRow label="Password">
-                <code className="text-sm bg-muted px-2 py-0.5 rounded">{store.adminCredentials.password}</code>
-              </InfoRow>
-            )}
-            {store.isCredentialOwner ? (
-              <div className="flex items-center gap-2 mt-3 p-2.5 bg-emerald-50 dark:bg-emerald-950/30 border border-emerald-200 dark:border-emerald-800 rounded-md">
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 text-emerald-600 dark:text-emerald-400 flex-shrink-0" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect width="18" height="11" x="3" y="11" rx="2" ry="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/></svg>
-                <p className="text-xs text-emerald-700 dark:text-emerald-300">
-                  These credentials are private and visible only to you as the store owner.
-                </p>
-              </div>
-            ) : (
-              <div className="flex items-center gap-2 mt-3 p-2.5 bg-amber-50 dark:bg-amber-950/30 border border-amber-200 dark:border-amber-800 rounded-md">
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 text-amber-600 dark:text-amber-400 flex-shrink-0" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10"/></svg>
-                <p className="text-xs text-amber-700 dark:text-amber-300">
-                  Credentials are masked for security. Please contact the store tenant for full admin access.
-                </p>
-              </div>
-            )}
-          </CardContent>
-        </Card>
-      )}
+      {tab === 'diagnostics' && <StoreDiagnostics storeId={store.id} />}
 
-      {/* Failure reason */}
-      {store.failureReason && (
-        <Card className="border-destructive/50">
-          <CardHeader>
-            <CardTitle className="text-lg flex items-center gap-2 text-destructive">
-              <AlertCircle className="h-5 w-5" />
-              Failure Reason
-            </CardTitle>
-          </CardHeader>
-          <CardContent>
-            <pre className="text-sm bg-destructive/10 p-3 rounded-md overflow-x-auto whitespace-pre-wrap">
-              {store.failureReason}
-            </pre>
-          </CardContent>
-        </Card>
-      )}
+      {tab === 'overview' && (
+        <>
+          {/* Store details grid */}
+          <div className="grid gap-4 md:grid-cols-2">
+            {/* General info */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-lg flex items-center gap-2">
+                  <Box className="h-5 w-5" />
+                  General
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <InfoRow label="Engine">
+                  <Badge variant="outline">
+                    {store.engine === 'woocommerce' ? '🛒 WooCommerce' : '⚡ MedusaJS'}
+                  </Badge>
+                </InfoRow>
+                {store.theme && (
+                  <InfoRow label="Theme">
+                    <Badge variant="secondary">
+                      {store.theme === 'astra' ? '✨ Astra' : '🏪 Storefront'}
+                    </Badge>
+                  </InfoRow>
+                )}
+                <InfoRow label="Stack">
+                  <span className="text-xs text-muted-foreground">
+                    {store.engine === 'woocommerce' ? 'WordPress + MariaDB' : 'Node.js + PostgreSQL'}
+                  </span>
+                </InfoRow>
+                {store.plan && (
+                  <InfoRow label="Plan">
+                    <Badge variant="outline" className="capitalize">{store.plan}</Badge>
+                  </InfoRow>
+                )}
+                <InfoRow label="Namespace">{store.namespace}</InfoRow>
+                {store.chartVersion && (
+                  <InfoRow label="Chart">v{store.chartVersion}</InfoRow>
+                )}
+                <InfoRow label="Retry Count">{store.retryCount}</InfoRow>
+                <InfoRow label="Duration">
+                  {formatDuration(store.provisioningDurationMs)}
+                </InfoRow>
+              </CardContent>
+            </Card>
+
+            {/* URLs & Timing */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-lg flex items-center gap-2">
+                  <Globe className="h-5 w-5" />
+                  Access & Timing
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <InfoRow label="Storefront">
+                  {store.urls?.storefront ? (
+                    <a
+                      href={store.urls.storefront}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-primary flex items-center gap-1 hover:underline text-sm"
+                    >
+                      {store.urls.storefront}
+                      <ExternalLink className="h-3 w-3" />
+                    </a>
+                  ) : (
+                    <span className="text-muted-foreground text-sm">—</span>
+                  )}
+                </InfoRow>
+                <InfoRow label="Admin">
+                  {store.urls?.admin ? (
+                    <a
+                      href={store.urls.admin}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-primary flex items-center gap-1 hover:underline text-sm"
+                    >
+                      {store.urls.admin}
+                      <ExternalLink className="h-3 w-3" />
+                    </a>
+                  ) : (
+                    <span className="text-muted-foreground text-sm">—</span>
+                  )}
+                </InfoRow>
+                <Separator />
+                <InfoRow label="Created">{formatDate(store.createdAt)}</InfoRow>
+                {store.degradedAt && (
+                  <InfoRow label="Degraded">{formatDate(store.degradedAt)}</InfoRow>
+                )}
+                {store.suspendedAt && (
+                  <InfoRow label="Suspended">{formatDate(store.suspendedAt)}</InfoRow>
+                )}
+                {store.lastUpgradedAt && (
+                  <InfoRow label="Upgraded">{formatDate(store.lastUpgradedAt)}</InfoRow>
+                )}
+                {store.lastRestoredAt && (
+                  <InfoRow label="Restored">{formatDate(store.lastRestoredAt)}</InfoRow>
+                )}
+                <InfoRow label="Updated">{formatDate(store.updatedAt)}</InfoRow>
+              </CardContent>
+            </Card>
+          </div>
+
+          {/* Admin Credentials */}
+          {store.hasAdminCredentials && <StoreCredentials store={store} />}
 
-      {/* Audit log */}
-      <Card>
-        <CardHeader className="flex flex-row items-center justify-between">
-          <CardTitle className="text-lg flex items-center gap-2">
-            <Clock className="h-5 w-5" />
-            Activity Log
-          </CardTitle>
-          <span className="text-sm text-muted-foreground">
-            {logsData?.total ?? 0} events
-          </span>
-        </CardHeader>
-        <CardContent className="p-0">
-          {!logsData?.logs?.length ? (
-            <p className="p-6 text-center text-muted-foreground">No events yet.</p>
-          ) : (
-            <Table>
-              <TableHeader>
-                <TableRow>
-                  <TableHead>Event</TableHead>
-                  <TableHead className="hidden md:table-cell">Transition</TableHead>
-                  <TableHead>Message</TableHead>
-                  <TableHead className="text-right">Time</TableHead>
-                </TableRow>
-              </TableHeader>
-              <TableBody>
-                {logsData.logs.map((log) => (
-                  <TableRow key={log.id}>
-                    <TableCell>
-                      <Badge variant="outline" className="text-xs">{log.eventType}</Badge>
-                    </TableCell>
-                    <TableCell className="hidden md:table-cell text-xs text-muted-foreground">
-                      {log.previousStatus && log.newStatus
-                        ? `${log.previousStatus} → ${log.newStatus}`
-                        : '—'}
-                    </TableCell>
-                    <TableCell className="text-sm max-w-xs truncate">
-                      {log.message || '—'}
-                    </TableCell>
-                    <TableCell className="text-right text-xs text-muted-foreground whitespace-nowrap">
-                      {formatDate(log.createdAt)}
-                    </TableCell>
-                  </TableRow>
-                ))}
-              </TableBody>
-            </Table>
+          {/* Failure reason */}
+          {store.failureReason && (
+            <Card className="border-destructive/50">
+              <CardHeader>
+                <CardTitle className="text-lg flex items-center gap-2 text-destructive">
+                  <AlertCircle className="h-5 w-5" />
+                  Failure Reason
+                  {store.failure && (
+                    <>
+                      <Badge variant="destructive" className="text-xs font-mono">{store.failure.code}</Badge>
+                      <Badge variant="secondary" className="text-xs">{store.failure.category}</Badge>
+                    </>
+                  )}
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {store.nextRetryAt && (
+                  <p className="text-sm flex items-center gap-2 text-muted-foreground">
+                    <Clock className="h-4 w-4" />
+                    Retrying automatically at {formatDate(store.nextRetryAt)} (retry #{store.retryCount + 1})
+                  </p>
+                )}
+                {store.failure && (
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="space-y-1">
+                      <p className="text-sm">{store.failure.remediation}</p>
+                      {store.failure.evidence && (
+                        <p className="text-xs text-muted-foreground font-mono break-all">{store.failure.evidence}</p>
+                      )}
+                    </div>
+                    {store.status === 'failed' && !store.failure.retryable && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="shrink-0"
+                        onClick={() => retryMutation.mutate({ force: true })}
+                        disabled={retryMutation.isPending}
+                      >
+                        <RotateCcw className="h-4 w-4 mr-2" />
+                        Retry anyway
+                      </Button>
+                    )}
+                  </div>
+                )}
+                <pre className="text-sm bg-destructive/10 p-3 rounded-md overflow-x-auto whitespace-pre-wrap">
+                  {store.failureReason}
+                </pre>
+              </CardContent>
+            </Card>
           )}
-        </CardContent>
-      </Card>
+
+          {/* Uptime and recent health probes */}
+          <StoreHealth storeId={store.id} storeStatus={store.status} />
+
+          {/* Per-phase provisioning timeline */}
+          <StoreProvisioningTimeline timeline={store.provisioningTimeline} />
+
+          {/* Custom domains */}
+          <StoreDomains storeId={store.id} storeStatus={store.status} />
+
+          {/* Staging clones */}
+          <StoreClones store={store} />
+
+          {/* Backups */}
+          <StoreBackups storeId={store.id} storeStatus={store.status} engine={store.engine} />
+
+          {/* Audit log */}
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between">
+              <CardTitle className="text-lg flex items-center gap-2">
+                <Clock className="h-5 w-5" />
+                Activity Log
+              </CardTitle>
+              <span className="text-sm text-muted-foreground">
+                {logsData?.total ?? 0} events
+              </span>
+            </CardHeader>
+            <CardContent className="p-0">
+              {!logsData?.logs?.length ? (
+                <p className="p-6 text-center text-muted-foreground">No events yet.</p>
+              ) : (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Event</TableHead>
+                      <TableHead className="hidden md:table-cell">Transition</TableHead>
+                      <TableHead>Message</TableHead>
+                      <TableHead className="text-right">Time</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {logsData.logs.map((log) => (
+                      <TableRow key={log.id}>
+                        <TableCell>
+                          <Badge variant="outline" className="text-xs">{log.eventType}</Badge>
+                        </TableCell>
+                        <TableCell className="hidden md:table-cell text-xs text-muted-foreground">
+                          {log.previousStatus && log.newStatus
+                            ? `${log.previousStatus} → ${log.newStatus}`
+                            : '—'}
+                        </TableCell>
+                        <TableCell className="text-sm max-w-xs truncate">
+                          {log.message || '—'}
+                        </TableCell>
+                        <TableCell className="text-right text-xs text-muted-foreground whitespace-nowrap">
+                          {formatDate(log.createdAt)}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </CardContent>
+          </Card>
+        </>
+      )}
     </div>
   );
 }
@@ -22,6 +22,12 @@ const STATUS_VARIANTS = {
   failed: 'destructive',
   deleting: 'warning',
   deleted: 'secondary',
+  suspending: 'warning',
+  suspended: 'secondary',
+  resuming: 'warning',
+  upgrading: 'warning',
+  restoring: 'warning',
+  degraded: 'warning',
 };
 
 export default function StoreList() {
@@ -38,7 +44,7 @@ export default function StoreList() {
 
   const stores = data?.stores || [];
 
-  const statuses = ['', 'requested', 'provisioning', 'ready', 'failed', 'deleting', 'deleted'];
+  const statuses = ['', 'requested', 'provisioning', 'ready', 'degraded', 'suspended', 'failed', 'deleting', 'deleted'];
 
   return (
     <div className="space-y-6">
@@ -134,6 +140,9 @@ export default function StoreList() {
                               </TooltipTrigger>
                               <TooltipContent side="right" className="max-w-xs">
                                 <p className="text-xs">{store.failureReason}</p>
+                                {store.failure && (
+                                  <p className="text-xs mt-1 text-muted-foreground">{store.failure.remediation}</p>
+                                )}
                               </TooltipContent>
                             </Tooltip>
                           </TooltipProvider>
@@ -14,13 +14,71 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-// Handle 401 responses globally
+/**
+ * Forget the stored tokens and user (after logout or a failed refresh).
+ */
+export function clearSession() {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+}
+
+let refreshing = null;
+
+/**
+ * Swap the stored refresh token for a new access token. Concurrent callers
+ * share one request, since each refresh token is accepted only once.
+ * @returns {Promise<boolean>} Whether new tokens were stored
+ */
+export function refreshSession() {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return Promise.resolve(false);
+
+  if (!refreshing) {
+    refreshing = axios.post('/api/v1/auth/refresh', { refreshToken })
+      .then((res) => {
+        localStorage.setItem('token', res.data.token);
+        localStorage.setItem('refreshToken', res.data.refreshToken);
+        return true;
+      })
+      // Another tab may have used the same refresh token first
+      .catch(() => localStorage.getItem('refreshToken') !== refreshToken)
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+/**
+ * fetch() with the stored access token, refreshed once if it was refused —
+ * for streaming endpoints axios cannot read incrementally.
+ * @param {string} url
+ * @param {RequestInit} [options]
+ * @returns {Promise<Response>}
+ */
+async function fetchWithSession(url, { headers = {}, ...options } = {}) {
+  const send = () => {
+    const token = localStorage.getItem('token');
+    return fetch(url, { ...options, headers: token ? { ...headers, Authorization: `Bearer ${token}` } : headers });
+  };
+  const response = await send();
+  if (response.status === 401 && await refreshSession()) return send();
+  return response;
+}
+
+// When the access token is refused, refresh it once and retry; if that fails
+// the session is over. Other 401s (wrong password on re-authentication) pass.
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status === 401 && response.data?.error?.code === 'UNAUTHORIZED') {
+      if (!config._retried && await refreshSession()) {
+        config._retried = true;
+        return api(config);
+      }
+      clearSession();
       // Only redirect if not already on auth pages
       if (!window.location.pathname.startsWith('/login') &&
           !window.location.pathname.startsWith('/register')) {
@@ -38,6 +96,9 @@ export const authApi = {
   login: (data) => api.post('/auth/login', data),
   me: () => api.get('/auth/me'),
   changePassword: (data) => api.patch('/auth/password', data),
+  logout: () => api.post('/auth/logout'),
+  listSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
 };
 
 // ─── Stores API ──────────────────────────────────────────────────────────────
@@ -47,16 +108,178 @@ export const storesApi = {
   get: (id) => api.get(`/stores/${id}`),
   create: (data) => api.post('/stores', data),
   delete: (id) => api.delete(`/stores/${id}`),
-  retry: (id) => api.post(`/stores/${id}/retry`),
+  retry: (id, data = {}) => api.post(`/stores/${id}/retry`, data),
+  suspend: (id, data) => api.post(`/stores/${id}/suspend`, data),
+  resume: (id) => api.post(`/stores/${id}/resume`),
+  upgrade: (id, data) => api.post(`/stores/${id}/upgrade`, data),
+  restore: (id, data) => api.post(`/stores/${id}/restore`, data),
+  listPlans: () => api.get('/stores/plans'),
+  changePlan: (id, data) => api.patch(`/stores/${id}/plan`, data),
+  clone: (id, data) => api.post(`/stores/${id}/clone`, data),
+  promote: (id) => api.post(`/stores/${id}/promote`),
   getLogs: (id, params) => api.get(`/stores/${id}/logs`, { params }),
+  getHealth: (id, params) => api.get(`/stores/${id}/health`, { params }),
+  listBackups: (id, params) => api.get(`/stores/${id}/backups`, { params }),
+  createBackup: (id) => api.post(`/stores/${id}/backups`),
+  deleteBackup: (id, backupId) => api.delete(`/stores/${id}/backups/${backupId}`),
+  getBackupRetention: (id) => api.get(`/stores/${id}/backups/retention`),
+  setBackupRetention: (id, data) => api.put(`/stores/${id}/backups/retention`, data),
+  revealCredentials: (id, data) => api.post(`/stores/${id}/credentials/reveal`, data),
+  rotateCredentials: (id, data = {}) => api.post(`/stores/${id}/credentials/rotate`, data),
+  listCredentialRotations: (id, params) => api.get(`/stores/${id}/credentials/rotations`, { params }),
+  getCredentialRotationPolicy: (id) => api.get(`/stores/${id}/credentials/rotation-policy`),
+  setCredentialRotationPolicy: (id, data) => api.put(`/stores/${id}/credentials/rotation-policy`, data),
+  listDomains: (id) => api.get(`/stores/${id}/domains`),
+  addDomain: (id, data) => api.post(`/stores/${id}/domains`, data),
+  verifyDomain: (id, domainId) => api.post(`/stores/${id}/domains/${domainId}/verify`),
+  setPrimaryDomain: (id, domainId) => api.post(`/stores/${id}/domains/${domainId}/primary`),
+  removeDomain: (id, domainId) => api.delete(`/stores/${id}/domains/${domainId}`),
+  listPods: (id) => api.get(`/stores/${id}/pods`),
+  getPodLogs: (id, pod, params) => api.get(`/stores/${id}/pods/${pod}/logs`, { params }),
+  listK8sEvents: (id, params) => api.get(`/stores/${id}/k8s-events`, { params }),
 };
 
+/**
+ * Follow a pod container's log. Text is passed to onText as it arrives;
+ * onEnd runs when the container stops or the request fails.
+ *
+ * @param {string} storeId
+ * @param {string} pod
+ * @param {{ container?: string, tailLines?: number }} params
+ * @param {Object} handlers
+ * @param {(text: string) => void} handlers.onText
+ * @param {(error?: Error) => void} [handlers.onEnd]
+ * @returns {() => void} Stops following
+ */
+export function followPodLogs(storeId, pod, params, { onText, onEnd = () => {} }) {
+  const controller = new AbortController();
+  const query = new URLSearchParams({ ...params, follow: 'true' });
+
+  (async () => {
+    const response = await fetchWithSession(`/api/v1/stores/${storeId}/pods/${pod}/logs?${query}`, {
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      const body = await response.json().catch(() => null);
+      throw new Error(body?.error?.message || `Log stream failed with HTTP ${response.status}`);
+    }
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      onText(value);
+    }
+  })()
+    .then(() => onEnd())
+    .catch((err) => {
+      if (!controller.signal.aborted) onEnd(err);
+    });
+
+  return () => controller.abort();
+}
+
+// ─── Store Event Stream ──────────────────────────────────────────────────────
+
+const STREAM_RETRY_MS = 3000;
+
+/**
+ * Follow a store's Server-Sent Events stream (status, phase and audit events).
+ * Uses fetch rather than EventSource so the JWT goes in the Authorization
+ * header; reconnects with Last-Event-ID after the stream drops.
+ *
+ * @param {string} storeId
+ * @param {Object} handlers
+ * @param {(event: Object) => void} handlers.onEvent
+ * @param {(connected: boolean) => void} [handlers.onConnectionChange]
+ * @returns {() => void} Closes the stream
+ */
+export function streamStoreEvents(storeId, { onEvent, onConnectionChange = () => {} }) {
+  const controller = new AbortController();
+  let lastEventId = null;
+  let retryMs = STREAM_RETRY_MS;
+
+  const dispatch = (block) => {
+    let id = null;
+    let data = '';
+    for (const line of block.split('\n')) {
+      if (line.startsWith('id:')) id = line.slice(3).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+      else if (line.startsWith('retry:')) retryMs = Number(line.slice(6).trim()) || retryMs;
+    }
+    if (id) lastEventId = id;
+    if (data) onEvent(JSON.parse(data));
+  };
+
+  const connect = async () => {
+    const headers = { Accept: 'text/event-stream' };
+    if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+    const response = await fetchWithSession(`/api/v1/stores/${storeId}/events`, { headers, signal: controller.signal });
+    if (!response.ok) {
+      const err = new Error(`Event stream failed with HTTP ${response.status}`);
+      // Auth and not-found errors will not go away by reconnecting
+      err.permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+      throw err;
+    }
+    onConnectionChange(true);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += value;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        dispatch(buffer.slice(0, end));
+        buffer = buffer.slice(end + 2);
+      }
+    }
+  };
+
+  const run = async () => {
+    while (!controller.signal.aborted) {
+      try {
+        await connect();
+      } catch (err) {
+        if (err.permanent) {
+          onConnectionChange(false);
+          return;
+        }
+      }
+      if (controller.signal.aborted) return;
+      onConnectionChange(false);
+      await new Promise((resolve) => setTimeout(resolve, retryMs));
+    }
+  };
+  run();
+
+  return () => controller.abort();
+}
+
 // ─── Audit API ───────────────────────────────────────────────────────────────
 
 export const auditApi = {
   list: (params) => api.get('/audit', { params }),
 };
 
+// ─── API Keys API ────────────────────────────────────────────────────────────
+
+export const apiKeysApi = {
+  list: () => api.get('/api-keys'),
+  create: (data) => api.post('/api-keys', data),
+  revoke: (id) => api.delete(`/api-keys/${id}`),
+};
+
+// ─── Fleet API (admin) ───────────────────────────────────────────────────────
+
+export const fleetApi = {
+  listRollouts: (params) => api.get('/fleet/rollouts', { params }),
+  getRollout: (id) => api.get(`/fleet/rollouts/${id}`),
+  createRollout: (data) => api.post('/fleet/rollouts', data),
+  haltRollout: (id) => api.post(`/fleet/rollouts/${id}/halt`),
+};
+
 // ─── Health API ──────────────────────────────────────────────────────────────
 
 export const healthApi = {
@@ -124,6 +124,49 @@ Alias for ingress host — used by templates as "ingressHost".
 {{- include "ecommerce-store.ingress.host" . }}
 {{- end }}
 
+{{/*
+All hostnames the store answers on: the generated host, then custom domains.
+Rendered as a JSON list — use with fromJsonArray.
+*/}}
+{{- define "ecommerce-store.ingressHosts" -}}
+{{- prepend (.Values.ingress.customDomains | default list) (include "ecommerce-store.ingressHost" .) | toJson }}
+{{- end }}
+
+{{/*
+Ingress annotations: user-supplied plus cert-manager when custom domain TLS is enabled.
+*/}}
+{{- define "ecommerce-store.ingress.annotations" -}}
+{{- with .Values.ingress.annotations }}
+{{ toYaml . }}
+{{- end }}
+{{- $userSet := hasKey (.Values.ingress.annotations | default dict) "cert-manager.io/cluster-issuer" }}
+{{- if and .Values.ingress.tls .Values.ingress.certManager.enabled .Values.ingress.certManager.clusterIssuer .Values.ingress.customDomains (not $userSet) }}
+cert-manager.io/cluster-issuer: {{ .Values.ingress.certManager.clusterIssuer | quote }}
+{{- end }}
+{{- end }}
+
+{{/*
+Ingress TLS block: the generated host with tlsSecretName, and custom domains
+with their own (cert-manager issued or operator supplied) secret.
+*/}}
+{{- define "ecommerce-store.ingress.tls" -}}
+{{- if .Values.ingress.tls }}
+tls:
+  - hosts:
+      - {{ include "ecommerce-store.ingressHost" . }}
+    {{- if .Values.ingress.tlsSecretName }}
+    secretName: {{ .Values.ingress.tlsSecretName }}
+    {{- end }}
+  {{- with .Values.ingress.customDomains }}
+  - hosts:
+      {{- range . }}
+      - {{ . | quote }}
+      {{- end }}
+    secretName: {{ include "ecommerce-store.fullname" $ }}-custom-domains-tls
+  {{- end }}
+{{- end }}
+{{- end }}
+
 {{/*
 Generate the Medusa service hostname.
 */}}